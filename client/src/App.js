@@ -12,6 +12,11 @@ import ProblemDetail from './pages/ProblemDetail';
 import Compiler from './pages/Compiler';
 import Quiz from './pages/Quiz';
 import QuizDetail from './pages/QuizDetail';
+import Contests from './pages/Contests';
+import ContestDetail from './pages/ContestDetail';
+import Assessments from './pages/Assessments';
+import AssessmentDetail from './pages/AssessmentDetail';
+import Cohorts from './pages/Cohorts';
 import Dashboard from './pages/Dashboard';
 import AdminPanel from './pages/AdminPanel';
 
@@ -122,6 +127,10 @@ function App() {
                   <Route path="/compiler" element={<Compiler user={user} />} />
                   <Route path="/quizzes" element={<Quiz user={user} />} />
                   <Route path="/quizzes/:id" element={<QuizDetail user={user} />} />
+                  <Route path="/contests" element={<Contests user={user} />} />
+                  <Route path="/contests/:id" element={<ContestDetail user={user} />} />
+                  <Route path="/assessments" element={<Assessments user={user} />} />
+                  <Route path="/assessments/:id" element={<AssessmentDetail user={user} />} />
                   
                   {/* Protected routes */}
                   <Route path="/dashboard" element={
@@ -129,10 +138,15 @@ function App() {
                       <Dashboard user={user} />
                     </ProtectedRoute>
                   } />
+                  <Route path="/cohorts" element={
+                    <ProtectedRoute user={user}>
+                      <Cohorts user={user} />
+                    </ProtectedRoute>
+                  } />
                   
                   {/* Admin routes */}
                   <Route path="/admin/*" element={
-                    <AdminRoute user={user}>
+                    <AdminRoute user={user} roles={['admin', 'instructor']}>
                       <AdminPanel user={user} />
                     </AdminRoute>
                   } />
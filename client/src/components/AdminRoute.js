@@ -4,14 +4,15 @@ import { Navigate } from 'react-router-dom';
 /**
  * AdminRoute component to protect routes that require admin privileges
  * Redirects to home page if user is not authenticated or not an admin
+ * (or one of the other `roles` allowed, e.g. instructors)
  */
-const AdminRoute = ({ user, children }) => {
-  if (!user || user.role !== 'admin') {
-    // User is not authenticated or not an admin, redirect to home
+const AdminRoute = ({ user, roles = ['admin'], children }) => {
+  if (!user || !roles.includes(user.role)) {
+    // User is not authenticated or not an allowed role, redirect to home
     return <Navigate to="/" replace />;
   }
 
-  // User is authenticated and is an admin, render the protected component
+  // User is authenticated with an allowed role, render the protected component
   return children;
 };
 
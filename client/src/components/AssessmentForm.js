@@ -0,0 +1,359 @@
+import React, { useState, useEffect } from 'react';
+import { createAssessment, updateAssessment, getAssessmentForEdit, getQuizForEdit } from '../services/adminService';
+import { getQuestions } from '../services/questionService';
+import { getQuizzes } from '../services/quizService';
+import QuizQuestionEditor, { toEditableQuestion, toQuestionPayload } from './QuizQuestionEditor';
+
+const EMPTY_QUIZ_ITEM = {
+  item_type: 'quiz',
+  points: 1,
+  question: '',
+  question_type: 'single',
+  options: { options: ['', '', '', ''] },
+  correct_option: 0,
+  answer: null,
+  difficulty: 'Easy'
+};
+
+const EMPTY_CODING_ITEM = { item_type: 'coding', points: 100, question_id: '' };
+
+// Value for a datetime-local input, in local time
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.valueOf())) return '';
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * Editor state of an item loaded from the server
+ */
+const toEditableItem = (item) => (item.item_type === 'coding'
+  ? { item_type: 'coding', points: item.points, question_id: item.question_id }
+  : { ...toEditableQuestion(item), item_type: 'quiz', points: item.points });
+
+/**
+ * Modal to create or edit an assessment: its window and time limit, and an
+ * ordered list of quiz questions and coding problems with their points.
+ */
+const AssessmentForm = ({ assessment, onSave, onCancel }) => {
+  const [formData, setFormData] = useState({
+    title: '',
+    description: '',
+    duration: 60,
+    opens_at: '',
+    closes_at: '',
+    items: [{ ...EMPTY_QUIZ_ITEM }, { ...EMPTY_CODING_ITEM }]
+  });
+  const [questions, setQuestions] = useState([]);
+  const [quizzes, setQuizzes] = useState([]);
+  const [importQuizId, setImportQuizId] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getQuestions({ page: 1, limit: 100 })
+      .then(data => setQuestions(data.questions || []))
+      .catch(() => setError('Failed to load questions'));
+    getQuizzes({ page: 1, limit: 100 })
+      .then(data => setQuizzes(data.quizzes || []))
+      .catch(() => setQuizzes([]));
+  }, []);
+
+  useEffect(() => {
+    if (!assessment) return;
+    const loadAssessment = async () => {
+      try {
+        const data = await getAssessmentForEdit(assessment.id);
+        setFormData({
+          title: data.assessment.title || '',
+          description: data.assessment.description || '',
+          duration: data.assessment.duration || 60,
+          opens_at: toDateTimeInput(data.assessment.opens_at),
+          closes_at: toDateTimeInput(data.assessment.closes_at),
+          items: data.items.length > 0 ? data.items.map(toEditableItem) : [{ ...EMPTY_QUIZ_ITEM }]
+        });
+      } catch (err) {
+        setError(typeof err === 'string' ? err : 'Failed to load the assessment');
+      }
+    };
+    loadAssessment();
+  }, [assessment]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const replaceItem = (index, updated) => {
+    setFormData(prev => {
+      const items = [...prev.items];
+      items[index] = updated;
+      return { ...prev, items };
+    });
+  };
+
+  const handleItemChange = (index, field, value) => {
+    replaceItem(index, { ...formData.items[index], [field]: value });
+  };
+
+  const addItem = (item) => {
+    setFormData(prev => ({ ...prev, items: [...prev.items, { ...item }] }));
+  };
+
+  const removeItem = (index) => {
+    setFormData(prev => ({ ...prev, items: prev.items.filter((_, i) => i !== index) }));
+  };
+
+  const moveItem = (index, offset) => {
+    setFormData(prev => {
+      const items = [...prev.items];
+      [items[index], items[index + offset]] = [items[index + offset], items[index]];
+      return { ...prev, items };
+    });
+  };
+
+  /**
+   * Copies the questions of an existing quiz into the assessment
+   */
+  const handleImportQuiz = async () => {
+    if (!importQuizId) return;
+    try {
+      const data = await getQuizForEdit(importQuizId);
+      const imported = (data.questions || []).map(question => ({ ...toEditableQuestion(question), item_type: 'quiz', points: 1 }));
+      setFormData(prev => ({ ...prev, items: [...prev.items, ...imported] }));
+      setImportQuizId('');
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to import the quiz');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const submitData = {
+        title: formData.title.trim(),
+        description: formData.description.trim(),
+        duration: Number(formData.duration),
+        opens_at: formData.opens_at ? new Date(formData.opens_at).toISOString() : '',
+        closes_at: formData.closes_at ? new Date(formData.closes_at).toISOString() : '',
+        items: formData.items.map(item => (item.item_type === 'coding'
+          ? { item_type: 'coding', points: Number(item.points), question_id: Number(item.question_id) }
+          : { ...toQuestionPayload(item), item_type: 'quiz', points: Number(item.points) }))
+      };
+
+      if (assessment) {
+        await updateAssessment(assessment.id, submitData);
+      } else {
+        await createAssessment(submitData);
+      }
+      onSave();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to save assessment');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const totalPoints = formData.items.reduce((sum, item) => sum + (Number(item.points) || 0), 0);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-6 w-11/12 max-w-4xl card animate-fade-in">
+        <div className="mt-3">
+          <h3 className="text-xl font-semibold mb-6">
+            {assessment ? 'Edit Assessment' : 'Create New Assessment'}
+          </h3>
+
+          {error && (
+            <div className="alert alert-danger">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label className="form-label">Title</label>
+              <input
+                type="text"
+                name="title"
+                value={formData.title}
+                onChange={handleInputChange}
+                className="form-input"
+                required
+              />
+            </div>
+
+            <div>
+              <label className="form-label">Description</label>
+              <textarea
+                name="description"
+                value={formData.description}
+                onChange={handleInputChange}
+                rows={3}
+                className="form-textarea"
+              />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="form-label">Duration (minutes)</label>
+                <input
+                  type="number"
+                  name="duration"
+                  min="1"
+                  max="600"
+                  value={formData.duration}
+                  onChange={handleInputChange}
+                  className="form-input"
+                  required
+                />
+              </div>
+              <div>
+                <label className="form-label">Opens At</label>
+                <input
+                  type="datetime-local"
+                  name="opens_at"
+                  value={formData.opens_at}
+                  onChange={handleInputChange}
+                  className="form-input"
+                />
+              </div>
+              <div>
+                <label className="form-label">Closes At</label>
+                <input
+                  type="datetime-local"
+                  name="closes_at"
+                  value={formData.closes_at}
+                  onChange={handleInputChange}
+                  className="form-input"
+                />
+              </div>
+            </div>
+
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <label className="form-label mb-0">Items</label>
+                <span className="text-sm text-gray-500">{totalPoints} points in total</span>
+              </div>
+
+              {formData.items.map((item, index) => (
+                <div key={index} className="card p-4 mb-4">
+                  <div className="flex justify-between items-center mb-3 gap-3">
+                    <h4 className="font-medium">
+                      {index + 1}. {item.item_type === 'coding' ? 'Coding problem' : 'Quiz question'}
+                    </h4>
+                    <div className="flex items-center gap-3 text-sm">
+                      <label className="flex items-center gap-2 text-gray-700">
+                        Points
+                        <input
+                          type="number"
+                          min="1"
+                          max="1000"
+                          value={item.points}
+                          onChange={(e) => handleItemChange(index, 'points', e.target.value)}
+                          className="form-input w-24"
+                        />
+                      </label>
+                      <button type="button" onClick={() => moveItem(index, -1)} disabled={index === 0} className="text-gray-600 hover:text-gray-800 disabled:opacity-40" title="Move up">
+                        ↑
+                      </button>
+                      <button type="button" onClick={() => moveItem(index, 1)} disabled={index === formData.items.length - 1} className="text-gray-600 hover:text-gray-800 disabled:opacity-40" title="Move down">
+                        ↓
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => removeItem(index)}
+                        disabled={formData.items.length === 1}
+                        className="text-red-600 hover:text-red-800 disabled:opacity-40"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+
+                  {item.item_type === 'coding' ? (
+                    <select
+                      value={item.question_id}
+                      onChange={(e) => handleItemChange(index, 'question_id', e.target.value)}
+                      className="form-input"
+                      required
+                    >
+                      <option value="">Select a question</option>
+                      {questions.map(question => (
+                        <option key={question.id} value={question.id}>#{question.id} {question.title}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <div className="space-y-4">
+                      <div>
+                        <label className="form-label">Question Text</label>
+                        <textarea
+                          value={item.question}
+                          onChange={(e) => handleItemChange(index, 'question', e.target.value)}
+                          rows={2}
+                          className="form-textarea"
+                          required
+                        />
+                      </div>
+
+                      <QuizQuestionEditor
+                        question={item}
+                        onChange={(updated) => replaceItem(index, updated)}
+                        name={`assessment_correct_${index}`}
+                      />
+                    </div>
+                  )}
+                </div>
+              ))}
+
+              <div className="flex flex-wrap items-center gap-3">
+                <button type="button" onClick={() => addItem(EMPTY_QUIZ_ITEM)} className="btn btn-secondary">
+                  Add Quiz Question
+                </button>
+                <button type="button" onClick={() => addItem(EMPTY_CODING_ITEM)} className="btn btn-secondary">
+                  Add Coding Problem
+                </button>
+                {quizzes.length > 0 && (
+                  <div className="flex items-center gap-2">
+                    <select value={importQuizId} onChange={(e) => setImportQuizId(e.target.value)} className="form-select w-auto">
+                      <option value="">Copy questions from a quiz...</option>
+                      {quizzes.map(quiz => (
+                        <option key={quiz.id} value={quiz.id}>{quiz.title}</option>
+                      ))}
+                    </select>
+                    <button type="button" onClick={handleImportQuiz} disabled={!importQuizId} className="btn btn-secondary disabled:opacity-50">
+                      Import
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={onCancel}
+                className="btn btn-secondary"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={loading}
+                className="btn btn-primary"
+              >
+                {loading ? 'Saving...' : (assessment ? 'Update' : 'Create')}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AssessmentForm;
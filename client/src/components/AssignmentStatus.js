@@ -0,0 +1,35 @@
+import React from 'react';
+
+/**
+ * Badge with a student's progress on a cohort assignment
+ * @param {Object} assignment - Assignment with its type and due date
+ * @param {Object} progress - { status, completed, total, score, totalQuestions, late }
+ */
+const AssignmentStatus = ({ assignment, progress }) => {
+  if (!progress) return null;
+
+  const overdue = assignment.due_at && new Date(assignment.due_at) < new Date();
+  let label;
+  let color;
+  if (progress.status === 'completed') {
+    label = progress.late ? 'Completed late' : 'Completed';
+    color = progress.late ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800';
+    if (assignment.assignment_type === 'quiz' && progress.score !== null) {
+      label += ` · ${progress.score}/${progress.totalQuestions}`;
+    }
+  } else if (assignment.assignment_type === 'problem_set' && progress.status === 'in_progress') {
+    label = `${progress.completed}/${progress.total} solved`;
+    color = overdue ? 'bg-red-100 text-red-800' : 'bg-blue-100 text-blue-800';
+  } else {
+    label = overdue ? 'Overdue' : 'Not started';
+    color = overdue ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-800';
+  }
+
+  return (
+    <span className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${color}`}>
+      {label}
+    </span>
+  );
+};
+
+export default AssignmentStatus;
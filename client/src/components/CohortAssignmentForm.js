@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import { createCohortAssignment, updateCohortAssignment } from '../services/adminService';
+import { getQuestions } from '../services/questionService';
+import { getQuizzes } from '../services/quizService';
+
+// Value for a datetime-local input, in local time
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.valueOf())) return '';
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * Modal to assign a quiz or a problem set to a cohort, with an optional due date.
+ */
+const CohortAssignmentForm = ({ cohortId, assignment, onSave, onCancel }) => {
+  const [formData, setFormData] = useState({
+    title: assignment?.title || '',
+    assignment_type: assignment?.assignment_type || 'quiz',
+    quiz_id: assignment?.quiz_id || '',
+    question_ids: (assignment?.questions || []).map(question => question.id),
+    due_at: toDateTimeInput(assignment?.due_at)
+  });
+  const [quizzes, setQuizzes] = useState([]);
+  const [questions, setQuestions] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getQuizzes({ page: 1, limit: 100 })
+      .then(data => setQuizzes(data.quizzes || []))
+      .catch(() => setError('Failed to load quizzes'));
+    getQuestions({ page: 1, limit: 100 })
+      .then(data => setQuestions(data.questions || []))
+      .catch(() => setError('Failed to load questions'));
+  }, []);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleQuestion = (id) => {
+    setFormData(prev => ({
+      ...prev,
+      question_ids: prev.question_ids.includes(id)
+        ? prev.question_ids.filter(questionId => questionId !== id)
+        : [...prev.question_ids, id]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const submitData = {
+        title: formData.title.trim(),
+        assignment_type: formData.assignment_type,
+        quiz_id: formData.assignment_type === 'quiz' ? Number(formData.quiz_id) : null,
+        question_ids: formData.assignment_type === 'problem_set' ? formData.question_ids : [],
+        due_at: formData.due_at ? new Date(formData.due_at).toISOString() : ''
+      };
+
+      if (assignment) {
+        await updateCohortAssignment(cohortId, assignment.id, submitData);
+      } else {
+        await createCohortAssignment(cohortId, submitData);
+      }
+      onSave();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to save the assignment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-6 w-11/12 max-w-2xl card animate-fade-in">
+        <h3 className="text-xl font-semibold mb-6">{assignment ? 'Edit Assignment' : 'New Assignment'}</h3>
+
+        {error && (
+          <div className="alert alert-danger">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="form-label">Title</label>
+            <input
+              type="text"
+              name="title"
+              value={formData.title}
+              onChange={handleInputChange}
+              className="form-input"
+              required
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Type</label>
+              <select name="assignment_type" value={formData.assignment_type} onChange={handleInputChange} className="form-select">
+                <option value="quiz">Quiz</option>
+                <option value="problem_set">Problem set</option>
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Due Date</label>
+              <input
+                type="datetime-local"
+                name="due_at"
+                value={formData.due_at}
+                onChange={handleInputChange}
+                className="form-input"
+              />
+            </div>
+          </div>
+
+          {formData.assignment_type === 'quiz' ? (
+            <div>
+              <label className="form-label">Quiz</label>
+              <select name="quiz_id" value={formData.quiz_id} onChange={handleInputChange} className="form-select" required>
+                <option value="">Select a quiz</option>
+                {quizzes.map(quiz => (
+                  <option key={quiz.id} value={quiz.id}>{quiz.title}</option>
+                ))}
+              </select>
+            </div>
+          ) : (
+            <div>
+              <label className="form-label">Problems ({formData.question_ids.length} selected)</label>
+              <div className="border rounded-md max-h-64 overflow-y-auto divide-y">
+                {questions.map(question => (
+                  <label key={question.id} className="flex items-center gap-3 px-3 py-2 text-sm cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={formData.question_ids.includes(question.id)}
+                      onChange={() => toggleQuestion(question.id)}
+                    />
+                    <span className="flex-1">#{question.id} {question.title}</span>
+                    <span className="text-xs text-gray-500">{question.difficulty}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={onCancel} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn btn-primary">
+              {saving ? 'Saving...' : (assignment ? 'Update' : 'Assign')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CohortAssignmentForm;
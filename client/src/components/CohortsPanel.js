@@ -0,0 +1,482 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getUsers,
+  createCohort,
+  updateCohort,
+  deleteCohort,
+  regenerateJoinCode,
+  deleteCohortAssignment,
+  getAssignmentProgress
+} from '../services/adminService';
+import { getCohort, removeCohortMember } from '../services/cohortService';
+import CohortAssignmentForm from './CohortAssignmentForm';
+import AssignmentStatus from './AssignmentStatus';
+
+/**
+ * Modal to create or edit a cohort. Admins also choose its instructor.
+ */
+const CohortForm = ({ cohort, isAdmin, onSave, onCancel }) => {
+  const [formData, setFormData] = useState({
+    name: cohort?.name || '',
+    description: cohort?.description || '',
+    instructor_id: cohort?.instructor_id || ''
+  });
+  const [instructors, setInstructors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    getUsers()
+      .then(data => setInstructors((data.users || []).filter(user => ['instructor', 'admin'].includes(user.role))))
+      .catch(() => setInstructors([]));
+  }, [isAdmin]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const payload = { name: formData.name.trim(), description: formData.description.trim() };
+      if (isAdmin) {
+        payload.instructor_id = formData.instructor_id ? Number(formData.instructor_id) : null;
+      }
+      if (cohort) {
+        await updateCohort(cohort.id, payload);
+      } else {
+        await createCohort(payload);
+      }
+      onSave();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to save the cohort');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-6 w-11/12 max-w-xl card animate-fade-in">
+        <h3 className="text-xl font-semibold mb-6">{cohort ? 'Edit Cohort' : 'New Cohort'}</h3>
+
+        {error && (
+          <div className="alert alert-danger">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="form-label">Name</label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              className="form-input"
+              placeholder="e.g. CS101 Section A"
+              required
+            />
+          </div>
+          <div>
+            <label className="form-label">Description</label>
+            <textarea
+              name="description"
+              value={formData.description}
+              onChange={handleInputChange}
+              rows={3}
+              className="form-textarea"
+            />
+          </div>
+          {isAdmin && (
+            <div>
+              <label className="form-label">Instructor</label>
+              <select name="instructor_id" value={formData.instructor_id} onChange={handleInputChange} className="form-select">
+                <option value="">No instructor (admins only)</option>
+                {instructors.map(instructor => (
+                  <option key={instructor.id} value={instructor.id}>{instructor.name} ({instructor.role})</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={onCancel} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn btn-primary">
+              {saving ? 'Saving...' : (cohort ? 'Update' : 'Create')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Members, join code and assignments of one cohort.
+ */
+const CohortDetail = ({ cohortId, onChange }) => {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [showAssignmentForm, setShowAssignmentForm] = useState(false);
+  const [editingAssignment, setEditingAssignment] = useState(null);
+  const [progress, setProgress] = useState(null);
+
+  const fetchCohort = useCallback(async () => {
+    try {
+      setData(await getCohort(cohortId));
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to load the cohort');
+    }
+  }, [cohortId]);
+
+  useEffect(() => {
+    setProgress(null);
+    fetchCohort();
+  }, [fetchCohort]);
+
+  const handleRegenerate = async () => {
+    if (!window.confirm('Generate a new join code? The current code stops working.')) return;
+    try {
+      await regenerateJoinCode(cohortId);
+      fetchCohort();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to regenerate the join code');
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    if (!window.confirm(`Remove ${member.name} from this cohort?`)) return;
+    try {
+      await removeCohortMember(cohortId, member.id);
+      fetchCohort();
+      onChange();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to remove the member');
+    }
+  };
+
+  const handleDeleteAssignment = async (assignment) => {
+    if (!window.confirm(`Delete the assignment "${assignment.title}"?`)) return;
+    try {
+      await deleteCohortAssignment(cohortId, assignment.id);
+      if (progress?.assignment.id === assignment.id) setProgress(null);
+      fetchCohort();
+      onChange();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to delete the assignment');
+    }
+  };
+
+  const handleShowProgress = async (assignment) => {
+    if (progress?.assignment.id === assignment.id) {
+      setProgress(null);
+      return;
+    }
+    try {
+      setProgress(await getAssignmentProgress(cohortId, assignment.id));
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to load the progress');
+    }
+  };
+
+  const handleAssignmentSaved = () => {
+    setShowAssignmentForm(false);
+    setEditingAssignment(null);
+    setProgress(null);
+    fetchCohort();
+    onChange();
+  };
+
+  if (!data) {
+    return error ? (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded" role="alert">{error}</div>
+    ) : (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  const { cohort, assignments, members } = data;
+
+  return (
+    <div className="mt-6 border-t pt-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-start gap-4">
+        <div>
+          <h3 className="text-lg font-semibold">{cohort.name}</h3>
+          {cohort.description && <p className="text-sm text-gray-600">{cohort.description}</p>}
+        </div>
+        <div className="flex items-center gap-3">
+          <span className="text-sm text-gray-500">Join code</span>
+          <code className="px-3 py-1 bg-gray-100 rounded text-lg font-mono tracking-widest">{cohort.join_code}</code>
+          <button onClick={handleRegenerate} className="text-sm text-primary-600 hover:text-primary-900">
+            Regenerate
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded" role="alert">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      <div>
+        <div className="flex justify-between items-center mb-3">
+          <h4 className="font-semibold">Assignments</h4>
+          <button onClick={() => setShowAssignmentForm(true)} className="btn btn-secondary btn-sm">
+            New Assignment
+          </button>
+        </div>
+        {assignments.length === 0 ? (
+          <p className="text-sm text-gray-500">No assignments yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Title</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Content</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Due</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Completed</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {assignments.map(assignment => (
+                  <tr key={assignment.id}>
+                    <td className="px-4 py-3 text-sm font-medium text-gray-900">{assignment.title}</td>
+                    <td className="px-4 py-3 text-sm text-gray-500">
+                      {assignment.assignment_type === 'quiz'
+                        ? `Quiz: ${assignment.quiz_title}`
+                        : `${assignment.questions.length} problem${assignment.questions.length === 1 ? '' : 's'}`}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500 whitespace-nowrap">
+                      {assignment.due_at ? new Date(assignment.due_at).toLocaleString() : 'No due date'}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500 whitespace-nowrap">
+                      {assignment.summary.completed}/{assignment.summary.members}
+                      {assignment.summary.late > 0 && ` (${assignment.summary.late} late)`}
+                    </td>
+                    <td className="px-4 py-3 text-sm font-medium whitespace-nowrap">
+                      <button onClick={() => handleShowProgress(assignment)} className="text-gray-600 hover:text-gray-900 mr-3">
+                        Progress
+                      </button>
+                      <button
+                        onClick={() => {
+                          setEditingAssignment(assignment);
+                          setShowAssignmentForm(true);
+                        }}
+                        className="text-primary-600 hover:text-primary-900 mr-3"
+                      >
+                        Edit
+                      </button>
+                      <button onClick={() => handleDeleteAssignment(assignment)} className="text-red-600 hover:text-red-900">
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {progress && (
+          <div className="mt-4 card p-4">
+            <h5 className="font-medium mb-3">Progress: {progress.assignment.title}</h5>
+            {progress.members.length === 0 ? (
+              <p className="text-sm text-gray-500">No students have joined this cohort yet.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <tbody className="divide-y divide-gray-200">
+                  {progress.members.map(member => (
+                    <tr key={member.id}>
+                      <td className="py-2 pr-4 text-sm text-gray-900">{member.name}</td>
+                      <td className="py-2 pr-4 text-sm text-gray-500">{member.email}</td>
+                      <td className="py-2 pr-4 text-sm text-gray-500">
+                        {member.progress.completedAt && new Date(member.progress.completedAt).toLocaleString()}
+                      </td>
+                      <td className="py-2 text-right">
+                        <AssignmentStatus assignment={progress.assignment} progress={member.progress} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h4 className="font-semibold mb-3">Members ({members.length})</h4>
+        {members.length === 0 ? (
+          <p className="text-sm text-gray-500">Share the join code with your students to let them join.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Joined</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {members.map(member => (
+                  <tr key={member.id}>
+                    <td className="px-4 py-3 text-sm text-gray-900">{member.name}</td>
+                    <td className="px-4 py-3 text-sm text-gray-500">{member.email}</td>
+                    <td className="px-4 py-3 text-sm text-gray-500">{new Date(member.joined_at).toLocaleDateString()}</td>
+                    <td className="px-4 py-3 text-sm font-medium">
+                      <button onClick={() => handleRemoveMember(member)} className="text-red-600 hover:text-red-900">
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {showAssignmentForm && (
+        <CohortAssignmentForm
+          cohortId={cohortId}
+          assignment={editingAssignment}
+          onSave={handleAssignmentSaved}
+          onCancel={() => {
+            setShowAssignmentForm(false);
+            setEditingAssignment(null);
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Cohort management for instructors (their own cohorts) and admins (every cohort).
+ * The cohort list comes from the panel, which also feeds its cohort switcher.
+ */
+const CohortsPanel = ({ user, cohorts, selectedCohortId, onSelectCohort, onCohortsChange }) => {
+  const isAdmin = user?.role === 'admin';
+  const [showForm, setShowForm] = useState(false);
+  const [editingCohort, setEditingCohort] = useState(null);
+  const [error, setError] = useState('');
+
+  const managedCohorts = cohorts.filter(cohort => cohort.managed);
+
+  const handleDelete = async (cohort) => {
+    if (!window.confirm(`Delete ${cohort.name}? Its memberships and assignments are deleted too.`)) return;
+    try {
+      await deleteCohort(cohort.id);
+      if (String(selectedCohortId) === String(cohort.id)) onSelectCohort('');
+      onCohortsChange();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to delete the cohort');
+    }
+  };
+
+  const handleFormSave = () => {
+    setShowForm(false);
+    setEditingCohort(null);
+    onCohortsChange();
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-xl font-semibold">Cohorts</h2>
+        <button
+          onClick={() => setShowForm(true)}
+          className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+        >
+          New Cohort
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      {managedCohorts.length === 0 ? (
+        <p className="text-sm text-gray-500">No cohorts yet. Create one and share its join code with your students.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Instructor</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Members</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assignments</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Join Code</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {managedCohorts.map(cohort => (
+                <tr key={cohort.id} className={String(selectedCohortId) === String(cohort.id) ? 'bg-primary-50' : ''}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{cohort.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{cohort.instructor_name || '—'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{cohort.member_count}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{cohort.assignment_count}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-700">{cohort.join_code}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <button onClick={() => onSelectCohort(cohort.id)} className="text-gray-600 hover:text-gray-900 mr-3">
+                      Manage
+                    </button>
+                    <button
+                      onClick={() => {
+                        setEditingCohort(cohort);
+                        setShowForm(true);
+                      }}
+                      className="text-primary-600 hover:text-primary-900 mr-3"
+                    >
+                      Edit
+                    </button>
+                    <button onClick={() => handleDelete(cohort)} className="text-red-600 hover:text-red-900">
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selectedCohortId && managedCohorts.some(cohort => String(cohort.id) === String(selectedCohortId)) && (
+        <CohortDetail cohortId={selectedCohortId} onChange={onCohortsChange} />
+      )}
+
+      {showForm && (
+        <CohortForm
+          cohort={editingCohort}
+          isAdmin={isAdmin}
+          onSave={handleFormSave}
+          onCancel={() => {
+            setShowForm(false);
+            setEditingCohort(null);
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CohortsPanel;
@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import { createContest, updateContest } from '../services/adminService';
+import { getContest } from '../services/contestService';
+import { getQuestions } from '../services/questionService';
+
+const EMPTY_PROBLEM = { question_id: '', label: '', points: 100 };
+
+// datetime-local inputs take local time without a zone
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const ContestForm = ({ contest, onSave, onCancel }) => {
+  const [formData, setFormData] = useState({
+    title: '',
+    description: '',
+    start_time: '',
+    end_time: '',
+    scoring_type: 'icpc',
+    penalty_minutes: 20,
+    freeze_minutes: '',
+    problems: [{ ...EMPTY_PROBLEM }]
+  });
+  const [questions, setQuestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getQuestions({ page: 1, limit: 100 })
+      .then(data => setQuestions(data.questions || []))
+      .catch(() => setError('Failed to load questions'));
+  }, []);
+
+  useEffect(() => {
+    if (!contest) return;
+    const loadContest = async () => {
+      try {
+        const data = await getContest(contest.id);
+        setFormData({
+          title: data.contest.title || '',
+          description: data.contest.description || '',
+          start_time: toLocalInput(data.contest.start_time),
+          end_time: toLocalInput(data.contest.end_time),
+          scoring_type: data.contest.scoring_type || 'icpc',
+          penalty_minutes: data.contest.penalty_minutes ?? 20,
+          freeze_minutes: data.contest.freeze_minutes ?? '',
+          problems: data.problems.length > 0
+            ? data.problems.map(problem => ({ question_id: problem.question_id, label: problem.label, points: problem.points }))
+            : [{ ...EMPTY_PROBLEM }]
+        });
+      } catch (err) {
+        setError(typeof err === 'string' ? err : 'Failed to load the contest');
+      }
+    };
+    loadContest();
+  }, [contest]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleProblemChange = (index, field, value) => {
+    setFormData(prev => {
+      const problems = [...prev.problems];
+      problems[index] = { ...problems[index], [field]: value };
+      return { ...prev, problems };
+    });
+  };
+
+  const addProblem = () => {
+    setFormData(prev => ({ ...prev, problems: [...prev.problems, { ...EMPTY_PROBLEM }] }));
+  };
+
+  const removeProblem = (index) => {
+    setFormData(prev => ({ ...prev, problems: prev.problems.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const submitData = {
+        title: formData.title.trim(),
+        description: formData.description.trim(),
+        start_time: formData.start_time ? new Date(formData.start_time).toISOString() : '',
+        end_time: formData.end_time ? new Date(formData.end_time).toISOString() : '',
+        scoring_type: formData.scoring_type,
+        penalty_minutes: Number(formData.penalty_minutes),
+        freeze_minutes: formData.freeze_minutes === '' ? null : Number(formData.freeze_minutes),
+        problems: formData.problems.map((problem, index) => ({
+          question_id: Number(problem.question_id),
+          label: problem.label.trim() || String.fromCharCode(65 + index),
+          points: Number(problem.points)
+        }))
+      };
+
+      if (contest) {
+        await updateContest(contest.id, submitData);
+      } else {
+        await createContest(submitData);
+      }
+      onSave();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to save contest');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-6 w-11/12 max-w-4xl card animate-fade-in">
+        <div className="mt-3">
+          <h3 className="text-xl font-semibold mb-6">
+            {contest ? 'Edit Contest' : 'Create New Contest'}
+          </h3>
+
+          {error && (
+            <div className="alert alert-danger">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label className="form-label">Title</label>
+              <input
+                type="text"
+                name="title"
+                value={formData.title}
+                onChange={handleInputChange}
+                className="form-input"
+                required
+              />
+            </div>
+
+            <div>
+              <label className="form-label">Description</label>
+              <textarea
+                name="description"
+                value={formData.description}
+                onChange={handleInputChange}
+                rows={3}
+                className="form-textarea"
+              />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="form-label">Start Time</label>
+                <input
+                  type="datetime-local"
+                  name="start_time"
+                  value={formData.start_time}
+                  onChange={handleInputChange}
+                  className="form-input"
+                  required
+                />
+              </div>
+              <div>
+                <label className="form-label">End Time</label>
+                <input
+                  type="datetime-local"
+                  name="end_time"
+                  value={formData.end_time}
+                  onChange={handleInputChange}
+                  className="form-input"
+                  required
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="form-label">Scoring</label>
+                <select name="scoring_type" value={formData.scoring_type} onChange={handleInputChange} className="form-input">
+                  <option value="icpc">ICPC (solved, then penalty time)</option>
+                  <option value="ioi">IOI (partial points)</option>
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Penalty per rejected attempt (minutes)</label>
+                <input
+                  type="number"
+                  name="penalty_minutes"
+                  min="0"
+                  value={formData.penalty_minutes}
+                  onChange={handleInputChange}
+                  disabled={formData.scoring_type === 'ioi'}
+                  className="form-input"
+                />
+              </div>
+              <div>
+                <label className="form-label">Freeze scoreboard (minutes before end)</label>
+                <input
+                  type="number"
+                  name="freeze_minutes"
+                  min="1"
+                  placeholder="No freeze"
+                  value={formData.freeze_minutes}
+                  onChange={handleInputChange}
+                  className="form-input"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="form-label mb-2">Problems</label>
+              <div className="space-y-3">
+                {formData.problems.map((problem, index) => (
+                  <div key={index} className="grid grid-cols-12 gap-3 items-center">
+                    <input
+                      type="text"
+                      value={problem.label}
+                      placeholder={String.fromCharCode(65 + index)}
+                      onChange={(e) => handleProblemChange(index, 'label', e.target.value)}
+                      className="form-input col-span-2"
+                      maxLength={10}
+                    />
+                    <select
+                      value={problem.question_id}
+                      onChange={(e) => handleProblemChange(index, 'question_id', e.target.value)}
+                      className="form-input col-span-6"
+                      required
+                    >
+                      <option value="">Select a question</option>
+                      {questions.map(question => (
+                        <option key={question.id} value={question.id}>#{question.id} {question.title}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="1"
+                      value={problem.points}
+                      onChange={(e) => handleProblemChange(index, 'points', e.target.value)}
+                      className="form-input col-span-2"
+                      title="Points"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeProblem(index)}
+                      disabled={formData.problems.length === 1}
+                      className="col-span-2 text-sm text-red-600 hover:text-red-800 disabled:opacity-40"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button type="button" onClick={addProblem} className="btn btn-secondary mt-3">
+                Add Problem
+              </button>
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={onCancel}
+                className="btn btn-secondary"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={loading}
+                className="btn btn-primary"
+              >
+                {loading ? 'Saving...' : (contest ? 'Update' : 'Create')}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContestForm;
@@ -0,0 +1,108 @@
+import React from 'react';
+
+/**
+ * One problem cell. ICPC cells show "+tries" and the solve minute, or "-tries";
+ * IOI cells show the best score. Submissions hidden by the freeze or still
+ * being judged are shown as "?".
+ */
+const ScoreCell = ({ cell, scoring, points }) => {
+  if (!cell) {
+    return <td className="px-2 py-2 text-center text-gray-300">·</td>;
+  }
+
+  const pending = cell.pending > 0 ? <div className="text-xs text-amber-700">?{cell.pending}</div> : null;
+
+  if (scoring === 'ioi') {
+    const tone = cell.score >= points
+      ? 'bg-green-100 text-green-800'
+      : cell.score > 0 ? 'bg-yellow-50 text-yellow-800' : 'text-red-700';
+    return (
+      <td className={`px-2 py-2 text-center ${tone}`}>
+        <div className="font-semibold">{cell.attempts > 0 ? cell.score : ''}</div>
+        {pending}
+      </td>
+    );
+  }
+
+  if (cell.solved) {
+    return (
+      <td className={`px-2 py-2 text-center ${cell.first ? 'bg-green-300 text-green-900' : 'bg-green-100 text-green-800'}`} title={cell.first ? 'First to solve' : undefined}>
+        <div className="font-semibold">+{cell.attempts > 0 ? cell.attempts : ''}</div>
+        <div className="text-xs">{cell.minute}</div>
+      </td>
+    );
+  }
+
+  return (
+    <td className={`px-2 py-2 text-center ${cell.pending > 0 ? 'bg-amber-50' : 'bg-red-50'}`}>
+      {cell.attempts > 0 && <div className="font-semibold text-red-700">-{cell.attempts}</div>}
+      {pending}
+    </td>
+  );
+};
+
+/**
+ * Contest standings table for ICPC (solved, penalty) or IOI (points) scoring.
+ */
+const ContestScoreboard = ({ scoreboard, currentUserId }) => {
+  const { scoring, problems, rows } = scoreboard;
+
+  if (rows.length === 0) {
+    return <p className="text-sm text-gray-500 py-4">Nobody has registered yet.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">#</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Contestant</th>
+            {scoring === 'ioi' ? (
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Score</th>
+            ) : (
+              <>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Solved</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Penalty</th>
+              </>
+            )}
+            {problems.map(problem => (
+              <th key={problem.questionId} className="px-2 py-2 text-center text-xs font-medium text-gray-500" title={problem.title}>
+                <div className="uppercase">{problem.label}</div>
+                <div className="font-normal normal-case">
+                  {scoring === 'ioi' ? `${problem.points} pts` : `${problem.solvedCount}/${problem.attemptedCount}`}
+                </div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {rows.map(row => (
+            <tr key={row.userId} className={row.userId === currentUserId ? 'bg-primary-50' : ''}>
+              <td className="px-3 py-2 text-gray-600">{row.rank}</td>
+              <td className="px-3 py-2 font-medium text-gray-900">{row.name}</td>
+              {scoring === 'ioi' ? (
+                <td className="px-3 py-2 text-right font-semibold">{row.score}</td>
+              ) : (
+                <>
+                  <td className="px-3 py-2 text-right font-semibold">{row.solved}</td>
+                  <td className="px-3 py-2 text-right text-gray-600">{row.penalty}</td>
+                </>
+              )}
+              {problems.map(problem => (
+                <ScoreCell
+                  key={problem.questionId}
+                  cell={row.problems[problem.questionId]}
+                  scoring={scoring}
+                  points={problem.points}
+                />
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ContestScoreboard;
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { getLeaderboard, getRecentActivity } from '../services/adminService';
 
-const Leaderboard = () => {
+const Leaderboard = ({ cohortId }) => {
   const [leaderboardData, setLeaderboardData] = useState({});
   const [recentActivity, setRecentActivity] = useState([]);
   const [activeTab, setActiveTab] = useState('overall');
@@ -13,7 +13,7 @@ const Leaderboard = () => {
       setLoading(true);
       setError('');
       console.log('Fetching leaderboard data for tab:', activeTab);
-      const data = await getLeaderboard(activeTab, 15);
+      const data = await getLeaderboard(activeTab, 15, cohortId);
       console.log('Received leaderboard data:', data);
       setLeaderboardData(data || {});
     } catch (err) {
@@ -23,18 +23,18 @@ const Leaderboard = () => {
     } finally {
       setLoading(false);
     }
-  }, [activeTab]);
+  }, [activeTab, cohortId]);
 
   const fetchRecentActivity = useCallback(async () => {
     try {
       console.log('Fetching recent activity...');
-      const data = await getRecentActivity(15);
+      const data = await getRecentActivity(15, cohortId);
       console.log('Received recent activity:', data);
       setRecentActivity(data.recentActivity || []);
     } catch (err) {
       console.error('Failed to load recent activity:', err);
     }
-  }, []);
+  }, [cohortId]);
 
   useEffect(() => {
     fetchLeaderboardData();
@@ -119,6 +119,7 @@ const Leaderboard = () => {
             <tr>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rank</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Points</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Solved</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempted</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Success Rate</th>
@@ -135,6 +136,9 @@ const Leaderboard = () => {
                   <div className="text-sm font-medium text-gray-900">{user.name}</div>
                   <div className="text-sm text-gray-500">{user.email}</div>
                 </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900" title="Best score per problem, out of 100 each">
+                  {Number(user.total_points || 0)}
+                </td>
                 <td className="px-6 py-4 whitespace-nowrap">
                   <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
                     {user.problems_solved}
@@ -163,6 +167,52 @@ const Leaderboard = () => {
     );
   };
 
+  const renderAssessmentLeaderboard = () => {
+    if (!leaderboardData.assessment || leaderboardData.assessment.length === 0) {
+      return <div className="text-center py-8 text-gray-500">No assessment data available</div>;
+    }
+
+    return (
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rank</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Points</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Avg Score</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assessments</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {leaderboardData.assessment.map((user, index) => (
+              <tr key={user.id} className={index < 3 ? 'bg-yellow-50' : ''}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                  {getRankIcon(index + 1)}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="text-sm font-medium text-gray-900">{user.name}</div>
+                  <div className="text-sm text-gray-500">{user.email}</div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">
+                  {Number(user.total_points || 0)} / {Number(user.max_points || 0)}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-purple-100 text-purple-800">
+                    {Number(user.avg_percentage || 0)}%
+                  </span>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                  {user.assessments_completed}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
   const renderOverallStats = () => {
     if (!leaderboardData.stats) return null;
 
@@ -208,7 +258,11 @@ const Leaderboard = () => {
                 <div className="text-xs text-gray-500">
                   {activity.activity_type === 'quiz' 
                     ? `Completed "${activity.quiz_title}" with score ${activity.score}`
-                    : `${activity.passed ? 'Solved' : 'Attempted'} "${activity.question_title}"`
+                    : activity.passed
+                      ? `Solved "${activity.question_title}"`
+                      : Number(activity.score) > 0
+                        ? `Scored ${Number(activity.score)}/100 on "${activity.question_title}"`
+                        : `Attempted "${activity.question_title}"`
                   }
                 </div>
               </div>
@@ -255,7 +309,7 @@ const Leaderboard = () => {
       <div className="bg-white shadow-sm rounded-lg">
         <div className="border-b border-gray-200">
           <nav className="-mb-px flex space-x-8 px-6">
-            {['overall', 'quiz', 'coding'].map((tab) => (
+            {['overall', 'quiz', 'coding', 'assessment'].map((tab) => (
               <button
                 key={tab}
                 onClick={() => setActiveTab(tab)}
@@ -265,7 +319,7 @@ const Leaderboard = () => {
                     : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
                 }`}
               >
-                {tab === 'overall' ? 'Overall' : tab === 'quiz' ? 'Quiz Champions' : 'Coding Masters'}
+                {tab === 'overall' ? 'Overall' : tab === 'quiz' ? 'Quiz Champions' : tab === 'coding' ? 'Coding Masters' : 'Assessment Leaders'}
               </button>
             ))}
           </nav>
@@ -282,10 +336,15 @@ const Leaderboard = () => {
                 <h3 className="text-lg font-medium text-gray-900 mb-4">💻 Coding Masters</h3>
                 {renderCodingLeaderboard()}
               </div>
+              <div className="lg:col-span-2">
+                <h3 className="text-lg font-medium text-gray-900 mb-4">📝 Assessment Leaders</h3>
+                {renderAssessmentLeaderboard()}
+              </div>
             </div>
           )}
           {activeTab === 'quiz' && renderQuizLeaderboard()}
           {activeTab === 'coding' && renderCodingLeaderboard()}
+          {activeTab === 'assessment' && renderAssessmentLeaderboard()}
         </div>
       </div>
 
@@ -39,14 +39,25 @@ const Navbar = ({ user, onLogout }) => {
               <Link to="/quizzes" className="nav-link">
                 Quizzes
               </Link>
+              <Link to="/contests" className="nav-link">
+                Contests
+              </Link>
+              <Link to="/assessments" className="nav-link">
+                Assessments
+              </Link>
               {user && (
                 <Link to="/dashboard" className="nav-link">
                   Dashboard
                 </Link>
               )}
-              {user && user.role === 'admin' && (
+              {user && (
+                <Link to="/cohorts" className="nav-link">
+                  Cohorts
+                </Link>
+              )}
+              {user && ['admin', 'instructor'].includes(user.role) && (
                 <Link to="/admin" className="nav-link">
-                  Admin
+                  {user.role === 'admin' ? 'Admin' : 'Instructor'}
                 </Link>
               )}
             </div>
@@ -171,6 +182,20 @@ const Navbar = ({ user, onLogout }) => {
               >
                 Quizzes
               </Link>
+              <Link 
+                to="/contests" 
+                className="nav-link block px-3 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+                onClick={closeMobileMenu}
+              >
+                Contests
+              </Link>
+              <Link 
+                to="/assessments" 
+                className="nav-link block px-3 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+                onClick={closeMobileMenu}
+              >
+                Assessments
+              </Link>
               {user && (
                 <Link 
                   to="/dashboard" 
@@ -180,13 +205,22 @@ const Navbar = ({ user, onLogout }) => {
                   Dashboard
                 </Link>
               )}
-              {user && user.role === 'admin' && (
+              {user && (
+                <Link 
+                  to="/cohorts" 
+                  className="nav-link block px-3 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+                  onClick={closeMobileMenu}
+                >
+                  Cohorts
+                </Link>
+              )}
+              {user && ['admin', 'instructor'].includes(user.role) && (
                 <Link 
                   to="/admin" 
                   className="nav-link block px-3 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
                   onClick={closeMobileMenu}
                 >
-                  Admin
+                  {user.role === 'admin' ? 'Admin' : 'Instructor'}
                 </Link>
               )}
             </div>
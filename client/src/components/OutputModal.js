@@ -1,6 +1,7 @@
 import React, { useEffect } from 'react';
+import VerdictBadge from './VerdictBadge';
 
-const OutputModal = ({ isOpen, onClose, children, title = "Output" }) => {
+const OutputModal = ({ isOpen, onClose, children, title = "Output", verdict = null }) => {
   useEffect(() => {
     if (isOpen) {
       // Prevent body scroll when modal is open
@@ -32,7 +33,10 @@ const OutputModal = ({ isOpen, onClose, children, title = "Output" }) => {
         >
           {/* Header */}
           <div className="flex items-center justify-between px-4 py-3 border-b dark:border-gray-700 bg-gray-50 dark:bg-gray-900">
-            <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{title}</h3>
+            <div className="flex items-center gap-2">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{title}</h3>
+              <VerdictBadge verdict={verdict} showLabel />
+            </div>
             <button
               onClick={onClose}
               className="p-2 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors"
@@ -0,0 +1,380 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getPlagiarismReports,
+  startPlagiarismCheck,
+  getPlagiarismReport,
+  compareSubmissions,
+  deletePlagiarismReport
+} from '../services/adminService';
+import { getQuestions } from '../services/questionService';
+
+// How often the report list refreshes while a check is running
+const POLL_INTERVAL_MS = 3000;
+
+const STATUS_BADGES = {
+  pending: 'bg-gray-100 text-gray-800',
+  running: 'bg-blue-100 text-blue-800',
+  finished: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const similarityClass = (similarity) => (
+  similarity >= 90 ? 'bg-red-100 text-red-800'
+    : similarity >= 80 ? 'bg-orange-100 text-orange-800'
+      : 'bg-yellow-100 text-yellow-800'
+);
+
+const questionLanguages = (question) => {
+  const supported = typeof question?.language_supported === 'string'
+    ? JSON.parse(question.language_supported)
+    : question?.language_supported;
+  return Array.isArray(supported?.languages) ? supported.languages : [];
+};
+
+/**
+ * One solution of a compared pair with the lines it shares with the other highlighted.
+ */
+const CodeColumn = ({ submission }) => {
+  const matched = new Set(submission.matchedLines);
+  const lines = (submission.code || '').split('\n');
+  return (
+    <div className="min-w-0">
+      <div className="text-sm font-medium text-gray-900">{submission.name}</div>
+      <div className="text-xs text-gray-500 mb-2">
+        #{submission.id} · {submission.email} · {new Date(submission.submitted_at).toLocaleString()}
+      </div>
+      <pre className="text-xs font-mono border rounded overflow-x-auto max-h-[60vh]">
+        {lines.map((line, index) => (
+          <div key={index} className={`flex ${matched.has(index + 1) ? 'bg-yellow-100' : ''}`}>
+            <span className="select-none text-gray-400 w-10 shrink-0 text-right pr-2">{index + 1}</span>
+            <span className="whitespace-pre">{line || ' '}</span>
+          </div>
+        ))}
+      </pre>
+    </div>
+  );
+};
+
+/**
+ * Side-by-side view of two flagged solutions.
+ */
+const PairComparison = ({ reportId, pair, onClose }) => {
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    compareSubmissions(reportId, pair.a.submissionId, pair.b.submissionId)
+      .then(setComparison)
+      .catch(err => setError(typeof err === 'string' ? err : 'Failed to compare the submissions'));
+  }, [reportId, pair]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-6 w-11/12 max-w-7xl card animate-fade-in">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-semibold">
+            {pair.a.name} vs {pair.b.name}
+            {comparison && (
+              <span className={`ml-3 px-2 py-1 rounded text-sm ${similarityClass(comparison.similarity)}`}>
+                {comparison.similarity}% similar
+              </span>
+            )}
+          </h3>
+          <button type="button" onClick={onClose} className="btn btn-secondary">Close</button>
+        </div>
+        {error && <div className="alert alert-danger">{error}</div>}
+        {!comparison && !error && <p className="text-sm text-gray-500">Loading…</p>}
+        {comparison && (
+          <>
+            <p className="text-xs text-gray-500 mb-3">
+              Highlighted lines share token sequences with the other solution, ignoring names, literals, comments and formatting.
+            </p>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+              <CodeColumn submission={comparison.a} />
+              <CodeColumn submission={comparison.b} />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Flagged clusters and pairs of one finished report.
+ */
+const ReportDetails = ({ reportId }) => {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [comparedPair, setComparedPair] = useState(null);
+
+  useEffect(() => {
+    setData(null);
+    setError('');
+    getPlagiarismReport(reportId)
+      .then(setData)
+      .catch(err => setError(typeof err === 'string' ? err : 'Failed to load the report'));
+  }, [reportId]);
+
+  if (error) return <div className="alert alert-danger">{error}</div>;
+  if (!data) return <p className="text-sm text-gray-500">Loading report…</p>;
+
+  const { report, result } = data;
+  if (report.status === 'failed') {
+    return <div className="alert alert-danger">The check failed: {report.error}</div>;
+  }
+  if (!result) {
+    return <p className="text-sm text-gray-500">The check is still running.</p>;
+  }
+
+  const languages = Object.entries(result.languages).map(([language, count]) => `${count} ${language}`).join(', ');
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-gray-600">
+        Compared the latest accepted solution of {report.submission_count} student{report.submission_count === 1 ? '' : 's'}
+        {languages ? ` (${languages})` : ''} for <strong>{report.question_title}</strong>; pairs at least {report.threshold}% similar are flagged.
+        {result.truncated && ' Only the most similar pairs are listed.'}
+      </p>
+
+      <div>
+        <h4 className="text-lg font-semibold mb-2">Suspicious clusters</h4>
+        {result.clusters.length === 0 ? (
+          <p className="text-sm text-gray-500">No solutions were flagged.</p>
+        ) : (
+          <div className="space-y-2">
+            {result.clusters.map((cluster, index) => (
+              <div key={index} className="border rounded-lg p-3 flex flex-wrap items-center gap-2">
+                <span className={`px-2 py-1 rounded text-xs font-semibold ${similarityClass(cluster.maxSimilarity)}`}>
+                  up to {cluster.maxSimilarity}%
+                </span>
+                <span className="text-xs text-gray-500">{cluster.language} · {cluster.members.length} students:</span>
+                {cluster.members.map(member => (
+                  <span key={member.submissionId} className="px-2 py-1 bg-gray-100 rounded text-sm">{member.name}</span>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {result.pairs.length > 0 && (
+        <div>
+          <h4 className="text-lg font-semibold mb-2">Flagged pairs</h4>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Similarity</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Student</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Student</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Language</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {result.pairs.map(pair => (
+                  <tr key={`${pair.a.submissionId}-${pair.b.submissionId}`}>
+                    <td className="px-4 py-2">
+                      <span className={`px-2 py-1 rounded text-xs font-semibold ${similarityClass(pair.similarity)}`}>{pair.similarity}%</span>
+                    </td>
+                    <td className="px-4 py-2">{pair.a.name}</td>
+                    <td className="px-4 py-2">{pair.b.name}</td>
+                    <td className="px-4 py-2 text-gray-500">{pair.language}</td>
+                    <td className="px-4 py-2 text-right">
+                      <button type="button" onClick={() => setComparedPair(pair)} className="text-primary-600 hover:text-primary-800">
+                        Compare
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {comparedPair && (
+        <PairComparison reportId={reportId} pair={comparedPair} onClose={() => setComparedPair(null)} />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Admin tab for code similarity checks over the accepted solutions of a question.
+ */
+const PlagiarismPanel = () => {
+  const [questions, setQuestions] = useState([]);
+  const [reports, setReports] = useState([]);
+  const [form, setForm] = useState({ question_id: '', language: '', threshold: 70 });
+  const [selectedReportId, setSelectedReportId] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchReports = useCallback(async () => {
+    try {
+      setReports(await getPlagiarismReports());
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to load plagiarism reports');
+    }
+  }, []);
+
+  useEffect(() => {
+    getQuestions({ page: 1, limit: 100 })
+      .then(data => setQuestions(data.questions || []))
+      .catch(() => setError('Failed to load questions'));
+    fetchReports();
+  }, [fetchReports]);
+
+  const checking = reports.some(report => report.status === 'pending' || report.status === 'running');
+
+  useEffect(() => {
+    if (!checking) return undefined;
+    const timer = setInterval(fetchReports, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [checking, fetchReports]);
+
+  const selectedQuestion = questions.find(question => String(question.id) === String(form.question_id));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value, ...(name === 'question_id' && { language: '' }) }));
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    setStarting(true);
+    setError('');
+    try {
+      const { reportId } = await startPlagiarismCheck({
+        question_id: Number(form.question_id),
+        language: form.language || undefined,
+        threshold: Number(form.threshold)
+      });
+      await fetchReports();
+      setSelectedReportId(reportId);
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to start the plagiarism check');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const handleDelete = async (reportId) => {
+    if (!window.confirm('Delete this report?')) return;
+    try {
+      await deletePlagiarismReport(reportId);
+      if (selectedReportId === reportId) setSelectedReportId(null);
+      await fetchReports();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to delete the report');
+    }
+  };
+
+  const selectedReport = reports.find(report => report.id === selectedReportId);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-xl font-semibold">Plagiarism Detection</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Compares the latest accepted solution of every student for a question. Variable names, literals, comments and formatting are ignored, so renamed or reformatted copies are still found.
+        </p>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      <form onSubmit={handleStart} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div className="md:col-span-2">
+          <label className="form-label">Question</label>
+          <select name="question_id" value={form.question_id} onChange={handleChange} className="form-input" required>
+            <option value="">Select a question</option>
+            {questions.map(question => (
+              <option key={question.id} value={question.id}>#{question.id} {question.title}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="form-label">Language</label>
+          <select name="language" value={form.language} onChange={handleChange} className="form-input">
+            <option value="">All languages</option>
+            {questionLanguages(selectedQuestion).map(language => (
+              <option key={language} value={language}>{language}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="form-label">Flag at (% similar)</label>
+          <input type="number" name="threshold" min="1" max="100" value={form.threshold} onChange={handleChange} className="form-input" required />
+        </div>
+        <div className="md:col-span-4">
+          <button type="submit" disabled={starting || !form.question_id} className="btn btn-primary">
+            {starting ? 'Starting…' : 'Run Check'}
+          </button>
+        </div>
+      </form>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Question</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Solutions</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Flagged</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Run</th>
+              <th className="px-4 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {reports.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="px-4 py-6 text-center text-gray-500">No checks have been run yet.</td>
+              </tr>
+            ) : reports.map(report => (
+              <tr key={report.id} className={report.id === selectedReportId ? 'bg-primary-50' : ''}>
+                <td className="px-4 py-2">
+                  <div className="font-medium text-gray-900">{report.question_title}</div>
+                  <div className="text-xs text-gray-500">{report.language || 'all languages'} · ≥ {report.threshold}%</div>
+                </td>
+                <td className="px-4 py-2">
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_BADGES[report.status]}`}>{report.status}</span>
+                </td>
+                <td className="px-4 py-2">{report.submission_count ?? '—'}</td>
+                <td className="px-4 py-2">
+                  {report.status === 'finished' ? `${report.pair_count} pairs in ${report.cluster_count} clusters` : '—'}
+                </td>
+                <td className="px-4 py-2 text-gray-500">
+                  {new Date(report.created_at).toLocaleString()}
+                  {report.created_by_name && <div className="text-xs">by {report.created_by_name}</div>}
+                </td>
+                <td className="px-4 py-2 text-right whitespace-nowrap">
+                  <button
+                    type="button"
+                    onClick={() => setSelectedReportId(report.id)}
+                    disabled={report.status === 'pending' || report.status === 'running'}
+                    className="text-primary-600 hover:text-primary-800 disabled:opacity-40 mr-3"
+                  >
+                    View
+                  </button>
+                  <button type="button" onClick={() => handleDelete(report.id)} className="text-red-600 hover:text-red-800">
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {selectedReport && selectedReport.status !== 'pending' && selectedReport.status !== 'running' && (
+        <div className="border-t pt-6">
+          <ReportDetails reportId={selectedReport.id} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlagiarismPanel;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { importProblemPackages } from '../services/adminService';
+
+// Upload cap for package archives, matching the server's limit.
+const MAX_PACKAGE_BYTES = 32 * 1024 * 1024;
+
+/**
+ * Bulk import of problem packages. The chosen file is checked first (dry run)
+ * so the admin can review titles, test counts and warnings before the
+ * questions are created.
+ */
+const ProblemImportPanel = ({ onImported, onClose }) => {
+  const [source, setSource] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [results, setResults] = useState(null);
+  const [imported, setImported] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const check = async (packageSource) => {
+    setBusy(true);
+    setError('');
+    try {
+      setResults(await importProblemPackages(packageSource, true));
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to read the packages');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_PACKAGE_BYTES) {
+      setError(`The file is larger than ${MAX_PACKAGE_BYTES / (1024 * 1024)} MB`);
+      return;
+    }
+
+    const isJson = file.name.toLowerCase().endsWith('.json');
+    const reader = new FileReader();
+    reader.onload = () => {
+      let packageSource;
+      if (isJson) {
+        try {
+          packageSource = { package: JSON.parse(reader.result) };
+        } catch (err) {
+          setError('The file is not valid JSON');
+          return;
+        }
+      } else {
+        // Strip the "data:application/zip;base64," prefix
+        packageSource = { archive: String(reader.result).split(',')[1] || '' };
+      }
+      setFileName(file.name);
+      setSource(packageSource);
+      setResults(null);
+      setImported(false);
+      check(packageSource);
+    };
+    reader.onerror = () => setError('Failed to read the file');
+    if (isJson) {
+      reader.readAsText(file);
+    } else {
+      reader.readAsDataURL(file);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      setResults(await importProblemPackages(source, false));
+      setImported(true);
+      onImported();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to import problems');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const importable = (results || []).filter(result => !result.error).length;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Import Problems</h3>
+          <p className="text-sm text-gray-500">
+            Upload a platform package (<code>.json</code> or <code>.zip</code>), a Polygon package ZIP, LeetCode question JSON,
+            or a ZIP with one package per folder.
+          </p>
+        </div>
+        <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close import">
+          ✕
+        </button>
+      </div>
+
+      <label className={`inline-block px-4 py-2 rounded-md text-sm font-medium border border-primary-300 text-primary-700 hover:bg-primary-50 ${busy ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
+        Choose file
+        <input type="file" accept=".zip,.json" onChange={handleFileChange} disabled={busy} className="hidden" />
+      </label>
+      {fileName && <span className="ml-3 text-sm text-gray-600">{fileName}</span>}
+
+      {busy && <p className="text-sm text-gray-600">{imported || !results ? 'Reading packages…' : 'Importing…'}</p>}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {results && (
+        <div className="space-y-3">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Title</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Tests</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {results.map((result, index) => (
+                  <tr key={`${result.source}-${index}`}>
+                    <td className="px-4 py-2 font-mono text-xs text-gray-600">{result.source}</td>
+                    <td className="px-4 py-2">{result.title || '—'}</td>
+                    <td className="px-4 py-2">{result.ioMode}</td>
+                    <td className="px-4 py-2">{result.testCases}</td>
+                    <td className="px-4 py-2">
+                      {result.error && <span className="text-red-600">{result.error}</span>}
+                      {!result.error && (
+                        <span className="text-green-700">{result.questionId ? `Imported (#${result.questionId})` : 'Ready'}</span>
+                      )}
+                      {result.warnings.map((warning) => (
+                        <div key={warning} className="text-xs text-amber-700">{warning}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {!imported && (
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={busy || importable === 0}
+              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Import {importable} {importable === 1 ? 'problem' : 'problems'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProblemImportPanel;
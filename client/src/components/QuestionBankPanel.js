@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getQuestionBank,
+  getQuestionBankTopics,
+  createBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion
+} from '../services/adminService';
+import QuizQuestionEditor, { QUESTION_TYPES, toEditableQuestion, toQuestionPayload } from './QuizQuestionEditor';
+
+const PAGE_SIZE = 20;
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+const EMPTY_BANK_QUESTION = {
+  topic: '',
+  question: '',
+  question_type: 'single',
+  options: { options: ['', '', '', ''] },
+  correct_option: 0,
+  answer: null,
+  difficulty: 'Easy'
+};
+
+const typeLabel = (type) => QUESTION_TYPES.find(entry => entry.value === type)?.label || type;
+
+/**
+ * Modal to add or edit one bank question.
+ */
+const BankQuestionForm = ({ question, topics, onSave, onCancel }) => {
+  const [formData, setFormData] = useState(
+    question ? { ...toEditableQuestion(question), topic: question.topic } : { ...EMPTY_BANK_QUESTION }
+  );
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const payload = { ...toQuestionPayload(formData), topic: formData.topic.trim() };
+      if (question) {
+        await updateBankQuestion(question.id, payload);
+      } else {
+        await createBankQuestion(payload);
+      }
+      onSave();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to save the question');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-6 w-11/12 max-w-3xl card animate-fade-in">
+        <h3 className="text-xl font-semibold mb-6">{question ? 'Edit Bank Question' : 'Add Bank Question'}</h3>
+
+        {error && <div className="alert alert-danger">{error}</div>}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Topic</label>
+              <input
+                type="text"
+                list="bank-topics"
+                value={formData.topic}
+                onChange={(e) => setFormData(prev => ({ ...prev, topic: e.target.value }))}
+                required
+                maxLength={100}
+                placeholder="Arrays, OOP, Networking..."
+                className="form-input"
+              />
+              <datalist id="bank-topics">
+                {topics.map(topic => <option key={topic.topic} value={topic.topic} />)}
+              </datalist>
+            </div>
+            <div>
+              <label className="form-label">Difficulty</label>
+              <select
+                value={formData.difficulty}
+                onChange={(e) => setFormData(prev => ({ ...prev, difficulty: e.target.value }))}
+                className="form-select"
+              >
+                {DIFFICULTIES.map(difficulty => <option key={difficulty} value={difficulty}>{difficulty}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="form-label">Question Text</label>
+            <textarea
+              value={formData.question}
+              onChange={(e) => setFormData(prev => ({ ...prev, question: e.target.value }))}
+              rows={2}
+              required
+              className="form-textarea"
+            />
+          </div>
+
+          <QuizQuestionEditor question={formData} onChange={setFormData} name="bank_correct" />
+
+          <div className="flex justify-end space-x-4">
+            <button type="button" onClick={onCancel} className="btn btn-secondary">Cancel</button>
+            <button type="submit" disabled={saving} className="btn btn-primary">
+              {saving ? 'Saving...' : (question ? 'Update' : 'Add')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Admin manager of the quiz question bank: browse by topic, difficulty and
+ * type, and add, edit or delete questions. Quizzes draw from the bank through
+ * their rules (see QuizForm).
+ */
+const QuestionBankPanel = () => {
+  const [questions, setQuestions] = useState([]);
+  const [topics, setTopics] = useState([]);
+  const [filters, setFilters] = useState({ topic: '', difficulty: '', type: '', search: '' });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null);
+
+  const fetchQuestions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: PAGE_SIZE };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const data = await getQuestionBank(params);
+      setQuestions(data.questions || []);
+      setTotalPages(data.pagination?.totalPages || 1);
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to load the question bank');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  const fetchTopics = useCallback(async () => {
+    try {
+      const data = await getQuestionBankTopics();
+      setTopics(data.topics || []);
+    } catch (err) {
+      setTopics([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQuestions();
+  }, [fetchQuestions]);
+
+  useEffect(() => {
+    fetchTopics();
+  }, [fetchTopics]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this question from the bank? Attempts already started keep their copy.')) return;
+    try {
+      await deleteBankQuestion(id);
+      fetchQuestions();
+      fetchTopics();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to delete the question');
+    }
+  };
+
+  const handleSaved = () => {
+    setEditing(null);
+    fetchQuestions();
+    fetchTopics();
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-start">
+        <div>
+          <h2 className="text-xl font-semibold">Question Bank</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Reusable quiz questions tagged by topic and difficulty. A quiz rule such as "5 Easy Arrays" draws different questions for every attempt.
+          </p>
+        </div>
+        <button type="button" onClick={() => setEditing('new')} className="btn btn-primary whitespace-nowrap">
+          Add Question
+        </button>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      {topics.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {topics.map(topic => (
+            <button
+              key={topic.topic}
+              type="button"
+              onClick={() => handleFilterChange({ target: { name: 'topic', value: filters.topic === topic.topic ? '' : topic.topic } })}
+              className={`px-3 py-1 rounded-full text-xs font-medium border ${filters.topic === topic.topic
+                ? 'border-primary-500 bg-primary-50 text-primary-700'
+                : 'border-gray-200 bg-gray-50 text-gray-700 hover:border-gray-300'}`}
+              title={DIFFICULTIES.map(difficulty => `${difficulty}: ${topic.byDifficulty[difficulty] || 0}`).join(', ')}
+            >
+              {topic.topic} ({topic.total})
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <input
+          type="text"
+          name="search"
+          value={filters.search}
+          onChange={handleFilterChange}
+          placeholder="Search questions..."
+          className="form-input md:col-span-2"
+        />
+        <select name="difficulty" value={filters.difficulty} onChange={handleFilterChange} className="form-select">
+          <option value="">All difficulties</option>
+          {DIFFICULTIES.map(difficulty => <option key={difficulty} value={difficulty}>{difficulty}</option>)}
+        </select>
+        <select name="type" value={filters.type} onChange={handleFilterChange} className="form-select">
+          <option value="">All types</option>
+          {QUESTION_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Question</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Topic</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Difficulty</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+              <th className="px-4 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {loading ? (
+              <tr>
+                <td colSpan="5" className="px-4 py-6 text-center text-gray-500">Loading...</td>
+              </tr>
+            ) : questions.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="px-4 py-6 text-center text-gray-500">No questions match.</td>
+              </tr>
+            ) : questions.map(question => (
+              <tr key={question.id}>
+                <td className="px-4 py-2 text-gray-900 max-w-md truncate" title={question.question}>{question.question}</td>
+                <td className="px-4 py-2">{question.topic}</td>
+                <td className="px-4 py-2">{question.difficulty}</td>
+                <td className="px-4 py-2 text-gray-500">{typeLabel(question.question_type)}</td>
+                <td className="px-4 py-2 text-right whitespace-nowrap">
+                  <button type="button" onClick={() => setEditing(question)} className="text-primary-600 hover:text-primary-800 mr-3">
+                    Edit
+                  </button>
+                  <button type="button" onClick={() => handleDelete(question.id)} className="text-red-600 hover:text-red-800">
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center space-x-4 text-sm">
+          <button type="button" onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn btn-secondary disabled:opacity-50">
+            Previous
+          </button>
+          <span>Page {page} of {totalPages}</span>
+          <button type="button" onClick={() => setPage(page + 1)} disabled={page >= totalPages} className="btn btn-secondary disabled:opacity-50">
+            Next
+          </button>
+        </div>
+      )}
+
+      {editing && (
+        <BankQuestionForm
+          question={editing === 'new' ? null : editing}
+          topics={topics}
+          onSave={handleSaved}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default QuestionBankPanel;
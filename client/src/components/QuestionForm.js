@@ -1,5 +1,25 @@
 import React, { useState, useEffect } from 'react';
-import { createQuestion, updateQuestion, getAllTestCases } from '../services/adminService';
+import {
+  createQuestion,
+  updateQuestion,
+  getAllTestCases,
+  getQuestionChecker,
+  getQuestionReference,
+  importTestCaseArchive,
+  generateTestCases,
+  exportTestCases
+} from '../services/adminService';
+import { getQuestion } from '../services/questionService';
+
+// Upload cap for test case archives, matching the server's limit.
+const MAX_ARCHIVE_BYTES = 10 * 1024 * 1024;
+
+// Characters of each input/output shown in the import preview.
+const PREVIEW_LENGTH = 120;
+
+const formatSize = (text) => `${((text || '').length / 1024).toFixed(1)} KB`;
+
+const previewText = (text) => (text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text);
 
 const QuestionForm = ({ question, onSave, onCancel }) => {
   const [formData, setFormData] = useState({
@@ -8,15 +28,37 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
     description: '',
     difficulty: 'Easy',
     question_type: '',
+    io_mode: 'function',
     parameter_schema: { params: [{ name: '', type: '' }], returnType: '' },
     language_supported: { languages: ['javascript', 'python', 'java', 'cpp'] },
     tags: { tags: [] },
     examples: [],
+    time_limit_ms: '',
+    memory_limit_kb: '',
+    limit_multipliers: {},
+    checker_type: 'exact',
+    checker_config: {},
+    special_judge_language: 'python',
+    special_judge_code: '',
+    interactor_language: 'python',
+    interactor_code: '',
+    interactor_query_limit: '',
+    reference_language: 'python',
+    reference_code: '',
+    generator_language: 'python',
+    generator_code: '',
+    starter_code: {},
     testCases: [{ input: '', expected_output: '', hidden: false }]
   });
+  const [starterLanguage, setStarterLanguage] = useState('javascript');
   const [loading, setLoading] = useState(false);
   const [loadingTestCases, setLoadingTestCases] = useState(false);
   const [error, setError] = useState('');
+  // Imported or generated test cases waiting for the admin to append or replace with them
+  const [testCasePreview, setTestCasePreview] = useState(null);
+  const [testCaseToolBusy, setTestCaseToolBusy] = useState(false);
+  const [generateCount, setGenerateCount] = useState(10);
+  const [generateSeed, setGenerateSeed] = useState(1);
 
   useEffect(() => {
     const loadQuestionData = async () => {
@@ -56,6 +98,73 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
           parameterSchema = { ...parameterSchema, params: [{ name: '', type: '' }] };
         }
 
+        // List rows omit execution limits and starter code, so load them from the full question
+        let limits = {
+          time_limit_ms: question.time_limit_ms ?? '',
+          memory_limit_kb: question.memory_limit_kb ?? '',
+          limit_multipliers: question.limit_multipliers || {}
+        };
+        let starterCode = question.starter_code || {};
+        if (question.id) {
+          try {
+            const details = await getQuestion(question.id);
+            limits = {
+              time_limit_ms: details.question?.time_limit_ms ?? '',
+              memory_limit_kb: details.question?.memory_limit_kb ?? '',
+              limit_multipliers: details.question?.limit_multipliers || {}
+            };
+            starterCode = details.question?.starter_code || {};
+          } catch (err) {
+            console.error('Failed to fetch question limits:', err);
+          }
+        }
+
+        let checker = {
+          checker_type: 'exact',
+          checker_config: {},
+          special_judge_language: 'python',
+          special_judge_code: '',
+          interactor_language: 'python',
+          interactor_code: '',
+          interactor_query_limit: ''
+        };
+        if (question.id) {
+          try {
+            const checkerData = await getQuestionChecker(question.id);
+            checker = {
+              checker_type: checkerData.checker_type || 'exact',
+              checker_config: checkerData.checker_config || {},
+              special_judge_language: checkerData.special_judge_language || 'python',
+              special_judge_code: checkerData.special_judge_code || '',
+              interactor_language: checkerData.interactor_language || 'python',
+              interactor_code: checkerData.interactor_code || '',
+              interactor_query_limit: checkerData.interactor_query_limit ?? ''
+            };
+          } catch (err) {
+            console.error('Failed to fetch question checker:', err);
+          }
+        }
+
+        let reference = {
+          reference_language: 'python',
+          reference_code: '',
+          generator_language: 'python',
+          generator_code: ''
+        };
+        if (question.id) {
+          try {
+            const referenceData = await getQuestionReference(question.id);
+            reference = {
+              reference_language: referenceData.reference_language || 'python',
+              reference_code: referenceData.reference_code || '',
+              generator_language: referenceData.generator_language || 'python',
+              generator_code: referenceData.generator_code || ''
+            };
+          } catch (err) {
+            console.error('Failed to fetch reference solution:', err);
+          }
+        }
+
         // Fetch test cases for editing
         let testCases = [{ input: '', expected_output: '', hidden: false }];
         if (question.id) {
@@ -83,10 +192,15 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
           description: question.description || '',
           difficulty: question.difficulty || 'Easy',
           question_type: question.question_type || '',
+          io_mode: question.io_mode || 'function',
           parameter_schema: parameterSchema,
           language_supported: languageSupported,
           tags: tags,
           examples: question.examples || [],
+          ...limits,
+          ...checker,
+          ...reference,
+          starter_code: starterCode,
           testCases: testCases
         });
       }
@@ -103,6 +217,14 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
     }));
   };
 
+  const handleStarterCodeChange = (e) => {
+    const { value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      starter_code: { ...prev.starter_code, [starterLanguage]: value }
+    }));
+  };
+
   const handleTagsChange = (e) => {
     const tags = e.target.value.split(',').map(tag => tag.trim()).filter(tag => tag);
     setFormData(prev => ({
@@ -129,6 +251,23 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
     });
   };
 
+  const handleCheckerConfigChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      checker_config: { ...prev.checker_config, [field]: value }
+    }));
+  };
+
+  const handleMultiplierChange = (language, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      limit_multipliers: {
+        ...prev.limit_multipliers,
+        [language]: { ...(prev.limit_multipliers?.[language] || {}), [field]: value }
+      }
+    }));
+  };
+
   const handleTestCaseChange = (index, field, value) => {
     setFormData(prev => {
       const testCases = [...prev.testCases];
@@ -165,12 +304,32 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
     'int[]',
     'long[]',
     'double[]',
+    'boolean[]',
+    'char[]',
     'String[]',
+    'int[][]',
+    'List<Integer>',
+    'List<String>',
+    'List<List<Integer>>',
     'ListNode',
-    'TreeNode',
-    'List<List<Integer>>'
+    'TreeNode'
   ];
 
+  // Test inputs hold one JSON value per declared parameter, in order; stdio
+  // problems receive the input verbatim on stdin and interactive problems hand
+  // it to the interactor.
+  const isStdio = formData.io_mode === 'stdio';
+  const isInteractive = formData.io_mode === 'interactive';
+  const isFunctionCall = !isStdio && !isInteractive;
+  const typedParams = (formData.parameter_schema?.params || []).filter(param => param.name?.trim() && param.type);
+  const inputPlaceholder = isStdio
+    ? 'Enter the text passed to the program on stdin...'
+    : isInteractive
+      ? 'Enter the test data the interactor reads from input.txt...'
+      : typedParams.length
+      ? typedParams.map(param => `${param.name} (${param.type})`).join('\n')
+      : 'Enter test input...';
+
   const handleReturnTypeChange = (value) => {
     setFormData(prev => ({
       ...prev,
@@ -218,6 +377,91 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
     }));
   };
 
+  const handleArchiveUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_ARCHIVE_BYTES) {
+      setError(`The archive is larger than ${MAX_ARCHIVE_BYTES / (1024 * 1024)} MB`);
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = async () => {
+      setTestCaseToolBusy(true);
+      setError('');
+      try {
+        // Strip the "data:application/zip;base64," prefix
+        const archive = String(reader.result).split(',')[1] || '';
+        const testCases = await importTestCaseArchive(archive, formData);
+        setTestCasePreview({ source: file.name, testCases });
+      } catch (err) {
+        setError(err.message || err || 'Failed to import test cases');
+      } finally {
+        setTestCaseToolBusy(false);
+      }
+    };
+    reader.onerror = () => setError('Failed to read the archive');
+    reader.readAsDataURL(file);
+  };
+
+  const handleGenerateTestCases = async () => {
+    setTestCaseToolBusy(true);
+    setError('');
+    try {
+      const testCases = await generateTestCases({
+        io_mode: formData.io_mode,
+        function_name: formData.function_name,
+        question_type: formData.question_type,
+        parameter_schema: formData.parameter_schema,
+        reference_language: formData.reference_language,
+        reference_code: formData.reference_code,
+        generator_language: formData.generator_language,
+        generator_code: formData.generator_code,
+        count: generateCount,
+        seed: generateSeed
+      });
+      setTestCasePreview({ source: 'generator', testCases });
+    } catch (err) {
+      setError(err.message || err || 'Failed to generate test cases');
+    } finally {
+      setTestCaseToolBusy(false);
+    }
+  };
+
+  const applyTestCasePreview = (replace) => {
+    const imported = testCasePreview.testCases.map(({ input, expected_output, hidden }) => ({
+      input,
+      expected_output,
+      hidden: Boolean(hidden)
+    }));
+    setFormData(prev => {
+      // Drop untouched blank cases, such as the one a new question starts with
+      const existing = prev.testCases.filter(tc => tc.input.trim() || tc.expected_output.trim());
+      return { ...prev, testCases: replace ? imported : [...existing, ...imported] };
+    });
+    setTestCasePreview(null);
+  };
+
+  const handleExportTestCases = async () => {
+    setTestCaseToolBusy(true);
+    setError('');
+    try {
+      const blob = await exportTestCases(question.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `question-${question.id}-tests.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message || err || 'Failed to export test cases');
+    } finally {
+      setTestCaseToolBusy(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -245,13 +489,25 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
     // Validate test cases
     for (let i = 0; i < formData.testCases.length; i++) {
       const testCase = formData.testCases[i];
-      if (!testCase.input.trim() || !testCase.expected_output.trim()) {
-        setError(`Test case ${i + 1} must have both input and expected output`);
+      // Stdio programs may legitimately read nothing; interactors judge
+      // without an expected output
+      if (isInteractive ? !testCase.input.trim() : ((!isStdio && !testCase.input.trim()) || !testCase.expected_output.trim())) {
+        setError(isInteractive
+          ? `Test case ${i + 1} must have an input for the interactor`
+          : isStdio
+            ? `Test case ${i + 1} must have an expected output`
+            : `Test case ${i + 1} must have both input and expected output`);
         setLoading(false);
         return;
       }
     }
 
+    if (isInteractive && !formData.interactor_code.trim()) {
+      setError('Interactive problems need interactor source code');
+      setLoading(false);
+      return;
+    }
+
     try {
       console.log('=== FORM SUBMISSION ===');
       console.log('Full form data:', JSON.stringify(formData, null, 2));
@@ -278,13 +534,13 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
       }
     } catch (err) {
       console.error('Form submission error:', err);
-      setError(err.message || 'Failed to save question');
+      setError(err.message || err || 'Failed to save question');
     } finally {
       setLoading(false);
     }
   };
 
-  const availableLanguages = ['javascript', 'python', 'java', 'cpp', 'c', 'csharp'];
+  const availableLanguages = ['javascript', 'python', 'java', 'cpp', 'c', 'csharp', 'go', 'ruby', 'php'];
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
@@ -359,18 +615,41 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
                   </div>
 
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Function Name (optional)</label>
-                    <input
-                      type="text"
-                      name="function_name"
-                      value={formData.function_name}
+                    <label className="block text-sm font-medium text-gray-700 mb-2">I/O Mode</label>
+                    <select
+                      name="io_mode"
+                      value={formData.io_mode}
                       onChange={handleInputChange}
                       className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
-                      placeholder="e.g., twoSum, maxDepth"
-                    />
-                    <p className="text-xs text-gray-500 mt-1">Used to pre-populate function signatures across languages. Leave blank to auto-generate.</p>
+                    >
+                      <option value="function">Function call (LeetCode style)</option>
+                      <option value="stdio">Standard input/output</option>
+                      <option value="interactive">Interactive (judge-side interactor)</option>
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {isStdio
+                        ? 'Solutions are complete programs: each test input is fed to stdin and stdout is compared with the expected output.'
+                        : isInteractive
+                          ? 'Solutions are complete programs that exchange lines with your interactor, which decides the verdict.'
+                          : 'Solutions implement a function that the judge calls with each test input.'}
+                    </p>
                   </div>
 
+                  {isFunctionCall && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Function Name (optional)</label>
+                      <input
+                        type="text"
+                        name="function_name"
+                        value={formData.function_name}
+                        onChange={handleInputChange}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                        placeholder="e.g., twoSum, maxDepth"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">Used to pre-populate function signatures across languages. Leave blank to auto-generate.</p>
+                    </div>
+                  )}
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">Question Type</label>
                     <select
@@ -437,91 +716,93 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
               </div>
 
               {/* Parameter Schema Section */}
-              <div className="bg-gray-50 rounded-lg p-6">
-                <div className="flex items-center justify-between mb-4">
-                  <h4 className="text-lg font-semibold text-gray-900 flex items-center">
-                    <svg className="w-5 h-5 mr-2 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                    </svg>
-                    Function Signature
-                  </h4>
-                  <div className="text-sm text-gray-600 bg-white px-3 py-1 rounded-full">
-                    {(formData.parameter_schema?.params || []).length} parameter(s)
+              {isFunctionCall && (
+                <div className="bg-gray-50 rounded-lg p-6">
+                  <div className="flex items-center justify-between mb-4">
+                    <h4 className="text-lg font-semibold text-gray-900 flex items-center">
+                      <svg className="w-5 h-5 mr-2 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                      </svg>
+                      Function Signature
+                    </h4>
+                    <div className="text-sm text-gray-600 bg-white px-3 py-1 rounded-full">
+                      {(formData.parameter_schema?.params || []).length} parameter(s)
+                    </div>
                   </div>
-                </div>
 
-                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Return Type</label>
-                    <select
-                      value={formData.parameter_schema?.returnType || ''}
-                      onChange={(e) => handleReturnTypeChange(e.target.value)}
-                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
-                    >
-                      <option value="">Select return type</option>
-                      {typeOptions.map(option => (
-                        <option key={option} value={option}>{option}</option>
-                      ))}
-                    </select>
+                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Return Type</label>
+                      <select
+                        value={formData.parameter_schema?.returnType || ''}
+                        onChange={(e) => handleReturnTypeChange(e.target.value)}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                      >
+                        <option value="">Select return type</option>
+                        {typeOptions.map(option => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                    </div>
                   </div>
-                </div>
-
-                <div className="space-y-4">
-                  {formData.parameter_schema?.params?.map((param, index) => (
-                    <div key={index} className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm">
-                      <div className="flex justify-between items-center mb-3">
-                        <h5 className="font-medium text-gray-900">Parameter {index + 1}</h5>
-                        {formData.parameter_schema.params.length > 1 && (
-                          <button
-                            type="button"
-                            onClick={() => removeParameter(index)}
-                            className="text-red-600 hover:text-red-800 text-sm font-medium px-2 py-1 rounded hover:bg-red-50 transition-colors"
-                          >
-                            Remove
-                          </button>
-                        )}
-                      </div>
 
-                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        <div>
-                          <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
-                          <input
-                            type="text"
-                            value={param.name || ''}
-                            onChange={(e) => handleParameterChange(index, 'name', e.target.value)}
-                            placeholder="nums, head, root, etc"
-                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
-                          />
+                  <div className="space-y-4">
+                    {formData.parameter_schema?.params?.map((param, index) => (
+                      <div key={index} className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm">
+                        <div className="flex justify-between items-center mb-3">
+                          <h5 className="font-medium text-gray-900">Parameter {index + 1}</h5>
+                          {formData.parameter_schema.params.length > 1 && (
+                            <button
+                              type="button"
+                              onClick={() => removeParameter(index)}
+                              className="text-red-600 hover:text-red-800 text-sm font-medium px-2 py-1 rounded hover:bg-red-50 transition-colors"
+                            >
+                              Remove
+                            </button>
+                          )}
                         </div>
-                        <div>
-                          <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
-                          <select
-                            value={param.type || ''}
-                            onChange={(e) => handleParameterChange(index, 'type', e.target.value)}
-                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
-                          >
-                            <option value="">Select type</option>
-                            {typeOptions.map(option => (
-                              <option key={option} value={option}>{option}</option>
-                            ))}
-                          </select>
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                            <input
+                              type="text"
+                              value={param.name || ''}
+                              onChange={(e) => handleParameterChange(index, 'name', e.target.value)}
+                              placeholder="nums, head, root, etc"
+                              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
+                            <select
+                              value={param.type || ''}
+                              onChange={(e) => handleParameterChange(index, 'type', e.target.value)}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                            >
+                              <option value="">Select type</option>
+                              {typeOptions.map(option => (
+                                <option key={option} value={option}>{option}</option>
+                              ))}
+                            </select>
+                          </div>
                         </div>
                       </div>
-                    </div>
-                  ))}
-                </div>
+                    ))}
+                  </div>
 
-                <button
-                  type="button"
-                  onClick={addParameter}
-                  className="mt-4 inline-flex items-center px-4 py-2 border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
-                >
-                  <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
-                  </svg>
-                  Add Parameter
-                </button>
-              </div>
+                  <button
+                    type="button"
+                    onClick={addParameter}
+                    className="mt-4 inline-flex items-center px-4 py-2 border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                  >
+                    <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
+                    </svg>
+                    Add Parameter
+                  </button>
+                </div>
+              )}
 
               {/* Supported Languages Section */}
               <div className="bg-gray-50 rounded-lg p-6">
@@ -548,6 +829,339 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
                 </div>
               </div>
 
+              {/* Execution Limits Section */}
+              <div className="bg-gray-50 rounded-lg p-6">
+                <h4 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                  <svg className="w-5 h-5 mr-2 text-orange-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  </svg>
+                  Execution Limits
+                </h4>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Time Limit (ms)</label>
+                    <input
+                      type="number"
+                      name="time_limit_ms"
+                      min="100"
+                      max="15000"
+                      step="100"
+                      value={formData.time_limit_ms}
+                      onChange={handleInputChange}
+                      placeholder="2000"
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">CPU time per test case. Leave blank for the 2000 ms default.</p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Memory Limit (KB)</label>
+                    <input
+                      type="number"
+                      name="memory_limit_kb"
+                      min="16000"
+                      max="512000"
+                      step="1000"
+                      value={formData.memory_limit_kb}
+                      onChange={handleInputChange}
+                      placeholder="128000"
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Leave blank for the 128000 KB default.</p>
+                  </div>
+                </div>
+
+                {(formData.language_supported?.languages || []).length > 0 && (
+                  <div className="mt-6">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Language Multipliers (optional)</label>
+                    <div className="space-y-2">
+                      {formData.language_supported.languages.map(lang => (
+                        <div key={lang} className="grid grid-cols-3 gap-4 items-center">
+                          <span className="text-sm font-medium text-gray-700 capitalize">{lang}</span>
+                          <input
+                            type="number"
+                            min="0.1"
+                            max="10"
+                            step="0.1"
+                            value={formData.limit_multipliers?.[lang]?.time ?? ''}
+                            onChange={(e) => handleMultiplierChange(lang, 'time', e.target.value)}
+                            placeholder="Time ×1"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                          />
+                          <input
+                            type="number"
+                            min="0.1"
+                            max="10"
+                            step="0.1"
+                            value={formData.limit_multipliers?.[lang]?.memory ?? ''}
+                            onChange={(e) => handleMultiplierChange(lang, 'memory', e.target.value)}
+                            placeholder="Memory ×1"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">Scale the limits for slower runtimes, e.g. 2 for Java or 3 for Python.</p>
+                  </div>
+                )}
+              </div>
+
+              {/* Output Checker Section */}
+              {!isInteractive && (
+                <div className="bg-gray-50 rounded-lg p-6">
+                  <h4 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                    <svg className="w-5 h-5 mr-2 text-teal-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                    </svg>
+                    Output Checker
+                  </h4>
+
+                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Comparison Mode</label>
+                      <select
+                        name="checker_type"
+                        value={formData.checker_type}
+                        onChange={handleInputChange}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                      >
+                        <option value="exact">Exact match (after trimming)</option>
+                        <option value="whitespace">Whitespace-insensitive</option>
+                        <option value="tokens">Token by token</option>
+                        <option value="numeric">Numeric with tolerance</option>
+                        <option value="json">JSON deep equality</option>
+                        <option value="unordered">Unordered array / set</option>
+                        <option value="special">Special judge program</option>
+                      </select>
+                      <p className="text-xs text-gray-500 mt-1">How a test case's output is compared with the expected output.</p>
+                    </div>
+
+                    {formData.checker_type === 'numeric' && (
+                      <div className="grid grid-cols-2 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Absolute Epsilon</label>
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={formData.checker_config?.absEpsilon ?? ''}
+                            onChange={(e) => handleCheckerConfigChange('absEpsilon', e.target.value)}
+                            placeholder="1e-6"
+                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Relative Epsilon</label>
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={formData.checker_config?.relEpsilon ?? ''}
+                            onChange={(e) => handleCheckerConfigChange('relEpsilon', e.target.value)}
+                            placeholder="1e-6"
+                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                          />
+                        </div>
+                      </div>
+                    )}
+
+                    {formData.checker_type === 'special' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Judge Language</label>
+                        <select
+                          name="special_judge_language"
+                          value={formData.special_judge_language}
+                          onChange={handleInputChange}
+                          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                        >
+                          {availableLanguages.map(lang => (
+                            <option key={lang} value={lang}>{lang}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                  </div>
+
+                  {formData.checker_type === 'special' && (
+                    <div className="mt-6">
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Judge Source Code</label>
+                      <textarea
+                        name="special_judge_code"
+                        value={formData.special_judge_code}
+                        onChange={handleInputChange}
+                        rows={10}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all font-mono text-sm"
+                        placeholder="Read the test input, expected output and contestant output from stdin..."
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        Stdin holds three sections (test input, expected output, contestant output), each preceded by a line with its number of lines.
+                        Print <code>AC</code> or <code>WA</code> first, optionally followed by a message for the student.
+                      </p>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Interactor Section */}
+              {isInteractive && (
+                <div className="bg-gray-50 rounded-lg p-6">
+                  <h4 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                    <svg className="w-5 h-5 mr-2 text-teal-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+                    </svg>
+                    Interactor
+                  </h4>
+
+                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Interactor Language</label>
+                      <select
+                        name="interactor_language"
+                        value={formData.interactor_language}
+                        onChange={handleInputChange}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                      >
+                        {availableLanguages.map(lang => (
+                          <option key={lang} value={lang}>{lang}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Query Limit (optional)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        name="interactor_query_limit"
+                        value={formData.interactor_query_limit}
+                        onChange={handleInputChange}
+                        placeholder="Unlimited"
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">Most lines a solution may print before it is stopped with Wrong Answer.</p>
+                    </div>
+                  </div>
+
+                  <div className="mt-6">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Interactor Source Code</label>
+                    <textarea
+                      name="interactor_code"
+                      value={formData.interactor_code}
+                      onChange={handleInputChange}
+                      rows={10}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all font-mono text-sm"
+                      placeholder="Read input.txt, answer the solution's queries on stdout..."
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      The interactor reads the test input from <code>input.txt</code> (and the expected output, if any, from <code>answer.txt</code>),
+                      reads the solution's output on stdin and replies on stdout, flushing after every line.
+                      Its last line on stderr must be <code>AC</code> or <code>WA</code>, optionally followed by a message for the student.
+                    </p>
+                  </div>
+                </div>
+              )}
+
+              {/* Stress Testing Section */}
+              {!isInteractive && (
+                <div className="bg-gray-50 rounded-lg p-6">
+                  <h4 className="text-lg font-semibold text-gray-900 mb-2 flex items-center">
+                    <svg className="w-5 h-5 mr-2 text-rose-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 10V3L4 14h7v7l9-11h-7z" />
+                    </svg>
+                    Stress Testing (optional)
+                  </h4>
+                  <p className="text-xs text-gray-500 mb-4">
+                    With both programs set, students who get Wrong Answer can compare their solution with the reference solution on random inputs and see the smallest input where they differ.
+                  </p>
+
+                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Reference Solution Language</label>
+                      <select
+                        name="reference_language"
+                        value={formData.reference_language}
+                        onChange={handleInputChange}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                      >
+                        {availableLanguages.map(lang => (
+                          <option key={lang} value={lang}>{lang}</option>
+                        ))}
+                      </select>
+                      <label className="block text-sm font-medium text-gray-700 mt-4 mb-2">Reference Solution</label>
+                      <textarea
+                        name="reference_code"
+                        value={formData.reference_code}
+                        onChange={handleInputChange}
+                        rows={10}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all font-mono text-sm"
+                        placeholder={isStdio ? 'A correct complete program...' : 'A correct solution in the same shape as a student submission...'}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Generator Language</label>
+                      <select
+                        name="generator_language"
+                        value={formData.generator_language}
+                        onChange={handleInputChange}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                      >
+                        {availableLanguages.map(lang => (
+                          <option key={lang} value={lang}>{lang}</option>
+                        ))}
+                      </select>
+                      <label className="block text-sm font-medium text-gray-700 mt-4 mb-2">Input Generator</label>
+                      <textarea
+                        name="generator_code"
+                        value={formData.generator_code}
+                        onChange={handleInputChange}
+                        rows={10}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all font-mono text-sm"
+                        placeholder="Read a seed from stdin and print one random test input..."
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        Reads an integer seed from stdin and prints one test input in the same format as the test cases below. Use the seed so the same seed always gives the same input.
+                      </p>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {/* Starter Code Section */}
+              <div className="bg-gray-50 rounded-lg p-6">
+                <h4 className="text-lg font-semibold text-gray-900 mb-2 flex items-center">
+                  <svg className="w-5 h-5 mr-2 text-teal-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4" />
+                  </svg>
+                  Starter Code (optional)
+                </h4>
+                <p className="text-xs text-gray-500 mb-4">
+                  Shown in the editor instead of the generated template. Languages left empty use the generated template.
+                </p>
+                <div className="flex flex-wrap gap-2 mb-3">
+                  {availableLanguages.map(lang => (
+                    <button
+                      key={lang}
+                      type="button"
+                      onClick={() => setStarterLanguage(lang)}
+                      className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+                        starterLanguage === lang
+                          ? 'bg-teal-600 border-teal-600 text-white'
+                          : 'border-gray-300 text-gray-700 hover:bg-gray-100'
+                      }`}
+                    >
+                      {lang}{formData.starter_code[lang]?.trim() ? ' •' : ''}
+                    </button>
+                  ))}
+                </div>
+                <textarea
+                  value={formData.starter_code[starterLanguage] || ''}
+                  onChange={handleStarterCodeChange}
+                  rows={8}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all font-mono text-sm"
+                  placeholder={`Custom ${starterLanguage} starter code...`}
+                />
+              </div>
+
               {/* Test Cases Section */}
               <div className="bg-gray-50 rounded-lg p-6">
                 <div className="flex items-center justify-between mb-4">
@@ -562,6 +1176,124 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
                   </div>
                 </div>
 
+                <p className="text-xs text-gray-500 mb-4">
+                  Submissions are scored out of 100. A subtask earns the points of its test cases only when all of them pass; test cases without a subtask score on their own, and when no points are set every subtask or ungrouped test case weighs the same.
+                </p>
+
+                {/* Bulk import, generation and export */}
+                <div className="bg-white border border-gray-200 rounded-lg p-4 mb-4 space-y-3">
+                  <div className="flex flex-wrap items-center gap-3">
+                    <label className={`px-4 py-2 rounded-lg text-sm font-medium border border-blue-300 text-blue-700 hover:bg-blue-50 transition-colors ${testCaseToolBusy ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
+                      Import ZIP
+                      <input
+                        type="file"
+                        accept=".zip,application/zip"
+                        onChange={handleArchiveUpload}
+                        disabled={testCaseToolBusy}
+                        className="hidden"
+                      />
+                    </label>
+                    {question?.id && (
+                      <button
+                        type="button"
+                        onClick={handleExportTestCases}
+                        disabled={testCaseToolBusy}
+                        className="px-4 py-2 rounded-lg text-sm font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                      >
+                        Export saved tests as ZIP
+                      </button>
+                    )}
+                    {!isInteractive && (
+                      <div className="flex flex-wrap items-center gap-2">
+                        <input
+                          type="number"
+                          min="1"
+                          max="100"
+                          value={generateCount}
+                          onChange={(e) => setGenerateCount(e.target.value)}
+                          className="w-20 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                          title="Number of test cases"
+                        />
+                        <span className="text-sm text-gray-600">cases from seed</span>
+                        <input
+                          type="number"
+                          min="1"
+                          value={generateSeed}
+                          onChange={(e) => setGenerateSeed(e.target.value)}
+                          className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                          title="First seed"
+                        />
+                        <button
+                          type="button"
+                          onClick={handleGenerateTestCases}
+                          disabled={testCaseToolBusy || !formData.generator_code.trim() || !formData.reference_code.trim()}
+                          title="Uses the generator and reference solution from Stress Testing"
+                          className="px-4 py-2 rounded-lg text-sm font-medium border border-rose-300 text-rose-700 hover:bg-rose-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                        >
+                          Generate
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    ZIP archives hold <code>name.in</code>/<code>name.out</code> pairs (up to 100 cases, 1 MB per file, 10 MB per archive); pairs inside a <code>hidden/</code> folder are hidden.
+                    Generated cases use the generator and reference solution from the Stress Testing section. Imported cases are saved with the question.
+                  </p>
+
+                  {testCaseToolBusy && (
+                    <p className="text-sm text-gray-600">Working on test cases…</p>
+                  )}
+
+                  {testCasePreview && (
+                    <div className="border-t border-gray-200 pt-3 space-y-3">
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <span className="text-sm font-medium text-gray-900">
+                          {testCasePreview.testCases.length} test cases from {testCasePreview.source}
+                        </span>
+                        <div className="flex gap-2">
+                          <button
+                            type="button"
+                            onClick={() => applyTestCasePreview(false)}
+                            className="px-3 py-1.5 rounded-md bg-blue-600 hover:bg-blue-700 text-white text-xs font-medium"
+                          >
+                            Append
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => applyTestCasePreview(true)}
+                            className="px-3 py-1.5 rounded-md bg-purple-600 hover:bg-purple-700 text-white text-xs font-medium"
+                          >
+                            Replace existing
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setTestCasePreview(null)}
+                            className="px-3 py-1.5 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 text-xs font-medium"
+                          >
+                            Discard
+                          </button>
+                        </div>
+                      </div>
+                      <div className="max-h-64 overflow-y-auto divide-y divide-gray-100 text-xs">
+                        {testCasePreview.testCases.map((testCase) => (
+                          <div key={testCase.name} className="py-2 grid grid-cols-1 sm:grid-cols-3 gap-2">
+                            <div className="font-medium text-gray-800">
+                              {testCase.name}
+                              {testCase.hidden && <span className="ml-2 text-gray-500">(hidden)</span>}
+                            </div>
+                            <div className="font-mono text-gray-600 whitespace-pre-wrap break-all">
+                              <span className="text-gray-400">in {formatSize(testCase.input)}:</span> {previewText(testCase.input)}
+                            </div>
+                            <div className="font-mono text-gray-600 whitespace-pre-wrap break-all">
+                              <span className="text-gray-400">out {formatSize(testCase.expected_output)}:</span> {previewText(testCase.expected_output)}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+
                 {loadingTestCases && (
                   <div className="text-center py-8">
                     <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
@@ -575,6 +1307,28 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
                       <div className="flex items-center justify-between mb-3">
                         <h5 className="font-medium text-gray-900">Test Case {index + 1}</h5>
                         <div className="flex items-center space-x-3">
+                          <label className="flex items-center text-sm text-gray-600" title="Test cases of one subtask only score together, when all of them pass">
+                            Subtask
+                            <input
+                              type="number"
+                              min="1"
+                              value={testCase.subtask ?? ''}
+                              onChange={(e) => handleTestCaseChange(index, 'subtask', e.target.value)}
+                              className="ml-2 w-16 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                              placeholder="—"
+                            />
+                          </label>
+                          <label className="flex items-center text-sm text-gray-600" title="Weight of this test case; a subtask is worth the points of its test cases">
+                            Points
+                            <input
+                              type="number"
+                              min="0"
+                              value={testCase.points ?? ''}
+                              onChange={(e) => handleTestCaseChange(index, 'points', e.target.value)}
+                              className="ml-2 w-16 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                              placeholder="—"
+                            />
+                          </label>
                           <label className="flex items-center text-sm text-gray-600">
                             <input
                               type="checkbox"
@@ -598,17 +1352,17 @@ const QuestionForm = ({ question, onSave, onCancel }) => {
                       
                       <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
                         <div>
-                          <label className="block text-sm font-medium text-gray-700 mb-2">Input</label>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">{isStdio ? 'Input (stdin)' : isInteractive ? 'Interactor Input (input.txt)' : 'Input'}</label>
                           <textarea
                             value={testCase.input}
                             onChange={(e) => handleTestCaseChange(index, 'input', e.target.value)}
                             rows={4}
                             className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all font-mono text-sm"
-                            placeholder="Enter test input..."
+                            placeholder={inputPlaceholder}
                           />
                         </div>
                         <div>
-                          <label className="block text-sm font-medium text-gray-700 mb-2">Expected Output</label>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">{isStdio ? 'Expected Output (stdout)' : isInteractive ? 'Answer (answer.txt, optional)' : 'Expected Output'}</label>
                           <textarea
                             value={testCase.expected_output}
                             onChange={(e) => handleTestCaseChange(index, 'expected_output', e.target.value)}
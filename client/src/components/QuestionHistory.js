@@ -0,0 +1,337 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getQuestionVersions,
+  getQuestionVersion,
+  getQuestionJudgements,
+  rejudgeSubmissions
+} from '../services/adminService';
+import VerdictBadge from './VerdictBadge';
+
+// How often the submission list refreshes while rejudged submissions are graded
+const POLL_INTERVAL_MS = 3000;
+
+const LINE_CLASSES = {
+  same: 'text-gray-700',
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800 line-through'
+};
+
+const LINE_PREFIX = { same: ' ', added: '+', removed: '-' };
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+const TestCaseText = ({ testCase }) => (
+  testCase ? (
+    <div className="font-mono text-xs whitespace-pre-wrap break-all">
+      <div><span className="text-gray-400">in:</span> {testCase.input}</div>
+      <div><span className="text-gray-400">out:</span> {testCase.expected_output}</div>
+      {testCase.hidden && <div className="text-gray-400">(hidden)</div>}
+      {(testCase.subtask != null || testCase.points != null) && (
+        <div className="text-gray-400">
+          {testCase.subtask != null && `subtask ${testCase.subtask}`}
+          {testCase.subtask != null && testCase.points != null && ' · '}
+          {testCase.points != null && `${testCase.points} pts`}
+        </div>
+      )}
+    </div>
+  ) : <span className="text-gray-400">—</span>
+);
+
+/**
+ * Changes of one version from the previous one: a line diff of the
+ * description, other changed fields side by side, and changed test cases.
+ */
+const VersionDiff = ({ details }) => {
+  const { diff } = details;
+  if (!diff) {
+    return <p className="text-sm text-gray-600">First recorded version ({details.snapshot.testCases.length} test cases).</p>;
+  }
+
+  const otherFields = diff.fields.filter(entry => entry.field !== 'description');
+
+  return (
+    <div className="space-y-4">
+      {diff.description && (
+        <div>
+          <h5 className="text-sm font-semibold text-gray-900 mb-1">Description</h5>
+          <div className="border border-gray-200 rounded max-h-64 overflow-y-auto font-mono text-xs">
+            {diff.description.map((line, index) => (
+              <div key={index} className={`px-2 whitespace-pre-wrap break-all ${LINE_CLASSES[line.type]}`}>
+                {LINE_PREFIX[line.type]} {line.text}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {otherFields.length > 0 && (
+        <div>
+          <h5 className="text-sm font-semibold text-gray-900 mb-1">Settings</h5>
+          <div className="divide-y divide-gray-100 border border-gray-200 rounded">
+            {otherFields.map(entry => (
+              <div key={entry.field} className="grid grid-cols-1 sm:grid-cols-3 gap-2 p-2 text-xs">
+                <span className="font-medium text-gray-800">{entry.field}</span>
+                <pre className="bg-red-50 text-red-800 rounded p-1 whitespace-pre-wrap break-all max-h-40 overflow-y-auto">{formatValue(entry.before)}</pre>
+                <pre className="bg-green-50 text-green-800 rounded p-1 whitespace-pre-wrap break-all max-h-40 overflow-y-auto">{formatValue(entry.after)}</pre>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {diff.testCases.length > 0 && (
+        <div>
+          <h5 className="text-sm font-semibold text-gray-900 mb-1">Test cases</h5>
+          <div className="divide-y divide-gray-100 border border-gray-200 rounded max-h-72 overflow-y-auto">
+            {diff.testCases.map(entry => (
+              <div key={entry.number} className="grid grid-cols-1 sm:grid-cols-3 gap-2 p-2 text-xs">
+                <span className="font-medium text-gray-800">#{entry.number} {entry.change}</span>
+                <div className="bg-red-50 rounded p-1"><TestCaseText testCase={entry.before} /></div>
+                <div className="bg-green-50 rounded p-1"><TestCaseText testCase={entry.after} /></div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Admin view of a question's version history and its submissions, with
+ * rejudging of selected, outdated or all submissions against the current version.
+ */
+const QuestionHistory = ({ question, onClose }) => {
+  const [activeTab, setActiveTab] = useState('versions');
+  const [history, setHistory] = useState(null);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [versionDetails, setVersionDetails] = useState(null);
+  const [submissions, setSubmissions] = useState([]);
+  const [selectedSubmissions, setSelectedSubmissions] = useState([]);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadSubmissions = useCallback(async () => {
+    try {
+      setSubmissions(await getQuestionJudgements(question.id));
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to fetch submissions');
+    }
+  }, [question.id]);
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      try {
+        const data = await getQuestionVersions(question.id);
+        setHistory(data);
+        if (data.versions.length > 0) {
+          setSelectedVersion(data.versions[0].version);
+        }
+      } catch (err) {
+        setError(typeof err === 'string' ? err : 'Failed to fetch question history');
+      }
+    };
+    loadHistory();
+    loadSubmissions();
+  }, [question.id, loadSubmissions]);
+
+  useEffect(() => {
+    if (!selectedVersion) return;
+    setVersionDetails(null);
+    getQuestionVersion(question.id, selectedVersion)
+      .then(setVersionDetails)
+      .catch(err => setError(typeof err === 'string' ? err : 'Failed to fetch question version'));
+  }, [question.id, selectedVersion]);
+
+  // Keep polling while rejudged submissions are still being graded
+  const grading = submissions.some(submission => ['pending', 'running'].includes(submission.judge_status));
+  useEffect(() => {
+    if (!grading) return undefined;
+    const timer = setInterval(loadSubmissions, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [grading, loadSubmissions]);
+
+  const currentVersion = history?.currentVersion || 1;
+  const outdatedCount = submissions.filter(submission => (submission.question_version || 1) < currentVersion).length;
+
+  const toggleSubmission = (id) => {
+    setSelectedSubmissions(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+  };
+
+  const handleRejudge = async (selection) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      const result = await rejudgeSubmissions(question.id, selection);
+      setMessage(`Queued ${result.queued} submission${result.queued === 1 ? '' : 's'} for rejudging against version ${result.version}`);
+      setSelectedSubmissions([]);
+      await loadSubmissions();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to rejudge submissions');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const tabClass = (tab) => `py-2 px-4 border-b-2 font-medium text-sm ${
+    activeTab === tab ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-6xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div>
+            <h3 className="text-xl font-semibold text-gray-900">History: {question.title}</h3>
+            <p className="text-sm text-gray-500">Current version {currentVersion}</p>
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close history">
+            ✕
+          </button>
+        </div>
+
+        <div className="px-6 border-b border-gray-200 flex">
+          <button type="button" className={tabClass('versions')} onClick={() => setActiveTab('versions')}>Versions</button>
+          <button type="button" className={tabClass('submissions')} onClick={() => setActiveTab('submissions')}>
+            Submissions{outdatedCount > 0 ? ` (${outdatedCount} outdated)` : ''}
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {message && <p className="text-sm text-green-700">{message}</p>}
+
+          {activeTab === 'versions' && (
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+              <ul className="md:col-span-1 space-y-1">
+                {history && history.versions.length === 0 && (
+                  <li className="text-sm text-gray-500">No changes recorded yet. History starts with the next edit.</li>
+                )}
+                {history?.versions.map(entry => (
+                  <li key={entry.version}>
+                    <button
+                      type="button"
+                      onClick={() => setSelectedVersion(entry.version)}
+                      className={`w-full text-left px-3 py-2 rounded-md text-sm ${
+                        selectedVersion === entry.version ? 'bg-primary-50 text-primary-700' : 'hover:bg-gray-50 text-gray-700'
+                      }`}
+                    >
+                      <div className="font-medium">Version {entry.version}</div>
+                      <div className="text-xs text-gray-500">
+                        {new Date(entry.created_at).toLocaleString()}{entry.created_by_name ? ` · ${entry.created_by_name}` : ''}
+                      </div>
+                      {entry.summary && <div className="text-xs text-gray-600 mt-1">{entry.summary}</div>}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <div className="md:col-span-3">
+                {selectedVersion && !versionDetails && <p className="text-sm text-gray-500">Loading version…</p>}
+                {versionDetails && (
+                  <>
+                    <h4 className="text-base font-semibold text-gray-900 mb-3">
+                      Version {versionDetails.version}
+                      {versionDetails.previousVersion && (
+                        <span className="text-sm font-normal text-gray-500"> compared with version {versionDetails.previousVersion}</span>
+                      )}
+                    </h4>
+                    <VersionDiff details={versionDetails} />
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'submissions' && (
+            <div className="space-y-4">
+              <div className="flex flex-wrap gap-3">
+                <button
+                  type="button"
+                  onClick={() => handleRejudge({ submission_ids: selectedSubmissions })}
+                  disabled={busy || selectedSubmissions.length === 0}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-md text-sm hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Rejudge selected ({selectedSubmissions.length})
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRejudge({ outdated_only: true })}
+                  disabled={busy || outdatedCount === 0}
+                  className="px-4 py-2 border border-primary-600 text-primary-600 rounded-md text-sm hover:bg-primary-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Rejudge outdated ({outdatedCount})
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    if (window.confirm('Rejudge every submission of this question?')) {
+                      handleRejudge({});
+                    }
+                  }}
+                  disabled={busy || submissions.length === 0}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Rejudge all
+                </button>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2"></th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">ID</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Language</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Verdict</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Judged on</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Submitted</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {submissions.map(submission => {
+                      const judgedVersion = submission.question_version || 1;
+                      const inProgress = ['pending', 'running'].includes(submission.judge_status);
+                      return (
+                        <tr key={submission.id}>
+                          <td className="px-3 py-2">
+                            <input
+                              type="checkbox"
+                              checked={selectedSubmissions.includes(submission.id)}
+                              onChange={() => toggleSubmission(submission.id)}
+                              disabled={inProgress}
+                            />
+                          </td>
+                          <td className="px-3 py-2 text-gray-600">#{submission.id}</td>
+                          <td className="px-3 py-2">{submission.user_name || `User ${submission.user_id}`}</td>
+                          <td className="px-3 py-2">{submission.language}</td>
+                          <td className="px-3 py-2">
+                            {inProgress
+                              ? <span className="text-gray-500">{submission.judge_status}…</span>
+                              : <VerdictBadge verdict={submission.verdict} />}
+                          </td>
+                          <td className={`px-3 py-2 ${judgedVersion < currentVersion ? 'text-amber-700' : 'text-gray-600'}`}>
+                            v{judgedVersion}{judgedVersion < currentVersion ? ' (outdated)' : ''}
+                          </td>
+                          <td className="px-3 py-2 text-gray-600">{new Date(submission.submitted_at).toLocaleString()}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                {submissions.length === 0 && <p className="text-sm text-gray-500 py-4">No submissions yet.</p>}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuestionHistory;
@@ -0,0 +1,110 @@
+import React from 'react';
+
+/**
+ * Whether a question has an answer: a chosen option, at least one checked
+ * option, or a non-empty value.
+ */
+export const isAnswered = (answer) => {
+  if (answer === null || answer === undefined) return false;
+  if (Array.isArray(answer)) return answer.length > 0;
+  if (typeof answer === 'string') return answer.trim() !== '';
+  return true;
+};
+
+/**
+ * Renders the answer input matching a question's type: choice lists for
+ * single, multiple and true/false questions, a number field, a text field, or
+ * a code snippet with a box for its output.
+ */
+const QuizAnswerInput = ({ question, answer, onChange }) => {
+  const type = question.question_type || 'single';
+
+  if (type === 'numeric') {
+    return (
+      <input
+        type="number"
+        step="any"
+        value={answer ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="Your answer"
+        className="w-full sm:w-64 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+    );
+  }
+
+  if (type === 'text') {
+    return (
+      <input
+        type="text"
+        value={answer ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="Your answer"
+        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+    );
+  }
+
+  if (type === 'code_output') {
+    return (
+      <div className="space-y-3">
+        {question.language && (
+          <span className="text-xs font-medium text-gray-500 uppercase">{question.language}</span>
+        )}
+        <pre className="p-3 bg-gray-900 text-gray-100 rounded-lg text-xs sm:text-sm overflow-x-auto">{question.code}</pre>
+        <textarea
+          value={answer ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          rows={3}
+          placeholder="What does this code print?"
+          className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+      </div>
+    );
+  }
+
+  const isMultiple = type === 'multiple';
+  const selected = (optionIndex) => (isMultiple
+    ? Array.isArray(answer) && answer.includes(optionIndex)
+    : answer === optionIndex);
+  const select = (optionIndex) => {
+    if (!isMultiple) {
+      onChange(optionIndex);
+      return;
+    }
+    const current = Array.isArray(answer) ? answer : [];
+    onChange(current.includes(optionIndex)
+      ? current.filter(index => index !== optionIndex)
+      : [...current, optionIndex].sort((a, b) => a - b));
+  };
+
+  return (
+    <div className="space-y-3">
+      {isMultiple && (
+        <p className="text-xs text-gray-500">Select all that apply.</p>
+      )}
+      {(question.options || []).map((option, optionIndex) => (
+        <div
+          key={optionIndex}
+          onClick={() => select(optionIndex)}
+          className={`p-2 sm:p-3 rounded-lg border cursor-pointer transition-colors ${selected(optionIndex)
+            ? 'border-primary-500 bg-primary-50 text-primary-700'
+            : 'border-gray-300 hover:border-gray-400'}`}
+        >
+          <div className="flex items-start">
+            <div className={`flex-shrink-0 h-5 w-5 border ${isMultiple ? 'rounded' : 'rounded-full'} flex items-center justify-center mr-2 ${selected(optionIndex)
+              ? 'border-primary-500 bg-primary-500'
+              : 'border-gray-300'}`}
+            >
+              {selected(optionIndex) && (
+                <div className={`h-2 w-2 bg-white ${isMultiple ? 'rounded-sm' : 'rounded-full'}`}></div>
+              )}
+            </div>
+            <span className="text-xs sm:text-sm">{option}</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default QuizAnswerInput;
@@ -1,5 +1,37 @@
 import React, { useState, useEffect } from 'react';
-import { createQuiz, updateQuiz } from '../services/adminService';
+import { createQuiz, updateQuiz, getQuizForEdit, getQuestionBankTopics } from '../services/adminService';
+import QuizQuestionEditor, { toEditableQuestion, toQuestionPayload } from './QuizQuestionEditor';
+
+const EMPTY_RULE = { topic: '', difficulty: '', question_count: 5 };
+
+const EMPTY_QUESTION = {
+  question: '',
+  question_type: 'single',
+  options: { options: ['', '', '', ''] },
+  correct_option: 0,
+  answer: null,
+  difficulty: 'Easy'
+};
+
+const GRADING_POLICIES = [
+  { value: 'best', label: 'Best attempt' },
+  { value: 'last', label: 'Last attempt' },
+  { value: 'average', label: 'Average of attempts' }
+];
+
+const REVEAL_POLICIES = [
+  { value: 'immediately', label: 'Immediately after submitting' },
+  { value: 'after_close', label: 'After the quiz closes' },
+  { value: 'never', label: 'Never' }
+];
+
+// Value for a datetime-local input, in local time
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.valueOf())) return '';
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
 
 const QuizForm = ({ quiz, onSave, onCancel }) => {
   const [formData, setFormData] = useState({
@@ -7,23 +39,57 @@ const QuizForm = ({ quiz, onSave, onCancel }) => {
     description: '',
     category: '',
     scheduled_time: '',
+    closes_at: '',
     duration: 60,
-    questions: [{ question: '', options: { options: ['', '', '', ''] }, correct_option: 0, difficulty: 'Easy' }]
+    max_attempts: '',
+    grading_policy: 'best',
+    reveal_answers: 'immediately',
+    shuffle_questions: true,
+    shuffle_options: true,
+    questions: [{ ...EMPTY_QUESTION }],
+    rules: []
   });
+  const [topics, setTopics] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
   useEffect(() => {
-    if (quiz) {
-      setFormData({
-        title: quiz.title || '',
-        description: quiz.description || '',
-        category: quiz.category || '',
-        scheduled_time: quiz.scheduled_time ? new Date(quiz.scheduled_time).toISOString().slice(0, 16) : '',
-        duration: quiz.duration || 60,
-        questions: quiz.questions || [{ question: '', options: { options: ['', '', '', ''] }, correct_option: 0, difficulty: 'Easy' }]
-      });
-    }
+    getQuestionBankTopics()
+      .then(data => setTopics(data.topics || []))
+      .catch(() => setTopics([]));
+  }, []);
+
+  useEffect(() => {
+    if (!quiz) return;
+    const loadQuiz = async () => {
+      try {
+        const data = await getQuizForEdit(quiz.id);
+        const questions = (data.questions || []).map(toEditableQuestion);
+        setFormData({
+          title: data.quiz.title || '',
+          description: data.quiz.description || '',
+          category: data.quiz.category || '',
+          scheduled_time: toDateTimeInput(data.quiz.scheduled_time),
+          closes_at: toDateTimeInput(data.quiz.closes_at),
+          duration: data.quiz.duration || 60,
+          max_attempts: data.quiz.max_attempts || '',
+          grading_policy: data.quiz.grading_policy || 'best',
+          reveal_answers: data.quiz.reveal_answers || 'immediately',
+          shuffle_questions: Boolean(data.quiz.shuffle_questions),
+          shuffle_options: Boolean(data.quiz.shuffle_options),
+          // A quiz drawn entirely from the bank has no questions of its own
+          questions: questions.length > 0 || (data.rules || []).length > 0 ? questions : [{ ...EMPTY_QUESTION }],
+          rules: (data.rules || []).map(rule => ({
+            topic: rule.topic || '',
+            difficulty: rule.difficulty || '',
+            question_count: rule.question_count
+          }))
+        });
+      } catch (err) {
+        setError(typeof err === 'string' ? err : 'Failed to load the quiz');
+      }
+    };
+    loadQuiz();
   }, [quiz]);
 
   const handleInputChange = (e) => {
@@ -46,20 +112,39 @@ const QuizForm = ({ quiz, onSave, onCancel }) => {
     });
   };
 
-  const handleOptionChange = (questionIndex, optionIndex, value) => {
+  const replaceQuestion = (index, question) => {
     setFormData(prev => {
       const questions = [...prev.questions];
-      const options = [...questions[questionIndex].options.options];
-      options[optionIndex] = value;
-      questions[questionIndex] = { ...questions[questionIndex], options: { options } };
+      questions[index] = question;
       return { ...prev, questions };
     });
   };
 
+  const handleRuleChange = (index, field, value) => {
+    setFormData(prev => {
+      const rules = [...prev.rules];
+      rules[index] = { ...rules[index], [field]: value };
+      return { ...prev, rules };
+    });
+  };
+
+  const addRule = () => {
+    setFormData(prev => ({ ...prev, rules: [...prev.rules, { ...EMPTY_RULE }] }));
+  };
+
+  const removeRule = (index) => {
+    setFormData(prev => ({ ...prev, rules: prev.rules.filter((_, i) => i !== index) }));
+  };
+
+  // Bank questions a rule can draw from
+  const availableFor = (rule) => topics
+    .filter(topic => !rule.topic || topic.topic === rule.topic)
+    .reduce((sum, topic) => sum + (rule.difficulty ? topic.byDifficulty[rule.difficulty] || 0 : topic.total), 0);
+
   const addQuestion = () => {
     setFormData(prev => ({
       ...prev,
-      questions: [...prev.questions, { question: '', options: { options: ['', '', '', ''] }, correct_option: 0, difficulty: 'Easy' }]
+      questions: [...prev.questions, { ...EMPTY_QUESTION }]
     }));
   };
 
@@ -76,22 +161,7 @@ const QuizForm = ({ quiz, onSave, onCancel }) => {
     setError('');
 
     try {
-      const formattedQuestions = (formData.questions || []).map((question) => {
-        const optionArray = Array.isArray(question.options)
-          ? question.options
-          : Array.isArray(question.options?.options)
-            ? question.options.options
-            : [];
-
-        return {
-          question: question.question?.trim() || '',
-          options: {
-            options: optionArray.map((option) => option ?? '')
-          },
-          correct_option: Number(question.correct_option) || 0,
-          difficulty: question.difficulty || 'Medium'
-        };
-      });
+      const formattedQuestions = (formData.questions || []).map(toQuestionPayload);
 
       const scheduledTimeValid = formData.scheduled_time && !Number.isNaN(new Date(formData.scheduled_time).valueOf());
 
@@ -101,7 +171,18 @@ const QuizForm = ({ quiz, onSave, onCancel }) => {
         category: formData.category?.trim() || '',
         duration: Number(formData.duration) || 60,
         scheduled_time: scheduledTimeValid ? new Date(formData.scheduled_time).toISOString() : new Date().toISOString(),
-        questions: formattedQuestions
+        closes_at: formData.closes_at ? new Date(formData.closes_at).toISOString() : null,
+        max_attempts: formData.max_attempts === '' ? null : Number(formData.max_attempts),
+        grading_policy: formData.grading_policy,
+        reveal_answers: formData.reveal_answers,
+        shuffle_questions: formData.shuffle_questions,
+        shuffle_options: formData.shuffle_options,
+        questions: formattedQuestions,
+        rules: formData.rules.map(rule => ({
+          topic: rule.topic,
+          difficulty: rule.difficulty,
+          question_count: Number(rule.question_count)
+        }))
       };
 
       if (quiz) {
@@ -111,7 +192,7 @@ const QuizForm = ({ quiz, onSave, onCancel }) => {
       }
       onSave();
     } catch (err) {
-      setError(err.message || 'Failed to save quiz');
+      setError(err.message || err || 'Failed to save quiz');
     } finally {
       setLoading(false);
     }
@@ -171,9 +252,9 @@ const QuizForm = ({ quiz, onSave, onCancel }) => {
               />
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <div>
-                <label className="form-label">Scheduled Time</label>
+                <label className="form-label">Opens At</label>
                 <input
                   type="datetime-local"
                   name="scheduled_time"
@@ -183,6 +264,18 @@ const QuizForm = ({ quiz, onSave, onCancel }) => {
                   className="form-input"
                 />
               </div>
+              <div>
+                <label className="form-label">Closes At</label>
+                <input
+                  type="datetime-local"
+                  name="closes_at"
+                  value={formData.closes_at}
+                  onChange={handleInputChange}
+                  min={formData.scheduled_time || undefined}
+                  className="form-input"
+                />
+                <p className="text-xs text-gray-500 mt-1">Leave empty to keep the quiz open</p>
+              </div>
               <div>
                 <label className="form-label">Duration (minutes)</label>
                 <input
@@ -199,13 +292,76 @@ const QuizForm = ({ quiz, onSave, onCancel }) => {
               </div>
             </div>
 
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="form-label">Max Attempts</label>
+                <input
+                  type="number"
+                  name="max_attempts"
+                  value={formData.max_attempts}
+                  onChange={handleInputChange}
+                  min="1"
+                  max="100"
+                  className="form-input"
+                  placeholder="Unlimited"
+                />
+              </div>
+              <div>
+                <label className="form-label">Score Counted</label>
+                <select
+                  name="grading_policy"
+                  value={formData.grading_policy}
+                  onChange={handleInputChange}
+                  className="form-select"
+                >
+                  {GRADING_POLICIES.map(policy => <option key={policy.value} value={policy.value}>{policy.label}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Reveal Answers</label>
+                <select
+                  name="reveal_answers"
+                  value={formData.reveal_answers}
+                  onChange={handleInputChange}
+                  className="form-select"
+                >
+                  {REVEAL_POLICIES.map(policy => (
+                    <option key={policy.value} value={policy.value} disabled={policy.value === 'after_close' && !formData.closes_at}>
+                      {policy.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-6">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.shuffle_questions}
+                  onChange={(e) => setFormData(prev => ({ ...prev, shuffle_questions: e.target.checked }))}
+                  className="mr-2"
+                />
+                Shuffle question order per attempt
+              </label>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.shuffle_options}
+                  onChange={(e) => setFormData(prev => ({ ...prev, shuffle_options: e.target.checked }))}
+                  className="mr-2"
+                />
+                Shuffle answer options per attempt
+              </label>
+            </div>
+
             <div>
               <label className="form-label mb-2">Questions</label>
               {formData.questions.map((question, questionIndex) => (
                 <div key={questionIndex} className="card p-4 mb-4">
                   <div className="flex justify-between items-center mb-2">
                     <h4 className="font-medium">Question {questionIndex + 1}</h4>
-                    {formData.questions.length > 1 && (
+                    {(formData.questions.length > 1 || formData.rules.length > 0) && (
                       <button
                         type="button"
                         onClick={() => removeQuestion(questionIndex)}
@@ -227,27 +383,11 @@ const QuizForm = ({ quiz, onSave, onCancel }) => {
                       />
                     </div>
 
-                    <div>
-                      <label className="form-label mb-2">Options</label>
-                      {question.options.options.map((option, optionIndex) => (
-                        <div key={optionIndex} className="flex items-center mb-2">
-                          <input
-                            type="radio"
-                            name={`correct_${questionIndex}`}
-                            checked={question.correct_option === optionIndex}
-                            onChange={() => handleQuestionChange(questionIndex, 'correct_option', optionIndex)}
-                            className="mr-2"
-                          />
-                          <input
-                            type="text"
-                            value={option}
-                            onChange={(e) => handleOptionChange(questionIndex, optionIndex, e.target.value)}
-                            placeholder={`Option ${optionIndex + 1}`}
-                            className="form-input flex-1"
-                          />
-                        </div>
-                      ))}
-                    </div>
+                    <QuizQuestionEditor
+                      question={question}
+                      onChange={(updated) => replaceQuestion(questionIndex, updated)}
+                      name={`correct_${questionIndex}`}
+                    />
 
                     <div>
                       <label className="form-label">Difficulty</label>
@@ -273,6 +413,62 @@ const QuizForm = ({ quiz, onSave, onCancel }) => {
               </button>
             </div>
 
+            <div>
+              <label className="form-label mb-1">Questions from the Bank</label>
+              <p className="text-xs text-gray-500 mb-2">
+                Every attempt draws its own random questions matching each rule, in addition to the questions above.
+              </p>
+              {formData.rules.map((rule, ruleIndex) => (
+                <div key={ruleIndex} className="flex flex-wrap items-center gap-2 mb-2">
+                  <input
+                    type="number"
+                    min="1"
+                    max="50"
+                    value={rule.question_count}
+                    onChange={(e) => handleRuleChange(ruleIndex, 'question_count', e.target.value)}
+                    className="form-input w-20"
+                  />
+                  <select
+                    value={rule.difficulty}
+                    onChange={(e) => handleRuleChange(ruleIndex, 'difficulty', e.target.value)}
+                    className="form-select w-40"
+                  >
+                    <option value="">Any difficulty</option>
+                    <option value="Easy">Easy</option>
+                    <option value="Medium">Medium</option>
+                    <option value="Hard">Hard</option>
+                  </select>
+                  <select
+                    value={rule.topic}
+                    onChange={(e) => handleRuleChange(ruleIndex, 'topic', e.target.value)}
+                    className="form-select flex-1"
+                  >
+                    <option value="">Any topic</option>
+                    {topics.map(topic => (
+                      <option key={topic.topic} value={topic.topic}>{topic.topic}</option>
+                    ))}
+                  </select>
+                  <span className={`text-xs ${availableFor(rule) < Number(rule.question_count) ? 'text-red-600' : 'text-gray-500'}`}>
+                    {availableFor(rule)} available
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => removeRule(ruleIndex)}
+                    className="text-red-600 hover:text-red-800 text-sm"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={addRule}
+                className="btn btn-secondary"
+              >
+                Add Rule
+              </button>
+            </div>
+
             <div className="flex justify-end space-x-4">
               <button
                 type="button"
@@ -0,0 +1,279 @@
+import React from 'react';
+
+export const QUESTION_TYPES = [
+  { value: 'single', label: 'Single choice' },
+  { value: 'multiple', label: 'Multiple select' },
+  { value: 'true_false', label: 'True / False' },
+  { value: 'numeric', label: 'Numeric answer' },
+  { value: 'text', label: 'Short text' },
+  { value: 'code_output', label: 'Code output prediction' }
+];
+
+// Answer key of a freshly chosen question type (single choice and true/false use correct_option)
+export const emptyAnswerFor = (type) => {
+  switch (type) {
+    case 'multiple':
+      return { correct: [], partial_credit: false };
+    case 'numeric':
+      return { value: '', tolerance: '' };
+    case 'text':
+      return { accepted: [], case_sensitive: false };
+    case 'code_output':
+      return { output: '' };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Editor state of a question loaded from the server (quiz editor or question bank)
+ */
+export const toEditableQuestion = (question) => ({
+  question: question.question || '',
+  question_type: question.question_type || 'single',
+  options: { options: question.options?.length ? question.options : ['', '', '', ''] },
+  correct_option: question.correct_option ?? 0,
+  answer: question.answer || emptyAnswerFor(question.question_type),
+  difficulty: question.difficulty || 'Medium',
+  code: question.code,
+  language: question.language
+});
+
+/**
+ * Request body of an edited question
+ */
+export const toQuestionPayload = (question) => {
+  const optionArray = Array.isArray(question.options)
+    ? question.options
+    : Array.isArray(question.options?.options)
+      ? question.options.options
+      : [];
+
+  const type = question.question_type || 'single';
+  const answer = type === 'text'
+    ? { ...question.answer, accepted: (question.answer?.accepted || []).map(value => value.trim()).filter(Boolean) }
+    : question.answer;
+
+  return {
+    question: question.question?.trim() || '',
+    question_type: type,
+    options: {
+      options: optionArray.map((option) => option ?? '')
+    },
+    correct_option: Number(question.correct_option) || 0,
+    answer,
+    ...(type === 'code_output' ? { code: question.code || '', language: question.language?.trim() || '' } : {}),
+    difficulty: question.difficulty || 'Medium'
+  };
+};
+
+/**
+ * Question type selector and the answer editor of the chosen type. Shared by
+ * the quiz form and the question bank.
+ */
+const QuizQuestionEditor = ({ question, onChange, name }) => {
+  const update = (field, value) => onChange({ ...question, [field]: value });
+
+  const updateAnswer = (field, value) => onChange({ ...question, answer: { ...question.answer, [field]: value } });
+
+  const updateOption = (optionIndex, value) => {
+    const options = [...question.options.options];
+    options[optionIndex] = value;
+    onChange({ ...question, options: { options } });
+  };
+
+  const changeType = (type) => onChange({ ...question, question_type: type, correct_option: 0, answer: emptyAnswerFor(type) });
+
+  const toggleCorrectOption = (optionIndex) => {
+    const correct = question.answer?.correct || [];
+    updateAnswer(
+      'correct',
+      correct.includes(optionIndex)
+        ? correct.filter(index => index !== optionIndex)
+        : [...correct, optionIndex].sort((a, b) => a - b)
+    );
+  };
+
+  return (
+    <>
+      <div>
+        <label className="form-label">Question Type</label>
+        <select
+          value={question.question_type || 'single'}
+          onChange={(e) => changeType(e.target.value)}
+          className="form-select"
+        >
+          {QUESTION_TYPES.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {(!question.question_type || question.question_type === 'single') && (
+        <div>
+          <label className="form-label mb-2">Options</label>
+          {question.options.options.map((option, optionIndex) => (
+            <div key={optionIndex} className="flex items-center mb-2">
+              <input
+                type="radio"
+                name={name}
+                checked={question.correct_option === optionIndex}
+                onChange={() => update('correct_option', optionIndex)}
+                className="mr-2"
+              />
+              <input
+                type="text"
+                value={option}
+                onChange={(e) => updateOption(optionIndex, e.target.value)}
+                placeholder={`Option ${optionIndex + 1}`}
+                className="form-input flex-1"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {question.question_type === 'multiple' && (
+        <div>
+          <label className="form-label mb-2">Options (check every correct one)</label>
+          {question.options.options.map((option, optionIndex) => (
+            <div key={optionIndex} className="flex items-center mb-2">
+              <input
+                type="checkbox"
+                checked={(question.answer?.correct || []).includes(optionIndex)}
+                onChange={() => toggleCorrectOption(optionIndex)}
+                className="mr-2"
+              />
+              <input
+                type="text"
+                value={option}
+                onChange={(e) => updateOption(optionIndex, e.target.value)}
+                placeholder={`Option ${optionIndex + 1}`}
+                className="form-input flex-1"
+              />
+            </div>
+          ))}
+          <label className="flex items-center text-sm text-gray-700 mt-2">
+            <input
+              type="checkbox"
+              checked={Boolean(question.answer?.partial_credit)}
+              onChange={(e) => updateAnswer('partial_credit', e.target.checked)}
+              className="mr-2"
+            />
+            Partial credit (each wrong choice cancels a right one)
+          </label>
+        </div>
+      )}
+
+      {question.question_type === 'true_false' && (
+        <div>
+          <label className="form-label mb-2">Correct Answer</label>
+          <div className="flex items-center space-x-6">
+            {['True', 'False'].map((label, optionIndex) => (
+              <label key={label} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="radio"
+                  name={name}
+                  checked={question.correct_option === optionIndex}
+                  onChange={() => update('correct_option', optionIndex)}
+                  className="mr-2"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {question.question_type === 'numeric' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="form-label">Correct Value</label>
+            <input
+              type="number"
+              step="any"
+              value={question.answer?.value ?? ''}
+              onChange={(e) => updateAnswer('value', e.target.value)}
+              className="form-input"
+            />
+          </div>
+          <div>
+            <label className="form-label">Tolerance (±)</label>
+            <input
+              type="number"
+              step="any"
+              min="0"
+              value={question.answer?.tolerance ?? ''}
+              onChange={(e) => updateAnswer('tolerance', e.target.value)}
+              placeholder="0"
+              className="form-input"
+            />
+          </div>
+        </div>
+      )}
+
+      {question.question_type === 'text' && (
+        <div>
+          <label className="form-label">Accepted Answers (one per line)</label>
+          <textarea
+            value={(question.answer?.accepted || []).join('\n')}
+            onChange={(e) => updateAnswer('accepted', e.target.value.split('\n'))}
+            rows={3}
+            className="form-textarea font-mono"
+            placeholder={'binary search\n/o\\(log ?n\\)/'}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Write an answer as /pattern/ to accept every answer matching that regular expression.
+          </p>
+          <label className="flex items-center text-sm text-gray-700 mt-2">
+            <input
+              type="checkbox"
+              checked={Boolean(question.answer?.case_sensitive)}
+              onChange={(e) => updateAnswer('case_sensitive', e.target.checked)}
+              className="mr-2"
+            />
+            Case sensitive
+          </label>
+        </div>
+      )}
+
+      {question.question_type === 'code_output' && (
+        <div className="space-y-4">
+          <div>
+            <label className="form-label">Language</label>
+            <input
+              type="text"
+              value={question.language || ''}
+              onChange={(e) => update('language', e.target.value)}
+              placeholder="python"
+              className="form-input"
+            />
+          </div>
+          <div>
+            <label className="form-label">Code</label>
+            <textarea
+              value={question.code || ''}
+              onChange={(e) => update('code', e.target.value)}
+              rows={6}
+              className="form-textarea font-mono"
+            />
+          </div>
+          <div>
+            <label className="form-label">Expected Output</label>
+            <textarea
+              value={question.answer?.output || ''}
+              onChange={(e) => updateAnswer('output', e.target.value)}
+              rows={3}
+              className="form-textarea font-mono"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Trailing whitespace and line endings are ignored when answers are compared.
+            </p>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default QuizQuestionEditor;
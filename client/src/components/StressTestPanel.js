@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { stressTestSubmission } from '../services/submissionService';
+import VerdictBadge from './VerdictBadge';
+
+/**
+ * Offers a stress test after a Wrong Answer: the submission is run on random
+ * generated inputs next to the reference solution and the smallest input on
+ * which they disagree is shown.
+ */
+const StressTestPanel = ({ submissionId, ioTextClass = '' }) => {
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleStressTest = async () => {
+    setRunning(true);
+    setError('');
+    try {
+      setReport(await stressTestSubmission(submissionId));
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to run stress test');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const failure = report?.smallestFailure;
+
+  return (
+    <div className="rounded-lg border border-indigo-200 dark:border-indigo-600 bg-indigo-50 dark:bg-indigo-900/30 px-3 sm:px-4 py-3 text-sm text-indigo-900 dark:text-indigo-100 space-y-3">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <span>Can't spot the bug? Compare your solution with the reference solution on random inputs.</span>
+        <button
+          type="button"
+          onClick={handleStressTest}
+          disabled={running}
+          className="px-3 py-1.5 rounded-md bg-indigo-600 hover:bg-indigo-700 text-white text-xs font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {running ? 'Stress testing…' : 'Find a failing input'}
+        </button>
+      </div>
+
+      {error && <p className="text-red-700 dark:text-red-300">{error}</p>}
+
+      {report && !failure && (
+        <p>No difference found on {report.iterations} random inputs. The failing case may need larger or more specific input.</p>
+      )}
+
+      {failure && (
+        <div className="space-y-2">
+          <div className="flex items-center gap-2">
+            <span className="font-medium">
+              Smallest failing input ({report.failures} of {report.iterations} random inputs failed)
+            </span>
+            <VerdictBadge verdict={failure.verdict} />
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-xs">
+            <div>
+              <span className="font-medium block mb-1">Input</span>
+              <div className={`bg-white/60 dark:bg-gray-900 border border-white/40 dark:border-gray-600 rounded p-2 font-mono break-all${ioTextClass}`}>
+                {failure.input || '—'}
+              </div>
+            </div>
+            <div>
+              <span className="font-medium block mb-1">Expected</span>
+              <div className={`bg-white/60 dark:bg-gray-800 border border-white/40 dark:border-gray-700 rounded p-2 font-mono break-all${ioTextClass}`}>
+                {failure.expectedOutput || '—'}
+              </div>
+            </div>
+            <div>
+              <span className="font-medium block mb-1">Actual</span>
+              <div className={`bg-white/60 dark:bg-gray-800 border border-white/40 dark:border-gray-700 rounded p-2 font-mono break-all${ioTextClass}`}>
+                {failure.actualOutput || (failure.error ? 'Error' : '—')}
+              </div>
+            </div>
+          </div>
+          {(failure.checkerMessage || failure.error) && (
+            <p className="text-xs font-mono whitespace-pre-wrap">{failure.checkerMessage || failure.error}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StressTestPanel;
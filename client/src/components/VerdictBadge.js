@@ -0,0 +1,38 @@
+import React from 'react';
+
+// Verdict codes returned by the judge, mirrored from server/utils/verdicts.js.
+export const VERDICT_LABELS = {
+  AC: 'Accepted',
+  WA: 'Wrong Answer',
+  TLE: 'Time Limit Exceeded',
+  MLE: 'Memory Limit Exceeded',
+  RE: 'Runtime Error',
+  CE: 'Compilation Error',
+  IE: 'Internal Error'
+};
+
+const VERDICT_CLASSES = {
+  AC: 'bg-green-600 text-white dark:bg-green-500 dark:text-green-950',
+  WA: 'bg-red-600 text-white dark:bg-red-500 dark:text-red-950',
+  TLE: 'bg-amber-500 text-white dark:bg-amber-400 dark:text-amber-950',
+  MLE: 'bg-orange-600 text-white dark:bg-orange-400 dark:text-orange-950',
+  RE: 'bg-purple-600 text-white dark:bg-purple-400 dark:text-purple-950',
+  CE: 'bg-yellow-400 text-yellow-950 dark:bg-yellow-300',
+  IE: 'bg-gray-500 text-white dark:bg-gray-400 dark:text-gray-950'
+};
+
+const VerdictBadge = ({ verdict, showLabel = false, className = '' }) => {
+  if (!verdict || !VERDICT_LABELS[verdict]) return null;
+
+  return (
+    <span
+      title={VERDICT_LABELS[verdict]}
+      className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-semibold tracking-wide ${VERDICT_CLASSES[verdict]} ${className}`}
+    >
+      {verdict}
+      {showLabel && <span className="ml-1 font-medium normal-case">· {VERDICT_LABELS[verdict]}</span>}
+    </span>
+  );
+};
+
+export default VerdictBadge;
@@ -1,15 +1,56 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Routes, Route, Link, useLocation } from 'react-router-dom';
-import { getUsers, getPlatformStats, deleteQuestion, deleteQuiz } from '../services/adminService';
+import { getUsers, getPlatformStats, deleteQuestion, deleteQuiz, deleteContest, unfreezeScoreboard, deleteAssessment, getAssessmentResults, getRuntimeSettings, updateRuntimeSettings, refreshRuntimes, exportProblemPackage } from '../services/adminService';
 import { getQuestions } from '../services/questionService';
 import { getQuizzes } from '../services/quizService';
+import { getContests } from '../services/contestService';
+import { getAssessments } from '../services/assessmentService';
+import { getCohorts } from '../services/cohortService';
 import QuestionForm from '../components/QuestionForm';
+import ProblemImportPanel from '../components/ProblemImportPanel';
+import QuestionHistory from '../components/QuestionHistory';
 import QuizForm from '../components/QuizForm';
+import ContestForm from '../components/ContestForm';
+import AssessmentForm from '../components/AssessmentForm';
 import Leaderboard from '../components/Leaderboard';
+import PlagiarismPanel from '../components/PlagiarismPanel';
+import QuestionBankPanel from '../components/QuestionBankPanel';
+import CohortsPanel from '../components/CohortsPanel';
+
+// Cohort picked in the panel's switcher, kept across visits
+const COHORT_STORAGE_KEY = 'adminCohortId';
 
 const AdminPanel = ({ user }) => {
   const location = useLocation();
   const [activeTab, setActiveTab] = useState('dashboard');
+  const [cohorts, setCohorts] = useState([]);
+  const [selectedCohortId, setSelectedCohortId] = useState(() => localStorage.getItem(COHORT_STORAGE_KEY) || '');
+  const isAdmin = user?.role === 'admin';
+
+  const fetchCohorts = useCallback(async () => {
+    try {
+      setCohorts(await getCohorts());
+    } catch (err) {
+      console.error('Cohorts fetch error:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCohorts();
+  }, [fetchCohorts]);
+
+  const managedCohorts = cohorts.filter(cohort => cohort.managed);
+  // A stored cohort that was deleted, or belongs to another instructor, falls back to all cohorts
+  const cohortId = managedCohorts.some(cohort => String(cohort.id) === String(selectedCohortId)) ? selectedCohortId : '';
+
+  const handleSelectCohort = (id) => {
+    setSelectedCohortId(id);
+    if (id) {
+      localStorage.setItem(COHORT_STORAGE_KEY, id);
+    } else {
+      localStorage.removeItem(COHORT_STORAGE_KEY);
+    }
+  };
 
   useEffect(() => {
     // Set active tab based on current path
@@ -18,18 +59,47 @@ const AdminPanel = ({ user }) => {
       setActiveTab('dashboard');
     } else if (path === 'users') {
       setActiveTab('users');
+    } else if (path === 'cohorts') {
+      setActiveTab('cohorts');
     } else if (path === 'questions') {
       setActiveTab('questions');
     } else if (path === 'quizzes') {
       setActiveTab('quizzes');
+    } else if (path === 'question-bank') {
+      setActiveTab('question-bank');
+    } else if (path === 'contests') {
+      setActiveTab('contests');
+    } else if (path === 'assessments') {
+      setActiveTab('assessments');
     } else if (path === 'leaderboard') {
       setActiveTab('leaderboard');
+    } else if (path === 'plagiarism') {
+      setActiveTab('plagiarism');
+    } else if (path === 'runtimes') {
+      setActiveTab('runtimes');
     }
   }, [location]);
 
   return (
     <div className="space-y-6">
-      <h1 className="text-3xl font-bold">Admin Panel</h1>
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <h1 className="text-3xl font-bold">{isAdmin ? 'Admin Panel' : 'Instructor Panel'}</h1>
+        {managedCohorts.length > 0 && (
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            Cohort
+            <select
+              value={cohortId}
+              onChange={(e) => handleSelectCohort(e.target.value)}
+              className="form-select w-auto"
+            >
+              <option value="">{isAdmin ? 'All users' : 'All my cohorts'}</option>
+              {managedCohorts.map(cohort => (
+                <option key={cohort.id} value={cohort.id}>{cohort.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
       
       <div className="bg-white rounded-lg shadow-sm overflow-hidden">
         <div className="border-b">
@@ -49,19 +119,51 @@ const AdminPanel = ({ user }) => {
               Users
             </Link>
             <Link
-              to="/admin/questions"
-              className={`py-4 px-6 border-b-2 font-medium text-sm ${activeTab === 'questions' ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
-              onClick={() => setActiveTab('questions')}
-            >
-              Questions
-            </Link>
-            <Link
-              to="/admin/quizzes"
-              className={`py-4 px-6 border-b-2 font-medium text-sm ${activeTab === 'quizzes' ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
-              onClick={() => setActiveTab('quizzes')}
+              to="/admin/cohorts"
+              className={`py-4 px-6 border-b-2 font-medium text-sm ${activeTab === 'cohorts' ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+              onClick={() => setActiveTab('cohorts')}
             >
-              Quizzes
+              Cohorts
             </Link>
+            {isAdmin && (
+              <>
+                <Link
+                  to="/admin/questions"
+                  className={`py-4 px-6 border-b-2 font-medium text-sm ${activeTab === 'questions' ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+                  onClick={() => setActiveTab('questions')}
+                >
+                  Questions
+                </Link>
+                <Link
+                  to="/admin/quizzes"
+                  className={`py-4 px-6 border-b-2 font-medium text-sm ${activeTab === 'quizzes' ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+                  onClick={() => setActiveTab('quizzes')}
+                >
+                  Quizzes
+                </Link>
+                <Link
+                  to="/admin/question-bank"
+                  className={`py-4 px-6 border-b-2 font-medium text-sm ${activeTab === 'question-bank' ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+                  onClick={() => setActiveTab('question-bank')}
+                >
+                  Question Bank
+                </Link>
+                <Link
+                  to="/admin/contests"
+                  className={`py-4 px-6 border-b-2 font-medium text-sm ${activeTab === 'contests' ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+                  onClick={() => setActiveTab('contests')}
+                >
+                  Contests
+                </Link>
+                <Link
+                  to="/admin/assessments"
+                  className={`py-4 px-6 border-b-2 font-medium text-sm ${activeTab === 'assessments' ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+                  onClick={() => setActiveTab('assessments')}
+                >
+                  Assessments
+                </Link>
+              </>
+            )}
             <Link
               to="/admin/leaderboard"
               className={`py-4 px-6 border-b-2 font-medium text-sm ${activeTab === 'leaderboard' ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
@@ -69,16 +171,52 @@ const AdminPanel = ({ user }) => {
             >
               🏆 Leaderboard
             </Link>
+            {isAdmin && (
+              <>
+                <Link
+                  to="/admin/plagiarism"
+                  className={`py-4 px-6 border-b-2 font-medium text-sm ${activeTab === 'plagiarism' ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+                  onClick={() => setActiveTab('plagiarism')}
+                >
+                  Plagiarism
+                </Link>
+                <Link
+                  to="/admin/runtimes"
+                  className={`py-4 px-6 border-b-2 font-medium text-sm ${activeTab === 'runtimes' ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+                  onClick={() => setActiveTab('runtimes')}
+                >
+                  Runtimes
+                </Link>
+              </>
+            )}
           </nav>
         </div>
         
         <div className="p-6">
           <Routes>
-            <Route index element={<AdminDashboard />} />
-            <Route path="users" element={<UsersManagement />} />
-            <Route path="questions" element={<QuestionsManagement />} />
-            <Route path="quizzes" element={<QuizzesManagement />} />
-            <Route path="leaderboard" element={<Leaderboard />} />
+            <Route index element={<AdminDashboard cohortId={cohortId} />} />
+            <Route path="users" element={<UsersManagement cohortId={cohortId} />} />
+            <Route path="cohorts" element={
+              <CohortsPanel
+                user={user}
+                cohorts={cohorts}
+                selectedCohortId={cohortId}
+                onSelectCohort={handleSelectCohort}
+                onCohortsChange={fetchCohorts}
+              />
+            } />
+            <Route path="leaderboard" element={<Leaderboard cohortId={cohortId} />} />
+            {isAdmin && (
+              <>
+                <Route path="questions" element={<QuestionsManagement />} />
+                <Route path="quizzes" element={<QuizzesManagement />} />
+                <Route path="question-bank" element={<QuestionBankPanel />} />
+                <Route path="contests" element={<ContestsManagement />} />
+                <Route path="assessments" element={<AssessmentsManagement />} />
+                <Route path="plagiarism" element={<PlagiarismPanel />} />
+                <Route path="runtimes" element={<RuntimesManagement />} />
+              </>
+            )}
           </Routes>
         </div>
       </div>
@@ -86,19 +224,15 @@ const AdminPanel = ({ user }) => {
   );
 };
 
-const AdminDashboard = () => {
+const AdminDashboard = ({ cohortId }) => {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
-  useEffect(() => {
-    fetchStats();
-  }, []);
-
-  const fetchStats = async () => {
+  const fetchStats = useCallback(async () => {
     setLoading(true);
     try {
-      const data = await getPlatformStats();
+      const data = await getPlatformStats(cohortId);
       setStats(data);
     } catch (err) {
       setError('Failed to load statistics. Please try again.');
@@ -106,7 +240,11 @@ const AdminDashboard = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [cohortId]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
 
   if (loading) {
     return (
@@ -134,13 +272,13 @@ const AdminDashboard = () => {
 
   return (
     <div>
-      <h2 className="text-xl font-semibold mb-6">Platform Statistics</h2>
+      <h2 className="text-xl font-semibold mb-6">{stats.cohortScoped ? 'Cohort Statistics' : 'Platform Statistics'}</h2>
       
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         <div className="bg-gray-50 p-4 rounded-lg">
           <div className="text-3xl font-bold text-primary-600 mb-2">{stats.totalUsers}</div>
           <div className="text-gray-500">Total Users</div>
-          <div className="text-sm text-gray-400 mt-1">Registered users</div>
+          <div className="text-sm text-gray-400 mt-1">{stats.cohortScoped ? 'Cohort members' : 'Registered users'}</div>
         </div>
         
         <div className="bg-gray-50 p-4 rounded-lg">
@@ -167,19 +305,15 @@ const AdminDashboard = () => {
   );
 };
 
-const UsersManagement = () => {
+const UsersManagement = ({ cohortId }) => {
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
-  useEffect(() => {
-    fetchUsers();
-  }, []);
-
-  const fetchUsers = async () => {
+  const fetchUsers = useCallback(async () => {
     setLoading(true);
     try {
-      const data = await getUsers();
+      const data = await getUsers(cohortId);
       setUsers(data.users);
     } catch (err) {
       setError('Failed to load users. Please try again.');
@@ -187,7 +321,11 @@ const UsersManagement = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [cohortId]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
 
   if (loading) {
     return (
@@ -256,7 +394,7 @@ const UsersManagement = () => {
                   <div className="text-sm text-gray-500">{user.email}</div>
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap">
-                  <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${user.role === 'admin' ? 'bg-purple-100 text-purple-800' : 'bg-green-100 text-green-800'}`}>
+                  <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${user.role === 'admin' ? 'bg-purple-100 text-purple-800' : user.role === 'instructor' ? 'bg-blue-100 text-blue-800' : 'bg-green-100 text-green-800'}`}>
                     {user.role}
                   </span>
                 </td>
@@ -285,6 +423,8 @@ const QuestionsManagement = () => {
   const [error, setError] = useState('');
   const [showForm, setShowForm] = useState(false);
   const [editingQuestion, setEditingQuestion] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [historyQuestion, setHistoryQuestion] = useState(null);
 
   useEffect(() => {
     fetchQuestions();
@@ -314,6 +454,20 @@ const QuestionsManagement = () => {
     }
   };
 
+  const handleExportQuestion = async (question) => {
+    try {
+      const blob = await exportProblemPackage(question.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `question-${question.id}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export question. Please try again.');
+    }
+  };
+
   const handleEditQuestion = (question) => {
     setEditingQuestion(question);
     setShowForm(true);
@@ -342,13 +496,28 @@ const QuestionsManagement = () => {
     <div>
       <div className="flex justify-between items-center mb-6">
         <h2 className="text-xl font-semibold">Questions Management</h2>
-        <button 
-          onClick={() => setShowForm(true)}
-          className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
-        >
-          Add Question
-        </button>
+        <div className="flex gap-3">
+          <button 
+            onClick={() => setShowImport(true)}
+            className="px-4 py-2 border border-primary-600 text-primary-600 rounded-md hover:bg-primary-50 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+          >
+            Import Problems
+          </button>
+          <button 
+            onClick={() => setShowForm(true)}
+            className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+          >
+            Add Question
+          </button>
+        </div>
       </div>
+
+      {showImport && (
+        <ProblemImportPanel
+          onImported={fetchQuestions}
+          onClose={() => setShowImport(false)}
+        />
+      )}
       
       {error && (
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">
@@ -405,6 +574,18 @@ const QuestionsManagement = () => {
                   >
                     Edit
                   </button>
+                  <button 
+                    onClick={() => setHistoryQuestion(question)}
+                    className="text-gray-600 hover:text-gray-900 mr-3"
+                  >
+                    History
+                  </button>
+                  <button 
+                    onClick={() => handleExportQuestion(question)}
+                    className="text-gray-600 hover:text-gray-900 mr-3"
+                  >
+                    Export
+                  </button>
                   <button 
                     className="text-red-600 hover:text-red-900"
                     onClick={() => handleDeleteQuestion(question.id)}
@@ -425,6 +606,13 @@ const QuestionsManagement = () => {
           onCancel={handleFormCancel}
         />
       )}
+
+      {historyQuestion && (
+        <QuestionHistory
+          question={historyQuestion}
+          onClose={() => setHistoryQuestion(null)}
+        />
+      )}
     </div>
   );
 };
@@ -581,4 +769,561 @@ const QuizzesManagement = () => {
   );
 };
 
-export default AdminPanel;
\ No newline at end of file
+const ContestsManagement = () => {
+  const [contests, setContests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [editingContest, setEditingContest] = useState(null);
+
+  useEffect(() => {
+    fetchContests();
+  }, []);
+
+  const fetchContests = async () => {
+    setLoading(true);
+    try {
+      setContests(await getContests());
+    } catch (err) {
+      setError('Failed to load contests. Please try again.');
+      console.error('Contests fetch error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteContest = async (id) => {
+    if (window.confirm('Are you sure you want to delete this contest? Its submissions are kept as practice submissions.')) {
+      try {
+        await deleteContest(id);
+        setContests(contests.filter(c => c.id !== id));
+      } catch (err) {
+        setError('Failed to delete contest. Please try again.');
+      }
+    }
+  };
+
+  const handleUnfreeze = async (id) => {
+    try {
+      await unfreezeScoreboard(id);
+      fetchContests();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to unfreeze the scoreboard.');
+    }
+  };
+
+  const handleFormSave = () => {
+    setShowForm(false);
+    setEditingContest(null);
+    fetchContests();
+  };
+
+  const handleFormCancel = () => {
+    setShowForm(false);
+    setEditingContest(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-xl font-semibold">Contests Management</h2>
+        <button 
+          onClick={() => setShowForm(true)}
+          className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+        >
+          Add Contest
+        </button>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+      
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Title
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Window
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Scoring
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Problems
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Registered
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {contests.map((contest) => (
+              <tr key={contest.id}>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="text-sm font-medium text-gray-900">{contest.title}</div>
+                  <div className="text-xs text-gray-500">{contest.phase}</div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  <div>{new Date(contest.start_time).toLocaleString()}</div>
+                  <div>{new Date(contest.end_time).toLocaleString()}</div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 uppercase">
+                  {contest.scoring_type}
+                  {contest.freeze_minutes ? <span className="normal-case"> · freeze {contest.freeze_minutes}m</span> : null}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {contest.problemCount}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {contest.participantCount}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                  <Link to={`/contests/${contest.id}`} className="text-gray-600 hover:text-gray-900 mr-3">
+                    Scoreboard
+                  </Link>
+                  {contest.phase === 'finished' && contest.freeze_minutes && !contest.scoreboard_unfrozen && (
+                    <button 
+                      onClick={() => handleUnfreeze(contest.id)}
+                      className="text-blue-600 hover:text-blue-900 mr-3"
+                    >
+                      Unfreeze
+                    </button>
+                  )}
+                  <button 
+                    onClick={() => {
+                      setEditingContest(contest);
+                      setShowForm(true);
+                    }}
+                    className="text-primary-600 hover:text-primary-900 mr-3"
+                  >
+                    Edit
+                  </button>
+                  <button 
+                    className="text-red-600 hover:text-red-900"
+                    onClick={() => handleDeleteContest(contest.id)}
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {contests.length === 0 && <p className="text-sm text-gray-500 py-4">No contests yet.</p>}
+      </div>
+      
+      {showForm && (
+        <ContestForm
+          contest={editingContest}
+          onSave={handleFormSave}
+          onCancel={handleFormCancel}
+        />
+      )}
+    </div>
+  );
+};
+
+const AssessmentsManagement = () => {
+  const [assessments, setAssessments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [editingAssessment, setEditingAssessment] = useState(null);
+  const [results, setResults] = useState(null);
+
+  useEffect(() => {
+    fetchAssessments();
+  }, []);
+
+  const fetchAssessments = async () => {
+    setLoading(true);
+    try {
+      setAssessments(await getAssessments());
+    } catch (err) {
+      setError('Failed to load assessments. Please try again.');
+      console.error('Assessments fetch error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteAssessment = async (id) => {
+    if (window.confirm('Are you sure you want to delete this assessment? Its results are deleted too.')) {
+      try {
+        await deleteAssessment(id);
+        setAssessments(assessments.filter(a => a.id !== id));
+      } catch (err) {
+        setError('Failed to delete assessment. Please try again.');
+      }
+    }
+  };
+
+  const handleShowResults = async (id) => {
+    if (results?.assessment.id === id) {
+      setResults(null);
+      return;
+    }
+    try {
+      setResults(await getAssessmentResults(id));
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to load the results.');
+    }
+  };
+
+  const handleFormSave = () => {
+    setShowForm(false);
+    setEditingAssessment(null);
+    fetchAssessments();
+  };
+
+  const handleFormCancel = () => {
+    setShowForm(false);
+    setEditingAssessment(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-xl font-semibold">Assessments Management</h2>
+        <button 
+          onClick={() => setShowForm(true)}
+          className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+        >
+          Add Assessment
+        </button>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+      
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Title
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Window
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Items
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Points
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {assessments.map((assessment) => (
+              <tr key={assessment.id}>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="text-sm font-medium text-gray-900">{assessment.title}</div>
+                  <div className="text-xs text-gray-500">{assessment.duration} minutes</div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  <div>{assessment.opens_at ? new Date(assessment.opens_at).toLocaleString() : 'Open now'}</div>
+                  <div>{assessment.closes_at ? new Date(assessment.closes_at).toLocaleString() : 'No closing time'}</div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {assessment.quiz_items} quiz · {assessment.coding_items} coding
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {assessment.total_points}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                  <button 
+                    onClick={() => handleShowResults(assessment.id)}
+                    className="text-gray-600 hover:text-gray-900 mr-3"
+                  >
+                    Results
+                  </button>
+                  <button 
+                    onClick={() => {
+                      setEditingAssessment(assessment);
+                      setShowForm(true);
+                    }}
+                    className="text-primary-600 hover:text-primary-900 mr-3"
+                  >
+                    Edit
+                  </button>
+                  <button 
+                    className="text-red-600 hover:text-red-900"
+                    onClick={() => handleDeleteAssessment(assessment.id)}
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {assessments.length === 0 && <p className="text-sm text-gray-500 py-4">No assessments yet.</p>}
+      </div>
+
+      {results && (
+        <div className="mt-6">
+          <h3 className="text-lg font-semibold mb-3">Results: {results.assessment.title}</h3>
+          {results.attempts.length === 0 ? (
+            <p className="text-sm text-gray-500">No one has started this assessment yet.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Student</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Score</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Submitted</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {results.attempts.map(attempt => (
+                  <tr key={attempt.id}>
+                    <td className="px-4 py-2 text-gray-900">{attempt.user_name}</td>
+                    <td className="px-4 py-2 text-gray-500">
+                      {attempt.status === 'submitted' ? (attempt.auto_submitted ? 'Time ran out' : 'Submitted') : 'In progress'}
+                    </td>
+                    <td className="px-4 py-2 text-gray-900">
+                      {attempt.score === null ? '—' : `${attempt.score}/${attempt.max_score}`}
+                    </td>
+                    <td className="px-4 py-2 text-gray-500">
+                      {attempt.submitted_at ? new Date(attempt.submitted_at).toLocaleString() : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+      
+      {showForm && (
+        <AssessmentForm
+          assessment={editingAssessment}
+          onSave={handleFormSave}
+          onCancel={handleFormCancel}
+        />
+      )}
+    </div>
+  );
+};
+
+const RuntimesManagement = () => {
+  const [settings, setSettings] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const applySettings = useCallback((data) => {
+    setSettings(data);
+    setMapping(data.mapping || {});
+  }, []);
+
+  const fetchSettings = useCallback(async () => {
+    setLoading(true);
+    try {
+      applySettings(await getRuntimeSettings());
+    } catch (err) {
+      setError('Failed to load runtimes. Please try again.');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [applySettings]);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  const toggleRuntime = (language, runtimeId) => {
+    setMapping(prev => {
+      const current = prev[language] || { runtimes: [], default: null };
+      const runtimes = current.runtimes.includes(runtimeId)
+        ? current.runtimes.filter(id => id !== runtimeId)
+        : [...current.runtimes, runtimeId];
+      const defaultId = runtimes.includes(current.default) ? current.default : (runtimes[0] || null);
+      return { ...prev, [language]: { runtimes, default: defaultId } };
+    });
+  };
+
+  const setDefaultRuntime = (language, runtimeId) => {
+    setMapping(prev => {
+      const current = prev[language] || { runtimes: [], default: null };
+      const runtimes = current.runtimes.includes(runtimeId) ? current.runtimes : [...current.runtimes, runtimeId];
+      return { ...prev, [language]: { runtimes, default: runtimeId } };
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      applySettings(await updateRuntimeSettings(mapping));
+      setMessage('Runtime settings saved.');
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to save runtimes. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    setError('');
+    setMessage('');
+    try {
+      const data = await refreshRuntimes();
+      applySettings(data);
+      const failed = Object.entries(data.summary || {}).filter(([, result]) => !result.discovered);
+      setMessage(failed.length > 0
+        ? `Could not reach ${failed.map(([name]) => name).join(', ')}; showing the cached runtime list.`
+        : 'Runtime list refreshed from the execution backend.');
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to refresh runtimes. Please try again.');
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!settings) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded" role="alert">
+        <span className="block sm:inline">{error}</span>
+      </div>
+    );
+  }
+
+  const languages = Object.keys(settings.languages)
+    .map(language => ({
+      id: language,
+      name: settings.languages[language],
+      runtimes: settings.catalog.filter(runtime => runtime.language === language)
+    }))
+    .filter(language => language.runtimes.length > 0);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h2 className="text-xl font-semibold">Language Runtimes</h2>
+          <p className="text-sm text-gray-500">
+            Runtimes discovered on the <span className="font-medium">{settings.provider}</span> backend. Checked runtimes can be selected in the compiler and on problems; the default is used otherwise.
+          </p>
+        </div>
+        <div className="flex space-x-3">
+          <button
+            onClick={handleRefresh}
+            disabled={refreshing}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            {refreshing ? 'Refreshing...' : 'Refresh'}
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          <span className="block sm:inline">{message}</span>
+        </div>
+      )}
+
+      {languages.length === 0 ? (
+        <div className="text-center py-8">
+          <div className="text-gray-500">No runtimes found</div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {languages.map(language => {
+            const entry = mapping[language.id] || { runtimes: [], default: null };
+            return (
+              <div key={language.id} className="border rounded-lg p-4">
+                <h3 className="font-medium mb-3">{language.name}</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                  {language.runtimes.map(runtime => (
+                    <div key={runtime.id} className="flex items-center justify-between text-sm">
+                      <label className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          checked={entry.runtimes.includes(runtime.id)}
+                          onChange={() => toggleRuntime(language.id, runtime.id)}
+                        />
+                        <span>{runtime.name}</span>
+                        {runtime.version && <span className="text-gray-400">{runtime.version}</span>}
+                      </label>
+                      <label className="flex items-center space-x-1 text-gray-500">
+                        <input
+                          type="radio"
+                          name={`default-${language.id}`}
+                          checked={entry.default === runtime.id}
+                          onChange={() => setDefaultRuntime(language.id, runtime.id)}
+                        />
+                        <span>Default</span>
+                      </label>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminPanel;
@@ -0,0 +1,601 @@
+/**
+ * @file AssessmentDetail.js
+ * @description Takes a mixed assessment: quiz questions answered in place and
+ * coding problems solved in an embedded editor, under one server-side timer.
+ * Quiz answers are autosaved like a quiz attempt; coding items are submitted
+ * to the judge as part of the attempt and count with their best score.
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  getAssessment,
+  startAssessment,
+  saveAssessmentAnswers,
+  submitAssessment
+} from '../services/assessmentService';
+import { getQuestion } from '../services/questionService';
+import { submitCode, getSubmissionStatus, getCodeDraft, saveCodeDraft } from '../services/submissionService';
+import { getLanguages } from '../services/compilerService';
+import { getCodeTemplate } from '../utils/scaffoldings';
+import CodeEditor from '../components/CodeEditor';
+import VerdictBadge from '../components/VerdictBadge';
+import QuizAnswerInput, { isAnswered } from '../components/QuizAnswerInput';
+
+const SUBMISSION_POLL_INTERVAL_MS = 1000;
+
+// Shown when the language catalog cannot be loaded from the server.
+const FALLBACK_LANGUAGES = [
+  { id: 'javascript', name: 'JavaScript' },
+  { id: 'python', name: 'Python' },
+  { id: 'java', name: 'Java' },
+  { id: 'cpp', name: 'C++' }
+];
+
+const formatTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const remainingSeconds = seconds % 60;
+  return `${minutes}:${remainingSeconds < 10 ? '0' : ''}${remainingSeconds}`;
+};
+
+/**
+ * One coding item of a running attempt: the problem statement, an editor
+ * whose code is kept as a draft per attempt, and submissions judged as part
+ * of the attempt.
+ */
+const CodingItem = ({ item, attemptId, languageCatalog, lastSubmission, onSubmission }) => {
+  const [problem, setProblem] = useState(null);
+  const [testCases, setTestCases] = useState([]);
+  const [language, setLanguage] = useState('javascript');
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const mountedRef = useRef(true);
+  // Drafts are kept apart from practice drafts of the same problem
+  const draftKey = `assessment-${attemptId}-${item.question_id}`;
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadCode = useCallback(async (question, lang, cases) => {
+    const draft = await getCodeDraft(draftKey, lang);
+    if (!mountedRef.current) return;
+    setCode(typeof draft?.code === 'string' && draft.code.length > 0 ? draft.code : getCodeTemplate(question, lang, cases));
+  }, [draftKey]);
+
+  useEffect(() => {
+    const fetchProblem = async () => {
+      try {
+        const data = await getQuestion(item.question_id);
+        if (!mountedRef.current) return;
+        const supported = Array.isArray(data.question.language_supported)
+          ? data.question.language_supported
+          : data.question.language_supported?.languages || [];
+        const initialLanguage = supported.length > 0 && !supported.includes('javascript') ? supported[0] : 'javascript';
+        setProblem(data.question);
+        setTestCases(data.testCases || []);
+        setLanguage(initialLanguage);
+        await loadCode(data.question, initialLanguage, data.testCases || []);
+      } catch (err) {
+        setError(typeof err === 'string' ? err : 'Failed to load the problem');
+      }
+    };
+    fetchProblem();
+  }, [item.question_id, loadCode]);
+
+  const supportedLanguageIds = Array.isArray(problem?.language_supported) ? problem.language_supported : [];
+  const languageOptions = supportedLanguageIds.length > 0
+    ? languageCatalog.filter((lang) => supportedLanguageIds.includes(lang.id))
+    : languageCatalog;
+
+  const handleLanguageChange = async (e) => {
+    setLanguage(e.target.value);
+    await loadCode(problem, e.target.value, testCases);
+  };
+
+  const handleCodeChange = (value) => {
+    setCode(value);
+    saveCodeDraft(draftKey, { language, code: value });
+  };
+
+  /**
+   * Queues the code with the judge for this attempt and follows it until graded
+   */
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError('');
+    try {
+      const queued = await submitCode(item.question_id, { code, language, assessment_attempt_id: attemptId });
+      onSubmission(item.id, { judgeStatus: 'pending' });
+
+      // Keeps following the submission when the student moves to another item
+      for (;;) {
+        await new Promise(resolve => setTimeout(resolve, SUBMISSION_POLL_INTERVAL_MS));
+        const status = await getSubmissionStatus(queued.submissionId);
+        onSubmission(item.id, status);
+        if (status.judgeStatus === 'finished' || status.judgeStatus === 'failed') break;
+      }
+    } catch (err) {
+      if (mountedRef.current) setError(typeof err === 'string' ? err : 'Failed to submit code');
+    } finally {
+      if (mountedRef.current) setSubmitting(false);
+    }
+  };
+
+  if (error && !problem) {
+    return <div className="alert alert-danger">{error}</div>;
+  }
+
+  if (!problem) {
+    return <div className="py-8 text-center text-gray-500">Loading problem...</div>;
+  }
+
+  const judging = lastSubmission && !['finished', 'failed'].includes(lastSubmission.judgeStatus);
+
+  return (
+    <div className="space-y-4">
+      <div className="prose max-w-none text-sm text-gray-800">
+        <div dangerouslySetInnerHTML={{ __html: problem.description || '' }} />
+      </div>
+
+      {(problem.examples || []).length > 0 && (
+        <div className="space-y-2">
+          {problem.examples.map((example, index) => (
+            <div key={index} className="p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+              <div className="font-semibold text-gray-800 mb-1">Example {index + 1}</div>
+              <div><span className="font-medium text-gray-700">Input:</span> <code className="font-mono">{example.input}</code></div>
+              <div><span className="font-medium text-gray-700">Output:</span> <code className="font-mono">{example.output}</code></div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <select value={language} onChange={handleLanguageChange} className="form-select w-auto">
+          {languageOptions.map((lang) => (
+            <option key={lang.id} value={lang.id}>{lang.name}</option>
+          ))}
+        </select>
+        <div className="flex items-center gap-3">
+          {lastSubmission && (
+            <span className="text-sm text-gray-600">
+              {judging
+                ? 'Judging...'
+                : lastSubmission.judgeStatus === 'failed'
+                  ? 'The judge could not grade this submission'
+                  : (
+                    <>
+                      <VerdictBadge verdict={lastSubmission.verdict} />{' '}
+                      {typeof lastSubmission.score === 'number' && `${lastSubmission.score}/100`}
+                    </>
+                  )}
+            </span>
+          )}
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={submitting || judging || !code.trim()}
+            className="btn btn-primary disabled:opacity-50"
+          >
+            {submitting ? 'Submitting...' : 'Submit Code'}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      <CodeEditor
+        code={code}
+        language={language}
+        onChange={handleCodeChange}
+        height="420px"
+        showHeader={false}
+        title={item.title}
+      />
+      <p className="text-xs text-gray-500">
+        Your best submission counts. Submissions still being judged when the assessment ends are scored once they finish.
+      </p>
+    </div>
+  );
+};
+
+/**
+ * AssessmentDetail shows the overview of an assessment, runs the student's
+ * attempt and presents the graded result.
+ */
+const AssessmentDetail = ({ user }) => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [overview, setOverview] = useState(null);
+  const [attempt, setAttempt] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [timeLeft, setTimeLeft] = useState(0);
+  const [codingStatus, setCodingStatus] = useState({});
+  const [languageCatalog, setLanguageCatalog] = useState(FALLBACK_LANGUAGES);
+  const [results, setResults] = useState(null);
+  const [notice, setNotice] = useState('');
+  const [saveStatus, setSaveStatus] = useState('');
+  const [starting, setStarting] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const unsavedRef = useRef(false);
+
+  const beginAttempt = useCallback((running) => {
+    setAttempt(running);
+    setAnswers(running.answers || {});
+    setTimeLeft(running.remainingSeconds);
+    setCurrentIndex(0);
+    unsavedRef.current = false;
+  }, []);
+
+  /**
+   * Loads the assessment and resumes the running attempt, or shows the result
+   * of a finished one. An attempt whose time ran out meanwhile comes back graded.
+   */
+  const fetchAssessment = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await getAssessment(id);
+      setOverview(data);
+      if (data.attempt) {
+        beginAttempt(data.attempt);
+      } else {
+        setAttempt(null);
+        setResults(data.result);
+        if (data.result?.autoSubmitted) {
+          setNotice('Time ran out on your attempt, so it was submitted with your last saved answers.');
+        }
+      }
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to load the assessment. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, beginAttempt]);
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login', { state: { from: `/assessments/${id}` } });
+      return;
+    }
+    fetchAssessment();
+  }, [id, user, navigate, fetchAssessment]);
+
+  useEffect(() => {
+    getLanguages()
+      .then((languages) => {
+        if (languages.length > 0) setLanguageCatalog(languages);
+      })
+      .catch((err) => console.error('Failed to load languages:', err));
+  }, []);
+
+  const handleStart = async () => {
+    setStarting(true);
+    try {
+      const data = await startAssessment(id);
+      beginAttempt(data.attempt);
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to start the assessment');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const handleSubmit = useCallback(async (timeUp = false) => {
+    setIsSubmitting(true);
+    try {
+      const response = await submitAssessment(id, answers);
+      unsavedRef.current = false;
+      setAttempt(null);
+      setResults(response.data);
+      if (timeUp || response.data.autoSubmitted) {
+        setNotice(response.message);
+      }
+    } catch (err) {
+      // Already finalized by the server (e.g. time ran out): show the stored result
+      await fetchAssessment();
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [id, answers, fetchAssessment]);
+
+  useEffect(() => {
+    let timer;
+    if (attempt && timeLeft > 0) {
+      timer = setTimeout(() => setTimeLeft(timeLeft - 1), 1000);
+    } else if (attempt && timeLeft === 0 && !isSubmitting) {
+      handleSubmit(true);
+    }
+    return () => clearTimeout(timer);
+  }, [attempt, timeLeft, isSubmitting, handleSubmit]);
+
+  // Autosave answers a second after the last change, resyncing the clock with the server
+  useEffect(() => {
+    if (!attempt || !unsavedRef.current) return undefined;
+
+    const timer = setTimeout(async () => {
+      unsavedRef.current = false;
+      setSaveStatus('saving');
+      try {
+        const saved = await saveAssessmentAnswers(id, answers);
+        setSaveStatus('saved');
+        setTimeLeft(saved.remainingSeconds);
+      } catch (err) {
+        unsavedRef.current = true;
+        setSaveStatus('error');
+      }
+    }, 1000);
+
+    return () => clearTimeout(timer);
+  }, [answers, attempt, id]);
+
+  const handleAnswer = (itemId, answer) => {
+    unsavedRef.current = true;
+    setAnswers(prev => ({ ...prev, [itemId]: answer }));
+  };
+
+  const handleCodingSubmission = useCallback((itemId, status) => {
+    setCodingStatus(prev => ({ ...prev, [itemId]: status }));
+  }, []);
+
+  const confirmSubmit = () => {
+    const unanswered = attempt.items.filter(item => item.item_type === 'quiz' && !isAnswered(answers[item.id])).length;
+    const message = unanswered > 0
+      ? `${unanswered} question(s) are unanswered. Submit the assessment anyway?`
+      : 'Submit the assessment? You cannot change your answers afterwards.';
+    if (window.confirm(message)) handleSubmit();
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded" role="alert">
+        <span className="block sm:inline">{error}</span>
+      </div>
+    );
+  }
+
+  const details = overview?.assessment;
+
+  if (results) {
+    const percentage = results.maxScore > 0 ? Math.round((results.score / results.maxScore) * 100) : 0;
+
+    return (
+      <div className="bg-white p-4 sm:p-6 rounded-lg shadow-sm max-w-4xl mx-auto space-y-6">
+        <h1 className="text-xl sm:text-2xl font-bold text-center">{details?.title} — Results</h1>
+
+        {notice && (
+          <div className="p-3 rounded-lg border border-yellow-200 bg-yellow-50 text-sm text-yellow-800 text-center">
+            {notice}
+          </div>
+        )}
+
+        <div className="grid gap-4 md:grid-cols-2">
+          <div className="p-4 rounded-xl border border-primary-100 bg-primary-50/60 text-center">
+            <p className="text-sm uppercase tracking-wide text-primary-600 font-semibold">Score</p>
+            <span className="text-3xl sm:text-4xl font-bold text-primary-700">{results.score}/{results.maxScore}</span>
+          </div>
+          <div className="p-4 rounded-xl border border-green-100 bg-green-50/70 text-center">
+            <p className="text-sm uppercase tracking-wide text-green-600 font-semibold">Percentage</p>
+            <span className="text-3xl sm:text-4xl font-bold text-green-700">{percentage}%</span>
+          </div>
+        </div>
+
+        {results.pending > 0 && (
+          <div className="p-3 rounded-lg border border-gray-200 bg-gray-50 text-sm text-gray-700 flex items-center justify-between">
+            <span>{results.pending} coding submission(s) are still being judged; your score will update when they finish.</span>
+            <button type="button" onClick={fetchAssessment} className="btn btn-secondary">Refresh</button>
+          </div>
+        )}
+
+        <div className="space-y-3">
+          {(results.items || []).map((item, index) => (
+            <div key={item.id} className="p-4 rounded-xl border border-gray-200">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <span className="inline-flex items-center justify-center w-7 h-7 rounded-full bg-primary-100 text-primary-700 font-semibold text-sm mr-3">
+                    {index + 1}
+                  </span>
+                  <span className="font-medium text-gray-800 align-middle">
+                    {item.item_type === 'coding' ? item.title : item.question}
+                  </span>
+                </div>
+                <span className="text-sm font-semibold text-gray-800 whitespace-nowrap">{item.earned}/{item.points} pts</span>
+              </div>
+              {item.item_type === 'coding' ? (
+                <p className="mt-2 text-sm text-gray-600">
+                  {item.submissions === 0
+                    ? 'Not submitted'
+                    : `Best score ${item.bestScore}/100 from ${item.submissions} submission(s)${item.pending > 0 ? ', some still judging' : ''}`}
+                </p>
+              ) : (
+                <div className="mt-2 text-sm text-gray-700 space-y-1">
+                  <div><span className="font-medium">Your answer:</span> {item.userAnswer}</div>
+                  {!item.isCorrect && (
+                    <div className="text-red-700"><span className="font-medium">Correct answer:</span> {item.correctAnswer}</div>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-center">
+          <button type="button" onClick={() => navigate('/assessments')} className="btn btn-primary">
+            Back to Assessments
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!attempt) {
+    const availability = overview?.availability;
+    return (
+      <div className="bg-white p-4 sm:p-6 rounded-lg shadow-sm max-w-3xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-800">{details.title}</h1>
+          {details.description && <p className="mt-2 text-sm sm:text-base text-gray-600">{details.description}</p>}
+        </div>
+
+        <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+          <div>
+            <dt className="text-gray-500">Time limit</dt>
+            <dd className="font-medium text-gray-800">{details.duration} minutes</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Items</dt>
+            <dd className="font-medium text-gray-800">
+              {details.quiz_items} quiz question(s), {details.coding_items} coding problem(s) · {details.total_points} points
+            </dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Opens</dt>
+            <dd className="font-medium text-gray-800">{details.opens_at ? new Date(details.opens_at).toLocaleString() : 'Now'}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Closes</dt>
+            <dd className="font-medium text-gray-800">{details.closes_at ? new Date(details.closes_at).toLocaleString() : 'Never'}</dd>
+          </div>
+        </dl>
+
+        <p className="text-sm text-gray-600">
+          You have one attempt. The timer starts when you begin and keeps running if you leave the page.
+        </p>
+
+        {!availability?.open && (
+          <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded text-sm" role="alert">
+            {availability?.message}
+          </div>
+        )}
+
+        <button
+          type="button"
+          onClick={handleStart}
+          disabled={!availability?.open || starting}
+          className="btn btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {starting ? 'Starting...' : 'Start Assessment'}
+        </button>
+      </div>
+    );
+  }
+
+  const item = attempt.items[currentIndex];
+  const answeredCount = attempt.items.filter(entry => (entry.item_type === 'quiz'
+    ? isAnswered(answers[entry.id])
+    : Boolean(codingStatus[entry.id]))).length;
+
+  return (
+    <div className="space-y-4 max-w-6xl mx-auto px-3 sm:px-4">
+      <div className="bg-white p-4 sm:p-6 rounded-lg shadow-sm flex flex-wrap justify-between items-center gap-4">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-800">{details.title}</h1>
+          <div className="text-xs text-primary-600 mt-1">
+            {answeredCount} of {attempt.items.length} items attempted
+            {saveStatus && (
+              <span className={`ml-2 ${saveStatus === 'error' ? 'text-red-600' : 'text-gray-500'}`}>
+                {saveStatus === 'saving' && '· Saving...'}
+                {saveStatus === 'saved' && '· All changes saved'}
+                {saveStatus === 'error' && '· Not saved, retrying on your next change'}
+              </span>
+            )}
+          </div>
+        </div>
+        <div className="flex items-center gap-4">
+          <div className="text-sm font-medium">
+            Time remaining: <span className={timeLeft <= 300 ? 'text-red-600' : 'text-primary-600'}>{formatTime(timeLeft)}</span>
+          </div>
+          <button type="button" onClick={confirmSubmit} disabled={isSubmitting} className="btn btn-primary disabled:opacity-50">
+            {isSubmitting ? 'Submitting...' : 'Submit Assessment'}
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+        <nav className="bg-white p-3 rounded-lg shadow-sm space-y-1 lg:col-span-1 self-start">
+          {attempt.items.map((entry, index) => {
+            const done = entry.item_type === 'quiz' ? isAnswered(answers[entry.id]) : Boolean(codingStatus[entry.id]);
+            return (
+              <button
+                key={entry.id}
+                type="button"
+                onClick={() => setCurrentIndex(index)}
+                className={`w-full text-left px-3 py-2 rounded-md text-sm flex items-center justify-between ${index === currentIndex
+                  ? 'bg-primary-50 text-primary-700 font-medium'
+                  : 'text-gray-700 hover:bg-gray-50'}`}
+              >
+                <span className="truncate">
+                  {index + 1}. {entry.item_type === 'coding' ? entry.title : 'Quiz question'}
+                </span>
+                <span className={`ml-2 text-xs whitespace-nowrap ${done ? 'text-green-600' : 'text-gray-400'}`}>
+                  {entry.points} pts {done && '✓'}
+                </span>
+              </button>
+            );
+          })}
+        </nav>
+
+        <div className="bg-white p-4 sm:p-6 rounded-lg shadow-sm lg:col-span-3">
+          <div className="flex items-start justify-between gap-3 mb-4">
+            <h2 className="text-base sm:text-lg font-semibold text-gray-900">
+              {item.item_type === 'coding' ? item.title : item.question}
+            </h2>
+            <span className="text-xs font-medium text-gray-500 whitespace-nowrap">{item.points} points</span>
+          </div>
+
+          {item.item_type === 'coding' ? (
+            <CodingItem
+              key={item.id}
+              item={item}
+              attemptId={attempt.id}
+              languageCatalog={languageCatalog}
+              lastSubmission={codingStatus[item.id]}
+              onSubmission={handleCodingSubmission}
+            />
+          ) : (
+            <QuizAnswerInput
+              question={item}
+              answer={answers[item.id]}
+              onChange={(answer) => handleAnswer(item.id, answer)}
+            />
+          )}
+
+          <div className="mt-6 flex justify-between">
+            <button
+              type="button"
+              onClick={() => setCurrentIndex(currentIndex - 1)}
+              disabled={currentIndex === 0}
+              className="btn btn-secondary disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              type="button"
+              onClick={() => setCurrentIndex(currentIndex + 1)}
+              disabled={currentIndex === attempt.items.length - 1}
+              className="btn btn-secondary disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AssessmentDetail;
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getAssessments } from '../services/assessmentService';
+
+const Assessments = ({ user }) => {
+  const [assessments, setAssessments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchAssessments = async () => {
+      try {
+        setAssessments(await getAssessments());
+      } catch (err) {
+        setError('Failed to load assessments. Please try again.');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchAssessments();
+  }, [user]);
+
+  const actionLabel = (assessment) => {
+    if (assessment.progress?.status === 'completed') return 'View Results';
+    if (assessment.progress?.status === 'in_progress') return 'Resume';
+    return assessment.availability.open ? 'Start Assessment' : 'View Assessment';
+  };
+
+  return (
+    <div className="space-y-4 sm:space-y-6 max-w-5xl mx-auto px-3 sm:px-4">
+      <h1 className="text-2xl sm:text-3xl font-bold text-center">Assessments</h1>
+      <p className="text-sm sm:text-base text-gray-600 text-center">Timed tests combining quiz questions and coding problems, with one combined score.</p>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded" role="alert">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+        </div>
+      ) : assessments.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">No assessments have been created yet.</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 sm:gap-6">
+          {assessments.map(assessment => (
+            <div key={assessment.id} className="bg-white rounded-lg shadow-sm overflow-hidden hover:shadow-md transition-shadow">
+              <div className="p-4 sm:p-6">
+                <div className="flex items-start justify-between gap-3 mb-2">
+                  <h3 className="text-lg font-semibold">{assessment.title}</h3>
+                  {assessment.progress?.status === 'completed' ? (
+                    <span className="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800 whitespace-nowrap">
+                      {assessment.progress.score}/{assessment.progress.maxScore}
+                    </span>
+                  ) : !assessment.availability.open && (
+                    <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800 whitespace-nowrap">
+                      {assessment.closes_at && new Date(assessment.closes_at) <= new Date() ? 'Closed' : 'Upcoming'}
+                    </span>
+                  )}
+                </div>
+                {assessment.description && (
+                  <p className="text-sm text-gray-600 mb-3 line-clamp-2">{assessment.description}</p>
+                )}
+                <div className="text-xs sm:text-sm text-gray-500 space-y-1 mb-4">
+                  <div>
+                    {assessment.quiz_items} quiz question{assessment.quiz_items === 1 ? '' : 's'} · {assessment.coding_items} coding problem{assessment.coding_items === 1 ? '' : 's'} · {assessment.total_points} points
+                  </div>
+                  <div>
+                    {assessment.duration} minutes
+                    {assessment.opens_at && ` · Opens ${new Date(assessment.opens_at).toLocaleString()}`}
+                    {assessment.closes_at && ` · Closes ${new Date(assessment.closes_at).toLocaleString()}`}
+                  </div>
+                </div>
+                <Link
+                  to={`/assessments/${assessment.id}`}
+                  className="block w-full text-center px-3 sm:px-4 py-1.5 sm:py-2 border border-transparent text-xs sm:text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                >
+                  {actionLabel(assessment)}
+                </Link>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Assessments;
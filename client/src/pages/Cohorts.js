@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { getCohorts, getCohort, joinCohort, removeCohortMember } from '../services/cohortService';
+import AssignmentStatus from '../components/AssignmentStatus';
+
+const Cohorts = ({ user }) => {
+  const [cohorts, setCohorts] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [cohort, setCohort] = useState(null);
+  const [joinCode, setJoinCode] = useState('');
+  const [joining, setJoining] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const fetchCohorts = useCallback(async (preferredId) => {
+    try {
+      const data = await getCohorts();
+      setCohorts(data);
+      setSelectedId(prev => {
+        const wanted = preferredId || prev;
+        if (data.some(entry => String(entry.id) === String(wanted))) return String(wanted);
+        return data.length > 0 ? String(data[0].id) : '';
+      });
+    } catch (err) {
+      setError('Failed to load your cohorts. Please try again.');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCohorts();
+  }, [fetchCohorts, user]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setCohort(null);
+      return;
+    }
+    getCohort(selectedId)
+      .then(setCohort)
+      .catch(err => setError(typeof err === 'string' ? err : 'Failed to load the cohort'));
+  }, [selectedId]);
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    setJoining(true);
+    setError('');
+    setMessage('');
+    try {
+      const result = await joinCohort(joinCode);
+      setMessage(result.message);
+      setJoinCode('');
+      fetchCohorts(result.data.cohortId);
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to join the cohort');
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave ${cohort.cohort.name}? You can join again with its code.`)) return;
+    try {
+      const result = await removeCohortMember(cohort.cohort.id, user.id);
+      setMessage(result.message);
+      setSelectedId('');
+      fetchCohorts();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to leave the cohort');
+    }
+  };
+
+  const isMember = cohort?.cohort.member;
+
+  return (
+    <div className="space-y-4 sm:space-y-6 max-w-5xl mx-auto px-3 sm:px-4">
+      <h1 className="text-2xl sm:text-3xl font-bold text-center">Cohorts</h1>
+      <p className="text-sm sm:text-base text-gray-600 text-center">Join your class with the code from your instructor to see its assignments and due dates.</p>
+
+      <form onSubmit={handleJoin} className="bg-white rounded-lg shadow-sm p-4 flex flex-col sm:flex-row gap-3 sm:items-center">
+        <input
+          type="text"
+          value={joinCode}
+          onChange={(e) => setJoinCode(e.target.value)}
+          placeholder="Join code"
+          className="form-input flex-1 font-mono uppercase"
+          required
+        />
+        <button type="submit" disabled={joining} className="btn btn-primary">
+          {joining ? 'Joining...' : 'Join Cohort'}
+        </button>
+      </form>
+
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded" role="alert">
+          <span className="block sm:inline">{message}</span>
+        </div>
+      )}
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded" role="alert">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+        </div>
+      ) : cohorts.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">You have not joined any cohort yet.</p>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm p-4 sm:p-6 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <select value={selectedId} onChange={(e) => setSelectedId(e.target.value)} className="form-select w-auto">
+              {cohorts.map(entry => (
+                <option key={entry.id} value={entry.id}>{entry.name}</option>
+              ))}
+            </select>
+            {isMember && (
+              <button onClick={handleLeave} className="text-sm text-red-600 hover:text-red-800">
+                Leave cohort
+              </button>
+            )}
+          </div>
+
+          {cohort && (
+            <>
+              <div>
+                <h2 className="text-lg font-semibold">{cohort.cohort.name}</h2>
+                {cohort.cohort.instructor_name && (
+                  <p className="text-sm text-gray-500">Instructor: {cohort.cohort.instructor_name}</p>
+                )}
+                {cohort.cohort.description && <p className="text-sm text-gray-600 mt-1">{cohort.cohort.description}</p>}
+                {cohort.cohort.managed && (
+                  <p className="text-sm text-gray-500 mt-1">
+                    You teach this cohort. Manage it in the <Link to="/admin/cohorts" className="text-primary-600 hover:underline">cohorts panel</Link>.
+                  </p>
+                )}
+              </div>
+
+              <h3 className="font-semibold">Assignments</h3>
+              {cohort.assignments.length === 0 ? (
+                <p className="text-sm text-gray-500">Nothing has been assigned yet.</p>
+              ) : (
+                <div className="space-y-3">
+                  {cohort.assignments.map(assignment => (
+                    <div key={assignment.id} className="border rounded-lg p-4">
+                      <div className="flex items-start justify-between gap-3">
+                        <div>
+                          <div className="font-medium">{assignment.title}</div>
+                          <div className="text-xs sm:text-sm text-gray-500">
+                            {assignment.assignment_type === 'quiz' ? 'Quiz' : 'Problem set'}
+                            {' · '}
+                            {assignment.due_at ? `Due ${new Date(assignment.due_at).toLocaleString()}` : 'No due date'}
+                          </div>
+                        </div>
+                        <AssignmentStatus assignment={assignment} progress={assignment.progress} />
+                      </div>
+                      <div className="mt-2 text-sm">
+                        {assignment.assignment_type === 'quiz' ? (
+                          <Link to={`/quizzes/${assignment.quiz_id}`} className="text-primary-600 hover:underline">
+                            {assignment.quiz_title}
+                          </Link>
+                        ) : (
+                          <ul className="flex flex-wrap gap-x-4 gap-y-1">
+                            {assignment.questions.map(question => (
+                              <li key={question.id}>
+                                <Link to={`/practice/${question.id}`} className="text-primary-600 hover:underline">
+                                  {question.title}
+                                </Link>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Cohorts;
@@ -6,6 +6,8 @@ import OutputModal from '../components/OutputModal';
 const Compiler = ({ user }) => {
   const [code, setCode] = useState('');
   const [language, setLanguage] = useState('javascript');
+  // Empty until the user picks a version; the server then uses the language default.
+  const [runtime, setRuntime] = useState('');
   const [input, setInput] = useState('');
   const [output, setOutput] = useState('');
   const [executing, setExecuting] = useState(false);
@@ -46,8 +48,12 @@ const Compiler = ({ user }) => {
 
   const handleLanguageChange = (e) => {
     setLanguage(e.target.value);
+    setRuntime('');
   };
 
+  const currentLanguage = languages.find((lang) => lang.id === language);
+  const runtimes = currentLanguage?.runtimes || [];
+
   const handleCodeChange = (value) => {
     setCode(value);
   };
@@ -57,6 +63,11 @@ const Compiler = ({ user }) => {
   };
 
   const handleRunCode = async () => {
+    if (!user) {
+      setError('Please log in to run code.');
+      return;
+    }
+
     if (!code.trim()) {
       setError('Please write some code before running.');
       return;
@@ -70,6 +81,7 @@ const Compiler = ({ user }) => {
       const result = await executeCode({
         code,
         language,
+        runtime: runtime || undefined,
         input
       });
 
@@ -155,6 +167,20 @@ const Compiler = ({ user }) => {
                   </option>
                 ))}
               </select>
+              {runtimes.length > 1 && (
+                <select
+                  value={runtime || currentLanguage.defaultRuntime}
+                  onChange={(e) => setRuntime(e.target.value)}
+                  className="form-select text-sm"
+                  title="Runtime version"
+                >
+                  {runtimes.map((option) => (
+                    <option key={option.id} value={option.id}>
+                      {option.name}{option.version && !option.name.includes(option.version) ? ` ${option.version}` : ''}
+                    </option>
+                  ))}
+                </select>
+              )}
               <button
                 onClick={handleClearCode}
                 className="btn btn-ghost btn-sm"
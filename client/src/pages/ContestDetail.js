@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { getContest, getScoreboard, registerForContest, cancelContestRegistration } from '../services/contestService';
+import ContestScoreboard from '../components/ContestScoreboard';
+
+// How often the scoreboard refreshes while the contest is running
+const SCOREBOARD_POLL_MS = 15000;
+
+const formatCountdown = (milliseconds) => {
+  const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const clock = [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+  return days > 0 ? `${days}d ${clock}` : clock;
+};
+
+const phaseAt = (contest, now) => {
+  if (now < new Date(contest.start_time)) return 'upcoming';
+  if (now < new Date(contest.end_time)) return 'running';
+  return 'finished';
+};
+
+const ContestDetail = ({ user }) => {
+  const { id } = useParams();
+  const [contest, setContest] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [scoreboard, setScoreboard] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchContest = useCallback(async () => {
+    try {
+      const data = await getContest(id);
+      setContest(data.contest);
+      setProblems(data.problems);
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to load the contest');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  const fetchScoreboard = useCallback(async () => {
+    try {
+      const data = await getScoreboard(id);
+      setScoreboard(data.scoreboard);
+    } catch (err) {
+      console.error('Scoreboard fetch error:', err);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchContest();
+    fetchScoreboard();
+  }, [fetchContest, fetchScoreboard, user]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const phase = contest ? phaseAt(contest, now) : null;
+  const loadedPhase = useRef(null);
+
+  // Reload once when the contest starts or ends so problems and final results appear
+  useEffect(() => {
+    if (!phase) return;
+    if (loadedPhase.current && loadedPhase.current !== phase) {
+      fetchContest();
+      fetchScoreboard();
+    }
+    loadedPhase.current = phase;
+  }, [phase, fetchContest, fetchScoreboard]);
+
+  useEffect(() => {
+    if (phase !== 'running') return undefined;
+    const timer = setInterval(fetchScoreboard, SCOREBOARD_POLL_MS);
+    return () => clearInterval(timer);
+  }, [phase, fetchScoreboard]);
+
+  const handleRegistration = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      if (contest.registered) {
+        await cancelContestRegistration(id);
+      } else {
+        await registerForContest(id);
+      }
+      await Promise.all([fetchContest(), fetchScoreboard()]);
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to update your registration');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!contest) {
+    return (
+      <div className="max-w-5xl mx-auto px-3 sm:px-4 py-8 text-center">
+        <p className="text-gray-600 mb-4">{error || 'Contest not found.'}</p>
+        <Link to="/contests" className="text-primary-600 hover:text-primary-800">Back to contests</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 sm:space-y-6 max-w-6xl mx-auto px-3 sm:px-4">
+      <Link to="/contests" className="text-sm text-gray-600 hover:text-gray-900">← All contests</Link>
+
+      <div className="bg-white rounded-lg shadow-sm p-4 sm:p-6 space-y-4">
+        <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold">{contest.title}</h1>
+            {contest.description && <p className="text-gray-600 mt-2 whitespace-pre-line">{contest.description}</p>}
+            <p className="text-sm text-gray-500 mt-2">
+              {new Date(contest.start_time).toLocaleString()} – {new Date(contest.end_time).toLocaleString()} ·{' '}
+              {contest.scoring_type === 'ioi'
+                ? 'IOI scoring (partial points per test case)'
+                : `ICPC scoring (${contest.penalty_minutes} penalty minutes per rejected attempt)`}
+              {contest.freeze_minutes ? ` · scoreboard freezes ${contest.freeze_minutes} minutes before the end` : ''}
+            </p>
+          </div>
+          <div className="text-center sm:text-right shrink-0">
+            <div className="text-xs uppercase tracking-wide text-gray-500">
+              {phase === 'upcoming' ? 'Starts in' : phase === 'running' ? 'Ends in' : 'Contest over'}
+            </div>
+            {phase !== 'finished' && (
+              <div className="text-2xl font-mono font-semibold text-gray-900">
+                {formatCountdown(new Date(phase === 'upcoming' ? contest.start_time : contest.end_time) - now)}
+              </div>
+            )}
+            <div className="text-sm text-gray-500">{contest.participantCount} registered</div>
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {phase !== 'finished' && (
+          user ? (
+            <div className="flex items-center gap-3">
+              {contest.registered && <span className="text-sm text-green-700 font-medium">✓ You are registered</span>}
+              {(!contest.registered || phase === 'upcoming') && (
+                <button
+                  type="button"
+                  onClick={handleRegistration}
+                  disabled={busy}
+                  className={contest.registered
+                    ? 'px-4 py-2 border border-gray-300 text-gray-700 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50'
+                    : 'px-4 py-2 bg-primary-600 text-white rounded-md text-sm hover:bg-primary-700 disabled:opacity-50'}
+                >
+                  {contest.registered ? 'Cancel registration' : 'Register'}
+                </button>
+              )}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">
+              <Link to="/login" className="text-primary-600 hover:text-primary-800">Log in</Link> to register for this contest.
+            </p>
+          )
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-4 sm:p-6">
+        <h2 className="text-lg font-semibold mb-3">Problems</h2>
+        {problems.length === 0 ? (
+          <p className="text-sm text-gray-500">The problems are revealed when the contest starts.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {problems.map(problem => (
+              <li key={problem.question_id} className="py-2 flex items-center justify-between gap-3">
+                <Link
+                  to={phase === 'finished' ? `/practice/${problem.question_id}` : `/practice/${problem.question_id}?contest=${contest.id}`}
+                  className="text-primary-700 hover:text-primary-900 font-medium"
+                >
+                  {problem.label}. {problem.title}
+                </Link>
+                <span className="text-sm text-gray-500">
+                  {contest.scoring_type === 'ioi' ? `${problem.points} points` : problem.difficulty}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+        {phase === 'running' && user && !contest.registered && problems.length > 0 && (
+          <p className="text-sm text-amber-700 mt-3">Register to submit solutions during the contest.</p>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-4 sm:p-6">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-lg font-semibold">Scoreboard</h2>
+          {phase === 'running' && <span className="text-xs text-gray-500">Updates every {SCOREBOARD_POLL_MS / 1000} seconds</span>}
+        </div>
+        {scoreboard?.frozen && (
+          <div className="bg-blue-50 border border-blue-200 text-blue-800 text-sm px-3 py-2 rounded mb-3">
+            The scoreboard is frozen. Submissions made after {new Date(scoreboard.freezeAt).toLocaleTimeString()} are shown as pending (?) until the final results are revealed.
+          </div>
+        )}
+        {scoreboard && <ContestScoreboard scoreboard={scoreboard} currentUserId={user?.id} />}
+      </div>
+    </div>
+  );
+};
+
+export default ContestDetail;
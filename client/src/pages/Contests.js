@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getContests } from '../services/contestService';
+
+const PHASE_SECTIONS = [
+  { phase: 'running', title: 'Running now' },
+  { phase: 'upcoming', title: 'Upcoming' },
+  { phase: 'finished', title: 'Past contests' }
+];
+
+const PHASE_BADGES = {
+  running: 'bg-green-100 text-green-800',
+  upcoming: 'bg-blue-100 text-blue-800',
+  finished: 'bg-gray-100 text-gray-800'
+};
+
+const formatDuration = (start, end) => {
+  const minutes = Math.round((new Date(end) - new Date(start)) / 60000);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h${minutes % 60 ? ` ${minutes % 60}m` : ''}` : `${minutes}m`;
+};
+
+const Contests = ({ user }) => {
+  const [contests, setContests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchContests = async () => {
+      try {
+        setContests(await getContests());
+      } catch (err) {
+        setError('Failed to load contests. Please try again.');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchContests();
+  }, [user]);
+
+  return (
+    <div className="space-y-4 sm:space-y-6 max-w-5xl mx-auto px-3 sm:px-4">
+      <h1 className="text-2xl sm:text-3xl font-bold text-center">Coding Contests</h1>
+      <p className="text-sm sm:text-base text-gray-600 text-center">Register, solve the problems before time runs out and climb the live scoreboard.</p>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded" role="alert">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+        </div>
+      ) : contests.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">No contests have been scheduled yet.</p>
+      ) : (
+        PHASE_SECTIONS.map(({ phase, title }) => {
+          const section = contests.filter(contest => contest.phase === phase);
+          if (section.length === 0) return null;
+          return (
+            <section key={phase} className="space-y-3">
+              <h2 className="text-lg sm:text-xl font-semibold">{title}</h2>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 sm:gap-6">
+                {section.map(contest => (
+                  <div key={contest.id} className="bg-white rounded-lg shadow-sm overflow-hidden hover:shadow-md transition-shadow">
+                    <div className="p-4 sm:p-6">
+                      <div className="flex items-start justify-between gap-3 mb-2">
+                        <h3 className="text-lg font-semibold">{contest.title}</h3>
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium uppercase ${PHASE_BADGES[contest.phase]}`}>
+                          {contest.scoring_type}
+                        </span>
+                      </div>
+                      {contest.description && (
+                        <p className="text-sm text-gray-600 mb-3 line-clamp-2">{contest.description}</p>
+                      )}
+                      <div className="text-xs sm:text-sm text-gray-500 space-y-1 mb-4">
+                        <div>Starts {new Date(contest.start_time).toLocaleString()} · {formatDuration(contest.start_time, contest.end_time)}</div>
+                        <div>
+                          {contest.problemCount} problem{contest.problemCount === 1 ? '' : 's'} · {contest.participantCount} registered
+                          {contest.registered && <span className="ml-2 text-green-700 font-medium">✓ You are registered</span>}
+                        </div>
+                      </div>
+                      <Link
+                        to={`/contests/${contest.id}`}
+                        className="block w-full text-center px-3 sm:px-4 py-1.5 sm:py-2 border border-transparent text-xs sm:text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                      >
+                        {contest.phase === 'finished' ? 'View Results' : contest.phase === 'running' ? 'Enter Contest' : 'View Contest'}
+                      </Link>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </section>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default Contests;
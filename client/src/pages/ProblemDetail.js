@@ -6,19 +6,34 @@
  */
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { getQuestion } from '../services/questionService';
 import {
   runCode as runSubmissionCode,
   submitCode as submitSolution,
+  getSubmissionStatus,
   getQuestionSubmissions,
   getCodeDraft,
   saveCodeDraft
 } from '../services/submissionService';
 import CodeEditor from '../components/CodeEditor';
 import OutputModal from '../components/OutputModal';
+import VerdictBadge, { VERDICT_LABELS } from '../components/VerdictBadge';
+import StressTestPanel from '../components/StressTestPanel';
+import { getLanguages } from '../services/compilerService';
 import { getCodeTemplate } from '../utils/scaffoldings';
 
+// Delay between judge status checks while a submission is queued or running.
+const SUBMISSION_POLL_INTERVAL_MS = 1000;
+
+// Shown when the language catalog cannot be loaded from the server.
+const FALLBACK_LANGUAGES = [
+  { id: 'javascript', name: 'JavaScript', runtimes: [] },
+  { id: 'python', name: 'Python', runtimes: [] },
+  { id: 'java', name: 'Java', runtimes: [] },
+  { id: 'cpp', name: 'C++', runtimes: [] }
+];
+
 /**
  * Main ProblemDetail component rendering the coding workspace and orchestrating
  * data fetching, language-aware templates, draft persistence, and submissions.
@@ -26,6 +41,9 @@ import { getCodeTemplate } from '../utils/scaffoldings';
 const ProblemDetail = ({ user }) => {
   const { id } = useParams();
   const navigate = useNavigate();
+  // Opened from a running contest: submissions are made in that contest.
+  const [searchParams] = useSearchParams();
+  const contestId = searchParams.get('contest');
   
   // Problem metadata and test case collections retrieved from the API.
   const [problem, setProblem] = useState(null);
@@ -35,11 +53,18 @@ const ProblemDetail = ({ user }) => {
   // Code editor state
   const [code, setCode] = useState('');
   const [language, setLanguage] = useState('javascript');
+  // Runtime version for the language; empty means the server default.
+  const [runtime, setRuntime] = useState('');
+  const [languageCatalog, setLanguageCatalog] = useState(FALLBACK_LANGUAGES);
   
   // Output state: captured console text plus structured per-test results.
   const [output, setOutput] = useState('');
   const [testResults, setTestResults] = useState([]);
   const [resultStatus, setResultStatus] = useState(null);
+  const [verdict, setVerdict] = useState(null);
+  // Partial score (out of 100) of the last judged submission
+  const [score, setScore] = useState(null);
+  const [judgedSubmissionId, setJudgedSubmissionId] = useState(null);
   const [executing, setExecuting] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   
@@ -62,11 +87,19 @@ const ProblemDetail = ({ user }) => {
   const lastSavedRef = useRef('');
   const isInitializingRef = useRef(true);
   const languageRef = useRef(language);
+  const isMountedRef = useRef(true);
 
   useEffect(() => {
     languageRef.current = language;
   }, [language]);
 
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
   /**
    * Retrieves the most relevant code draft for the active language or falls
    * back to a generated template when no draft exists.
@@ -153,6 +186,36 @@ const ProblemDetail = ({ user }) => {
     fetchProblem();
   }, [fetchProblem]);
 
+  useEffect(() => {
+    getLanguages()
+      .then((languages) => {
+        if (isMountedRef.current && languages.length > 0) {
+          setLanguageCatalog(languages);
+        }
+      })
+      .catch((err) => console.error('Failed to load languages:', err));
+  }, []);
+
+  // Languages offered for this problem: its supported list, labelled and
+  // versioned from the server's catalog.
+  const supportedLanguageIds = Array.isArray(problem?.language_supported)
+    ? problem.language_supported
+    : problem?.language_supported?.languages || [];
+  const languageOptions = supportedLanguageIds.length > 0
+    ? languageCatalog.filter((lang) => supportedLanguageIds.includes(lang.id))
+    : languageCatalog;
+  const currentLanguage = languageCatalog.find((lang) => lang.id === language);
+
+  // Stdio and interactive problems show raw text, so keep its line breaks.
+  const isStdio = problem?.io_mode === 'stdio';
+  const isInteractive = problem?.io_mode === 'interactive';
+  const ioTextClass = isStdio || isInteractive ? ' whitespace-pre-wrap' : '';
+  const inputLabel = isStdio ? 'Input (stdin):' : isInteractive ? 'Interactor input:' : 'Input:';
+  const expectedLabel = isStdio ? 'Expected Output (stdout):' : isInteractive ? 'Answer:' : 'Expected Output:';
+  // Wrong answers can be stress tested when the question has a reference solution and generator
+  const showStressTest = Boolean(judgedSubmissionId && verdict === 'WA' && problem?.stress_test_available);
+  const runtimeOptions = currentLanguage?.runtimes || [];
+
   /**
    * Updates the editor language and pulls the associated draft/template without
    * losing the loaded problem context.
@@ -161,6 +224,7 @@ const ProblemDetail = ({ user }) => {
     const newLanguage = e.target.value;
     isInitializingRef.current = true;
     setLanguage(newLanguage);
+    setRuntime('');
 
     if (problem) {
       loadCodeForLanguage(problem, newLanguage, testCases);
@@ -226,11 +290,15 @@ const ProblemDetail = ({ user }) => {
     setOutput('');
     setTestResults([]);
     setResultStatus(null);
+    setVerdict(null);
+    setScore(null);
+    setJudgedSubmissionId(null);
 
     try {
       const response = await runSubmissionCode({
         code,
         language,
+        runtime: runtime || undefined,
         questionId: id,
         testCaseId: currentTestCase?.id
       });
@@ -241,12 +309,15 @@ const ProblemDetail = ({ user }) => {
       const inputValue = response?.input ?? currentTestCase?.input ?? '';
       const hidden = Boolean(response?.hidden || currentTestCase?.hidden);
       const passed = Boolean(response?.passed);
+      const runVerdict = response?.verdict || null;
 
       const statusMessage = passed
         ? `✅ Test Case ${testCaseIndex + 1} Passed!`
-        : errorOutput
-          ? `❌ Test Case ${testCaseIndex + 1} encountered an error.`
-          : `❌ Test Case ${testCaseIndex + 1} Failed.`;
+        : runVerdict
+          ? `❌ Test Case ${testCaseIndex + 1}: ${VERDICT_LABELS[runVerdict]}.`
+          : errorOutput
+            ? `❌ Test Case ${testCaseIndex + 1} encountered an error.`
+            : `❌ Test Case ${testCaseIndex + 1} Failed.`;
 
       const details = [
         statusMessage,
@@ -270,12 +341,15 @@ const ProblemDetail = ({ user }) => {
           actualOutput,
           error: errorOutput,
           passed,
+          verdict: runVerdict,
+          checkerMessage: response?.checkerMessage || '',
           hidden,
           stdout: response?.stdout || '',
           stderr: response?.stderr || '',
           compileOutput: response?.compileOutput || ''
         }
       ]);
+      setVerdict(runVerdict);
       setResultStatus(passed ? 'success' : errorOutput ? 'error' : 'failed');
       
       // Open modal on mobile after execution
@@ -291,8 +365,60 @@ const ProblemDetail = ({ user }) => {
   };
 
   /**
-   * Executes a full submission by delegating to the judge service and
-   * translating the response into human-readable summaries and result lists.
+   * Maps judge results onto the displayed test case list, marking cases the
+   * queue has not reported yet as pending.
+   */
+  const buildSubmissionTestResults = (results, totalTests) => (
+    Array.from({ length: totalTests }, (_, index) => {
+      const result = results[index];
+      if (!result) {
+        return {
+          testCaseNumber: index + 1,
+          input: testCases[index]?.hidden ? '' : testCases[index]?.input,
+          hidden: Boolean(testCases[index]?.hidden),
+          pending: true
+        };
+      }
+      return {
+        testCaseNumber: index + 1,
+        input: result.input,
+        expectedOutput: result.expectedOutput,
+        actualOutput: result.actualOutput,
+        error: result.error,
+        passed: result.passed,
+        verdict: result.verdict,
+        checkerMessage: result.checkerMessage,
+        hidden: result.hidden
+      };
+    })
+  );
+
+  /**
+   * Polls the judge queue until the submission is graded, streaming partial
+   * per-test results into the output panel as they arrive.
+   */
+  const waitForSubmission = async (submissionId, totalTests) => {
+    for (;;) {
+      const status = await getSubmissionStatus(submissionId);
+      if (!isMountedRef.current) return null;
+
+      const results = status?.results || [];
+      const total = status?.totalTestCases || totalTests;
+
+      if (status?.judgeStatus === 'finished' || status?.judgeStatus === 'failed') {
+        return status;
+      }
+
+      setTestResults(buildSubmissionTestResults(results, total));
+      setOutput(`Judging submission #${submissionId}... ${status?.completedTestCases || 0}/${total} test cases completed\n`);
+
+      await new Promise(resolve => setTimeout(resolve, SUBMISSION_POLL_INTERVAL_MS));
+    }
+  };
+
+  /**
+   * Queues a full submission with the judge service, follows its progress and
+   * translates the final verdict into human-readable summaries and result lists.
    */
   const handleSubmitCode = async () => {
     if (!testCases || testCases.length === 0) {
@@ -304,14 +430,36 @@ const ProblemDetail = ({ user }) => {
     setError('');
     setOutput('Running all test cases for final submission...\n');
     setResultStatus(null);
+    setVerdict(null);
+    setScore(null);
+    setJudgedSubmissionId(null);
 
     try {
-      const response = await submitSolution(id, { code, language });
+      const queued = await submitSolution(id, {
+        code,
+        language,
+        runtime: runtime || undefined,
+        contest_id: contestId || undefined
+      });
+      const pendingTotal = queued?.totalTestCases || testCases.length;
+      setTestResults(buildSubmissionTestResults([], pendingTotal));
 
-      const results = response?.results || [];
+      // Open modal on mobile so progress is visible while judging
+      if (window.innerWidth < 1024) {
+        setShowOutputModal(true);
+      }
+
+      const response = await waitForSubmission(queued.submissionId, pendingTotal);
+      if (!response) return;
+
+      if (response.judgeStatus === 'failed') {
+        throw new Error('The judge could not grade this submission. Please try again.');
+      }
+
+      const results = response.results || [];
       const totalTests = results.length;
       const passedCount = results.filter(result => result.passed).length;
-      const allPassed = Boolean(response?.passed);
+      const allPassed = Boolean(response.passed);
       const anyErrors = results.some(result => result.error);
       const successRate = totalTests > 0 ? ((passedCount / totalTests) * 100).toFixed(1) : '0.0';
 
@@ -322,16 +470,25 @@ const ProblemDetail = ({ user }) => {
       if (allPassed) {
         finalOutput += `🎉 ACCEPTED! All ${totalTests} test cases passed!\n\n`;
       } else {
-        finalOutput += `❌ FAILED: ${passedCount}/${totalTests} test cases passed (${successRate}%)\n\n`;
+        const verdictLabel = VERDICT_LABELS[response.verdict] || 'FAILED';
+        finalOutput += `❌ ${verdictLabel}: ${passedCount}/${totalTests} test cases passed (${successRate}%)\n\n`;
       }
 
-      if (response?.submissionId) {
-        finalOutput += `Submission ID: ${response.submissionId}\n\n`;
+      if (response.score !== null && response.score !== undefined) {
+        finalOutput += `Score: ${response.score}/100\n`;
+        (response.subtasks || []).forEach(subtask => {
+          finalOutput += `  Subtask ${subtask.subtask}: ${subtask.passed ? '✓' : '✗'} ${subtask.earned}/${subtask.weight} points (${subtask.passedCount}/${subtask.total} test cases)\n`;
+        });
+        finalOutput += '\n';
       }
 
+      finalOutput += `Submission ID: ${response.submissionId}\n\n`;
+
       if (results.length > 0) {
         const perCase = results.map((result, index) => {
-          const status = result.passed ? 'PASS' : (result.error ? 'ERROR' : 'FAIL');
+          const status = result.verdict
+            ? `${result.verdict} (${VERDICT_LABELS[result.verdict]})`
+            : (result.passed ? 'PASS' : (result.error ? 'ERROR' : 'FAIL'));
           const lines = [
             `Test Case ${index + 1}: ${status}`,
             `  Expected: ${result.expectedOutput || '—'}`,
@@ -349,16 +506,10 @@ const ProblemDetail = ({ user }) => {
       }
 
       setOutput(finalOutput);
-
-      setTestResults(results.map((result, index) => ({
-        testCaseNumber: index + 1,
-        input: result.input,
-        expectedOutput: result.expectedOutput,
-        actualOutput: result.actualOutput,
-        error: result.error,
-        passed: result.passed,
-        hidden: result.hidden
-      })));
+      setTestResults(buildSubmissionTestResults(results, totalTests));
+      setVerdict(response.verdict || null);
+      setScore(response.score ?? null);
+      setJudgedSubmissionId(response.submissionId);
 
       if (allPassed) {
         setResultStatus('success');
@@ -368,11 +519,6 @@ const ProblemDetail = ({ user }) => {
         setResultStatus('failed');
       }
 
-      // Open modal on mobile after submission
-      if (window.innerWidth < 1024) {
-        setShowOutputModal(true);
-      }
-
       await fetchSubmissions();
 
       try {
@@ -382,10 +528,13 @@ const ProblemDetail = ({ user }) => {
         console.error('Failed to notify practice page refresh:', storageError);
       }
     } catch (err) {
-      setError(`Submission failed: ${err.message || 'Unknown error occurred'}`);
+      if (!isMountedRef.current) return;
+      setError(`Submission failed: ${err.message || err || 'Unknown error occurred'}`);
       setResultStatus('error');
     } finally {
-      setSubmitting(false);
+      if (isMountedRef.current) {
+        setSubmitting(false);
+      }
     }
   };
 
@@ -413,13 +562,13 @@ const ProblemDetail = ({ user }) => {
           <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3">
             <div className="flex flex-col sm:flex-row items-start sm:items-center gap-2 sm:gap-4 w-full sm:w-auto">
               <button
-                onClick={() => navigate('/practice')}
+                onClick={() => navigate(contestId ? `/contests/${contestId}` : '/practice')}
                 className="text-gray-600 hover:text-gray-900 flex items-center gap-2 text-sm sm:text-base"
               >
                 <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7" />
                 </svg>
-                Back to Problems
+                {contestId ? 'Back to Contest' : 'Back to Problems'}
               </button>
               <div className="w-full sm:w-auto">
                 <h1 className="text-xl sm:text-2xl font-bold text-gray-900">{problem?.title || 'Loading...'}</h1>
@@ -433,6 +582,16 @@ const ProblemDetail = ({ user }) => {
                       {problem.difficulty}
                     </span>
                   )}
+                  {contestId && (
+                    <span className="px-2 py-1 text-xs font-medium bg-primary-100 text-primary-800 rounded-full">
+                      Contest submission
+                    </span>
+                  )}
+                  {problem?.time_limit_ms && (
+                    <span className="text-xs sm:text-sm text-gray-600" title="Base limits; some languages get extra time or memory">
+                      {problem.time_limit_ms / 1000}s · {Math.round(problem.memory_limit_kb / 1024)} MB
+                    </span>
+                  )}
                   {user && submissionStats.solved && (
                     <span className="px-2 py-1 text-xs font-medium bg-green-100 text-green-800 rounded-full">
                       Solved
@@ -575,23 +734,35 @@ const ProblemDetail = ({ user }) => {
                               <div className="text-sm font-medium text-gray-700 dark:text-gray-300">
                                 Test Case {index + 1}
                               </div>
-                              {testCase.hidden && (
-                                <span className="text-xs bg-gray-500 dark:bg-gray-600 text-white px-2 py-1 rounded">
-                                  Hidden
-                                </span>
-                              )}
+                              <div className="flex items-center gap-2">
+                                {testCase.subtask !== null && testCase.subtask !== undefined && (
+                                  <span className="text-xs bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-200 px-2 py-1 rounded">
+                                    Subtask {testCase.subtask}
+                                  </span>
+                                )}
+                                {testCase.points !== null && testCase.points !== undefined && (
+                                  <span className="text-xs text-gray-500 dark:text-gray-400">{testCase.points} pts</span>
+                                )}
+                                {testCase.hidden && (
+                                  <span className="text-xs bg-gray-500 dark:bg-gray-600 text-white px-2 py-1 rounded">
+                                    Hidden
+                                  </span>
+                                )}
+                              </div>
                             </div>
                             <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
                               <div>
-                                <span className="text-xs font-medium text-gray-500 dark:text-gray-400">Input:</span>
+                                <span className="text-xs font-medium text-gray-500 dark:text-gray-400">{inputLabel}</span>
                                 <div className="bg-gray-50 dark:bg-gray-700 p-2 rounded mt-1">
-                                  <code className="text-xm font-mono">{testCase.input}</code>
+                                  <code className={`text-xm font-mono${ioTextClass}`}>
+                                    {testCase.input === null ? 'Hidden until the contest ends' : testCase.input}
+                                  </code>
                                 </div>
                               </div>
                               <div>
-                                <span className="text-xs font-medium text-gray-500 dark:text-gray-400">Expected Output:</span>
+                                <span className="text-xs font-medium text-gray-500 dark:text-gray-400">{expectedLabel}</span>
                                 <div className="bg-gray-50 dark:bg-gray-700 p-2 rounded mt-1">
-                                  <code className="text-xm font-mono">
+                                  <code className={`text-xm font-mono${ioTextClass}`}>
                                     {testCase.hidden ? 'Hidden until submission' : testCase.expected_output}
                                   </code>
                                 </div>
@@ -652,7 +823,9 @@ const ProblemDetail = ({ user }) => {
                                 <span className={`text-sm font-medium ${
                                   submission.passed ? 'text-green-800' : 'text-red-800'
                                 }`}>
-                                  {submission.passed ? 'Accepted' : 'Failed'}
+                                  {submission.verdict
+                                    ? <VerdictBadge verdict={submission.verdict} showLabel />
+                                    : (submission.passed ? 'Accepted' : 'Failed')}
                                 </span>
                                 <div className="text-xs text-gray-600 mt-1">
                                   {new Date(submission.submitted_at).toLocaleString()}
@@ -660,8 +833,8 @@ const ProblemDetail = ({ user }) => {
                               </div>
                               <div className="text-right">
                                 <div className="text-sm font-medium">{submission.language}</div>
-                                {submission.score && (
-                                  <div className="text-xs text-gray-600">Score: {submission.score}%</div>
+                                {submission.score !== null && submission.score !== undefined && (
+                                  <div className="text-xs text-gray-600">Score: {Number(submission.score)}/100</div>
                                 )}
                               </div>
                             </div>
@@ -691,23 +864,35 @@ const ProblemDetail = ({ user }) => {
                               <div className="text-sm font-medium text-gray-700 dark:text-gray-300">
                                 Test Case {index + 1}
                               </div>
-                              {testCase.hidden && (
-                                <span className="text-xs bg-gray-500 dark:bg-gray-600 text-white px-2 py-1 rounded">
-                                  Hidden
-                                </span>
-                              )}
+                              <div className="flex items-center gap-2">
+                                {testCase.subtask !== null && testCase.subtask !== undefined && (
+                                  <span className="text-xs bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-200 px-2 py-1 rounded">
+                                    Subtask {testCase.subtask}
+                                  </span>
+                                )}
+                                {testCase.points !== null && testCase.points !== undefined && (
+                                  <span className="text-xs text-gray-500 dark:text-gray-400">{testCase.points} pts</span>
+                                )}
+                                {testCase.hidden && (
+                                  <span className="text-xs bg-gray-500 dark:bg-gray-600 text-white px-2 py-1 rounded">
+                                    Hidden
+                                  </span>
+                                )}
+                              </div>
                             </div>
                             <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
                               <div>
-                                <span className="text-xs font-medium text-gray-500 dark:text-gray-400">Input:</span>
+                                <span className="text-xs font-medium text-gray-500 dark:text-gray-400">{inputLabel}</span>
                                 <div className="bg-gray-50 dark:bg-gray-700 p-2 rounded mt-1">
-                                  <code className="text-xm font-mono">{testCase.input}</code>
+                                  <code className={`text-xm font-mono${ioTextClass}`}>
+                                    {testCase.input === null ? 'Hidden until the contest ends' : testCase.input}
+                                  </code>
                                 </div>
                               </div>
                               <div>
-                                <span className="text-xs font-medium text-gray-500 dark:text-gray-400">Expected Output:</span>
+                                <span className="text-xs font-medium text-gray-500 dark:text-gray-400">{expectedLabel}</span>
                                 <div className="bg-gray-50 dark:bg-gray-700 p-2 rounded mt-1">
-                                  <code className="text-xm font-mono">
+                                  <code className={`text-xm font-mono${ioTextClass}`}>
                                     {testCase.hidden ? 'Hidden until submission' : testCase.expected_output}
                                   </code>
                                 </div>
@@ -789,7 +974,15 @@ const ProblemDetail = ({ user }) => {
                 <div className="flex flex-col sm:flex-row items-start sm:items-center gap-2 sm:gap-4">
                   <div className="flex-1 min-w-0">
                     <h1 className="text-lg sm:text-2xl font-semibold text-gray-900 dark:text-gray-100 truncate">{problem?.title}</h1>
-                    {problem?.function_name && (
+                    {isStdio ? (
+                      <p className="text-xs sm:text-sm text-gray-500 dark:text-gray-400 truncate">
+                        Read the input from stdin and print the answer to stdout
+                      </p>
+                    ) : isInteractive ? (
+                      <p className="text-xs sm:text-sm text-gray-500 dark:text-gray-400 truncate">
+                        Talk to the interactor over stdin/stdout, flushing after every line you print
+                      </p>
+                    ) : problem?.function_name && (
                       <p className="text-xs sm:text-sm text-gray-500 dark:text-gray-400 truncate">
                         Function Name: <span className="font-mono">{problem.function_name}</span>
                       </p>
@@ -800,11 +993,24 @@ const ProblemDetail = ({ user }) => {
                     onChange={handleLanguageChange}
                     className="w-full sm:w-auto px-3 py-1.5 sm:py-1 text-sm border border-gray-300 dark:border-gray-500 rounded-md bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-300 focus:border-blue-500 dark:focus:border-blue-300"
                   >
-                    <option value="javascript">JavaScript</option>
-                    <option value="python">Python</option>
-                    <option value="java">Java</option>
-                    <option value="cpp">C++</option>
+                    {languageOptions.map((lang) => (
+                      <option key={lang.id} value={lang.id}>{lang.name}</option>
+                    ))}
                   </select>
+                  {runtimeOptions.length > 1 && (
+                    <select
+                      value={runtime || currentLanguage.defaultRuntime}
+                      onChange={(e) => setRuntime(e.target.value)}
+                      title="Runtime version"
+                      className="w-full sm:w-auto px-3 py-1.5 sm:py-1 text-sm border border-gray-300 dark:border-gray-500 rounded-md bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-300 focus:border-blue-500 dark:focus:border-blue-300"
+                    >
+                      {runtimeOptions.map((option) => (
+                        <option key={option.id} value={option.id}>
+                          {option.name}{option.version && !option.name.includes(option.version) ? ` ${option.version}` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  )}
                 </div>
 
                 <div className="flex flex-col gap-3">
@@ -869,7 +1075,15 @@ const ProblemDetail = ({ user }) => {
             {/* Output Panel */}
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border dark:border-gray-600 overflow-hidden">
               <div className="border-b bg-gray-50 dark:bg-gray-700 dark:border-gray-600 px-3 sm:px-4 py-3">
-                <h3 className="text-base sm:text-lg font-semibold text-gray-900 dark:text-gray-100">Output</h3>
+                <div className="flex items-center gap-2">
+                  <h3 className="text-base sm:text-lg font-semibold text-gray-900 dark:text-gray-100">Output</h3>
+                  <VerdictBadge verdict={verdict} showLabel />
+                  {score !== null && (
+                    <span className="text-xs font-semibold px-2 py-0.5 rounded bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-200">
+                      {score}/100
+                    </span>
+                  )}
+                </div>
               </div>
               
               <div className="p-3 sm:p-4 h-48 sm:h-64 overflow-y-auto text-gray-900 dark:text-gray-100">
@@ -879,7 +1093,7 @@ const ProblemDetail = ({ user }) => {
                   </div>
                 )}
                 
-                {(executing || submitting) ? (
+                {(executing || (submitting && testResults.length === 0)) ? (
                   <div className="flex items-center justify-center py-8 text-gray-600 dark:text-gray-300">
                     <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 dark:border-blue-300 mr-3"></div>
                     <span>{submitting ? 'Running all test cases…' : 'Executing code…'}</span>
@@ -902,6 +1116,10 @@ const ProblemDetail = ({ user }) => {
                       </div>
                     )}
 
+                    {showStressTest && (
+                      <StressTestPanel key={judgedSubmissionId} submissionId={judgedSubmissionId} ioTextClass={ioTextClass} />
+                    )}
+
                     {resultStatus === 'error' && (
                       <div className="bg-red-100 dark:bg-red-900/40 border border-red-400 dark:border-red-600 text-red-700 dark:text-red-200 px-4 py-3 rounded">
                         <strong>Execution error.</strong> Check the output above for more information.
@@ -911,9 +1129,11 @@ const ProblemDetail = ({ user }) => {
                     {testResults.length > 0 && (
                       <div className="space-y-3">
                         {testResults.map((test) => {
-                          const badgeClasses = test.passed
-                            ? 'bg-green-100 dark:bg-green-800/30 text-green-800 dark:text-green-200 border-green-200 dark:border-green-500'
-                            : 'bg-red-100 dark:bg-red-800/30 text-red-800 dark:text-red-200 border-red-200 dark:border-red-500';
+                          const badgeClasses = test.pending
+                            ? 'bg-gray-100 dark:bg-gray-800/60 text-gray-700 dark:text-gray-200 border-gray-200 dark:border-gray-600'
+                            : test.passed
+                              ? 'bg-green-100 dark:bg-green-800/30 text-green-800 dark:text-green-200 border-green-200 dark:border-green-500'
+                              : 'bg-red-100 dark:bg-red-800/30 text-red-800 dark:text-red-200 border-red-200 dark:border-red-500';
 
                           return (
                             <div
@@ -925,26 +1145,26 @@ const ProblemDetail = ({ user }) => {
                                   Test Case {test.testCaseNumber} {test.hidden ? '(Hidden)' : ''}
                                 </span>
                                 <span className="text-xs uppercase tracking-wide">
-                                  {test.passed ? 'Passed' : (test.error ? 'Error' : 'Failed')}
+                                  {test.pending ? 'Judging…' : test.verdict ? <VerdictBadge verdict={test.verdict} showLabel /> : (test.passed ? 'Passed' : (test.error ? 'Error' : 'Failed'))}
                                 </span>
                               </div>
 
                               <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-xs">
                                 <div>
                                   <span className="font-medium text-gray-600 dark:text-gray-300 block mb-1">Input</span>
-                                  <div className="bg-white/60 dark:bg-gray-900 border border-white/40 dark:border-gray-600 rounded p-2 font-mono break-all">
+                                  <div className={`bg-white/60 dark:bg-gray-900 border border-white/40 dark:border-gray-600 rounded p-2 font-mono break-all${ioTextClass}`}>
                                     {test.input || '—'}
                                   </div>
                                 </div>
                                 <div>
                                   <span className="font-medium text-gray-600 dark:text-gray-300 block mb-1">Expected</span>
-                                  <div className="bg-white/60 dark:bg-gray-800 border border-white/40 dark:border-gray-700 rounded p-2 font-mono break-all">
+                                  <div className={`bg-white/60 dark:bg-gray-800 border border-white/40 dark:border-gray-700 rounded p-2 font-mono break-all${ioTextClass}`}>
                                     {test.hidden ? 'Hidden' : (test.expectedOutput || '—')}
                                   </div>
                                 </div>
                                 <div>
                                   <span className="font-medium text-gray-600 dark:text-gray-300 block mb-1">Actual</span>
-                                  <div className="bg-white/60 dark:bg-gray-800 border border-white/40 dark:border-gray-700 rounded p-2 font-mono break-all">
+                                  <div className={`bg-white/60 dark:bg-gray-800 border border-white/40 dark:border-gray-700 rounded p-2 font-mono break-all${ioTextClass}`}>
                                     {test.actualOutput || (test.error ? 'Error' : '—')}
                                   </div>
                                 </div>
@@ -956,6 +1176,12 @@ const ProblemDetail = ({ user }) => {
                                 </p>
                               )}
 
+                              {test.checkerMessage && (
+                                <p className="text-xs mt-2">
+                                  <span className="font-medium">Checker:</span> {test.checkerMessage}
+                                </p>
+                              )}
+
                               {test.error && (
                                 <div className="mt-2">
                                   <span className="font-medium text-gray-600 dark:text-gray-300 block mb-1">Error</span>
@@ -992,6 +1218,7 @@ const ProblemDetail = ({ user }) => {
         isOpen={showOutputModal} 
         onClose={() => setShowOutputModal(false)}
         title="Output"
+        verdict={verdict}
       >
         {error && (
           <div className="bg-red-100 dark:bg-red-900/40 border border-red-400 dark:border-red-600 text-red-700 dark:text-red-200 px-4 py-3 rounded mb-4">
@@ -999,7 +1226,7 @@ const ProblemDetail = ({ user }) => {
           </div>
         )}
         
-        {(executing || submitting) ? (
+        {(executing || (submitting && testResults.length === 0)) ? (
           <div className="flex items-center justify-center py-8 text-gray-600 dark:text-gray-300">
             <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 dark:border-blue-300 mr-3"></div>
             <span>{submitting ? 'Running all test cases…' : 'Executing code…'}</span>
@@ -1022,6 +1249,10 @@ const ProblemDetail = ({ user }) => {
               </div>
             )}
 
+            {showStressTest && (
+              <StressTestPanel key={judgedSubmissionId} submissionId={judgedSubmissionId} ioTextClass={ioTextClass} />
+            )}
+
             {resultStatus === 'error' && (
               <div className="bg-red-100 dark:bg-red-900/40 border border-red-400 dark:border-red-600 text-red-700 dark:text-red-200 px-4 py-3 rounded">
                 <strong>Execution error.</strong> Check the output above for more information.
@@ -1031,9 +1262,11 @@ const ProblemDetail = ({ user }) => {
             {testResults.length > 0 && (
               <div className="space-y-3">
                 {testResults.map((test) => {
-                  const badgeClasses = test.passed
-                    ? 'bg-green-100 dark:bg-green-800/30 text-green-800 dark:text-green-200 border-green-200 dark:border-green-500'
-                    : 'bg-red-100 dark:bg-red-800/30 text-red-800 dark:text-red-200 border-red-200 dark:border-red-500';
+                  const badgeClasses = test.pending
+                    ? 'bg-gray-100 dark:bg-gray-800/60 text-gray-700 dark:text-gray-200 border-gray-200 dark:border-gray-600'
+                    : test.passed
+                      ? 'bg-green-100 dark:bg-green-800/30 text-green-800 dark:text-green-200 border-green-200 dark:border-green-500'
+                      : 'bg-red-100 dark:bg-red-800/30 text-red-800 dark:text-red-200 border-red-200 dark:border-red-500';
 
                   return (
                     <div
@@ -1045,26 +1278,26 @@ const ProblemDetail = ({ user }) => {
                           Test Case {test.testCaseNumber} {test.hidden ? '(Hidden)' : ''}
                         </span>
                         <span className="text-xs uppercase tracking-wide">
-                          {test.passed ? 'Passed' : (test.error ? 'Error' : 'Failed')}
+                          {test.pending ? 'Judging…' : test.verdict ? <VerdictBadge verdict={test.verdict} showLabel /> : (test.passed ? 'Passed' : (test.error ? 'Error' : 'Failed'))}
                         </span>
                       </div>
 
                       <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-xs">
                         <div>
                           <span className="font-medium text-gray-600 dark:text-gray-300 block mb-1">Input</span>
-                          <div className="bg-white/60 dark:bg-gray-900 border border-white/40 dark:border-gray-600 rounded p-2 font-mono break-all">
+                          <div className={`bg-white/60 dark:bg-gray-900 border border-white/40 dark:border-gray-600 rounded p-2 font-mono break-all${ioTextClass}`}>
                             {test.input || '—'}
                           </div>
                         </div>
                         <div>
                           <span className="font-medium text-gray-600 dark:text-gray-300 block mb-1">Expected</span>
-                          <div className="bg-white/60 dark:bg-gray-800 border border-white/40 dark:border-gray-700 rounded p-2 font-mono break-all">
+                          <div className={`bg-white/60 dark:bg-gray-800 border border-white/40 dark:border-gray-700 rounded p-2 font-mono break-all${ioTextClass}`}>
                             {test.hidden ? 'Hidden' : (test.expectedOutput || '—')}
                           </div>
                         </div>
                         <div>
                           <span className="font-medium text-gray-600 dark:text-gray-300 block mb-1">Actual</span>
-                          <div className="bg-white/60 dark:bg-gray-800 border border-white/40 dark:border-gray-700 rounded p-2 font-mono break-all">
+                          <div className={`bg-white/60 dark:bg-gray-800 border border-white/40 dark:border-gray-700 rounded p-2 font-mono break-all${ioTextClass}`}>
                             {test.actualOutput || (test.error ? 'Error' : '—')}
                           </div>
                         </div>
@@ -1076,6 +1309,12 @@ const ProblemDetail = ({ user }) => {
                         </p>
                       )}
 
+                      {test.checkerMessage && (
+                        <p className="text-xs mt-2">
+                          <span className="font-medium">Checker:</span> {test.checkerMessage}
+                        </p>
+                      )}
+
                       {test.error && (
                         <div className="mt-2">
                           <span className="font-medium text-gray-600 dark:text-gray-300 block mb-1">Error</span>
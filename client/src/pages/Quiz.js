@@ -2,6 +2,25 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { getQuizzes } from '../services/quizService';
 
+const SCORE_LABELS = { best: 'Best', last: 'Last', average: 'Average' };
+
+/**
+ * Why a quiz cannot be started right now, or null when it can
+ */
+const unavailableReason = (quiz) => {
+  const now = new Date();
+  if (quiz.scheduled_time && new Date(quiz.scheduled_time) > now) {
+    return `Opens ${new Date(quiz.scheduled_time).toLocaleString()}`;
+  }
+  if (quiz.closes_at && new Date(quiz.closes_at) <= now) {
+    return 'Closed';
+  }
+  if (quiz.max_attempts && quiz.attemptsCount >= quiz.max_attempts) {
+    return 'No attempts left';
+  }
+  return null;
+};
+
 const Quiz = ({ user }) => {
   const [quizzes, setQuizzes] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -140,61 +159,80 @@ const Quiz = ({ user }) => {
           {/* Quizzes grid */}
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6 justify-items-stretch">
             {quizzes.length > 0 ? (
-              quizzes.map((quiz) => (
-                <div key={quiz.id} className="bg-white rounded-lg shadow-sm overflow-hidden hover:shadow-md transition-shadow">
-                  <div className="p-4 sm:p-6">
-                    <h2 className="text-lg sm:text-xl font-semibold mb-2">{quiz.title}</h2>
-                    <p className="text-sm sm:text-base text-gray-600 mb-3 sm:mb-4 line-clamp-2">{quiz.description}</p>
-                    
-                    <div className="flex items-center justify-between text-xs sm:text-sm text-gray-500 mb-3 sm:mb-4">
-                      <div className="flex items-center">
-                        <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
-                        </svg>
-                        {quiz.duration || 60} minutes
+              quizzes.map((quiz) => {
+                const unavailable = unavailableReason(quiz);
+                return (
+                  <div key={quiz.id} className="bg-white rounded-lg shadow-sm overflow-hidden hover:shadow-md transition-shadow">
+                    <div className="p-4 sm:p-6">
+                      <h2 className="text-lg sm:text-xl font-semibold mb-2">{quiz.title}</h2>
+                      <p className="text-sm sm:text-base text-gray-600 mb-3 sm:mb-4 line-clamp-2">{quiz.description}</p>
+                      
+                      <div className="flex items-center justify-between text-xs sm:text-sm text-gray-500 mb-3 sm:mb-4">
+                        <div className="flex items-center">
+                          <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                          </svg>
+                          {quiz.duration || 60} minutes
+                        </div>
+                        <div className="flex items-center">
+                          <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                          </svg>
+                          {quiz.questionCount} questions
+                        </div>
                       </div>
-                      <div className="flex items-center">
-                        <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
-                        </svg>
-                        {quiz.questionCount} questions
+                      
+                      <div className="flex flex-wrap gap-2 mb-4">
+                        {quiz.category && (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
+                            {quiz.category}
+                          </span>
+                        )}
+                        {quiz.userStatus && (
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium 
+                            ${quiz.userStatus === 'completed' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}
+                          >
+                            {quiz.userStatus === 'completed' ? '✓ Completed' : 'Attempted'}
+                          </span>
+                        )}
+                        {typeof quiz.currentScore === 'number' && typeof quiz.questionCount === 'number' && quiz.currentScore > 0 && (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                            {SCORE_LABELS[quiz.grading_policy] || 'Best'}: {quiz.currentScore}/{quiz.questionCount}
+                          </span>
+                        )}
+                        {(quiz.attemptsCount > 0 || quiz.max_attempts) && (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                            {quiz.max_attempts
+                              ? `${quiz.attemptsCount}/${quiz.max_attempts} attempts`
+                              : `${quiz.attemptsCount} attempt${quiz.attemptsCount > 1 ? 's' : ''}`}
+                          </span>
+                        )}
+                        {unavailable && (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                            {unavailable}
+                          </span>
+                        )}
+                        {!unavailable && quiz.closes_at && (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                            Closes {new Date(quiz.closes_at).toLocaleString()}
+                          </span>
+                        )}
                       </div>
+                      
+                      <Link 
+                        to={`/quizzes/${quiz.id}`} 
+                        className={`block w-full text-center px-3 sm:px-4 py-1.5 sm:py-2 border border-transparent text-xs sm:text-sm font-medium rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 ${unavailable
+                          ? 'text-gray-700 bg-gray-100 hover:bg-gray-200'
+                          : 'text-white bg-primary-600 hover:bg-primary-700'}`}
+                      >
+                        {unavailable
+                          ? (quiz.attemptsCount > 0 ? 'View Results' : 'View Quiz')
+                          : quiz.userStatus === 'completed' ? 'Retake Quiz' : quiz.userStatus === 'in_progress' ? 'Continue Quiz' : 'Start Quiz'}
+                      </Link>
                     </div>
-                    
-                    <div className="flex flex-wrap gap-2 mb-4">
-                      {quiz.category && (
-                        <span className="px-2 py-1 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
-                          {quiz.category}
-                        </span>
-                      )}
-                      {quiz.userStatus && (
-                        <span className={`px-2 py-1 rounded-full text-xs font-medium 
-                          ${quiz.userStatus === 'completed' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}
-                        >
-                          {quiz.userStatus === 'completed' ? '✓ Completed' : 'Attempted'}
-                        </span>
-                      )}
-                      {typeof quiz.bestScore === 'number' && typeof quiz.questionCount === 'number' && quiz.bestScore > 0 && (
-                        <span className="px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-                          Best: {quiz.bestScore}/{quiz.questionCount}
-                        </span>
-                      )}
-                      {quiz.attemptsCount && (
-                        <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
-                          {quiz.attemptsCount} attempt{quiz.attemptsCount > 1 ? 's' : ''}
-                        </span>
-                      )}
-                    </div>
-                    
-                    <Link 
-                      to={`/quizzes/${quiz.id}`} 
-                      className="block w-full text-center px-3 sm:px-4 py-1.5 sm:py-2 border border-transparent text-xs sm:text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-                    >
-                      {quiz.userStatus === 'completed' ? 'Retake Quiz' : quiz.userStatus === 'in_progress' ? 'Continue Quiz' : 'Start Quiz'}
-                    </Link>
                   </div>
-                </div>
-              ))
+                );
+              })
             ) : (
               <div className="col-span-full text-center py-8">
                 <p className="text-gray-500">No quizzes found matching your criteria.</p>
@@ -8,7 +8,8 @@
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { getQuiz, submitQuiz } from '../services/quizService';
+import { getQuiz, startQuiz, submitQuiz, saveQuizAnswers } from '../services/quizService';
+import QuizAnswerInput, { isAnswered } from '../components/QuizAnswerInput';
 
 /**
  * QuizDetail component delivers the full quiz experience including guarded
@@ -18,6 +19,8 @@ const QuizDetail = ({ user }) => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [quiz, setQuiz] = useState(null);
+  const [overview, setOverview] = useState(null);
+  const [starting, setStarting] = useState(false);
   const [answers, setAnswers] = useState({});
   const [timeLeft, setTimeLeft] = useState(0);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -26,37 +29,89 @@ const QuizDetail = ({ user }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [displayedScore, setDisplayedScore] = useState(0);
+  const [saveStatus, setSaveStatus] = useState('');
+  const [notice, setNotice] = useState('');
   const animationRef = useRef(null);
+  const unsavedRef = useRef(false);
 
   /**
-   * Loads quiz metadata and initializes answer slots plus the countdown timer
-   * based on the configured quiz duration.
+   * Shows the questions of a running attempt, restoring its autosaved answers
+   * and continuing the countdown from the deadline kept by the server.
+   */
+  const beginAttempt = useCallback((data) => {
+    setQuiz(data);
+    setOverview(null);
+
+    // Initialize answers object with defensive checks
+    const savedAnswers = data.attempt?.answers || {};
+    const initialAnswers = {};
+    if (data.questions && Array.isArray(data.questions)) {
+      data.questions.forEach((question) => {
+        initialAnswers[question.id] = savedAnswers[question.id] ?? null;
+      });
+    }
+    setAnswers(initialAnswers);
+    unsavedRef.current = false;
+
+    // Time left on the attempt, falling back to the quiz duration (default 60 minutes)
+    const timeLimit = data.quiz?.duration || data.duration || 60;
+    setTimeLeft(typeof data.attempt?.remainingSeconds === 'number' ? data.attempt.remainingSeconds : timeLimit * 60);
+  }, []);
+
+  /**
+   * Loads the quiz and resumes the student's running attempt. Without one the
+   * quiz overview is shown, from which a new attempt can be started. An
+   * attempt whose time ran out meanwhile comes back already graded.
    */
   const fetchQuiz = useCallback(async () => {
     setLoading(true);
     try {
       const data = await getQuiz(id);
-      setQuiz(data);
-      
-      // Initialize answers object with defensive checks
-      const initialAnswers = {};
-      if (data.questions && Array.isArray(data.questions)) {
-        data.questions.forEach((question) => {
-          initialAnswers[question.id] = null;
-        });
+
+      if (data.finalized) {
+        setResults(data.finalized);
+        setQuizCompleted(true);
+        setNotice('Time ran out on your previous attempt, so it was submitted with your last saved answers.');
+        return;
+      }
+
+      if (data.attempt) {
+        beginAttempt(data);
+      } else {
+        setOverview(data);
       }
-      setAnswers(initialAnswers);
-      
-      // Set timer using quiz duration (default to 60 minutes if not specified)
-      const timeLimit = data.quiz?.duration || data.duration || 60;
-      setTimeLeft(timeLimit * 60); // Convert minutes to seconds
     } catch (err) {
-      setError('Failed to load quiz. Please try again.');
+      setError(typeof err === 'string' ? err : 'Failed to load quiz. Please try again.');
       console.error('Quiz fetch error:', err);
     } finally {
       setLoading(false);
     }
-  }, [id]);
+  }, [id, beginAttempt]);
+
+  /**
+   * Starts a new attempt from the quiz overview
+   */
+  const handleStartQuiz = async () => {
+    setStarting(true);
+    try {
+      const data = await startQuiz(id);
+      beginAttempt({ ...overview, ...data });
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to start the quiz');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  /**
+   * Returns from the results to the quiz overview
+   */
+  const handleBackToQuiz = () => {
+    setResults(null);
+    setQuizCompleted(false);
+    setNotice('');
+    fetchQuiz();
+  };
 
   /**
    * Submits all recorded answers to the backend, stores the returned summary,
@@ -71,8 +126,12 @@ const QuizDetail = ({ user }) => {
     setIsSubmitting(true);
     try {
       const result = await submitQuiz(id, { answers });
+      unsavedRef.current = false;
       setResults(result);
       setQuizCompleted(true);
+      if (result.autoSubmitted) {
+        setNotice('Time ran out before your answers arrived, so your last saved answers were submitted.');
+      }
       // Reset quiz state after submission
       setQuiz(null);
       setAnswers({});
@@ -107,6 +166,26 @@ const QuizDetail = ({ user }) => {
     return () => clearTimeout(timer);
   }, [timeLeft, quiz, quizCompleted, handleSubmitQuiz]);
 
+  // Autosave answers a second after the last change, resyncing the clock with the server
+  useEffect(() => {
+    if (!quiz || quizCompleted || !unsavedRef.current) return undefined;
+
+    const timer = setTimeout(async () => {
+      unsavedRef.current = false;
+      setSaveStatus('saving');
+      try {
+        const saved = await saveQuizAnswers(id, answers);
+        setSaveStatus('saved');
+        setTimeLeft(saved.remainingSeconds);
+      } catch (err) {
+        unsavedRef.current = true;
+        setSaveStatus('error');
+      }
+    }, 1000);
+
+    return () => clearTimeout(timer);
+  }, [answers, quiz, quizCompleted, id]);
+
   useEffect(() => {
     const clearAnimation = () => {
       if (animationRef.current) {
@@ -152,13 +231,14 @@ const QuizDetail = ({ user }) => {
   }, [quizCompleted, results]);
 
   /**
-   * Persists the selected answer for the current question while preserving
+   * Persists the answer for the current question while preserving
    * previously chosen responses.
    */
-  const handleAnswerSelect = (questionId, optionIndex) => {
+  const handleAnswerSelect = (questionId, answer) => {
+    unsavedRef.current = true;
     setAnswers({
       ...answers,
-      [questionId]: optionIndex
+      [questionId]: answer
     });
   };
 
@@ -193,7 +273,8 @@ const QuizDetail = ({ user }) => {
   if (quizCompleted && results) {
     const totalQuestions = results.totalQuestions ?? (results.questionResults?.length || 0);
     const correctCount = results.correctAnswers ?? (results.questionResults?.filter((r) => r.isCorrect).length || 0);
-    const answeredCount = results.questionResults?.filter((r) => typeof r.userAnswerIndex === 'number').length || correctCount;
+    const answeredCount = results.questionResults?.filter((r) => r.answered ?? typeof r.userAnswerIndex === 'number').length || correctCount;
+    const points = typeof results.points === 'number' ? results.points : correctCount;
     const incorrectCount = Math.max(answeredCount - correctCount, 0);
     const unansweredCount = Math.max(totalQuestions - answeredCount, 0);
     const finalPercentage = typeof results.score === 'number'
@@ -208,6 +289,20 @@ const QuizDetail = ({ user }) => {
       <div className="bg-white p-4 sm:p-6 rounded-lg shadow-sm max-w-4xl mx-auto">
         <h1 className="text-xl sm:text-2xl font-bold text-center mb-4 sm:mb-6">Quiz Results</h1>
 
+        {notice && (
+          <div className="mb-6 p-3 rounded-lg border border-yellow-200 bg-yellow-50 text-sm text-yellow-800 text-center">
+            {notice}
+          </div>
+        )}
+
+        {results.answersHidden && (
+          <div className="mb-6 p-3 rounded-lg border border-gray-200 bg-gray-50 text-sm text-gray-700 text-center">
+            {results.revealAt
+              ? `Correct answers will be shown after the quiz closes on ${new Date(results.revealAt).toLocaleString()}.`
+              : 'Correct answers are not shown for this quiz.'}
+          </div>
+        )}
+
         <div className="flex flex-col items-center gap-4 mb-10">
           <div className="relative flex items-center justify-center scale-[0.85] sm:scale-100">
             <div
@@ -234,7 +329,7 @@ const QuizDetail = ({ user }) => {
         <div className="grid gap-4 md:grid-cols-4 mb-8">
           <div className="p-3 sm:p-4 rounded-xl border border-primary-100 bg-primary-50/60 text-center">
             <p className="text-xs sm:text-sm uppercase tracking-wide text-primary-600 font-semibold">Points</p>
-            <span className="text-2xl sm:text-4xl font-bold text-primary-700">{correctCount}/{totalQuestions}</span>
+            <span className="text-2xl sm:text-4xl font-bold text-primary-700">{points}/{totalQuestions}</span>
           </div>
           <div className="p-3 sm:p-4 rounded-xl border border-green-100 bg-green-50/70 text-center">
             <p className="text-xs sm:text-sm uppercase tracking-wide text-green-600 font-semibold">Correct</p>
@@ -254,7 +349,9 @@ const QuizDetail = ({ user }) => {
           {results.questionResults && Array.isArray(results.questionResults) && results.questionResults.map((result, index) => (
             <div
               key={index}
-              className={`p-5 rounded-xl border ${result.isCorrect ? 'border-green-200 bg-green-50/60' : 'border-red-200 bg-red-50/60'}`}
+              className={`p-5 rounded-xl border ${result.isCorrect
+                ? 'border-green-200 bg-green-50/60'
+                : result.credit > 0 ? 'border-yellow-200 bg-yellow-50/60' : 'border-red-200 bg-red-50/60'}`}
             >
               <div className="flex items-start justify-between gap-4">
                 <div>
@@ -263,15 +360,23 @@ const QuizDetail = ({ user }) => {
                   </span>
                   <span className="font-semibold text-gray-800 align-middle">{result.question}</span>
                 </div>
-                <span className={`text-sm font-medium ${result.isCorrect ? 'text-green-700' : 'text-red-600'}`}>
-                  {result.isCorrect ? 'Correct' : 'Incorrect'}
+                <span className={`text-sm font-medium ${result.isCorrect ? 'text-green-700' : result.credit > 0 ? 'text-yellow-700' : 'text-red-600'}`}>
+                  {result.isCorrect
+                    ? 'Correct'
+                    : result.credit > 0
+                      ? `Partially correct (${Math.round(result.credit * 100)}%)`
+                      : 'Incorrect'}
                 </span>
               </div>
 
               <div className="mt-4 space-y-2">
                 {(result.options || []).map((option, optionIndex) => {
-                  const isCorrectOption = typeof result.correctAnswerIndex === 'number' && optionIndex === result.correctAnswerIndex;
-                  const isUserSelected = typeof result.userAnswerIndex === 'number' && optionIndex === result.userAnswerIndex;
+                  const isCorrectOption = Array.isArray(result.correctAnswerIndexes)
+                    ? result.correctAnswerIndexes.includes(optionIndex)
+                    : typeof result.correctAnswerIndex === 'number' && optionIndex === result.correctAnswerIndex;
+                  const isUserSelected = Array.isArray(result.userAnswerIndexes)
+                    ? result.userAnswerIndexes.includes(optionIndex)
+                    : typeof result.userAnswerIndex === 'number' && optionIndex === result.userAnswerIndex;
                   const isUserCorrect = isCorrectOption && isUserSelected;
 
                   let optionClasses = 'border border-gray-200 bg-white';
@@ -304,7 +409,27 @@ const QuizDetail = ({ user }) => {
                 })}
               </div>
 
-              {!result.isCorrect && (
+              {result.type === 'code_output' && (
+                <pre className="mt-4 p-3 bg-gray-900 text-gray-100 rounded-lg text-xs sm:text-sm overflow-x-auto">{result.code}</pre>
+              )}
+
+              {['numeric', 'text', 'code_output'].includes(result.type) && (
+                <div className="mt-3 text-sm text-gray-800">
+                  <span className="font-medium">Your answer:</span>{' '}
+                  {result.type === 'code_output'
+                    ? <pre className="mt-1 p-2 bg-white border border-gray-200 rounded font-mono text-xs whitespace-pre-wrap">{result.userAnswer}</pre>
+                    : result.userAnswer}
+                </div>
+              )}
+
+              {!results.answersHidden && !result.isCorrect && result.type === 'code_output' && (
+                <div className="mt-3 text-sm text-red-700">
+                  <span className="font-medium">Expected output:</span>
+                  <pre className="mt-1 p-2 bg-white border border-red-200 rounded font-mono text-xs whitespace-pre-wrap">{result.correctAnswer}</pre>
+                </div>
+              )}
+
+              {!results.answersHidden && !result.isCorrect && result.type !== 'code_output' && (
                 <div className="mt-3 text-sm text-red-700">
                   <span className="font-medium">Correct answer:</span> {result.correctAnswer}
                 </div>
@@ -320,7 +445,13 @@ const QuizDetail = ({ user }) => {
         </div>
 
         
-        <div className="mt-8 flex justify-center">
+        <div className="mt-8 flex justify-center gap-3">
+          <button
+            onClick={handleBackToQuiz}
+            className="px-3 sm:px-4 py-1.5 sm:py-2 border border-gray-300 text-xs sm:text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+          >
+            Back to Quiz
+          </button>
           <button
             onClick={() => navigate('/quizzes')}
             className="px-3 sm:px-4 py-1.5 sm:py-2 border border-transparent text-xs sm:text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
@@ -332,6 +463,76 @@ const QuizDetail = ({ user }) => {
     );
   }
 
+  if (overview) {
+    const { quiz: details, availability, attemptsUsed, review } = overview;
+    const scoreLabels = { best: 'your best attempt', last: 'your last attempt', average: 'the average of your attempts' };
+
+    return (
+      <div className="bg-white p-4 sm:p-6 rounded-lg shadow-sm max-w-3xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-800">{details.title}</h1>
+          {details.description && <p className="mt-2 text-sm sm:text-base text-gray-600">{details.description}</p>}
+        </div>
+
+        <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+          <div>
+            <dt className="text-gray-500">Time limit</dt>
+            <dd className="font-medium text-gray-800">{details.duration || 60} minutes</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Attempts</dt>
+            <dd className="font-medium text-gray-800">
+              {details.max_attempts ? `${attemptsUsed} of ${details.max_attempts} used` : `${attemptsUsed} used, unlimited`}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Opens</dt>
+            <dd className="font-medium text-gray-800">
+              {details.scheduled_time ? new Date(details.scheduled_time).toLocaleString() : 'Now'}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Closes</dt>
+            <dd className="font-medium text-gray-800">
+              {details.closes_at ? new Date(details.closes_at).toLocaleString() : 'Never'}
+            </dd>
+          </div>
+        </dl>
+
+        <p className="text-sm text-gray-600">
+          Your score is {scoreLabels[details.grading_policy] || scoreLabels.best}.
+        </p>
+
+        {!availability?.open && (
+          <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded text-sm" role="alert">
+            {availability?.message}
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-3">
+          <button
+            onClick={handleStartQuiz}
+            disabled={!availability?.open || starting}
+            className="px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {starting ? 'Starting...' : attemptsUsed > 0 ? 'Start New Attempt' : 'Start Quiz'}
+          </button>
+          {review && (
+            <button
+              onClick={() => {
+                setResults(review);
+                setQuizCompleted(true);
+              }}
+              className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Review Last Attempt
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   if (!quiz || !quiz.questions || !Array.isArray(quiz.questions) || quiz.questions.length === 0) {
     return (
       <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded" role="alert">
@@ -344,14 +545,21 @@ const QuizDetail = ({ user }) => {
     <div className="space-y-4 sm:space-y-6 max-w-5xl mx-auto px-3 sm:px-4">
       {/* Quiz header */}
       <div className="bg-white p-6 rounded-lg shadow-sm">
-        <h1 className="text-xl sm:text-2xl font-bold text-gray-800">{quiz.title}</h1>
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-800">{quiz.quiz?.title || quiz.title}</h1>
         <div className="flex justify-between items-center mt-4">
           <div>
             <span className="text-xs sm:text-sm text-gray-500">
               {quiz.questions.length} Questions Total
             </span>
             <div className="text-xs text-primary-600 mt-1">
-              Answered {Object.values(answers).filter(answer => answer !== null).length} of {quiz.questions.length}
+              Answered {Object.values(answers).filter(isAnswered).length} of {quiz.questions.length}
+              {saveStatus && (
+                <span className={`ml-2 ${saveStatus === 'error' ? 'text-red-600' : 'text-gray-500'}`}>
+                  {saveStatus === 'saving' && '· Saving...'}
+                  {saveStatus === 'saved' && '· All changes saved'}
+                  {saveStatus === 'error' && '· Not saved, retrying on your next change'}
+                </span>
+              )}
             </div>
           </div>
           {timeLeft > 0 && (
@@ -367,7 +575,7 @@ const QuizDetail = ({ user }) => {
           <div className="w-full bg-gray-200 rounded-full h-2.5">
             <div 
               className="bg-primary-600 h-2.5 rounded-full" 
-              style={{ width: `${(Object.values(answers).filter(answer => answer !== null).length / quiz.questions.length) * 100}%` }}
+              style={{ width: `${(Object.values(answers).filter(isAnswered).length / quiz.questions.length) * 100}%` }}
             ></div>
           </div>
           {quiz?.duration && (
@@ -395,29 +603,11 @@ const QuizDetail = ({ user }) => {
                 </h2>
               </div>
 
-              <div className="space-y-3">
-                {(question.options || []).map((option, optionIndex) => (
-                  <div
-                    key={optionIndex}
-                    onClick={() => handleAnswerSelect(question.id, optionIndex)}
-                    className={`p-2 sm:p-3 rounded-lg border cursor-pointer transition-colors ${answers[question.id] === optionIndex
-                      ? 'border-primary-500 bg-primary-50 text-primary-700'
-                      : 'border-gray-300 hover:border-gray-400'}`}
-                  >
-                    <div className="flex items-start">
-                      <div className={`flex-shrink-0 h-5 w-5 border rounded-full flex items-center justify-center mr-2 ${answers[question.id] === optionIndex
-                        ? 'border-primary-500 bg-primary-500'
-                        : 'border-gray-300'}`}
-                      >
-                        {answers[question.id] === optionIndex && (
-                          <div className="h-2 w-2 rounded-full bg-white"></div>
-                        )}
-                      </div>
-                      <span className="text-xs sm:text-sm">{option}</span>
-                    </div>
-                  </div>
-                ))}
-              </div>
+              <QuizAnswerInput
+                question={question}
+                answer={answers[question.id]}
+                onChange={(answer) => handleAnswerSelect(question.id, answer)}
+              />
             </div>
           ))}
         </div>
@@ -426,7 +616,7 @@ const QuizDetail = ({ user }) => {
       <div className="flex justify-end">
         <button
           onClick={handleSubmitQuiz}
-          disabled={isSubmitting || Object.values(answers).some(answer => answer === null)}
+          disabled={isSubmitting || !Object.values(answers).every(isAnswered)}
           className="px-3 sm:px-4 py-1.5 sm:py-2 border border-transparent text-xs sm:text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
         >
           {isSubmitting ? 'Submitting...' : 'Submit Quiz'}
@@ -100,6 +100,196 @@ export const getAllTestCases = async (questionId) => {
   }
 };
 
+/**
+ * Get a question's output checker, including the special judge source
+ * @param {number} questionId - Question ID
+ * @returns {Promise} - Promise with checker settings
+ */
+export const getQuestionChecker = async (questionId) => {
+  try {
+    const response = await axios.get(`${API_URL}/questions/${questionId}/checker`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data.checker;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch checker';
+  }
+};
+
+/**
+ * Get a question's reference solution and random input generator
+ * @param {number} questionId - Question ID
+ * @returns {Promise} - Promise with the reference and generator sources
+ */
+export const getQuestionReference = async (questionId) => {
+  try {
+    const response = await axios.get(`${API_URL}/questions/${questionId}/reference`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data.reference;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch reference solution';
+  }
+};
+
+/**
+ * Read test cases from a ZIP of .in/.out files for preview (nothing is saved)
+ * @param {string} archive - Base64-encoded ZIP file
+ * @param {Object} question - The question's io_mode and parameter_schema, used to validate inputs
+ * @returns {Promise} - Promise with the parsed test cases
+ */
+export const importTestCaseArchive = async (archive, question) => {
+  try {
+    const response = await axios.post(`${API_URL}/questions/test-cases/import`, {
+      archive,
+      io_mode: question.io_mode,
+      parameter_schema: question.parameter_schema
+    }, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data.testCases;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to import test cases';
+  }
+};
+
+/**
+ * Generate test cases for preview with a generator and reference solution (nothing is saved)
+ * @param {Object} payload - Question fields plus `count` and the first `seed`
+ * @returns {Promise} - Promise with the generated test cases
+ */
+export const generateTestCases = async (payload) => {
+  try {
+    const response = await axios.post(`${API_URL}/questions/test-cases/generate`, payload, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data.testCases;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to generate test cases';
+  }
+};
+
+/**
+ * Download all test cases of a question as a ZIP
+ * @param {number} questionId - Question ID
+ * @returns {Promise<Blob>} - Promise with the ZIP file
+ */
+export const exportTestCases = async (questionId) => {
+  try {
+    const response = await axios.get(`${API_URL}/questions/${questionId}/test-cases/export`, {
+      headers: await getAuthHeader(),
+      responseType: 'blob'
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to export test cases';
+  }
+};
+
+/**
+ * Import questions from problem packages
+ * @param {Object} source - `archive` (base64-encoded ZIP) or `package` (parsed JSON)
+ * @param {boolean} dryRun - Only report what would be imported
+ * @returns {Promise} - Promise with the per-package results
+ */
+export const importProblemPackages = async (source, dryRun = false) => {
+  try {
+    const response = await axios.post(`${API_URL}/questions/import`, {
+      ...source,
+      dry_run: dryRun
+    }, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data.results;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to import problems';
+  }
+};
+
+/**
+ * Download a question with its test cases as a problem package ZIP
+ * @param {number} questionId - Question ID
+ * @returns {Promise<Blob>} - Promise with the ZIP file
+ */
+export const exportProblemPackage = async (questionId) => {
+  try {
+    const response = await axios.get(`${API_URL}/questions/${questionId}/export`, {
+      headers: await getAuthHeader(),
+      params: { format: 'zip' },
+      responseType: 'blob'
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to export question';
+  }
+};
+
+/**
+ * Get the version history of a question
+ * @param {number} questionId - Question ID
+ * @returns {Promise} - Promise with the current version and the versions, newest first
+ */
+export const getQuestionVersions = async (questionId) => {
+  try {
+    const response = await axios.get(`${API_URL}/questions/${questionId}/versions`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch question history';
+  }
+};
+
+/**
+ * Get one version of a question with its diff from the previous version
+ * @param {number} questionId - Question ID
+ * @param {number} version - Version number
+ * @returns {Promise} - Promise with the snapshot and diff
+ */
+export const getQuestionVersion = async (questionId, version) => {
+  try {
+    const response = await axios.get(`${API_URL}/questions/${questionId}/versions/${version}`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch question version';
+  }
+};
+
+/**
+ * Get the latest submissions of a question with the version each was judged against
+ * @param {number} questionId - Question ID
+ * @returns {Promise} - Promise with the submissions
+ */
+export const getQuestionJudgements = async (questionId) => {
+  try {
+    const response = await axios.get(`${API_URL}/questions/${questionId}/submissions`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data.submissions;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch submissions';
+  }
+};
+
+/**
+ * Rejudge past submissions of a question against its current version
+ * @param {number} questionId - Question ID
+ * @param {Object} selection - `submission_ids`, and/or `outdated_only` to skip submissions judged on the current version
+ * @returns {Promise} - Promise with the number of queued submissions
+ */
+export const rejudgeSubmissions = async (questionId, selection = {}) => {
+  try {
+    const response = await axios.post(`${API_URL}/questions/${questionId}/rejudge`, selection, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to rejudge submissions';
+  }
+};
+
 /**
  * Create a new quiz
  * @param {Object} quizData - Quiz data
@@ -133,6 +323,22 @@ export const updateQuiz = async (id, quizData) => {
   }
 };
 
+/**
+ * Get a quiz with its questions, answer keys and question bank rules (admin only)
+ * @param {number} id - Quiz ID
+ * @returns {Promise} - Promise with { quiz, questions, rules }
+ */
+export const getQuizForEdit = async (id) => {
+  try {
+    const response = await axios.get(`${API_URL}/quizzes/${id}/edit`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch quiz';
+  }
+};
+
 /**
  * Delete a quiz
  * @param {number} id - Quiz ID
@@ -149,6 +355,370 @@ export const deleteQuiz = async (id) => {
   }
 };
 
+/**
+ * Create a contest
+ * @param {Object} contestData - Contest settings and problems ({ question_id, label, points })
+ * @returns {Promise} - Promise with the created contest ID
+ */
+export const createContest = async (contestData) => {
+  try {
+    const response = await axios.post(`${API_URL}/contests`, contestData, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to create contest';
+  }
+};
+
+/**
+ * Update a contest and replace its problems
+ * @param {number} id - Contest ID
+ * @param {Object} contestData - Contest settings and problems
+ * @returns {Promise} - Promise with success message
+ */
+export const updateContest = async (id, contestData) => {
+  try {
+    const response = await axios.put(`${API_URL}/contests/${id}`, contestData, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to update contest';
+  }
+};
+
+/**
+ * Delete a contest
+ * @param {number} id - Contest ID
+ * @returns {Promise} - Promise with success message
+ */
+export const deleteContest = async (id) => {
+  try {
+    const response = await axios.delete(`${API_URL}/contests/${id}`, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to delete contest';
+  }
+};
+
+/**
+ * Reveal the final scoreboard of a finished contest
+ * @param {number} id - Contest ID
+ * @returns {Promise} - Promise with success message
+ */
+export const unfreezeScoreboard = async (id) => {
+  try {
+    const response = await axios.post(`${API_URL}/contests/${id}/unfreeze`, {}, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to unfreeze the scoreboard';
+  }
+};
+
+/**
+ * Get an assessment with its items and answer keys for editing
+ * @param {number} id - Assessment ID
+ * @returns {Promise} - Promise with the assessment and its items
+ */
+export const getAssessmentForEdit = async (id) => {
+  try {
+    const response = await axios.get(`${API_URL}/assessments/${id}/edit`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch assessment';
+  }
+};
+
+/**
+ * Create an assessment
+ * @param {Object} assessmentData - Assessment settings and items (quiz questions or { question_id } coding problems, each with points)
+ * @returns {Promise} - Promise with the created assessment ID
+ */
+export const createAssessment = async (assessmentData) => {
+  try {
+    const response = await axios.post(`${API_URL}/assessments`, assessmentData, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to create assessment';
+  }
+};
+
+/**
+ * Update an assessment and replace its items
+ * @param {number} id - Assessment ID
+ * @param {Object} assessmentData - Assessment settings and items
+ * @returns {Promise} - Promise with success message
+ */
+export const updateAssessment = async (id, assessmentData) => {
+  try {
+    const response = await axios.put(`${API_URL}/assessments/${id}`, assessmentData, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to update assessment';
+  }
+};
+
+/**
+ * Delete an assessment
+ * @param {number} id - Assessment ID
+ * @returns {Promise} - Promise with success message
+ */
+export const deleteAssessment = async (id) => {
+  try {
+    const response = await axios.delete(`${API_URL}/assessments/${id}`, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to delete assessment';
+  }
+};
+
+/**
+ * Get the attempts of an assessment with their scores
+ * @param {number} id - Assessment ID
+ * @returns {Promise} - Promise with the assessment and its attempts
+ */
+export const getAssessmentResults = async (id) => {
+  try {
+    const response = await axios.get(`${API_URL}/assessments/${id}/results`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch assessment results';
+  }
+};
+
+/**
+ * Create a cohort with a new join code (instructors and admins)
+ * @param {Object} cohortData - name, description and, for admins, instructor_id
+ * @returns {Promise} - Promise with the cohort ID and join code
+ */
+export const createCohort = async (cohortData) => {
+  try {
+    const response = await axios.post(`${API_URL}/cohorts`, cohortData, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to create cohort';
+  }
+};
+
+/**
+ * Update a cohort (its instructor and admins)
+ * @param {number} id - Cohort ID
+ * @param {Object} cohortData - name, description and, for admins, instructor_id
+ * @returns {Promise} - Promise with success message
+ */
+export const updateCohort = async (id, cohortData) => {
+  try {
+    const response = await axios.put(`${API_URL}/cohorts/${id}`, cohortData, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to update cohort';
+  }
+};
+
+/**
+ * Delete a cohort with its memberships and assignments
+ * @param {number} id - Cohort ID
+ * @returns {Promise} - Promise with success message
+ */
+export const deleteCohort = async (id) => {
+  try {
+    const response = await axios.delete(`${API_URL}/cohorts/${id}`, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to delete cohort';
+  }
+};
+
+/**
+ * Replace the join code of a cohort
+ * @param {number} id - Cohort ID
+ * @returns {Promise} - Promise with the new join code
+ */
+export const regenerateJoinCode = async (id) => {
+  try {
+    const response = await axios.post(`${API_URL}/cohorts/${id}/join-code`, {}, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to regenerate the join code';
+  }
+};
+
+/**
+ * Assign a quiz or a problem set to a cohort
+ * @param {number} cohortId - Cohort ID
+ * @param {Object} assignmentData - title, assignment_type, quiz_id or question_ids, due_at
+ * @returns {Promise} - Promise with the assignment ID
+ */
+export const createCohortAssignment = async (cohortId, assignmentData) => {
+  try {
+    const response = await axios.post(`${API_URL}/cohorts/${cohortId}/assignments`, assignmentData, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to create assignment';
+  }
+};
+
+/**
+ * Update an assignment of a cohort
+ * @param {number} cohortId - Cohort ID
+ * @param {number} assignmentId - Assignment ID
+ * @param {Object} assignmentData - title, assignment_type, quiz_id or question_ids, due_at
+ * @returns {Promise} - Promise with success message
+ */
+export const updateCohortAssignment = async (cohortId, assignmentId, assignmentData) => {
+  try {
+    const response = await axios.put(`${API_URL}/cohorts/${cohortId}/assignments/${assignmentId}`, assignmentData, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to update assignment';
+  }
+};
+
+/**
+ * Delete an assignment of a cohort
+ * @param {number} cohortId - Cohort ID
+ * @param {number} assignmentId - Assignment ID
+ * @returns {Promise} - Promise with success message
+ */
+export const deleteCohortAssignment = async (cohortId, assignmentId) => {
+  try {
+    const response = await axios.delete(`${API_URL}/cohorts/${cohortId}/assignments/${assignmentId}`, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to delete assignment';
+  }
+};
+
+/**
+ * Get every member's progress on an assignment
+ * @param {number} cohortId - Cohort ID
+ * @param {number} assignmentId - Assignment ID
+ * @returns {Promise} - Promise with the assignment and the members' progress
+ */
+export const getAssignmentProgress = async (cohortId, assignmentId) => {
+  try {
+    const response = await axios.get(`${API_URL}/cohorts/${cohortId}/assignments/${assignmentId}/progress`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch assignment progress';
+  }
+};
+
+/**
+ * Get plagiarism reports, newest first
+ * @param {number} [questionId] - Only reports of this question
+ * @returns {Promise} - Promise with the reports
+ */
+export const getPlagiarismReports = async (questionId) => {
+  try {
+    const response = await axios.get(`${API_URL}/plagiarism/reports`, {
+      params: questionId ? { question_id: questionId } : {},
+      headers: await getAuthHeader()
+    });
+    return response.data.data.reports;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch plagiarism reports';
+  }
+};
+
+/**
+ * Start comparing the accepted solutions of a question
+ * @param {Object} options - { question_id, language, threshold }
+ * @returns {Promise} - Promise with the new report ID
+ */
+export const startPlagiarismCheck = async (options) => {
+  try {
+    const response = await axios.post(`${API_URL}/plagiarism/reports`, options, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to start the plagiarism check';
+  }
+};
+
+/**
+ * Get a plagiarism report with its flagged pairs and clusters
+ * @param {number} id - Report ID
+ * @returns {Promise} - Promise with { report, result }
+ */
+export const getPlagiarismReport = async (id) => {
+  try {
+    const response = await axios.get(`${API_URL}/plagiarism/reports/${id}`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch the plagiarism report';
+  }
+};
+
+/**
+ * Get two solutions of a report with the lines they share
+ * @param {number} reportId - Report ID
+ * @param {number} a - Submission ID
+ * @param {number} b - Submission ID
+ * @returns {Promise} - Promise with { similarity, a, b }
+ */
+export const compareSubmissions = async (reportId, a, b) => {
+  try {
+    const response = await axios.get(`${API_URL}/plagiarism/reports/${reportId}/compare`, {
+      params: { a, b },
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to compare the submissions';
+  }
+};
+
+/**
+ * Delete a plagiarism report
+ * @param {number} id - Report ID
+ * @returns {Promise} - Promise with success message
+ */
+export const deletePlagiarismReport = async (id) => {
+  try {
+    const response = await axios.delete(`${API_URL}/plagiarism/reports/${id}`, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to delete the report';
+  }
+};
+
 /**
  * Add questions to a quiz
  * @param {number} quizId - Quiz ID
@@ -185,13 +755,15 @@ export const getQuestionSubmissions = async (questionId, params = {}) => {
 };
 
 /**
- * Get all users (admin only)
+ * Get all users, or the members of the instructor's cohorts
+ * @param {number} [cohortId] - Only the members of this cohort
  * @returns {Promise} - Promise with users data
  */
-export const getUsers = async () => {
+export const getUsers = async (cohortId) => {
   try {
     const response = await axios.get(`${API_URL}/admin/users`, {
-      headers: await getAuthHeader()
+      headers: await getAuthHeader(),
+      params: cohortId ? { cohort_id: cohortId } : {}
     });
     return response.data.data;
   } catch (error) {
@@ -200,13 +772,15 @@ export const getUsers = async () => {
 };
 
 /**
- * Get platform statistics (admin only)
+ * Get platform statistics, for the instructor's cohorts
+ * @param {number} [cohortId] - Only the members of this cohort
  * @returns {Promise} - Promise with statistics data
  */
-export const getPlatformStats = async () => {
+export const getPlatformStats = async (cohortId) => {
   try {
     const response = await axios.get(`${API_URL}/admin/stats`, {
-      headers: await getAuthHeader()
+      headers: await getAuthHeader(),
+      params: cohortId ? { cohort_id: cohortId } : {}
     });
     return response.data.data;
   } catch (error) {
@@ -233,7 +807,7 @@ export const createUser = async (userData) => {
 /**
  * Update user role (admin only)
  * @param {number} userId - User ID
- * @param {string} role - New role (student/admin)
+ * @param {string} role - New role (student/instructor/admin)
  * @returns {Promise} - Promise with success message
  */
 export const updateUserRole = async (userId, role) => {
@@ -264,17 +838,18 @@ export const deleteUser = async (userId) => {
 };
 
 /**
- * Get leaderboard data (admin only)
- * @param {string} type - Leaderboard type (overall, quiz, coding)
+ * Get leaderboard data, for the instructor's cohorts
+ * @param {string} type - Leaderboard type (overall, quiz, coding, assessment)
  * @param {number} limit - Number of entries to fetch
+ * @param {number} [cohortId] - Only the members of this cohort
  * @returns {Promise} - Promise with leaderboard data
  */
-export const getLeaderboard = async (type = 'overall', limit = 10) => {
+export const getLeaderboard = async (type = 'overall', limit = 10, cohortId) => {
   try {
-    console.log('Admin service: fetching leaderboard', { type, limit });
+    console.log('Admin service: fetching leaderboard', { type, limit, cohortId });
     const response = await axios.get(`${API_URL}/admin/leaderboard`, {
       headers: await getAuthHeader(),
-      params: { type, limit }
+      params: cohortId ? { type, limit, cohort_id: cohortId } : { type, limit }
     });
     console.log('Admin service: leaderboard response', response.data);
     return response.data.data;
@@ -285,16 +860,17 @@ export const getLeaderboard = async (type = 'overall', limit = 10) => {
 };
 
 /**
- * Get recent activity for leaderboard (admin only)
+ * Get recent activity for leaderboard, for the instructor's cohorts
  * @param {number} limit - Number of activities to fetch
+ * @param {number} [cohortId] - Only the members of this cohort
  * @returns {Promise} - Promise with recent activity data
  */
-export const getRecentActivity = async (limit = 20) => {
+export const getRecentActivity = async (limit = 20, cohortId) => {
   try {
-    console.log('Admin service: fetching recent activity', { limit });
+    console.log('Admin service: fetching recent activity', { limit, cohortId });
     const response = await axios.get(`${API_URL}/admin/leaderboard/recent-activity`, {
       headers: await getAuthHeader(),
-      params: { limit }
+      params: cohortId ? { limit, cohort_id: cohortId } : { limit }
     });
     console.log('Admin service: recent activity response', response.data);
     return response.data.data;
@@ -302,4 +878,130 @@ export const getRecentActivity = async (limit = 20) => {
     console.error('Admin service: recent activity error', error.response?.data || error.message);
     throw error.response?.data?.message || error.message || 'Failed to fetch recent activity';
   }
-};
\ No newline at end of file
+};
+/**
+ * Get the execution backend's runtimes and the language runtime mapping (admin only)
+ * @returns {Promise} - Promise with { provider, languages, catalog, mapping }
+ */
+export const getRuntimeSettings = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/admin/runtimes`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch runtimes';
+  }
+};
+
+/**
+ * Update which runtimes each language offers and its default (admin only)
+ * @param {Object} mapping - { [language]: { runtimes: [id], default: id } }
+ * @returns {Promise} - Promise with updated runtime settings
+ */
+export const updateRuntimeSettings = async (mapping) => {
+  try {
+    const response = await axios.put(`${API_URL}/admin/runtimes`, { mapping }, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to update runtimes';
+  }
+};
+
+/**
+ * Re-discover runtimes from the execution backend (admin only)
+ * @returns {Promise} - Promise with refreshed runtime settings
+ */
+export const refreshRuntimes = async () => {
+  try {
+    const response = await axios.post(`${API_URL}/admin/runtimes/refresh`, {}, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to refresh runtimes';
+  }
+};
+
+/**
+ * Get question bank questions (admin only)
+ * @param {Object} params - Query parameters (page, limit, topic, difficulty, type, search)
+ * @returns {Promise} - Promise with questions and pagination
+ */
+export const getQuestionBank = async (params = {}) => {
+  try {
+    const response = await axios.get(`${API_URL}/question-bank`, {
+      params,
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch the question bank';
+  }
+};
+
+/**
+ * Get the question bank topics with question counts per difficulty (admin only)
+ * @returns {Promise} - Promise with topics
+ */
+export const getQuestionBankTopics = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/question-bank/topics`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch topics';
+  }
+};
+
+/**
+ * Add a question to the bank (admin only)
+ * @param {Object} questionData - Question with its topic
+ * @returns {Promise} - Promise with the new question ID
+ */
+export const createBankQuestion = async (questionData) => {
+  try {
+    const response = await axios.post(`${API_URL}/question-bank`, questionData, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to add the question';
+  }
+};
+
+/**
+ * Update a bank question (admin only)
+ * @param {number} id - Bank question ID
+ * @param {Object} questionData - Question with its topic
+ * @returns {Promise} - Promise with success message
+ */
+export const updateBankQuestion = async (id, questionData) => {
+  try {
+    const response = await axios.put(`${API_URL}/question-bank/${id}`, questionData, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to update the question';
+  }
+};
+
+/**
+ * Delete a bank question (admin only)
+ * @param {number} id - Bank question ID
+ * @returns {Promise} - Promise with success message
+ */
+export const deleteBankQuestion = async (id) => {
+  try {
+    const response = await axios.delete(`${API_URL}/question-bank/${id}`, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to delete the question';
+  }
+};
@@ -0,0 +1,95 @@
+import axios from 'axios';
+import { auth } from '../config/firebase';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Set up axios with Firebase token
+const getAuthHeader = async () => {
+  const user = auth.currentUser;
+  if (user) {
+    const token = await user.getIdToken();
+    return { Authorization: `Bearer ${token}` };
+  }
+  return {};
+};
+
+/**
+ * Get all assessments
+ * @returns {Promise} - Promise with assessments and the current user's progress
+ */
+export const getAssessments = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/assessments`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data.assessments;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch assessments';
+  }
+};
+
+/**
+ * Get an assessment with the user's running attempt or result
+ * @param {number} id - Assessment ID
+ * @returns {Promise} - Promise with the assessment, attempt and result
+ */
+export const getAssessment = async (id) => {
+  try {
+    const response = await axios.get(`${API_URL}/assessments/${id}`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch assessment';
+  }
+};
+
+/**
+ * Start the user's attempt, or resume the running one
+ * @param {number} id - Assessment ID
+ * @returns {Promise} - Promise with the attempt and its items
+ */
+export const startAssessment = async (id) => {
+  try {
+    const response = await axios.post(`${API_URL}/assessments/${id}/start`, {}, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to start the assessment';
+  }
+};
+
+/**
+ * Autosave the quiz answers of the running attempt
+ * @param {number} id - Assessment ID
+ * @param {Object} answers - Answers keyed by item ID
+ * @returns {Promise} - Promise with the save time and the remaining seconds
+ */
+export const saveAssessmentAnswers = async (id, answers) => {
+  try {
+    const response = await axios.put(`${API_URL}/assessments/${id}/attempt/answers`, { answers }, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to save answers';
+  }
+};
+
+/**
+ * Submit the attempt
+ * @param {number} id - Assessment ID
+ * @param {Object} answers - Answers keyed by item ID
+ * @returns {Promise} - Promise with the graded result
+ */
+export const submitAssessment = async (id, answers) => {
+  try {
+    const response = await axios.post(`${API_URL}/assessments/${id}/submit`, { answers }, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to submit the assessment';
+  }
+};
@@ -0,0 +1,78 @@
+import axios from 'axios';
+import { auth } from '../config/firebase';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Set up axios with Firebase token
+const getAuthHeader = async () => {
+  const user = auth.currentUser;
+  if (user) {
+    const token = await user.getIdToken();
+    return { Authorization: `Bearer ${token}` };
+  }
+  return {};
+};
+
+/**
+ * Get the cohorts the user belongs to or teaches (every cohort for admins)
+ * @returns {Promise} - Promise with the cohorts
+ */
+export const getCohorts = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/cohorts`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data.cohorts;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch cohorts';
+  }
+};
+
+/**
+ * Get a cohort with its assignments, and its members for the instructor
+ * @param {number} id - Cohort ID
+ * @returns {Promise} - Promise with the cohort, assignments and members
+ */
+export const getCohort = async (id) => {
+  try {
+    const response = await axios.get(`${API_URL}/cohorts/${id}`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch cohort';
+  }
+};
+
+/**
+ * Join a cohort with its join code
+ * @param {string} joinCode - Join code given by the instructor
+ * @returns {Promise} - Promise with the message and the cohort ID
+ */
+export const joinCohort = async (joinCode) => {
+  try {
+    const response = await axios.post(`${API_URL}/cohorts/join`, { join_code: joinCode }, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to join the cohort';
+  }
+};
+
+/**
+ * Remove a member from a cohort; students pass their own ID to leave it
+ * @param {number} cohortId - Cohort ID
+ * @param {number} userId - Member's user ID
+ * @returns {Promise} - Promise with success message
+ */
+export const removeCohortMember = async (cohortId, userId) => {
+  try {
+    const response = await axios.delete(`${API_URL}/cohorts/${cohortId}/members/${userId}`, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to remove the member';
+  }
+};
@@ -1,15 +1,28 @@
 import axios from 'axios';
+import { auth } from '../config/firebase';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+// Set up axios with Firebase token
+const getAuthHeader = async () => {
+  const user = auth.currentUser;
+  if (user) {
+    const token = await user.getIdToken();
+    return { Authorization: `Bearer ${token}` };
+  }
+  return {};
+};
+
 /**
- * Execute code in the online compiler
+ * Execute code in the online compiler (signed-in users only)
  * @param {Object} data - Code data (code, language, input)
  * @returns {Promise} - Promise with execution result
  */
 export const executeCode = async (data) => {
   try {
-    const response = await axios.post(`${API_URL}/compiler/execute`, data);
+    const response = await axios.post(`${API_URL}/compiler/execute`, data, {
+      headers: await getAuthHeader()
+    });
     return response.data.data;
   } catch (error) {
     throw error.response?.data?.message || 'Failed to execute code';
@@ -0,0 +1,93 @@
+import axios from 'axios';
+import { auth } from '../config/firebase';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Set up axios with Firebase token
+const getAuthHeader = async () => {
+  const user = auth.currentUser;
+  if (user) {
+    const token = await user.getIdToken();
+    return { Authorization: `Bearer ${token}` };
+  }
+  return {};
+};
+
+/**
+ * Get all contests
+ * @returns {Promise} - Promise with contests and the current user's registrations
+ */
+export const getContests = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/contests`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data.contests;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch contests';
+  }
+};
+
+/**
+ * Get a single contest; problems are empty until it starts
+ * @param {number} id - Contest ID
+ * @returns {Promise} - Promise with the contest and its problems
+ */
+export const getContest = async (id) => {
+  try {
+    const response = await axios.get(`${API_URL}/contests/${id}`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch contest';
+  }
+};
+
+/**
+ * Get the scoreboard of a contest
+ * @param {number} id - Contest ID
+ * @returns {Promise} - Promise with the contest and its scoreboard
+ */
+export const getScoreboard = async (id) => {
+  try {
+    const response = await axios.get(`${API_URL}/contests/${id}/scoreboard`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to fetch scoreboard';
+  }
+};
+
+/**
+ * Register the current user for a contest
+ * @param {number} id - Contest ID
+ * @returns {Promise} - Promise with success message
+ */
+export const registerForContest = async (id) => {
+  try {
+    const response = await axios.post(`${API_URL}/contests/${id}/register`, {}, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to register for the contest';
+  }
+};
+
+/**
+ * Cancel the current user's registration before the contest starts
+ * @param {number} id - Contest ID
+ * @returns {Promise} - Promise with success message
+ */
+export const cancelContestRegistration = async (id) => {
+  try {
+    const response = await axios.delete(`${API_URL}/contests/${id}/register`, {
+      headers: await getAuthHeader()
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to cancel registration';
+  }
+};
@@ -20,7 +20,10 @@ const getAuthHeader = async () => {
  */
 export const getQuestions = async (params = {}) => {
   try {
-    const response = await axios.get(`${API_URL}/questions`, { params });
+    const response = await axios.get(`${API_URL}/questions`, {
+      params,
+      headers: await getAuthHeader()
+    });
     return response.data.data;
   } catch (error) {
     throw error.response?.data?.message || 'Failed to fetch questions';
@@ -34,7 +37,9 @@ export const getQuestions = async (params = {}) => {
  */
 export const getQuestion = async (id) => {
   try {
-    const response = await axios.get(`${API_URL}/questions/${id}`);
+    const response = await axios.get(`${API_URL}/questions/${id}`, {
+      headers: await getAuthHeader()
+    });
     return response.data.data;
   } catch (error) {
     throw error.response?.data?.message || 'Failed to fetch question';
@@ -63,6 +63,39 @@ export const submitQuiz = async (quizId, data) => {
   }
 };
 
+/**
+ * Start an attempt of a quiz, or resume the running one
+ * @param {number} quizId - Quiz ID
+ * @returns {Promise} - Promise with the attempt and its questions
+ */
+export const startQuiz = async (quizId) => {
+  try {
+    const response = await axios.post(`${API_URL}/quizzes/${quizId}/start`, {}, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to start the quiz';
+  }
+};
+
+/**
+ * Autosave the answers of the running quiz attempt
+ * @param {number} quizId - Quiz ID
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {Promise} - Promise with { savedAt, remainingSeconds }
+ */
+export const saveQuizAnswers = async (quizId, answers) => {
+  try {
+    const response = await axios.put(`${API_URL}/quizzes/${quizId}/attempt/answers`, { answers }, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    throw error.response?.data?.message || 'Failed to save answers';
+  }
+};
+
 /**
  * Get user's quiz submissions
  * @returns {Promise} - Promise with submissions data
@@ -36,7 +36,7 @@ export const getUserSubmissions = async (params = {}) => {
  * Submit code for a question
  * @param {number} questionId - Question ID
  * @param {Object} submissionData - Submission data
- * @returns {Promise} - Promise with submission result
+ * @returns {Promise} - Promise with the queued submission ID and judge status
  */
 export const submitCode = async (questionId, submissionData) => {
   try {
@@ -50,6 +50,40 @@ export const submitCode = async (questionId, submissionData) => {
   }
 };
 
+/**
+ * Get grading progress for a queued submission
+ * @param {number} submissionId - Submission ID
+ * @returns {Promise} - Promise with judge status and per-test-case results so far
+ */
+export const getSubmissionStatus = async (submissionId) => {
+  try {
+    const response = await axios.get(`${API_URL}/submissions/${submissionId}/status`, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    console.error('Get submission status error:', error);
+    throw error.response?.data?.message || 'Failed to fetch submission status';
+  }
+};
+
+/**
+ * Stress test a wrong-answer submission against the question's reference solution
+ * @param {number} submissionId - Submission ID
+ * @returns {Promise} - Promise with the number of generated inputs tried and the smallest failing one
+ */
+export const stressTestSubmission = async (submissionId) => {
+  try {
+    const response = await axios.post(`${API_URL}/submissions/${submissionId}/stress-test`, {}, {
+      headers: await getAuthHeader()
+    });
+    return response.data.data;
+  } catch (error) {
+    console.error('Stress test error:', error);
+    throw error.response?.data?.message || 'Failed to run stress test';
+  }
+};
+
 /**
  * Run code without saving (for testing)
  * @param {Object} codeData - Code execution data
@@ -347,6 +347,211 @@ export const getCppSupportComment = (questionType) => {
   }
 };
 
+/**
+ * Documents the C structs the judge declares for node-based problems.
+ */
+export const getCSupportComment = (questionType) => {
+  switch (questionType) {
+    case 'linked_list':
+      return `/**
+ * Definition for singly-linked list.
+ * struct ListNode {
+ *     int val;
+ *     struct ListNode *next;
+ * };
+ */`;
+    case 'binary_tree':
+      return `/**
+ * Definition for a binary tree node.
+ * struct TreeNode {
+ *     int val;
+ *     struct TreeNode *left;
+ *     struct TreeNode *right;
+ * };
+ */`;
+    case 'graph':
+      return `/**
+ * Definition for a graph node.
+ * struct GraphNode {
+ *     int val;
+ *     int numNeighbors;
+ *     struct GraphNode** neighbors;
+ * };
+ */`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Documents the C# node classes the judge declares for node-based problems.
+ */
+export const getCSharpSupportComment = (questionType) => {
+  switch (questionType) {
+    case 'linked_list':
+      return `/**
+ * Definition for singly-linked list.
+ * public class ListNode {
+ *     public int val;
+ *     public ListNode next;
+ *     public ListNode(int val=0, ListNode next=null) {
+ *         this.val = val;
+ *         this.next = next;
+ *     }
+ * }
+ */`;
+    case 'binary_tree':
+      return `/**
+ * Definition for a binary tree node.
+ * public class TreeNode {
+ *     public int val;
+ *     public TreeNode left;
+ *     public TreeNode right;
+ *     public TreeNode(int val=0, TreeNode left=null, TreeNode right=null) {
+ *         this.val = val;
+ *         this.left = left;
+ *         this.right = right;
+ *     }
+ * }
+ */`;
+    case 'graph':
+      return `/**
+ * Definition for a graph node.
+ * public class GraphNode {
+ *     public int val;
+ *     public IList<GraphNode> neighbors;
+ *     public GraphNode(int val=0) {
+ *         this.val = val;
+ *         this.neighbors = new List<GraphNode>();
+ *     }
+ * }
+ */`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Documents the Go structs the judge declares for node-based problems.
+ */
+export const getGoSupportComment = (questionType) => {
+  switch (questionType) {
+    case 'linked_list':
+      return `/**
+ * Definition for singly-linked list.
+ * type ListNode struct {
+ *     Val int
+ *     Next *ListNode
+ * }
+ */`;
+    case 'binary_tree':
+      return `/**
+ * Definition for a binary tree node.
+ * type TreeNode struct {
+ *     Val int
+ *     Left *TreeNode
+ *     Right *TreeNode
+ * }
+ */`;
+    case 'graph':
+      return `/**
+ * Definition for a graph node.
+ * type GraphNode struct {
+ *     Val int
+ *     Neighbors []*GraphNode
+ * }
+ */`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Documents the Ruby node classes the judge declares for node-based problems.
+ */
+export const getRubySupportComment = (questionType) => {
+  switch (questionType) {
+    case 'linked_list':
+      return `# Definition for singly-linked list.
+# class ListNode
+#     attr_accessor :val, :next
+#     def initialize(val = 0, _next = nil)
+#         @val = val
+#         @next = _next
+#     end
+# end`;
+    case 'binary_tree':
+      return `# Definition for a binary tree node.
+# class TreeNode
+#     attr_accessor :val, :left, :right
+#     def initialize(val = 0, left = nil, right = nil)
+#         @val = val
+#         @left = left
+#         @right = right
+#     end
+# end`;
+    case 'graph':
+      return `# Definition for a graph node.
+# class GraphNode
+#     attr_accessor :val, :neighbors
+#     def initialize(val = 0, neighbors = [])
+#         @val = val
+#         @neighbors = neighbors
+#     end
+# end`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Documents the PHP node classes the judge declares for node-based problems.
+ */
+export const getPhpSupportComment = (questionType) => {
+  switch (questionType) {
+    case 'linked_list':
+      return `/**
+ * Definition for a singly-linked list.
+ * class ListNode {
+ *     public $val = 0;
+ *     public $next = null;
+ *     function __construct($val = 0, $next = null) {
+ *         $this->val = $val;
+ *         $this->next = $next;
+ *     }
+ * }
+ */`;
+    case 'binary_tree':
+      return `/**
+ * Definition for a binary tree node.
+ * class TreeNode {
+ *     public $val = null;
+ *     public $left = null;
+ *     public $right = null;
+ *     function __construct($val = 0, $left = null, $right = null) {
+ *         $this->val = $val;
+ *         $this->left = $left;
+ *         $this->right = $right;
+ *     }
+ * }
+ */`;
+    case 'graph':
+      return `/**
+ * Definition for a graph node.
+ * class GraphNode {
+ *     public $val = 0;
+ *     public $neighbors = [];
+ *     function __construct($val = 0, $neighbors = []) {
+ *         $this->val = $val;
+ *         $this->neighbors = $neighbors;
+ *     }
+ * }
+ */`;
+    default:
+      return '';
+  }
+};
+
 /**
  * Reconciles persisted parameter schemas with inferred types to produce a
  * stable shape for template generation across languages.
@@ -393,6 +598,7 @@ export const mapJsType = (type) => {
     case 'long[]':
     case 'double[]':
     case 'float[]':
+    case 'List<Integer>':
       return 'number[]';
     case 'boolean':
       return 'boolean';
@@ -405,7 +611,9 @@ export const mapJsType = (type) => {
     case 'String':
       return 'string';
     case 'String[]':
+    case 'List<String>':
       return 'string[]';
+    case 'int[][]':
     case 'List<List<Integer>>':
       return 'number[][]';
     case 'ListNode':
@@ -440,15 +648,18 @@ export const mapPythonType = (type) => {
       return { hint: 'str' };
     case 'int[]':
     case 'long[]':
+    case 'List<Integer>':
       return { hint: 'List[int]', imports: ['List'] };
     case 'double[]':
     case 'float[]':
       return { hint: 'List[float]', imports: ['List'] };
     case 'String[]':
     case 'char[]':
+    case 'List<String>':
       return { hint: 'List[str]', imports: ['List'] };
     case 'boolean[]':
       return { hint: 'List[bool]', imports: ['List'] };
+    case 'int[][]':
     case 'List<List<Integer>>':
       return { hint: 'List[List[int]]', imports: ['List'] };
     case 'ListNode':
@@ -491,6 +702,7 @@ export const mapCppType = (type, { isReturn = false } = {}) => {
     case 'void':
       return 'void';
     case 'int[]':
+    case 'List<Integer>':
       return isReturn ? 'vector<int>' : 'vector<int>&';
     case 'long[]':
       return isReturn ? 'vector<long long>' : 'vector<long long>&';
@@ -499,11 +711,13 @@ export const mapCppType = (type, { isReturn = false } = {}) => {
     case 'float[]':
       return isReturn ? 'vector<double>' : 'vector<double>&';
     case 'String[]':
+    case 'List<String>':
       return isReturn ? 'vector<string>' : 'vector<string>&';
     case 'char[]':
       return isReturn ? 'string' : 'string&';
     case 'boolean[]':
       return isReturn ? 'vector<bool>' : 'vector<bool>&';
+    case 'int[][]':
     case 'List<List<Integer>>':
       return isReturn ? 'vector<vector<int>>' : 'vector<vector<int>>&';
     case 'ListNode':
@@ -517,6 +731,176 @@ export const mapCppType = (type, { isReturn = false } = {}) => {
   }
 };
 
+const BOXED_TYPES = {
+  Integer: 'int',
+  Long: 'long',
+  Double: 'double',
+  Float: 'float',
+  Boolean: 'boolean',
+  Character: 'char'
+};
+
+/**
+ * Returns the element type of `T[]` and `List<T>` types (unboxed), or null for
+ * anything else.
+ */
+export const getElementType = (type) => {
+  const base = type?.trim() || '';
+  const element = base.endsWith('[]')
+    ? base.slice(0, -2)
+    : (base.match(/^List<(.+)>$/) || [])[1];
+  return element ? BOXED_TYPES[element] || element : null;
+};
+
+/**
+ * Converts canonical types into Go types; slices nest for multi-dimensional
+ * arrays and nodes are passed by pointer.
+ */
+export const mapGoType = (type) => {
+  const base = type?.trim();
+  const element = getElementType(base);
+  if (element) {
+    return `[]${mapGoType(element)}`;
+  }
+  switch (base) {
+    case 'int':
+      return 'int';
+    case 'long':
+      return 'int64';
+    case 'double':
+    case 'float':
+      return 'float64';
+    case 'boolean':
+      return 'bool';
+    case 'char':
+      return 'byte';
+    case 'String':
+      return 'string';
+    case 'ListNode':
+    case 'TreeNode':
+    case 'GraphNode':
+      return `*${base}`;
+    case 'void':
+      return '';
+    default:
+      return 'interface{}';
+  }
+};
+
+/**
+ * Converts canonical types into C# types, keeping lists as IList like the
+ * LeetCode signatures students are used to.
+ */
+export const mapCSharpType = (type) => {
+  const base = type?.trim();
+  const element = getElementType(base);
+  if (element) {
+    return base.endsWith('[]') ? `${mapCSharpType(element)}[]` : `IList<${mapCSharpType(element)}>`;
+  }
+  switch (base) {
+    case 'int':
+    case 'long':
+    case 'double':
+    case 'char':
+    case 'void':
+      return base;
+    case 'float':
+      return 'double';
+    case 'boolean':
+      return 'bool';
+    case 'String':
+      return 'string';
+    case 'ListNode':
+    case 'TreeNode':
+    case 'GraphNode':
+      return base;
+    default:
+      return 'object';
+  }
+};
+
+const C_SCALAR_TYPES = {
+  int: 'int',
+  long: 'long long',
+  double: 'double',
+  float: 'double',
+  boolean: 'bool',
+  char: 'char',
+  String: 'char*'
+};
+
+/**
+ * Expands a parameter into its C declarations: arrays are passed as a pointer
+ * followed by their size (and column sizes for 2D arrays).
+ */
+export const mapCParameter = (name, type) => {
+  const base = type?.trim();
+  const element = getElementType(base);
+  const inner = element ? getElementType(element) : null;
+  if (inner && C_SCALAR_TYPES[inner]) {
+    return `${C_SCALAR_TYPES[inner]}** ${name}, int ${name}Size, int* ${name}ColSize`;
+  }
+  if (element && C_SCALAR_TYPES[element]) {
+    return `${C_SCALAR_TYPES[element]}* ${name}, int ${name}Size`;
+  }
+  if (['ListNode', 'TreeNode', 'GraphNode'].includes(base)) {
+    return `struct ${base}* ${name}`;
+  }
+  return `${C_SCALAR_TYPES[base] || 'int'} ${name}`;
+};
+
+/**
+ * C return type plus the out parameters the judge passes for array results.
+ */
+export const mapCReturnType = (type) => {
+  const base = type?.trim();
+  const element = getElementType(base);
+  const inner = element ? getElementType(element) : null;
+  if (inner && C_SCALAR_TYPES[inner]) {
+    return { type: `${C_SCALAR_TYPES[inner]}**`, outParams: ['int* returnSize', 'int** returnColumnSizes'] };
+  }
+  if (element && C_SCALAR_TYPES[element]) {
+    return { type: `${C_SCALAR_TYPES[element]}*`, outParams: ['int* returnSize'] };
+  }
+  if (['ListNode', 'TreeNode', 'GraphNode'].includes(base)) {
+    return { type: `struct ${base}*`, outParams: [] };
+  }
+  if (base === 'void') {
+    return { type: 'void', outParams: [] };
+  }
+  return { type: C_SCALAR_TYPES[base] || 'int', outParams: [] };
+};
+
+/**
+ * Type names used in the doc comments of Ruby and PHP templates.
+ */
+export const mapDocType = (type) => {
+  const base = type?.trim();
+  const element = getElementType(base);
+  if (element) {
+    return `${mapDocType(element)}[]`;
+  }
+  switch (base) {
+    case 'int':
+    case 'long':
+      return 'Integer';
+    case 'double':
+    case 'float':
+      return 'Float';
+    case 'boolean':
+      return 'Boolean';
+    case 'char':
+    case 'String':
+      return 'String';
+    case 'ListNode':
+    case 'TreeNode':
+    case 'GraphNode':
+      return base;
+    default:
+      return 'Object';
+  }
+};
+
 /**
  * Assembles the Java starter template, merging helper structures, inferred
  * types, and saved parameter metadata into a single class definition.
@@ -605,11 +989,322 @@ public:
 `;
 };
 
+/**
+ * Generates the C starter function; array parameters and results follow the
+ * pointer-plus-size convention the judge calls with.
+ */
+export const buildCTemplate = (functionName, context) => {
+  const support = getCSupportComment(context.questionType);
+  const returnInfo = mapCReturnType(context.normalized.returnType);
+  const params = [
+    ...context.normalized.params.map(param => mapCParameter(param.name, param.type)),
+    ...returnInfo.outParams
+  ].join(', ');
+  const note = returnInfo.outParams.length
+    ? '/**\n * Note: The returned array must be malloced, assume caller calls free().\n */\n'
+    : '';
+  const supportBlock = support ? `${support}\n` : '';
+  return `${supportBlock}${note}${returnInfo.type} ${functionName}(${params}) {
+    // Write your solution here
+    
+}`;
+};
+
+/**
+ * Generates the C# Solution class with a PascalCase method, as C# naming
+ * conventions expect.
+ */
+export const buildCSharpTemplate = (functionName, context) => {
+  const support = getCSharpSupportComment(context.questionType);
+  const params = context.normalized.params
+    .map(param => `${mapCSharpType(param.type)} ${param.name}`)
+    .join(', ');
+  const methodName = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+  const supportBlock = support ? `${support}\n` : '';
+  return `using System;
+using System.Collections.Generic;
+
+${supportBlock}public class Solution {
+    public ${mapCSharpType(context.normalized.returnType)} ${methodName}(${params}) {
+        // Write your solution here
+        
+    }
+}`;
+};
+
+/**
+ * Generates the Go starter function.
+ */
+export const buildGoTemplate = (functionName, context) => {
+  const support = getGoSupportComment(context.questionType);
+  const params = context.normalized.params
+    .map(param => `${param.name} ${mapGoType(param.type)}`)
+    .join(', ');
+  const returnType = mapGoType(context.normalized.returnType);
+  const supportBlock = support ? `${support}\n` : '';
+  return `${supportBlock}func ${functionName}(${params})${returnType ? ` ${returnType}` : ''} {
+    // Write your solution here
+    
+}`;
+};
+
+/**
+ * Generates the Ruby starter method with snake_case naming and YARD-style
+ * parameter docs.
+ */
+export const buildRubyTemplate = (functionName, context) => {
+  const support = getRubySupportComment(context.questionType);
+  const toSnakeCase = (name) => name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+  const docs = [
+    ...context.normalized.params.map(param => `# @param {${mapDocType(param.type)}} ${toSnakeCase(param.name)}`),
+    context.normalized.returnType === 'void'
+      ? '# @return {Void} Do not return anything, modify the first argument in-place instead.'
+      : `# @return {${mapDocType(context.normalized.returnType)}}`
+  ].join('\n');
+  const params = context.normalized.params.map(param => toSnakeCase(param.name)).join(', ');
+  const supportBlock = support ? `${support}\n` : '';
+  return `${supportBlock}${docs}
+def ${toSnakeCase(functionName)}(${params})
+    # Write your solution here
+    
+end`;
+};
+
+/**
+ * Generates the PHP Solution class. In-place (void) problems take the first
+ * argument by reference so the judge can read it back.
+ */
+export const buildPhpTemplate = (functionName, context) => {
+  const support = getPhpSupportComment(context.questionType);
+  const returnsVoid = context.normalized.returnType === 'void';
+  const docs = [
+    ...context.normalized.params.map(param => `     * @param ${mapDocType(param.type)} $${param.name}`),
+    `     * @return ${returnsVoid ? 'NULL' : mapDocType(context.normalized.returnType)}`
+  ].join('\n');
+  const params = context.normalized.params
+    .map((param, idx) => `${returnsVoid && idx === 0 ? '&' : ''}$${param.name}`)
+    .join(', ');
+  const supportBlock = support ? `${support}\n` : '';
+  return `<?php
+
+${supportBlock}class Solution {
+
+    /**
+${docs}
+     */
+    function ${functionName}(${params}) {
+        // Write your solution here
+        
+    }
+}`;
+};
+
+/**
+ * Starter programs for stdio problems, which read the test input from stdin
+ * and print the answer to stdout.
+ */
+const STDIO_TEMPLATES = {
+  javascript: `const lines = require('fs').readFileSync(0, 'utf8').split('\\n');
+
+// Read the input from lines and print the answer
+console.log();`,
+  python: `import sys
+
+
+def main():
+    data = sys.stdin.read().split()
+    # Read the input from data and print the answer
+    print()
+
+
+if __name__ == "__main__":
+    main()`,
+  java: `import java.util.*;
+import java.io.*;
+
+public class Main {
+    public static void main(String[] args) throws IOException {
+        BufferedReader reader = new BufferedReader(new InputStreamReader(System.in));
+        // Read the input and print the answer
+        System.out.println();
+    }
+}`,
+  cpp: `#include <bits/stdc++.h>
+using namespace std;
+
+int main() {
+    ios::sync_with_stdio(false);
+    cin.tie(nullptr);
+    // Read the input and print the answer
+
+    return 0;
+}`,
+  c: `#include <stdio.h>
+
+int main(void) {
+    // Read the input with scanf and print the answer with printf
+
+    return 0;
+}`,
+  csharp: `using System;
+using System.Linq;
+
+public class Program {
+    public static void Main() {
+        // Read the input with Console.ReadLine() and print the answer
+        Console.WriteLine();
+    }
+}`,
+  go: `package main
+
+import (
+    "bufio"
+    "fmt"
+    "os"
+)
+
+func main() {
+    reader := bufio.NewReader(os.Stdin)
+    writer := bufio.NewWriter(os.Stdout)
+    defer writer.Flush()
+    // Read the input with fmt.Fscan(reader, ...) and print the answer
+    _ = reader
+    fmt.Fprintln(writer)
+}`,
+  ruby: `data = STDIN.read.split
+# Read the input from data and print the answer
+puts`,
+  php: `<?php
+
+$lines = explode("\\n", trim(stream_get_contents(STDIN)));
+// Read the input from $lines and print the answer
+echo PHP_EOL;`
+};
+
+/**
+ * Starter programs for interactive problems, which exchange lines with the
+ * judge's interactor and must flush stdout after every query.
+ */
+const INTERACTIVE_TEMPLATES = {
+  javascript: `const readline = require('readline');
+
+const rl = readline.createInterface({ input: process.stdin });
+const responses = rl[Symbol.asyncIterator]();
+
+async function main() {
+  // Print a query, then read the interactor's reply
+  console.log('query');
+  const { value: reply } = await responses.next();
+  rl.close();
+}
+
+main();`,
+  python: `def main():
+    # Print a query (flushing it), then read the interactor's reply
+    print("query", flush=True)
+    reply = input()
+
+
+if __name__ == "__main__":
+    main()`,
+  java: `import java.util.*;
+import java.io.*;
+
+public class Main {
+    public static void main(String[] args) throws IOException {
+        BufferedReader reader = new BufferedReader(new InputStreamReader(System.in));
+        // Print a query (flushing it), then read the interactor's reply
+        System.out.println("query");
+        System.out.flush();
+        String reply = reader.readLine();
+    }
+}`,
+  cpp: `#include <bits/stdc++.h>
+using namespace std;
+
+int main() {
+    // Print a query (endl flushes it), then read the interactor's reply
+    cout << "query" << endl;
+    string reply;
+    cin >> reply;
+
+    return 0;
+}`,
+  c: `#include <stdio.h>
+
+int main(void) {
+    char reply[64];
+    // Print a query and flush it, then read the interactor's reply
+    printf("query\\n");
+    fflush(stdout);
+    scanf("%63s", reply);
+
+    return 0;
+}`,
+  csharp: `using System;
+
+public class Program {
+    public static void Main() {
+        // Print a query (flushing it), then read the interactor's reply
+        Console.WriteLine("query");
+        Console.Out.Flush();
+        string reply = Console.ReadLine();
+    }
+}`,
+  go: `package main
+
+import (
+    "bufio"
+    "fmt"
+    "os"
+)
+
+func main() {
+    reader := bufio.NewReader(os.Stdin)
+    var reply string
+    // Print a query (fmt.Println writes it unbuffered), then read the interactor's reply
+    fmt.Println("query")
+    fmt.Fscan(reader, &reply)
+}`,
+  ruby: `STDOUT.sync = true
+# Print a query, then read the interactor's reply
+puts "query"
+reply = gets`,
+  php: `<?php
+
+// Print a query and flush it, then read the interactor's reply
+echo "query" . PHP_EOL;
+fflush(STDOUT);
+$reply = trim(fgets(STDIN));`
+};
+
+/**
+ * Returns the starter program for a stdio problem in the given language.
+ */
+export const getStdioTemplate = (language) => STDIO_TEMPLATES[language] || '// Read from stdin and write the answer to stdout';
+
+/**
+ * Returns the starter program for an interactive problem in the given language.
+ */
+export const getInteractiveTemplate = (language) => INTERACTIVE_TEMPLATES[language] || '// Print queries to stdout, flush, and read the replies from stdin';
+
 /**
  * Central orchestrator that selects the appropriate language template and
  * consolidates function naming, typing details, and helper code.
  */
 export const getCodeTemplate = (problem, language, testCases = []) => {
+  // Starter code set by an admin (or imported with the problem) wins over generated templates
+  const starterCode = problem?.starter_code?.[language];
+  if (starterCode) {
+    return starterCode;
+  }
+  if (problem?.io_mode === 'stdio') {
+    return getStdioTemplate(language);
+  }
+  if (problem?.io_mode === 'interactive') {
+    return getInteractiveTemplate(language);
+  }
+
   const problemTitle = problem?.title || 'Solution';
   const storedFunctionName = typeof problem?.function_name === 'string' ? problem.function_name.trim() : '';
   const functionName = storedFunctionName || sanitizeFunctionName(problemTitle);
@@ -726,6 +1421,16 @@ export const getCodeTemplate = (problem, language, testCases = []) => {
       return buildJavaTemplate(functionName, javaTypeInfo, problem?.question_type, parameterSchema);
     case 'cpp':
       return buildCppTemplate(functionName, templateContext);
+    case 'c':
+      return buildCTemplate(functionName, templateContext);
+    case 'csharp':
+      return buildCSharpTemplate(functionName, templateContext);
+    case 'go':
+      return buildGoTemplate(functionName, templateContext);
+    case 'ruby':
+      return buildRubyTemplate(functionName, templateContext);
+    case 'php':
+      return buildPhpTemplate(functionName, templateContext);
     case 'javascript':
     default:
       return buildJavascriptTemplate(functionName, templateContext);
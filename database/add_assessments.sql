@@ -0,0 +1,60 @@
+CREATE TABLE IF NOT EXISTS assessments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  duration INT NOT NULL DEFAULT 60,
+  opens_at DATETIME NULL,
+  closes_at DATETIME NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS assessment_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  assessment_id INT NOT NULL,
+  item_type ENUM('quiz', 'coding') NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  points INT NOT NULL DEFAULT 1,
+  question_id INT NULL,
+  question TEXT NULL,
+  question_type VARCHAR(32) NULL,
+  options JSON NULL,
+  correct_option INT NULL,
+  answer JSON NULL,
+  difficulty VARCHAR(50) NULL,
+  FOREIGN KEY (assessment_id) REFERENCES assessments(id) ON DELETE CASCADE,
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS assessment_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  assessment_id INT NOT NULL,
+  user_id INT NOT NULL,
+  items JSON NOT NULL,
+  status ENUM('in_progress', 'submitted') NOT NULL DEFAULT 'in_progress',
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deadline_at TIMESTAMP NULL,
+  submitted_at TIMESTAMP NULL,
+  answers JSON NULL,
+  auto_submitted TINYINT(1) NOT NULL DEFAULT 0,
+  score DECIMAL(8,2) NULL,
+  max_score INT NOT NULL DEFAULT 0,
+  results JSON NULL,
+  UNIQUE KEY uq_assessment_user (assessment_id, user_id),
+  FOREIGN KEY (assessment_id) REFERENCES assessments(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS user_assessment_progress (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  assessment_id INT NOT NULL,
+  status ENUM('in_progress', 'completed') NOT NULL DEFAULT 'in_progress',
+  score DECIMAL(8,2) DEFAULT 0,
+  max_score INT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_user_assessment (user_id, assessment_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (assessment_id) REFERENCES assessments(id) ON DELETE CASCADE
+);
@@ -0,0 +1,47 @@
+ALTER TABLE users MODIFY COLUMN role ENUM('student', 'instructor', 'admin');
+
+CREATE TABLE IF NOT EXISTS cohorts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  join_code VARCHAR(16) NOT NULL UNIQUE,
+  instructor_id INT NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (instructor_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS cohort_members (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cohort_id INT NOT NULL,
+  user_id INT NOT NULL,
+  joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_cohort_user (cohort_id, user_id),
+  FOREIGN KEY (cohort_id) REFERENCES cohorts(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS cohort_assignments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cohort_id INT NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  assignment_type ENUM('quiz', 'problem_set') NOT NULL,
+  quiz_id INT NULL,
+  due_at DATETIME NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (cohort_id) REFERENCES cohorts(id) ON DELETE CASCADE,
+  FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS cohort_assignment_questions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  assignment_id INT NOT NULL,
+  question_id INT NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  UNIQUE KEY uq_assignment_question (assignment_id, question_id),
+  FOREIGN KEY (assignment_id) REFERENCES cohort_assignments(id) ON DELETE CASCADE,
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
@@ -0,0 +1,36 @@
+CREATE TABLE IF NOT EXISTS contests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  start_time DATETIME NOT NULL,
+  end_time DATETIME NOT NULL,
+  scoring_type ENUM('icpc', 'ioi') NOT NULL DEFAULT 'icpc',
+  penalty_minutes INT NOT NULL DEFAULT 20,
+  freeze_minutes INT NULL,
+  scoreboard_unfrozen BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS contest_problems (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  contest_id INT NOT NULL,
+  question_id INT NOT NULL,
+  label VARCHAR(10) NOT NULL,
+  points INT NOT NULL DEFAULT 100,
+  position INT NOT NULL DEFAULT 0,
+  UNIQUE KEY uq_contest_question (contest_id, question_id),
+  FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS contest_registrations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  contest_id INT NOT NULL,
+  user_id INT NOT NULL,
+  registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_contest_user (contest_id, user_id),
+  FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,15 @@
+CREATE TABLE IF NOT EXISTS plagiarism_reports (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  question_id INT NOT NULL,
+  language VARCHAR(50) NULL,
+  threshold INT NOT NULL DEFAULT 70,
+  status ENUM('pending', 'running', 'finished', 'failed') NOT NULL DEFAULT 'pending',
+  submission_count INT NULL,
+  result JSON NULL,
+  error VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP NULL,
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,5 @@
+CREATE TABLE IF NOT EXISTS platform_settings (
+  setting_key VARCHAR(100) PRIMARY KEY,
+  setting_value JSON NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
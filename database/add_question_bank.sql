@@ -0,0 +1,41 @@
+CREATE TABLE IF NOT EXISTS question_bank (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  topic VARCHAR(100) NOT NULL,
+  question TEXT NOT NULL,
+  question_type VARCHAR(32) NOT NULL DEFAULT 'single',
+  options JSON,
+  correct_option INT NULL,
+  answer JSON NULL,
+  difficulty VARCHAR(50),
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_question_bank_topic (topic, difficulty),
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS quiz_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  quiz_id INT NOT NULL,
+  topic VARCHAR(100) NULL,
+  difficulty VARCHAR(50) NULL,
+  question_count INT NOT NULL,
+  FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  quiz_id INT NOT NULL,
+  user_id INT NOT NULL,
+  questions JSON NOT NULL,
+  status ENUM('in_progress', 'submitted') NOT NULL DEFAULT 'in_progress',
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  submitted_at TIMESTAMP NULL,
+  deadline_at TIMESTAMP NULL,
+  answers JSON NULL,
+  saved_at TIMESTAMP NULL,
+  auto_submitted TINYINT(1) NOT NULL DEFAULT 0,
+  INDEX idx_quiz_attempts_user (quiz_id, user_id, status),
+  FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -12,7 +12,7 @@ CREATE TABLE users (
   name VARCHAR(100),
   email VARCHAR(100) UNIQUE,
   password TEXT,
-  role ENUM('student', 'admin'),
+  role ENUM('student', 'instructor', 'admin'),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -27,7 +27,24 @@ CREATE TABLE questions (
   language_supported JSON,
   tags JSON,
   question_type ENUM('array', 'string', 'primitives', 'math', 'matrix', 'linked_list', 'binary_tree', 'graph', 'custom_class') NULL,
+  io_mode ENUM('function', 'stdio', 'interactive') NOT NULL DEFAULT 'function',
   parameter_schema JSON,
+  time_limit_ms INT NULL,
+  memory_limit_kb INT NULL,
+  limit_multipliers JSON NULL,
+  checker_type VARCHAR(32) NULL,
+  checker_config JSON NULL,
+  special_judge_language VARCHAR(50) NULL,
+  special_judge_code MEDIUMTEXT NULL,
+  interactor_language VARCHAR(50) NULL,
+  interactor_code MEDIUMTEXT NULL,
+  interactor_query_limit INT NULL,
+  reference_language VARCHAR(50) NULL,
+  reference_code MEDIUMTEXT NULL,
+  generator_language VARCHAR(50) NULL,
+  generator_code MEDIUMTEXT NULL,
+  starter_code JSON NULL,
+  version INT NOT NULL DEFAULT 1,
   created_by INT,
   FOREIGN KEY (created_by) REFERENCES users(id)
 );
@@ -36,9 +53,11 @@ CREATE TABLE questions (
 CREATE TABLE test_cases (
   id INT AUTO_INCREMENT PRIMARY KEY,
   question_id INT,
-  input TEXT,
-  expected_output TEXT,
+  input MEDIUMTEXT,
+  expected_output MEDIUMTEXT,
   hidden BOOLEAN DEFAULT FALSE,
+  subtask INT NULL,
+  points INT NULL,
   FOREIGN KEY (question_id) REFERENCES questions(id)
 );
 
@@ -49,9 +68,19 @@ CREATE TABLE submissions (
   question_id INT,
   code TEXT,
   language VARCHAR(50),
+  runtime VARCHAR(64) NULL,
   passed BOOLEAN,
+  verdict ENUM('AC', 'WA', 'TLE', 'MLE', 'RE', 'CE', 'IE') NULL,
+  judge_status ENUM('pending', 'running', 'finished', 'failed') NOT NULL DEFAULT 'finished',
+  total_test_cases INT NULL,
+  score DECIMAL(5,2) NULL,
   test_case_results JSON,
+  question_version INT NULL,
+  contest_id INT NULL,
+  assessment_attempt_id INT NULL,
   submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_submissions_contest (contest_id),
+  INDEX idx_submissions_assessment (assessment_attempt_id),
   FOREIGN KEY (user_id) REFERENCES users(id),
   FOREIGN KEY (question_id) REFERENCES questions(id)
 );
@@ -63,6 +92,12 @@ CREATE TABLE quizzes (
   description TEXT,
   category VARCHAR(100),
   scheduled_time DATETIME,
+  closes_at DATETIME NULL,
+  max_attempts INT NULL,
+  grading_policy ENUM('best', 'last', 'average') NOT NULL DEFAULT 'best',
+  reveal_answers ENUM('immediately', 'after_close', 'never') NOT NULL DEFAULT 'immediately',
+  shuffle_questions TINYINT(1) NOT NULL DEFAULT 0,
+  shuffle_options TINYINT(1) NOT NULL DEFAULT 0,
   created_by INT,
   FOREIGN KEY (created_by) REFERENCES users(id)
 );
@@ -72,8 +107,10 @@ CREATE TABLE quiz_questions (
   id INT AUTO_INCREMENT PRIMARY KEY,
   quiz_id INT,
   question TEXT,
+  question_type VARCHAR(32) NOT NULL DEFAULT 'single',
   options JSON,
   correct_option INT,
+  answer JSON NULL,
   difficulty VARCHAR(50),
   FOREIGN KEY (quiz_id) REFERENCES quizzes(id)
 );
@@ -83,7 +120,9 @@ CREATE TABLE quiz_submissions (
   id INT AUTO_INCREMENT PRIMARY KEY,
   user_id INT,
   quiz_id INT,
-  score INT,
+  attempt_id INT NULL,
+  score DECIMAL(7,2),
+  total_questions INT NULL,
   answers JSON,
   submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (user_id) REFERENCES users(id),
@@ -96,15 +135,263 @@ CREATE TABLE user_quiz_progress (
   user_id INT NOT NULL,
   quiz_id INT NOT NULL,
   status ENUM('not_started', 'in_progress', 'completed') DEFAULT 'not_started',
-  score INT DEFAULT 0,
+  score DECIMAL(7,2) DEFAULT 0,
   total_questions INT DEFAULT 0,
   attempts_count INT DEFAULT 0,
-  best_score INT DEFAULT 0,
+  best_score DECIMAL(7,2) DEFAULT 0,
   UNIQUE KEY uq_user_quiz (user_id, quiz_id),
   FOREIGN KEY (user_id) REFERENCES users(id),
   FOREIGN KEY (quiz_id) REFERENCES quizzes(id)
 );
 
+-- Platform-wide settings (runtime catalogs and the admin's language runtime mapping)
+CREATE TABLE platform_settings (
+  setting_key VARCHAR(100) PRIMARY KEY,
+  setting_value JSON NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Snapshots of every version of a question and its test cases
+CREATE TABLE question_versions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  question_id INT NOT NULL,
+  version INT NOT NULL,
+  snapshot JSON NOT NULL,
+  summary VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_question_version (question_id, version),
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- User Question Progress
+CREATE TABLE user_question_progress (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  question_id INT NOT NULL,
+  status ENUM('attempted', 'solved') DEFAULT 'attempted',
+  attempts_count INT DEFAULT 0,
+  UNIQUE KEY unique_user_question (user_id, question_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+-- Timed coding contests over questions
+CREATE TABLE contests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  start_time DATETIME NOT NULL,
+  end_time DATETIME NOT NULL,
+  scoring_type ENUM('icpc', 'ioi') NOT NULL DEFAULT 'icpc',
+  penalty_minutes INT NOT NULL DEFAULT 20,
+  freeze_minutes INT NULL,
+  scoreboard_unfrozen BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Problems of a contest with their label and point value
+CREATE TABLE contest_problems (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  contest_id INT NOT NULL,
+  question_id INT NOT NULL,
+  label VARCHAR(10) NOT NULL,
+  points INT NOT NULL DEFAULT 100,
+  position INT NOT NULL DEFAULT 0,
+  UNIQUE KEY uq_contest_question (contest_id, question_id),
+  FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+-- Contestants registered for a contest
+CREATE TABLE contest_registrations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  contest_id INT NOT NULL,
+  user_id INT NOT NULL,
+  registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_contest_user (contest_id, user_id),
+  FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Code similarity reports over a question's accepted solutions
+CREATE TABLE plagiarism_reports (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  question_id INT NOT NULL,
+  language VARCHAR(50) NULL,
+  threshold INT NOT NULL DEFAULT 70,
+  status ENUM('pending', 'running', 'finished', 'failed') NOT NULL DEFAULT 'pending',
+  submission_count INT NULL,
+  result JSON NULL,
+  error VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP NULL,
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Reusable quiz questions, drawn into quizzes by topic and difficulty
+CREATE TABLE question_bank (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  topic VARCHAR(100) NOT NULL,
+  question TEXT NOT NULL,
+  question_type VARCHAR(32) NOT NULL DEFAULT 'single',
+  options JSON,
+  correct_option INT NULL,
+  answer JSON NULL,
+  difficulty VARCHAR(50),
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_question_bank_topic (topic, difficulty),
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Question bank draws of a quiz: question_count questions of a topic and difficulty (NULL matches any)
+CREATE TABLE quiz_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  quiz_id INT NOT NULL,
+  topic VARCHAR(100) NULL,
+  difficulty VARCHAR(50) NULL,
+  question_count INT NOT NULL,
+  FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE
+);
+
+-- Questions served to a student for one quiz attempt, with their answer keys
+CREATE TABLE quiz_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  quiz_id INT NOT NULL,
+  user_id INT NOT NULL,
+  questions JSON NOT NULL,
+  status ENUM('in_progress', 'submitted') NOT NULL DEFAULT 'in_progress',
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  submitted_at TIMESTAMP NULL,
+  deadline_at TIMESTAMP NULL,
+  answers JSON NULL,
+  saved_at TIMESTAMP NULL,
+  auto_submitted TINYINT(1) NOT NULL DEFAULT 0,
+  INDEX idx_quiz_attempts_user (quiz_id, user_id, status),
+  FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Timed tests mixing quiz questions and coding problems
+CREATE TABLE assessments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  duration INT NOT NULL DEFAULT 60,
+  opens_at DATETIME NULL,
+  closes_at DATETIME NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Items of an assessment: an inline quiz question or a coding problem, each worth some points
+CREATE TABLE assessment_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  assessment_id INT NOT NULL,
+  item_type ENUM('quiz', 'coding') NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  points INT NOT NULL DEFAULT 1,
+  question_id INT NULL,
+  question TEXT NULL,
+  question_type VARCHAR(32) NULL,
+  options JSON NULL,
+  correct_option INT NULL,
+  answer JSON NULL,
+  difficulty VARCHAR(50) NULL,
+  FOREIGN KEY (assessment_id) REFERENCES assessments(id) ON DELETE CASCADE,
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+-- One attempt per student, with the items served, autosaved answers and the graded result
+CREATE TABLE assessment_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  assessment_id INT NOT NULL,
+  user_id INT NOT NULL,
+  items JSON NOT NULL,
+  status ENUM('in_progress', 'submitted') NOT NULL DEFAULT 'in_progress',
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deadline_at TIMESTAMP NULL,
+  submitted_at TIMESTAMP NULL,
+  answers JSON NULL,
+  auto_submitted TINYINT(1) NOT NULL DEFAULT 0,
+  score DECIMAL(8,2) NULL,
+  max_score INT NOT NULL DEFAULT 0,
+  results JSON NULL,
+  UNIQUE KEY uq_assessment_user (assessment_id, user_id),
+  FOREIGN KEY (assessment_id) REFERENCES assessments(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Latest assessment score of each student, for progress and the leaderboard
+CREATE TABLE user_assessment_progress (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  assessment_id INT NOT NULL,
+  status ENUM('in_progress', 'completed') NOT NULL DEFAULT 'in_progress',
+  score DECIMAL(8,2) DEFAULT 0,
+  max_score INT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_user_assessment (user_id, assessment_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (assessment_id) REFERENCES assessments(id) ON DELETE CASCADE
+);
+
+-- Classes of students, joined with a code and managed by an instructor
+CREATE TABLE cohorts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  join_code VARCHAR(16) NOT NULL UNIQUE,
+  instructor_id INT NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (instructor_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE cohort_members (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cohort_id INT NOT NULL,
+  user_id INT NOT NULL,
+  joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_cohort_user (cohort_id, user_id),
+  FOREIGN KEY (cohort_id) REFERENCES cohorts(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Quizzes and problem sets assigned to a cohort, with an optional due date
+CREATE TABLE cohort_assignments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cohort_id INT NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  assignment_type ENUM('quiz', 'problem_set') NOT NULL,
+  quiz_id INT NULL,
+  due_at DATETIME NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (cohort_id) REFERENCES cohorts(id) ON DELETE CASCADE,
+  FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE cohort_assignment_questions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  assignment_id INT NOT NULL,
+  question_id INT NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  UNIQUE KEY uq_assignment_question (assignment_id, question_id),
+  FOREIGN KEY (assignment_id) REFERENCES cohort_assignments(id) ON DELETE CASCADE,
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
 -- Insert a default admin user
 INSERT INTO users (name, email, password, role) VALUES 
 ('Admin', 'admin@example.com', '$2a$10$mjTzz/qYKgvtwFtFEjaoOeK4j5Jb.vuygrpkry5M6RSGjzqV9kbca', 'admin');
@@ -1,7 +1,7 @@
 /**
  * Controller for handling code submissions
  */
-const judge0 = require('../utils/judge0');
+const executionService = require('../utils/executionService');
 
 /**
  * Run code without saving (for testing)
@@ -19,7 +19,7 @@ exports.runCode = async (req, res) => {
       });
     }
     
-    const result = await judge0.submitCode(code, language, input || '');
+    const result = await executionService.submitCode(code, language, input || '');
     
     res.status(200).json({
       status: 'success',
@@ -78,7 +78,7 @@ exports.submitSolution = async (req, res) => {
     }
     
     // Validate code against test cases
-    const results = await judge0.validateCode(code, language, testCases);
+    const results = await executionService.validateCode(code, language, testCases);
     
     // Check if all test cases passed
     const allPassed = results.every(result => result.passed);
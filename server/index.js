@@ -11,6 +11,17 @@ const quizRoutes = require('./routes/quizzes');
 const compilerRoutes = require('./routes/compiler');
 const adminRoutes = require('./routes/admin');
 const codeDraftRoutes = require('./routes/codeDrafts');
+const contestRoutes = require('./routes/contests');
+const plagiarismRoutes = require('./routes/plagiarism');
+const questionBankRoutes = require('./routes/questionBank');
+const assessmentRoutes = require('./routes/assessments');
+const cohortRoutes = require('./routes/cohorts');
+const submissionQueue = require('./utils/submissionQueue');
+const plagiarismJobs = require('./utils/plagiarismJobs');
+const quizAttempts = require('./utils/quizAttempts');
+const assessments = require('./utils/assessments');
+const executionService = require('./utils/executionService');
+const languageRuntimes = require('./utils/languageRuntimes');
 
 const app = express();
 
@@ -82,6 +93,544 @@ async function ensureDatabaseSchema() {
       console.log("[DB] Adding missing 'tags' column");
       await connection.query("ALTER TABLE questions ADD COLUMN tags JSON NULL");
     }
+
+    // Per-question execution limits; NULL means the platform default.
+    const [timeLimitColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'time_limit_ms'");
+    if (timeLimitColumn.length === 0) {
+      console.log("[DB] Adding missing 'time_limit_ms' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN time_limit_ms INT NULL");
+    }
+
+    const [memoryLimitColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'memory_limit_kb'");
+    if (memoryLimitColumn.length === 0) {
+      console.log("[DB] Adding missing 'memory_limit_kb' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN memory_limit_kb INT NULL");
+    }
+
+    const [limitMultipliersColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'limit_multipliers'");
+    if (limitMultipliersColumn.length === 0) {
+      console.log("[DB] Adding missing 'limit_multipliers' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN limit_multipliers JSON NULL");
+    }
+
+    // Function-call problems get a generated harness; stdio problems read test input from stdin
+    // and interactive problems talk to an interactor program.
+    const [ioModeColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'io_mode'");
+    if (ioModeColumn.length === 0) {
+      console.log("[DB] Adding missing 'io_mode' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN io_mode ENUM('function', 'stdio', 'interactive') NOT NULL DEFAULT 'function' AFTER question_type");
+    } else if (!ioModeColumn[0].Type.includes("'interactive'")) {
+      console.log("[DB] Adding 'interactive' to the 'io_mode' column");
+      await connection.query("ALTER TABLE questions MODIFY COLUMN io_mode ENUM('function', 'stdio', 'interactive') NOT NULL DEFAULT 'function'");
+    }
+
+    // Output checker settings (see utils/checkers.js); NULL means exact comparison.
+    const [checkerTypeColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'checker_type'");
+    if (checkerTypeColumn.length === 0) {
+      console.log("[DB] Adding missing 'checker_type' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN checker_type VARCHAR(32) NULL");
+    }
+
+    const [checkerConfigColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'checker_config'");
+    if (checkerConfigColumn.length === 0) {
+      console.log("[DB] Adding missing 'checker_config' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN checker_config JSON NULL");
+    }
+
+    const [specialJudgeLanguageColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'special_judge_language'");
+    if (specialJudgeLanguageColumn.length === 0) {
+      console.log("[DB] Adding missing 'special_judge_language' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN special_judge_language VARCHAR(50) NULL");
+    }
+
+    const [specialJudgeCodeColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'special_judge_code'");
+    if (specialJudgeCodeColumn.length === 0) {
+      console.log("[DB] Adding missing 'special_judge_code' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN special_judge_code MEDIUMTEXT NULL");
+    }
+
+    // Interactor program of interactive problems and the most lines a solution may send it.
+    const [interactorLanguageColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'interactor_language'");
+    if (interactorLanguageColumn.length === 0) {
+      console.log("[DB] Adding missing 'interactor_language' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN interactor_language VARCHAR(50) NULL");
+    }
+
+    const [interactorCodeColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'interactor_code'");
+    if (interactorCodeColumn.length === 0) {
+      console.log("[DB] Adding missing 'interactor_code' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN interactor_code MEDIUMTEXT NULL");
+    }
+
+    const [interactorQueryLimitColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'interactor_query_limit'");
+    if (interactorQueryLimitColumn.length === 0) {
+      console.log("[DB] Adding missing 'interactor_query_limit' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN interactor_query_limit INT NULL");
+    }
+
+    // Reference solution and random input generator used for stress testing.
+    const [referenceLanguageColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'reference_language'");
+    if (referenceLanguageColumn.length === 0) {
+      console.log("[DB] Adding missing 'reference_language' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN reference_language VARCHAR(50) NULL");
+    }
+
+    const [referenceCodeColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'reference_code'");
+    if (referenceCodeColumn.length === 0) {
+      console.log("[DB] Adding missing 'reference_code' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN reference_code MEDIUMTEXT NULL");
+    }
+
+    const [generatorLanguageColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'generator_language'");
+    if (generatorLanguageColumn.length === 0) {
+      console.log("[DB] Adding missing 'generator_language' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN generator_language VARCHAR(50) NULL");
+    }
+
+    const [generatorCodeColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'generator_code'");
+    if (generatorCodeColumn.length === 0) {
+      console.log("[DB] Adding missing 'generator_code' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN generator_code MEDIUMTEXT NULL");
+    }
+
+    // Custom starter code per language; languages without one use the generated template.
+    const [starterCodeColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'starter_code'");
+    if (starterCodeColumn.length === 0) {
+      console.log("[DB] Adding missing 'starter_code' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN starter_code JSON NULL");
+    }
+
+    // Current version of the question and its test cases; see utils/questionVersions.js.
+    const [questionVersionColumn] = await connection.query("SHOW COLUMNS FROM questions LIKE 'version'");
+    if (questionVersionColumn.length === 0) {
+      console.log("[DB] Adding missing 'version' column");
+      await connection.query("ALTER TABLE questions ADD COLUMN version INT NOT NULL DEFAULT 1");
+    }
+
+    // Imported and generated test cases can exceed TEXT's 64 KB.
+    const [testCaseInputColumn] = await connection.query("SHOW COLUMNS FROM test_cases LIKE 'input'");
+    if (testCaseInputColumn.length > 0 && testCaseInputColumn[0].Type.toLowerCase() === 'text') {
+      console.log("[DB] Widening 'test_cases' input and expected_output columns");
+      await connection.query("ALTER TABLE test_cases MODIFY COLUMN input MEDIUMTEXT, MODIFY COLUMN expected_output MEDIUMTEXT");
+    }
+
+    // Subtask grouping and point weights for partial scoring (see utils/subtasks.js).
+    const [testCaseSubtaskColumn] = await connection.query("SHOW COLUMNS FROM test_cases LIKE 'subtask'");
+    if (testCaseSubtaskColumn.length === 0) {
+      console.log("[DB] Adding missing 'subtask' column");
+      await connection.query("ALTER TABLE test_cases ADD COLUMN subtask INT NULL");
+    }
+
+    const [testCasePointsColumn] = await connection.query("SHOW COLUMNS FROM test_cases LIKE 'points'");
+    if (testCasePointsColumn.length === 0) {
+      console.log("[DB] Adding missing 'points' column");
+      await connection.query("ALTER TABLE test_cases ADD COLUMN points INT NULL");
+    }
+
+    // Grading queue state; rows created before the queue existed count as finished.
+    const [judgeStatusColumn] = await connection.query("SHOW COLUMNS FROM submissions LIKE 'judge_status'");
+    if (judgeStatusColumn.length === 0) {
+      console.log("[DB] Adding missing 'judge_status' column");
+      await connection.query("ALTER TABLE submissions ADD COLUMN judge_status ENUM('pending', 'running', 'finished', 'failed') NOT NULL DEFAULT 'finished'");
+    }
+
+    const [totalTestCasesColumn] = await connection.query("SHOW COLUMNS FROM submissions LIKE 'total_test_cases'");
+    if (totalTestCasesColumn.length === 0) {
+      console.log("[DB] Adding missing 'total_test_cases' column");
+      await connection.query("ALTER TABLE submissions ADD COLUMN total_test_cases INT NULL");
+    }
+
+    // Overall verdict code (see utils/verdicts.js); NULL until grading finishes.
+    const [verdictColumn] = await connection.query("SHOW COLUMNS FROM submissions LIKE 'verdict'");
+    if (verdictColumn.length === 0) {
+      console.log("[DB] Adding missing 'verdict' column");
+      await connection.query("ALTER TABLE submissions ADD COLUMN verdict ENUM('AC', 'WA', 'TLE', 'MLE', 'RE', 'CE', 'IE') NULL");
+      await connection.query("UPDATE submissions SET verdict = IF(passed, 'AC', 'WA') WHERE judge_status = 'finished'");
+    }
+
+    // Runtime id the submission was graded on (backend specific); NULL means the language default.
+    const [runtimeColumn] = await connection.query("SHOW COLUMNS FROM submissions LIKE 'runtime'");
+    if (runtimeColumn.length === 0) {
+      console.log("[DB] Adding missing 'runtime' column");
+      await connection.query("ALTER TABLE submissions ADD COLUMN runtime VARCHAR(64) NULL AFTER language");
+    }
+
+    // Question version the submission was judged against; earlier submissions were judged against version 1.
+    const [submissionVersionColumn] = await connection.query("SHOW COLUMNS FROM submissions LIKE 'question_version'");
+    if (submissionVersionColumn.length === 0) {
+      console.log("[DB] Adding missing 'question_version' column");
+      await connection.query("ALTER TABLE submissions ADD COLUMN question_version INT NULL");
+      await connection.query("UPDATE submissions SET question_version = 1");
+    }
+
+    // Partial score out of 100; submissions graded before subtasks existed score all or nothing.
+    const [submissionScoreColumn] = await connection.query("SHOW COLUMNS FROM submissions LIKE 'score'");
+    if (submissionScoreColumn.length === 0) {
+      console.log("[DB] Adding missing 'score' column");
+      await connection.query("ALTER TABLE submissions ADD COLUMN score DECIMAL(5,2) NULL");
+      await connection.query("UPDATE submissions SET score = IF(passed, 100, 0) WHERE judge_status = 'finished'");
+    }
+
+    // Contest the submission was made in; NULL for practice submissions.
+    const [submissionContestColumn] = await connection.query("SHOW COLUMNS FROM submissions LIKE 'contest_id'");
+    if (submissionContestColumn.length === 0) {
+      console.log("[DB] Adding missing 'contest_id' column");
+      await connection.query("ALTER TABLE submissions ADD COLUMN contest_id INT NULL, ADD INDEX idx_submissions_contest (contest_id)");
+    }
+
+    // Assessment attempt the submission was made in; NULL outside assessments.
+    const [submissionAssessmentColumn] = await connection.query("SHOW COLUMNS FROM submissions LIKE 'assessment_attempt_id'");
+    if (submissionAssessmentColumn.length === 0) {
+      console.log("[DB] Adding missing 'assessment_attempt_id' column");
+      await connection.query("ALTER TABLE submissions ADD COLUMN assessment_attempt_id INT NULL, ADD INDEX idx_submissions_assessment (assessment_attempt_id)");
+    }
+
+    // Quiz question types and their answer keys (see utils/quizQuestions.js).
+    const [quizQuestionTypeColumn] = await connection.query("SHOW COLUMNS FROM quiz_questions LIKE 'question_type'");
+    if (quizQuestionTypeColumn.length === 0) {
+      console.log("[DB] Adding missing 'question_type' column");
+      await connection.query("ALTER TABLE quiz_questions ADD COLUMN question_type VARCHAR(32) NOT NULL DEFAULT 'single'");
+    }
+
+    const [quizAnswerColumn] = await connection.query("SHOW COLUMNS FROM quiz_questions LIKE 'answer'");
+    if (quizAnswerColumn.length === 0) {
+      console.log("[DB] Adding missing 'answer' column");
+      await connection.query("ALTER TABLE quiz_questions ADD COLUMN answer JSON NULL");
+    }
+
+    // Quiz scores are points rather than correct answers, so partial credit needs decimals.
+    const [quizScoreColumn] = await connection.query("SHOW COLUMNS FROM quiz_submissions LIKE 'score'");
+    if (quizScoreColumn.length > 0 && !/^decimal/i.test(quizScoreColumn[0].Type)) {
+      console.log("[DB] Widening quiz score columns");
+      await connection.query("ALTER TABLE quiz_submissions MODIFY COLUMN score DECIMAL(7,2)");
+      await connection.query("ALTER TABLE user_quiz_progress MODIFY COLUMN score DECIMAL(7,2) DEFAULT 0, MODIFY COLUMN best_score DECIMAL(7,2) DEFAULT 0");
+    }
+
+    // Per-attempt shuffling of quiz questions and options (see utils/quizAttempts.js).
+    const [shuffleQuestionsColumn] = await connection.query("SHOW COLUMNS FROM quizzes LIKE 'shuffle_questions'");
+    if (shuffleQuestionsColumn.length === 0) {
+      console.log("[DB] Adding missing 'shuffle_questions' column");
+      await connection.query("ALTER TABLE quizzes ADD COLUMN shuffle_questions TINYINT(1) NOT NULL DEFAULT 0");
+    }
+
+    const [shuffleOptionsColumn] = await connection.query("SHOW COLUMNS FROM quizzes LIKE 'shuffle_options'");
+    if (shuffleOptionsColumn.length === 0) {
+      console.log("[DB] Adding missing 'shuffle_options' column");
+      await connection.query("ALTER TABLE quizzes ADD COLUMN shuffle_options TINYINT(1) NOT NULL DEFAULT 0");
+    }
+
+    // Quiz availability window (opening at scheduled_time), attempt limit, counted attempt and answer reveal policy.
+    const [quizClosesAtColumn] = await connection.query("SHOW COLUMNS FROM quizzes LIKE 'closes_at'");
+    if (quizClosesAtColumn.length === 0) {
+      console.log("[DB] Adding missing 'closes_at' column");
+      await connection.query("ALTER TABLE quizzes ADD COLUMN closes_at DATETIME NULL");
+    }
+
+    const [quizMaxAttemptsColumn] = await connection.query("SHOW COLUMNS FROM quizzes LIKE 'max_attempts'");
+    if (quizMaxAttemptsColumn.length === 0) {
+      console.log("[DB] Adding missing 'max_attempts' column");
+      await connection.query("ALTER TABLE quizzes ADD COLUMN max_attempts INT NULL");
+    }
+
+    const [quizGradingPolicyColumn] = await connection.query("SHOW COLUMNS FROM quizzes LIKE 'grading_policy'");
+    if (quizGradingPolicyColumn.length === 0) {
+      console.log("[DB] Adding missing 'grading_policy' column");
+      await connection.query("ALTER TABLE quizzes ADD COLUMN grading_policy ENUM('best', 'last', 'average') NOT NULL DEFAULT 'best'");
+    }
+
+    const [quizRevealAnswersColumn] = await connection.query("SHOW COLUMNS FROM quizzes LIKE 'reveal_answers'");
+    if (quizRevealAnswersColumn.length === 0) {
+      console.log("[DB] Adding missing 'reveal_answers' column");
+      await connection.query("ALTER TABLE quizzes ADD COLUMN reveal_answers ENUM('immediately', 'after_close', 'never') NOT NULL DEFAULT 'immediately'");
+    }
+
+    // Attempt a quiz submission graded and its question count, which differs per attempt when drawn from the bank.
+    const [quizAttemptIdColumn] = await connection.query("SHOW COLUMNS FROM quiz_submissions LIKE 'attempt_id'");
+    if (quizAttemptIdColumn.length === 0) {
+      console.log("[DB] Adding missing 'attempt_id' column");
+      await connection.query("ALTER TABLE quiz_submissions ADD COLUMN attempt_id INT NULL");
+    }
+
+    const [quizTotalQuestionsColumn] = await connection.query("SHOW COLUMNS FROM quiz_submissions LIKE 'total_questions'");
+    if (quizTotalQuestionsColumn.length === 0) {
+      console.log("[DB] Adding missing 'total_questions' column");
+      await connection.query("ALTER TABLE quiz_submissions ADD COLUMN total_questions INT NULL");
+    }
+
+    // Runtime catalogs discovered from the execution backends and the admin's language mapping.
+    await connection.query(`CREATE TABLE IF NOT EXISTS platform_settings (
+      setting_key VARCHAR(100) PRIMARY KEY,
+      setting_value JSON NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`);
+
+    // Snapshots of every question version, for the admin history view and rejudging.
+    await connection.query(`CREATE TABLE IF NOT EXISTS question_versions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      question_id INT NOT NULL,
+      version INT NOT NULL,
+      snapshot JSON NOT NULL,
+      summary VARCHAR(255) NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_question_version (question_id, version),
+      FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+
+    // Solved/attempted state per user and question, kept up to date by the grading queue.
+    await connection.query(`CREATE TABLE IF NOT EXISTS user_question_progress (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      question_id INT NOT NULL,
+      status ENUM('attempted', 'solved') DEFAULT 'attempted',
+      attempts_count INT DEFAULT 0,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_user_question (user_id, question_id)
+    )`);
+
+    // Timed coding contests: problems with point values and registered contestants; see utils/contests.js.
+    await connection.query(`CREATE TABLE IF NOT EXISTS contests (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      start_time DATETIME NOT NULL,
+      end_time DATETIME NOT NULL,
+      scoring_type ENUM('icpc', 'ioi') NOT NULL DEFAULT 'icpc',
+      penalty_minutes INT NOT NULL DEFAULT 20,
+      freeze_minutes INT NULL,
+      scoreboard_unfrozen BOOLEAN NOT NULL DEFAULT FALSE,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS contest_problems (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      contest_id INT NOT NULL,
+      question_id INT NOT NULL,
+      label VARCHAR(10) NOT NULL,
+      points INT NOT NULL DEFAULT 100,
+      position INT NOT NULL DEFAULT 0,
+      UNIQUE KEY uq_contest_question (contest_id, question_id),
+      FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+      FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+    )`);
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS contest_registrations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      contest_id INT NOT NULL,
+      user_id INT NOT NULL,
+      registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_contest_user (contest_id, user_id),
+      FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+
+    // Code similarity reports, run in the background by utils/plagiarismJobs.js.
+    await connection.query(`CREATE TABLE IF NOT EXISTS plagiarism_reports (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      question_id INT NOT NULL,
+      language VARCHAR(50) NULL,
+      threshold INT NOT NULL DEFAULT 70,
+      status ENUM('pending', 'running', 'finished', 'failed') NOT NULL DEFAULT 'pending',
+      submission_count INT NULL,
+      result JSON NULL,
+      error VARCHAR(255) NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP NULL,
+      FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+
+    // Reusable quiz questions, drawn into quizzes by topic and difficulty.
+    await connection.query(`CREATE TABLE IF NOT EXISTS question_bank (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      topic VARCHAR(100) NOT NULL,
+      question TEXT NOT NULL,
+      question_type VARCHAR(32) NOT NULL DEFAULT 'single',
+      options JSON,
+      correct_option INT NULL,
+      answer JSON NULL,
+      difficulty VARCHAR(50),
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_question_bank_topic (topic, difficulty),
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+
+    // Question bank draws of a quiz; a NULL topic or difficulty matches any.
+    await connection.query(`CREATE TABLE IF NOT EXISTS quiz_rules (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      quiz_id INT NOT NULL,
+      topic VARCHAR(100) NULL,
+      difficulty VARCHAR(50) NULL,
+      question_count INT NOT NULL,
+      FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE
+    )`);
+
+    // Questions served to a student for one quiz attempt (see utils/quizAttempts.js).
+    await connection.query(`CREATE TABLE IF NOT EXISTS quiz_attempts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      quiz_id INT NOT NULL,
+      user_id INT NOT NULL,
+      questions JSON NOT NULL,
+      status ENUM('in_progress', 'submitted') NOT NULL DEFAULT 'in_progress',
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      submitted_at TIMESTAMP NULL,
+      deadline_at TIMESTAMP NULL,
+      answers JSON NULL,
+      saved_at TIMESTAMP NULL,
+      auto_submitted TINYINT(1) NOT NULL DEFAULT 0,
+      INDEX idx_quiz_attempts_user (quiz_id, user_id, status),
+      FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+
+    // Server-side attempt clock and autosaved answers; attempts started earlier get their deadline from the quiz duration.
+    const [attemptDeadlineColumn] = await connection.query("SHOW COLUMNS FROM quiz_attempts LIKE 'deadline_at'");
+    if (attemptDeadlineColumn.length === 0) {
+      console.log("[DB] Adding missing 'deadline_at' column");
+      await connection.query("ALTER TABLE quiz_attempts ADD COLUMN deadline_at TIMESTAMP NULL");
+      await connection.query(`UPDATE quiz_attempts a JOIN quizzes q ON q.id = a.quiz_id
+        SET a.deadline_at = DATE_ADD(a.started_at, INTERVAL COALESCE(q.duration, 60) MINUTE)
+        WHERE a.deadline_at IS NULL`);
+    }
+
+    const [attemptAnswersColumn] = await connection.query("SHOW COLUMNS FROM quiz_attempts LIKE 'answers'");
+    if (attemptAnswersColumn.length === 0) {
+      console.log("[DB] Adding missing 'answers' column");
+      await connection.query("ALTER TABLE quiz_attempts ADD COLUMN answers JSON NULL, ADD COLUMN saved_at TIMESTAMP NULL");
+    }
+
+    const [attemptAutoSubmittedColumn] = await connection.query("SHOW COLUMNS FROM quiz_attempts LIKE 'auto_submitted'");
+    if (attemptAutoSubmittedColumn.length === 0) {
+      console.log("[DB] Adding missing 'auto_submitted' column");
+      await connection.query("ALTER TABLE quiz_attempts ADD COLUMN auto_submitted TINYINT(1) NOT NULL DEFAULT 0");
+    }
+
+    // Timed tests mixing quiz questions and coding problems (see utils/assessments.js).
+    await connection.query(`CREATE TABLE IF NOT EXISTS assessments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      duration INT NOT NULL DEFAULT 60,
+      opens_at DATETIME NULL,
+      closes_at DATETIME NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+
+    // Assessment items: inline quiz questions laid out like quiz_questions, or coding problems.
+    await connection.query(`CREATE TABLE IF NOT EXISTS assessment_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      assessment_id INT NOT NULL,
+      item_type ENUM('quiz', 'coding') NOT NULL,
+      position INT NOT NULL DEFAULT 0,
+      points INT NOT NULL DEFAULT 1,
+      question_id INT NULL,
+      question TEXT NULL,
+      question_type VARCHAR(32) NULL,
+      options JSON NULL,
+      correct_option INT NULL,
+      answer JSON NULL,
+      difficulty VARCHAR(50) NULL,
+      FOREIGN KEY (assessment_id) REFERENCES assessments(id) ON DELETE CASCADE,
+      FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+    )`);
+
+    // One attempt per student with the items served, autosaved answers and the graded result.
+    await connection.query(`CREATE TABLE IF NOT EXISTS assessment_attempts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      assessment_id INT NOT NULL,
+      user_id INT NOT NULL,
+      items JSON NOT NULL,
+      status ENUM('in_progress', 'submitted') NOT NULL DEFAULT 'in_progress',
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      deadline_at TIMESTAMP NULL,
+      submitted_at TIMESTAMP NULL,
+      answers JSON NULL,
+      auto_submitted TINYINT(1) NOT NULL DEFAULT 0,
+      score DECIMAL(8,2) NULL,
+      max_score INT NOT NULL DEFAULT 0,
+      results JSON NULL,
+      UNIQUE KEY uq_assessment_user (assessment_id, user_id),
+      FOREIGN KEY (assessment_id) REFERENCES assessments(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+
+    // Latest assessment score of each student, for progress and the leaderboard.
+    await connection.query(`CREATE TABLE IF NOT EXISTS user_assessment_progress (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      assessment_id INT NOT NULL,
+      status ENUM('in_progress', 'completed') NOT NULL DEFAULT 'in_progress',
+      score DECIMAL(8,2) DEFAULT 0,
+      max_score INT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_user_assessment (user_id, assessment_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (assessment_id) REFERENCES assessments(id) ON DELETE CASCADE
+    )`);
+
+    // Instructors manage the cohorts assigned to them (see utils/cohorts.js).
+    const [roleColumn] = await connection.query("SHOW COLUMNS FROM users LIKE 'role'");
+    if (roleColumn.length > 0 && !String(roleColumn[0].Type).includes("'instructor'")) {
+      console.log("[DB] Adding the 'instructor' role");
+      await connection.query("ALTER TABLE users MODIFY COLUMN role ENUM('student', 'instructor', 'admin')");
+    }
+
+    // Classes of students, joined with a code and managed by an instructor.
+    await connection.query(`CREATE TABLE IF NOT EXISTS cohorts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      join_code VARCHAR(16) NOT NULL UNIQUE,
+      instructor_id INT NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (instructor_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS cohort_members (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cohort_id INT NOT NULL,
+      user_id INT NOT NULL,
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_cohort_user (cohort_id, user_id),
+      FOREIGN KEY (cohort_id) REFERENCES cohorts(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+
+    // Quizzes and problem sets assigned to a cohort, with an optional due date.
+    await connection.query(`CREATE TABLE IF NOT EXISTS cohort_assignments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cohort_id INT NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      assignment_type ENUM('quiz', 'problem_set') NOT NULL,
+      quiz_id INT NULL,
+      due_at DATETIME NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (cohort_id) REFERENCES cohorts(id) ON DELETE CASCADE,
+      FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS cohort_assignment_questions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      assignment_id INT NOT NULL,
+      question_id INT NOT NULL,
+      position INT NOT NULL DEFAULT 0,
+      UNIQUE KEY uq_assignment_question (assignment_id, question_id),
+      FOREIGN KEY (assignment_id) REFERENCES cohort_assignments(id) ON DELETE CASCADE,
+      FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+    )`);
   } catch (err) {
     console.error('[DB] Schema verification failed:', err.message);
     throw err;
@@ -104,6 +653,11 @@ app.use('/api/quizzes', quizRoutes);
 app.use('/api/compiler', compilerRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/code-drafts', codeDraftRoutes);
+app.use('/api/contests', contestRoutes);
+app.use('/api/plagiarism', plagiarismRoutes);
+app.use('/api/question-bank', questionBankRoutes);
+app.use('/api/assessments', assessmentRoutes);
+app.use('/api/cohorts', cohortRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -121,6 +675,11 @@ app.use((err, req, res, next) => {
 
 // Start server
 ensureDatabaseSchema()
+  .then(() => languageRuntimes.initialize(pool, executionService.getActiveProviders()))
+  .then(() => submissionQueue.start(pool))
+  .then(() => plagiarismJobs.start(pool))
+  .then(() => quizAttempts.startExpirySweep(pool))
+  .then(() => assessments.startExpirySweep(pool))
   .then(() => {
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
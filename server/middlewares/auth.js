@@ -1,6 +1,41 @@
 // Firebase Authentication Middleware
 const { verifyIdToken } = require('../config/firebase-admin');
 
+/**
+ * Verifies a Firebase ID token and loads the matching user
+ * @param {Object} req - Express request object
+ * @param {string} idToken - Firebase ID token
+ * @returns {Promise<Object|null>} - User for req.user, or null when not registered
+ */
+const loadUser = async (req, idToken) => {
+  // Verify Firebase ID token
+  const decodedToken = await verifyIdToken(idToken);
+  
+  // Get user from database using firebase_uid
+  const [users] = await req.db.execute(
+    'SELECT id, firebase_uid, name, email, email_verified, role FROM users WHERE firebase_uid = ?',
+    [decodedToken.uid]
+  );
+  
+  if (users.length === 0) {
+    return null;
+  }
+  
+  const user = users[0];
+  
+  return {
+    id: user.id,
+    firebase_uid: user.firebase_uid,
+    name: user.name,
+    email: user.email,
+    email_verified: Boolean(user.email_verified),
+    role: user.role,
+    // Also include Firebase token claims if needed
+    uid: decodedToken.uid,
+    email_verified_firebase: decodedToken.email_verified
+  };
+};
+
 /**
  * Authentication middleware to verify Firebase ID tokens
  * @param {Object} req - Express request object
@@ -19,38 +54,17 @@ const authenticate = async (req, res, next) => {
       });
     }
     
-    const idToken = authHeader.split(' ')[1];
-    
-    // Verify Firebase ID token
-    const decodedToken = await verifyIdToken(idToken);
-    
-    // Get user from database using firebase_uid
-    const [users] = await req.db.execute(
-      'SELECT id, firebase_uid, name, email, email_verified, role FROM users WHERE firebase_uid = ?',
-      [decodedToken.uid]
-    );
+    const user = await loadUser(req, authHeader.split(' ')[1]);
     
-    if (users.length === 0) {
+    if (!user) {
       return res.status(401).json({
         status: 'error',
         message: 'User not found. Please register first.'
       });
     }
     
-    const user = users[0];
-    
     // Set user info in request object
-    req.user = {
-      id: user.id,
-      firebase_uid: user.firebase_uid,
-      name: user.name,
-      email: user.email,
-      email_verified: Boolean(user.email_verified),
-      role: user.role,
-      // Also include Firebase token claims if needed
-      uid: decodedToken.uid,
-      email_verified_firebase: decodedToken.email_verified
-    };
+    req.user = user;
     
     next();
   } catch (error) {
@@ -69,6 +83,29 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication middleware for public routes: sets req.user when a valid
+ * token is sent and continues anonymously (req.user = null) otherwise
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const optionalAuthenticate = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  req.user = null;
+  
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      req.user = await loadUser(req, authHeader.split(' ')[1]);
+    } catch (error) {
+      // Invalid token, but continue without user data
+      req.user = null;
+    }
+  }
+  
+  next();
+};
+
 /**
  * Authorization middleware to check if user has admin role
  * @param {Object} req - Express request object
@@ -86,7 +123,27 @@ const isAdmin = (req, res, next) => {
   }
 };
 
+/**
+ * Authorization middleware for instructor views: admins and instructors pass.
+ * Routes behind it limit instructors to their own cohorts (see utils/cohorts.js).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const isInstructor = (req, res, next) => {
+  if (req.user && ['admin', 'instructor'].includes(req.user.role)) {
+    next();
+  } else {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Access denied. Instructor privileges required.'
+    });
+  }
+};
+
 module.exports = {
   authenticate,
-  isAdmin
+  optionalAuthenticate,
+  isAdmin,
+  isInstructor
 };
\ No newline at end of file
@@ -1,26 +1,48 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const { authenticate, isAdmin } = require('../middlewares/auth');
+const { authenticate, isAdmin, isInstructor } = require('../middlewares/auth');
+const { resolveCohortScope, memberFilter } = require('../utils/cohorts');
+const executionService = require('../utils/executionService');
+const languageRuntimes = require('../utils/languageRuntimes');
+
+/**
+ * Responds with the error of a cohort scope the user may not see
+ * @returns {boolean} - Whether a response was sent
+ */
+const rejectScope = (res, scope) => {
+  if (!scope.error) return false;
+  res.status(scope.status).json({
+    status: 'error',
+    message: scope.error
+  });
+  return true;
+};
 
 /**
  * @route   GET /api/admin/users
- * @desc    Get all users (admin only)
- * @access  Private (Admin only)
+ * @desc    Get all users, or the members of the instructor's cohorts (`cohort_id` narrows it to one cohort)
+ * @access  Private (Admins and instructors)
  */
-router.get('/users', authenticate, isAdmin, async (req, res) => {
+router.get('/users', authenticate, isInstructor, async (req, res) => {
   try {
+    const scope = await resolveCohortScope(req.db, req.user, req.query.cohort_id);
+    if (rejectScope(res, scope)) return;
+    const members = memberFilter(scope, 'id');
+
     let users;
     try {
       // Try with last_signed_in column
       [users] = await req.db.execute(
-        'SELECT id, name, email, role, created_at, last_signed_in FROM users ORDER BY created_at DESC'
+        `SELECT id, name, email, role, created_at, last_signed_in FROM users WHERE 1 = 1${members.sql} ORDER BY created_at DESC`,
+        members.params
       );
     } catch (error) {
       console.log('last_signed_in column not found, using fallback query');
       // Fallback without last_signed_in column
       [users] = await req.db.execute(
-        'SELECT id, name, email, role, created_at, NULL as last_signed_in FROM users ORDER BY created_at DESC'
+        `SELECT id, name, email, role, created_at, NULL as last_signed_in FROM users WHERE 1 = 1${members.sql} ORDER BY created_at DESC`,
+        members.params
       );
     }
     
@@ -56,10 +78,10 @@ router.post('/users', authenticate, isAdmin, async (req, res) => {
       });
     }
     
-    if (!['student', 'admin'].includes(role)) {
+    if (!['student', 'instructor', 'admin'].includes(role)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Invalid role. Must be either "student" or "admin".'
+        message: 'Invalid role. Must be "student", "instructor" or "admin".'
       });
     }
     
@@ -109,13 +131,20 @@ router.post('/users', authenticate, isAdmin, async (req, res) => {
 
 /**
  * @route   GET /api/admin/stats
- * @desc    Get platform statistics (admin only)
- * @access  Private (Admin only)
+ * @desc    Get platform statistics; user and submission figures cover the instructor's cohorts (or `cohort_id`)
+ * @access  Private (Admins and instructors)
  */
-router.get('/stats', authenticate, isAdmin, async (req, res) => {
+router.get('/stats', authenticate, isInstructor, async (req, res) => {
   try {
+    const scope = await resolveCohortScope(req.db, req.user, req.query.cohort_id);
+    if (rejectScope(res, scope)) return;
+    const members = memberFilter(scope, 'user_id');
+
     // Get total users count
-    const [usersCount] = await req.db.execute('SELECT COUNT(*) as count FROM users');
+    const [usersCount] = await req.db.execute(
+      `SELECT COUNT(*) as count FROM users WHERE 1 = 1${memberFilter(scope, 'id').sql}`,
+      members.params
+    );
     
     // Get total questions count
     const [questionsCount] = await req.db.execute('SELECT COUNT(*) as count FROM questions');
@@ -124,7 +153,10 @@ router.get('/stats', authenticate, isAdmin, async (req, res) => {
     const [quizzesCount] = await req.db.execute('SELECT COUNT(*) as count FROM quizzes');
     
     // Get total submissions count
-    const [submissionsCount] = await req.db.execute('SELECT COUNT(*) as count FROM submissions');
+    const [submissionsCount] = await req.db.execute(
+      `SELECT COUNT(*) as count FROM submissions WHERE 1 = 1${members.sql}`,
+      members.params
+    );
     
     // Get recent submissions
     const [recentSubmissions] = await req.db.execute(`
@@ -132,18 +164,19 @@ router.get('/stats', authenticate, isAdmin, async (req, res) => {
       FROM submissions s
       JOIN users u ON s.user_id = u.id
       JOIN questions q ON s.question_id = q.id
+      WHERE 1 = 1${memberFilter(scope, 's.user_id').sql}
       ORDER BY s.submitted_at DESC
       LIMIT 10
-    `);
+    `, members.params);
     
     // Get user activity (submissions per day for last 7 days)
     const [dailyActivity] = await req.db.execute(`
       SELECT DATE(submitted_at) as date, COUNT(*) as submissions
       FROM submissions
-      WHERE submitted_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
+      WHERE submitted_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)${members.sql}
       GROUP BY DATE(submitted_at)
       ORDER BY date DESC
-    `);
+    `, members.params);
     
     res.status(200).json({
       status: 'success',
@@ -153,7 +186,8 @@ router.get('/stats', authenticate, isAdmin, async (req, res) => {
         totalQuizzes: quizzesCount[0].count,
         totalSubmissions: submissionsCount[0].count,
         recentSubmissions,
-        dailyActivity
+        dailyActivity,
+        cohortScoped: scope.cohortIds !== null
       }
     });
   } catch (error) {
@@ -175,10 +209,10 @@ router.put('/users/:id/role', authenticate, isAdmin, async (req, res) => {
     const userId = req.params.id;
     const { role } = req.body;
     
-    if (!role || !['student', 'admin'].includes(role)) {
+    if (!role || !['student', 'instructor', 'admin'].includes(role)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Invalid role. Must be either "student" or "admin".'
+        message: 'Invalid role. Must be "student", "instructor" or "admin".'
       });
     }
     
@@ -298,13 +332,16 @@ router.delete('/users/:id', authenticate, isAdmin, async (req, res) => {
 
 /**
  * @route   GET /api/admin/leaderboard
- * @desc    Get leaderboard data (admin only)
- * @access  Private (Admin only)
+ * @desc    Get leaderboard data, limited to the instructor's cohorts (or `cohort_id`)
+ * @access  Private (Admins and instructors)
  */
-router.get('/leaderboard', authenticate, isAdmin, async (req, res) => {
+router.get('/leaderboard', authenticate, isInstructor, async (req, res) => {
   try {
-    const type = req.query.type || 'overall'; // overall, quiz, coding
+    const type = req.query.type || 'overall'; // overall, quiz, coding, assessment
     const limit = parseInt(req.query.limit) || 10;
+    const scope = await resolveCohortScope(req.db, req.user, req.query.cohort_id);
+    if (rejectScope(res, scope)) return;
+    const members = memberFilter(scope, 'u.id');
 
     console.log('Leaderboard request:', { type, limit });
 
@@ -324,11 +361,11 @@ router.get('/leaderboard', authenticate, isAdmin, async (req, res) => {
             MAX(qs.score) as highest_score
           FROM users u
           INNER JOIN quiz_submissions qs ON u.id = qs.user_id
-          WHERE u.role = 'student'
+          WHERE u.role = 'student'${members.sql}
           GROUP BY u.id, u.name, u.email
           ORDER BY avg_score DESC, quizzes_completed DESC
           LIMIT ?
-        `, [limit]);
+        `, [...members.params, limit]);
         
         console.log('Quiz leaderboard results:', quizLeaderboard.length);
         leaderboardData.quiz = (quizLeaderboard || []).map((row, index) => ({
@@ -356,14 +393,25 @@ router.get('/leaderboard', authenticate, isAdmin, async (req, res) => {
               THEN ROUND((COUNT(DISTINCT CASE WHEN s.passed = 1 THEN s.question_id END) * 100.0 / COUNT(DISTINCT s.question_id)), 2)
               ELSE 0 
             END as success_rate,
-            COUNT(s.id) as total_submissions
+            COUNT(s.id) as total_submissions,
+            ROUND(COALESCE(p.total_points, 0), 2) as total_points
           FROM users u
           INNER JOIN submissions s ON u.id = s.user_id
-          WHERE u.role = 'student'
-          GROUP BY u.id, u.name, u.email
-          ORDER BY problems_solved DESC, success_rate DESC
+          LEFT JOIN (
+            -- Best partial score (out of 100) per question, summed per user
+            SELECT user_id, SUM(best_score) as total_points
+            FROM (
+              SELECT user_id, question_id, MAX(COALESCE(score, IF(passed, 100, 0))) as best_score
+              FROM submissions
+              GROUP BY user_id, question_id
+            ) best
+            GROUP BY user_id
+          ) p ON p.user_id = u.id
+          WHERE u.role = 'student'${members.sql}
+          GROUP BY u.id, u.name, u.email, p.total_points
+          ORDER BY total_points DESC, problems_solved DESC, success_rate DESC
           LIMIT ?
-        `, [limit]);
+        `, [...members.params, limit]);
         
         console.log('Coding leaderboard results:', codingLeaderboard.length);
         leaderboardData.coding = (codingLeaderboard || []).map((row, index) => ({
@@ -376,13 +424,43 @@ router.get('/leaderboard', authenticate, isAdmin, async (req, res) => {
       }
     }
 
+    if (type === 'overall' || type === 'assessment') {
+      try {
+        // Assessment leaderboard from each student's latest assessment scores
+        const [assessmentLeaderboard] = await req.db.query(`
+          SELECT 
+            u.id,
+            u.name,
+            u.email,
+            COUNT(uap.id) as assessments_completed,
+            ROUND(SUM(uap.score), 2) as total_points,
+            SUM(uap.max_score) as max_points,
+            ROUND(AVG(uap.score * 100 / NULLIF(uap.max_score, 0)), 2) as avg_percentage
+          FROM users u
+          INNER JOIN user_assessment_progress uap ON u.id = uap.user_id
+          WHERE u.role = 'student' AND uap.status = 'completed'${members.sql}
+          GROUP BY u.id, u.name, u.email
+          ORDER BY total_points DESC, avg_percentage DESC
+          LIMIT ?
+        `, [...members.params, limit]);
+
+        leaderboardData.assessment = (assessmentLeaderboard || []).map((row, index) => ({
+          ...row,
+          rank: index + 1
+        }));
+      } catch (assessmentError) {
+        console.error('Assessment leaderboard error:', assessmentError.message);
+        leaderboardData.assessment = [];
+      }
+    }
+
     // Overall stats
     if (type === 'overall') {
       try {
-        const [userStats] = await req.db.execute(`SELECT COUNT(*) as total_active_users FROM users WHERE role = 'student'`);
+        const [userStats] = await req.db.execute(`SELECT COUNT(*) as total_active_users FROM users u WHERE role = 'student'${members.sql}`, members.params);
         const [quizStats] = await req.db.execute(`SELECT COUNT(*) as total_quizzes FROM quizzes`);
         const [questionStats] = await req.db.execute(`SELECT COUNT(*) as total_questions FROM questions`);
-        const [submissionStats] = await req.db.execute(`SELECT COUNT(*) as total_submissions FROM submissions`);
+        const [submissionStats] = await req.db.execute(`SELECT COUNT(*) as total_submissions FROM submissions s WHERE 1 = 1${memberFilter(scope, 's.user_id').sql}`, members.params);
         
         leaderboardData.stats = {
           total_active_users: userStats[0].total_active_users,
@@ -420,12 +498,15 @@ router.get('/leaderboard', authenticate, isAdmin, async (req, res) => {
 
 /**
  * @route   GET /api/admin/leaderboard/recent-activity
- * @desc    Get recent user activity for leaderboard (admin only)
- * @access  Private (Admin only)
+ * @desc    Get recent user activity for leaderboard, limited to the instructor's cohorts (or `cohort_id`)
+ * @access  Private (Admins and instructors)
  */
-router.get('/leaderboard/recent-activity', authenticate, isAdmin, async (req, res) => {
+router.get('/leaderboard/recent-activity', authenticate, isInstructor, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
+    const scope = await resolveCohortScope(req.db, req.user, req.query.cohort_id);
+    if (rejectScope(res, scope)) return;
+    const members = memberFilter(scope, 'u.id');
     console.log('Recent activity request, limit:', limit);
 
     let recentQuizzes = [];
@@ -443,9 +524,10 @@ router.get('/leaderboard/recent-activity', authenticate, isAdmin, async (req, re
         FROM quiz_submissions qs
         JOIN users u ON qs.user_id = u.id
         JOIN quizzes q ON qs.quiz_id = q.id
+        WHERE 1 = 1${members.sql}
         ORDER BY qs.submitted_at DESC
         LIMIT ?
-      `, [Math.floor(limit / 2)]);
+      `, [...members.params, Math.floor(limit / 2)]);
       recentQuizzes = quizResults || [];
       console.log('Recent quiz submissions:', recentQuizzes.length);
     } catch (quizError) {
@@ -459,14 +541,16 @@ router.get('/leaderboard/recent-activity', authenticate, isAdmin, async (req, re
           u.name as user_name,
           qu.title as question_title,
           s.passed,
+          s.score,
           s.submitted_at,
           'coding' as activity_type
         FROM submissions s
         JOIN users u ON s.user_id = u.id
         JOIN questions qu ON s.question_id = qu.id
+        WHERE 1 = 1${members.sql}
         ORDER BY s.submitted_at DESC
         LIMIT ?
-      `, [Math.ceil(limit / 2)]);
+      `, [...members.params, Math.ceil(limit / 2)]);
       recentCoding = codingResults || [];
       console.log('Recent coding submissions:', recentCoding.length);
     } catch (codingError) {
@@ -497,4 +581,83 @@ router.get('/leaderboard/recent-activity', authenticate, isAdmin, async (req, re
   }
 });
 
-module.exports = router;
+/**
+ * @route   GET /api/admin/runtimes
+ * @desc    Get the runtimes offered by the execution backend and the language mapping (admin only)
+ * @access  Private (Admin only)
+ */
+router.get('/runtimes', authenticate, isAdmin, async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: languageRuntimes.getRuntimeSettings(executionService.getProvider().name)
+    });
+  } catch (error) {
+    console.error('Get runtimes error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch runtimes. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/runtimes
+ * @desc    Choose which runtimes each language offers and its default (admin only)
+ * @access  Private (Admin only)
+ */
+router.put('/runtimes', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { mapping } = req.body;
+    const providerName = executionService.getProvider().name;
+
+    const validationError = languageRuntimes.validateMapping(mapping, providerName);
+    if (validationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: validationError
+      });
+    }
+
+    await languageRuntimes.saveMapping(mapping, providerName);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Runtime settings updated successfully',
+      data: languageRuntimes.getRuntimeSettings(providerName)
+    });
+  } catch (error) {
+    console.error('Update runtimes error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update runtimes. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/runtimes/refresh
+ * @desc    Re-discover runtimes from the execution backends (admin only)
+ * @access  Private (Admin only)
+ */
+router.post('/runtimes/refresh', authenticate, isAdmin, async (req, res) => {
+  try {
+    const summary = await languageRuntimes.refresh(executionService.getActiveProviders());
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...languageRuntimes.getRuntimeSettings(executionService.getProvider().name),
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Refresh runtimes error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to refresh runtimes. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,556 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, optionalAuthenticate, isAdmin } = require('../middlewares/auth');
+const {
+  ASSESSMENT_LIMITS,
+  normalizeItems,
+  findMissingQuestion,
+  saveItems,
+  getItems,
+  formatItem,
+  assessmentAvailability,
+  isExpired,
+  getAttempt,
+  startAttempt,
+  saveAnswers,
+  finalizeAttempt,
+  attemptResult
+} = require('../utils/assessments');
+const { toSqlDateTime } = require('../utils/dates');
+
+/**
+ * Validates an assessment create/update payload.
+ * @returns {Object} - { error } or { values, items } ready for the database
+ */
+const parseAssessmentBody = (body) => {
+  const title = (body.title || '').trim();
+  if (!title) {
+    return { error: 'Please provide a title' };
+  }
+
+  const { duration: durationBounds } = ASSESSMENT_LIMITS;
+  const duration = Number(body.duration ?? 60);
+  if (!Number.isInteger(duration) || duration < durationBounds.min || duration > durationBounds.max) {
+    return { error: `Duration must be between ${durationBounds.min} and ${durationBounds.max} minutes` };
+  }
+
+  const opensAt = toSqlDateTime(body.opens_at);
+  const closesAt = toSqlDateTime(body.closes_at);
+  if ((body.opens_at && !opensAt) || (body.closes_at && !closesAt)) {
+    return { error: 'Please provide valid opening and closing times' };
+  }
+  if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+    return { error: 'The assessment must close after it opens' };
+  }
+
+  const { error, items } = normalizeItems(body.items);
+  if (error) return { error };
+
+  return {
+    values: {
+      title,
+      description: (body.description || '').trim(),
+      duration,
+      opensAt,
+      closesAt
+    },
+    items
+  };
+};
+
+const getAssessment = async (db, id) => {
+  const [assessments] = await db.execute('SELECT * FROM assessments WHERE id = ?', [id]);
+  return assessments.length > 0 ? assessments[0] : null;
+};
+
+/**
+ * The running attempt as sent to the student taking the assessment
+ */
+const formatAttempt = (attempt) => ({
+  id: attempt.id,
+  startedAt: attempt.started_at,
+  deadline: attempt.deadline_at,
+  remainingSeconds: Math.max(0, attempt.remaining_seconds),
+  answers: attempt.answers,
+  items: attempt.items.map(item => formatItem(item))
+});
+
+/**
+ * Finalize the student's attempt if its time ran out while they were away
+ * @returns {Promise<Object|null>} - The attempt, graded when it has ended
+ */
+const resumeAttempt = async (db, assessmentId, userId) => {
+  const attempt = await getAttempt(db, assessmentId, userId);
+  if (attempt && attempt.status === 'in_progress' && isExpired(attempt)) {
+    await finalizeAttempt(db, attempt, attempt.answers, true);
+    return getAttempt(db, assessmentId, userId);
+  }
+  return attempt;
+};
+
+/**
+ * @route   GET /api/assessments
+ * @desc    Get all assessments with their points and the user's progress
+ * @access  Public (with optional authentication for progress data)
+ */
+router.get('/', optionalAuthenticate, async (req, res) => {
+  try {
+    const [assessments] = await req.db.execute(
+      `SELECT a.*,
+       (SELECT COUNT(*) FROM assessment_items ai WHERE ai.assessment_id = a.id AND ai.item_type = 'quiz') AS quiz_items,
+       (SELECT COUNT(*) FROM assessment_items ai WHERE ai.assessment_id = a.id AND ai.item_type = 'coding') AS coding_items,
+       (SELECT COALESCE(SUM(ai.points), 0) FROM assessment_items ai WHERE ai.assessment_id = a.id) AS total_points
+       FROM assessments a
+       ORDER BY COALESCE(a.opens_at, a.created_at) DESC`
+    );
+
+    let progress = [];
+    if (req.user) {
+      [progress] = await req.db.execute(
+        'SELECT assessment_id, status, score, max_score FROM user_assessment_progress WHERE user_id = ?',
+        [req.user.id]
+      );
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        assessments: assessments.map(assessment => {
+          const own = progress.find(row => row.assessment_id === assessment.id);
+          return {
+            ...assessment,
+            total_points: Number(assessment.total_points),
+            availability: assessmentAvailability(assessment),
+            progress: own ? { status: own.status, score: Number(own.score), maxScore: own.max_score } : null
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Get assessments error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch assessments. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/assessments/:id
+ * @desc    Get an assessment with the student's running attempt or their result
+ * @access  Private
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const assessment = await getAssessment(req.db, req.params.id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assessment not found'
+      });
+    }
+
+    const items = await getItems(req.db, assessment.id);
+    const attempt = await resumeAttempt(req.db, assessment.id, req.user.id);
+    const running = attempt && attempt.status === 'in_progress';
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        assessment: {
+          ...assessment,
+          quiz_items: items.filter(item => item.item_type === 'quiz').length,
+          coding_items: items.filter(item => item.item_type === 'coding').length,
+          total_points: items.reduce((sum, item) => sum + item.points, 0)
+        },
+        availability: assessmentAvailability(assessment),
+        attempt: running ? formatAttempt(attempt) : null,
+        result: attempt && !running ? attemptResult(attempt) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get assessment error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch assessment. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/assessments/:id/start
+ * @desc    Start the student's attempt while the assessment is open, or resume it
+ * @access  Private
+ */
+router.post('/:id/start', authenticate, async (req, res) => {
+  try {
+    const assessment = await getAssessment(req.db, req.params.id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assessment not found'
+      });
+    }
+
+    let attempt = await resumeAttempt(req.db, assessment.id, req.user.id);
+    if (attempt && attempt.status === 'submitted') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You have already completed this assessment.'
+      });
+    }
+
+    if (!attempt) {
+      const availability = assessmentAvailability(assessment);
+      if (!availability.open) {
+        return res.status(403).json({
+          status: 'error',
+          message: availability.message
+        });
+      }
+      attempt = await startAttempt(req.db, assessment, req.user.id);
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        attempt: formatAttempt(attempt)
+      }
+    });
+  } catch (error) {
+    console.error('Start assessment error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to start the assessment. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/assessments/:id/attempt/answers
+ * @desc    Autosave the quiz answers of the running attempt
+ * @access  Private
+ */
+router.put('/:id/attempt/answers', authenticate, async (req, res) => {
+  try {
+    const { answers } = req.body;
+
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide valid answers'
+      });
+    }
+
+    const attempt = await getAttempt(req.db, req.params.id, req.user.id);
+    if (!attempt || attempt.status !== 'in_progress') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No running attempt for this assessment'
+      });
+    }
+
+    const saved = await saveAnswers(req.db, attempt, answers);
+    if (!saved) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Time is up for this attempt. Your answers can no longer be changed.'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        savedAt: new Date().toISOString(),
+        remainingSeconds: Math.max(0, attempt.remaining_seconds)
+      }
+    });
+  } catch (error) {
+    console.error('Save assessment answers error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save answers. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/assessments/:id/submit
+ * @desc    Submit the attempt; late answers fall back to the autosaved ones
+ * @access  Private
+ */
+router.post('/:id/submit', authenticate, async (req, res) => {
+  try {
+    const { answers } = req.body;
+
+    if (!answers || typeof answers !== 'object') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide valid answers'
+      });
+    }
+
+    const attempt = await getAttempt(req.db, req.params.id, req.user.id);
+    if (!attempt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start the assessment before submitting.'
+      });
+    }
+
+    const late = isExpired(attempt);
+    const result = attempt.status === 'in_progress'
+      && await finalizeAttempt(req.db, attempt, late ? attempt.answers : answers, late);
+    if (!result) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This assessment has already been submitted.'
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: late
+        ? 'Time ran out before your answers arrived. Your last autosaved answers were submitted.'
+        : 'Assessment submitted successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Submit assessment error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to submit the assessment. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/assessments/:id/edit
+ * @desc    Get an assessment with its items and answer keys for the assessment editor
+ * @access  Private (Admin only)
+ */
+router.get('/:id/edit', authenticate, isAdmin, async (req, res) => {
+  try {
+    const assessment = await getAssessment(req.db, req.params.id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assessment not found'
+      });
+    }
+
+    const items = await getItems(req.db, assessment.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        assessment,
+        items: items.map(item => formatItem(item, true))
+      }
+    });
+  } catch (error) {
+    console.error('Get assessment for edit error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch assessment. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/assessments/:id/results
+ * @desc    Get the attempts of an assessment with their scores
+ * @access  Private (Admin only)
+ */
+router.get('/:id/results', authenticate, isAdmin, async (req, res) => {
+  try {
+    const assessment = await getAssessment(req.db, req.params.id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assessment not found'
+      });
+    }
+
+    const [attempts] = await req.db.execute(
+      `SELECT aa.id, aa.user_id, u.name AS user_name, aa.status, aa.score, aa.max_score,
+       aa.auto_submitted, aa.started_at, aa.submitted_at
+       FROM assessment_attempts aa
+       JOIN users u ON u.id = aa.user_id
+       WHERE aa.assessment_id = ?
+       ORDER BY aa.status = 'submitted' DESC, aa.score DESC, aa.submitted_at ASC`,
+      [assessment.id]
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        assessment,
+        attempts: attempts.map(attempt => ({
+          ...attempt,
+          score: attempt.score === null ? null : Number(attempt.score),
+          auto_submitted: Boolean(attempt.auto_submitted)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get assessment results error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch assessment results. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/assessments
+ * @desc    Create an assessment with its items
+ * @access  Private (Admin only)
+ */
+router.post('/', authenticate, isAdmin, async (req, res) => {
+  const parsed = parseAssessmentBody(req.body);
+  if (parsed.error) {
+    return res.status(400).json({
+      status: 'error',
+      message: parsed.error
+    });
+  }
+
+  const connection = await req.db.getConnection();
+  try {
+    const missing = await findMissingQuestion(connection, parsed.items);
+    if (missing) {
+      return res.status(400).json({
+        status: 'error',
+        message: missing
+      });
+    }
+
+    const { values } = parsed;
+    await connection.beginTransaction();
+    const [result] = await connection.execute(
+      `INSERT INTO assessments (title, description, duration, opens_at, closes_at, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [values.title, values.description, values.duration, values.opensAt, values.closesAt, req.user.id]
+    );
+    await saveItems(connection, result.insertId, parsed.items);
+    await connection.commit();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Assessment created successfully',
+      data: {
+        assessmentId: result.insertId
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Create assessment error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create assessment. Please try again.'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * @route   PUT /api/assessments/:id
+ * @desc    Update an assessment and replace its items; attempts already started keep their copy
+ * @access  Private (Admin only)
+ */
+router.put('/:id', authenticate, isAdmin, async (req, res) => {
+  const parsed = parseAssessmentBody(req.body);
+  if (parsed.error) {
+    return res.status(400).json({
+      status: 'error',
+      message: parsed.error
+    });
+  }
+
+  const connection = await req.db.getConnection();
+  try {
+    const missing = await findMissingQuestion(connection, parsed.items);
+    if (missing) {
+      return res.status(400).json({
+        status: 'error',
+        message: missing
+      });
+    }
+
+    const { values } = parsed;
+    await connection.beginTransaction();
+    const [result] = await connection.execute(
+      `UPDATE assessments SET title = ?, description = ?, duration = ?, opens_at = ?, closes_at = ?
+       WHERE id = ?`,
+      [values.title, values.description, values.duration, values.opensAt, values.closesAt, req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assessment not found'
+      });
+    }
+
+    await saveItems(connection, req.params.id, parsed.items);
+    await connection.commit();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Assessment updated successfully'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Update assessment error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update assessment. Please try again.'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * @route   DELETE /api/assessments/:id
+ * @desc    Delete an assessment; its coding submissions are kept as practice submissions
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', authenticate, isAdmin, async (req, res) => {
+  try {
+    await req.db.execute(
+      `UPDATE submissions SET assessment_attempt_id = NULL
+       WHERE assessment_attempt_id IN (SELECT id FROM assessment_attempts WHERE assessment_id = ?)`,
+      [req.params.id]
+    );
+
+    const [result] = await req.db.execute('DELETE FROM assessments WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assessment not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Assessment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete assessment error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete assessment. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,605 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, isInstructor } = require('../middlewares/auth');
+const {
+  createJoinCode,
+  normalizeJoinCode,
+  canManageCohort,
+  normalizeAssignment,
+  findMissingContent,
+  saveAssignmentQuestions,
+  getAssignments,
+  assignmentProgress
+} = require('../utils/cohorts');
+
+const getCohort = async (db, id) => {
+  const [cohorts] = await db.execute(
+    `SELECT c.*, u.name AS instructor_name
+     FROM cohorts c
+     LEFT JOIN users u ON u.id = c.instructor_id
+     WHERE c.id = ?`,
+    [id]
+  );
+  return cohorts.length > 0 ? cohorts[0] : null;
+};
+
+const getMemberIds = async (db, cohortId) => {
+  const [members] = await db.execute('SELECT user_id FROM cohort_members WHERE cohort_id = ?', [cohortId]);
+  return members.map(member => member.user_id);
+};
+
+/**
+ * Loads the cohort of the route into req.cohort, for its instructor or an admin
+ */
+const managedCohort = async (req, res, next) => {
+  try {
+    const cohort = await getCohort(req.db, req.params.id);
+    if (!cohort) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cohort not found'
+      });
+    }
+    if (!canManageCohort(req.user, cohort)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the instructor of this cohort can do that'
+      });
+    }
+    req.cohort = cohort;
+    next();
+  } catch (error) {
+    console.error('Load cohort error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to load the cohort. Please try again.'
+    });
+  }
+};
+
+/**
+ * Validates a cohort create/update payload. Only admins pick the instructor;
+ * cohorts created by an instructor are theirs.
+ * @returns {Promise<Object>} - { error } or { values }
+ */
+const parseCohortBody = async (db, body, user, existing = null) => {
+  const name = (body.name || '').trim();
+  if (!name) {
+    return { error: 'Please provide a name' };
+  }
+
+  let instructorId = existing ? existing.instructor_id : (user.role === 'instructor' ? user.id : null);
+  if (user.role === 'admin' && body.instructor_id !== undefined) {
+    instructorId = body.instructor_id ? Number(body.instructor_id) : null;
+    if (instructorId) {
+      const [instructors] = await db.execute(
+        "SELECT id FROM users WHERE id = ? AND role IN ('instructor', 'admin')",
+        [instructorId]
+      );
+      if (instructors.length === 0) {
+        return { error: 'The instructor must be a user with the instructor role' };
+      }
+    }
+  }
+
+  return {
+    values: {
+      name,
+      description: (body.description || '').trim(),
+      instructorId
+    }
+  };
+};
+
+/**
+ * @route   GET /api/cohorts
+ * @desc    Get the cohorts the user teaches or belongs to (every cohort for admins)
+ * @access  Private
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const [cohorts] = await req.db.execute(
+      `SELECT c.*, u.name AS instructor_name,
+       (SELECT COUNT(*) FROM cohort_members cm WHERE cm.cohort_id = c.id) AS member_count,
+       (SELECT COUNT(*) FROM cohort_assignments ca WHERE ca.cohort_id = c.id) AS assignment_count
+       FROM cohorts c
+       LEFT JOIN users u ON u.id = c.instructor_id
+       WHERE ? OR c.instructor_id = ? OR c.id IN (SELECT cohort_id FROM cohort_members WHERE user_id = ?)
+       ORDER BY c.name`,
+      [req.user.role === 'admin' ? 1 : 0, req.user.id, req.user.id]
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        cohorts: cohorts.map(cohort => {
+          const managed = canManageCohort(req.user, cohort);
+          const { join_code, ...rest } = cohort;
+          return managed ? { ...cohort, managed } : { ...rest, managed };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Get cohorts error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch cohorts. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cohorts/join
+ * @desc    Join a cohort with its join code
+ * @access  Private
+ */
+router.post('/join', authenticate, async (req, res) => {
+  try {
+    const joinCode = normalizeJoinCode(req.body.join_code);
+    if (!joinCode) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please enter a join code'
+      });
+    }
+
+    const [cohorts] = await req.db.execute('SELECT id, name FROM cohorts WHERE join_code = ?', [joinCode]);
+    if (cohorts.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No cohort has this join code'
+      });
+    }
+
+    const cohort = cohorts[0];
+    const [result] = await req.db.execute(
+      'INSERT IGNORE INTO cohort_members (cohort_id, user_id) VALUES (?, ?)',
+      [cohort.id, req.user.id]
+    );
+
+    res.status(result.affectedRows > 0 ? 201 : 200).json({
+      status: 'success',
+      message: result.affectedRows > 0 ? `You joined ${cohort.name}` : `You are already in ${cohort.name}`,
+      data: {
+        cohortId: cohort.id
+      }
+    });
+  } catch (error) {
+    console.error('Join cohort error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to join the cohort. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cohorts/:id
+ * @desc    Get a cohort with its assignments: the user's own progress for
+ *          members, and the members with completion counts for its instructor
+ * @access  Private (Members, the cohort's instructor and admins)
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const cohort = await getCohort(req.db, req.params.id);
+    if (!cohort) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cohort not found'
+      });
+    }
+
+    const managed = canManageCohort(req.user, cohort);
+    const memberIds = await getMemberIds(req.db, cohort.id);
+    const isMember = memberIds.includes(req.user.id);
+    if (!managed && !isMember) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not a member of this cohort'
+      });
+    }
+
+    const assignments = await getAssignments(req.db, cohort.id);
+    const formatted = [];
+    for (const assignment of assignments) {
+      const entry = { ...assignment };
+      if (isMember) {
+        const own = await assignmentProgress(req.db, assignment, [req.user.id]);
+        entry.progress = own.get(req.user.id);
+      }
+      if (managed) {
+        const progress = [...(await assignmentProgress(req.db, assignment, memberIds)).values()];
+        entry.summary = {
+          members: memberIds.length,
+          completed: progress.filter(row => row.status === 'completed').length,
+          late: progress.filter(row => row.late).length
+        };
+      }
+      formatted.push(entry);
+    }
+
+    let members = [];
+    if (managed) {
+      [members] = await req.db.execute(
+        `SELECT u.id, u.name, u.email, cm.joined_at
+         FROM cohort_members cm
+         JOIN users u ON u.id = cm.user_id
+         WHERE cm.cohort_id = ?
+         ORDER BY u.name`,
+        [cohort.id]
+      );
+    }
+
+    const { join_code, ...rest } = cohort;
+    res.status(200).json({
+      status: 'success',
+      data: {
+        cohort: managed ? { ...cohort, managed, member: isMember } : { ...rest, managed, member: isMember },
+        assignments: formatted,
+        members
+      }
+    });
+  } catch (error) {
+    console.error('Get cohort error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch the cohort. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cohorts
+ * @desc    Create a cohort with a new join code
+ * @access  Private (Instructors and admins)
+ */
+router.post('/', authenticate, isInstructor, async (req, res) => {
+  try {
+    const parsed = await parseCohortBody(req.db, req.body, req.user);
+    if (parsed.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: parsed.error
+      });
+    }
+
+    const { values } = parsed;
+    const joinCode = await createJoinCode(req.db);
+    const [result] = await req.db.execute(
+      'INSERT INTO cohorts (name, description, join_code, instructor_id, created_by) VALUES (?, ?, ?, ?, ?)',
+      [values.name, values.description, joinCode, values.instructorId, req.user.id]
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Cohort created successfully',
+      data: {
+        cohortId: result.insertId,
+        joinCode
+      }
+    });
+  } catch (error) {
+    console.error('Create cohort error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create cohort. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/cohorts/:id
+ * @desc    Update a cohort's name, description and (admins only) instructor
+ * @access  Private (The cohort's instructor and admins)
+ */
+router.put('/:id', authenticate, isInstructor, managedCohort, async (req, res) => {
+  try {
+    const parsed = await parseCohortBody(req.db, req.body, req.user, req.cohort);
+    if (parsed.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: parsed.error
+      });
+    }
+
+    const { values } = parsed;
+    await req.db.execute(
+      'UPDATE cohorts SET name = ?, description = ?, instructor_id = ? WHERE id = ?',
+      [values.name, values.description, values.instructorId, req.cohort.id]
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Cohort updated successfully'
+    });
+  } catch (error) {
+    console.error('Update cohort error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update cohort. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cohorts/:id/join-code
+ * @desc    Replace the join code of a cohort; the old code stops working
+ * @access  Private (The cohort's instructor and admins)
+ */
+router.post('/:id/join-code', authenticate, isInstructor, managedCohort, async (req, res) => {
+  try {
+    const joinCode = await createJoinCode(req.db);
+    await req.db.execute('UPDATE cohorts SET join_code = ? WHERE id = ?', [joinCode, req.cohort.id]);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Join code regenerated',
+      data: {
+        joinCode
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate join code error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to regenerate the join code. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/cohorts/:id
+ * @desc    Delete a cohort with its memberships and assignments
+ * @access  Private (The cohort's instructor and admins)
+ */
+router.delete('/:id', authenticate, isInstructor, managedCohort, async (req, res) => {
+  try {
+    await req.db.execute('DELETE FROM cohorts WHERE id = ?', [req.cohort.id]);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Cohort deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete cohort error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete cohort. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/cohorts/:id/members/:userId
+ * @desc    Remove a student from a cohort, or leave it when the user is that student
+ * @access  Private (The member, the cohort's instructor and admins)
+ */
+router.delete('/:id/members/:userId', authenticate, async (req, res) => {
+  try {
+    const cohort = await getCohort(req.db, req.params.id);
+    if (!cohort) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cohort not found'
+      });
+    }
+
+    const userId = Number(req.params.userId);
+    if (userId !== req.user.id && !canManageCohort(req.user, cohort)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the instructor of this cohort can remove its members'
+      });
+    }
+
+    const [result] = await req.db.execute(
+      'DELETE FROM cohort_members WHERE cohort_id = ? AND user_id = ?',
+      [cohort.id, userId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This user is not a member of the cohort'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: userId === req.user.id ? `You left ${cohort.name}` : 'Member removed'
+    });
+  } catch (error) {
+    console.error('Remove cohort member error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove the member. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cohorts/:id/assignments/:assignmentId/progress
+ * @desc    Get every member's progress on an assignment
+ * @access  Private (The cohort's instructor and admins)
+ */
+router.get('/:id/assignments/:assignmentId/progress', authenticate, isInstructor, managedCohort, async (req, res) => {
+  try {
+    const assignments = await getAssignments(req.db, req.cohort.id);
+    const assignment = assignments.find(candidate => candidate.id === Number(req.params.assignmentId));
+    if (!assignment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assignment not found'
+      });
+    }
+
+    const [members] = await req.db.execute(
+      `SELECT u.id, u.name, u.email
+       FROM cohort_members cm
+       JOIN users u ON u.id = cm.user_id
+       WHERE cm.cohort_id = ?
+       ORDER BY u.name`,
+      [req.cohort.id]
+    );
+    const progress = await assignmentProgress(req.db, assignment, members.map(member => member.id));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        assignment,
+        members: members.map(member => ({ ...member, progress: progress.get(member.id) }))
+      }
+    });
+  } catch (error) {
+    console.error('Get assignment progress error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch assignment progress. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cohorts/:id/assignments
+ * @desc    Assign a quiz or a problem set to a cohort
+ * @access  Private (The cohort's instructor and admins)
+ */
+router.post('/:id/assignments', authenticate, isInstructor, managedCohort, async (req, res) => {
+  const parsed = normalizeAssignment(req.body);
+  if (parsed.error) {
+    return res.status(400).json({
+      status: 'error',
+      message: parsed.error
+    });
+  }
+
+  const connection = await req.db.getConnection();
+  try {
+    const { values, questionIds } = parsed;
+    const missing = await findMissingContent(connection, values, questionIds);
+    if (missing) {
+      return res.status(400).json({
+        status: 'error',
+        message: missing
+      });
+    }
+
+    await connection.beginTransaction();
+    const [result] = await connection.execute(
+      `INSERT INTO cohort_assignments (cohort_id, title, assignment_type, quiz_id, due_at, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [req.cohort.id, values.title, values.type, values.quizId, values.dueAt, req.user.id]
+    );
+    await saveAssignmentQuestions(connection, result.insertId, questionIds);
+    await connection.commit();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Assignment created successfully',
+      data: {
+        assignmentId: result.insertId
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Create assignment error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create assignment. Please try again.'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * @route   PUT /api/cohorts/:id/assignments/:assignmentId
+ * @desc    Update an assignment and replace its problems
+ * @access  Private (The cohort's instructor and admins)
+ */
+router.put('/:id/assignments/:assignmentId', authenticate, isInstructor, managedCohort, async (req, res) => {
+  const parsed = normalizeAssignment(req.body);
+  if (parsed.error) {
+    return res.status(400).json({
+      status: 'error',
+      message: parsed.error
+    });
+  }
+
+  const connection = await req.db.getConnection();
+  try {
+    const { values, questionIds } = parsed;
+    const missing = await findMissingContent(connection, values, questionIds);
+    if (missing) {
+      return res.status(400).json({
+        status: 'error',
+        message: missing
+      });
+    }
+
+    await connection.beginTransaction();
+    const [result] = await connection.execute(
+      `UPDATE cohort_assignments SET title = ?, assignment_type = ?, quiz_id = ?, due_at = ?
+       WHERE id = ? AND cohort_id = ?`,
+      [values.title, values.type, values.quizId, values.dueAt, req.params.assignmentId, req.cohort.id]
+    );
+
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assignment not found'
+      });
+    }
+
+    await saveAssignmentQuestions(connection, req.params.assignmentId, questionIds);
+    await connection.commit();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Assignment updated successfully'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Update assignment error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update assignment. Please try again.'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * @route   DELETE /api/cohorts/:id/assignments/:assignmentId
+ * @desc    Delete an assignment
+ * @access  Private (The cohort's instructor and admins)
+ */
+router.delete('/:id/assignments/:assignmentId', authenticate, isInstructor, managedCohort, async (req, res) => {
+  try {
+    const [result] = await req.db.execute(
+      'DELETE FROM cohort_assignments WHERE id = ? AND cohort_id = ?',
+      [req.params.assignmentId, req.cohort.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assignment not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Assignment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete assignment error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete assignment. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const judge0 = require('../utils/judge0');
+const { authenticate } = require('../middlewares/auth');
+const executionService = require('../utils/executionService');
+const languageRuntimes = require('../utils/languageRuntimes');
 
 /**
  * @route   POST /api/compiler/execute
  * @desc    Execute code without saving (online compiler)
- * @access  Public
+ * @access  Private
  */
-router.post('/execute', async (req, res) => {
+router.post('/execute', authenticate, async (req, res) => {
   try {
-    const { code, language, input } = req.body;
+    const { code, language, input, runtime } = req.body;
     
     if (!code || !language) {
       return res.status(400).json({
@@ -18,7 +20,7 @@ router.post('/execute', async (req, res) => {
       });
     }
     
-    const result = await judge0.submitCode(code, language, input || '');
+    const result = await executionService.submitCode(code, language, input || '', { runtime });
     
     res.status(200).json({
       status: 'success',
@@ -35,22 +37,12 @@ router.post('/execute', async (req, res) => {
 
 /**
  * @route   GET /api/compiler/languages
- * @desc    Get supported languages
+ * @desc    Get supported languages with the runtime versions enabled for each
  * @access  Public
  */
 router.get('/languages', (req, res) => {
   try {
-    const languages = [
-      { id: 'javascript', name: 'JavaScript (Node.js)', version: '12.14.0' },
-      { id: 'python', name: 'Python', version: '3.8.1' },
-      { id: 'java', name: 'Java', version: 'OpenJDK 13.0.1' },
-      { id: 'cpp', name: 'C++', version: 'GCC 9.2.0' },
-      { id: 'c', name: 'C', version: 'GCC 9.2.0' },
-      { id: 'csharp', name: 'C#', version: 'Mono 6.6.0.161' },
-      { id: 'ruby', name: 'Ruby', version: '2.7.0' },
-      { id: 'go', name: 'Go', version: '1.13.5' },
-      { id: 'php', name: 'PHP', version: '7.4.1' },
-    ];
+    const languages = languageRuntimes.listLanguages(executionService.getProvider().name);
     
     res.status(200).json({
       status: 'success',
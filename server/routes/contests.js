@@ -0,0 +1,550 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, optionalAuthenticate, isAdmin } = require('../middlewares/auth');
+const {
+  CONTEST_SCORING,
+  CONTEST_LIMITS,
+  contestPhase,
+  freezeTime,
+  isScoreboardFrozen,
+  buildScoreboard
+} = require('../utils/contests');
+const { toSqlDateTime } = require('../utils/dates');
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Adds the derived timing fields clients need to a contest row.
+ */
+const formatContest = (contest) => ({
+  ...contest,
+  scoreboard_unfrozen: Boolean(contest.scoreboard_unfrozen),
+  phase: contestPhase(contest),
+  freeze_at: freezeTime(contest)
+});
+
+/**
+ * Validates a contest payload.
+ * @returns {Object} - { error } or { values, problems }
+ */
+const parseContestBody = (body) => {
+  const title = (body.title || '').trim();
+  if (!title) {
+    return { error: 'Please provide a contest title' };
+  }
+
+  const start = new Date(body.start_time);
+  const end = new Date(body.end_time);
+  if (isBlank(body.start_time) || isBlank(body.end_time) || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: 'Please provide a valid start and end time' };
+  }
+  if (end <= start) {
+    return { error: 'The contest must end after it starts' };
+  }
+
+  const scoringType = body.scoring_type || 'icpc';
+  if (!CONTEST_SCORING.includes(scoringType)) {
+    return { error: `Scoring must be one of: ${CONTEST_SCORING.join(', ')}` };
+  }
+
+  const { penaltyMinutes: penaltyBounds, points: pointBounds } = CONTEST_LIMITS;
+  const penaltyMinutes = isBlank(body.penalty_minutes) ? 20 : Number(body.penalty_minutes);
+  if (!Number.isInteger(penaltyMinutes) || penaltyMinutes < penaltyBounds.min || penaltyMinutes > penaltyBounds.max) {
+    return { error: `Penalty must be a whole number between ${penaltyBounds.min} and ${penaltyBounds.max} minutes` };
+  }
+
+  const durationMinutes = Math.floor((end - start) / 60000);
+  const freezeMinutes = isBlank(body.freeze_minutes) ? null : Number(body.freeze_minutes);
+  if (freezeMinutes !== null && (!Number.isInteger(freezeMinutes) || freezeMinutes < 1 || freezeMinutes >= durationMinutes)) {
+    return { error: 'The scoreboard freeze must be a whole number of minutes shorter than the contest' };
+  }
+
+  if (!Array.isArray(body.problems) || body.problems.length === 0) {
+    return { error: 'Please add at least one problem' };
+  }
+  if (body.problems.length > CONTEST_LIMITS.problems) {
+    return { error: `A contest can have at most ${CONTEST_LIMITS.problems} problems` };
+  }
+
+  const problems = [];
+  const seen = new Set();
+  for (const [index, problem] of body.problems.entries()) {
+    const questionId = Number(problem.question_id);
+    if (!Number.isInteger(questionId) || questionId <= 0) {
+      return { error: `Problem ${index + 1} has no question` };
+    }
+    if (seen.has(questionId)) {
+      return { error: 'A question can only be added to a contest once' };
+    }
+    seen.add(questionId);
+
+    const points = isBlank(problem.points) ? 100 : Number(problem.points);
+    if (!Number.isInteger(points) || points < pointBounds.min || points > pointBounds.max) {
+      return { error: `Points must be a whole number between ${pointBounds.min} and ${pointBounds.max}` };
+    }
+
+    const label = (problem.label || String.fromCharCode(65 + index)).toString().trim().slice(0, 10);
+    problems.push({ questionId, points, label, position: index });
+  }
+
+  return {
+    values: {
+      title,
+      description: (body.description || '').trim(),
+      startTime: toSqlDateTime(start),
+      endTime: toSqlDateTime(end),
+      scoringType,
+      penaltyMinutes,
+      freezeMinutes
+    },
+    problems
+  };
+};
+
+/**
+ * Checks that every problem of a parsed payload refers to an existing question.
+ * @returns {Promise<string|null>} - Error message, or null when all exist
+ */
+const findMissingQuestion = async (db, problems) => {
+  const ids = problems.map(problem => problem.questionId);
+  const [rows] = await db.execute(
+    `SELECT id FROM questions WHERE id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  );
+  const existing = new Set(rows.map(row => row.id));
+  const missing = ids.find(id => !existing.has(id));
+  return missing ? `Question #${missing} does not exist` : null;
+};
+
+/**
+ * Replaces the problem set of a contest.
+ */
+const saveContestProblems = async (connection, contestId, problems) => {
+  await connection.execute('DELETE FROM contest_problems WHERE contest_id = ?', [contestId]);
+  for (const problem of problems) {
+    await connection.execute(
+      'INSERT INTO contest_problems (contest_id, question_id, label, points, position) VALUES (?, ?, ?, ?, ?)',
+      [contestId, problem.questionId, problem.label, problem.points, problem.position]
+    );
+  }
+};
+
+const getContestProblems = async (db, contestId) => {
+  const [problems] = await db.execute(
+    `SELECT cp.question_id, cp.label, cp.points, q.title, q.difficulty, q.io_mode
+     FROM contest_problems cp
+     JOIN questions q ON q.id = cp.question_id
+     WHERE cp.contest_id = ?
+     ORDER BY cp.position, cp.id`,
+    [contestId]
+  );
+  return problems;
+};
+
+/**
+ * @route   GET /api/contests
+ * @desc    Get all contests with their phase and registration state
+ * @access  Public (with optional authentication for registration data)
+ */
+router.get('/', optionalAuthenticate, async (req, res) => {
+  try {
+    const [contests] = await req.db.execute(
+      `SELECT c.*,
+              (SELECT COUNT(*) FROM contest_problems cp WHERE cp.contest_id = c.id) AS problemCount,
+              (SELECT COUNT(*) FROM contest_registrations r WHERE r.contest_id = c.id) AS participantCount,
+              EXISTS(SELECT 1 FROM contest_registrations r WHERE r.contest_id = c.id AND r.user_id = ?) AS registered
+       FROM contests c
+       ORDER BY c.start_time DESC`,
+      [req.user?.id || null]
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        contests: contests.map(contest => ({ ...formatContest(contest), registered: Boolean(contest.registered) }))
+      }
+    });
+  } catch (error) {
+    console.error('Get contests error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch contests. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/contests/:id
+ * @desc    Get a contest; its problems are hidden from non-admins until it starts
+ * @access  Public (with optional authentication for registration data)
+ */
+router.get('/:id', optionalAuthenticate, async (req, res) => {
+  try {
+    const [contests] = await req.db.execute('SELECT * FROM contests WHERE id = ?', [req.params.id]);
+
+    if (contests.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Contest not found'
+      });
+    }
+
+    const contest = formatContest(contests[0]);
+    const admin = req.user?.role === 'admin';
+
+    const [registrations] = await req.db.execute(
+      'SELECT user_id FROM contest_registrations WHERE contest_id = ?',
+      [contest.id]
+    );
+
+    const problems = admin || contest.phase !== 'upcoming'
+      ? await getContestProblems(req.db, contest.id)
+      : [];
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        contest: {
+          ...contest,
+          participantCount: registrations.length,
+          registered: Boolean(req.user) && registrations.some(row => row.user_id === req.user.id)
+        },
+        problems
+      }
+    });
+  } catch (error) {
+    console.error('Get contest error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch contest. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/contests/:id/scoreboard
+ * @desc    Get the contest scoreboard (frozen for non-admins during the freeze)
+ * @access  Public (admins always see live results)
+ */
+router.get('/:id/scoreboard', optionalAuthenticate, async (req, res) => {
+  try {
+    const [contests] = await req.db.execute('SELECT * FROM contests WHERE id = ?', [req.params.id]);
+
+    if (contests.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Contest not found'
+      });
+    }
+
+    const contest = contests[0];
+    const phase = contestPhase(contest);
+    const admin = req.user?.role === 'admin';
+
+    const [participants] = await req.db.execute(
+      `SELECT r.user_id, u.name
+       FROM contest_registrations r
+       JOIN users u ON u.id = r.user_id
+       WHERE r.contest_id = ?`,
+      [contest.id]
+    );
+
+    let problems = [];
+    let submissions = [];
+    if (admin || phase !== 'upcoming') {
+      problems = await getContestProblems(req.db, contest.id);
+      // Partial scores need the per-test results; ICPC only needs verdicts
+      [submissions] = await req.db.execute(
+        `SELECT user_id, question_id, verdict, judge_status, submitted_at,
+                ${contest.scoring_type === 'ioi' ? 'test_case_results' : 'NULL AS test_case_results'}
+         FROM submissions
+         WHERE contest_id = ?
+         ORDER BY submitted_at, id`,
+        [contest.id]
+      );
+    }
+
+    const scoreboard = buildScoreboard(contest, problems, participants, submissions, {
+      frozen: !admin && isScoreboardFrozen(contest)
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        contest: formatContest(contest),
+        scoreboard
+      }
+    });
+  } catch (error) {
+    console.error('Get scoreboard error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch scoreboard. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/contests/:id/register
+ * @desc    Register the current user for a contest (allowed until it ends)
+ * @access  Private
+ */
+router.post('/:id/register', authenticate, async (req, res) => {
+  try {
+    const [contests] = await req.db.execute('SELECT * FROM contests WHERE id = ?', [req.params.id]);
+
+    if (contests.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Contest not found'
+      });
+    }
+
+    if (contestPhase(contests[0]) === 'finished') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This contest has already ended'
+      });
+    }
+
+    await req.db.execute(
+      'INSERT IGNORE INTO contest_registrations (contest_id, user_id) VALUES (?, ?)',
+      [contests[0].id, req.user.id]
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Registered for the contest'
+    });
+  } catch (error) {
+    console.error('Register for contest error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to register. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/contests/:id/register
+ * @desc    Cancel the current user's registration before the contest starts
+ * @access  Private
+ */
+router.delete('/:id/register', authenticate, async (req, res) => {
+  try {
+    const [contests] = await req.db.execute('SELECT * FROM contests WHERE id = ?', [req.params.id]);
+
+    if (contests.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Contest not found'
+      });
+    }
+
+    if (contestPhase(contests[0]) !== 'upcoming') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Registration can only be cancelled before the contest starts'
+      });
+    }
+
+    await req.db.execute(
+      'DELETE FROM contest_registrations WHERE contest_id = ? AND user_id = ?',
+      [contests[0].id, req.user.id]
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Registration cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel contest registration error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to cancel registration. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/contests
+ * @desc    Create a contest
+ * @access  Private/Admin
+ */
+router.post('/', authenticate, isAdmin, async (req, res) => {
+  const parsed = parseContestBody(req.body);
+  if (parsed.error) {
+    return res.status(400).json({
+      status: 'error',
+      message: parsed.error
+    });
+  }
+
+  const connection = await req.db.getConnection();
+  try {
+    const missing = await findMissingQuestion(connection, parsed.problems);
+    if (missing) {
+      return res.status(400).json({
+        status: 'error',
+        message: missing
+      });
+    }
+
+    const { values } = parsed;
+    await connection.beginTransaction();
+    const [result] = await connection.execute(
+      `INSERT INTO contests (title, description, start_time, end_time, scoring_type, penalty_minutes, freeze_minutes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [values.title, values.description, values.startTime, values.endTime, values.scoringType, values.penaltyMinutes, values.freezeMinutes, req.user.id]
+    );
+    await saveContestProblems(connection, result.insertId, parsed.problems);
+    await connection.commit();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Contest created successfully',
+      data: {
+        contestId: result.insertId
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Create contest error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create contest. Please try again.'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * @route   PUT /api/contests/:id
+ * @desc    Update a contest and replace its problem set
+ * @access  Private/Admin
+ */
+router.put('/:id', authenticate, isAdmin, async (req, res) => {
+  const parsed = parseContestBody(req.body);
+  if (parsed.error) {
+    return res.status(400).json({
+      status: 'error',
+      message: parsed.error
+    });
+  }
+
+  const connection = await req.db.getConnection();
+  try {
+    const [contests] = await connection.execute('SELECT id FROM contests WHERE id = ?', [req.params.id]);
+    if (contests.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Contest not found'
+      });
+    }
+
+    const missing = await findMissingQuestion(connection, parsed.problems);
+    if (missing) {
+      return res.status(400).json({
+        status: 'error',
+        message: missing
+      });
+    }
+
+    const { values } = parsed;
+    await connection.beginTransaction();
+    await connection.execute(
+      `UPDATE contests
+       SET title = ?, description = ?, start_time = ?, end_time = ?, scoring_type = ?, penalty_minutes = ?, freeze_minutes = ?
+       WHERE id = ?`,
+      [values.title, values.description, values.startTime, values.endTime, values.scoringType, values.penaltyMinutes, values.freezeMinutes, contests[0].id]
+    );
+    await saveContestProblems(connection, contests[0].id, parsed.problems);
+    await connection.commit();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Contest updated successfully'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Update contest error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update contest. Please try again.'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * @route   POST /api/contests/:id/unfreeze
+ * @desc    Reveal the final scoreboard of a finished contest
+ * @access  Private/Admin
+ */
+router.post('/:id/unfreeze', authenticate, isAdmin, async (req, res) => {
+  try {
+    const [contests] = await req.db.execute('SELECT * FROM contests WHERE id = ?', [req.params.id]);
+
+    if (contests.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Contest not found'
+      });
+    }
+
+    if (contestPhase(contests[0]) !== 'finished') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The scoreboard can only be unfrozen after the contest ends'
+      });
+    }
+
+    await req.db.execute('UPDATE contests SET scoreboard_unfrozen = TRUE WHERE id = ?', [contests[0].id]);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scoreboard unfrozen'
+    });
+  } catch (error) {
+    console.error('Unfreeze scoreboard error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to unfreeze the scoreboard. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/contests/:id
+ * @desc    Delete a contest; its submissions are kept as practice submissions
+ * @access  Private/Admin
+ */
+router.delete('/:id', authenticate, isAdmin, async (req, res) => {
+  try {
+    const [result] = await req.db.execute('DELETE FROM contests WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Contest not found'
+      });
+    }
+
+    await req.db.execute('UPDATE submissions SET contest_id = NULL WHERE contest_id = ?', [req.params.id]);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Contest deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete contest error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete contest. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
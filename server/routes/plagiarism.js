@@ -0,0 +1,244 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, isAdmin } = require('../middlewares/auth');
+const plagiarismJobs = require('../utils/plagiarismJobs');
+const { PLAGIARISM_LIMITS, matchedLines } = require('../utils/plagiarism');
+const { LANGUAGE_NAMES } = require('../utils/languageRuntimes');
+const { parseJson } = require('../utils/json');
+
+const REPORT_COLUMNS = `r.id, r.question_id, q.title AS question_title, r.language, r.threshold, r.status,
+  r.submission_count, r.error, r.created_at, r.finished_at, u.name AS created_by_name`;
+
+/**
+ * @route   GET /api/plagiarism/reports
+ * @desc    List plagiarism reports, optionally for one question (admin only)
+ * @access  Private (Admin only)
+ */
+router.get('/reports', authenticate, isAdmin, async (req, res) => {
+  try {
+    const questionId = parseInt(req.query.question_id, 10);
+    const [reports] = await req.db.execute(
+      `SELECT ${REPORT_COLUMNS},
+              JSON_LENGTH(r.result, '$.pairs') AS pair_count,
+              JSON_LENGTH(r.result, '$.clusters') AS cluster_count
+       FROM plagiarism_reports r
+       JOIN questions q ON q.id = r.question_id
+       LEFT JOIN users u ON u.id = r.created_by
+       ${questionId ? 'WHERE r.question_id = ?' : ''}
+       ORDER BY r.created_at DESC, r.id DESC
+       LIMIT 50`,
+      questionId ? [questionId] : []
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        reports
+      }
+    });
+  } catch (error) {
+    console.error('Get plagiarism reports error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch plagiarism reports. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/plagiarism/reports
+ * @desc    Start comparing the accepted solutions of a question (admin only)
+ * @access  Private (Admin only)
+ */
+router.post('/reports', authenticate, isAdmin, async (req, res) => {
+  try {
+    const questionId = parseInt(req.body.question_id, 10);
+    const language = req.body.language || null;
+    const threshold = req.body.threshold === undefined || req.body.threshold === ''
+      ? PLAGIARISM_LIMITS.threshold.default
+      : Number(req.body.threshold);
+
+    if (language && !LANGUAGE_NAMES[language]) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unsupported language: ${language}`
+      });
+    }
+
+    if (!Number.isInteger(threshold) || threshold < PLAGIARISM_LIMITS.threshold.min || threshold > PLAGIARISM_LIMITS.threshold.max) {
+      return res.status(400).json({
+        status: 'error',
+        message: `The threshold must be a whole percentage between ${PLAGIARISM_LIMITS.threshold.min} and ${PLAGIARISM_LIMITS.threshold.max}`
+      });
+    }
+
+    const [questions] = await req.db.execute('SELECT id FROM questions WHERE id = ?', [questionId || 0]);
+    if (questions.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found'
+      });
+    }
+
+    const [result] = await req.db.execute(
+      'INSERT INTO plagiarism_reports (question_id, language, threshold, created_by) VALUES (?, ?, ?, ?)',
+      [questionId, language, threshold, req.user.id]
+    );
+
+    plagiarismJobs.enqueue(result.insertId);
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Plagiarism check started',
+      data: {
+        reportId: result.insertId
+      }
+    });
+  } catch (error) {
+    console.error('Create plagiarism report error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to start the plagiarism check. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/plagiarism/reports/:id
+ * @desc    Get a plagiarism report with its flagged pairs and clusters (admin only)
+ * @access  Private (Admin only)
+ */
+router.get('/reports/:id', authenticate, isAdmin, async (req, res) => {
+  try {
+    const [reports] = await req.db.execute(
+      `SELECT ${REPORT_COLUMNS}, r.result
+       FROM plagiarism_reports r
+       JOIN questions q ON q.id = r.question_id
+       LEFT JOIN users u ON u.id = r.created_by
+       WHERE r.id = ?`,
+      [req.params.id]
+    );
+
+    if (reports.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Report not found'
+      });
+    }
+
+    const { result, ...report } = reports[0];
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        report,
+        result: parseJson(result, null)
+      }
+    });
+  } catch (error) {
+    console.error('Get plagiarism report error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch the plagiarism report. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/plagiarism/reports/:id/compare
+ * @desc    Two solutions of a report side by side with their matching lines (admin only)
+ * @access  Private (Admin only)
+ */
+router.get('/reports/:id/compare', authenticate, isAdmin, async (req, res) => {
+  try {
+    const ids = [parseInt(req.query.a, 10), parseInt(req.query.b, 10)];
+    if (ids.some(id => !id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide the two submissions to compare'
+      });
+    }
+
+    const [reports] = await req.db.execute(
+      `SELECT r.question_id, q.starter_code
+       FROM plagiarism_reports r
+       JOIN questions q ON q.id = r.question_id
+       WHERE r.id = ?`,
+      [req.params.id]
+    );
+
+    if (reports.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Report not found'
+      });
+    }
+
+    const [submissions] = await req.db.execute(
+      `SELECT s.id, s.user_id, u.name, u.email, s.language, s.code, s.submitted_at
+       FROM submissions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id IN (?, ?) AND s.question_id = ?`,
+      [...ids, reports[0].question_id]
+    );
+
+    const [a, b] = ids.map(id => submissions.find(submission => submission.id === id));
+    if (!a || !b) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Submission not found'
+      });
+    }
+
+    const starterCode = parseJson(reports[0].starter_code, null) || {};
+    const matches = a.language === b.language
+      ? matchedLines(a.code, b.code, a.language, starterCode[a.language])
+      : { similarity: 0, a: [], b: [] };
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        similarity: matches.similarity,
+        a: { ...a, matchedLines: matches.a },
+        b: { ...b, matchedLines: matches.b }
+      }
+    });
+  } catch (error) {
+    console.error('Compare submissions error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to compare the submissions. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/plagiarism/reports/:id
+ * @desc    Delete a plagiarism report (admin only)
+ * @access  Private (Admin only)
+ */
+router.delete('/reports/:id', authenticate, isAdmin, async (req, res) => {
+  try {
+    const [result] = await req.db.execute('DELETE FROM plagiarism_reports WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Report not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Report deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete plagiarism report error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete the report. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, isAdmin } = require('../middlewares/auth');
+const { normalizeQuizQuestion, formatQuizQuestion } = require('../utils/quizQuestions');
+
+/**
+ * Validate a bank question: a quiz question with a topic
+ * @returns {Object} - { error } or { values } with `topic` added
+ */
+const prepareBankQuestion = (body) => {
+  const topic = typeof body?.topic === 'string' ? body.topic.trim() : '';
+  if (!topic) {
+    return { error: 'Please provide a topic' };
+  }
+  if (topic.length > 100) {
+    return { error: 'The topic can be at most 100 characters' };
+  }
+  const { error, values } = normalizeQuizQuestion(body);
+  if (error) return { error };
+  return { values: { ...values, topic } };
+};
+
+const formatBankQuestion = (row) => ({
+  ...formatQuizQuestion(row, true),
+  topic: row.topic,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+/**
+ * @route   GET /api/question-bank
+ * @desc    List bank questions, filtered by topic, difficulty, type or text (admin only)
+ * @access  Private (Admin only)
+ */
+router.get('/', authenticate, isAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+    const { topic, difficulty, type } = req.query;
+    const search = (req.query.search || '').trim();
+
+    const conditions = [];
+    const params = [];
+    if (topic) {
+      conditions.push('topic = ?');
+      params.push(topic);
+    }
+    if (difficulty) {
+      conditions.push('difficulty = ?');
+      params.push(difficulty);
+    }
+    if (type) {
+      conditions.push('question_type = ?');
+      params.push(type);
+    }
+    if (search) {
+      conditions.push('question LIKE ?');
+      params.push(`%${search}%`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [questions] = await req.db.execute(
+      `SELECT * FROM question_bank ${where} ORDER BY topic, id DESC LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+    const [countResult] = await req.db.execute(`SELECT COUNT(*) AS total FROM question_bank ${where}`, params);
+    const total = countResult[0].total;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        questions: questions.map(formatBankQuestion),
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get question bank error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch the question bank. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/question-bank/topics
+ * @desc    Topics of the bank with their question count per difficulty (admin only)
+ * @access  Private (Admin only)
+ */
+router.get('/topics', authenticate, isAdmin, async (req, res) => {
+  try {
+    const [rows] = await req.db.execute(
+      'SELECT topic, difficulty, COUNT(*) AS count FROM question_bank GROUP BY topic, difficulty ORDER BY topic'
+    );
+
+    const topics = [];
+    for (const row of rows) {
+      let topic = topics.find(entry => entry.topic === row.topic);
+      if (!topic) {
+        topic = { topic: row.topic, total: 0, byDifficulty: {} };
+        topics.push(topic);
+      }
+      topic.byDifficulty[row.difficulty] = row.count;
+      topic.total += row.count;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        topics
+      }
+    });
+  } catch (error) {
+    console.error('Get question bank topics error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch topics. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/question-bank
+ * @desc    Add a question to the bank (admin only)
+ * @access  Private (Admin only)
+ */
+router.post('/', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { error, values } = prepareBankQuestion(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+
+    const [result] = await req.db.execute(
+      `INSERT INTO question_bank (topic, question, question_type, options, correct_option, answer, difficulty, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [values.topic, values.question, values.question_type, values.options, values.correct_option, values.answer, values.difficulty, req.user.id]
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Question added to the bank',
+      data: {
+        questionId: result.insertId
+      }
+    });
+  } catch (error) {
+    console.error('Create bank question error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add the question. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/question-bank/:id
+ * @desc    Update a bank question; attempts already started keep their copy (admin only)
+ * @access  Private (Admin only)
+ */
+router.put('/:id', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { error, values } = prepareBankQuestion(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+
+    const [result] = await req.db.execute(
+      `UPDATE question_bank
+       SET topic = ?, question = ?, question_type = ?, options = ?, correct_option = ?, answer = ?, difficulty = ?
+       WHERE id = ?`,
+      [values.topic, values.question, values.question_type, values.options, values.correct_option, values.answer, values.difficulty, req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Question updated successfully'
+    });
+  } catch (error) {
+    console.error('Update bank question error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update the question. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/question-bank/:id
+ * @desc    Delete a bank question (admin only)
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', authenticate, isAdmin, async (req, res) => {
+  try {
+    const [result] = await req.db.execute('DELETE FROM question_bank WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Question deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete bank question error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete the question. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,305 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, isAdmin } = require('../middlewares/auth');
+const { authenticate, optionalAuthenticate, isAdmin } = require('../middlewares/auth');
+const executionService = require('../utils/executionService');
+const { CHECKER_TYPES } = require('../utils/checkers');
+const { resolveSchema, parseTypedInput } = require('../utils/parameterTypes');
+const { normalizeExpectedOutput } = require('../utils/outputFormat');
+const { IO_MODES } = require('../utils/codeRunner');
+const stressTester = require('../utils/stressTester');
+const { readTestArchive, buildTestArchive } = require('../utils/testCaseArchive');
+const problemPackage = require('../utils/problemPackage');
+const questionVersions = require('../utils/questionVersions');
+const submissionQueue = require('../utils/submissionQueue');
+const { parseJsonObject } = require('../utils/json');
+const { LANGUAGE_NAMES } = require('../utils/languageRuntimes');
+const { findActiveContest } = require('../utils/contests');
+const { assignedContentFilter, canAccessContent } = require('../utils/cohorts');
+const { toSqlDateTime } = require('../utils/dates');
+const { validateTestCaseScoring, readTestCaseScoring } = require('../utils/subtasks');
+
+/**
+ * Validates the optional execution limit fields of a question payload.
+ * Empty values fall back to the platform defaults (stored as NULL).
+ * @returns {Object} - { error } or { timeLimitMs, memoryLimitKb, limitMultipliers }
+ */
+const parseLimitFields = ({ time_limit_ms, memory_limit_kb, limit_multipliers }) => {
+  const { LIMIT_BOUNDS } = executionService;
+  const isBlank = (value) => value === undefined || value === null || value === '';
+
+  const timeLimitMs = isBlank(time_limit_ms) ? null : Number(time_limit_ms);
+  if (timeLimitMs !== null && (!Number.isInteger(timeLimitMs) || timeLimitMs < LIMIT_BOUNDS.timeLimitMs.min || timeLimitMs > LIMIT_BOUNDS.timeLimitMs.max)) {
+    return { error: `Time limit must be a whole number between ${LIMIT_BOUNDS.timeLimitMs.min} and ${LIMIT_BOUNDS.timeLimitMs.max} ms` };
+  }
+
+  const memoryLimitKb = isBlank(memory_limit_kb) ? null : Number(memory_limit_kb);
+  if (memoryLimitKb !== null && (!Number.isInteger(memoryLimitKb) || memoryLimitKb < LIMIT_BOUNDS.memoryLimitKb.min || memoryLimitKb > LIMIT_BOUNDS.memoryLimitKb.max)) {
+    return { error: `Memory limit must be a whole number between ${LIMIT_BOUNDS.memoryLimitKb.min} and ${LIMIT_BOUNDS.memoryLimitKb.max} KB` };
+  }
+
+  const multipliers = parseJsonObject(limit_multipliers);
+  const limitMultipliers = {};
+  for (const [language, factors] of Object.entries(multipliers)) {
+    const entry = {};
+    for (const key of ['time', 'memory']) {
+      if (isBlank(factors?.[key])) continue;
+      const factor = Number(factors[key]);
+      if (!Number.isFinite(factor) || factor < LIMIT_BOUNDS.multiplier.min || factor > LIMIT_BOUNDS.multiplier.max) {
+        return { error: `The ${key} multiplier for ${language} must be between ${LIMIT_BOUNDS.multiplier.min} and ${LIMIT_BOUNDS.multiplier.max}` };
+      }
+      entry[key] = factor;
+    }
+    if (Object.keys(entry).length > 0) {
+      limitMultipliers[language] = entry;
+    }
+  }
+
+  return {
+    timeLimitMs,
+    memoryLimitKb,
+    limitMultipliers: Object.keys(limitMultipliers).length > 0 ? limitMultipliers : null
+  };
+};
+
+/**
+ * Validates the output checker fields of a question payload.
+ * @returns {Object} - { error } or { checkerType, checkerConfig, judgeLanguage, judgeCode }
+ */
+const parseCheckerFields = ({ checker_type, checker_config, special_judge_language, special_judge_code }) => {
+  const checkerType = checker_type || null;
+  if (checkerType && !CHECKER_TYPES.includes(checkerType)) {
+    return { error: `Checker must be one of: ${CHECKER_TYPES.join(', ')}` };
+  }
+
+  const config = parseJsonObject(checker_config);
+  const checkerConfig = {};
+  if (checkerType === 'numeric') {
+    for (const key of ['absEpsilon', 'relEpsilon']) {
+      if (config[key] === undefined || config[key] === null || config[key] === '') continue;
+      const epsilon = Number(config[key]);
+      if (!Number.isFinite(epsilon) || epsilon < 0) {
+        return { error: 'Epsilon values must be non-negative numbers' };
+      }
+      checkerConfig[key] = epsilon;
+    }
+  }
+
+  if (checkerType === 'special' && (!special_judge_language || !special_judge_code || !special_judge_code.trim())) {
+    return { error: 'A special judge needs a language and source code' };
+  }
+
+  return {
+    checkerType,
+    checkerConfig: Object.keys(checkerConfig).length > 0 ? checkerConfig : null,
+    judgeLanguage: checkerType === 'special' ? special_judge_language : null,
+    judgeCode: checkerType === 'special' ? special_judge_code : null
+  };
+};
+
+/**
+ * Validates the `io_mode` of a question payload, defaulting to function-call
+ * problems, and the interactor fields that interactive problems require.
+ * @returns {Object} - { error } or { ioMode, interactorLanguage, interactorCode, queryLimit }
+ */
+const parseIoMode = ({ io_mode, interactor_language, interactor_code, interactor_query_limit }) => {
+  const ioMode = io_mode || 'function';
+  if (!IO_MODES.includes(ioMode)) {
+    return { error: `I/O mode must be one of: ${IO_MODES.join(', ')}` };
+  }
+
+  if (ioMode !== 'interactive') {
+    return { ioMode, interactorLanguage: null, interactorCode: null, queryLimit: null };
+  }
+
+  if (!interactor_language || !interactor_code || !interactor_code.trim()) {
+    return { error: 'An interactive problem needs an interactor language and source code' };
+  }
+
+  const isBlank = interactor_query_limit === undefined || interactor_query_limit === null || interactor_query_limit === '';
+  const queryLimit = isBlank ? null : Number(interactor_query_limit);
+  if (queryLimit !== null && (!Number.isInteger(queryLimit) || queryLimit < 1)) {
+    return { error: 'Query limit must be a positive whole number' };
+  }
+
+  return { ioMode, interactorLanguage: interactor_language, interactorCode: interactor_code, queryLimit };
+};
+
+/**
+ * Validates the optional stress testing fields of a question payload: a
+ * reference solution and a random input generator, each with its language.
+ * @returns {Object} - { error } or { referenceLanguage, referenceCode, generatorLanguage, generatorCode }
+ */
+const parseStressTestFields = ({ reference_language, reference_code, generator_language, generator_code }) => {
+  const referenceCode = reference_code && reference_code.trim() ? reference_code : null;
+  const generatorCode = generator_code && generator_code.trim() ? generator_code : null;
+
+  if ((referenceCode && !reference_language) || (generatorCode && !generator_language)) {
+    return { error: 'The reference solution and generator each need a language' };
+  }
+
+  return {
+    referenceLanguage: referenceCode ? reference_language : null,
+    referenceCode,
+    generatorLanguage: generatorCode ? generator_language : null,
+    generatorCode
+  };
+};
+
+/**
+ * Validates the optional custom starter code of a question payload: a map
+ * from language to the code shown in the editor instead of the generated template.
+ * @returns {Object} - { error } or { starterCode }
+ */
+const parseStarterCode = ({ starter_code }) => {
+  let entries = starter_code;
+  if (typeof entries === 'string') {
+    try {
+      entries = JSON.parse(entries);
+    } catch (error) {
+      return { error: 'Starter code must be an object keyed by language' };
+    }
+  }
+  if (entries === undefined || entries === null) {
+    return { starterCode: null };
+  }
+  if (typeof entries !== 'object' || Array.isArray(entries)) {
+    return { error: 'Starter code must be an object keyed by language' };
+  }
+
+  const starterCode = {};
+  for (const [language, code] of Object.entries(entries)) {
+    if (!LANGUAGE_NAMES[language]) {
+      return { error: `Starter code given for unknown language: ${language}` };
+    }
+    if (typeof code === 'string' && code.trim()) {
+      starterCode[language] = code;
+    }
+  }
+  return { starterCode: Object.keys(starterCode).length > 0 ? starterCode : null };
+};
+
+/**
+ * Checks test case inputs against the declared parameter types so mistyped
+ * inputs are caught while authoring rather than at judging time. Stdio and
+ * interactive problems read free-form input, so their test cases are not checked.
+ * @returns {string|null} - Error message for the first invalid test case
+ */
+const validateTestCaseInputs = (parameterSchema, testCases, ioMode = 'function') => {
+  if (ioMode !== 'function') return null;
+  const schema = resolveSchema(parameterSchema);
+  if (!schema || !Array.isArray(testCases)) return null;
+
+  for (let index = 0; index < testCases.length; index++) {
+    try {
+      parseTypedInput(testCases[index]?.input, schema);
+    } catch (error) {
+      return `Test case ${index + 1}: ${error.message}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Validates a complete question payload, as sent to POST /api/questions or
+ * read from an imported problem package.
+ * @returns {Object} - { error } or the parsed { limits, checker, io, stress, starter } fields
+ */
+const prepareQuestion = (body) => {
+  const { title, description, difficulty, parameter_schema, language_supported, tags, testCases } = body;
+
+  if (!title || !description || !difficulty || !language_supported || !tags || !testCases) {
+    return { error: 'Please provide all required fields' };
+  }
+
+  const limits = parseLimitFields(body);
+  if (limits.error) return limits;
+
+  const checker = parseCheckerFields(body);
+  if (checker.error) return checker;
+
+  const io = parseIoMode(body);
+  if (io.error) return io;
+
+  const stress = parseStressTestFields(body);
+  if (stress.error) return stress;
+
+  const starter = parseStarterCode(body);
+  if (starter.error) return starter;
+
+  const inputError = validateTestCaseInputs(parameter_schema, testCases, io.ioMode);
+  if (inputError) return { error: inputError };
+
+  const scoringError = validateTestCaseScoring(testCases);
+  if (scoringError) return { error: scoringError };
+
+  return { limits, checker, io, stress, starter };
+};
+
+/**
+ * Inserts a question prepared by prepareQuestion and its test cases, and
+ * records them as version 1
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Object} body - Question payload
+ * @param {Object} prepared - Result of prepareQuestion(body)
+ * @param {number} userId - Author of the question
+ * @returns {Promise<number>} - ID of the new question
+ */
+const insertQuestion = async (connection, body, prepared, userId) => {
+  const { title, function_name, description, difficulty, question_type, parameter_schema, language_supported, tags, examples, testCases } = body;
+  const { limits, checker, io, stress, starter } = prepared;
+
+  const [questionResult] = await connection.execute(
+    'INSERT INTO questions (title, function_name, description, difficulty, question_type, io_mode, parameter_schema, language_supported, tags, examples, time_limit_ms, memory_limit_kb, limit_multipliers, checker_type, checker_config, special_judge_language, special_judge_code, interactor_language, interactor_code, interactor_query_limit, reference_language, reference_code, generator_language, generator_code, starter_code, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [
+      title,
+      function_name && function_name.trim() ? function_name.trim() : null,
+      description,
+      difficulty,
+      question_type || null,
+      io.ioMode,
+      parameter_schema ? JSON.stringify(parameter_schema) : null,
+      JSON.stringify(language_supported),
+      JSON.stringify(tags),
+      JSON.stringify(examples || []),
+      limits.timeLimitMs,
+      limits.memoryLimitKb,
+      limits.limitMultipliers ? JSON.stringify(limits.limitMultipliers) : null,
+      checker.checkerType,
+      checker.checkerConfig ? JSON.stringify(checker.checkerConfig) : null,
+      checker.judgeLanguage,
+      checker.judgeCode,
+      io.interactorLanguage,
+      io.interactorCode,
+      io.queryLimit,
+      stress.referenceLanguage,
+      stress.referenceCode,
+      stress.generatorLanguage,
+      stress.generatorCode,
+      starter.starterCode ? JSON.stringify(starter.starterCode) : null,
+      userId
+    ]
+  );
+
+  const questionId = questionResult.insertId;
+
+  for (const testCase of testCases) {
+    const { subtask, points } = readTestCaseScoring(testCase);
+    await connection.execute(
+      'INSERT INTO test_cases (question_id, input, expected_output, hidden, subtask, points) VALUES (?, ?, ?, ?, ?, ?)',
+      [questionId, testCase.input, normalizeExpectedOutput(testCase.expected_output, io.ioMode), testCase.hidden || false, subtask, points]
+    );
+  }
+
+  await questionVersions.recordVersion(connection, questionId, userId);
+  return questionId;
+};
 
 /**
  * @route   GET /api/questions
- * @desc    Get all coding questions (with pagination)
+ * @desc    Get all coding questions (with pagination); problems of unfinished contests are listed for admins only
  * @access  Public
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuthenticate, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -16,7 +308,7 @@ router.get('/', async (req, res) => {
     const tag = req.query.tag;
     
     let query = `
-      SELECT q.id, q.title, q.function_name, q.difficulty, q.question_type, q.tags, 
+      SELECT q.id, q.title, q.function_name, q.difficulty, q.question_type, q.io_mode, q.tags, 
       (SELECT COUNT(*) FROM submissions s WHERE s.question_id = q.id) as attempt_count
       FROM questions q
       WHERE 1=1
@@ -36,6 +328,21 @@ router.get('/', async (req, res) => {
       queryParams.push(`{"tags":["${tag}"]}`);
     }
     
+    const hideContestProblems = req.user?.role !== 'admin';
+    const now = toSqlDateTime(new Date());
+    if (hideContestProblems) {
+      query += ` AND NOT EXISTS (
+        SELECT 1 FROM contest_problems cp JOIN contests c ON c.id = cp.contest_id
+        WHERE cp.question_id = q.id AND c.end_time > ?
+      )`;
+      queryParams.push(now);
+    }
+    
+    // Problems assigned to cohorts are only listed for their members
+    const assigned = assignedContentFilter(req.user, 'question', 'q.id');
+    query += assigned.sql;
+    queryParams.push(...assigned.params);
+    
     // Add pagination (newest questions first based on ID)
     query += ` ORDER BY q.id DESC LIMIT ${limit} OFFSET ${offset}`;
     
@@ -85,6 +392,18 @@ router.get('/', async (req, res) => {
       countParams.push(`"${tag}"`);
     }
     
+    if (hideContestProblems) {
+      countQuery += ` AND NOT EXISTS (
+        SELECT 1 FROM contest_problems cp JOIN contests c ON c.id = cp.contest_id
+        WHERE cp.question_id = questions.id AND c.end_time > ?
+      )`;
+      countParams.push(now);
+    }
+    
+    const countAssigned = assignedContentFilter(req.user, 'question', 'questions.id');
+    countQuery += countAssigned.sql;
+    countParams.push(...countAssigned.params);
+    
     const [countResult] = await req.db.execute(countQuery, countParams);
     const total = countResult[0].total;
     
@@ -111,10 +430,11 @@ router.get('/', async (req, res) => {
 
 /**
  * @route   GET /api/questions/:id
- * @desc    Get a single coding question with test cases
+ * @desc    Get a single coding question with test cases; problems of upcoming contests are admin-only
+ * and hidden test cases stay concealed until the contest is over
  * @access  Public
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuthenticate, async (req, res) => {
   try {
     const questionId = req.params.id;
     
@@ -133,6 +453,17 @@ router.get('/:id', async (req, res) => {
     
     const question = questions[0];
     
+    let contest = null;
+    if (req.user?.role !== 'admin') {
+      contest = await findActiveContest(req.db, questionId);
+      if ((contest && contest.phase === 'upcoming') || !(await canAccessContent(req.db, req.user, 'question', questionId))) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Question not found'
+        });
+      }
+    }
+    
     // Parse JSON fields
     if (question.tags && typeof question.tags === 'string') {
       try {
@@ -171,9 +502,23 @@ router.get('/:id', async (req, res) => {
       question.examples = [];
     }
     
+    // Effective base limits; per-language multipliers are applied at execution time
+    question.time_limit_ms = question.time_limit_ms || executionService.DEFAULT_LIMITS.timeLimitMs;
+    question.memory_limit_kb = question.memory_limit_kb || executionService.DEFAULT_LIMITS.memoryLimitKb;
+    question.limit_multipliers = parseJsonObject(question.limit_multipliers);
+    question.checker_config = parseJsonObject(question.checker_config);
+    question.starter_code = parseStarterCode(question).starterCode || {};
+    // Judge and interactor programs are admin-only; see GET /api/questions/:id/checker
+    delete question.special_judge_code;
+    delete question.interactor_code;
+    // So are the reference solution and generator; see GET /api/questions/:id/reference
+    question.stress_test_available = stressTester.hasStressTest(question);
+    delete question.reference_code;
+    delete question.generator_code;
+    
     // Get all test cases (both hidden and visible for practice)
     const [testCases] = await req.db.execute(
-      'SELECT id, input, expected_output, hidden FROM test_cases WHERE question_id = ? ORDER BY hidden ASC, id ASC',
+      'SELECT id, input, expected_output, hidden, subtask, points FROM test_cases WHERE question_id = ? ORDER BY hidden ASC, id ASC',
       [questionId]
     );
     
@@ -181,7 +526,10 @@ router.get('/:id', async (req, res) => {
       status: 'success',
       data: {
         question,
-        testCases
+        // While its contest runs, hidden test cases are listed without their data
+        testCases: contest
+          ? testCases.map(testCase => (testCase.hidden ? { ...testCase, input: null, expected_output: null } : testCase))
+          : testCases
       }
     });
   } catch (error) {
@@ -200,13 +548,11 @@ router.get('/:id', async (req, res) => {
  */
 router.post('/', authenticate, isAdmin, async (req, res) => {
   try {
-    const { title, function_name, description, difficulty, question_type, parameter_schema, language_supported, tags, examples, testCases } = req.body;
-    
-    // Validate input
-    if (!title || !description || !difficulty || !language_supported || !tags || !testCases) {
+    const prepared = prepareQuestion(req.body);
+    if (prepared.error) {
       return res.status(400).json({
         status: 'error',
-        message: 'Please provide all required fields'
+        message: prepared.error
       });
     }
     
@@ -215,32 +561,7 @@ router.post('/', authenticate, isAdmin, async (req, res) => {
     await connection.beginTransaction();
     
     try {
-      // Insert question
-      const [questionResult] = await connection.execute(
-        'INSERT INTO questions (title, function_name, description, difficulty, question_type, parameter_schema, language_supported, tags, examples, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [
-          title,
-          function_name && function_name.trim() ? function_name.trim() : null,
-          description,
-          difficulty,
-          question_type || null,
-          parameter_schema ? JSON.stringify(parameter_schema) : null,
-          JSON.stringify(language_supported),
-          JSON.stringify(tags),
-          JSON.stringify(examples || []),
-          req.user.id
-        ]
-      );
-      
-      const questionId = questionResult.insertId;
-      
-      // Insert test cases
-      for (const testCase of testCases) {
-        await connection.execute(
-          'INSERT INTO test_cases (question_id, input, expected_output, hidden) VALUES (?, ?, ?, ?)',
-          [questionId, testCase.input, testCase.expected_output, testCase.hidden || false]
-        );
-      }
+      const questionId = await insertQuestion(connection, req.body, prepared, req.user.id);
       
       // Commit transaction
       await connection.commit();
@@ -286,6 +607,46 @@ router.put('/:id', authenticate, isAdmin, async (req, res) => {
       });
     }
 
+    const limits = parseLimitFields(req.body);
+    if (limits.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: limits.error
+      });
+    }
+
+    const checker = parseCheckerFields(req.body);
+    if (checker.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: checker.error
+      });
+    }
+
+    const io = parseIoMode(req.body);
+    if (io.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: io.error
+      });
+    }
+
+    const stress = parseStressTestFields(req.body);
+    if (stress.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: stress.error
+      });
+    }
+
+    const starter = parseStarterCode(req.body);
+    if (starter.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: starter.error
+      });
+    }
+
     // Check if question exists
     const [questions] = await req.db.execute(
       'SELECT id FROM questions WHERE id = ?',
@@ -299,6 +660,25 @@ router.put('/:id', authenticate, isAdmin, async (req, res) => {
       });
     }
 
+    // Stored test cases are kept when none are sent, so they must fit the new schema too
+    let casesToValidate = testCases;
+    if (!Array.isArray(testCases) || testCases.length === 0) {
+      [casesToValidate] = await req.db.execute(
+        'SELECT input FROM test_cases WHERE question_id = ? ORDER BY id',
+        [questionId]
+      );
+    }
+    const inputError = validateTestCaseInputs(parameter_schema, casesToValidate, io.ioMode) || validateTestCaseScoring(testCases);
+    if (inputError) {
+      return res.status(400).json({
+        status: 'error',
+        message: inputError
+      });
+    }
+
+    // Questions created before versioning get their current state as a baseline
+    await questionVersions.recordVersion(req.db, questionId, null);
+
     // Safely prepare JSON data with defaults
     const safeLanguageSupported = language_supported || { languages: ['javascript'] };
     const safeTags = tags || { tags: [] };
@@ -308,17 +688,33 @@ router.put('/:id', authenticate, isAdmin, async (req, res) => {
 
     // Update question
     await req.db.execute(
-      'UPDATE questions SET title = ?, function_name = ?, description = ?, difficulty = ?, question_type = ?, parameter_schema = ?, language_supported = ?, tags = ?, examples = ? WHERE id = ?',
+      'UPDATE questions SET title = ?, function_name = ?, description = ?, difficulty = ?, question_type = ?, io_mode = ?, parameter_schema = ?, language_supported = ?, tags = ?, examples = ?, time_limit_ms = ?, memory_limit_kb = ?, limit_multipliers = ?, checker_type = ?, checker_config = ?, special_judge_language = ?, special_judge_code = ?, interactor_language = ?, interactor_code = ?, interactor_query_limit = ?, reference_language = ?, reference_code = ?, generator_language = ?, generator_code = ?, starter_code = ? WHERE id = ?',
       [
         title.trim(),
         function_name && function_name.trim() ? function_name.trim() : null,
         description.trim(),
         difficulty,
         safeQuestionType,
+        io.ioMode,
         safeParameterSchema,
         JSON.stringify(safeLanguageSupported),
         JSON.stringify(safeTags),
         JSON.stringify(safeExamples),
+        limits.timeLimitMs,
+        limits.memoryLimitKb,
+        limits.limitMultipliers ? JSON.stringify(limits.limitMultipliers) : null,
+        checker.checkerType,
+        checker.checkerConfig ? JSON.stringify(checker.checkerConfig) : null,
+        checker.judgeLanguage,
+        checker.judgeCode,
+        io.interactorLanguage,
+        io.interactorCode,
+        io.queryLimit,
+        stress.referenceLanguage,
+        stress.referenceCode,
+        stress.generatorLanguage,
+        stress.generatorCode,
+        starter.starterCode ? JSON.stringify(starter.starterCode) : null,
         questionId
       ]
     );
@@ -331,17 +727,23 @@ router.put('/:id', authenticate, isAdmin, async (req, res) => {
       // Insert new test cases
       for (const testCase of testCases) {
         if (testCase.input !== undefined && testCase.expected_output !== undefined) {
+          const { subtask, points } = readTestCaseScoring(testCase);
           await req.db.execute(
-            'INSERT INTO test_cases (question_id, input, expected_output, hidden) VALUES (?, ?, ?, ?)',
-            [questionId, testCase.input, testCase.expected_output, Boolean(testCase.hidden)]
+            'INSERT INTO test_cases (question_id, input, expected_output, hidden, subtask, points) VALUES (?, ?, ?, ?, ?, ?)',
+            [questionId, testCase.input, normalizeExpectedOutput(testCase.expected_output, io.ioMode), Boolean(testCase.hidden), subtask, points]
           );
         }
       }
     }
 
+    const version = await questionVersions.recordVersion(req.db, questionId, req.user.id);
+
     res.status(200).json({
       status: 'success',
-      message: 'Question updated successfully'
+      message: 'Question updated successfully',
+      data: {
+        version
+      }
     });
 
   } catch (error) {
@@ -391,6 +793,16 @@ router.delete('/:id', authenticate, isAdmin, async (req, res) => {
         'DELETE FROM submissions WHERE question_id = ?',
         [questionId]
       );
+
+      await connection.execute(
+        'DELETE FROM question_versions WHERE question_id = ?',
+        [questionId]
+      );
+
+      await connection.execute(
+        'DELETE FROM plagiarism_reports WHERE question_id = ?',
+        [questionId]
+      );
       
       // Delete question
       await connection.execute(
@@ -450,18 +862,34 @@ router.post('/:id/test-cases', authenticate, isAdmin, async (req, res) => {
         message: 'Question not found'
       });
     }
+
+    const inputError = validateTestCaseInputs(questions[0].parameter_schema, testCases, questions[0].io_mode) || validateTestCaseScoring(testCases);
+    if (inputError) {
+      return res.status(400).json({
+        status: 'error',
+        message: inputError
+      });
+    }
     
+    await questionVersions.recordVersion(req.db, questionId, null);
+
     // Insert test cases
     for (const testCase of testCases) {
+      const { subtask, points } = readTestCaseScoring(testCase);
       await req.db.execute(
-        'INSERT INTO test_cases (question_id, input, expected_output, hidden) VALUES (?, ?, ?, ?)',
-        [questionId, testCase.input, testCase.expected_output, testCase.hidden || false]
+        'INSERT INTO test_cases (question_id, input, expected_output, hidden, subtask, points) VALUES (?, ?, ?, ?, ?, ?)',
+        [questionId, testCase.input, normalizeExpectedOutput(testCase.expected_output, questions[0].io_mode), testCase.hidden || false, subtask, points]
       );
     }
+
+    const version = await questionVersions.recordVersion(req.db, questionId, req.user.id);
     
     res.status(201).json({
       status: 'success',
-      message: 'Test cases added successfully'
+      message: 'Test cases added successfully',
+      data: {
+        version
+      }
     });
   } catch (error) {
     console.error('Add test cases error:', error.message);
@@ -473,23 +901,47 @@ router.post('/:id/test-cases', authenticate, isAdmin, async (req, res) => {
 });
 
 /**
- * @route   GET /api/questions/:id/all-test-cases
- * @desc    Get all test cases for a question (including hidden ones)
+ * @route   POST /api/questions/test-cases/import
+ * @desc    Read test cases from a base64 ZIP of .in/.out files for preview; they are saved with the question
  * @access  Private (Admin only)
  */
-router.get('/:id/all-test-cases', authenticate, isAdmin, async (req, res) => {
+router.post('/test-cases/import', authenticate, isAdmin, async (req, res) => {
   try {
-    const questionId = req.params.id;
-    console.log('Fetching test cases for question:', questionId);
-    
-    // Get all test cases
-    const [testCases] = await req.db.execute(
-      'SELECT * FROM test_cases WHERE question_id = ? ORDER BY id',
-      [questionId]
-    );
-    
-    console.log('Found test cases:', testCases);
-    
+    const { archive, parameter_schema } = req.body;
+
+    if (!archive || typeof archive !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a ZIP archive'
+      });
+    }
+
+    const io = parseIoMode({ io_mode: req.body.io_mode });
+    if (io.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: io.error
+      });
+    }
+
+    let testCases;
+    try {
+      testCases = readTestArchive(Buffer.from(archive, 'base64'), { ioMode: io.ioMode });
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    const inputError = validateTestCaseInputs(parameter_schema, testCases, io.ioMode);
+    if (inputError) {
+      return res.status(400).json({
+        status: 'error',
+        message: inputError
+      });
+    }
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -497,49 +949,634 @@ router.get('/:id/all-test-cases', authenticate, isAdmin, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Get test cases error:', error.message);
+    console.error('Import test cases error:', error.message);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to fetch test cases. Please try again.'
+      message: 'Failed to import test cases. Please try again.'
     });
   }
 });
 
 /**
- * @route   PUT /api/questions/:questionId/test-cases/:testCaseId/toggle-hidden
- * @desc    Toggle hidden status of a test case
+ * @route   POST /api/questions/test-cases/generate
+ * @desc    Generate test cases for preview with a generator script, taking expected outputs from a reference solution
  * @access  Private (Admin only)
  */
-router.put('/:questionId/test-cases/:testCaseId/toggle-hidden', authenticate, isAdmin, async (req, res) => {
+router.post('/test-cases/generate', authenticate, isAdmin, async (req, res) => {
   try {
-    const { questionId, testCaseId } = req.params;
-    
-    // Get current hidden status
-    const [testCase] = await req.db.execute(
-      'SELECT hidden FROM test_cases WHERE id = ? AND question_id = ?',
-      [testCaseId, questionId]
+    const { function_name, question_type, parameter_schema, count, seed } = req.body;
+
+    const io = parseIoMode({ io_mode: req.body.io_mode });
+    if (io.error || io.ioMode === 'interactive') {
+      return res.status(400).json({
+        status: 'error',
+        message: io.error || 'Test cases of interactive problems cannot be generated'
+      });
+    }
+
+    const stress = parseStressTestFields(req.body);
+    if (stress.error || !stress.referenceCode || !stress.generatorCode) {
+      return res.status(400).json({
+        status: 'error',
+        message: stress.error || 'Please provide a generator and a reference solution'
+      });
+    }
+
+    const report = await stressTester.generateTestCases({
+      io_mode: io.ioMode,
+      function_name,
+      question_type,
+      parameter_schema,
+      reference_language: stress.referenceLanguage,
+      reference_code: stress.referenceCode,
+      generator_language: stress.generatorLanguage,
+      generator_code: stress.generatorCode
+    }, count, seed);
+    if (report.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: report.error
+      });
+    }
+
+    const inputError = validateTestCaseInputs(parameter_schema, report.testCases, io.ioMode);
+    if (inputError) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Generator output does not match the parameter types. ${inputError}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        testCases: report.testCases
+      }
+    });
+  } catch (error) {
+    console.error('Generate test cases error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to generate test cases. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/questions/:id/test-cases/export
+ * @desc    Download all test cases of a question as a ZIP of .in/.out files
+ * @access  Private (Admin only)
+ */
+router.get('/:id/test-cases/export', authenticate, isAdmin, async (req, res) => {
+  try {
+    const questionId = req.params.id;
+
+    const [questions] = await req.db.execute(
+      'SELECT id FROM questions WHERE id = ?',
+      [questionId]
     );
     
-    if (testCase.length === 0) {
+    if (questions.length === 0) {
       return res.status(404).json({
         status: 'error',
-        message: 'Test case not found'
+        message: 'Question not found'
       });
     }
-    
-    // Toggle hidden status
-    const newHiddenStatus = !testCase[0].hidden;
-    await req.db.execute(
+
+    const [testCases] = await req.db.execute(
+      'SELECT input, expected_output, hidden FROM test_cases WHERE question_id = ? ORDER BY id',
+      [questionId]
+    );
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="question-${questions[0].id}-tests.zip"`
+    });
+    res.status(200).send(buildTestArchive(testCases));
+  } catch (error) {
+    console.error('Export test cases error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to export test cases. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/questions/import
+ * @desc    Create questions from problem packages: platform packages (JSON or ZIP), Polygon packages or LeetCode question JSON; `dry_run` only reports what would be imported
+ * @access  Private (Admin only)
+ */
+router.post('/import', authenticate, isAdmin, async (req, res) => {
+  try {
+    let packages;
+    try {
+      packages = problemPackage.readPackages(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    const dryRun = Boolean(req.body.dry_run);
+    const results = [];
+    for (const pkg of packages) {
+      const summary = {
+        source: pkg.source,
+        title: pkg.question?.title || null,
+        ioMode: pkg.question?.io_mode || 'function',
+        testCases: pkg.question?.testCases.length || 0,
+        warnings: pkg.warnings || []
+      };
+
+      const prepared = pkg.error ? { error: pkg.error } : prepareQuestion(pkg.question);
+      if (prepared.error) {
+        results.push({ ...summary, error: prepared.error });
+        continue;
+      }
+      if (dryRun) {
+        results.push(summary);
+        continue;
+      }
+
+      // Each package is its own transaction so one bad package does not block the rest
+      const connection = await req.db.getConnection();
+      await connection.beginTransaction();
+      try {
+        const questionId = await insertQuestion(connection, pkg.question, prepared, req.user.id);
+        await connection.commit();
+        results.push({ ...summary, questionId });
+      } catch (error) {
+        await connection.rollback();
+        console.error(`Import package ${pkg.source} error:`, error.message);
+        results.push({ ...summary, error: 'Failed to save the question' });
+      } finally {
+        connection.release();
+      }
+    }
+
+    const failed = results.filter(result => result.error).length;
+    res.status(200).json({
+      status: 'success',
+      message: dryRun
+        ? `${results.length - failed} of ${results.length} problems can be imported`
+        : `Imported ${results.length - failed} of ${results.length} problems`,
+      data: {
+        results
+      }
+    });
+  } catch (error) {
+    console.error('Import questions error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to import questions. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/questions/:id/export
+ * @desc    Download a question with its test cases as a problem package (`?format=zip` for a ZIP, JSON otherwise)
+ * @access  Private (Admin only)
+ */
+router.get('/:id/export', authenticate, isAdmin, async (req, res) => {
+  try {
+    const questionId = req.params.id;
+
+    const [questions] = await req.db.execute(
+      'SELECT * FROM questions WHERE id = ?',
+      [questionId]
+    );
+    
+    if (questions.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found'
+      });
+    }
+
+    const [testCases] = await req.db.execute(
+      'SELECT input, expected_output, hidden, subtask, points FROM test_cases WHERE question_id = ? ORDER BY id',
+      [questionId]
+    );
+
+    const pkg = problemPackage.buildPackage(questions[0], testCases);
+    const fileName = `question-${questions[0].id}`;
+    if (req.query.format === 'zip') {
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${fileName}.zip"`
+      });
+      return res.status(200).send(problemPackage.buildPackageArchive(pkg));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    res.status(200).json(pkg);
+  } catch (error) {
+    console.error('Export question error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to export question. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/questions/:id/versions
+ * @desc    List the versions of a question, newest first
+ * @access  Private (Admin only)
+ */
+router.get('/:id/versions', authenticate, isAdmin, async (req, res) => {
+  try {
+    const questionId = req.params.id;
+
+    const [questions] = await req.db.execute(
+      'SELECT id, version FROM questions WHERE id = ?',
+      [questionId]
+    );
+    
+    if (questions.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found'
+      });
+    }
+
+    const [versions] = await req.db.execute(
+      `SELECT qv.version, qv.summary, qv.created_at, u.name AS created_by_name
+       FROM question_versions qv
+       LEFT JOIN users u ON u.id = qv.created_by
+       WHERE qv.question_id = ?
+       ORDER BY qv.version DESC`,
+      [questionId]
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        currentVersion: questions[0].version || 1,
+        versions
+      }
+    });
+  } catch (error) {
+    console.error('Get question versions error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch question history. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/questions/:id/versions/:version
+ * @desc    Get one version of a question with its changes from the previous version
+ * @access  Private (Admin only)
+ */
+router.get('/:id/versions/:version', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { id: questionId, version } = req.params;
+
+    const [versions] = await req.db.execute(
+      `SELECT version, snapshot, summary, created_at FROM question_versions
+       WHERE question_id = ? AND version <= ?
+       ORDER BY version DESC LIMIT 2`,
+      [questionId, version]
+    );
+    
+    if (versions.length === 0 || String(versions[0].version) !== String(version)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Version not found'
+      });
+    }
+
+    const snapshot = questionVersions.parseSnapshot(versions[0].snapshot);
+    const previous = versions[1] ? questionVersions.parseSnapshot(versions[1].snapshot) : null;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        version: versions[0].version,
+        summary: versions[0].summary,
+        createdAt: versions[0].created_at,
+        previousVersion: versions[1] ? versions[1].version : null,
+        snapshot,
+        diff: previous ? questionVersions.diffSnapshots(previous, snapshot) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get question version error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch question version. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/questions/:id/submissions
+ * @desc    List the latest submissions of a question with the version each was judged against
+ * @access  Private (Admin only)
+ */
+router.get('/:id/submissions', authenticate, isAdmin, async (req, res) => {
+  try {
+    const [submissions] = await req.db.execute(
+      `SELECT s.id, s.user_id, u.name AS user_name, s.language, s.passed, s.verdict, s.judge_status,
+              s.question_version, s.submitted_at
+       FROM submissions s
+       LEFT JOIN users u ON u.id = s.user_id
+       WHERE s.question_id = ?
+       ORDER BY s.id DESC
+       LIMIT 500`,
+      [req.params.id]
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        submissions
+      }
+    });
+  } catch (error) {
+    console.error('Get question submissions error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch submissions. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/questions/:id/rejudge
+ * @desc    Requeue past submissions for grading against the current version: `submission_ids`, or every submission (`outdated_only` limits it to ones judged against older versions)
+ * @access  Private (Admin only)
+ */
+router.post('/:id/rejudge', authenticate, isAdmin, async (req, res) => {
+  try {
+    const questionId = req.params.id;
+    const { submission_ids, outdated_only } = req.body;
+
+    const [questions] = await req.db.execute(
+      'SELECT id, version FROM questions WHERE id = ?',
+      [questionId]
+    );
+    
+    if (questions.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found'
+      });
+    }
+
+    let query = "SELECT id FROM submissions WHERE question_id = ? AND judge_status IN ('finished', 'failed')";
+    const params = [questionId];
+    if (submission_ids !== undefined) {
+      const ids = Array.isArray(submission_ids) ? submission_ids.map(Number).filter(Number.isInteger) : [];
+      if (ids.length === 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Please select submissions to rejudge'
+        });
+      }
+      query += ` AND id IN (${ids.map(() => '?').join(', ')})`;
+      params.push(...ids);
+    }
+    if (outdated_only) {
+      query += ' AND (question_version IS NULL OR question_version < ?)';
+      params.push(questions[0].version || 1);
+    }
+
+    const [submissions] = await req.db.execute(`${query} ORDER BY id`, params);
+
+    // Verdicts stay in place until the new grading finishes; results are cleared for live progress
+    for (const submission of submissions) {
+      await req.db.execute(
+        "UPDATE submissions SET judge_status = 'pending', test_case_results = ? WHERE id = ?",
+        [JSON.stringify([]), submission.id]
+      );
+      submissionQueue.enqueue(submission.id);
+    }
+
+    res.status(202).json({
+      status: 'success',
+      message: `Queued ${submissions.length} submission${submissions.length === 1 ? '' : 's'} for rejudging`,
+      data: {
+        queued: submissions.length,
+        version: questions[0].version || 1
+      }
+    });
+  } catch (error) {
+    console.error('Rejudge submissions error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to rejudge submissions. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/questions/:id/checker
+ * @desc    Get a question's output checker, including the special judge and interactor sources
+ * @access  Private (Admin only)
+ */
+router.get('/:id/checker', authenticate, isAdmin, async (req, res) => {
+  try {
+    const [questions] = await req.db.execute(
+      'SELECT checker_type, checker_config, special_judge_language, special_judge_code, interactor_language, interactor_code, interactor_query_limit FROM questions WHERE id = ?',
+      [req.params.id]
+    );
+    
+    if (questions.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found'
+      });
+    }
+    
+    const checker = questions[0];
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        checker: {
+          ...checker,
+          checker_config: parseJsonObject(checker.checker_config)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get checker error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch checker. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/questions/:id/reference
+ * @desc    Get a question's reference solution and random input generator
+ * @access  Private (Admin only)
+ */
+router.get('/:id/reference', authenticate, isAdmin, async (req, res) => {
+  try {
+    const [questions] = await req.db.execute(
+      'SELECT reference_language, reference_code, generator_language, generator_code FROM questions WHERE id = ?',
+      [req.params.id]
+    );
+    
+    if (questions.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        reference: questions[0]
+      }
+    });
+  } catch (error) {
+    console.error('Get reference solution error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch reference solution. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/questions/:id/stress-test
+ * @desc    Stress test a solution against the question's reference solution on generated inputs
+ * @access  Private (Admin only)
+ */
+router.post('/:id/stress-test', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { code, language, runtime, iterations } = req.body;
+
+    if (!code || !language) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide code and language'
+      });
+    }
+
+    const [questions] = await req.db.execute(
+      'SELECT * FROM questions WHERE id = ?',
+      [req.params.id]
+    );
+    
+    if (questions.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found'
+      });
+    }
+
+    if (!stressTester.hasStressTest(questions[0])) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This question has no reference solution and generator to stress test against'
+      });
+    }
+
+    const report = await stressTester.runStressTest(questions[0], { code, language, runtime }, iterations);
+    if (report.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: report.error
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: report
+    });
+  } catch (error) {
+    console.error('Stress test error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to run stress test. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/questions/:id/all-test-cases
+ * @desc    Get all test cases for a question (including hidden ones)
+ * @access  Private (Admin only)
+ */
+router.get('/:id/all-test-cases', authenticate, isAdmin, async (req, res) => {
+  try {
+    const questionId = req.params.id;
+    console.log('Fetching test cases for question:', questionId);
+    
+    // Get all test cases
+    const [testCases] = await req.db.execute(
+      'SELECT * FROM test_cases WHERE question_id = ? ORDER BY id',
+      [questionId]
+    );
+    
+    console.log('Found test cases:', testCases);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        testCases
+      }
+    });
+  } catch (error) {
+    console.error('Get test cases error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch test cases. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/questions/:questionId/test-cases/:testCaseId/toggle-hidden
+ * @desc    Toggle hidden status of a test case
+ * @access  Private (Admin only)
+ */
+router.put('/:questionId/test-cases/:testCaseId/toggle-hidden', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { questionId, testCaseId } = req.params;
+    
+    // Get current hidden status
+    const [testCase] = await req.db.execute(
+      'SELECT hidden FROM test_cases WHERE id = ? AND question_id = ?',
+      [testCaseId, questionId]
+    );
+    
+    if (testCase.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Test case not found'
+      });
+    }
+    
+    await questionVersions.recordVersion(req.db, questionId, null);
+
+    // Toggle hidden status
+    const newHiddenStatus = !testCase[0].hidden;
+    await req.db.execute(
       'UPDATE test_cases SET hidden = ? WHERE id = ? AND question_id = ?',
       [newHiddenStatus, testCaseId, questionId]
     );
+
+    const version = await questionVersions.recordVersion(req.db, questionId, req.user.id);
     
     res.status(200).json({
       status: 'success',
       message: `Test case ${newHiddenStatus ? 'hidden' : 'made visible'}`,
       data: {
         testCaseId,
-        hidden: newHiddenStatus
+        hidden: newHiddenStatus,
+        version
       }
     });
   } catch (error) {
@@ -684,7 +1721,7 @@ router.post('/:id/debug-test-cases', authenticate, isAdmin, async (req, res) =>
         
         const insertResult = await req.db.execute(
           'INSERT INTO test_cases (question_id, input, expected_output, hidden) VALUES (?, ?, ?, ?)',
-          [questionId, testCase.input, testCase.expected_output, Boolean(testCase.hidden)]
+          [questionId, testCase.input, normalizeExpectedOutput(testCase.expected_output), Boolean(testCase.hidden)]
         );
         console.log(`Insert result for test case ${i + 1}:`, insertResult);
       }
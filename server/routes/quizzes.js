@@ -1,38 +1,117 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, isAdmin } = require('../middlewares/auth');
+const { authenticate, optionalAuthenticate, isAdmin, isInstructor } = require('../middlewares/auth');
+const { normalizeQuizQuestion, formatQuizQuestion } = require('../utils/quizQuestions');
+const {
+  questionCountSql,
+  normalizeRules,
+  checkRuleAvailability,
+  isExpired,
+  getOpenAttempt,
+  getLastSubmittedAttempt,
+  countSubmittedAttempts,
+  startAttempt,
+  saveAnswers,
+  gradeAnswers,
+  finalizeAttempt
+} = require('../utils/quizAttempts');
+const { normalizeQuizSettings, quizAvailability, applyRevealPolicy } = require('../utils/quizPolicies');
+const { toSqlDateTime } = require('../utils/dates');
+const { resolveCohortScope, memberFilter, assignedContentFilter, canAccessContent } = require('../utils/cohorts');
+
+const INSERT_QUIZ_QUESTION = `INSERT INTO quiz_questions (quiz_id, question, question_type, options, correct_option, answer, difficulty)
+  VALUES (?, ?, ?, ?, ?, ?, ?)`;
+
+/**
+ * Validate the questions of a quiz request
+ * @returns {Object} - { error } or { rows } ready for INSERT_QUIZ_QUESTION
+ */
+const prepareQuizQuestions = (questions) => {
+  const rows = [];
+  for (const question of questions) {
+    const { error, values } = normalizeQuizQuestion(question);
+    if (error) return { error };
+    rows.push(values);
+  }
+  return { rows };
+};
+
+const insertQuizQuestion = (db, quizId, values) => db.execute(INSERT_QUIZ_QUESTION, [
+  quizId,
+  values.question,
+  values.question_type,
+  values.options,
+  values.correct_option,
+  values.answer,
+  values.difficulty
+]);
+
+/**
+ * Validate the rules of a quiz request against the question bank
+ * @returns {Promise<Object>} - { error } or { rules }
+ */
+const prepareQuizRules = async (db, rules) => {
+  const { error, rules: normalized } = normalizeRules(rules);
+  if (error) return { error };
+  const availabilityError = await checkRuleAvailability(db, normalized);
+  if (availabilityError) return { error: availabilityError };
+  return { rules: normalized };
+};
+
+/**
+ * The running attempt as sent to the student taking the quiz
+ */
+const formatAttempt = (attempt) => ({
+  id: attempt.id,
+  startedAt: attempt.started_at,
+  deadline: attempt.deadline_at,
+  remainingSeconds: Math.max(0, attempt.remaining_seconds),
+  answers: attempt.answers
+});
+
+/**
+ * Finalize the student's attempt if its time ran out while they were away
+ * @returns {Promise<Object>} - { attempt, finalized } where `attempt` is the
+ * attempt still running and `finalized` the graded result of an expired one
+ */
+const resumeAttempt = async (db, quiz, userId) => {
+  const attempt = await getOpenAttempt(db, quiz.id, userId);
+  if (attempt && isExpired(attempt)) {
+    const result = await finalizeAttempt(db, attempt, attempt.answers, true);
+    return { attempt: null, finalized: applyRevealPolicy(quiz, result) };
+  }
+  return { attempt, finalized: null };
+};
+
+const insertQuizRules = async (db, quizId, rules) => {
+  for (const rule of rules) {
+    await db.execute(
+      'INSERT INTO quiz_rules (quiz_id, topic, difficulty, question_count) VALUES (?, ?, ?, ?)',
+      [quizId, rule.topic, rule.difficulty, rule.question_count]
+    );
+  }
+};
 
 /**
  * @route   GET /api/quizzes
  * @desc    Get all quizzes (with pagination)
  * @access  Public (with optional authentication for progress data)
  */
-router.get('/', (req, res, next) => {
-  // Try to authenticate, but don't fail if no token
-  const token = req.headers.authorization?.split(' ')[1];
-  if (token) {
-    const jwt = require('jsonwebtoken');
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
-    } catch (error) {
-      // Invalid token, but continue without user data
-      req.user = null;
-    }
-  }
-  next();
-}, async (req, res) => {
+router.get('/', optionalAuthenticate, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
     const category = req.query.category;
     const search = (req.query.search || '').trim();
+    // Quizzes assigned to cohorts are only listed for their members
+    const assigned = assignedContentFilter(req.user, 'quiz', 'q.id');
     
     let query = `
       SELECT q.id, q.title, q.description, q.category, q.scheduled_time, 
              COALESCE(q.duration, 60) AS duration,
-             (SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = q.id) AS questionCount,
+             q.closes_at, q.max_attempts, q.grading_policy,
+             ${questionCountSql('q.id')} AS questionCount,
              COALESCE(uqp.status, 'not_started') AS userStatus,
              COALESCE(uqp.score, 0) AS currentScore,
              COALESCE(uqp.best_score, 0) AS bestScore,
@@ -55,6 +134,9 @@ router.get('/', (req, res, next) => {
       queryParams.push(likeTerm, likeTerm);
     }
     
+    query += assigned.sql;
+    queryParams.push(...assigned.params);
+    
     // Add pagination
     query += ` ORDER BY q.scheduled_time DESC LIMIT ${limit} OFFSET ${offset}`;
     
@@ -68,7 +150,8 @@ router.get('/', (req, res, next) => {
       const fallbackQuery = `
         SELECT q.id, q.title, q.description, q.category, q.scheduled_time, 
                COALESCE(q.duration, 60) AS duration,
-               (SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = q.id) AS questionCount,
+               q.closes_at, q.max_attempts, q.grading_policy,
+               ${questionCountSql('q.id')} AS questionCount,
                'not_started' AS userStatus,
                0 AS currentScore,
                0 AS bestScore,
@@ -77,6 +160,7 @@ router.get('/', (req, res, next) => {
         WHERE 1=1
         ${category ? 'AND q.category = ?' : ''}
         ${search ? 'AND (q.title LIKE ? OR q.description LIKE ?)' : ''}
+        ${assigned.sql}
         ORDER BY q.scheduled_time DESC LIMIT ${limit} OFFSET ${offset}
       `;
       const fallbackParams = [];
@@ -85,6 +169,7 @@ router.get('/', (req, res, next) => {
         const likeTerm = `%${search}%`;
         fallbackParams.push(likeTerm, likeTerm);
       }
+      fallbackParams.push(...assigned.params);
       [quizzes] = await req.db.execute(fallbackQuery, fallbackParams);
     }
     
@@ -102,13 +187,22 @@ router.get('/', (req, res, next) => {
       countParams.push(likeTerm, likeTerm);
     }
     
+    const countAssigned = assignedContentFilter(req.user, 'quiz', 'quizzes.id');
+    countQuery += countAssigned.sql;
+    countParams.push(...countAssigned.params);
+    
     const [countResult] = await req.db.execute(countQuery, countParams);
     const total = countResult[0].total;
     
     res.status(200).json({
       status: 'success',
       data: {
-        quizzes,
+        // Scores are DECIMAL columns, which mysql2 returns as strings
+        quizzes: quizzes.map(quiz => ({
+          ...quiz,
+          currentScore: Number(quiz.currentScore),
+          bestScore: Number(quiz.bestScore)
+        })),
         pagination: {
           total,
           page,
@@ -128,7 +222,7 @@ router.get('/', (req, res, next) => {
 
 /**
  * @route   GET /api/quizzes/:id
- * @desc    Get a single quiz with questions
+ * @desc    Get a quiz with the student's running attempt, availability and latest results
  * @access  Private
  */
 router.get('/:id', authenticate, async (req, res) => {
@@ -148,33 +242,34 @@ router.get('/:id', authenticate, async (req, res) => {
       });
     }
     
-    const quiz = quizzes[0];
+    if (!(await canAccessContent(req.db, req.user, 'quiz', quizId))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Quiz not found'
+      });
+    }
     
-    // Get quiz questions
-    const [questions] = await req.db.execute(
-      'SELECT id, question, options, difficulty FROM quiz_questions WHERE quiz_id = ?',
-      [quizId]
-    );
+    const quiz = quizzes[0];
     
-    // Parse JSON fields
-    questions.forEach(question => {
-      if (question.options && typeof question.options === 'string') {
-        try {
-          const parsed = JSON.parse(question.options);
-          question.options = parsed.options || [];
-        } catch (e) {
-          question.options = [];
-        }
-      } else if (question.options && typeof question.options === 'object') {
-        question.options = question.options.options || [];
-      } else {
-        question.options = [];
+    // Resume the student's running attempt; new attempts start from POST /:id/start
+    const { attempt, finalized } = await resumeAttempt(req.db, quiz, req.user.id);
+    const questions = attempt ? attempt.questions.map(question => formatQuizQuestion(question)) : [];
+
+    const attemptsUsed = await countSubmittedAttempts(req.db, quizId, req.user.id);
+    const availability = quizAvailability(quiz, attemptsUsed);
+
+    // Results of the latest attempt, with answers only as far as the quiz reveals them
+    let review = null;
+    if (!attempt && !finalized) {
+      const lastAttempt = await getLastSubmittedAttempt(req.db, quizId, req.user.id);
+      if (lastAttempt) {
+        review = applyRevealPolicy(quiz, gradeAnswers(lastAttempt.questions, lastAttempt.answers));
       }
-    });
+    }
     
     // Check if user has already taken this quiz
     const [submissions] = await req.db.execute(
-      'SELECT * FROM quiz_submissions WHERE user_id = ? AND quiz_id = ?',
+      'SELECT * FROM quiz_submissions WHERE user_id = ? AND quiz_id = ? ORDER BY id DESC',
       [req.user.id, quizId]
     );
     
@@ -190,6 +285,12 @@ router.get('/:id', authenticate, async (req, res) => {
       data: {
         quiz,
         questions,
+        attemptId: attempt ? attempt.id : null,
+        attempt: attempt ? formatAttempt(attempt) : null,
+        finalized,
+        review,
+        availability,
+        attemptsUsed,
         hasSubmitted,
         userSubmission
       }
@@ -203,6 +304,96 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/quizzes/:id/start
+ * @desc    Start an attempt while the quiz is open and attempts remain, or resume the running one
+ * @access  Private
+ */
+router.post('/:id/start', authenticate, async (req, res) => {
+  try {
+    const [quizzes] = await req.db.execute('SELECT * FROM quizzes WHERE id = ?', [req.params.id]);
+
+    if (quizzes.length === 0 || !(await canAccessContent(req.db, req.user, 'quiz', req.params.id))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Quiz not found'
+      });
+    }
+
+    const quiz = quizzes[0];
+    let { attempt } = await resumeAttempt(req.db, quiz, req.user.id);
+
+    if (!attempt) {
+      const attemptsUsed = await countSubmittedAttempts(req.db, quiz.id, req.user.id);
+      const availability = quizAvailability(quiz, attemptsUsed);
+      if (!availability.open) {
+        return res.status(403).json({
+          status: 'error',
+          message: availability.message
+        });
+      }
+      attempt = await startAttempt(req.db, quiz, req.user.id);
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        questions: attempt.questions.map(question => formatQuizQuestion(question)),
+        attemptId: attempt.id,
+        attempt: formatAttempt(attempt)
+      }
+    });
+  } catch (error) {
+    console.error('Start quiz error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to start the quiz. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quizzes/:id/edit
+ * @desc    Get a quiz with its questions, answer keys and bank rules for the quiz editor
+ * @access  Private (Admin only)
+ */
+router.get('/:id/edit', authenticate, isAdmin, async (req, res) => {
+  try {
+    const [quizzes] = await req.db.execute('SELECT * FROM quizzes WHERE id = ?', [req.params.id]);
+
+    if (quizzes.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Quiz not found'
+      });
+    }
+
+    const [questions] = await req.db.execute(
+      'SELECT * FROM quiz_questions WHERE quiz_id = ? ORDER BY id',
+      [req.params.id]
+    );
+    const [rules] = await req.db.execute(
+      'SELECT id, topic, difficulty, question_count FROM quiz_rules WHERE quiz_id = ? ORDER BY id',
+      [req.params.id]
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quiz: quizzes[0],
+        questions: questions.map(question => formatQuizQuestion(question, true)),
+        rules
+      }
+    });
+  } catch (error) {
+    console.error('Get quiz for editing error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch quiz. Please try again.'
+    });
+  }
+});
+
 /**
  * @route   POST /api/quizzes
  * @desc    Create a new quiz
@@ -210,25 +401,34 @@ router.get('/:id', authenticate, async (req, res) => {
  */
 router.post('/', authenticate, isAdmin, async (req, res) => {
   try {
-    const { title, description, category, scheduled_time, duration, questions } = req.body;
+    const { title, description, category, scheduled_time, duration, questions, rules, shuffle_questions, shuffle_options } = req.body;
     
     // Validate input
-    if (!title || !description || !category || !scheduled_time || !questions) {
+    if (!title || !description || !category || !scheduled_time || (!questions && !rules)) {
       return res.status(400).json({
         status: 'error',
         message: 'Please provide all required fields'
       });
     }
     
-    const parseScheduledTime = (value) => {
-      if (!value) return null;
-      const date = new Date(value);
-      if (Number.isNaN(date.getTime())) return null;
-      const pad = (num) => String(num).padStart(2, '0');
-      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
-    };
+    const formattedScheduledTime = toSqlDateTime(scheduled_time) || toSqlDateTime(new Date());
+
+    const { error: settingsError, values: settings } = normalizeQuizSettings(req.body, {}, formattedScheduledTime);
+    const { error: questionError, rows: questionRows } = prepareQuizQuestions(Array.isArray(questions) ? questions : []);
+    const { error: ruleError, rules: quizRules } = questionError ? {} : await prepareQuizRules(req.db, rules);
+    if (settingsError || questionError || ruleError) {
+      return res.status(400).json({
+        status: 'error',
+        message: settingsError || questionError || ruleError
+      });
+    }
 
-    const formattedScheduledTime = parseScheduledTime(scheduled_time) || parseScheduledTime(new Date());
+    if (questionRows.length === 0 && quizRules.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Add at least one question or question bank rule'
+      });
+    }
 
     // Start a transaction
     const connection = await req.db.getConnection();
@@ -237,31 +437,20 @@ router.post('/', authenticate, isAdmin, async (req, res) => {
     try {
       // Insert quiz
       const [quizResult] = await connection.execute(
-        'INSERT INTO quizzes (title, description, category, scheduled_time, duration, created_by) VALUES (?, ?, ?, ?, ?, ?)',
-        [title, description, category, formattedScheduledTime, duration || 60, req.user.id]
+        `INSERT INTO quizzes (title, description, category, scheduled_time, closes_at, duration, max_attempts, grading_policy,
+         reveal_answers, shuffle_questions, shuffle_options, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [title, description, category, formattedScheduledTime, settings.closes_at, duration || 60, settings.max_attempts,
+          settings.grading_policy, settings.reveal_answers, Boolean(shuffle_questions), Boolean(shuffle_options), req.user.id]
       );
       
       const quizId = quizResult.insertId;
       
       // Insert quiz questions
-      for (const question of questions) {
-        const optionArray = Array.isArray(question.options)
-          ? question.options
-          : Array.isArray(question.options?.options)
-            ? question.options.options
-            : [];
-
-        await connection.execute(
-          'INSERT INTO quiz_questions (quiz_id, question, options, correct_option, difficulty) VALUES (?, ?, ?, ?, ?)',
-          [
-            quizId,
-            question.question,
-            JSON.stringify({ options: optionArray }),
-            Number(question.correct_option) || 0,
-            question.difficulty || 'Medium'
-          ]
-        );
+      for (const values of questionRows) {
+        await insertQuizQuestion(connection, quizId, values);
       }
+      await insertQuizRules(connection, quizId, quizRules);
       
       // Commit transaction
       await connection.commit();
@@ -297,15 +486,7 @@ router.post('/', authenticate, isAdmin, async (req, res) => {
 router.put('/:id', authenticate, isAdmin, async (req, res) => {
   try {
     const quizId = req.params.id;
-    const { title, description, category, scheduled_time, duration, questions } = req.body;
-
-    const parseScheduledTime = (value) => {
-      if (!value) return null;
-      const date = new Date(value);
-      if (Number.isNaN(date.getTime())) return null;
-      const pad = (num) => String(num).padStart(2, '0');
-      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
-    };
+    const { title, description, category, scheduled_time, duration, questions, rules, shuffle_questions, shuffle_options } = req.body;
 
     const [quizzes] = await req.db.execute(
       'SELECT * FROM quizzes WHERE id = ?',
@@ -320,51 +501,50 @@ router.put('/:id', authenticate, isAdmin, async (req, res) => {
     }
 
     const existingQuiz = quizzes[0];
+    const formattedScheduledTime = toSqlDateTime(scheduled_time) || existingQuiz.scheduled_time;
+
+    const { error: settingsError, values: settings } = normalizeQuizSettings(req.body, existingQuiz, formattedScheduledTime);
+    const { error: questionError, rows: questionRows } = Array.isArray(questions) ? prepareQuizQuestions(questions) : {};
+    const { error: ruleError, rules: quizRules } = !questionError && Array.isArray(rules) ? await prepareQuizRules(req.db, rules) : {};
+    if (settingsError || questionError || ruleError) {
+      return res.status(400).json({
+        status: 'error',
+        message: settingsError || questionError || ruleError
+      });
+    }
 
     const updatedTitle = typeof title === 'string' ? title.trim() : existingQuiz.title;
     const updatedDescription = typeof description === 'string' ? description.trim() : existingQuiz.description;
     const updatedCategory = typeof category === 'string' ? category.trim() : existingQuiz.category;
-    const formattedScheduledTime = parseScheduledTime(scheduled_time) || existingQuiz.scheduled_time;
     const numericDuration = Number(duration);
     const updatedDuration = Number.isFinite(numericDuration) && numericDuration > 0 ? numericDuration : (existingQuiz.duration || 60);
+    const updatedShuffleQuestions = shuffle_questions === undefined ? existingQuiz.shuffle_questions : Boolean(shuffle_questions);
+    const updatedShuffleOptions = shuffle_options === undefined ? existingQuiz.shuffle_options : Boolean(shuffle_options);
 
     const connection = await req.db.getConnection();
     await connection.beginTransaction();
 
     try {
       await connection.execute(
-        'UPDATE quizzes SET title = ?, description = ?, category = ?, scheduled_time = ?, duration = ? WHERE id = ?',
-        [updatedTitle, updatedDescription, updatedCategory, formattedScheduledTime, updatedDuration, quizId]
+        `UPDATE quizzes SET title = ?, description = ?, category = ?, scheduled_time = ?, closes_at = ?, duration = ?,
+         max_attempts = ?, grading_policy = ?, reveal_answers = ?, shuffle_questions = ?, shuffle_options = ? WHERE id = ?`,
+        [updatedTitle, updatedDescription, updatedCategory, formattedScheduledTime, settings.closes_at, updatedDuration,
+          settings.max_attempts, settings.grading_policy, settings.reveal_answers, updatedShuffleQuestions, updatedShuffleOptions, quizId]
       );
 
-      if (Array.isArray(questions)) {
+      if (questionRows) {
         await connection.execute('DELETE FROM quiz_questions WHERE quiz_id = ?', [quizId]);
 
-        for (const question of questions) {
-          const optionArray = Array.isArray(question?.options)
-            ? question.options
-            : Array.isArray(question?.options?.options)
-              ? question.options.options
-              : [];
-
-          const questionText = typeof question?.question === 'string' ? question.question.trim() : '';
-          const correctOption = Number(question?.correct_option);
-          const normalizedCorrectOption = Number.isInteger(correctOption) ? correctOption : 0;
-          const difficulty = question?.difficulty || 'Medium';
-
-          await connection.execute(
-            'INSERT INTO quiz_questions (quiz_id, question, options, correct_option, difficulty) VALUES (?, ?, ?, ?, ?)',
-            [
-              quizId,
-              questionText,
-              JSON.stringify({ options: optionArray.map((option) => option ?? '') }),
-              normalizedCorrectOption,
-              difficulty
-            ]
-          );
+        for (const values of questionRows) {
+          await insertQuizQuestion(connection, quizId, values);
         }
       }
 
+      if (quizRules) {
+        await connection.execute('DELETE FROM quiz_rules WHERE quiz_id = ?', [quizId]);
+        await insertQuizRules(connection, quizId, quizRules);
+      }
+
       await connection.commit();
 
       res.status(200).json({
@@ -470,6 +650,14 @@ router.post('/:id/questions', authenticate, isAdmin, async (req, res) => {
         message: 'Please provide valid questions'
       });
     }
+
+    const { error: questionError, rows: questionRows } = prepareQuizQuestions(questions);
+    if (questionError) {
+      return res.status(400).json({
+        status: 'error',
+        message: questionError
+      });
+    }
     
     // Check if quiz exists
     const [quizzes] = await req.db.execute(
@@ -485,23 +673,8 @@ router.post('/:id/questions', authenticate, isAdmin, async (req, res) => {
     }
     
     // Insert questions
-    for (const question of questions) {
-      const optionArray = Array.isArray(question.options)
-        ? question.options
-        : Array.isArray(question.options?.options)
-          ? question.options.options
-          : [];
-
-      await req.db.execute(
-        'INSERT INTO quiz_questions (quiz_id, question, options, correct_option, difficulty) VALUES (?, ?, ?, ?, ?)',
-        [
-          quizId,
-          question.question,
-          JSON.stringify({ options: optionArray }),
-          Number(question.correct_option) || 0,
-          question.difficulty || 'Medium'
-        ]
-      );
+    for (const values of questionRows) {
+      await insertQuizQuestion(req.db, quizId, values);
     }
     
     res.status(201).json({
@@ -517,9 +690,57 @@ router.post('/:id/questions', authenticate, isAdmin, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/quizzes/:id/attempt/answers
+ * @desc    Autosave the answers of the running attempt
+ * @access  Private
+ */
+router.put('/:id/attempt/answers', authenticate, async (req, res) => {
+  try {
+    const { answers } = req.body;
+
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide valid answers'
+      });
+    }
+
+    const attempt = await getOpenAttempt(req.db, req.params.id, req.user.id);
+    if (!attempt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No running attempt for this quiz'
+      });
+    }
+
+    const saved = await saveAnswers(req.db, attempt, answers);
+    if (!saved) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Time is up for this attempt. Your answers can no longer be changed.'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        savedAt: new Date().toISOString(),
+        remainingSeconds: Math.max(0, attempt.remaining_seconds)
+      }
+    });
+  } catch (error) {
+    console.error('Save quiz answers error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save answers. Please try again.'
+    });
+  }
+});
+
 /**
  * @route   POST /api/quizzes/:id/submit
- * @desc    Submit quiz answers
+ * @desc    Submit quiz answers; late answers fall back to the autosaved ones
  * @access  Private
  */
 router.post('/:id/submit', authenticate, async (req, res) => {
@@ -547,92 +768,39 @@ router.post('/:id/submit', authenticate, async (req, res) => {
       });
     }
     
-    // Get all questions for the quiz
-    const [questions] = await req.db.execute(
-      'SELECT * FROM quiz_questions WHERE quiz_id = ?',
-      [quizId]
-    );
+    // Grade the questions exactly as they were served in the student's attempt
+    const attempt = await getOpenAttempt(req.db, quizId, req.user.id);
+    if (!attempt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start the quiz before submitting answers.'
+      });
+    }
 
-    if (!questions || questions.length === 0) {
+    if (attempt.questions.length === 0) {
       return res.status(400).json({
         status: 'error',
         message: 'Quiz has no questions configured.'
       });
     }
 
-    let score = 0;
-    const questionResults = [];
-
-    for (const question of questions) {
-      let options = [];
-      if (question.options && typeof question.options === 'string') {
-        try {
-          const parsed = JSON.parse(question.options);
-          options = parsed.options || [];
-        } catch (e) {
-          options = [];
-        }
-      } else if (question.options && typeof question.options === 'object') {
-        options = question.options.options || [];
-      }
-
-      const answerKey = Object.prototype.hasOwnProperty.call(answers, question.id)
-        ? question.id
-        : Object.prototype.hasOwnProperty.call(answers, String(question.id))
-          ? String(question.id)
-          : null;
-
-      const userAnswerIndex = answerKey !== null ? Number(answers[answerKey]) : undefined;
-      const isCorrect = userAnswerIndex !== undefined && userAnswerIndex === Number(question.correct_option);
-
-      if (isCorrect) {
-        score += 1;
-      }
-
-      questionResults.push({
-        question: question.question,
-        options,
-        userAnswerIndex: Number.isInteger(userAnswerIndex) ? userAnswerIndex : null,
-        correctAnswerIndex: Number(question.correct_option),
-        userAnswer: userAnswerIndex !== undefined && options[userAnswerIndex] !== undefined ? options[userAnswerIndex] : 'No answer',
-        correctAnswer: options[Number(question.correct_option)] ?? 'Unknown',
-        isCorrect
+    // Answers sent after the deadline are ignored; the attempt is graded with
+    // what was autosaved in time
+    const late = isExpired(attempt);
+    const result = await finalizeAttempt(req.db, attempt, late ? attempt.answers : answers, late);
+    if (!result) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This attempt has already been submitted.'
       });
     }
 
-    const totalQuestions = questions.length;
-    const percentage = totalQuestions > 0 ? Math.round((score / totalQuestions) * 100) : 0;
-
-    // Save submission
-    await req.db.execute(
-      'INSERT INTO quiz_submissions (user_id, quiz_id, score, answers) VALUES (?, ?, ?, ?)',
-      [req.user.id, quizId, score, JSON.stringify(answers)]
-    );
-
-    // Update or insert user quiz progress
-    await req.db.execute(
-      `INSERT INTO user_quiz_progress 
-       (user_id, quiz_id, status, score, total_questions, attempts_count, best_score) 
-       VALUES (?, ?, 'completed', ?, ?, 1, ?)
-       ON DUPLICATE KEY UPDATE
-       status = 'completed',
-       score = ?,
-       total_questions = ?,
-       attempts_count = attempts_count + 1,
-       best_score = GREATEST(best_score, ?)` ,
-      [req.user.id, quizId, score, totalQuestions, score,
-       score, totalQuestions, score]
-    );
-
     res.status(201).json({
       status: 'success',
-      message: 'Quiz submitted successfully',
-      data: {
-        score: percentage,
-        correctAnswers: score,
-        totalQuestions,
-        questionResults
-      }
+      message: late
+        ? 'Time ran out before your answers arrived. Your last autosaved answers were submitted.'
+        : 'Quiz submitted successfully',
+      data: applyRevealPolicy(quizzes[0], result)
     });
   } catch (error) {
     console.error('Submit quiz error:', error.message);
@@ -653,7 +821,7 @@ router.get('/submissions/user', authenticate, async (req, res) => {
     // Get user's quiz submissions
     const [submissions] = await req.db.execute(
       `SELECT qs.id, qs.quiz_id, q.title, qs.score, qs.submitted_at,
-       (SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = q.id) as total_questions
+       COALESCE(qs.total_questions, ${questionCountSql('q.id')}) as total_questions
        FROM quiz_submissions qs
        JOIN quizzes q ON qs.quiz_id = q.id
        WHERE qs.user_id = ?
@@ -664,7 +832,7 @@ router.get('/submissions/user', authenticate, async (req, res) => {
     res.status(200).json({
       status: 'success',
       data: {
-        submissions
+        submissions: submissions.map(submission => ({ ...submission, score: Number(submission.score) }))
       }
     });
   } catch (error) {
@@ -678,10 +846,11 @@ router.get('/submissions/user', authenticate, async (req, res) => {
 
 /**
  * @route   GET /api/quizzes/:id/results
- * @desc    Get quiz results (for admin)
- * @access  Private (Admin only)
+ * @desc    Get quiz results; instructors see the members of their cohorts the quiz is assigned to
+ * (`cohort_id` narrows it to one cohort)
+ * @access  Private (Admins and instructors)
  */
-router.get('/:id/results', authenticate, isAdmin, async (req, res) => {
+router.get('/:id/results', authenticate, isInstructor, async (req, res) => {
   try {
     const quizId = req.params.id;
     
@@ -698,22 +867,46 @@ router.get('/:id/results', authenticate, isAdmin, async (req, res) => {
       });
     }
     
+    const scope = await resolveCohortScope(req.db, req.user, req.query.cohort_id);
+    if (scope.error) {
+      return res.status(scope.status).json({
+        status: 'error',
+        message: scope.error
+      });
+    }
+    
+    if (req.user.role !== 'admin') {
+      const [assignments] = await req.db.execute(
+        'SELECT DISTINCT cohort_id FROM cohort_assignments WHERE quiz_id = ?',
+        [quizId]
+      );
+      const assignedCohorts = new Set(assignments.map(assignment => assignment.cohort_id));
+      scope.cohortIds = scope.cohortIds.filter(cohortId => assignedCohorts.has(cohortId));
+      if (scope.cohortIds.length === 0) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'You can only view results of quizzes assigned to your cohorts'
+        });
+      }
+    }
+    const members = memberFilter(scope, 'qs.user_id');
+    
     // Get quiz submissions with user details
     const [submissions] = await req.db.execute(
       `SELECT qs.id, qs.user_id, u.name as user_name, qs.score, qs.submitted_at,
-       (SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = ?) as total_questions
+       COALESCE(qs.total_questions, ${questionCountSql('qs.quiz_id')}) as total_questions
        FROM quiz_submissions qs
        JOIN users u ON qs.user_id = u.id
-       WHERE qs.quiz_id = ?
+       WHERE qs.quiz_id = ?${members.sql}
        ORDER BY qs.score DESC, qs.submitted_at ASC`,
-      [quizId, quizId]
+      [quizId, ...members.params]
     );
     
     res.status(200).json({
       status: 'success',
       data: {
         quiz: quizzes[0],
-        submissions
+        submissions: submissions.map(submission => ({ ...submission, score: Number(submission.score) }))
       }
     });
   } catch (error) {
@@ -740,7 +933,7 @@ router.get('/stats/user', authenticate, async (req, res) => {
     
     // Get average score
     const [avgResult] = await req.db.execute(
-      `SELECT AVG(qs.score / (SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = qs.quiz_id) * 100) as average_score
+      `SELECT AVG(qs.score / COALESCE(qs.total_questions, ${questionCountSql('qs.quiz_id')}) * 100) as average_score
        FROM quiz_submissions qs
        WHERE qs.user_id = ?`,
       [req.user.id]
@@ -748,7 +941,7 @@ router.get('/stats/user', authenticate, async (req, res) => {
     
     // Get category breakdown
     const [categoryResult] = await req.db.execute(
-      `SELECT q.category, COUNT(*) as count, AVG(qs.score / (SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = qs.quiz_id) * 100) as average_score
+      `SELECT q.category, COUNT(*) as count, AVG(qs.score / COALESCE(qs.total_questions, ${questionCountSql('qs.quiz_id')}) * 100) as average_score
        FROM quiz_submissions qs
        JOIN quizzes q ON qs.quiz_id = q.id
        WHERE qs.user_id = ?
@@ -759,7 +952,7 @@ router.get('/stats/user', authenticate, async (req, res) => {
     // Get recent quiz submissions
     const [recentSubmissions] = await req.db.execute(
       `SELECT qs.id, qs.quiz_id, q.title, qs.score, qs.submitted_at,
-       (SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = q.id) as total_questions
+       COALESCE(qs.total_questions, ${questionCountSql('q.id')}) as total_questions
        FROM quiz_submissions qs
        JOIN quizzes q ON qs.quiz_id = q.id
        WHERE qs.user_id = ?
@@ -1,8 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, isAdmin } = require('../middlewares/auth');
-const judge0 = require('../utils/judge0');
+const executionService = require('../utils/executionService');
 const codeRunner = require('../utils/codeRunner');
+const submissionQueue = require('../utils/submissionQueue');
+const languageRuntimes = require('../utils/languageRuntimes');
+const stressTester = require('../utils/stressTester');
+const { resolveVerdict, VERDICTS, VERDICT_LABELS } = require('../utils/verdicts');
+const { contestPhase, findActiveContest } = require('../utils/contests');
+const { scoreResults } = require('../utils/subtasks');
+const { getAttemptById, isExpired } = require('../utils/assessments');
+const { canAccessContent } = require('../utils/cohorts');
+const { parseJsonArray } = require('../utils/json');
+
+/**
+ * Masks expected/actual output of hidden test cases before results leave the server.
+ */
+const maskHiddenResults = (results) => results.map(result => {
+  if (result && result.hidden) {
+    return {
+      ...result,
+      expectedOutput: 'Hidden',
+      actualOutput: result.passed ? 'Correct' : 'Incorrect',
+      checkerMessage: '',
+      stdout: '',
+      stderr: result.stderr,
+      compileOutput: result.compileOutput
+    };
+  }
+  return result;
+});
 
 /**
  * @route   POST /api/submissions/run
@@ -11,7 +38,7 @@ const codeRunner = require('../utils/codeRunner');
  */
 router.post('/run', authenticate, async (req, res) => {
   try {
-    const { code, language, input, questionId, testCaseId } = req.body;
+    const { code, language, input, questionId, testCaseId, runtime } = req.body;
 
     if (!code || !language) {
       return res.status(400).json({
@@ -20,7 +47,7 @@ router.post('/run', authenticate, async (req, res) => {
       });
     }
 
-    let wrappedSource = code;
+    let program = { source: code, input: '' };
     let expectedOutput = (input || '').trim();
     let testCaseInput = input || '';
     let hidden = false;
@@ -32,7 +59,7 @@ router.post('/run', authenticate, async (req, res) => {
         [questionId]
       );
 
-      if (questions.length === 0) {
+      if (questions.length === 0 || !(await canAccessContent(req.db, req.user, 'question', questionId))) {
         return res.status(404).json({
           status: 'error',
           message: 'Question not found'
@@ -41,6 +68,18 @@ router.post('/run', authenticate, async (req, res) => {
 
       question = questions[0];
 
+      // Problems of a contest stay closed until the contest starts
+      let contest = null;
+      if (req.user.role !== 'admin') {
+        contest = await findActiveContest(req.db, questionId);
+        if (contest && contest.phase === 'upcoming') {
+          return res.status(404).json({
+            status: 'error',
+            message: 'Question not found'
+          });
+        }
+      }
+
       if (testCaseId) {
         const [testCaseRows] = await req.db.execute(
           'SELECT * FROM test_cases WHERE id = ? AND question_id = ?',
@@ -55,12 +94,20 @@ router.post('/run', authenticate, async (req, res) => {
         }
 
         const testCase = testCaseRows[0];
+        // Running a hidden test would reveal its input while the contest runs
+        if (contest && testCase.hidden) {
+          return res.status(403).json({
+            status: 'error',
+            message: 'Hidden test cases cannot be run until the contest ends'
+          });
+        }
+
         testCaseInput = testCase.input || '';
         expectedOutput = (testCase.expected_output || '').trim();
         hidden = Boolean(testCase.hidden);
       }
 
-      wrappedSource = codeRunner.buildWrappedCode({
+      program = codeRunner.buildProgram({
         problem: question,
         code,
         language,
@@ -68,23 +115,56 @@ router.post('/run', authenticate, async (req, res) => {
       });
     }
 
-    const result = await judge0.submitCode(wrappedSource, language, '');
+    const limits = question
+      ? executionService.resolveLimits(question, language)
+      : executionService.DEFAULT_LIMITS;
+    // Interactive problems always run against their interactor, which also judges the run
+    const interactive = codeRunner.isInteractiveProblem(question);
+    const result = interactive
+      ? await executionService.submitInteractive(
+        code,
+        language,
+        { source: question.interactor_code, language: question.interactor_language },
+        testCaseInput,
+        { ...limits, runtime, expectedOutput: testCaseId ? expectedOutput : '', queryLimit: question.interactor_query_limit }
+      )
+      : await executionService.submitCode(program.source, language, program.input, { ...limits, runtime });
+    const { interaction, ...execution } = result;
 
     const actualOutput = (result.stdout || '').trim();
     const errorOutput = (result.stderr || result.compileOutput || result.message || '').trim();
-    const passed = !hidden && expectedOutput
-      ? actualOutput === expectedOutput && !errorOutput
-      : !errorOutput;
+    let verdict;
+    let checkerMessage = '';
+    if (interactive || (!hidden && expectedOutput)) {
+      // Compare with the question's checker, as the full submission does
+      const graded = await executionService.gradeExecution(
+        { input: testCaseInput, expected_output: expectedOutput },
+        result,
+        { limits, checker: executionService.checkerFor(question), ioMode: question?.io_mode }
+      );
+      verdict = graded.verdict;
+      checkerMessage = hidden ? '' : graded.checkerMessage;
+    } else {
+      verdict = resolveVerdict(result, {
+        outputMatches: !errorOutput,
+        memoryLimitKb: limits.memoryLimitKb
+      });
+    }
+    const passed = verdict === VERDICTS.ACCEPTED;
 
     res.status(200).json({
       status: 'success',
       data: {
-        ...result,
+        ...execution,
+        queries: interaction ? interaction.queries : undefined,
         actualOutput,
         expectedOutput: hidden ? 'Hidden' : expectedOutput,
         input: testCaseInput,
         hidden,
         passed,
+        verdict,
+        verdictLabel: VERDICT_LABELS[verdict],
+        checkerMessage,
         error: errorOutput,
         stdout: result.stdout || '',
         stderr: result.stderr || '',
@@ -102,13 +182,13 @@ router.post('/run', authenticate, async (req, res) => {
 
 /**
  * @route   POST /api/submissions/:questionId
- * @desc    Submit code for a question
+ * @desc    Queue code for grading against a question's test cases
  * @access  Private
  */
 router.post('/:questionId', authenticate, async (req, res) => {
   try {
     const questionId = req.params.questionId;
-    const { code, language } = req.body;
+    const { code, language, runtime, contest_id, assessment_attempt_id } = req.body;
     
     if (!code || !language) {
       return res.status(400).json({
@@ -117,66 +197,121 @@ router.post('/:questionId', authenticate, async (req, res) => {
       });
     }
     
-    // Check if question exists
+    // Check if question exists; practice submissions also need access to
+    // problems assigned to cohorts, contests and assessments check their own
     const [questions] = await req.db.execute(
-      'SELECT * FROM questions WHERE id = ?',
+      'SELECT id FROM questions WHERE id = ?',
       [questionId]
     );
     
-    if (questions.length === 0) {
+    const practice = !contest_id && !assessment_attempt_id;
+    if (questions.length === 0 || (practice && !(await canAccessContent(req.db, req.user, 'question', questionId)))) {
       return res.status(404).json({
         status: 'error',
         message: 'Question not found'
       });
     }
     
-    // Get all test cases for the question
-    const [testCases] = await req.db.execute(
-      'SELECT * FROM test_cases WHERE question_id = ?',
+    // Contest submissions only count inside the contest window; outside a
+    // contest, problems of unfinished contests cannot be submitted to
+    let contestId = null;
+    if (contest_id) {
+      const [contests] = await req.db.execute(
+        `SELECT c.* FROM contests c
+         JOIN contest_problems cp ON cp.contest_id = c.id
+         WHERE c.id = ? AND cp.question_id = ?`,
+        [contest_id, questionId]
+      );
+
+      if (contests.length === 0) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'This problem is not part of the contest'
+        });
+      }
+
+      const phase = contestPhase(contests[0]);
+      if (phase !== 'running') {
+        return res.status(403).json({
+          status: 'error',
+          message: phase === 'upcoming' ? 'The contest has not started yet' : 'The contest has ended'
+        });
+      }
+
+      const [registrations] = await req.db.execute(
+        'SELECT id FROM contest_registrations WHERE contest_id = ? AND user_id = ?',
+        [contests[0].id, req.user.id]
+      );
+
+      if (registrations.length === 0) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Register for the contest to submit solutions'
+        });
+      }
+
+      contestId = contests[0].id;
+    } else if (req.user.role !== 'admin' && await findActiveContest(req.db, questionId)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'This problem is part of a contest that has not finished yet'
+      });
+    }
+    
+    // Assessment submissions count towards the student's running attempt
+    let assessmentAttemptId = null;
+    if (assessment_attempt_id) {
+      const attempt = await getAttemptById(req.db, assessment_attempt_id);
+      if (!attempt || attempt.user_id !== req.user.id
+        || !attempt.items.some(item => item.item_type === 'coding' && item.question_id === Number(questionId))) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'This problem is not part of your assessment'
+        });
+      }
+
+      if (attempt.status !== 'in_progress' || isExpired(attempt)) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Time is up for this assessment'
+        });
+      }
+
+      assessmentAttemptId = attempt.id;
+    }
+
+    // Count test cases for the question
+    const [testCaseCount] = await req.db.execute(
+      'SELECT COUNT(*) as total FROM test_cases WHERE question_id = ?',
       [questionId]
     );
     
-    if (testCases.length === 0) {
+    if (testCaseCount[0].total === 0) {
       return res.status(404).json({
         status: 'error',
         message: 'No test cases found for this question'
       });
     }
     
-    // Validate code against test cases
-    const question = questions[0];
-    const results = await judge0.validateCode(code, language, testCases, { problem: question });
-    
-    // Check if all test cases passed
-    const allPassed = results.every(result => result.passed);
-    
-    // Save submission
+    // Record the runtime now so a later change of the admin's defaults does
+    // not affect a submission that is still queued
+    const resolvedRuntime = languageRuntimes.resolveRuntime(executionService.getProvider().name, language, runtime);
+
+    // Save submission as pending; the queue grades it in the background
     const [submissionResult] = await req.db.execute(
-      'INSERT INTO submissions (user_id, question_id, code, language, passed, test_case_results) VALUES (?, ?, ?, ?, ?, ?)',
-      [req.user.id, questionId, code, language, allPassed, JSON.stringify(results)]
+      `INSERT INTO submissions (user_id, question_id, contest_id, assessment_attempt_id, code, language, runtime, passed, test_case_results, judge_status, total_test_cases)
+       VALUES (?, ?, ?, ?, ?, ?, ?, false, ?, 'pending', ?)`,
+      [req.user.id, questionId, contestId, assessmentAttemptId, code, language, resolvedRuntime, JSON.stringify([]), testCaseCount[0].total]
     );
     
-    // Filter out hidden test cases for response
-    const visibleResults = results.map(result => {
-      if (result.hidden) {
-        return {
-          ...result,
-          expectedOutput: 'Hidden',
-          actualOutput: result.passed ? 'Correct' : 'Incorrect',
-          stdout: '',
-          stderr: result.stderr,
-          compileOutput: result.compileOutput
-        };
-      }
-      return result;
-    });
+    submissionQueue.enqueue(submissionResult.insertId);
     
-    res.status(201).json({
+    res.status(202).json({
       status: 'success',
       data: {
         submissionId: submissionResult.insertId,
-        passed: allPassed,
-        results: visibleResults
+        judgeStatus: 'pending',
+        totalTestCases: testCaseCount[0].total
       }
     });
   } catch (error) {
@@ -188,6 +323,175 @@ router.post('/:questionId', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/submissions/:id/status
+ * @desc    Get grading progress for a queued submission
+ * @access  Private
+ */
+router.get('/:id/status', authenticate, async (req, res) => {
+  try {
+    const submissionId = req.params.id;
+    
+    const [submissions] = await req.db.execute(
+      'SELECT id, user_id, passed, verdict, score, judge_status, total_test_cases, test_case_results FROM submissions WHERE id = ?',
+      [submissionId]
+    );
+    
+    if (submissions.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Submission not found'
+      });
+    }
+    
+    const submission = submissions[0];
+    
+    if (submission.user_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to view this submission'
+      });
+    }
+    
+    const results = parseJsonArray(submission.test_case_results);
+    const finished = submission.judge_status === 'finished';
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        submissionId: submission.id,
+        judgeStatus: submission.judge_status,
+        passed: finished ? Boolean(submission.passed) : null,
+        verdict: finished ? submission.verdict : null,
+        verdictLabel: finished ? VERDICT_LABELS[submission.verdict] || null : null,
+        score: finished && submission.score !== null ? Number(submission.score) : null,
+        subtasks: finished ? scoreResults(results).subtasks : [],
+        totalTestCases: submission.total_test_cases ?? results.length,
+        completedTestCases: results.filter(Boolean).length,
+        results: maskHiddenResults(results)
+      }
+    });
+  } catch (error) {
+    console.error('Get submission status error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch submission status. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/submissions/:id/stress-test
+ * @desc    Look for a small failing input for a wrong-answer submission by comparing it with the reference solution;
+ * students run one at a time, within hourly limits per user and per submission, and never on contest problems or running assessments
+ * @access  Private
+ */
+router.post('/:id/stress-test', authenticate, async (req, res) => {
+  try {
+    const [submissions] = await req.db.execute(
+      `SELECT id, user_id, question_id, contest_id, assessment_attempt_id, code, language, runtime, verdict, judge_status
+       FROM submissions WHERE id = ?`,
+      [req.params.id]
+    );
+    
+    if (submissions.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Submission not found'
+      });
+    }
+    
+    const submission = submissions[0];
+    
+    if (submission.user_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to stress test this submission'
+      });
+    }
+
+    // The reference outputs a stress test reveals would give contest answers away
+    if (req.user.role !== 'admin'
+      && (submission.contest_id || await findActiveContest(req.db, submission.question_id))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Contest problems cannot be stress tested'
+      });
+    }
+
+    // Likewise for timed assessments until the attempt has been submitted
+    if (req.user.role !== 'admin' && submission.assessment_attempt_id) {
+      const attempt = await getAttemptById(req.db, submission.assessment_attempt_id);
+      if (!attempt || attempt.status !== 'submitted') {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Assessment submissions cannot be stress tested before the assessment is submitted'
+        });
+      }
+    }
+
+    if (submission.judge_status !== 'finished' || submission.verdict !== VERDICTS.WRONG_ANSWER) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only submissions judged Wrong Answer can be stress tested'
+      });
+    }
+
+    const [questions] = await req.db.execute(
+      'SELECT * FROM questions WHERE id = ?',
+      [submission.question_id]
+    );
+
+    if (questions.length === 0 || !stressTester.hasStressTest(questions[0])) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Stress testing is not available for this question'
+      });
+    }
+
+    // Admins are trusted to test without limits
+    const claim = req.user.role === 'admin'
+      ? { release: () => {} }
+      : stressTester.claimStressTest(req.user.id, submission.id);
+    if (claim.error) {
+      return res.status(429).json({
+        status: 'error',
+        message: claim.error
+      });
+    }
+
+    let report;
+    try {
+      report = await stressTester.runStressTest(questions[0], {
+        code: submission.code,
+        language: submission.language,
+        runtime: submission.runtime
+      });
+    } finally {
+      claim.release();
+    }
+    if (report.error) {
+      // Generator or reference problems are for admins to fix, not the student
+      console.error(`Stress test setup error for question ${submission.question_id}:`, report.error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Stress testing is misconfigured for this question. Please contact an admin.'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: report
+    });
+  } catch (error) {
+    console.error('Stress test error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to run stress test. Please try again.'
+    });
+  }
+});
+
 /**
  * @route   GET /api/submissions/user
  * @desc    Get user's submissions
@@ -207,7 +511,7 @@ router.get('/user', authenticate, async (req, res) => {
     
     // Get submissions with question details
     const submissionsQuery = `
-      SELECT s.id, s.question_id, q.title, s.language, s.passed, s.submitted_at
+      SELECT s.id, s.question_id, q.title, s.language, s.passed, s.verdict, s.score, s.submitted_at
       FROM submissions s
       JOIN questions q ON s.question_id = q.id
       WHERE s.user_id = ?
@@ -283,7 +587,10 @@ router.get('/:id', authenticate, async (req, res) => {
     res.status(200).json({
       status: 'success',
       data: {
-        submission
+        submission: {
+          ...submission,
+          verdictLabel: VERDICT_LABELS[submission.verdict] || null
+        }
       }
     });
   } catch (error) {
@@ -316,7 +623,7 @@ router.get('/question/:questionId', authenticate, async (req, res) => {
     // Get submissions for the question (only user's own submissions unless admin)
     let query, params;
     if (req.user.role === 'admin') {
-      query = `SELECT s.id, s.user_id, u.name as user_name, s.language, s.passed, s.submitted_at
+      query = `SELECT s.id, s.user_id, u.name as user_name, s.language, s.passed, s.verdict, s.score, s.submitted_at
                FROM submissions s
                JOIN users u ON s.user_id = u.id
                WHERE s.question_id = ?
@@ -324,7 +631,7 @@ router.get('/question/:questionId', authenticate, async (req, res) => {
                LIMIT ${limit} OFFSET ${offset}`;
       params = [questionId];
     } else {
-      query = `SELECT s.id, s.user_id, s.language, s.passed, s.submitted_at, s.code, s.test_case_results
+      query = `SELECT s.id, s.user_id, s.language, s.passed, s.verdict, s.score, s.submitted_at, s.code, s.test_case_results
                FROM submissions s
                WHERE s.question_id = ? AND s.user_id = ?
                ORDER BY s.submitted_at DESC
@@ -408,7 +715,7 @@ router.get('/stats/user', authenticate, async (req, res) => {
     
     // Get recent submissions
     const [recentSubmissions] = await req.db.execute(
-      `SELECT s.id, s.question_id, q.title, s.language, s.passed, s.submitted_at 
+      `SELECT s.id, s.question_id, q.title, s.language, s.passed, s.verdict, s.score, s.submitted_at 
        FROM submissions s 
        JOIN questions q ON s.question_id = q.id 
        WHERE s.user_id = ? 
@@ -2,6 +2,7 @@ require('dotenv').config();
 const mysql = require('mysql2/promise');
 const fs = require('fs');
 const path = require('path');
+const { normalizeExpectedOutput } = require('./utils/outputFormat');
 
 // Utility function to safely add column if it doesn't exist
 async function safeAddColumn(connection, table, column, definition) {
@@ -36,9 +37,42 @@ const runMigration = async () => {
     await safeAddColumn(connection, 'quizzes', 'duration', `duration INT DEFAULT 60 COMMENT 'Quiz duration in minutes'`);
     await safeAddColumn(connection, 'submissions', 'status', `status ENUM('attempted', 'solved') DEFAULT 'attempted'`);
     await safeAddColumn(connection, 'users', 'last_signed_in', `last_signed_in TIMESTAMP NULL COMMENT 'Last time user signed in'`);
+    await safeAddColumn(connection, 'questions', 'io_mode', `io_mode ENUM('function', 'stdio', 'interactive') NOT NULL DEFAULT 'function' AFTER question_type`);
+    await connection.query(`ALTER TABLE questions MODIFY COLUMN io_mode ENUM('function', 'stdio', 'interactive') NOT NULL DEFAULT 'function'`);
+    await safeAddColumn(connection, 'questions', 'interactor_language', `interactor_language VARCHAR(50) NULL`);
+    await safeAddColumn(connection, 'questions', 'interactor_code', `interactor_code MEDIUMTEXT NULL`);
+    await safeAddColumn(connection, 'questions', 'interactor_query_limit', `interactor_query_limit INT NULL`);
+    await safeAddColumn(connection, 'questions', 'reference_language', `reference_language VARCHAR(50) NULL`);
+    await safeAddColumn(connection, 'questions', 'reference_code', `reference_code MEDIUMTEXT NULL`);
+    await safeAddColumn(connection, 'questions', 'generator_language', `generator_language VARCHAR(50) NULL`);
+    await safeAddColumn(connection, 'questions', 'generator_code', `generator_code MEDIUMTEXT NULL`);
+    await safeAddColumn(connection, 'questions', 'starter_code', `starter_code JSON NULL`);
+    await safeAddColumn(connection, 'questions', 'version', `version INT NOT NULL DEFAULT 1`);
+    await connection.query(`ALTER TABLE test_cases MODIFY COLUMN input MEDIUMTEXT, MODIFY COLUMN expected_output MEDIUMTEXT`);
+    await safeAddColumn(connection, 'test_cases', 'subtask', `subtask INT NULL`);
+    await safeAddColumn(connection, 'test_cases', 'points', `points INT NULL`);
+    await safeAddColumn(connection, 'submissions', 'runtime', `runtime VARCHAR(64) NULL AFTER language`);
+    await safeAddColumn(connection, 'submissions', 'question_version', `question_version INT NULL`);
+    await connection.query(`UPDATE submissions SET question_version = 1 WHERE question_version IS NULL`);
+    await safeAddColumn(connection, 'submissions', 'contest_id', `contest_id INT NULL, ADD INDEX idx_submissions_contest (contest_id)`);
+    await safeAddColumn(connection, 'submissions', 'assessment_attempt_id', `assessment_attempt_id INT NULL, ADD INDEX idx_submissions_assessment (assessment_attempt_id)`);
+    await safeAddColumn(connection, 'submissions', 'score', `score DECIMAL(5,2) NULL`);
+    await connection.query(`UPDATE submissions SET score = IF(passed, 100, 0) WHERE score IS NULL AND passed IS NOT NULL`);
+    await safeAddColumn(connection, 'quiz_questions', 'question_type', `question_type VARCHAR(32) NOT NULL DEFAULT 'single'`);
+    await safeAddColumn(connection, 'quiz_questions', 'answer', `answer JSON NULL`);
+    await safeAddColumn(connection, 'quizzes', 'shuffle_questions', `shuffle_questions TINYINT(1) NOT NULL DEFAULT 0`);
+    await safeAddColumn(connection, 'quizzes', 'shuffle_options', `shuffle_options TINYINT(1) NOT NULL DEFAULT 0`);
+    await safeAddColumn(connection, 'quizzes', 'closes_at', `closes_at DATETIME NULL`);
+    await safeAddColumn(connection, 'quizzes', 'max_attempts', `max_attempts INT NULL`);
+    await safeAddColumn(connection, 'quizzes', 'grading_policy', `grading_policy ENUM('best', 'last', 'average') NOT NULL DEFAULT 'best'`);
+    await safeAddColumn(connection, 'quizzes', 'reveal_answers', `reveal_answers ENUM('immediately', 'after_close', 'never') NOT NULL DEFAULT 'immediately'`);
+    await safeAddColumn(connection, 'quiz_submissions', 'attempt_id', `attempt_id INT NULL`);
+    await safeAddColumn(connection, 'quiz_submissions', 'total_questions', `total_questions INT NULL`);
+    await connection.query(`ALTER TABLE quiz_submissions MODIFY COLUMN score DECIMAL(7,2)`);
+    await connection.query(`ALTER TABLE user_quiz_progress MODIFY COLUMN score DECIMAL(7,2) DEFAULT 0, MODIFY COLUMN best_score DECIMAL(7,2) DEFAULT 0`);
 
     // Step 2: Read and run the remaining SQL statements from migration files
-    const migrationFiles = ['add_quiz_duration.sql', 'add_function_name.sql', 'add_code_drafts.sql'];
+    const migrationFiles = ['add_quiz_duration.sql', 'add_function_name.sql', 'add_code_drafts.sql', 'add_platform_settings.sql', 'add_question_versions.sql', 'add_contests.sql', 'add_plagiarism_reports.sql', 'add_question_bank.sql', 'add_assessments.sql', 'add_cohorts.sql'];
 
     for (const file of migrationFiles) {
       const migrationPath = path.join(__dirname, '..', 'database', file);
@@ -68,6 +102,29 @@ const runMigration = async () => {
       }
     }
 
+    // quiz_attempts is created by add_question_bank.sql; bring older copies of it up to date
+    await safeAddColumn(connection, 'quiz_attempts', 'deadline_at', `deadline_at TIMESTAMP NULL`);
+    await connection.query(`UPDATE quiz_attempts a JOIN quizzes q ON q.id = a.quiz_id
+      SET a.deadline_at = DATE_ADD(a.started_at, INTERVAL COALESCE(q.duration, 60) MINUTE)
+      WHERE a.deadline_at IS NULL`);
+    await safeAddColumn(connection, 'quiz_attempts', 'answers', `answers JSON NULL`);
+    await safeAddColumn(connection, 'quiz_attempts', 'saved_at', `saved_at TIMESTAMP NULL`);
+    await safeAddColumn(connection, 'quiz_attempts', 'auto_submitted', `auto_submitted TINYINT(1) NOT NULL DEFAULT 0`);
+
+    // Step 3: Rewrite stored expected outputs in the canonical output format
+    const [testCases] = await connection.query(
+      'SELECT t.id, t.expected_output, q.io_mode FROM test_cases t JOIN questions q ON q.id = t.question_id'
+    );
+    let normalizedCount = 0;
+    for (const testCase of testCases) {
+      const normalized = normalizeExpectedOutput(testCase.expected_output, testCase.io_mode);
+      if (normalized !== testCase.expected_output) {
+        await connection.query('UPDATE test_cases SET expected_output = ? WHERE id = ?', [normalized, testCase.id]);
+        normalizedCount++;
+      }
+    }
+    console.log(`✅ Normalized ${normalizedCount} expected output(s)`);
+
     await connection.end();
     console.log('🎉 Migration completed successfully');
   } catch (error) {
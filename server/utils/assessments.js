@@ -0,0 +1,429 @@
+/**
+ * @file assessments.js
+ * @description Mixed assessments: timed tests combining quiz questions and
+ * coding problems, each worth a number of points. Quiz items keep their
+ * question in the same layout as `quiz_questions` (see quizQuestions.js);
+ * coding items refer to a coding `questions` row and are solved through the
+ * regular judge, with submissions tagged by `submissions.assessment_attempt_id`.
+ *
+ * Each student gets one attempt, which copies the items when it starts and
+ * keeps the server-side deadline and autosaved quiz answers like a quiz
+ * attempt (see quizAttempts.js). A quiz item earns its points times the
+ * answer's credit; a coding item earns its points times the best score (out
+ * of 100) of the attempt's submissions for it. The graded attempt is the
+ * result record: its total feeds `user_assessment_progress` and the
+ * leaderboard, and is refreshed when a coding submission finishes judging
+ * after the attempt was submitted.
+ */
+
+const { normalizeQuizQuestion, formatQuizQuestion, scoreAnswer } = require('./quizQuestions');
+const { GRACE_SECONDS } = require('./quizAttempts');
+const { parseJson } = require('./json');
+
+const ASSESSMENT_LIMITS = {
+  items: 50,
+  points: { min: 1, max: 1000 },
+  duration: { min: 1, max: 600 }  // minutes
+};
+
+const ITEM_TYPES = ['quiz', 'coding'];
+
+const PENDING_STATUSES = ['pending', 'running'];
+
+// How often attempts past their deadline are finalized in the background
+const EXPIRY_SWEEP_MS = 60 * 1000;
+
+let sweepTimer = null;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validate the items sent by the assessment form
+ * @param {Array<Object>} items - [{ item_type, points, question_id }] for coding
+ * items, or quiz question fields (see normalizeQuizQuestion) for quiz items
+ * @returns {Object} - { error } or { items } ready for assessment_items
+ */
+function normalizeItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'Please add at least one item' };
+  }
+  if (items.length > ASSESSMENT_LIMITS.items) {
+    return { error: `An assessment can have at most ${ASSESSMENT_LIMITS.items} items` };
+  }
+
+  const { points: pointBounds } = ASSESSMENT_LIMITS;
+  const normalized = [];
+  const codingQuestions = new Set();
+  for (const [index, item] of items.entries()) {
+    const type = item?.item_type;
+    if (!ITEM_TYPES.includes(type)) {
+      return { error: `Item ${index + 1} must be a quiz question or a coding problem` };
+    }
+
+    const points = isBlank(item.points) ? (type === 'coding' ? 100 : 1) : Number(item.points);
+    if (!Number.isInteger(points) || points < pointBounds.min || points > pointBounds.max) {
+      return { error: `Points must be a whole number between ${pointBounds.min} and ${pointBounds.max}` };
+    }
+
+    if (type === 'coding') {
+      const questionId = Number(item.question_id);
+      if (!Number.isInteger(questionId) || questionId <= 0) {
+        return { error: `Item ${index + 1} has no coding problem` };
+      }
+      if (codingQuestions.has(questionId)) {
+        return { error: 'A coding problem can only be added to an assessment once' };
+      }
+      codingQuestions.add(questionId);
+      normalized.push({ item_type: type, position: index, points, question_id: questionId });
+    } else {
+      const { error, values } = normalizeQuizQuestion(item);
+      if (error) return { error };
+      normalized.push({ item_type: type, position: index, points, question_id: null, ...values });
+    }
+  }
+  return { items: normalized };
+}
+
+/**
+ * Checks that every coding item refers to an existing question
+ * @returns {Promise<string|null>} - Error message, or null when all exist
+ */
+async function findMissingQuestion(db, items) {
+  const ids = items.filter(item => item.item_type === 'coding').map(item => item.question_id);
+  if (ids.length === 0) return null;
+  const [rows] = await db.execute(
+    `SELECT id FROM questions WHERE id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  );
+  const existing = new Set(rows.map(row => row.id));
+  const missing = ids.find(id => !existing.has(id));
+  return missing ? `Question #${missing} does not exist` : null;
+}
+
+/**
+ * Replaces the items of an assessment
+ */
+async function saveItems(connection, assessmentId, items) {
+  await connection.execute('DELETE FROM assessment_items WHERE assessment_id = ?', [assessmentId]);
+  for (const item of items) {
+    await connection.execute(
+      `INSERT INTO assessment_items
+       (assessment_id, item_type, position, points, question_id, question, question_type, options, correct_option, answer, difficulty)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [assessmentId, item.item_type, item.position, item.points, item.question_id,
+        item.question ?? null, item.question_type ?? null, item.options ?? null,
+        item.correct_option ?? null, item.answer ?? null, item.difficulty ?? null]
+    );
+  }
+}
+
+/**
+ * Items of an assessment in order, with the title of coding problems
+ */
+async function getItems(db, assessmentId) {
+  const [items] = await db.execute(
+    `SELECT ai.*, q.title AS coding_title, q.difficulty AS coding_difficulty
+     FROM assessment_items ai
+     LEFT JOIN questions q ON q.id = ai.question_id
+     WHERE ai.assessment_id = ?
+     ORDER BY ai.position, ai.id`,
+    [assessmentId]
+  );
+  return items;
+}
+
+/**
+ * An item as sent to the admin editor (withAnswer) or to a student
+ * @param {Object} item - assessment_items row or item served in an attempt
+ */
+function formatItem(item, withAnswer = false) {
+  if (item.item_type === 'coding') {
+    return {
+      id: item.id,
+      item_type: 'coding',
+      points: item.points,
+      question_id: item.question_id,
+      title: item.title ?? item.coding_title,
+      difficulty: item.difficulty ?? item.coding_difficulty
+    };
+  }
+  return { ...formatQuizQuestion(item, withAnswer), item_type: 'quiz', points: item.points };
+}
+
+/**
+ * Whether a student can start the assessment
+ * @returns {Object} - { open, message }
+ */
+function assessmentAvailability(assessment, now = new Date()) {
+  if (assessment.opens_at && new Date(assessment.opens_at) > now) {
+    return { open: false, message: 'This assessment has not opened yet.' };
+  }
+  if (assessment.closes_at && new Date(assessment.closes_at) <= now) {
+    return { open: false, message: 'This assessment is closed.' };
+  }
+  return { open: true, message: null };
+}
+
+const ATTEMPT_COLUMNS = `*, TIMESTAMPDIFF(SECOND, CURRENT_TIMESTAMP, deadline_at) AS remaining_seconds`;
+
+const parseAttempt = (row) => ({
+  ...row,
+  items: parseJson(row.items, []),
+  answers: parseJson(row.answers, null) || {},
+  results: parseJson(row.results, null),
+  score: row.score === null ? null : Number(row.score),
+  remaining_seconds: row.remaining_seconds === null ? null : Number(row.remaining_seconds)
+});
+
+/**
+ * Whether an attempt is past its deadline and grace period
+ */
+const isExpired = (attempt) => attempt.remaining_seconds !== null && attempt.remaining_seconds < -GRACE_SECONDS;
+
+/**
+ * A student's attempt of an assessment, if they started one
+ */
+async function getAttempt(db, assessmentId, userId) {
+  const [attempts] = await db.execute(
+    `SELECT ${ATTEMPT_COLUMNS} FROM assessment_attempts WHERE assessment_id = ? AND user_id = ?`,
+    [assessmentId, userId]
+  );
+  return attempts.length > 0 ? parseAttempt(attempts[0]) : null;
+}
+
+async function getAttemptById(db, attemptId) {
+  const [attempts] = await db.execute(`SELECT ${ATTEMPT_COLUMNS} FROM assessment_attempts WHERE id = ?`, [attemptId]);
+  return attempts.length > 0 ? parseAttempt(attempts[0]) : null;
+}
+
+/**
+ * Start the attempt of a student, copying the items served to them. The
+ * deadline comes from the assessment duration but is never after it closes.
+ */
+async function startAttempt(db, assessment, userId) {
+  const items = (await getItems(db, assessment.id)).map((item, index) => (item.item_type === 'coding'
+    ? { id: index + 1, item_type: 'coding', points: item.points, question_id: item.question_id, title: item.coding_title, difficulty: item.coding_difficulty }
+    : {
+      id: index + 1,
+      item_type: 'quiz',
+      points: item.points,
+      question: item.question,
+      question_type: item.question_type,
+      options: parseJson(item.options, null),
+      correct_option: item.correct_option,
+      answer: parseJson(item.answer, null),
+      difficulty: item.difficulty
+    }));
+  const maxScore = items.reduce((sum, item) => sum + item.points, 0);
+
+  const deadline = 'DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)';
+  await db.execute(
+    `INSERT INTO assessment_attempts (assessment_id, user_id, items, max_score, deadline_at)
+     VALUES (?, ?, ?, ?, ${assessment.closes_at ? `LEAST(${deadline}, ?)` : deadline})`,
+    [assessment.id, userId, JSON.stringify(items), maxScore, assessment.duration || 60,
+      ...(assessment.closes_at ? [assessment.closes_at] : [])]
+  );
+  await updateProgress(db, await getAttempt(db, assessment.id, userId));
+  return getAttempt(db, assessment.id, userId);
+}
+
+/**
+ * Autosave the quiz answers of an attempt that is still running
+ * @returns {Promise<boolean>} - False when the attempt is over
+ */
+async function saveAnswers(db, attempt, answers) {
+  if (isExpired(attempt)) return false;
+  const [result] = await db.execute(
+    "UPDATE assessment_attempts SET answers = ? WHERE id = ? AND status = 'in_progress'",
+    [JSON.stringify(answers), attempt.id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Grade an attempt: quiz items from its answers, coding items from the best
+ * submission made during the attempt
+ * @returns {Promise<Object>} - { score, maxScore, pending, items } where
+ * `pending` counts coding submissions still being judged
+ */
+async function gradeAttempt(db, attempt) {
+  const [submissions] = await db.execute(
+    `SELECT question_id, judge_status, passed, score FROM submissions WHERE assessment_attempt_id = ?`,
+    [attempt.id]
+  );
+
+  let score = 0;
+  let pending = 0;
+  const items = [];
+  for (const item of attempt.items) {
+    if (item.item_type === 'coding') {
+      const own = submissions.filter(submission => submission.question_id === item.question_id);
+      const judged = own.filter(submission => submission.judge_status === 'finished');
+      const best = judged.reduce((max, submission) => Math.max(max, submission.score !== null
+        ? Number(submission.score)
+        : (submission.passed ? 100 : 0)), 0);
+      const itemPending = own.filter(submission => PENDING_STATUSES.includes(submission.judge_status)).length;
+      const earned = Math.round(item.points * best) / 100;
+      score += earned;
+      pending += itemPending;
+      items.push({
+        ...formatItem(item),
+        earned,
+        bestScore: best,
+        solved: best === 100,
+        submissions: own.length,
+        pending: itemPending
+      });
+      continue;
+    }
+
+    const response = attempt.answers[item.id] ?? attempt.answers[String(item.id)];
+    const result = scoreAnswer(item, response);
+    const earned = Math.round(item.points * result.credit * 100) / 100;
+    score += earned;
+    items.push({
+      ...formatItem(item),
+      earned,
+      userAnswerIndex: result.userAnswerIndex,
+      correctAnswerIndex: result.correctAnswerIndex,
+      userAnswerIndexes: result.userAnswerIndexes,
+      correctAnswerIndexes: result.correctAnswerIndexes,
+      userAnswer: result.userAnswer,
+      correctAnswer: result.correctAnswer,
+      answered: result.answered,
+      credit: result.credit,
+      isCorrect: result.isCorrect
+    });
+  }
+
+  return {
+    score: Math.round(score * 100) / 100,
+    maxScore: attempt.items.reduce((sum, item) => sum + item.points, 0),
+    pending,
+    items
+  };
+}
+
+/**
+ * Mirror an attempt into the student's assessment progress
+ */
+async function updateProgress(db, attempt) {
+  await db.execute(
+    `INSERT INTO user_assessment_progress (user_id, assessment_id, status, score, max_score)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE status = VALUES(status), score = VALUES(score), max_score = VALUES(max_score)`,
+    [attempt.user_id, attempt.assessment_id, attempt.status === 'submitted' ? 'completed' : 'in_progress',
+      attempt.score ?? 0, attempt.max_score]
+  );
+}
+
+/**
+ * Close an attempt and record its graded result
+ * @param {Object} attempt - Running attempt (see getAttempt)
+ * @param {Object} answers - Quiz answers to grade
+ * @param {boolean} autoSubmitted - Finalized because time ran out
+ * @returns {Promise<Object|null>} - Graded result (see gradeAttempt), or null
+ * when the attempt was already finalized
+ */
+async function finalizeAttempt(db, attempt, answers, autoSubmitted = false) {
+  // Claim the attempt first so a late submit and the sweep cannot both grade it
+  const [claimed] = await db.execute(
+    `UPDATE assessment_attempts SET status = 'submitted', answers = ?, auto_submitted = ?, submitted_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'in_progress'`,
+    [JSON.stringify(answers), autoSubmitted, attempt.id]
+  );
+  if (claimed.affectedRows === 0) return null;
+
+  const result = await gradeAttempt(db, { ...attempt, answers });
+  await db.execute(
+    'UPDATE assessment_attempts SET score = ?, results = ? WHERE id = ?',
+    [result.score, JSON.stringify(result.items), attempt.id]
+  );
+  await updateProgress(db, { ...attempt, status: 'submitted', score: result.score });
+
+  return { ...result, autoSubmitted };
+}
+
+/**
+ * Regrade a submitted attempt after one of its coding submissions was judged
+ * @param {number} attemptId - assessment_attempts ID
+ */
+async function refreshAttemptResult(db, attemptId) {
+  const attempt = await getAttemptById(db, attemptId);
+  if (!attempt || attempt.status !== 'submitted') return;
+
+  const result = await gradeAttempt(db, attempt);
+  await db.execute(
+    'UPDATE assessment_attempts SET score = ?, results = ? WHERE id = ?',
+    [result.score, JSON.stringify(result.items), attempt.id]
+  );
+  await updateProgress(db, { ...attempt, score: result.score });
+}
+
+/**
+ * The stored result of a submitted attempt
+ */
+const attemptResult = (attempt) => ({
+  score: attempt.score ?? 0,
+  maxScore: attempt.max_score,
+  pending: (attempt.results || []).reduce((sum, item) => sum + (item.pending || 0), 0),
+  items: attempt.results || [],
+  autoSubmitted: Boolean(attempt.auto_submitted)
+});
+
+/**
+ * Finalize every attempt past its deadline with its saved answers
+ * @returns {Promise<number>} - Attempts finalized
+ */
+async function finalizeExpiredAttempts(db) {
+  const [rows] = await db.execute(
+    `SELECT ${ATTEMPT_COLUMNS} FROM assessment_attempts
+     WHERE status = 'in_progress' AND deadline_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ${GRACE_SECONDS} SECOND)`
+  );
+  let finalized = 0;
+  for (const row of rows) {
+    const attempt = parseAttempt(row);
+    if (await finalizeAttempt(db, attempt, attempt.answers, true)) finalized++;
+  }
+  return finalized;
+}
+
+/**
+ * Finalize expired attempts now and every EXPIRY_SWEEP_MS
+ * @param {Object} dbPool - mysql2 promise pool
+ */
+function startExpirySweep(dbPool) {
+  const sweep = async () => {
+    try {
+      const finalized = await finalizeExpiredAttempts(dbPool);
+      if (finalized > 0) {
+        console.log(`[Assessments] Finalized ${finalized} attempt(s) past their deadline`);
+      }
+    } catch (error) {
+      console.error('[Assessments] Expired attempt sweep failed:', error.message);
+    }
+  };
+  if (sweepTimer) clearInterval(sweepTimer);
+  sweepTimer = setInterval(sweep, EXPIRY_SWEEP_MS);
+  return sweep();
+}
+
+module.exports = {
+  ASSESSMENT_LIMITS,
+  normalizeItems,
+  findMissingQuestion,
+  saveItems,
+  getItems,
+  formatItem,
+  assessmentAvailability,
+  isExpired,
+  getAttempt,
+  getAttemptById,
+  startAttempt,
+  saveAnswers,
+  gradeAttempt,
+  finalizeAttempt,
+  refreshAttemptResult,
+  attemptResult,
+  startExpirySweep
+};
@@ -0,0 +1,240 @@
+/**
+ * @file checkers.js
+ * @description Output comparison strategies used to grade a program's stdout
+ * against a test case's expected output. Each question selects one through
+ * `checker_type` (with options in `checker_config`); `special` runs an
+ * admin-authored judge program instead of a built-in comparison. Interactive
+ * problems are judged by their interactor instead (see readInteractorVerdict).
+ */
+
+const { tryParseJson, parseJsonObject } = require('./json');
+
+const CHECKER_TYPES = ['exact', 'whitespace', 'tokens', 'numeric', 'json', 'unordered', 'special'];
+
+const DEFAULT_CHECKER = 'exact';
+
+const DEFAULT_EPSILON = {
+  absEpsilon: 1e-6,
+  relEpsilon: 1e-6
+};
+
+const tokenize = (text) => {
+  const trimmed = (text || '').trim();
+  return trimmed ? trimmed.split(/\s+/) : [];
+};
+
+/**
+ * Structural equality for parsed JSON values; object key order is ignored.
+ */
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  }
+  if (typeof a === 'object') {
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+  }
+  return false;
+};
+
+/**
+ * Serializes a JSON value with sorted object keys so equal values compare as
+ * equal strings.
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const numbersClose = (expected, actual, { absEpsilon, relEpsilon }) => {
+  const diff = Math.abs(expected - actual);
+  return diff <= absEpsilon || diff <= relEpsilon * Math.abs(expected);
+};
+
+/**
+ * Reads the elements of an unordered answer: a JSON array when the output is
+ * one, otherwise whitespace-separated tokens.
+ */
+const unorderedElements = (text) => {
+  const parsed = tryParseJson((text || '').trim());
+  if (parsed.ok && Array.isArray(parsed.value)) {
+    return parsed.value.map(canonicalJson);
+  }
+  return tokenize(text);
+};
+
+const COMPARATORS = {
+  exact: (expected, actual) => expected.trim() === actual.trim(),
+
+  whitespace: (expected, actual) => {
+    const normalize = (text) => text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+    return normalize(expected) === normalize(actual);
+  },
+
+  tokens: (expected, actual) => {
+    const expectedTokens = tokenize(expected);
+    const actualTokens = tokenize(actual);
+    return expectedTokens.length === actualTokens.length &&
+      expectedTokens.every((token, index) => token === actualTokens[index]);
+  },
+
+  numeric: (expected, actual, config) => {
+    const epsilon = {
+      absEpsilon: Number(config.absEpsilon ?? DEFAULT_EPSILON.absEpsilon),
+      relEpsilon: Number(config.relEpsilon ?? DEFAULT_EPSILON.relEpsilon)
+    };
+    // Numbers inside JSON-style output ("[0.5, 1.25]") are compared too
+    const split = (text) => tokenize(text.replace(/[[\](),]/g, ' '));
+    const expectedTokens = split(expected);
+    const actualTokens = split(actual);
+    if (expectedTokens.length !== actualTokens.length) return false;
+    return expectedTokens.every((token, index) => {
+      const expectedNumber = Number(token);
+      const actualNumber = Number(actualTokens[index]);
+      if (Number.isFinite(expectedNumber) && Number.isFinite(actualNumber)) {
+        return numbersClose(expectedNumber, actualNumber, epsilon);
+      }
+      return token === actualTokens[index];
+    });
+  },
+
+  json: (expected, actual) => {
+    const expectedJson = tryParseJson(expected.trim());
+    const actualJson = tryParseJson(actual.trim());
+    if (!expectedJson.ok || !actualJson.ok) {
+      return expected.trim() === actual.trim();
+    }
+    return deepEqual(expectedJson.value, actualJson.value);
+  },
+
+  unordered: (expected, actual) => {
+    const expectedElements = unorderedElements(expected).sort();
+    const actualElements = unorderedElements(actual).sort();
+    return expectedElements.length === actualElements.length &&
+      expectedElements.every((element, index) => element === actualElements[index]);
+  }
+};
+
+/**
+ * Builds the stdin handed to a special judge: three sections (test input,
+ * expected output, contestant output), each preceded by its line count.
+ */
+const buildJudgeInput = ({ input, expectedOutput, actualOutput }) => {
+  const section = (text) => {
+    const lines = (text || '').replace(/\r\n/g, '\n').split('\n');
+    return `${lines.length}\n${lines.join('\n')}`;
+  };
+  return `${section(input)}\n${section(expectedOutput)}\n${section(actualOutput)}\n`;
+};
+
+/**
+ * Interprets a special judge run. The judge must exit normally and print
+ * `AC` or `WA` as the first token, optionally followed by a message.
+ */
+const splitVerdict = (text) => {
+  const [, verdict = '', message = ''] = text.match(/^(\S+)\s*([\s\S]*)$/) || [];
+  return { verdict: verdict.toUpperCase(), message };
+};
+
+const parseJudgeOutput = (result) => {
+  const stdout = (result.stdout || '').trim();
+  const { verdict, message } = splitVerdict(stdout);
+
+  if (result.statusId !== 3 || !['AC', 'WA'].includes(verdict)) {
+    const detail = (result.compileOutput || result.stderr || result.message || stdout || '').trim();
+    return {
+      accepted: false,
+      checkerError: true,
+      message: `Special judge failed${detail ? `: ${detail}` : ''}`
+    };
+  }
+
+  return {
+    accepted: verdict === 'AC',
+    checkerError: false,
+    message
+  };
+};
+
+/**
+ * Reads the verdict of an interactive run. The interactor talks to the
+ * contestant over stdout, so it reports on stderr instead: its last line must
+ * start with AC or WA, optionally followed by a message. An interactor that
+ * crashes, times out or reports anything else is a checker error.
+ * @param {Object} interaction - `interaction` of an interactive execution result
+ * @returns {Object} - { accepted, checkerError, message }
+ */
+const readInteractorVerdict = (interaction) => {
+  const interactor = interaction.interactor || {};
+  const lastLine = (interactor.stderr || '').trim().split('\n').pop().trim();
+  const { verdict, message } = splitVerdict(lastLine);
+
+  if (interactor.statusId !== 3 || !['AC', 'WA'].includes(verdict)) {
+    const detail = interactor.message || lastLine || (interactor.exitCode ? `exited with code ${interactor.exitCode}` : '');
+    return {
+      accepted: false,
+      checkerError: true,
+      message: `Interactor failed${detail ? `: ${detail}` : ''}`
+    };
+  }
+
+  return {
+    accepted: verdict === 'AC',
+    checkerError: false,
+    message
+  };
+};
+
+/**
+ * Create the output checker configured on a question
+ * @param {Object} problem - Question row (checker_type, checker_config,
+ * special_judge_language, special_judge_code)
+ * @param {Object} options - `runJudge(source, language, input)` used to execute
+ * special judges
+ * @returns {Object} - { type, check({ input, expectedOutput, actualOutput }) }
+ * resolving to { accepted, checkerError, message }
+ */
+function createChecker(problem, options = {}) {
+  const type = CHECKER_TYPES.includes(problem?.checker_type) ? problem.checker_type : DEFAULT_CHECKER;
+  const config = parseJsonObject(problem?.checker_config);
+
+  if (type === 'special') {
+    const { runJudge } = options;
+    return {
+      type,
+      check: async (submission) => {
+        if (!problem.special_judge_code || !problem.special_judge_language || !runJudge) {
+          return { accepted: false, checkerError: true, message: 'Special judge is not configured' };
+        }
+        const result = await runJudge(problem.special_judge_code, problem.special_judge_language, buildJudgeInput(submission));
+        return parseJudgeOutput(result);
+      }
+    };
+  }
+
+  const compare = COMPARATORS[type];
+  return {
+    type,
+    check: async ({ expectedOutput, actualOutput }) => ({
+      accepted: compare(expectedOutput || '', actualOutput || '', config),
+      checkerError: false,
+      message: ''
+    })
+  };
+}
+
+module.exports = {
+  CHECKER_TYPES,
+  DEFAULT_CHECKER,
+  createChecker,
+  readInteractorVerdict
+};
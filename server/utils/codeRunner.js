@@ -5,6 +5,24 @@
  * outputs, and language-specific scaffolding.
  */
 
+const {
+  resolveSchema,
+  parseTypedInput,
+  javaType,
+  javaLiteral,
+  cppType,
+  cppLiteral,
+  parseType,
+  describeType,
+  inferDescriptor,
+  goType,
+  goLiteral,
+  csharpType,
+  csharpLiteral,
+  rubyLiteral,
+  phpLiteral
+} = require('./parameterTypes');
+
 /**
  * Converts a human-friendly title into a deterministic camelCase function name
  * to align user code with generated templates.
@@ -165,6 +183,14 @@ const cppTreeNodeHelpers = `static TreeNode* buildTreeNode(const std::vector<std
     return nodes[0];
 }
 
+static TreeNode* buildTreeNode(const std::vector<int>& values) {
+    std::vector<std::string> tokens;
+    for (int value : values) {
+        tokens.push_back(std::to_string(value));
+    }
+    return buildTreeNode(tokens);
+}
+
 static std::string treeNodeToJson(TreeNode* root) {
     if (!root) {
         return "[]";
@@ -189,7 +215,7 @@ static std::string treeNodeToJson(TreeNode* root) {
     std::ostringstream oss;
     oss << "[";
     for (size_t i = 0; i < values.size(); ++i) {
-        if (i) oss << ", ";
+        if (i) oss << ",";
         oss << values[i];
     }
     oss << "]";
@@ -201,8 +227,8 @@ auto normalizeBinaryTreeResult(T&& value) -> T&& {
     return std::forward<T>(value);
 }
 
-static std::string normalizeBinaryTreeResult(TreeNode* root) {
-    return treeNodeToJson(root);
+static CascadeJson normalizeBinaryTreeResult(TreeNode* root) {
+    return CascadeJson{treeNodeToJson(root)};
 }
 `;
 
@@ -265,21 +291,21 @@ static std::vector<std::vector<int>> graphNodeToAdjList(GraphNode* node) {
     return result;
 }
 
-static std::string graphNodeToJson(GraphNode* node) {
+static CascadeJson graphNodeToJson(GraphNode* node) {
     auto lists = graphNodeToAdjList(node);
     std::ostringstream oss;
     oss << "[";
     for (size_t i = 0; i < lists.size(); ++i) {
-        if (i) oss << ", ";
+        if (i) oss << ",";
         oss << "[";
         for (size_t j = 0; j < lists[i].size(); ++j) {
-            if (j) oss << ", ";
+            if (j) oss << ",";
             oss << lists[i][j];
         }
         oss << "]";
     }
     oss << "]";
-    return oss.str();
+    return CascadeJson{oss.str()};
 }`;
 
 /**
@@ -385,14 +411,73 @@ const detectJavaMethodName = (code, fallbackName) => {
   return candidates[0];
 };
 
+// Prints results in the canonical format described in outputFormat.js
+const javaSerializer = String.raw`private static String quote(String value) {
+        StringBuilder sb = new StringBuilder("\"");
+        for (char c : value.toCharArray()) {
+            switch (c) {
+                case '"': sb.append("\\\""); break;
+                case '\\': sb.append("\\\\"); break;
+                case '\n': sb.append("\\n"); break;
+                case '\r': sb.append("\\r"); break;
+                case '\t': sb.append("\\t"); break;
+                default:
+                    if (c < 0x20) {
+                        sb.append(String.format("\\u%04x", (int) c));
+                    } else {
+                        sb.append(c);
+                    }
+            }
+        }
+        return sb.append('"').toString();
+    }
+
+    private static String serialize(Object obj) {
+        if (obj == null) return "null";
+        if (obj instanceof String) return quote((String) obj);
+        if (obj instanceof Character) return quote(String.valueOf(obj));
+        if (obj instanceof Double || obj instanceof Float) {
+            double value = ((Number) obj).doubleValue();
+            if (Double.isNaN(value) || Double.isInfinite(value)) return "null";
+            if (value == Math.rint(value) && Math.abs(value) < 1e15) return String.valueOf((long) value);
+            return String.valueOf(value);
+        }
+        if (obj instanceof Number || obj instanceof Boolean) return obj.toString();
+        StringBuilder sb = new StringBuilder();
+        if (obj.getClass().isArray()) {
+            sb.append('[');
+            for (int i = 0; i < java.lang.reflect.Array.getLength(obj); i++) {
+                if (i > 0) sb.append(',');
+                sb.append(serialize(java.lang.reflect.Array.get(obj, i)));
+            }
+            return sb.append(']').toString();
+        }
+        if (obj instanceof Iterable) {
+            sb.append('[');
+            for (Object item : (Iterable<?>) obj) {
+                if (sb.length() > 1) sb.append(',');
+                sb.append(serialize(item));
+            }
+            return sb.append(']').toString();
+        }
+        if (obj instanceof java.util.Map) {
+            sb.append('{');
+            for (java.util.Map.Entry<?, ?> entry : ((java.util.Map<?, ?>) obj).entrySet()) {
+                if (sb.length() > 1) sb.append(',');
+                sb.append(quote(String.valueOf(entry.getKey()))).append(':').append(serialize(entry.getValue()));
+            }
+            return sb.append('}').toString();
+        }
+        return quote(obj.toString());
+    }`;
+
 /**
  * Generates a runnable Java harness that instantiates the solution class,
  * calls the deduced method, and prints a serialized result.
  */
 const wrapJavaCode = (code, functionName, args, options = {}) => {
-  const { resultProcessor, resultType } = options;
+  const { resultProcessor, resultType, returnsVoid } = options;
   const className = detectJavaClassName(code) || 'Solution';
-  const serialize = 'private static String serialize(Object obj) {\n        if (obj == null) return "null";\n        if (obj instanceof Number || obj instanceof Boolean) return obj.toString();\n        if (obj instanceof int[]) {\n            return java.util.Arrays.toString((int[]) obj);\n        }\n        if (obj instanceof double[]) {\n            return java.util.Arrays.toString((double[]) obj);\n        }\n        if (obj instanceof Object[]) {\n            return java.util.Arrays.deepToString((Object[]) obj);\n        }\n        return obj.toString();\n    }';
   const mainArgs = (args || []).map((arg, idx) => {
     if (arg && typeof arg === 'object' && arg.__expr) {
       const declaredType = arg.__type || 'Object';
@@ -420,10 +505,14 @@ const wrapJavaCode = (code, functionName, args, options = {}) => {
   }).join('\n        ');
   const callArgs = (args || []).map((_, idx) => `arg${idx}`).join(', ');
   const resultDeclarationType = resultType || 'Object';
-  const resultProcessing = resultProcessor
+  // void methods mutate their first argument in place, which is printed instead
+  const invocation = returnsVoid
+    ? `solution.${functionName}(${callArgs});\n        Object result = arg0;`
+    : `${resultDeclarationType} result = solution.${functionName}(${callArgs});`;
+  const resultProcessing = resultProcessor && !returnsVoid
     ? `Object output = ${resultProcessor}(result);\n        System.out.println(serialize(output));`
     : 'System.out.println(serialize(result));';
-  return `${code}\n\npublic class Main {\n    ${serialize}\n    public static void main(String[] args) {\n        ${mainArgs}\n        ${className} solution = new ${className}();\n        ${resultDeclarationType} result = solution.${functionName}(${callArgs});\n        ${resultProcessing}\n    }\n}`;
+  return `${code}\n\npublic class Main {\n    ${javaSerializer}\n    public static void main(String[] args) {\n        ${mainArgs}\n        ${className} solution = new ${className}();\n        ${invocation}\n        ${resultProcessing}\n    }\n}`;
 };
 
 /**
@@ -431,54 +520,81 @@ const wrapJavaCode = (code, functionName, args, options = {}) => {
  * canonical main function that marshals inputs and outputs.
  */
 const wrapCppCode = (code, functionName, args, options = {}) => {
-  const { helperFunctions, resultProcessor, structDefinition, structPattern } = options;
-  const includes = '#include <bits/stdc++.h>\nusing namespace std;';
+  const { helperFunctions, resultProcessor, structDefinition, structPattern, returnsVoid, charArrayResult } = options;
+  const includes = '#include <bits/stdc++.h>\nusing namespace std;\n\n// Result text that is already serialized\nstruct CascadeJson {\n    std::string text;\n};';
   const toJson = String.raw`string escapeString(const string& value) {
     string escaped;
     for (char c : value) {
-        if (c == '\\' || c == '"') {
-            escaped.push_back('\\');
+        switch (c) {
+            case '"': escaped += "\\\""; break;
+            case '\\': escaped += "\\\\"; break;
+            case '\n': escaped += "\\n"; break;
+            case '\r': escaped += "\\r"; break;
+            case '\t': escaped += "\\t"; break;
+            default:
+                if (static_cast<unsigned char>(c) < 0x20) {
+                    char buffer[8];
+                    snprintf(buffer, sizeof(buffer), "\\u%04x", c);
+                    escaped += buffer;
+                } else {
+                    escaped.push_back(c);
+                }
         }
-        escaped.push_back(c);
     }
     return escaped;
 }
 
-string vecToString(const vector<int>& values) {
-    stringstream ss;
-    ss << "[";
-    for (size_t i = 0; i < values.size(); ++i) {
-        if (i) ss << ", ";
-        ss << values[i];
-    }
-    ss << "]";
-    return ss.str();
-}
-
-string toJson(int value) {
-    return to_string(value);
-}
-
-string toJson(long long value) {
+template <typename T>
+typename enable_if<is_integral<T>::value, string>::type toJson(T value) {
     return to_string(value);
 }
 
 string toJson(double value) {
-    std::ostringstream oss;
-    oss << value;
-    return oss.str();
+    if (std::isnan(value) || std::isinf(value)) return "null";
+    if (value == std::floor(value) && std::fabs(value) < 1e15) {
+        return to_string(static_cast<long long>(value));
+    }
+    // Shortest representation that reads back as the same double
+    char buffer[32];
+    for (int precision = 1; precision <= 17; ++precision) {
+        snprintf(buffer, sizeof(buffer), "%.*g", precision, value);
+        if (strtod(buffer, nullptr) == value) break;
+    }
+    return buffer;
 }
 
 string toJson(bool value) {
     return value ? "true" : "false";
 }
 
+string toJson(char value) {
+    return "\"" + escapeString(string(1, value)) + "\"";
+}
+
 string toJson(const string& value) {
-    return value;
+    return "\"" + escapeString(value) + "\"";
+}
+
+string toJson(const char* value) {
+    return value ? toJson(string(value)) : "null";
+}
+
+string toJson(const CascadeJson& value) {
+    return value.text;
+}
+
+string toJson(nullptr_t) {
+    return "null";
 }
 
-string toJson(const vector<int>& values) {
-    return vecToString(values);
+template <typename T>
+string toJson(const vector<T>& values) {
+    string json = "[";
+    for (size_t i = 0; i < values.size(); ++i) {
+        if (i) json += ",";
+        json += toJson(values[i]);
+    }
+    return json + "]";
 }`;
   const sanitizedCode = typeof code === 'string'
     ? code.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/gm, ' ')
@@ -502,7 +618,7 @@ string toJson(const vector<int>& values) {
   const postHelperBlock = postCodeHelpers.length ? `\n\n${postCodeHelpers.join('\n\n')}\n\n` : '\n\n';
   const mainArgs = (args || []).map((arg, idx) => {
     if (arg && typeof arg === 'object' && arg.__expr) {
-      return `auto arg${idx} = ${arg.__expr};`;
+      return `${arg.__type || 'auto'} arg${idx} = ${arg.__expr};`;
     }
     if (Array.isArray(arg)) {
       const literal = toCppLiteral(arg);
@@ -522,58 +638,105 @@ string toJson(const vector<int>& values) {
     return `auto arg${idx} = ${toCppLiteral(arg)};`;
   }).join('\n    ');
   const callArgs = (args || []).map((_, idx) => `arg${idx}`).join(', ');
-  const invocation = resultProcessor
+  let invocation = resultProcessor
     ? `auto __raw_result = solution.${functionName}(${callArgs});\n    auto result = ${resultProcessor}(__raw_result);`
     : `auto result = solution.${functionName}(${callArgs});`;
-  return `${includes}\n\n${preHelperBlock}${code}${postHelperBlock}${toJson}\n\nint main() {\n    ${mainArgs}\n    Solution solution;\n    ${invocation}\n    cout << toJson(result) << endl;\n    return 0;\n}`;
+  if (returnsVoid) {
+    invocation = `solution.${functionName}(${callArgs});\n    auto& result = arg0;`;
+  }
+  // char[] values are std::string in C++ but print as an array of chars
+  const output = charArrayResult
+    ? 'cout << toJson(vector<char>(result.begin(), result.end())) << endl;'
+    : 'cout << toJson(result) << endl;';
+  return `${includes}\n\n${preHelperBlock}${code}${postHelperBlock}${toJson}\n\nint main() {\n    ${mainArgs}\n    Solution solution;\n    ${invocation}\n    ${output}\n    return 0;\n}`;
 };
 
+const javascriptSerializer = `function __serialize(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(__serialize).join(',') + ']';
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, val]) => JSON.stringify(key) + ':' + __serialize(val));
+    return '{' + entries.join(',') + '}';
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : 'null';
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === undefined) {
+    return 'null';
+  }
+  return JSON.stringify(value);
+}`;
+
 /**
  * Enriches JavaScript code with helper utilities and executes the exported
  * function while normalizing the console output.
  */
 const wrapJavaScriptCode = (code, functionName, args, options = {}) => {
-  const { helpers, resultProcessor } = options;
+  const { helpers, resultProcessor, returnsVoid } = options;
   const helperBlock = helpers ? `${helpers}\n\n` : '';
   const callArgs = (args || []).map(arg => toJavaScriptLiteral(arg)).join(', ');
   const invocationTarget = code.includes('module.exports') ? 'module.exports' : functionName;
-  const resultAssignment = `const __result = ${invocationTarget}(${callArgs});`;
+  const resultAssignment = returnsVoid
+    ? `const __args = [${callArgs}];\n${invocationTarget}(...__args);\nconst __result = __args[0];`
+    : `const __result = ${invocationTarget}(${callArgs});`;
   const processedResult = resultProcessor
     ? `const result = ${resultProcessor}(__result);`
     : 'const result = __result;';
-  const serializeBlock = `function __serialize(value) {\n  if (Array.isArray(value)) {\n    return '[' + value.map(__serialize).join(', ') + ']';\n  }\n  if (value && typeof value === 'object') {\n    const entries = Object.entries(value).map(([key, val]) => String(JSON.stringify(key)) + ': ' + __serialize(val));\n    return '{' + entries.join(', ') + '}';\n  }\n  if (typeof value === 'string') {\n    return value;\n  }\n  if (typeof value === 'number') {\n    return Number.isFinite(value) ? String(value) : (value > 0 ? 'Infinity' : '-Infinity');\n  }\n  if (typeof value === 'boolean') {\n    return value ? 'true' : 'false';\n  }\n  if (value === null || value === undefined) {\n    return 'null';\n  }\n  return JSON.stringify(value);\n}\nconsole.log(__serialize(result));`;
+  const serializeBlock = `${javascriptSerializer}\nconsole.log(__serialize(result));`;
   return `${helperBlock}${code}\n\n${resultAssignment}\n${processedResult}\n${serializeBlock}`;
 };
 
+const pythonSerializer = `def __serialize(value):
+    import json
+    import math
+    if value is None:
+        return "null"
+    if isinstance(value, bool):
+        return "true" if value else "false"
+    if isinstance(value, int):
+        return str(value)
+    if isinstance(value, float):
+        if math.isnan(value) or math.isinf(value):
+            return "null"
+        if value.is_integer() and abs(value) < 1e15:
+            return str(int(value))
+        return repr(value)
+    if isinstance(value, str):
+        return json.dumps(value, ensure_ascii=False)
+    if isinstance(value, dict):
+        return "{" + ",".join(json.dumps(str(key), ensure_ascii=False) + ":" + __serialize(item) for key, item in value.items()) + "}"
+    if isinstance(value, (list, tuple, set, frozenset)):
+        return "[" + ",".join(__serialize(item) for item in value) + "]"
+    return json.dumps(str(value), ensure_ascii=False)`;
+
 /**
  * Adds a __main__ guard around Python submissions so the target function or
  * class method executes with prepared arguments.
  */
 const wrapPythonCode = (code, functionName, args, options = {}) => {
-  const { resultProcessor } = options;
+  const { resultProcessor, returnsVoid } = options;
   const callArgs = (args || []).map(arg => toPythonLiteral(arg)).join(', ');
   const resultHandlingLines = [
-    ...(resultProcessor ? [`    result = ${resultProcessor}(result)`] : []),
-    '    if isinstance(result, (list, dict, tuple)):',
-    '        import json',
-    '        print(json.dumps(result))',
-    '    else:',
-    '        print(result)'
+    ...(resultProcessor && !returnsVoid ? [`    result = ${resultProcessor}(result)`] : []),
+    '    print(__serialize(result))'
   ].join('\n');
 
-  if (code.includes('class Solution')) {
-    return `${code}
-
-if __name__ == "__main__":
-    solution = Solution()
-    result = solution.${functionName}(${callArgs})
-${resultHandlingLines}`;
-  }
+  const target = code.includes('class Solution') ? `solution.${functionName}` : functionName;
+  const setup = code.includes('class Solution') ? '    solution = Solution()\n' : '';
+  const invocation = returnsVoid
+    ? `    args = [${callArgs}]\n    ${target}(*args)\n    result = args[0]`
+    : `    result = ${target}(${callArgs})`;
 
   return `${code}
 
+${pythonSerializer}
+
 if __name__ == "__main__":
-    result = ${functionName}(${callArgs})
+${setup}${invocation}
 ${resultHandlingLines}`;
 };
 
@@ -1218,6 +1381,1382 @@ const detectCppFunctionName = (code, fallbackName) => {
   return fallbackName;
 };
 
+const cListNodeStruct = `struct ListNode {
+    int val;
+    struct ListNode *next;
+};`;
+
+const cTreeNodeStruct = `struct TreeNode {
+    int val;
+    struct TreeNode *left;
+    struct TreeNode *right;
+};`;
+
+const cGraphNodeStruct = `struct GraphNode {
+    int val;
+    int numNeighbors;
+    struct GraphNode **neighbors;
+};`;
+
+const cListNodeHelpers = `static struct ListNode* cascadeBuildList(const int* values, int size) {
+    struct ListNode* head = NULL;
+    for (int i = size - 1; i >= 0; i--) {
+        struct ListNode* node = malloc(sizeof(struct ListNode));
+        node->val = values[i];
+        node->next = head;
+        head = node;
+    }
+    return head;
+}
+
+static void cascadePrintList(struct ListNode* head) {
+    putchar('[');
+    for (struct ListNode* node = head; node; node = node->next) {
+        if (node != head) putchar(',');
+        printf("%d", node->val);
+    }
+    putchar(']');
+}`;
+
+const cTreeNodeHelpers = `static struct TreeNode* cascadeBuildTree(const int* values, const bool* present, int size) {
+    if (size == 0 || !present[0]) return NULL;
+    struct TreeNode** nodes = calloc(size, sizeof(struct TreeNode*));
+    for (int i = 0; i < size; i++) {
+        if (present[i]) {
+            nodes[i] = calloc(1, sizeof(struct TreeNode));
+            nodes[i]->val = values[i];
+        }
+    }
+    int child = 1;
+    for (int i = 0; i < size && child < size; i++) {
+        if (!nodes[i]) continue;
+        nodes[i]->left = nodes[child++];
+        if (child < size) nodes[i]->right = nodes[child++];
+    }
+    return nodes[0];
+}
+
+static void cascadePrintTree(struct TreeNode* root) {
+    int capacity = 16, count = 0, last = -1;
+    struct TreeNode** queue = malloc(capacity * sizeof(struct TreeNode*));
+    if (root) queue[count++] = root;
+    for (int i = 0; i < count; i++) {
+        if (!queue[i]) continue;
+        last = i;
+        if (count + 2 > capacity) {
+            capacity *= 2;
+            queue = realloc(queue, capacity * sizeof(struct TreeNode*));
+        }
+        queue[count++] = queue[i]->left;
+        queue[count++] = queue[i]->right;
+    }
+    putchar('[');
+    for (int i = 0; i <= last; i++) {
+        if (i) putchar(',');
+        if (queue[i]) printf("%d", queue[i]->val); else printf("null");
+    }
+    putchar(']');
+}`;
+
+const cGraphNodeHelpers = `static struct GraphNode* cascadeBuildGraph(int** adjList, int size, const int* colSizes) {
+    if (size == 0) return NULL;
+    struct GraphNode** nodes = calloc(size, sizeof(struct GraphNode*));
+    for (int i = 0; i < size; i++) {
+        nodes[i] = calloc(1, sizeof(struct GraphNode));
+        nodes[i]->val = i + 1;
+    }
+    for (int i = 0; i < size; i++) {
+        nodes[i]->neighbors = calloc(colSizes[i] + 1, sizeof(struct GraphNode*));
+        for (int j = 0; j < colSizes[i]; j++) {
+            int neighbor = adjList[i][j];
+            if (neighbor >= 1 && neighbor <= size) {
+                nodes[i]->neighbors[nodes[i]->numNeighbors++] = nodes[neighbor - 1];
+            }
+        }
+    }
+    return nodes[0];
+}
+
+static void cascadePrintGraph(struct GraphNode* node) {
+    int capacity = 16, count = 0, maxVal = 0;
+    struct GraphNode** seen = malloc(capacity * sizeof(struct GraphNode*));
+    if (node) seen[count++] = node;
+    for (int i = 0; i < count; i++) {
+        struct GraphNode* current = seen[i];
+        if (current->val > maxVal) maxVal = current->val;
+        for (int j = 0; j < current->numNeighbors; j++) {
+            struct GraphNode* neighbor = current->neighbors[j];
+            bool known = false;
+            for (int k = 0; k < count && !known; k++) known = seen[k]->val == neighbor->val;
+            if (known) continue;
+            if (count == capacity) {
+                capacity *= 2;
+                seen = realloc(seen, capacity * sizeof(struct GraphNode*));
+            }
+            seen[count++] = neighbor;
+        }
+    }
+    putchar('[');
+    for (int val = 1; val <= maxVal; val++) {
+        if (val > 1) putchar(',');
+        putchar('[');
+        for (int i = 0; i < count; i++) {
+            if (seen[i]->val != val) continue;
+            for (int j = 0; j < seen[i]->numNeighbors; j++) {
+                if (j) putchar(',');
+                printf("%d", seen[i]->neighbors[j]->val);
+            }
+            break;
+        }
+        putchar(']');
+    }
+    putchar(']');
+}`;
+
+const cSupportHelpers = {
+  linked_list: {
+    structDefinition: cListNodeStruct,
+    helperFunctions: cListNodeHelpers,
+    structPattern: /\bstruct\s+ListNode\s*\{/
+  },
+  binary_tree: {
+    structDefinition: cTreeNodeStruct,
+    helperFunctions: cTreeNodeHelpers,
+    structPattern: /\bstruct\s+TreeNode\s*\{/
+  },
+  graph: {
+    structDefinition: cGraphNodeStruct,
+    helperFunctions: cGraphNodeHelpers,
+    structPattern: /\bstruct\s+GraphNode\s*\{/
+  }
+};
+
+// Prints results in the canonical format described in outputFormat.js
+const cSerializer = String.raw`static void cascadePrintString(const char* value) {
+    if (!value) {
+        printf("null");
+        return;
+    }
+    putchar('"');
+    for (const unsigned char* c = (const unsigned char*) value; *c; c++) {
+        switch (*c) {
+            case '"': printf("\\\""); break;
+            case '\\': printf("\\\\"); break;
+            case '\n': printf("\\n"); break;
+            case '\r': printf("\\r"); break;
+            case '\t': printf("\\t"); break;
+            default:
+                if (*c < 0x20) printf("\\u%04x", *c); else putchar(*c);
+        }
+    }
+    putchar('"');
+}
+
+static void cascadePrintChar(char value) {
+    char text[2] = { value, '\0' };
+    cascadePrintString(text);
+}
+
+static void cascadePrintDouble(double value) {
+    if (isnan(value) || isinf(value)) {
+        printf("null");
+        return;
+    }
+    if (value == floor(value) && fabs(value) < 1e15) {
+        printf("%lld", (long long) value);
+        return;
+    }
+    char buffer[32];
+    for (int precision = 1; precision <= 17; precision++) {
+        snprintf(buffer, sizeof(buffer), "%.*g", precision, value);
+        if (strtod(buffer, NULL) == value) break;
+    }
+    printf("%s", buffer);
+}`;
+
+const C_SCALAR_TYPES = {
+  int: 'int',
+  long: 'long long',
+  double: 'double',
+  float: 'double',
+  boolean: 'bool',
+  char: 'char',
+  String: 'char*'
+};
+
+// Maps C signature spellings back to declared types for questions without a schema
+const C_SIGNATURE_TYPES = {
+  'void': 'void',
+  'int': 'int',
+  'long': 'long',
+  'long long': 'long',
+  'double': 'double',
+  'float': 'double',
+  'bool': 'boolean',
+  'char': 'char',
+  'char*': 'String',
+  'int*': 'int[]',
+  'long*': 'long[]',
+  'long long*': 'long[]',
+  'double*': 'double[]',
+  'bool*': 'boolean[]',
+  'char**': 'String[]',
+  'int**': 'int[][]',
+  'struct ListNode*': 'ListNode',
+  'struct TreeNode*': 'TreeNode',
+  'struct GraphNode*': 'GraphNode'
+};
+
+/**
+ * Reads the declared return type of a C function from its signature.
+ */
+const detectCReturnType = (code, functionName) => {
+  if (!code || typeof code !== 'string') return null;
+  const sanitized = code.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/gm, ' ');
+  const match = sanitized.match(new RegExp(`([A-Za-z_][\\w\\s\\*]*?)\\b${functionName}\\s*\\(`));
+  if (!match) return null;
+  const spelled = match[1]
+    .replace(/\b(static|inline|const)\b/g, ' ')
+    .replace(/\s*\*\s*/g, '*')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return C_SIGNATURE_TYPES[spelled] ? parseType(C_SIGNATURE_TYPES[spelled]) : null;
+};
+
+const cStringLiteral = (value) => `"${String(value).replace(/[\\"]/g, '\\$&').replace(/[\x00-\x1f]/g, c => `\\${c.charCodeAt(0).toString(8).padStart(3, '0')}`)}"`;
+
+const cScalarLiteral = (value, descriptor) => {
+  switch (descriptor.name) {
+    case 'long':
+      return `${value}LL`;
+    case 'double':
+    case 'float':
+      return Number.isInteger(value) ? `${value}.0` : String(value);
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'char':
+      return `'${cStringLiteral(value).slice(1, -1).replace(/'/g, "\\'")}'`;
+    case 'String':
+      return cStringLiteral(value);
+    default:
+      return String(value);
+  }
+};
+
+const isScalarArray = (descriptor) => (descriptor.kind === 'array' || descriptor.kind === 'list') &&
+  descriptor.element.kind === 'scalar';
+
+const isScalarMatrix = (descriptor) => (descriptor.kind === 'array' || descriptor.kind === 'list') &&
+  isScalarArray(descriptor.element);
+
+/**
+ * Declares a 1D array argument as `name` plus `nameSize`.
+ */
+const cArrayDeclaration = (name, values, element) => {
+  const type = C_SCALAR_TYPES[element.name];
+  const declaration = values.length
+    ? `${type} ${name}[] = {${values.map(item => cScalarLiteral(item, element)).join(', ')}};`
+    : `${type}* ${name} = NULL;`;
+  return [declaration, `int ${name}Size = ${values.length};`];
+};
+
+/**
+ * Declares a 2D array argument as `name`, `nameSize` and `nameColSize`.
+ */
+const cMatrixDeclaration = (name, rows, element) => {
+  const type = C_SCALAR_TYPES[element.name];
+  if (rows.length === 0) {
+    return [`${type}** ${name} = NULL;`, `int ${name}Size = 0;`, `int* ${name}ColSize = NULL;`];
+  }
+  const lines = [];
+  const rowNames = rows.map((row, index) => {
+    if (row.length === 0) return 'NULL';
+    lines.push(`${type} ${name}Row${index}[] = {${row.map(item => cScalarLiteral(item, element)).join(', ')}};`);
+    return `${name}Row${index}`;
+  });
+  lines.push(`${type}* ${name}[] = {${rowNames.join(', ')}};`);
+  lines.push(`int ${name}Size = ${rows.length};`);
+  lines.push(`int ${name}ColSize[] = {${rows.map(row => row.length).join(', ')}};`);
+  return lines;
+};
+
+/**
+ * Declares one argument of a C call, returning the statements and the
+ * expressions passed for it (arrays are passed with their sizes).
+ */
+const cArgument = (name, value, descriptor) => {
+  const unsupported = () => new Error(`C harness does not support parameters of type ${describeType(descriptor)}`);
+
+  if (descriptor.kind === 'node') {
+    switch (descriptor.name) {
+      case 'ListNode':
+        return {
+          lines: [...cArrayDeclaration(`${name}Values`, value, { kind: 'scalar', name: 'int' }),
+            `struct ListNode* ${name} = cascadeBuildList(${name}Values, ${name}ValuesSize);`],
+          callArgs: [name]
+        };
+      case 'TreeNode':
+        return {
+          lines: [...cArrayDeclaration(`${name}Values`, value.map(item => (item === null ? 0 : item)), { kind: 'scalar', name: 'int' }),
+            ...cArrayDeclaration(`${name}Present`, value.map(item => item !== null), { kind: 'scalar', name: 'boolean' }),
+            `struct TreeNode* ${name} = cascadeBuildTree(${name}Values, ${name}Present, ${name}ValuesSize);`],
+          callArgs: [name]
+        };
+      default:
+        return {
+          lines: [...cMatrixDeclaration(`${name}Adj`, value, { kind: 'scalar', name: 'int' }),
+            `struct GraphNode* ${name} = cascadeBuildGraph(${name}Adj, ${name}AdjSize, ${name}AdjColSize);`],
+          callArgs: [name]
+        };
+    }
+  }
+  if (descriptor.kind === 'scalar') {
+    if (descriptor.name === 'String') {
+      return { lines: [`char ${name}[] = ${cStringLiteral(value)};`], callArgs: [name] };
+    }
+    return { lines: [`${C_SCALAR_TYPES[descriptor.name]} ${name} = ${cScalarLiteral(value, descriptor)};`], callArgs: [name] };
+  }
+  if (isScalarArray(descriptor)) {
+    return { lines: cArrayDeclaration(name, value, descriptor.element), callArgs: [name, `${name}Size`] };
+  }
+  if (isScalarMatrix(descriptor)) {
+    return { lines: cMatrixDeclaration(name, value, descriptor.element.element), callArgs: [name, `${name}Size`, `${name}ColSize`] };
+  }
+  throw unsupported();
+};
+
+/**
+ * Statement printing a scalar expression.
+ */
+const cPrintScalar = (expr, descriptor) => {
+  switch (descriptor.name) {
+    case 'long':
+      return `printf("%lld", (long long) ${expr});`;
+    case 'double':
+    case 'float':
+      return `cascadePrintDouble(${expr});`;
+    case 'boolean':
+      return `printf("%s", ${expr} ? "true" : "false");`;
+    case 'char':
+      return `cascadePrintChar(${expr});`;
+    case 'String':
+      return `cascadePrintString(${expr});`;
+    default:
+      return `printf("%d", ${expr});`;
+  }
+};
+
+/**
+ * Statements printing a value of the given type; `sizes` names the length
+ * expressions of arrays ([size] or [rows, columnSizes]).
+ */
+const cPrintStatements = (expr, descriptor, sizes = []) => {
+  if (descriptor.kind === 'node') {
+    const printer = { ListNode: 'cascadePrintList', TreeNode: 'cascadePrintTree', GraphNode: 'cascadePrintGraph' }[descriptor.name];
+    return [`${printer}(${expr});`];
+  }
+  if (descriptor.kind === 'scalar') {
+    return [cPrintScalar(expr, descriptor)];
+  }
+  if (isScalarArray(descriptor)) {
+    return [
+      'putchar(\'[\');',
+      `for (int i = 0; i < ${sizes[0]}; i++) {`,
+      '        if (i) putchar(\',\');',
+      `        ${cPrintScalar(`${expr}[i]`, descriptor.element)}`,
+      '    }',
+      'putchar(\']\');'
+    ];
+  }
+  if (isScalarMatrix(descriptor)) {
+    return [
+      'putchar(\'[\');',
+      `for (int i = 0; i < ${sizes[0]}; i++) {`,
+      '        if (i) putchar(\',\');',
+      '        putchar(\'[\');',
+      `        for (int j = 0; j < ${sizes[1]}[i]; j++) {`,
+      '            if (j) putchar(\',\');',
+      `            ${cPrintScalar(`${expr}[i][j]`, descriptor.element.element)}`,
+      '        }',
+      '        putchar(\']\');',
+      '    }',
+      'putchar(\']\');'
+    ];
+  }
+  throw new Error(`C harness does not support results of type ${describeType(descriptor)}`);
+};
+
+/**
+ * Builds a C program that declares the arguments (arrays as pointer plus
+ * size, LeetCode style), calls the function and prints its result. Array
+ * results are read back through trailing `int* returnSize` and
+ * `int** returnColumnSizes` out parameters.
+ */
+const wrapCCode = (code, functionName, args, options = {}) => {
+  const { argTypes, returnType, helperFunctions, structDefinition, structPattern } = options;
+  const includes = '#include <stdio.h>\n#include <stdlib.h>\n#include <string.h>\n#include <stdbool.h>\n#include <math.h>';
+  const sanitizedCode = typeof code === 'string'
+    ? code.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/gm, ' ')
+    : '';
+  const needsStruct = structDefinition ? !structPattern.test(sanitizedCode) : false;
+  const preHelperBlock = needsStruct ? `${structDefinition}\n\n${helperFunctions}\n\n` : '';
+  const postHelperBlock = !needsStruct && helperFunctions ? `\n\n${helperFunctions}` : '';
+
+  const declarations = [];
+  const callArgs = [];
+  args.forEach((arg, idx) => {
+    const argument = cArgument(`arg${idx}`, arg, argTypes[idx]);
+    declarations.push(...argument.lines);
+    callArgs.push(...argument.callArgs);
+  });
+
+  const lines = [];
+  const resultType = returnType || { kind: 'scalar', name: 'int' };
+  if (resultType.kind === 'void') {
+    lines.push(`${functionName}(${callArgs.join(', ')});`);
+    const printed = argTypes[0];
+    lines.push(...cPrintStatements('arg0', printed, isScalarMatrix(printed) ? ['arg0Size', 'arg0ColSize'] : ['arg0Size']));
+  } else if (resultType.kind === 'node') {
+    lines.push(`struct ${resultType.name}* result = ${functionName}(${callArgs.join(', ')});`);
+    lines.push(...cPrintStatements('result', resultType));
+  } else if (resultType.kind === 'scalar') {
+    lines.push(`${C_SCALAR_TYPES[resultType.name]} result = ${functionName}(${callArgs.join(', ')});`);
+    lines.push(...cPrintStatements('result', resultType));
+  } else if (isScalarArray(resultType)) {
+    lines.push('int returnSize = 0;');
+    lines.push(`${C_SCALAR_TYPES[resultType.element.name]}* result = ${functionName}(${[...callArgs, '&returnSize'].join(', ')});`);
+    lines.push(...cPrintStatements('result', resultType, ['returnSize']));
+  } else if (isScalarMatrix(resultType)) {
+    lines.push('int returnSize = 0;');
+    lines.push('int* returnColumnSizes = NULL;');
+    lines.push(`${C_SCALAR_TYPES[resultType.element.element.name]}** result = ${functionName}(${[...callArgs, '&returnSize', '&returnColumnSizes'].join(', ')});`);
+    lines.push(...cPrintStatements('result', resultType, ['returnSize', 'returnColumnSizes']));
+  } else {
+    throw new Error(`C harness does not support results of type ${describeType(resultType)}`);
+  }
+
+  return `${includes}\n\n${cSerializer}\n\n${preHelperBlock}${code}${postHelperBlock}\n\nint main(void) {\n    ${[...declarations, ...lines].join('\n    ')}\n    putchar('\\n');\n    return 0;\n}`;
+};
+
+/**
+ * Finds the C function to call. Helpers have to be defined before the
+ * function using them, so without a match on the stored name the last
+ * definition wins.
+ */
+const detectCFunctionName = (code, fallbackName) => {
+  if (!code || typeof code !== 'string') return fallbackName;
+  const sanitized = code.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/gm, ' ');
+  const candidates = [...sanitized.matchAll(/^[A-Za-z_][\w\s*]*?\b([A-Za-z_]\w*)\s*\([^;{]*\)\s*\{/gm)]
+    .map(match => match[1])
+    .filter(name => !['main', 'if', 'for', 'while', 'switch', 'return'].includes(name));
+  const fallbackLower = fallbackName ? fallbackName.toLowerCase() : null;
+  return candidates.find(name => name.toLowerCase() === fallbackLower) || candidates[candidates.length - 1] || fallbackName;
+};
+
+const goImports = `import (
+\tcascadeJson "encoding/json"
+\tcascadeFmt "fmt"
+\tcascadeMath "math"
+\tcascadeReflect "reflect"
+\tcascadeSort "sort"
+\tcascadeStrconv "strconv"
+)`;
+
+// Prints results in the canonical format described in outputFormat.js
+const goSerializer = `func cascadeQuote(value string) string {
+\tencoded, _ := cascadeJson.Marshal(value)
+\treturn string(encoded)
+}
+
+func cascadeSerialize(value interface{}) string {
+\treturn cascadeSerializeValue(cascadeReflect.ValueOf(value))
+}
+
+func cascadeSerializeValue(value cascadeReflect.Value) string {
+\tswitch value.Kind() {
+\tcase cascadeReflect.Invalid:
+\t\treturn "null"
+\tcase cascadeReflect.Interface, cascadeReflect.Ptr:
+\t\tif value.IsNil() {
+\t\t\treturn "null"
+\t\t}
+\t\treturn cascadeSerializeValue(value.Elem())
+\tcase cascadeReflect.Bool:
+\t\treturn cascadeStrconv.FormatBool(value.Bool())
+\tcase cascadeReflect.Uint8:
+\t\treturn cascadeQuote(string([]byte{byte(value.Uint())}))
+\tcase cascadeReflect.Int32:
+\t\treturn cascadeQuote(string(rune(value.Int())))
+\tcase cascadeReflect.Int, cascadeReflect.Int8, cascadeReflect.Int16, cascadeReflect.Int64:
+\t\treturn cascadeStrconv.FormatInt(value.Int(), 10)
+\tcase cascadeReflect.Uint, cascadeReflect.Uint16, cascadeReflect.Uint32, cascadeReflect.Uint64:
+\t\treturn cascadeStrconv.FormatUint(value.Uint(), 10)
+\tcase cascadeReflect.Float32, cascadeReflect.Float64:
+\t\tnumber := value.Float()
+\t\tif cascadeMath.IsNaN(number) || cascadeMath.IsInf(number, 0) {
+\t\t\treturn "null"
+\t\t}
+\t\tif number == cascadeMath.Trunc(number) && cascadeMath.Abs(number) < 1e15 {
+\t\t\treturn cascadeStrconv.FormatInt(int64(number), 10)
+\t\t}
+\t\treturn cascadeStrconv.FormatFloat(number, 'g', -1, value.Type().Bits())
+\tcase cascadeReflect.String:
+\t\treturn cascadeQuote(value.String())
+\tcase cascadeReflect.Slice, cascadeReflect.Array:
+\t\tresult := "["
+\t\tfor i := 0; i < value.Len(); i++ {
+\t\t\tif i > 0 {
+\t\t\t\tresult += ","
+\t\t\t}
+\t\t\tresult += cascadeSerializeValue(value.Index(i))
+\t\t}
+\t\treturn result + "]"
+\tcase cascadeReflect.Map:
+\t\tentries := make([]string, 0, value.Len())
+\t\tfor _, key := range value.MapKeys() {
+\t\t\tentries = append(entries, cascadeQuote(cascadeFmt.Sprint(key.Interface()))+":"+cascadeSerializeValue(value.MapIndex(key)))
+\t\t}
+\t\tcascadeSort.Strings(entries)
+\t\tresult := "{"
+\t\tfor i, entry := range entries {
+\t\t\tif i > 0 {
+\t\t\t\tresult += ","
+\t\t\t}
+\t\t\tresult += entry
+\t\t}
+\t\treturn result + "}"
+\t}
+\treturn cascadeQuote(cascadeFmt.Sprint(value.Interface()))
+}`;
+
+const goListNodeStruct = `type ListNode struct {
+\tVal  int
+\tNext *ListNode
+}`;
+
+const goListNodeHelpers = `func cascadeBuildList(values []int) *ListNode {
+\tvar head *ListNode
+\tfor i := len(values) - 1; i >= 0; i-- {
+\t\thead = &ListNode{Val: values[i], Next: head}
+\t}
+\treturn head
+}
+
+func cascadeListToSlice(value interface{}) interface{} {
+\thead, ok := value.(*ListNode)
+\tif !ok {
+\t\treturn value
+\t}
+\tvalues := []int{}
+\tfor node := head; node != nil; node = node.Next {
+\t\tvalues = append(values, node.Val)
+\t}
+\treturn values
+}`;
+
+const goTreeNodeStruct = `type TreeNode struct {
+\tVal   int
+\tLeft  *TreeNode
+\tRight *TreeNode
+}`;
+
+const goTreeNodeHelpers = `func cascadeBuildTree(values []interface{}) *TreeNode {
+\tif len(values) == 0 || values[0] == nil {
+\t\treturn nil
+\t}
+\tnodes := make([]*TreeNode, len(values))
+\tfor i, value := range values {
+\t\tif value != nil {
+\t\t\tnodes[i] = &TreeNode{Val: value.(int)}
+\t\t}
+\t}
+\tchild := 1
+\tfor i := 0; i < len(nodes) && child < len(nodes); i++ {
+\t\tif nodes[i] == nil {
+\t\t\tcontinue
+\t\t}
+\t\tnodes[i].Left = nodes[child]
+\t\tchild++
+\t\tif child < len(nodes) {
+\t\t\tnodes[i].Right = nodes[child]
+\t\t\tchild++
+\t\t}
+\t}
+\treturn nodes[0]
+}
+
+func cascadeTreeToSlice(value interface{}) interface{} {
+\troot, ok := value.(*TreeNode)
+\tif !ok {
+\t\treturn value
+\t}
+\tvalues := []interface{}{}
+\tqueue := []*TreeNode{root}
+\tfor len(queue) > 0 {
+\t\tnode := queue[0]
+\t\tqueue = queue[1:]
+\t\tif node == nil {
+\t\t\tvalues = append(values, nil)
+\t\t\tcontinue
+\t\t}
+\t\tvalues = append(values, node.Val)
+\t\tqueue = append(queue, node.Left, node.Right)
+\t}
+\tfor len(values) > 0 && values[len(values)-1] == nil {
+\t\tvalues = values[:len(values)-1]
+\t}
+\treturn values
+}`;
+
+const goGraphNodeStruct = `type GraphNode struct {
+\tVal       int
+\tNeighbors []*GraphNode
+}`;
+
+const goGraphNodeHelpers = `func cascadeBuildGraph(adjList [][]int) *GraphNode {
+\tif len(adjList) == 0 {
+\t\treturn nil
+\t}
+\tnodes := make([]*GraphNode, len(adjList))
+\tfor i := range adjList {
+\t\tnodes[i] = &GraphNode{Val: i + 1}
+\t}
+\tfor i, neighbors := range adjList {
+\t\tfor _, neighbor := range neighbors {
+\t\t\tif neighbor >= 1 && neighbor <= len(nodes) {
+\t\t\t\tnodes[i].Neighbors = append(nodes[i].Neighbors, nodes[neighbor-1])
+\t\t\t}
+\t\t}
+\t}
+\treturn nodes[0]
+}
+
+func cascadeGraphToSlice(value interface{}) interface{} {
+\tstart, ok := value.(*GraphNode)
+\tif !ok {
+\t\treturn value
+\t}
+\tif start == nil {
+\t\treturn [][]int{}
+\t}
+\tseen := map[int]*GraphNode{start.Val: start}
+\tqueue := []*GraphNode{start}
+\tmaxVal := 0
+\tfor len(queue) > 0 {
+\t\tnode := queue[0]
+\t\tqueue = queue[1:]
+\t\tif node.Val > maxVal {
+\t\t\tmaxVal = node.Val
+\t\t}
+\t\tfor _, neighbor := range node.Neighbors {
+\t\t\tif _, known := seen[neighbor.Val]; !known {
+\t\t\t\tseen[neighbor.Val] = neighbor
+\t\t\t\tqueue = append(queue, neighbor)
+\t\t\t}
+\t\t}
+\t}
+\tadjList := make([][]int, maxVal)
+\tfor val := 1; val <= maxVal; val++ {
+\t\tadjList[val-1] = []int{}
+\t\tif node, known := seen[val]; known {
+\t\t\tfor _, neighbor := range node.Neighbors {
+\t\t\t\tadjList[val-1] = append(adjList[val-1], neighbor.Val)
+\t\t\t}
+\t\t}
+\t}
+\treturn adjList
+}`;
+
+const goSupportHelpers = {
+  linked_list: {
+    structDefinition: goListNodeStruct,
+    structPattern: /\btype\s+ListNode\s+struct\b/,
+    helperFunctions: goListNodeHelpers,
+    fromInput: 'cascadeBuildList',
+    toOutput: 'cascadeListToSlice',
+    inputType: parseType('int[]')
+  },
+  binary_tree: {
+    structDefinition: goTreeNodeStruct,
+    structPattern: /\btype\s+TreeNode\s+struct\b/,
+    helperFunctions: goTreeNodeHelpers,
+    fromInput: 'cascadeBuildTree',
+    toOutput: 'cascadeTreeToSlice',
+    inputLiteral: (values) => `[]interface{}{${values.map(item => (item === null ? 'nil' : String(item))).join(', ')}}`
+  },
+  graph: {
+    structDefinition: goGraphNodeStruct,
+    structPattern: /\btype\s+GraphNode\s+struct\b/,
+    helperFunctions: goGraphNodeHelpers,
+    fromInput: 'cascadeBuildGraph',
+    toOutput: 'cascadeGraphToSlice',
+    inputType: parseType('int[][]')
+  }
+};
+
+/**
+ * Finds the top-level Go function to call, preferring the stored function name.
+ */
+const detectGoFunctionName = (code, fallbackName) => {
+  if (!code || typeof code !== 'string') return fallbackName;
+  const sanitized = code.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/gm, ' ');
+  const candidates = [...sanitized.matchAll(/^func\s+([A-Za-z_]\w*)\s*\(/gm)]
+    .map(match => match[1])
+    .filter(name => name !== 'main' && name !== 'init');
+  const fallbackLower = fallbackName ? fallbackName.toLowerCase() : null;
+  return candidates.find(name => name.toLowerCase() === fallbackLower) || candidates[0] || fallbackName;
+};
+
+/**
+ * Builds a Go program from the submission: the package clause is replaced,
+ * harness imports are aliased so they never clash with the user's own, and
+ * main declares each argument with its Go type before printing the result.
+ */
+const wrapGoCode = (code, functionName, args, options = {}) => {
+  const { helpers, resultProcessor, returnsVoid } = options;
+  const body = code.replace(/^\s*package\s+\w+\s*$/m, '');
+  const declarations = args.map((arg, idx) => `var arg${idx} ${arg.__type} = ${arg.__expr}`);
+  const callArgs = args.map((arg, idx) => `arg${idx}`).join(', ');
+  const invocation = returnsVoid
+    ? [`${functionName}(${callArgs})`, 'var result interface{} = arg0']
+    : [`var result interface{} = ${functionName}(${callArgs})`];
+  if (resultProcessor && !returnsVoid) {
+    invocation.push(`result = ${resultProcessor}(result)`);
+  }
+  const mainLines = [...declarations, ...invocation, 'cascadeFmt.Println(cascadeSerialize(result))'];
+  return `package main\n\n${goImports}\n\n${body.trim()}\n\n${helpers ? `${helpers}\n\n` : ''}${goSerializer}\n\nfunc main() {\n\t${mainLines.join('\n\t')}\n}`;
+};
+
+// Prints results in the canonical format described in outputFormat.js
+const csharpSerializer = String.raw`public static class CascadeJson {
+    public static string Quote(string value) {
+        var sb = new System.Text.StringBuilder("\"");
+        foreach (char c in value) {
+            switch (c) {
+                case '"': sb.Append("\\\""); break;
+                case '\\': sb.Append("\\\\"); break;
+                case '\n': sb.Append("\\n"); break;
+                case '\r': sb.Append("\\r"); break;
+                case '\t': sb.Append("\\t"); break;
+                default:
+                    if (c < 0x20) sb.Append("\\u").Append(((int) c).ToString("x4")); else sb.Append(c);
+                    break;
+            }
+        }
+        return sb.Append('"').ToString();
+    }
+
+    public static string Serialize(object value) {
+        var culture = System.Globalization.CultureInfo.InvariantCulture;
+        if (value == null) return "null";
+        if (value is string) return Quote((string) value);
+        if (value is char) return Quote(value.ToString());
+        if (value is bool) return (bool) value ? "true" : "false";
+        if (value is double || value is float || value is decimal) {
+            double number = System.Convert.ToDouble(value, culture);
+            if (double.IsNaN(number) || double.IsInfinity(number)) return "null";
+            if (number == System.Math.Floor(number) && System.Math.Abs(number) < 1e15) return ((long) number).ToString(culture);
+            return number.ToString("R", culture);
+        }
+        if (value is System.IConvertible) return System.Convert.ToString(value, culture);
+        if (value is System.Collections.IDictionary) {
+            var entries = new System.Collections.Generic.List<string>();
+            foreach (System.Collections.DictionaryEntry entry in (System.Collections.IDictionary) value) {
+                entries.Add(Quote(System.Convert.ToString(entry.Key, culture)) + ":" + Serialize(entry.Value));
+            }
+            return "{" + string.Join(",", entries) + "}";
+        }
+        if (value is System.Collections.IEnumerable) {
+            var items = new System.Collections.Generic.List<string>();
+            foreach (object item in (System.Collections.IEnumerable) value) {
+                items.Add(Serialize(item));
+            }
+            return "[" + string.Join(",", items) + "]";
+        }
+        return Quote(value.ToString());
+    }
+}`;
+
+const csharpListNodeClass = `public class ListNode {
+    public int val;
+    public ListNode next;
+    public ListNode(int val = 0, ListNode next = null) {
+        this.val = val;
+        this.next = next;
+    }
+}`;
+
+const csharpListNodeUtil = `public static class CascadeListNodeUtil {
+    public static ListNode Build(int[] values) {
+        ListNode head = null;
+        for (int i = values.Length - 1; i >= 0; i--) {
+            head = new ListNode(values[i], head);
+        }
+        return head;
+    }
+
+    public static object Normalize(object value) {
+        if (value == null) return new int[0];
+        ListNode head = value as ListNode;
+        if (head == null) return value;
+        var values = new System.Collections.Generic.List<int>();
+        for (ListNode node = head; node != null; node = node.next) {
+            values.Add(node.val);
+        }
+        return values;
+    }
+}`;
+
+const csharpTreeNodeClass = `public class TreeNode {
+    public int val;
+    public TreeNode left;
+    public TreeNode right;
+    public TreeNode(int val = 0, TreeNode left = null, TreeNode right = null) {
+        this.val = val;
+        this.left = left;
+        this.right = right;
+    }
+}`;
+
+const csharpTreeNodeUtil = `public static class CascadeTreeNodeUtil {
+    public static TreeNode Build(int?[] values) {
+        if (values.Length == 0 || values[0] == null) return null;
+        var nodes = new TreeNode[values.Length];
+        for (int i = 0; i < values.Length; i++) {
+            if (values[i] != null) nodes[i] = new TreeNode(values[i].Value);
+        }
+        int child = 1;
+        for (int i = 0; i < nodes.Length && child < nodes.Length; i++) {
+            if (nodes[i] == null) continue;
+            nodes[i].left = nodes[child++];
+            if (child < nodes.Length) nodes[i].right = nodes[child++];
+        }
+        return nodes[0];
+    }
+
+    public static object Normalize(object value) {
+        if (value == null) return new int[0];
+        TreeNode root = value as TreeNode;
+        if (root == null) return value;
+        var values = new System.Collections.Generic.List<int?>();
+        var queue = new System.Collections.Generic.Queue<TreeNode>();
+        queue.Enqueue(root);
+        while (queue.Count > 0) {
+            TreeNode node = queue.Dequeue();
+            if (node == null) {
+                values.Add(null);
+                continue;
+            }
+            values.Add(node.val);
+            queue.Enqueue(node.left);
+            queue.Enqueue(node.right);
+        }
+        while (values.Count > 0 && values[values.Count - 1] == null) {
+            values.RemoveAt(values.Count - 1);
+        }
+        return values;
+    }
+}`;
+
+const csharpGraphNodeClass = `public class GraphNode {
+    public int val;
+    public System.Collections.Generic.IList<GraphNode> neighbors;
+    public GraphNode(int val = 0) {
+        this.val = val;
+        this.neighbors = new System.Collections.Generic.List<GraphNode>();
+    }
+}`;
+
+const csharpGraphNodeUtil = `public static class CascadeGraphNodeUtil {
+    public static GraphNode Build(int[][] adjList) {
+        if (adjList.Length == 0) return null;
+        var nodes = new GraphNode[adjList.Length];
+        for (int i = 0; i < nodes.Length; i++) {
+            nodes[i] = new GraphNode(i + 1);
+        }
+        for (int i = 0; i < adjList.Length; i++) {
+            foreach (int neighbor in adjList[i]) {
+                if (neighbor >= 1 && neighbor <= nodes.Length) nodes[i].neighbors.Add(nodes[neighbor - 1]);
+            }
+        }
+        return nodes[0];
+    }
+
+    public static object Normalize(object value) {
+        if (value == null) return new int[0][];
+        GraphNode start = value as GraphNode;
+        if (start == null) return value;
+        var seen = new System.Collections.Generic.Dictionary<int, GraphNode>();
+        var queue = new System.Collections.Generic.Queue<GraphNode>();
+        seen[start.val] = start;
+        queue.Enqueue(start);
+        int maxVal = 0;
+        while (queue.Count > 0) {
+            GraphNode node = queue.Dequeue();
+            maxVal = System.Math.Max(maxVal, node.val);
+            foreach (GraphNode neighbor in node.neighbors) {
+                if (seen.ContainsKey(neighbor.val)) continue;
+                seen[neighbor.val] = neighbor;
+                queue.Enqueue(neighbor);
+            }
+        }
+        var adjList = new System.Collections.Generic.List<System.Collections.Generic.List<int>>();
+        for (int val = 1; val <= maxVal; val++) {
+            var neighbors = new System.Collections.Generic.List<int>();
+            GraphNode node;
+            if (seen.TryGetValue(val, out node)) {
+                foreach (GraphNode neighbor in node.neighbors) neighbors.Add(neighbor.val);
+            }
+            adjList.Add(neighbors);
+        }
+        return adjList;
+    }
+}`;
+
+const csharpSupportHelpers = {
+  linked_list: {
+    classDefinition: csharpListNodeClass,
+    classPattern: /\bclass\s+ListNode\b/,
+    helperFunctions: csharpListNodeUtil,
+    fromInput: 'CascadeListNodeUtil.Build',
+    toOutput: 'CascadeListNodeUtil.Normalize',
+    inputType: parseType('int[]')
+  },
+  binary_tree: {
+    classDefinition: csharpTreeNodeClass,
+    classPattern: /\bclass\s+TreeNode\b/,
+    helperFunctions: csharpTreeNodeUtil,
+    fromInput: 'CascadeTreeNodeUtil.Build',
+    toOutput: 'CascadeTreeNodeUtil.Normalize',
+    inputLiteral: (values) => `new int?[] {${values.map(item => (item === null ? 'null' : String(item))).join(', ')}}`
+  },
+  graph: {
+    classDefinition: csharpGraphNodeClass,
+    classPattern: /\bclass\s+GraphNode\b/,
+    helperFunctions: csharpGraphNodeUtil,
+    fromInput: 'CascadeGraphNodeUtil.Build',
+    toOutput: 'CascadeGraphNodeUtil.Normalize',
+    inputType: parseType('int[][]')
+  }
+};
+
+/**
+ * Picks the C# method to call inside the solution class, preferring a
+ * case-insensitive match with the stored function name.
+ */
+const detectCSharpMethodName = (code, fallbackName) => {
+  if (!code || typeof code !== 'string') return fallbackName;
+  const sanitized = code.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/gm, ' ');
+  const classBodyMatch = sanitized.match(/class\s+Solution[^{]*\{([\s\S]*)/);
+  const searchTarget = classBodyMatch ? classBodyMatch[1] : sanitized;
+  const methodRegex = /(?:public|protected|private|internal)\s+(?:static\s+)?[A-Za-z0-9_<>,.?\[\]]+\s+([A-Za-z0-9_]+)\s*\(/g;
+  const candidates = [...searchTarget.matchAll(methodRegex)]
+    .map(match => match[1])
+    .filter(name => name !== 'Main' && name !== 'Solution');
+  const fallbackLower = fallbackName ? fallbackName.toLowerCase() : null;
+  return candidates.find(name => name.toLowerCase() === fallbackLower) || candidates[0] || fallbackName;
+};
+
+/**
+ * Appends a CascadeMain entry point that declares the arguments, calls the
+ * solution method (statically when it is declared static) and prints the result.
+ */
+const wrapCSharpCode = (code, functionName, args, options = {}) => {
+  const { helpers, resultProcessor, returnsVoid } = options;
+  const className = detectJavaClassName(code) || 'Solution';
+  const sanitizedCode = code.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/gm, ' ');
+  const isStatic = new RegExp(`\\bstatic\\s+[^=;(){}]*\\b${functionName}\\s*\\(`).test(sanitizedCode);
+  const target = isStatic ? `${className}.${functionName}` : `new ${className}().${functionName}`;
+  const declarations = args.map((arg, idx) => `var arg${idx} = ${arg.__expr};`);
+  const callArgs = args.map((arg, idx) => `arg${idx}`).join(', ');
+  const invocation = returnsVoid
+    ? [`${target}(${callArgs});`, 'object result = arg0;']
+    : [`object result = ${target}(${callArgs});`];
+  if (resultProcessor && !returnsVoid) {
+    invocation.push(`result = ${resultProcessor}(result);`);
+  }
+  const mainLines = [...declarations, ...invocation, 'System.Console.WriteLine(CascadeJson.Serialize(result));'];
+  return `${code}\n\n${helpers ? `${helpers}\n\n` : ''}${csharpSerializer}\n\npublic static class CascadeMain {\n    public static void Main() {\n        ${mainLines.join('\n        ')}\n    }\n}`;
+};
+
+// Prints results in the canonical format described in outputFormat.js
+const rubySerializer = `def cascade_serialize(value)
+  case value
+  when nil then 'null'
+  when true, false then value.to_s
+  when Integer then value.to_s
+  when Float
+    return 'null' if value.nan? || value.infinite?
+    return value.to_i.to_s if value == value.floor && value.abs < 1e15
+    value.to_s
+  when String then value.to_json
+  when Symbol then value.to_s.to_json
+  when Hash then '{' + value.map { |key, item| key.to_s.to_json + ':' + cascade_serialize(item) }.join(',') + '}'
+  when Array, Set then '[' + value.map { |item| cascade_serialize(item) }.join(',') + ']'
+  else value.to_s.to_json
+  end
+end`;
+
+const rubyListNodeClass = `class ListNode
+  attr_accessor :val, :next
+  def initialize(val = 0, _next = nil)
+    @val = val
+    @next = _next
+  end
+end`;
+
+const rubyListNodeHelpers = `def cascade_build_list(values)
+  head = nil
+  values.reverse_each { |value| head = ListNode.new(value, head) }
+  head
+end
+
+def cascade_list_to_array(value)
+  return value unless value.nil? || value.is_a?(ListNode)
+  values = []
+  node = value
+  while node
+    values << node.val
+    node = node.next
+  end
+  values
+end`;
+
+const rubyTreeNodeClass = `class TreeNode
+  attr_accessor :val, :left, :right
+  def initialize(val = 0, left = nil, right = nil)
+    @val = val
+    @left = left
+    @right = right
+  end
+end`;
+
+const rubyTreeNodeHelpers = `def cascade_build_tree(values)
+  return nil if values.empty? || values[0].nil?
+  nodes = values.map { |value| value.nil? ? nil : TreeNode.new(value) }
+  child = 1
+  nodes.each do |node|
+    break if child >= nodes.length
+    next if node.nil?
+    node.left = nodes[child]
+    child += 1
+    if child < nodes.length
+      node.right = nodes[child]
+      child += 1
+    end
+  end
+  nodes[0]
+end
+
+def cascade_tree_to_array(value)
+  return value unless value.nil? || value.is_a?(TreeNode)
+  values = []
+  queue = [value]
+  until queue.empty?
+    node = queue.shift
+    if node.nil?
+      values << nil
+      next
+    end
+    values << node.val
+    queue << node.left << node.right
+  end
+  values.pop while !values.empty? && values[-1].nil?
+  values
+end`;
+
+const rubyGraphNodeClass = `class GraphNode
+  attr_accessor :val, :neighbors
+  def initialize(val = 0, neighbors = [])
+    @val = val
+    @neighbors = neighbors
+  end
+end`;
+
+const rubyGraphNodeHelpers = `def cascade_build_graph(adj_list)
+  return nil if adj_list.empty?
+  nodes = adj_list.each_index.map { |i| GraphNode.new(i + 1, []) }
+  adj_list.each_with_index do |neighbors, i|
+    neighbors.each do |neighbor|
+      nodes[i].neighbors << nodes[neighbor - 1] if neighbor >= 1 && neighbor <= nodes.length
+    end
+  end
+  nodes[0]
+end
+
+def cascade_graph_to_array(value)
+  return value unless value.nil? || value.is_a?(GraphNode)
+  return [] if value.nil?
+  seen = { value.val => value }
+  queue = [value]
+  until queue.empty?
+    node = queue.shift
+    node.neighbors.each do |neighbor|
+      next if seen.key?(neighbor.val)
+      seen[neighbor.val] = neighbor
+      queue << neighbor
+    end
+  end
+  (1..seen.keys.max).map { |val| seen[val] ? seen[val].neighbors.map(&:val) : [] }
+end`;
+
+const rubySupportHelpers = {
+  linked_list: {
+    classDefinition: rubyListNodeClass,
+    classPattern: /^\s*class\s+ListNode\b/m,
+    helperFunctions: rubyListNodeHelpers,
+    fromInput: 'cascade_build_list',
+    toOutput: 'cascade_list_to_array'
+  },
+  binary_tree: {
+    classDefinition: rubyTreeNodeClass,
+    classPattern: /^\s*class\s+TreeNode\b/m,
+    helperFunctions: rubyTreeNodeHelpers,
+    fromInput: 'cascade_build_tree',
+    toOutput: 'cascade_tree_to_array'
+  },
+  graph: {
+    classDefinition: rubyGraphNodeClass,
+    classPattern: /^\s*class\s+GraphNode\b/m,
+    helperFunctions: rubyGraphNodeHelpers,
+    fromInput: 'cascade_build_graph',
+    toOutput: 'cascade_graph_to_array'
+  }
+};
+
+/**
+ * Finds the Ruby method to call, preferring one inside `class Solution` and
+ * then a match with the stored function name.
+ */
+const detectRubyFunctionName = (code, fallbackName) => {
+  if (!code || typeof code !== 'string') return fallbackName;
+  const sanitized = code.replace(/^=begin[\s\S]*?^=end/gm, ' ').replace(/#.*$/gm, ' ');
+  const classBodyMatch = sanitized.match(/^\s*class\s+Solution\b([\s\S]*)/m);
+  const searchTarget = classBodyMatch ? classBodyMatch[1] : sanitized;
+  const candidates = [...searchTarget.matchAll(/\bdef\s+(?:self\.)?([A-Za-z_]\w*[?!]?)/g)]
+    .map(match => match[1])
+    .filter(name => name !== 'initialize');
+  const fallbackLower = fallbackName ? fallbackName.toLowerCase() : null;
+  const normalize = (name) => name.replace(/_/g, '').toLowerCase();
+  return candidates.find(name => normalize(name) === (fallbackLower && fallbackLower.replace(/_/g, ''))) ||
+    candidates[0] || fallbackName;
+};
+
+/**
+ * Runs a Ruby submission by calling the detected method (on a Solution
+ * instance when the code defines one) and printing the serialized result.
+ */
+const wrapRubyCode = (code, functionName, args, options = {}) => {
+  const { helpers, resultProcessor, returnsVoid } = options;
+  const callArgs = args.map(arg => arg.__expr).join(', ');
+  const target = /^\s*class\s+Solution\b/m.test(code) ? `Solution.new.${functionName}` : functionName;
+  const invocation = returnsVoid
+    ? [`cascade_args = [${callArgs}]`, `${target}(*cascade_args)`, 'result = cascade_args[0]']
+    : [`result = ${target}(${callArgs})`];
+  if (resultProcessor && !returnsVoid) {
+    invocation.push(`result = ${resultProcessor}(result)`);
+  }
+  return `require 'json'\nrequire 'set'\n\n${helpers ? `${helpers}\n\n` : ''}${code}\n\n${rubySerializer}\n\n${invocation.join('\n')}\nputs cascade_serialize(result)`;
+};
+
+// Prints results in the canonical format described in outputFormat.js
+const phpSerializer = `function cascade_serialize($value) {
+    if ($value === null) return 'null';
+    if (is_bool($value)) return $value ? 'true' : 'false';
+    if (is_int($value)) return (string) $value;
+    if (is_float($value)) {
+        if (is_nan($value) || is_infinite($value)) return 'null';
+        if ($value == floor($value) && abs($value) < 1e15) return (string) (int) $value;
+        return json_encode($value, JSON_PRESERVE_ZERO_FRACTION);
+    }
+    if (is_string($value)) return json_encode($value, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+    if (is_array($value)) {
+        if ($value === [] || array_keys($value) === range(0, count($value) - 1)) {
+            return '[' . implode(',', array_map('cascade_serialize', $value)) . ']';
+        }
+        $entries = [];
+        foreach ($value as $key => $item) {
+            $entries[] = json_encode((string) $key, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES) . ':' . cascade_serialize($item);
+        }
+        return '{' . implode(',', $entries) . '}';
+    }
+    if ($value instanceof Traversable) return cascade_serialize(iterator_to_array($value, false));
+    return json_encode(strval($value), JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+}`;
+
+const phpListNodeClass = `class ListNode {
+    public $val = 0;
+    public $next = null;
+    function __construct($val = 0, $next = null) {
+        $this->val = $val;
+        $this->next = $next;
+    }
+}`;
+
+const phpListNodeHelpers = `function cascade_build_list($values) {
+    $head = null;
+    foreach (array_reverse($values) as $value) {
+        $head = new ListNode($value, $head);
+    }
+    return $head;
+}
+
+function cascade_list_to_array($value) {
+    if ($value !== null && !($value instanceof ListNode)) return $value;
+    $values = [];
+    for ($node = $value; $node !== null; $node = $node->next) {
+        $values[] = $node->val;
+    }
+    return $values;
+}`;
+
+const phpTreeNodeClass = `class TreeNode {
+    public $val = null;
+    public $left = null;
+    public $right = null;
+    function __construct($val = 0, $left = null, $right = null) {
+        $this->val = $val;
+        $this->left = $left;
+        $this->right = $right;
+    }
+}`;
+
+const phpTreeNodeHelpers = `function cascade_build_tree($values) {
+    if (count($values) === 0 || $values[0] === null) return null;
+    $nodes = array_map(function ($value) { return $value === null ? null : new TreeNode($value); }, $values);
+    $child = 1;
+    foreach ($nodes as $node) {
+        if ($child >= count($nodes)) break;
+        if ($node === null) continue;
+        $node->left = $nodes[$child++];
+        if ($child < count($nodes)) $node->right = $nodes[$child++];
+    }
+    return $nodes[0];
+}
+
+function cascade_tree_to_array($value) {
+    if ($value !== null && !($value instanceof TreeNode)) return $value;
+    $values = [];
+    $queue = [$value];
+    while (count($queue) > 0) {
+        $node = array_shift($queue);
+        if ($node === null) {
+            $values[] = null;
+            continue;
+        }
+        $values[] = $node->val;
+        $queue[] = $node->left;
+        $queue[] = $node->right;
+    }
+    while (count($values) > 0 && end($values) === null) {
+        array_pop($values);
+    }
+    return $values;
+}`;
+
+const phpGraphNodeClass = `class GraphNode {
+    public $val = 0;
+    public $neighbors = [];
+    function __construct($val = 0, $neighbors = []) {
+        $this->val = $val;
+        $this->neighbors = $neighbors;
+    }
+}`;
+
+const phpGraphNodeHelpers = `function cascade_build_graph($adjList) {
+    if (count($adjList) === 0) return null;
+    $nodes = [];
+    foreach ($adjList as $i => $neighbors) {
+        $nodes[$i] = new GraphNode($i + 1);
+    }
+    foreach ($adjList as $i => $neighbors) {
+        foreach ($neighbors as $neighbor) {
+            if ($neighbor >= 1 && $neighbor <= count($nodes)) $nodes[$i]->neighbors[] = $nodes[$neighbor - 1];
+        }
+    }
+    return $nodes[0];
+}
+
+function cascade_graph_to_array($value) {
+    if ($value !== null && !($value instanceof GraphNode)) return $value;
+    if ($value === null) return [];
+    $seen = [$value->val => $value];
+    $queue = [$value];
+    while (count($queue) > 0) {
+        $node = array_shift($queue);
+        foreach ($node->neighbors as $neighbor) {
+            if (isset($seen[$neighbor->val])) continue;
+            $seen[$neighbor->val] = $neighbor;
+            $queue[] = $neighbor;
+        }
+    }
+    $adjList = [];
+    for ($val = 1; $val <= max(array_keys($seen)); $val++) {
+        $adjList[] = isset($seen[$val]) ? array_map(function ($neighbor) { return $neighbor->val; }, $seen[$val]->neighbors) : [];
+    }
+    return $adjList;
+}`;
+
+const phpSupportHelpers = {
+  linked_list: {
+    classDefinition: phpListNodeClass,
+    classPattern: /\bclass\s+ListNode\b/,
+    helperFunctions: phpListNodeHelpers,
+    fromInput: 'cascade_build_list',
+    toOutput: 'cascade_list_to_array'
+  },
+  binary_tree: {
+    classDefinition: phpTreeNodeClass,
+    classPattern: /\bclass\s+TreeNode\b/,
+    helperFunctions: phpTreeNodeHelpers,
+    fromInput: 'cascade_build_tree',
+    toOutput: 'cascade_tree_to_array'
+  },
+  graph: {
+    classDefinition: phpGraphNodeClass,
+    classPattern: /\bclass\s+GraphNode\b/,
+    helperFunctions: phpGraphNodeHelpers,
+    fromInput: 'cascade_build_graph',
+    toOutput: 'cascade_graph_to_array'
+  }
+};
+
+/**
+ * Finds the PHP function to call, preferring a method of `class Solution`
+ * and then a match with the stored function name.
+ */
+const detectPhpFunctionName = (code, fallbackName) => {
+  if (!code || typeof code !== 'string') return fallbackName;
+  const sanitized = code.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/(\/\/|#).*$/gm, ' ');
+  const classBodyMatch = sanitized.match(/class\s+Solution\b([\s\S]*)/);
+  const searchTarget = classBodyMatch ? classBodyMatch[1] : sanitized;
+  const candidates = [...searchTarget.matchAll(/\bfunction\s+&?\s*([A-Za-z_]\w*)\s*\(/g)]
+    .map(match => match[1])
+    .filter(name => !name.startsWith('__'));
+  const fallbackLower = fallbackName ? fallbackName.toLowerCase() : null;
+  return candidates.find(name => name.toLowerCase() === fallbackLower) || candidates[0] || fallbackName;
+};
+
+/**
+ * Runs a PHP submission. Arguments are passed as variables so by-reference
+ * parameters of in-place (void) problems can be printed after the call.
+ */
+const wrapPhpCode = (code, functionName, args, options = {}) => {
+  const { helpers, resultProcessor, returnsVoid } = options;
+  const body = code.replace(/^\s*<\?php/, '').replace(/\?>\s*$/, '');
+  const declarations = args.map((arg, idx) => `$arg${idx} = ${arg.__expr};`);
+  const callArgs = args.map((arg, idx) => `$arg${idx}`).join(', ');
+  const target = /class\s+Solution\b/.test(body) ? `(new Solution())->${functionName}` : functionName;
+  const invocation = returnsVoid
+    ? [`${target}(${callArgs});`, '$result = $arg0;']
+    : [`$result = ${target}(${callArgs});`];
+  if (resultProcessor && !returnsVoid) {
+    invocation.push(`$result = ${resultProcessor}($result);`);
+  }
+  const mainLines = [...declarations, ...invocation, 'echo cascade_serialize($result) . PHP_EOL;'];
+  return `<?php\n\n${helpers ? `${helpers}\n\n` : ''}${body.trim()}\n\n${phpSerializer}\n\n${mainLines.join('\n')}\n`;
+};
+
 const parseInputToParams = (input = '') => {
   if (!input) return [];
   const normalized = input.replace(/\r/g, '').trim();
@@ -1310,7 +2849,10 @@ const wrapCodeForExecution = ({ code, language, functionName, args, helpers, res
       }
       break;
     case 'python':
-      wrapped = wrapPythonCode(code, functionName, args, { resultProcessor });
+      wrapped = wrapPythonCode(code, functionName, args, {
+        resultProcessor,
+        returnsVoid: invocationOptions.returnsVoid
+      });
       if (helpers) {
         wrapped = `${helpers}\n\n${wrapped}`;
       }
@@ -1318,7 +2860,8 @@ const wrapCodeForExecution = ({ code, language, functionName, args, helpers, res
     case 'java':
       wrapped = wrapJavaCode(code, functionName, args, {
         resultProcessor,
-        resultType: invocationOptions.resultType
+        resultType: invocationOptions.resultType,
+        returnsVoid: invocationOptions.returnsVoid
       });
       if (helpers) {
         wrapped = `${helpers}\n\n${wrapped}`;
@@ -1329,9 +2872,32 @@ const wrapCodeForExecution = ({ code, language, functionName, args, helpers, res
         helperFunctions: helpers,
         resultProcessor,
         structDefinition: invocationOptions.structDefinition,
-        structPattern: invocationOptions.structPattern
+        structPattern: invocationOptions.structPattern,
+        returnsVoid: invocationOptions.returnsVoid,
+        charArrayResult: invocationOptions.charArrayResult
       });
       break;
+    case 'c':
+      wrapped = wrapCCode(code, functionName, args, {
+        helperFunctions: helpers,
+        structDefinition: invocationOptions.structDefinition,
+        structPattern: invocationOptions.structPattern,
+        argTypes: invocationOptions.argTypes,
+        returnType: invocationOptions.returnType
+      });
+      break;
+    case 'go':
+      wrapped = wrapGoCode(code, functionName, args, { helpers, resultProcessor, returnsVoid: invocationOptions.returnsVoid });
+      break;
+    case 'csharp':
+      wrapped = wrapCSharpCode(code, functionName, args, { helpers, resultProcessor, returnsVoid: invocationOptions.returnsVoid });
+      break;
+    case 'ruby':
+      wrapped = wrapRubyCode(code, functionName, args, { helpers, resultProcessor, returnsVoid: invocationOptions.returnsVoid });
+      break;
+    case 'php':
+      wrapped = wrapPhpCode(code, functionName, args, { helpers, resultProcessor, returnsVoid: invocationOptions.returnsVoid });
+      break;
     default:
       throw new Error(`Unsupported language: ${language}`);
   }
@@ -1348,11 +2914,69 @@ const detectFunctionName = ({ code, language, fallbackFunctionName }) => {
       return detectJavaMethodName(code, fallbackFunctionName);
     case 'cpp':
       return detectCppFunctionName(code, fallbackFunctionName);
+    case 'c':
+      return detectCFunctionName(code, fallbackFunctionName);
+    case 'go':
+      return detectGoFunctionName(code, fallbackFunctionName);
+    case 'csharp':
+      return detectCSharpMethodName(code, fallbackFunctionName);
+    case 'ruby':
+      return detectRubyFunctionName(code, fallbackFunctionName);
+    case 'php':
+      return detectPhpFunctionName(code, fallbackFunctionName);
     default:
       return fallbackFunctionName;
   }
 };
 
+// Support helpers keyed by the node type a parameter schema declares
+const NODE_SUPPORT_KEYS = {
+  ListNode: 'linked_list',
+  TreeNode: 'binary_tree',
+  GraphNode: 'graph'
+};
+
+// Harnesses that declare every argument from a type descriptor, inferring one
+// for questions without a complete schema
+const TYPED_HARNESSES = {
+  go: { supportHelpers: goSupportHelpers, literal: goLiteral, type: goType },
+  csharp: { supportHelpers: csharpSupportHelpers, literal: csharpLiteral, type: csharpType },
+  ruby: { supportHelpers: rubySupportHelpers, literal: rubyLiteral },
+  php: { supportHelpers: phpSupportHelpers, literal: phpLiteral }
+};
+
+/**
+ * Node type definition (unless the submission declares its own) followed by
+ * the build/normalize helpers of a support entry.
+ */
+const supportHelperBlock = (support, code) => {
+  const sanitized = typeof code === 'string'
+    ? code.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/gm, ' ')
+    : '';
+  const definition = support.classDefinition || support.structDefinition;
+  const pattern = support.classPattern || support.structPattern;
+  return [definition && !pattern.test(sanitized) ? definition : null, support.helperFunctions]
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+/**
+ * Parses a test case input with the question's declared parameter types,
+ * falling back to untyped parsing for questions without a complete schema or
+ * inputs stored before schemas were enforced.
+ */
+const parseTestCaseArguments = (problem, testCaseInput) => {
+  const schema = resolveSchema(problem?.parameter_schema);
+  if (schema) {
+    try {
+      return { args: parseTypedInput(testCaseInput, schema), schema };
+    } catch (error) {
+      console.warn(`[CodeRunner] ${error.message}; parsing input without parameter types`);
+    }
+  }
+  return { args: parseInputToParams(testCaseInput), schema: null };
+};
+
 const buildWrappedCode = ({ problem, code, language, testCaseInput }) => {
   const storedFunction = problem?.function_name && typeof problem.function_name === 'string'
     ? problem.function_name.trim()
@@ -1361,20 +2985,39 @@ const buildWrappedCode = ({ problem, code, language, testCaseInput }) => {
     ? storedFunction
     : sanitizeTitleToFunction(problem?.title || 'solution');
   const functionName = detectFunctionName({ code, language, fallbackFunctionName });
-  const args = parseInputToParams(testCaseInput);
+  const { args, schema } = parseTestCaseArguments(problem, testCaseInput);
   let helpers = null;
   let processedArgs = args;
   let resultProcessor = null;
   let invocationOptions = {};
   const lowerLang = language.toLowerCase();
 
-  if (lowerLang === 'python' && problem?.question_type) {
-    const support = pythonSupportHelpers[problem.question_type];
+  // With a typed schema only node parameters go through the support helpers;
+  // otherwise every array argument is assumed to encode the question's node type.
+  const argTypes = schema ? schema.params.map(param => param.descriptor) : null;
+  const returnType = schema ? schema.returnType : null;
+  const nodeType = schema
+    ? [...argTypes, returnType].find(descriptor => descriptor && descriptor.kind === 'node')
+    : null;
+  const supportKey = schema ? (nodeType ? NODE_SUPPORT_KEYS[nodeType.name] : null) : problem?.question_type;
+  const isNodeArg = (arg, idx) => (argTypes ? argTypes[idx].kind === 'node' : Array.isArray(arg));
+  const returnsNode = !returnType || returnType.kind === 'node';
+
+  if (returnType && returnType.kind === 'void') {
+    invocationOptions.returnsVoid = true;
+  }
+  const printedType = invocationOptions.returnsVoid ? argTypes[0] : returnType;
+  if (printedType && printedType.kind === 'array' && printedType.element.name === 'char') {
+    invocationOptions.charArrayResult = true;
+  }
+
+  if (lowerLang === 'python' && supportKey) {
+    const support = pythonSupportHelpers[supportKey];
     if (support) {
       helpers = support.helpers;
-      resultProcessor = support.toOutput || null;
-      processedArgs = args.map(arg => {
-        if (!Array.isArray(arg)) {
+      resultProcessor = returnsNode ? support.toOutput || null : null;
+      processedArgs = args.map((arg, idx) => {
+        if (!isNodeArg(arg, idx)) {
           return arg;
         }
         const literal = toPythonLiteral(arg);
@@ -1383,13 +3026,13 @@ const buildWrappedCode = ({ problem, code, language, testCaseInput }) => {
     }
   }
 
-  if (lowerLang === 'javascript' && problem?.question_type) {
-    const support = javascriptSupportHelpers[problem.question_type];
+  if (lowerLang === 'javascript' && supportKey) {
+    const support = javascriptSupportHelpers[supportKey];
     if (support) {
       helpers = support.helpers;
-      resultProcessor = support.toOutput || null;
-      processedArgs = args.map(arg => {
-        if (!Array.isArray(arg)) {
+      resultProcessor = returnsNode ? support.toOutput || null : null;
+      processedArgs = args.map((arg, idx) => {
+        if (!isNodeArg(arg, idx)) {
           return arg;
         }
         const literal = toJavaScriptLiteral(arg);
@@ -1398,29 +3041,32 @@ const buildWrappedCode = ({ problem, code, language, testCaseInput }) => {
     }
   }
 
-  if (lowerLang === 'cpp' && problem?.question_type) {
-    const support = cppSupportHelpers[problem.question_type];
+  if (lowerLang === 'cpp') {
+    const support = supportKey ? cppSupportHelpers[supportKey] : null;
     if (support) {
       helpers = support.helperFunctions || null;
-      resultProcessor = support.toOutput || null;
+      resultProcessor = returnsNode ? support.toOutput || null : null;
       if (support.structDefinition) {
         invocationOptions.structDefinition = support.structDefinition;
       }
       if (support.structPattern) {
         invocationOptions.structPattern = support.structPattern;
       }
-      processedArgs = args.map(arg => {
-        if (!Array.isArray(arg)) {
-          return arg;
-        }
+    }
+    processedArgs = args.map((arg, idx) => {
+      if (support && isNodeArg(arg, idx)) {
         const literal = toCppLiteral(arg);
         return { __expr: `${support.fromInput}(${literal})` };
-      });
-    }
+      }
+      if (argTypes) {
+        return { __expr: cppLiteral(arg, argTypes[idx]), __type: cppType(argTypes[idx]) };
+      }
+      return arg;
+    });
   }
 
-  if (lowerLang === 'java' && problem?.question_type) {
-    const support = javaSupportHelpers[problem.question_type];
+  if (lowerLang === 'java') {
+    const support = supportKey ? javaSupportHelpers[supportKey] : null;
     if (support) {
       const sanitizedJavaCode = typeof code === 'string'
         ? code.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/gm, ' ')
@@ -1433,18 +3079,62 @@ const buildWrappedCode = ({ problem, code, language, testCaseInput }) => {
         helperPieces.push(support.helperFunctions);
       }
       helpers = helperPieces.length ? helperPieces.join('\n\n') : null;
-      resultProcessor = support.toOutput || null;
-      if (support.resultType) {
+      resultProcessor = returnsNode ? support.toOutput || null : null;
+      if (support.resultType && returnsNode) {
         invocationOptions.resultType = support.resultType;
       }
-      processedArgs = args.map(arg => {
-        if (!Array.isArray(arg)) {
-          return arg;
-        }
+    }
+    if (returnType && !returnsNode && returnType.kind !== 'void') {
+      invocationOptions.resultType = javaType(returnType);
+    }
+    processedArgs = args.map((arg, idx) => {
+      if (support && isNodeArg(arg, idx)) {
         const literalOptions = support.inputLiteralOptions || {};
         const literal = toJavaLiteral(arg, literalOptions);
         const argType = support.argumentType || 'Object';
         return { __expr: `${support.fromInput}(${literal})`, __type: argType };
+      }
+      if (argTypes) {
+        return { __expr: javaLiteral(arg, argTypes[idx]), __type: javaType(argTypes[idx]) };
+      }
+      return arg;
+    });
+  }
+
+  const harness = TYPED_HARNESSES[lowerLang];
+  if (harness || lowerLang === 'c') {
+    const supportNodeName = Object.keys(NODE_SUPPORT_KEYS).find(name => NODE_SUPPORT_KEYS[name] === supportKey);
+    const descriptors = args.map((arg, idx) => {
+      if (argTypes) return argTypes[idx];
+      if (supportNodeName && Array.isArray(arg)) return { kind: 'node', name: supportNodeName };
+      return inferDescriptor(arg);
+    });
+
+    if (lowerLang === 'c') {
+      const support = supportKey ? cSupportHelpers[supportKey] : null;
+      if (support) {
+        helpers = support.helperFunctions;
+        invocationOptions.structDefinition = support.structDefinition;
+        invocationOptions.structPattern = support.structPattern;
+      }
+      invocationOptions.argTypes = descriptors;
+      invocationOptions.returnType = returnType ||
+        detectCReturnType(code, functionName) ||
+        (supportNodeName ? { kind: 'node', name: supportNodeName } : null);
+    } else {
+      const support = supportKey ? harness.supportHelpers[supportKey] : null;
+      if (support) {
+        helpers = supportHelperBlock(support, code);
+        resultProcessor = returnsNode ? support.toOutput : null;
+      }
+      processedArgs = args.map((arg, idx) => {
+        const descriptor = descriptors[idx];
+        const type = harness.type ? harness.type(descriptor) : null;
+        if (support && descriptor.kind === 'node') {
+          const input = support.inputLiteral ? support.inputLiteral(arg) : harness.literal(arg, support.inputType);
+          return { __expr: `${support.fromInput}(${input})`, __type: type };
+        }
+        return { __expr: harness.literal(arg, descriptor), __type: type };
       });
     }
   }
@@ -1460,6 +3150,31 @@ const buildWrappedCode = ({ problem, code, language, testCaseInput }) => {
   });
 };
 
+// How a question's programs receive test input: `function` problems are
+// wrapped in a harness that calls the submitted function, `stdio` problems are
+// complete programs that read the test input from stdin and `interactive`
+// problems are complete programs that converse with the question's interactor.
+const IO_MODES = ['function', 'stdio', 'interactive'];
+
+const isStdioProblem = (problem) => problem?.io_mode === 'stdio';
+
+const isInteractiveProblem = (problem) => problem?.io_mode === 'interactive';
+
+/**
+ * Builds the program to execute for one test case
+ * @param {Object} params - { problem, code, language, testCaseInput }
+ * @returns {Object} - { source, input } where `input` is the program's stdin
+ */
+const buildProgram = ({ problem, code, language, testCaseInput }) => {
+  if (isStdioProblem(problem) || isInteractiveProblem(problem)) {
+    return { source: code, input: testCaseInput || '' };
+  }
+  return {
+    source: buildWrappedCode({ problem, code, language, testCaseInput }),
+    input: ''
+  };
+};
+
 module.exports = {
   sanitizeTitleToFunction,
   parseInputToParams,
@@ -1471,6 +3186,15 @@ module.exports = {
   wrapCppCode,
   wrapJavaScriptCode,
   wrapPythonCode,
+  wrapCCode,
+  wrapGoCode,
+  wrapCSharpCode,
+  wrapRubyCode,
+  wrapPhpCode,
   wrapCodeForExecution,
   buildWrappedCode,
+  buildProgram,
+  isStdioProblem,
+  isInteractiveProblem,
+  IO_MODES,
 };
\ No newline at end of file
@@ -0,0 +1,330 @@
+/**
+ * @file cohorts.js
+ * @description Cohorts (classes) of students. Students join a cohort with its
+ * join code; an instructor (`users.role = 'instructor'`) manages the cohorts
+ * assigned to them and only sees their members in the admin users, stats and
+ * leaderboard views, while admins see everyone and can narrow those views to
+ * one cohort. Quizzes and problem sets are assigned to a cohort with an
+ * optional due date; progress comes from the members' quiz and coding
+ * submissions, so work done before the assignment counts too. Assigned quizzes
+ * and problems are only visible to the members and instructors of the cohorts
+ * they are assigned to. Due dates only mark completions as late: a quiz's own
+ * schedule (`closes_at`) is what stops students from taking it.
+ */
+
+const crypto = require('crypto');
+const { toSqlDateTime } = require('./dates');
+
+const ASSIGNMENT_TYPES = ['quiz', 'problem_set'];
+
+const COHORT_LIMITS = {
+  problemSetQuestions: 50
+};
+
+// Join codes leave out characters that are easy to mistake for one another
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * @returns {string} - A random join code
+ */
+function generateJoinCode() {
+  return Array.from(crypto.randomBytes(JOIN_CODE_LENGTH), byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * @returns {Promise<string>} - A join code no other cohort uses
+ */
+async function createJoinCode(db) {
+  let joinCode;
+  let taken;
+  do {
+    joinCode = generateJoinCode();
+    [taken] = await db.execute('SELECT id FROM cohorts WHERE join_code = ?', [joinCode]);
+  } while (taken.length > 0);
+  return joinCode;
+}
+
+/**
+ * Join codes are typed by students, so case and spaces are ignored
+ */
+const normalizeJoinCode = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * @param {Object} user - req.user
+ * @param {Object} cohort - cohorts row
+ */
+const canManageCohort = (user, cohort) => Boolean(user) && (user.role === 'admin'
+  || (user.role === 'instructor' && cohort.instructor_id === user.id));
+
+/**
+ * Cohorts whose members a staff request may see
+ * @param {Object} user - req.user, an admin or instructor
+ * @param {*} cohortId - Selected cohort (the `cohort_id` query parameter), if any
+ * @returns {Promise<Object>} - { cohortIds }, null meaning every user, or
+ * { error, status } when the selected cohort is not one the user manages
+ */
+async function resolveCohortScope(db, user, cohortId) {
+  if (cohortId !== undefined && cohortId !== null && cohortId !== '') {
+    const [cohorts] = await db.execute('SELECT id, instructor_id FROM cohorts WHERE id = ?', [cohortId]);
+    if (cohorts.length === 0) {
+      return { error: 'Cohort not found', status: 404 };
+    }
+    if (!canManageCohort(user, cohorts[0])) {
+      return { error: 'You can only view the cohorts you teach', status: 403 };
+    }
+    return { cohortIds: [cohorts[0].id] };
+  }
+
+  if (user.role === 'admin') {
+    return { cohortIds: null };
+  }
+  const [cohorts] = await db.execute('SELECT id FROM cohorts WHERE instructor_id = ?', [user.id]);
+  return { cohortIds: cohorts.map(cohort => cohort.id) };
+}
+
+/**
+ * SQL condition limiting a user id column to the members of the scope's cohorts
+ * @param {Object} scope - { cohortIds } from resolveCohortScope
+ * @param {string} column - User id column, e.g. 'u.id'
+ * @returns {Object} - { sql, params }; sql starts with AND and is empty for every user
+ */
+function memberFilter(scope, column) {
+  if (!scope.cohortIds) {
+    return { sql: '', params: [] };
+  }
+  if (scope.cohortIds.length === 0) {
+    return { sql: ' AND 1 = 0', params: [] };
+  }
+  return {
+    sql: ` AND ${column} IN (SELECT user_id FROM cohort_members WHERE cohort_id IN (${placeholders(scope.cohortIds)}))`,
+    params: scope.cohortIds
+  };
+}
+
+/**
+ * SQL condition hiding quizzes or problems assigned to cohorts from users
+ * outside those cohorts; content without an assignment stays public
+ * @param {Object} user - req.user, or null for anonymous requests
+ * @param {string} type - 'quiz' or 'question'
+ * @param {string} column - Quiz or question id column, e.g. 'q.id'
+ * @returns {Object} - { sql, params }; sql starts with AND and is empty for admins
+ */
+function assignedContentFilter(user, type, column) {
+  if (user?.role === 'admin') {
+    return { sql: '', params: [] };
+  }
+  const assignedTo = type === 'quiz'
+    ? `SELECT 1 FROM cohort_assignments ca WHERE ca.quiz_id = ${column}`
+    : `SELECT 1 FROM cohort_assignments ca
+       JOIN cohort_assignment_questions caq ON caq.assignment_id = ca.id
+       WHERE caq.question_id = ${column}`;
+  if (!user) {
+    return { sql: ` AND NOT EXISTS (${assignedTo})`, params: [] };
+  }
+  return {
+    sql: ` AND (NOT EXISTS (${assignedTo}) OR EXISTS (${assignedTo}
+      AND (ca.cohort_id IN (SELECT cohort_id FROM cohort_members WHERE user_id = ?)
+        OR ca.cohort_id IN (SELECT id FROM cohorts WHERE instructor_id = ?))))`,
+    params: [user.id, user.id]
+  };
+}
+
+/**
+ * Whether a user may see a quiz or problem (see assignedContentFilter)
+ * @returns {Promise<boolean>}
+ */
+async function canAccessContent(db, user, type, id) {
+  const table = type === 'quiz' ? 'quizzes' : 'questions';
+  const filter = assignedContentFilter(user, type, 'content.id');
+  const [rows] = await db.execute(
+    `SELECT content.id FROM ${table} content WHERE content.id = ?${filter.sql}`,
+    [id, ...filter.params]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Validate the assignment sent by the cohort panel
+ * @param {Object} body - { title, assignment_type, quiz_id, question_ids, due_at }
+ * @returns {Object} - { error } or { values, questionIds }
+ */
+function normalizeAssignment(body) {
+  const title = (body.title || '').trim();
+  if (!title) {
+    return { error: 'Please provide a title' };
+  }
+
+  const type = body.assignment_type;
+  if (!ASSIGNMENT_TYPES.includes(type)) {
+    return { error: 'An assignment must be a quiz or a problem set' };
+  }
+
+  const dueAt = body.due_at ? toSqlDateTime(body.due_at) : null;
+  if (body.due_at && !dueAt) {
+    return { error: 'Please provide a valid due date' };
+  }
+
+  if (type === 'quiz') {
+    const quizId = Number(body.quiz_id);
+    if (!Number.isInteger(quizId) || quizId <= 0) {
+      return { error: 'Please select a quiz' };
+    }
+    return { values: { title, type, quizId, dueAt }, questionIds: [] };
+  }
+
+  const questionIds = [...new Set((Array.isArray(body.question_ids) ? body.question_ids : []).map(Number))];
+  if (questionIds.length === 0 || questionIds.some(id => !Number.isInteger(id) || id <= 0)) {
+    return { error: 'Please select the problems of the set' };
+  }
+  if (questionIds.length > COHORT_LIMITS.problemSetQuestions) {
+    return { error: `A problem set can have at most ${COHORT_LIMITS.problemSetQuestions} problems` };
+  }
+  return { values: { title, type, quizId: null, dueAt }, questionIds };
+}
+
+/**
+ * Checks that the quiz or problems of an assignment exist
+ * @returns {Promise<string|null>} - Error message, or null when they all exist
+ */
+async function findMissingContent(db, values, questionIds) {
+  if (values.type === 'quiz') {
+    const [quizzes] = await db.execute('SELECT id FROM quizzes WHERE id = ?', [values.quizId]);
+    return quizzes.length === 0 ? 'Quiz not found' : null;
+  }
+  const [questions] = await db.execute(
+    `SELECT id FROM questions WHERE id IN (${placeholders(questionIds)})`,
+    questionIds
+  );
+  const found = new Set(questions.map(question => question.id));
+  const missing = questionIds.find(id => !found.has(id));
+  return missing ? `Question ${missing} not found` : null;
+}
+
+async function saveAssignmentQuestions(connection, assignmentId, questionIds) {
+  await connection.execute('DELETE FROM cohort_assignment_questions WHERE assignment_id = ?', [assignmentId]);
+  for (const [position, questionId] of questionIds.entries()) {
+    await connection.execute(
+      'INSERT INTO cohort_assignment_questions (assignment_id, question_id, position) VALUES (?, ?, ?)',
+      [assignmentId, questionId, position]
+    );
+  }
+}
+
+/**
+ * Assignments of a cohort, soonest due first, with their quiz or problems
+ */
+async function getAssignments(db, cohortId) {
+  const [assignments] = await db.execute(
+    `SELECT ca.*, q.title AS quiz_title
+     FROM cohort_assignments ca
+     LEFT JOIN quizzes q ON q.id = ca.quiz_id
+     WHERE ca.cohort_id = ?
+     ORDER BY ca.due_at IS NULL, ca.due_at ASC, ca.created_at DESC`,
+    [cohortId]
+  );
+  if (assignments.length === 0) return [];
+
+  const [questions] = await db.execute(
+    `SELECT caq.assignment_id, qu.id, qu.title, qu.difficulty
+     FROM cohort_assignment_questions caq
+     JOIN questions qu ON qu.id = caq.question_id
+     WHERE caq.assignment_id IN (${placeholders(assignments)})
+     ORDER BY caq.position`,
+    assignments.map(assignment => assignment.id)
+  );
+
+  return assignments.map(assignment => ({
+    ...assignment,
+    questions: questions
+      .filter(question => question.assignment_id === assignment.id)
+      .map(({ assignment_id, ...question }) => question)
+  }));
+}
+
+const isLate = (assignment, completedAt) => Boolean(assignment.due_at && completedAt)
+  && new Date(completedAt) > new Date(assignment.due_at);
+
+/**
+ * Progress of users on an assignment
+ * @param {Object} assignment - Assignment from getAssignments
+ * @param {Array<number>} userIds - Members to report on
+ * @returns {Promise<Map>} - User id to { status, completed, total, score,
+ * completedAt, late }, status being 'not_started', 'in_progress' or 'completed'
+ */
+async function assignmentProgress(db, assignment, userIds) {
+  const progress = new Map();
+  if (userIds.length === 0) return progress;
+
+  if (assignment.assignment_type === 'quiz') {
+    const [rows] = await db.execute(
+      `SELECT qs.user_id, MIN(qs.submitted_at) AS completed_at, uqp.score, uqp.total_questions
+       FROM quiz_submissions qs
+       LEFT JOIN user_quiz_progress uqp ON uqp.user_id = qs.user_id AND uqp.quiz_id = qs.quiz_id
+       WHERE qs.quiz_id = ? AND qs.user_id IN (${placeholders(userIds)})
+       GROUP BY qs.user_id, uqp.score, uqp.total_questions`,
+      [assignment.quiz_id, ...userIds]
+    );
+    for (const userId of userIds) {
+      const row = rows.find(candidate => candidate.user_id === userId);
+      progress.set(userId, {
+        status: row ? 'completed' : 'not_started',
+        completed: row ? 1 : 0,
+        total: 1,
+        score: row && row.score !== null ? Number(row.score) : null,
+        totalQuestions: row ? row.total_questions : null,
+        completedAt: row ? row.completed_at : null,
+        late: row ? isLate(assignment, row.completed_at) : false
+      });
+    }
+    return progress;
+  }
+
+  const questionIds = assignment.questions.map(question => question.id);
+  let rows = [];
+  if (questionIds.length > 0) {
+    [rows] = await db.execute(
+      `SELECT user_id, question_id, MIN(CASE WHEN passed = 1 THEN submitted_at END) AS solved_at
+       FROM submissions
+       WHERE question_id IN (${placeholders(questionIds)}) AND user_id IN (${placeholders(userIds)})
+       GROUP BY user_id, question_id`,
+      [...questionIds, ...userIds]
+    );
+  }
+  for (const userId of userIds) {
+    const attempted = rows.filter(row => row.user_id === userId);
+    const solved = attempted.filter(row => row.solved_at);
+    const done = questionIds.length > 0 && solved.length === questionIds.length;
+    const completedAt = done
+      ? solved.reduce((latest, row) => (new Date(row.solved_at) > new Date(latest) ? row.solved_at : latest), solved[0].solved_at)
+      : null;
+    progress.set(userId, {
+      status: done ? 'completed' : (attempted.length > 0 ? 'in_progress' : 'not_started'),
+      completed: solved.length,
+      total: questionIds.length,
+      score: null,
+      completedAt,
+      late: done ? isLate(assignment, completedAt) : false
+    });
+  }
+  return progress;
+}
+
+module.exports = {
+  ASSIGNMENT_TYPES,
+  COHORT_LIMITS,
+  createJoinCode,
+  normalizeJoinCode,
+  canManageCohort,
+  resolveCohortScope,
+  memberFilter,
+  assignedContentFilter,
+  canAccessContent,
+  normalizeAssignment,
+  findMissingContent,
+  saveAssignmentQuestions,
+  getAssignments,
+  assignmentProgress
+};
@@ -0,0 +1,25 @@
+/**
+ * @file concurrency.js
+ * @description Bounded parallelism for the execution backends.
+ */
+
+/**
+ * Maps `items` through an async `worker` with at most `limit` calls in
+ * flight, preserving input order in the returned array.
+ */
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,199 @@
+/**
+ * @file contests.js
+ * @description Timing and scoring of contests. A contest runs between its
+ * start and end time over a set of questions; only submissions made inside
+ * that window by registered contestants count (`submissions.contest_id`).
+ * ICPC scoring ranks by problems solved, then penalty minutes (time of the
+ * first accepted submission plus a fixed penalty per earlier rejected one);
+ * IOI scoring ranks by points, the best partial score of each problem. The
+ * scoreboard can freeze a number of minutes before the end: submissions after
+ * that point are shown as pending to contestants until an admin unfreezes it.
+ */
+
+const { scoreResults } = require('./subtasks');
+const { toSqlDateTime } = require('./dates');
+const { parseJsonArray } = require('./json');
+
+const CONTEST_SCORING = ['icpc', 'ioi'];
+
+const CONTEST_LIMITS = {
+  problems: 26,
+  points: { min: 1, max: 10000 },
+  penaltyMinutes: { min: 0, max: 240 }
+};
+
+// Verdicts that never cost ICPC penalty time
+const UNPENALIZED_VERDICTS = ['CE', 'IE'];
+
+const PENDING_STATUSES = ['pending', 'running'];
+
+/**
+ * @returns {string} - 'upcoming', 'running' or 'finished'
+ */
+function contestPhase(contest, now = new Date()) {
+  if (now < new Date(contest.start_time)) return 'upcoming';
+  if (now < new Date(contest.end_time)) return 'running';
+  return 'finished';
+}
+
+/**
+ * Moment the scoreboard freezes, or null when the contest has no freeze
+ */
+function freezeTime(contest) {
+  if (!contest.freeze_minutes) return null;
+  return new Date(new Date(contest.end_time).getTime() - contest.freeze_minutes * 60000);
+}
+
+/**
+ * Whether contestants currently see a frozen scoreboard
+ */
+function isScoreboardFrozen(contest, now = new Date()) {
+  const freezeAt = freezeTime(contest);
+  return Boolean(freezeAt) && !contest.scoreboard_unfrozen && now >= freezeAt;
+}
+
+/**
+ * IOI score of one graded submission: the problem's points scaled by its
+ * subtask score (see subtasks.js), to two decimals
+ */
+function submissionScore(submission, points) {
+  if (submission.verdict === 'AC') return points;
+  if (UNPENALIZED_VERDICTS.includes(submission.verdict)) return 0;
+  const results = parseJsonArray(submission.test_case_results).filter(Boolean);
+  if (results.length === 0) return 0;
+  const { score, maxScore } = scoreResults(results);
+  return Math.round((points * score / maxScore) * 100) / 100;
+}
+
+/**
+ * Build the scoreboard of a contest
+ * @param {Object} contest - Contest row
+ * @param {Array<Object>} problems - [{ question_id, label, title, points }] in display order
+ * @param {Array<Object>} participants - [{ user_id, name }] registered contestants
+ * @param {Array<Object>} submissions - Contest submissions in submission order
+ *   ({ user_id, question_id, verdict, judge_status, test_case_results, submitted_at })
+ * @param {Object} options - `frozen`: hide the results of submissions made after the freeze
+ * @returns {Object} - { scoring, frozen, freezeAt, problems, rows }
+ */
+function buildScoreboard(contest, problems, participants, submissions, { frozen = false } = {}) {
+  const scoring = contest.scoring_type === 'ioi' ? 'ioi' : 'icpc';
+  const start = new Date(contest.start_time).getTime();
+  const freezeAt = freezeTime(contest);
+  const pointsByQuestion = new Map(problems.map(problem => [problem.question_id, problem.points]));
+
+  const rows = new Map(participants.map(participant => [participant.user_id, {
+    userId: participant.user_id,
+    name: participant.name,
+    solved: 0,
+    penalty: 0,
+    score: 0,
+    problems: {}
+  }]));
+
+  const firstSolves = new Map();
+
+  for (const submission of submissions) {
+    const row = rows.get(submission.user_id);
+    if (!row || !pointsByQuestion.has(submission.question_id)) continue;
+
+    const cell = row.problems[submission.question_id] || (row.problems[submission.question_id] = {
+      attempts: 0,
+      pending: 0,
+      solved: false,
+      minute: null,
+      score: 0
+    });
+    const submittedAt = new Date(submission.submitted_at);
+    const hidden = frozen && freezeAt && submittedAt >= freezeAt;
+
+    if (scoring === 'icpc' && cell.solved) continue;
+    if (hidden || PENDING_STATUSES.includes(submission.judge_status)) {
+      cell.pending++;
+      continue;
+    }
+
+    const minute = Math.max(0, Math.floor((submittedAt.getTime() - start) / 60000));
+    if (scoring === 'ioi') {
+      cell.attempts++;
+      cell.score = Math.max(cell.score, submissionScore(submission, pointsByQuestion.get(submission.question_id)));
+      cell.solved = cell.solved || submission.verdict === 'AC';
+    } else if (submission.verdict === 'AC') {
+      cell.solved = true;
+      cell.minute = minute;
+      // Submissions arrive in order, so the first one seen is the first solve
+      if (!firstSolves.has(submission.question_id)) {
+        firstSolves.set(submission.question_id, row.userId);
+      }
+    } else if (!UNPENALIZED_VERDICTS.includes(submission.verdict)) {
+      cell.attempts++;
+    }
+  }
+
+  const ranked = [...rows.values()];
+  for (const row of ranked) {
+    for (const [questionId, cell] of Object.entries(row.problems)) {
+      if (cell.solved) row.solved++;
+      if (scoring === 'ioi') {
+        row.score += cell.score;
+      } else if (cell.solved) {
+        row.penalty += cell.minute + cell.attempts * contest.penalty_minutes;
+        cell.first = firstSolves.get(Number(questionId)) === row.userId;
+      }
+    }
+    row.score = Math.round(row.score * 100) / 100;
+  }
+
+  const compare = scoring === 'ioi'
+    ? (a, b) => b.score - a.score
+    : (a, b) => b.solved - a.solved || a.penalty - b.penalty;
+  ranked.sort((a, b) => compare(a, b) || a.name.localeCompare(b.name));
+  ranked.forEach((row, index) => {
+    row.rank = index > 0 && compare(ranked[index - 1], row) === 0 ? ranked[index - 1].rank : index + 1;
+  });
+
+  return {
+    scoring,
+    frozen,
+    freezeAt,
+    problems: problems.map(problem => {
+      const cells = ranked.map(row => row.problems[problem.question_id]).filter(Boolean);
+      return {
+        questionId: problem.question_id,
+        label: problem.label,
+        title: problem.title,
+        points: problem.points,
+        solvedCount: cells.filter(cell => cell.solved).length,
+        attemptedCount: cells.length
+      };
+    }),
+    rows: ranked
+  };
+}
+
+/**
+ * The unfinished contest a question belongs to, if any. Such questions are
+ * kept out of practice until their contest is over.
+ * @returns {Promise<Object|null>} - Contest row with its `phase`
+ */
+async function findActiveContest(db, questionId) {
+  const [contests] = await db.execute(
+    `SELECT c.* FROM contests c
+     JOIN contest_problems cp ON cp.contest_id = c.id
+     WHERE cp.question_id = ? AND c.end_time > ?
+     ORDER BY c.start_time
+     LIMIT 1`,
+    [questionId, toSqlDateTime(new Date())]
+  );
+  return contests.length > 0 ? { ...contests[0], phase: contestPhase(contests[0]) } : null;
+}
+
+module.exports = {
+  CONTEST_SCORING,
+  CONTEST_LIMITS,
+  contestPhase,
+  freezeTime,
+  isScoreboardFrozen,
+  submissionScore,
+  buildScoreboard,
+  findActiveContest
+};
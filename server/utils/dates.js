@@ -0,0 +1,21 @@
+/**
+ * @file dates.js
+ * @description Date helpers shared by the scheduling features (contests,
+ * quizzes, assessments and cohort due dates).
+ */
+
+const pad = (num) => String(num).padStart(2, '0');
+
+/**
+ * Formats a date for a DATETIME column, or returns null when it is not a date
+ */
+const toSqlDateTime = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+module.exports = {
+  toSqlDateTime
+};
@@ -0,0 +1,396 @@
+/**
+ * @file executionService.js
+ * @description Routes program execution to the configured backend (the Judge0
+ * HTTP API or the local sandboxed runner) and grades submissions against
+ * stored test cases. Every backend resolves to the same result shape:
+ * { status, statusId, stdout, stderr, compileOutput, message, time, memory, exitCode }.
+ */
+
+require('dotenv').config();
+
+const judge0 = require('./judge0');
+const localRunner = require('./localRunner');
+const languageRuntimes = require('./languageRuntimes');
+const { buildProgram, isInteractiveProblem } = require('./codeRunner');
+const { resolveVerdict, VERDICTS, VERDICT_LABELS } = require('./verdicts');
+const { createChecker, readInteractorVerdict } = require('./checkers');
+const { canonicalizeOutput } = require('./outputFormat');
+const { parseJsonObject } = require('./json');
+const { mapWithConcurrency } = require('./concurrency');
+
+const PROVIDERS = {
+  [judge0.name]: judge0,
+  [localRunner.name]: localRunner
+};
+
+const DEFAULT_LIMITS = {
+  timeLimitMs: 2000,     // 2 seconds
+  memoryLimitKb: 128000  // 128 MB
+};
+
+// Range accepted for per-question limits; the upper bounds match Judge0's
+// default MAX_CPU_TIME_LIMIT and MAX_MEMORY_LIMIT.
+const LIMIT_BOUNDS = {
+  timeLimitMs: { min: 100, max: 15000 },
+  memoryLimitKb: { min: 16000, max: 512000 },
+  multiplier: { min: 0.1, max: 10 }
+};
+
+// Upper bound on programs executing at once for a single batch.
+const EXECUTION_MAX_PARALLEL = parseInt(process.env.EXECUTION_MAX_PARALLEL, 10) || 4;
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+/**
+ * Resolve the execution limits for a question in a given language
+ * @param {Object} problem - Question row (time_limit_ms, memory_limit_kb,
+ * limit_multipliers shaped like { java: { time: 2, memory: 1.5 } })
+ * @param {string} language - Programming language
+ * @returns {Object} - { timeLimitMs, memoryLimitKb }
+ */
+function resolveLimits(problem, language) {
+  const multipliers = parseJsonObject(problem?.limit_multipliers)[language] || {};
+  const timeLimitMs = (problem?.time_limit_ms || DEFAULT_LIMITS.timeLimitMs) * (Number(multipliers.time) || 1);
+  const memoryLimitKb = (problem?.memory_limit_kb || DEFAULT_LIMITS.memoryLimitKb) * (Number(multipliers.memory) || 1);
+
+  return {
+    timeLimitMs: clamp(Math.round(timeLimitMs), LIMIT_BOUNDS.timeLimitMs),
+    memoryLimitKb: clamp(Math.round(memoryLimitKb), LIMIT_BOUNDS.memoryLimitKb)
+  };
+}
+
+/**
+ * Looks up a provider by its configured key, rejecting unknown backends so a
+ * typo in the environment fails loudly instead of silently using Judge0.
+ */
+const resolveProvider = (key) => {
+  const provider = PROVIDERS[(key || '').trim().toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown execution backend: ${key}`);
+  }
+  return provider;
+};
+
+/**
+ * Returns the primary provider selected through EXECUTION_BACKEND.
+ */
+const getProvider = () => resolveProvider(process.env.EXECUTION_BACKEND || judge0.name);
+
+/**
+ * Returns the optional provider used when the primary one throws, selected
+ * through EXECUTION_FALLBACK_BACKEND.
+ */
+const getFallbackProvider = () => {
+  const key = process.env.EXECUTION_FALLBACK_BACKEND;
+  if (!key) return null;
+  const fallback = resolveProvider(key);
+  return fallback === getProvider() ? null : fallback;
+};
+
+/**
+ * Returns the primary provider followed by the fallback, if one is configured.
+ */
+const getActiveProviders = () => [getProvider(), getFallbackProvider()].filter(Boolean);
+
+/**
+ * Execute source code on the configured backend
+ * @param {string} source - Source code
+ * @param {string} language - Programming language
+ * @param {string} input - Standard input
+ * @param {Object} options - Execution limits ({ timeLimitMs, memoryLimitKb })
+ * and optional `runtime` id selected by the user
+ * @returns {Promise<Object>} - Execution result
+ */
+async function submitCode(source, language, input = '', options = {}) {
+  const { runtime, ...limitOverrides } = options;
+  const limits = { ...DEFAULT_LIMITS, ...limitOverrides };
+  const provider = getProvider();
+  // Runtime ids are backend specific, so each provider resolves its own.
+  const runOn = (target) => target.submitCode(source, language, input, {
+    ...limits,
+    runtime: languageRuntimes.resolveRuntime(target.name, language, runtime)
+  });
+
+  try {
+    return await runOn(provider);
+  } catch (error) {
+    const fallback = getFallbackProvider();
+    if (!fallback) {
+      throw error;
+    }
+    console.warn(`[Execution] ${provider.name} backend failed (${error.message}); retrying on ${fallback.name}`);
+    return runOn(fallback);
+  }
+}
+
+/**
+ * Run a program of an interactive problem against the question's interactor
+ * on the first active backend that supports interactive runs (the local
+ * runner; Judge0 cannot connect two programs)
+ * @param {string} source - Source code
+ * @param {string} language - Programming language
+ * @param {Object} interactor - { source, language } of the interactor
+ * @param {string} input - Test case input handed to the interactor
+ * @param {Object} options - Execution limits, optional `runtime`,
+ * `expectedOutput` and `queryLimit`
+ * @returns {Promise<Object>} - Execution result with an `interaction`
+ */
+async function submitInteractive(source, language, interactor, input = '', options = {}) {
+  const { runtime, ...rest } = options;
+  const provider = getActiveProviders().find(candidate => typeof candidate.submitInteractive === 'function');
+
+  if (!provider) {
+    return {
+      status: { id: 13, description: 'Internal Error' },
+      statusId: 13,
+      stdout: '',
+      stderr: '',
+      compileOutput: '',
+      message: 'Interactive problems require the local execution backend (EXECUTION_BACKEND or EXECUTION_FALLBACK_BACKEND=local)',
+      time: null,
+      memory: null,
+      exitCode: null
+    };
+  }
+
+  return provider.submitInteractive(source, language, interactor, input, {
+    ...DEFAULT_LIMITS,
+    ...rest,
+    runtime: languageRuntimes.resolveRuntime(provider.name, language, runtime)
+  });
+}
+
+/**
+ * Runs a batch of programs on one provider, using its native batch endpoint
+ * (split into chunks of its `batchSize`) when it has one and otherwise
+ * fanning out single executions. Either way at most `parallelism` requests
+ * are in flight; providers without a `batchSize` get the whole batch in one
+ * call and the `parallelism` to run it with.
+ */
+const runBatchOn = async (provider, batchItems, limits, parallelism, onResult) => {
+  const items = batchItems.map(item => ({
+    ...item,
+    runtime: languageRuntimes.resolveRuntime(provider.name, item.language, item.runtime)
+  }));
+
+  if (typeof provider.submitBatch === 'function') {
+    const chunkSize = provider.batchSize || items.length;
+    const chunks = [];
+    for (let start = 0; start < items.length; start += chunkSize) {
+      chunks.push({ start, items: items.slice(start, start + chunkSize) });
+    }
+    // Results are reported as the provider polls them, not once per chunk
+    const chunkResults = await mapWithConcurrency(chunks, parallelism, (chunk) => provider.submitBatch(chunk.items, {
+      ...limits,
+      parallelism,
+      onResult: (result, offset) => onResult(result, chunk.start + offset)
+    }));
+    return chunkResults.flat();
+  }
+  return mapWithConcurrency(items, parallelism, async ({ source, language, input, runtime }, index) => {
+    const result = await provider.submitCode(source, language, input, { ...limits, runtime });
+    onResult(result, index);
+    return result;
+  });
+};
+
+/**
+ * Execute several programs at once on the configured backend
+ * @param {Array<{source: string, language: string, input: string, runtime: string}>} items - Programs to run
+ * @param {Object} options - Execution limits plus optional `parallelism` and
+ * `onResult(result, index)` callback fired as each program finishes
+ * @returns {Promise<Array>} - Execution results in the same order as `items`
+ */
+async function submitBatch(items, options = {}) {
+  if (items.length === 0) return [];
+
+  const { parallelism = EXECUTION_MAX_PARALLEL, onResult = () => {}, ...limitOverrides } = options;
+  const limits = { ...DEFAULT_LIMITS, ...limitOverrides };
+  const provider = getProvider();
+
+  // Each program is reported once, even when a failing backend already
+  // reported part of the batch before the fallback took over
+  const reported = new Map();
+  const report = (result, index) => {
+    if (reported.has(index)) return;
+    reported.set(index, result);
+    onResult(result, index);
+  };
+
+  try {
+    return await runBatchOn(provider, items, limits, parallelism, report);
+  } catch (error) {
+    const fallback = getFallbackProvider();
+    if (!fallback) {
+      throw error;
+    }
+    const pending = items.map((item, index) => index).filter(index => !reported.has(index));
+    console.warn(`[Execution] ${provider.name} backend failed (${error.message}); retrying ${pending.length} of ${items.length} programs on ${fallback.name}`);
+    const retried = await runBatchOn(fallback, pending.map(index => items[index]), limits, parallelism,
+      (result, offset) => report(result, pending[offset]));
+    pending.forEach((index, offset) => report(retried[offset], index));
+    return items.map((item, index) => reported.get(index));
+  }
+}
+
+/**
+ * Creates the output checker for a question, running special judges on the
+ * configured backend under the default limits.
+ */
+const checkerFor = (problem) => createChecker(problem, {
+  runJudge: (source, language, input) => submitCode(source, language, input)
+});
+
+/**
+ * Grade one execution against its test case with the question's checker
+ * @param {Object} testCase - Test case row (id, input, expected_output, hidden,
+ * subtask, points)
+ * @param {Object} result - Execution result
+ * @param {Object} options - `limits` the program ran under, `checker`
+ * created for the question and its `ioMode`
+ * @returns {Promise<Object>} - Per-test result stored on submissions
+ */
+async function gradeExecution(testCase, result, options = {}) {
+  const { limits = DEFAULT_LIMITS, checker = checkerFor(null), ioMode = 'function' } = options;
+  const actualOutput = (result.stdout || '').trim();
+  const expectedOutput = (testCase.expected_output || '').trim();
+  const errorOutput = (result.stderr || result.compileOutput || result.message || '').trim();
+
+  // Only clean runs are handed to the checker; anything else keeps its runtime verdict.
+  // Both sides are compared in canonical form so formatting differences
+  // between language harnesses do not matter.
+  let outcome = { accepted: false, checkerError: false, message: '' };
+  if (result.interaction) {
+    // Interactive runs are judged by the interactor rather than by comparing
+    // output. A failing interactor outranks the contestant's own verdict
+    // unless the run was cut short and the interactor killed with it.
+    const judged = readInteractorVerdict(result.interaction);
+    if (result.statusId === 3 || (judged.checkerError && !result.interaction.terminated)) {
+      outcome = judged;
+    }
+  } else if (!errorOutput && (result.statusId === 3 || result.statusId === 4)) {
+    outcome = await checker.check({
+      input: testCase.input,
+      expectedOutput: canonicalizeOutput(testCase.expected_output, ioMode),
+      actualOutput: canonicalizeOutput(result.stdout, ioMode)
+    });
+  }
+
+  const verdict = resolveVerdict(result, {
+    outputMatches: outcome.accepted,
+    checkerError: outcome.checkerError,
+    memoryLimitKb: limits.memoryLimitKb
+  });
+
+  return {
+    testCaseId: testCase.id,
+    input: testCase.input,
+    expectedOutput,
+    actualOutput,
+    hidden: Boolean(testCase.hidden),
+    subtask: testCase.subtask ?? null,
+    points: testCase.points ?? null,
+    passed: verdict === VERDICTS.ACCEPTED,
+    verdict,
+    verdictLabel: VERDICT_LABELS[verdict],
+    checkerMessage: outcome.message,
+    queries: result.interaction ? result.interaction.queries : undefined,
+    error: errorOutput,
+    statusId: result.statusId,
+    status: result.status,
+    time: result.time,
+    memory: result.memory,
+    stdout: result.stdout || '',
+    stderr: result.stderr || '',
+    compileOutput: result.compileOutput || ''
+  };
+}
+
+/**
+ * Validate code against test cases
+ * @param {string} source - Source code
+ * @param {string} language - Programming language
+ * @param {Array} testCases - Array of test cases
+ * @param {Object} options - Additional options (`problem`, `parallelism`,
+ * `runtime` chosen by the user, `limits` to override the question's limits, and
+ * `onProgress(testCaseResult, index)` fired as each test case finishes)
+ * @returns {Promise<Array>} - Array of test case results
+ */
+async function validateCode(source, language, testCases, options = {}) {
+  try {
+    const { problem, parallelism = EXECUTION_MAX_PARALLEL, onProgress, runtime } = options;
+    const limits = options.limits || resolveLimits(problem, language);
+
+    if (isInteractiveProblem(problem)) {
+      const interactor = { source: problem.interactor_code, language: problem.interactor_language };
+      return mapWithConcurrency(testCases, parallelism, async (testCase, index) => {
+        const result = await submitInteractive(source, language, interactor, testCase.input, {
+          ...limits,
+          runtime,
+          expectedOutput: testCase.expected_output,
+          queryLimit: problem.interactor_query_limit
+        });
+        const graded = await gradeExecution(testCase, result, { limits });
+        if (onProgress) {
+          onProgress(graded, index);
+        }
+        return graded;
+      });
+    }
+
+    // Build every test case's program up front so the whole set is graded in one batch.
+    const items = testCases.map(testCase => ({
+      ...buildProgram({
+        problem,
+        code: source,
+        language,
+        testCaseInput: testCase.input
+      }),
+      language,
+      runtime
+    }));
+
+    const checker = checkerFor(problem);
+    const ioMode = problem?.io_mode || 'function';
+    const grading = new Array(testCases.length);
+
+    // Grade each execution as soon as it finishes so progress streams out
+    // while special judges run alongside the remaining test cases.
+    const executions = await submitBatch(items, {
+      ...limits,
+      parallelism,
+      onResult: (result, index) => {
+        grading[index] = gradeExecution(testCases[index], result, { limits, checker, ioMode })
+          .then(graded => {
+            if (onProgress) {
+              onProgress(graded, index);
+            }
+            return graded;
+          });
+        // Failures surface through Promise.all below once the batch is done.
+        grading[index].catch(() => {});
+      }
+    });
+
+    return Promise.all(testCases.map((testCase, index) => (
+      grading[index] || gradeExecution(testCase, executions[index], { limits, checker, ioMode })
+    )));
+  } catch (error) {
+    console.error('Code validation error:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  submitCode,
+  submitBatch,
+  submitInteractive,
+  validateCode,
+  gradeExecution,
+  checkerFor,
+  getProvider,
+  getActiveProviders,
+  resolveLimits,
+  DEFAULT_LIMITS,
+  LIMIT_BOUNDS
+};
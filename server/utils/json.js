@@ -0,0 +1,55 @@
+/**
+ * @file json.js
+ * @description Helpers for reading JSON. mysql2 returns JSON columns either
+ * parsed or as strings depending on the server, so column readers accept both
+ * and fall back to an empty value instead of throwing on malformed data.
+ */
+
+/**
+ * Parses JSON text without throwing
+ * @param {string} text - JSON text
+ * @returns {Object} - { ok: true, value } or { ok: false } when it is not valid JSON
+ */
+const tryParseJson = (text) => {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (e) {
+    return { ok: false };
+  }
+};
+
+/**
+ * Reads a JSON column
+ * @param {*} value - Column value, parsed or as a string
+ * @param {*} fallback - Returned for null values and malformed JSON
+ * @returns {*} - Parsed value
+ */
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  const parsed = tryParseJson(value);
+  return parsed.ok ? parsed.value : fallback;
+};
+
+/**
+ * Reads a JSON column holding an object, or {} when it holds anything else.
+ */
+const parseJsonObject = (value) => {
+  const parsed = parseJson(value, null);
+  return parsed && typeof parsed === 'object' ? parsed : {};
+};
+
+/**
+ * Reads a JSON column holding an array, or [] when it holds anything else.
+ */
+const parseJsonArray = (value) => {
+  const parsed = parseJson(value, null);
+  return Array.isArray(parsed) ? parsed : [];
+};
+
+module.exports = {
+  tryParseJson,
+  parseJson,
+  parseJsonObject,
+  parseJsonArray
+};
@@ -1,11 +1,10 @@
 const axios = require('axios');
 require('dotenv').config();
 
-const { buildWrappedCode } = require('./codeRunner');
-
 const JUDGE0_BASE_URL = process.env.JUDGE0_BASE_URL || 'https://ce.judge0.com';
 
-// Language IDs for Judge0 API
+// Default Judge0 language ids, used when no runtime has been chosen for a
+// language and as the fallback catalog when `/languages` is unreachable.
 const LANGUAGE_IDS = {
   javascript: 63,  // JavaScript (Node.js 12.14.0)
   python: 71,      // Python (3.8.1)
@@ -18,32 +17,112 @@ const LANGUAGE_IDS = {
   php: 68,         // PHP (7.4.1)
 };
 
+const JUDGE0_BATCH_SIZE = parseInt(process.env.JUDGE0_BATCH_SIZE, 10) || 20;
+const JUDGE0_DISCOVERY_TIMEOUT_MS = 10000;
+
+// Judge0 language names (e.g. "Python (3.11.2)") mapped to our language keys.
+const LANGUAGE_NAME_PATTERNS = [
+  { language: 'javascript', pattern: /^JavaScript \(Node\.js/ },
+  { language: 'python', pattern: /^Python \(3\./ },
+  { language: 'java', pattern: /^Java \(/ },
+  { language: 'cpp', pattern: /^C\+\+ \(/ },
+  { language: 'c', pattern: /^C \(/ },
+  { language: 'csharp', pattern: /^C# \(/ },
+  { language: 'ruby', pattern: /^Ruby \(/ },
+  { language: 'go', pattern: /^Go \(/ },
+  { language: 'php', pattern: /^PHP \(/ }
+];
+
+const FALLBACK_RUNTIMES = [
+  { id: '63', language: 'javascript', name: 'JavaScript (Node.js 12.14.0)', version: '12.14.0' },
+  { id: '71', language: 'python', name: 'Python (3.8.1)', version: '3.8.1' },
+  { id: '62', language: 'java', name: 'Java (OpenJDK 13.0.1)', version: '13.0.1' },
+  { id: '54', language: 'cpp', name: 'C++ (GCC 9.2.0)', version: '9.2.0' },
+  { id: '50', language: 'c', name: 'C (GCC 9.2.0)', version: '9.2.0' },
+  { id: '51', language: 'csharp', name: 'C# (Mono 6.6.0.161)', version: '6.6.0.161' },
+  { id: '72', language: 'ruby', name: 'Ruby (2.7.0)', version: '2.7.0' },
+  { id: '60', language: 'go', name: 'Go (1.13.5)', version: '1.13.5' },
+  { id: '68', language: 'php', name: 'PHP (7.4.1)', version: '7.4.1' }
+].map(runtime => ({ ...runtime, isDefault: true }));
+
+/**
+ * Converts one entry of Judge0's `/languages` response into a runtime, or
+ * null when it is not a language this platform supports.
+ */
+const toRuntime = ({ id, name }) => {
+  const match = LANGUAGE_NAME_PATTERNS.find(({ pattern }) => pattern.test(name || ''));
+  if (!match) return null;
+  const details = (name.match(/\(([^)]*)\)/) || [])[1] || '';
+  const version = (details.match(/\d+(\.\d+)+/) || [])[0] || details || null;
+  return {
+    id: String(id),
+    language: match.language,
+    name,
+    version,
+    isDefault: id === LANGUAGE_IDS[match.language]
+  };
+};
+
+const RESULT_FIELDS = 'token,status_id,status,time,memory,stdout,stderr,compile_output,message,exit_code';
+
+/**
+ * Builds the base64-encoded Judge0 submission payload for one program.
+ */
+const buildSubmissionPayload = (source, language, input, options = {}) => {
+  const languageId = Number(options.runtime) || LANGUAGE_IDS[language.toLowerCase()];
+
+  if (!languageId) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+
+  const { timeLimitMs = 2000, memoryLimitKb = 128000 } = options;
+
+  return {
+    source_code: Buffer.from(source, 'utf-8').toString('base64'),
+    language_id: languageId,
+    stdin: Buffer.from(input || '', 'utf-8').toString('base64'),
+    // Additional options
+    cpu_time_limit: timeLimitMs / 1000,
+    memory_limit: memoryLimitKb,
+    stack_limit: 64000,      // 64 MB
+    max_processes_and_or_threads: 60,
+    enable_network: false,
+  };
+};
+
+/**
+ * Converts a raw (base64-encoded) Judge0 submission into the result shape
+ * shared by every execution backend.
+ */
+const formatResult = (result) => {
+  const decode = (value) => value ? Buffer.from(value, 'base64').toString('utf-8') : '';
+  return {
+    status: result.status,
+    statusId: result.status_id,
+    time: result.time,
+    memory: result.memory,
+    stdout: decode(result.stdout),
+    stderr: decode(result.stderr),
+    compileOutput: decode(result.compile_output),
+    message: decode(result.message),
+    exitCode: result.exit_code
+  };
+};
+
 /**
  * Submit code to Judge0 API for execution
  * @param {string} source - Source code
  * @param {string} language - Programming language
  * @param {string} input - Standard input
+ * @param {Object} options - Execution limits ({ timeLimitMs, memoryLimitKb })
+ * and optional `runtime` (a Judge0 language id)
  * @returns {Promise<Object>} - Submission result
  */
-async function submitCode(source, language, input = '') {
+async function submitCode(source, language, input = '', options = {}) {
   try {
-    const languageId = LANGUAGE_IDS[language.toLowerCase()];
-    
-    if (!languageId) {
-      throw new Error(`Unsupported language: ${language}`);
-    }
-
     // Create submission
     const response = await axios.post(`${JUDGE0_BASE_URL}/submissions?base64_encoded=true`, {
-      source_code: Buffer.from(source, 'utf-8').toString('base64'),
-      language_id: languageId,
-      stdin: Buffer.from(input || '', 'utf-8').toString('base64'),
-      // Additional options
-      cpu_time_limit: 2,       // 2 seconds
-      memory_limit: 128000,    // 128 MB
-      stack_limit: 64000,      // 64 MB
-      max_processes_and_or_threads: 60,
-      enable_network: false,
+      ...buildSubmissionPayload(source, language, input, options),
       base64_encoded: true,
     }, {
       headers: {
@@ -59,6 +138,43 @@ async function submitCode(source, language, input = '') {
   }
 }
 
+/**
+ * Submit several programs in a single Judge0 batch request (at most
+ * JUDGE0_BATCH_SIZE per call, the server-side `max_submission_batch_size`)
+ * @param {Array<{source: string, language: string, input: string, runtime: string}>} items - Programs to run
+ * @param {Object} options - Execution limits ({ timeLimitMs, memoryLimitKb })
+ * and an optional `onResult(result, index)` fired as each program finishes
+ * @returns {Promise<Array>} - Submission results in the same order as `items`
+ */
+async function submitBatch(items, options = {}) {
+  const { onResult, ...limits } = options;
+  try {
+    const submissions = items.map(({ source, language, input, runtime }) => (
+      buildSubmissionPayload(source, language, input, { ...limits, runtime })
+    ));
+
+    const response = await axios.post(`${JUDGE0_BASE_URL}/submissions/batch?base64_encoded=true`, {
+      submissions
+    }, {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const tokens = response.data.map((entry, index) => {
+      if (!entry.token) {
+        throw new Error(`Judge0 rejected batch submission ${index + 1}: ${JSON.stringify(entry)}`);
+      }
+      return entry.token;
+    });
+
+    return await getBatchResults(tokens, onResult);
+  } catch (error) {
+    console.error('Judge0 API error:', error.message, error.response?.data || '');
+    throw error;
+  }
+}
+
 /**
  * Get submission result from Judge0 API
  * @param {string} token - Submission token
@@ -78,7 +194,7 @@ async function getSubmissionResult(token) {
       const response = await axios.get(`${JUDGE0_BASE_URL}/submissions/${token}`, {
         params: {
           base64_encoded: true,
-          fields: 'status_id,status,time,memory,stdout,stderr,compile_output,message,exit_code'
+          fields: RESULT_FIELDS
         },
         headers: {
           'Content-Type': 'application/json'
@@ -86,7 +202,6 @@ async function getSubmissionResult(token) {
       });
 
       const result = response.data;
-      const decode = (value) => value ? Buffer.from(value, 'base64').toString('utf-8') : '';
       
       // Check if the submission is processed
       if (result.status_id <= 2) { // In Queue or Processing
@@ -94,17 +209,7 @@ async function getSubmissionResult(token) {
         continue;
       }
 
-      return {
-        status: result.status,
-        statusId: result.status_id,
-        time: result.time,
-        memory: result.memory,
-        stdout: decode(result.stdout),
-        stderr: decode(result.stderr),
-        compileOutput: decode(result.compile_output),
-        message: decode(result.message),
-        exitCode: result.exit_code
-      };
+      return formatResult(result);
     }
 
     throw new Error('Submission processing timeout');
@@ -115,61 +220,94 @@ async function getSubmissionResult(token) {
 }
 
 /**
- * Validate code against test cases
- * @param {string} source - Source code
- * @param {string} language - Programming language
- * @param {Array} testCases - Array of test cases
- * @param {Object} options - Additional options
- * @returns {Promise<Array>} - Array of test case results
+ * Get results for a batch of submissions from Judge0 API
+ * @param {Array<string>} tokens - Submission tokens
+ * @param {Function} onResult - Optional `(result, index)` callback fired once
+ * per submission, on the first poll that finds it finished
+ * @returns {Promise<Array>} - Submission results in token order
  */
-async function validateCode(source, language, testCases, options = {}) {
+async function getBatchResults(tokens, onResult = () => {}) {
+  const reported = new Set();
   try {
-    const results = [];
-    const { problem } = options;
-    
-    for (const testCase of testCases) {
-      const wrappedSource = buildWrappedCode({
-        problem,
-        code: source,
-        language,
-        testCaseInput: testCase.input
+    // Poll for results with exponential backoff until every submission finished
+    let attempts = 0;
+    const maxAttempts = 10;
+    const initialDelay = 500; // ms
+
+    while (attempts < maxAttempts) {
+      const delay = initialDelay * Math.pow(1.5, attempts);
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      const response = await axios.get(`${JUDGE0_BASE_URL}/submissions/batch`, {
+        params: {
+          tokens: tokens.join(','),
+          base64_encoded: true,
+          fields: RESULT_FIELDS
+        },
+        headers: {
+          'Content-Type': 'application/json'
+        }
       });
 
-      const result = await submitCode(wrappedSource, language, '');
+      const submissions = response.data.submissions || [];
+      const byToken = new Map(submissions.filter(Boolean).map(result => [result.token, result]));
 
-      const actualOutput = (result.stdout || '').trim();
-      const expectedOutput = (testCase.expected_output || '').trim();
-      const errorOutput = (result.stderr || result.compileOutput || result.message || '').trim();
-      const passed = actualOutput === expectedOutput && !errorOutput;
-      
-      results.push({
-        testCaseId: testCase.id,
-        input: testCase.input,
-        expectedOutput,
-        actualOutput,
-        hidden: Boolean(testCase.hidden),
-        passed,
-        error: errorOutput,
-        statusId: result.statusId,
-        status: result.status,
-        time: result.time,
-        memory: result.memory,
-        stdout: result.stdout || '',
-        stderr: result.stderr || '',
-        compileOutput: result.compileOutput || ''
+      tokens.forEach((token, index) => {
+        const result = byToken.get(token);
+        if (result && result.status_id > 2 && !reported.has(token)) {
+          reported.add(token);
+          onResult(formatResult(result), index);
+        }
       });
+
+      // Keep polling while any submission is In Queue or Processing
+      if (submissions.length < tokens.length || submissions.some(result => !result || result.status_id <= 2)) {
+        attempts++;
+        continue;
+      }
+
+      return tokens.map(token => formatResult(byToken.get(token)));
     }
-    
-    return results;
+
+    throw new Error('Batch submission processing timeout');
   } catch (error) {
-    console.error('Code validation error:', error.message);
+    console.error('Judge0 API error:', error.message, error.response?.data || '');
     throw error;
   }
 }
 
+/**
+ * List the runtimes offered by the Judge0 server for supported languages
+ * @returns {Promise<Array>} - [{ id, language, name, version, isDefault }]
+ */
+async function listRuntimes() {
+  const response = await axios.get(`${JUDGE0_BASE_URL}/languages`, {
+    timeout: JUDGE0_DISCOVERY_TIMEOUT_MS
+  });
+
+  const runtimes = (response.data || []).map(toRuntime).filter(Boolean);
+
+  // Make sure every language keeps one default even when the pinned id is
+  // missing from this server: the newest (highest id) runtime wins.
+  const languages = new Set(runtimes.map(runtime => runtime.language));
+  languages.forEach((language) => {
+    const candidates = runtimes.filter(runtime => runtime.language === language);
+    if (!candidates.some(runtime => runtime.isDefault)) {
+      candidates.reduce((newest, runtime) => (Number(runtime.id) > Number(newest.id) ? runtime : newest)).isDefault = true;
+    }
+  });
+
+  return runtimes;
+}
+
 module.exports = {
+  name: 'judge0',
+  batchSize: JUDGE0_BATCH_SIZE,
   submitCode,
+  submitBatch,
   getSubmissionResult,
-  validateCode,
-  LANGUAGE_IDS
-};
\ No newline at end of file
+  getBatchResults,
+  listRuntimes,
+  LANGUAGE_IDS,
+  FALLBACK_RUNTIMES
+};
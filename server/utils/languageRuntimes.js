@@ -0,0 +1,240 @@
+/**
+ * @file languageRuntimes.js
+ * @description Keeps the catalog of runtime versions each execution backend
+ * offers (discovered through the backend at startup and cached in
+ * `platform_settings` so an unreachable backend still has a list) and the
+ * admin's mapping from our language keys to the runtimes users may pick.
+ * Runtime ids are backend specific: Judge0 language ids for `judge0`, ids from
+ * LOCAL_RUNTIMES for `local`.
+ */
+
+const { parseJson } = require('./json');
+
+const LANGUAGE_NAMES = {
+  javascript: 'JavaScript',
+  python: 'Python',
+  java: 'Java',
+  cpp: 'C++',
+  c: 'C',
+  csharp: 'C#',
+  ruby: 'Ruby',
+  go: 'Go',
+  php: 'PHP'
+};
+
+const CATALOG_KEY_PREFIX = 'runtime_catalog:';
+const MAPPING_KEY_PREFIX = 'language_runtimes:';
+
+let pool = null;
+// provider name -> [{ id, language, name, version, isDefault }]
+const catalogs = {};
+// provider name -> { [language]: { runtimes: [id], default: id } }
+const mappings = {};
+
+const saveSetting = async (key, value) => {
+  if (!pool) return;
+  await pool.execute(
+    'INSERT INTO platform_settings (setting_key, setting_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)',
+    [key, JSON.stringify(value)]
+  );
+};
+
+/**
+ * Re-discover runtimes on each provider, caching successful results. A
+ * provider that cannot be reached keeps its cached catalog, or its built-in
+ * FALLBACK_RUNTIMES when nothing was cached yet.
+ * @param {Array<Object>} providers - Execution backends (see executionService)
+ * @returns {Promise<Object>} - { [provider]: { runtimes, discovered, error } }
+ */
+async function refresh(providers) {
+  const summary = {};
+
+  for (const provider of providers) {
+    try {
+      const runtimes = await provider.listRuntimes();
+      if (runtimes.length === 0) {
+        throw new Error('no supported runtimes reported');
+      }
+      catalogs[provider.name] = runtimes;
+      await saveSetting(`${CATALOG_KEY_PREFIX}${provider.name}`, runtimes);
+      summary[provider.name] = { runtimes: runtimes.length, discovered: true };
+    } catch (error) {
+      console.warn(`[Runtimes] Could not discover ${provider.name} runtimes (${error.message}); using ${catalogs[provider.name] ? 'cached' : 'built-in'} list`);
+      if (!catalogs[provider.name]) {
+        catalogs[provider.name] = provider.FALLBACK_RUNTIMES || [];
+      }
+      summary[provider.name] = { runtimes: catalogs[provider.name].length, discovered: false, error: error.message };
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Load cached catalogs and admin mappings, then refresh from the backends.
+ * Never throws: discovery problems only degrade to the cached lists.
+ * @param {Object} dbPool - mysql2 pool
+ * @param {Array<Object>} providers - Execution backends to discover
+ */
+async function initialize(dbPool, providers) {
+  pool = dbPool;
+
+  try {
+    const [rows] = await pool.query(
+      'SELECT setting_key, setting_value FROM platform_settings WHERE setting_key LIKE ? OR setting_key LIKE ?',
+      [`${CATALOG_KEY_PREFIX}%`, `${MAPPING_KEY_PREFIX}%`]
+    );
+    rows.forEach((row) => {
+      const value = parseJson(row.setting_value, null);
+      if (!value) return;
+      if (row.setting_key.startsWith(CATALOG_KEY_PREFIX)) {
+        catalogs[row.setting_key.slice(CATALOG_KEY_PREFIX.length)] = value;
+      } else {
+        mappings[row.setting_key.slice(MAPPING_KEY_PREFIX.length)] = value;
+      }
+    });
+  } catch (error) {
+    console.warn('[Runtimes] Could not load cached runtime settings:', error.message);
+  }
+
+  await refresh(providers);
+}
+
+/**
+ * Runtimes of `language` users may choose on a provider and the default
+ * among them. Without an admin mapping every discovered runtime is offered.
+ */
+const runtimesFor = (providerName, language) => {
+  const catalog = (catalogs[providerName] || []).filter(runtime => runtime.language === language);
+  const mapping = (mappings[providerName] || {})[language];
+
+  const enabled = mapping && Array.isArray(mapping.runtimes)
+    ? catalog.filter(runtime => mapping.runtimes.includes(runtime.id))
+    : catalog;
+  const defaultId = mapping && enabled.some(runtime => runtime.id === mapping.default)
+    ? mapping.default
+    : (enabled.find(runtime => runtime.isDefault) || enabled[0] || {}).id;
+
+  return {
+    defaultId: defaultId || null,
+    runtimes: enabled
+  };
+};
+
+/**
+ * List the languages available on a provider with their selectable runtimes
+ * @param {string} providerName - Execution backend name
+ * @returns {Array<Object>} - [{ id, name, version, defaultRuntime, runtimes: [{ id, name, version }] }]
+ */
+function listLanguages(providerName) {
+  return Object.keys(LANGUAGE_NAMES)
+    .map((language) => {
+      const { defaultId, runtimes } = runtimesFor(providerName, language);
+      if (runtimes.length === 0) return null;
+      const defaultRuntime = runtimes.find(runtime => runtime.id === defaultId);
+      return {
+        id: language,
+        name: LANGUAGE_NAMES[language],
+        version: defaultRuntime.version,
+        defaultRuntime: defaultId,
+        runtimes: runtimes.map(({ id, name, version }) => ({ id, name, version }))
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Pick the runtime a program runs on. A requested runtime is honoured only
+ * when it is enabled for the language on this provider; otherwise the
+ * language's default is used. Null leaves the choice to the provider.
+ * @param {string} providerName - Execution backend name
+ * @param {string} language - Programming language
+ * @param {string} requested - Runtime id chosen by the user, if any
+ * @returns {string|null} - Runtime id
+ */
+function resolveRuntime(providerName, language, requested) {
+  const { defaultId, runtimes } = runtimesFor(providerName, (language || '').toLowerCase());
+  if (requested && runtimes.some(runtime => runtime.id === String(requested))) {
+    return String(requested);
+  }
+  return defaultId;
+}
+
+/**
+ * Validate an admin mapping against a provider's catalog
+ * @param {Object} mapping - { [language]: { runtimes: [id], default: id } }
+ * @param {string} providerName - Execution backend name
+ * @returns {string|null} - Error message, or null when the mapping is valid
+ */
+function validateMapping(mapping, providerName) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'Runtime mapping must be an object keyed by language';
+  }
+
+  const catalog = catalogs[providerName] || [];
+
+  for (const [language, entry] of Object.entries(mapping)) {
+    if (!LANGUAGE_NAMES[language]) {
+      return `Unknown language: ${language}`;
+    }
+    if (!entry || !Array.isArray(entry.runtimes) || entry.runtimes.length === 0) {
+      return `Enable at least one runtime for ${LANGUAGE_NAMES[language]}`;
+    }
+    const unknown = entry.runtimes.find(id => !catalog.some(runtime => runtime.id === String(id) && runtime.language === language));
+    if (unknown !== undefined) {
+      return `Runtime ${unknown} is not available for ${LANGUAGE_NAMES[language]}`;
+    }
+    if (!entry.runtimes.map(String).includes(String(entry.default))) {
+      return `The default ${LANGUAGE_NAMES[language]} runtime must be one of its enabled runtimes`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Store the admin mapping for a provider (validate it first)
+ * @param {Object} mapping - { [language]: { runtimes: [id], default: id } }
+ * @param {string} providerName - Execution backend name
+ */
+async function saveMapping(mapping, providerName) {
+  const normalized = {};
+  Object.entries(mapping).forEach(([language, entry]) => {
+    normalized[language] = { runtimes: entry.runtimes.map(String), default: String(entry.default) };
+  });
+  await saveSetting(`${MAPPING_KEY_PREFIX}${providerName}`, normalized);
+  mappings[providerName] = normalized;
+}
+
+/**
+ * Full catalog and current mapping for the admin panel
+ * @param {string} providerName - Execution backend name
+ * @returns {Object} - { provider, languages, catalog, mapping }
+ */
+function getRuntimeSettings(providerName) {
+  const mapping = {};
+  Object.keys(LANGUAGE_NAMES).forEach((language) => {
+    const { defaultId, runtimes } = runtimesFor(providerName, language);
+    if (runtimes.length > 0) {
+      mapping[language] = { runtimes: runtimes.map(runtime => runtime.id), default: defaultId };
+    }
+  });
+
+  return {
+    provider: providerName,
+    languages: LANGUAGE_NAMES,
+    catalog: catalogs[providerName] || [],
+    mapping
+  };
+}
+
+module.exports = {
+  initialize,
+  refresh,
+  listLanguages,
+  resolveRuntime,
+  validateMapping,
+  saveMapping,
+  getRuntimeSettings,
+  LANGUAGE_NAMES
+};
@@ -0,0 +1,996 @@
+/**
+ * @file localRunner.js
+ * @description Executes programs on the API host in throwaway working
+ * directories, enforcing CPU, memory, process, output and wall-clock limits.
+ * Compilers and programs run inside unprivileged user, mount, PID and network
+ * namespaces whose filesystem only holds the toolchains (read-only) and the
+ * working directory. Results mirror the Judge0 response shape so callers can
+ * switch backends freely.
+ */
+
+const { spawn, spawnSync, execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mapWithConcurrency } = require('./concurrency');
+const { OUT_OF_MEMORY_PATTERN, MEMORY_LIMIT_THRESHOLD } = require('./verdicts');
+require('dotenv').config();
+
+const LOCAL_RUNNER_TMP_DIR = process.env.LOCAL_RUNNER_TMP_DIR || os.tmpdir();
+const LOCAL_RUNNER_COMPILE_TIMEOUT_MS = parseInt(process.env.LOCAL_RUNNER_COMPILE_TIMEOUT_MS, 10) || 20000;
+const LOCAL_RUNNER_OUTPUT_LIMIT_BYTES = parseInt(process.env.LOCAL_RUNNER_OUTPUT_LIMIT_BYTES, 10) || 1024 * 1024;
+const LOCAL_RUNNER_SANDBOX = process.env.LOCAL_RUNNER_SANDBOX !== 'false';
+const LOCAL_RUNNER_MAX_PROCESSES = parseInt(process.env.LOCAL_RUNNER_MAX_PROCESSES, 10) || 64;
+const VERSION_PROBE_TIMEOUT_MS = 5000;
+const SANDBOX_PROBE_TIMEOUT_MS = 10000;
+// Compilers write object files and archives far larger than program output
+const COMPILE_FILE_SIZE_LIMIT_KB = 256 * 1024;
+
+// Directories mounted read-only into the sandbox, on top of every PATH entry
+// and LOCAL_RUNNER_SANDBOX_PATHS (colon separated) for toolchains installed
+// elsewhere. Missing ones are skipped.
+const SANDBOX_SYSTEM_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32', '/etc', '/opt'];
+
+// The application itself (and its .env) is hidden even when it lives under
+// one of the mounted directories.
+const SANDBOX_MASKED_PATHS = [path.resolve(__dirname, '..', '..')];
+
+// Exit statuses above this mean the sandbox init saw the program die from
+// signal (status - 128); see SANDBOX_SCRIPT.
+const SIGNAL_EXIT_BASE = 128;
+
+// Judge0 status ids, reused so both backends report identical verdict codes.
+const STATUS = {
+  ACCEPTED: { id: 3, description: 'Accepted' },
+  WRONG_ANSWER: { id: 4, description: 'Wrong Answer' },
+  TIME_LIMIT_EXCEEDED: { id: 5, description: 'Time Limit Exceeded' },
+  COMPILATION_ERROR: { id: 6, description: 'Compilation Error' },
+  RUNTIME_ERROR_SIGSEGV: { id: 7, description: 'Runtime Error (SIGSEGV)' },
+  RUNTIME_ERROR_SIGXFSZ: { id: 8, description: 'Runtime Error (SIGXFSZ)' },
+  RUNTIME_ERROR_SIGFPE: { id: 9, description: 'Runtime Error (SIGFPE)' },
+  RUNTIME_ERROR_SIGABRT: { id: 10, description: 'Runtime Error (SIGABRT)' },
+  RUNTIME_ERROR_NZEC: { id: 11, description: 'Runtime Error (NZEC)' },
+  RUNTIME_ERROR_OTHER: { id: 12, description: 'Runtime Error (Other)' },
+  INTERNAL_ERROR: { id: 13, description: 'Internal Error' },
+  // Judge0 has no memory status; results carry `memoryLimitExceeded` instead
+  MEMORY_LIMIT_EXCEEDED: { id: 12, description: 'Memory Limit Exceeded' }
+};
+
+const SIGNAL_STATUS = {
+  SIGSEGV: STATUS.RUNTIME_ERROR_SIGSEGV,
+  SIGBUS: STATUS.RUNTIME_ERROR_SIGSEGV,
+  SIGXFSZ: STATUS.RUNTIME_ERROR_SIGXFSZ,
+  SIGFPE: STATUS.RUNTIME_ERROR_SIGFPE,
+  SIGABRT: STATUS.RUNTIME_ERROR_SIGABRT,
+  SIGXCPU: STATUS.TIME_LIMIT_EXCEEDED
+};
+
+/**
+ * Toolchain definitions per language. `{memoryMb}` placeholders are replaced
+ * with the memory limit for runtimes that reserve large virtual address
+ * spaces and therefore cannot run under `ulimit -v`. Every language's
+ * resident memory is also sampled and the program killed above the limit.
+ */
+const LOCAL_LANGUAGES = {
+  javascript: {
+    fileName: 'main.js',
+    run: ['node', '--max-old-space-size={memoryMb}', 'main.js'],
+    limitsVirtualMemory: false
+  },
+  python: {
+    fileName: 'main.py',
+    run: ['python3', 'main.py'],
+    limitsVirtualMemory: true
+  },
+  java: {
+    fileName: 'Main.java',
+    compile: ['javac', '-encoding', 'UTF-8', 'Main.java'],
+    run: ['java', '-Xmx{memoryMb}m', '-Xss64m', 'Main'],
+    limitsVirtualMemory: false
+  },
+  cpp: {
+    fileName: 'main.cpp',
+    compile: ['g++', '-std=c++17', '-O2', '-o', 'main', 'main.cpp'],
+    run: ['./main'],
+    limitsVirtualMemory: true
+  },
+  c: {
+    fileName: 'main.c',
+    compile: ['gcc', '-std=c11', '-O2', '-o', 'main', 'main.c', '-lm'],
+    run: ['./main'],
+    limitsVirtualMemory: true
+  },
+  csharp: {
+    fileName: 'Main.cs',
+    compile: ['mcs', '-out:main.exe', 'Main.cs'],
+    run: ['mono', 'main.exe'],
+    limitsVirtualMemory: false
+  },
+  ruby: {
+    fileName: 'main.rb',
+    run: ['ruby', 'main.rb'],
+    limitsVirtualMemory: false
+  },
+  go: {
+    fileName: 'main.go',
+    compile: ['go', 'build', '-o', 'main', 'main.go'],
+    run: ['./main'],
+    limitsVirtualMemory: false
+  },
+  php: {
+    fileName: 'main.php',
+    run: ['php', '-d', 'memory_limit={memoryMb}M', 'main.php'],
+    limitsVirtualMemory: true
+  }
+};
+
+/**
+ * Runtimes the local runner can offer. Each language's first entry is its
+ * default; entries with a `compile` command override the language's compile
+ * step (e.g. to select a C++ standard).
+ */
+const LOCAL_RUNTIMES = [
+  { id: 'node', language: 'javascript', name: 'JavaScript (Node.js)', versionCommand: ['node', '--version'] },
+  { id: 'python3', language: 'python', name: 'Python', versionCommand: ['python3', '--version'] },
+  { id: 'openjdk', language: 'java', name: 'Java (OpenJDK)', versionCommand: ['java', '-version'] },
+  {
+    id: 'gcc-cpp17',
+    language: 'cpp',
+    name: 'C++17 (GCC)',
+    versionCommand: ['g++', '-dumpfullversion'],
+    compile: ['g++', '-std=c++17', '-O2', '-o', 'main', 'main.cpp']
+  },
+  {
+    id: 'gcc-cpp20',
+    language: 'cpp',
+    name: 'C++20 (GCC)',
+    versionCommand: ['g++', '-dumpfullversion'],
+    compile: ['g++', '-std=c++20', '-O2', '-o', 'main', 'main.cpp']
+  },
+  {
+    id: 'gcc-c11',
+    language: 'c',
+    name: 'C11 (GCC)',
+    versionCommand: ['gcc', '-dumpfullversion'],
+    compile: ['gcc', '-std=c11', '-O2', '-o', 'main', 'main.c', '-lm']
+  },
+  {
+    id: 'gcc-c17',
+    language: 'c',
+    name: 'C17 (GCC)',
+    versionCommand: ['gcc', '-dumpfullversion'],
+    compile: ['gcc', '-std=c17', '-O2', '-o', 'main', 'main.c', '-lm']
+  },
+  { id: 'mono', language: 'csharp', name: 'C# (Mono)', versionCommand: ['mono', '--version'] },
+  { id: 'ruby', language: 'ruby', name: 'Ruby', versionCommand: ['ruby', '--version'] },
+  { id: 'go', language: 'go', name: 'Go', versionCommand: ['go', 'version'] },
+  { id: 'php', language: 'php', name: 'PHP', versionCommand: ['php', '--version'] }
+];
+
+const isDefaultRuntime = (runtime) => LOCAL_RUNTIMES.find(entry => entry.language === runtime.language) === runtime;
+
+// Offered when probing fails; versions are unknown until a probe succeeds.
+const FALLBACK_RUNTIMES = LOCAL_RUNTIMES.map(runtime => ({
+  id: runtime.id,
+  language: runtime.language,
+  name: runtime.name,
+  version: null,
+  isDefault: isDefaultRuntime(runtime)
+}));
+
+let sandboxRoot = null;
+let sandboxAvailable = null;
+const binaryAvailability = new Map();
+
+/**
+ * Checks whether a toolchain binary resolves on PATH, caching the answer so
+ * missing runtimes surface as internal errors rather than program failures.
+ */
+const isBinaryAvailable = (binary) => {
+  if (binary.startsWith('./')) return true;
+  if (!binaryAvailability.has(binary)) {
+    const found = (process.env.PATH || '')
+      .split(path.delimiter)
+      .some(dir => dir && fs.existsSync(path.join(dir, binary)));
+    binaryAvailability.set(binary, found);
+  }
+  return binaryAvailability.get(binary);
+};
+
+/**
+ * Runs a runtime's version command and extracts the first dotted version
+ * number from its output (some tools, like `java -version`, print to stderr).
+ */
+const probeVersion = ([binary, ...args]) => new Promise((resolve) => {
+  execFile(binary, args, { timeout: VERSION_PROBE_TIMEOUT_MS }, (error, stdout, stderr) => {
+    const match = `${stdout || ''}${stderr || ''}`.match(/\d+(\.\d+)+/);
+    resolve(match ? match[0] : null);
+  });
+});
+
+/**
+ * Lists the runtimes whose toolchain is installed on this host, with the
+ * version each one reports
+ * @returns {Promise<Array>} - [{ id, language, name, version, isDefault }]
+ */
+async function listRuntimes() {
+  const installed = LOCAL_RUNTIMES.filter(runtime => isBinaryAvailable(runtime.versionCommand[0]));
+  return Promise.all(installed.map(async (runtime) => ({
+    id: runtime.id,
+    language: runtime.language,
+    name: runtime.name,
+    version: await probeVersion(runtime.versionCommand),
+    isDefault: installed.find(entry => entry.language === runtime.language) === runtime
+  })));
+}
+
+/**
+ * Sandbox setup, run as PID 1 of fresh user, mount, PID and network
+ * namespaces. It mounts an empty tmpfs as the new root, bind-mounts the
+ * toolchain directories read-only, covers the masked paths, mounts the
+ * working directory at /box (also used as /tmp), then chroots into it, drops
+ * every capability and caps the number of processes. The program runs as a
+ * child of the shell left as PID 1, which exits with 128 + the signal number
+ * when the program is killed by a signal (PID 1 cannot re-raise it).
+ * Arguments: root, box, process limit, inner script, read-only paths, `--`,
+ * masked paths, `--`, command.
+ */
+const SANDBOX_SCRIPT = `set -e
+root=$1; box=$2; nproc=$3; inner=$4; shift 4
+mount -t tmpfs -o mode=755,size=1m sandbox "$root"
+while [ "$1" != -- ]; do
+  if [ -d "$1" ]; then
+    mkdir -p "$root$1"
+    mount --rbind "$1" "$root$1"
+    mount -o remount,bind,ro,nosuid,nodev "$root$1"
+  fi
+  shift
+done
+shift
+while [ "$1" != -- ]; do
+  if [ -d "$root$1" ]; then
+    mount -t tmpfs -o ro,size=4k masked "$root$1"
+  fi
+  shift
+done
+shift
+mkdir -p "$root/box" "$root/tmp" "$root/dev" "$root/proc"
+mount --bind "$box" "$root/box"
+mount --bind "$box" "$root/tmp"
+for node in null zero full random urandom; do
+  touch "$root/dev/$node"
+  mount --bind "/dev/$node" "$root/dev/$node"
+done
+mount -t proc -o nosuid,nodev,noexec proc "$root/proc"
+mount -o remount,bind,ro "$root"
+cd /
+exec chroot "$root" setpriv --no-new-privs --bounding-set=-all --inh-caps=-all \\
+  prlimit --nproc="$nproc" sh -c "$inner" sandbox "$@"`;
+
+const SANDBOX_NAMESPACES = ['unshare', '--user', '--map-root-user', '--mount', '--pid', '--fork', '--kill-child', '--net'];
+
+const sandboxReadOnlyPaths = () => {
+  const extra = (process.env.LOCAL_RUNNER_SANDBOX_PATHS || '').split(':');
+  const pathEntries = (process.env.PATH || '').split(path.delimiter);
+  const candidates = [...SANDBOX_SYSTEM_PATHS, ...pathEntries, ...extra]
+    .filter(dir => path.isAbsolute(dir))
+    .map(dir => path.resolve(dir));
+  // Entries inside an already mounted directory come with it
+  return [...new Set(candidates)].filter(dir => !candidates.some(other => (
+    other !== dir && dir.startsWith(`${other}/`)
+  )));
+};
+
+/**
+ * User the sandbox runs as when the API runs as root, since process limits
+ * do not apply to root (LOCAL_RUNNER_UID / LOCAL_RUNNER_GID, default nobody).
+ * Null when no switch is needed.
+ */
+const SANDBOX_USER = (() => {
+  if (typeof process.getuid !== 'function' || process.getuid() !== 0) return null;
+  const uid = parseInt(process.env.LOCAL_RUNNER_UID || '65534', 10);
+  const gid = parseInt(process.env.LOCAL_RUNNER_GID || String(uid), 10);
+  return uid === 0 ? null : { uid, gid };
+})();
+
+const sandboxEnv = (home) => ({
+  // mount and chroot usually live in sbin, which non-root PATHs may omit
+  PATH: `${process.env.PATH || '/usr/bin:/bin'}:/usr/sbin:/sbin`,
+  HOME: home,
+  LANG: 'C.UTF-8'
+});
+
+/**
+ * Creates a working directory the sandbox user can write to.
+ */
+const createWorkDir = async (prefix) => {
+  const workDir = await fs.promises.mkdtemp(path.join(LOCAL_RUNNER_TMP_DIR, prefix));
+  if (SANDBOX_USER) {
+    await fs.promises.chown(workDir, SANDBOX_USER.uid, SANDBOX_USER.gid);
+  }
+  return workDir;
+};
+
+/**
+ * Wraps a command in a shell that applies ulimits before running it. Inside
+ * the sandbox the command runs as a child of that shell (see SANDBOX_SCRIPT);
+ * without it the shell exec's the command directly.
+ */
+const sandboxCommand = (command, limits, cwd) => {
+  const cpuSeconds = Math.max(1, Math.ceil(limits.timeLimitMs / 1000));
+  // The soft limit raises SIGXCPU (reported as TLE); the hard limit kills
+  // programs that ignore it.
+  const ulimits = [
+    `ulimit -S -t ${cpuSeconds}`,
+    `ulimit -H -t ${cpuSeconds + 1}`,
+    `ulimit -f ${limits.fileSizeKb || Math.ceil(LOCAL_RUNNER_OUTPUT_LIMIT_BYTES / 1024) * 4}`,
+    'ulimit -c 0'
+  ];
+  if (limits.virtualMemoryKb) {
+    ulimits.push(`ulimit -v ${limits.virtualMemoryKb}`);
+  }
+
+  if (!LOCAL_RUNNER_SANDBOX) {
+    return ['sh', '-c', `${ulimits.join('; ')}; exec "$@"`, 'sandbox', ...command];
+  }
+
+  const inner = `cd /box && ${ulimits.join(' && ')} && "$@"; exit $?`;
+  return [
+    ...SANDBOX_NAMESPACES,
+    'sh', '-c', SANDBOX_SCRIPT, 'sandbox',
+    sandboxRoot, cwd, String(limits.processLimit || LOCAL_RUNNER_MAX_PROCESSES), inner,
+    ...sandboxReadOnlyPaths(), '--',
+    ...SANDBOX_MASKED_PATHS, '--',
+    ...command
+  ];
+};
+
+const spawnCommand = (command, { cwd, limits }) => {
+  const [executable, ...args] = sandboxCommand(command, limits, cwd);
+  return spawn(executable, args, {
+    cwd,
+    env: sandboxEnv(LOCAL_RUNNER_SANDBOX ? '/box' : cwd),
+    ...(SANDBOX_USER || {})
+  });
+};
+
+/**
+ * Probes once whether the sandbox can be set up on this host (unprivileged
+ * user namespaces and the util-linux tools it relies on). Programs are not
+ * run at all when it cannot, unless LOCAL_RUNNER_SANDBOX is `false`.
+ */
+const canSandbox = () => {
+  if (!LOCAL_RUNNER_SANDBOX) return true;
+  if (sandboxAvailable === null) {
+    let probeDir = null;
+    try {
+      sandboxRoot = fs.mkdtempSync(path.join(LOCAL_RUNNER_TMP_DIR, 'code-sandbox-'));
+      fs.chmodSync(sandboxRoot, 0o755);
+      const root = sandboxRoot;
+      process.once('exit', () => fs.rmSync(root, { recursive: true, force: true }));
+      probeDir = fs.mkdtempSync(path.join(LOCAL_RUNNER_TMP_DIR, 'code-probe-'));
+      if (SANDBOX_USER) {
+        fs.chownSync(probeDir, SANDBOX_USER.uid, SANDBOX_USER.gid);
+      }
+      const [executable, ...args] = sandboxCommand(['true'], { timeLimitMs: 1000 }, probeDir);
+      const probe = spawnSync(executable, args, {
+        cwd: probeDir,
+        env: sandboxEnv('/box'),
+        encoding: 'utf8',
+        timeout: SANDBOX_PROBE_TIMEOUT_MS,
+        ...(SANDBOX_USER || {})
+      });
+      sandboxAvailable = probe.status === 0;
+      if (!sandboxAvailable) {
+        console.error(`[LocalRunner] Sandbox unavailable; programs will not run: ${(probe.stderr || probe.error?.message || '').trim()}`);
+      }
+    } catch (error) {
+      sandboxAvailable = false;
+      console.error('[LocalRunner] Sandbox unavailable; programs will not run:', error.message);
+    } finally {
+      if (probeDir) fs.rmSync(probeDir, { recursive: true, force: true });
+    }
+  }
+  return sandboxAvailable;
+};
+
+/**
+ * Reads the peak resident set size (in KB) of a live process. Returns null
+ * once the process has exited or when /proc is unavailable.
+ */
+const readPeakMemoryKb = (pid) => {
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const match = status.match(/VmHWM:\s+(\d+)\s+kB/);
+    return match ? parseInt(match[1], 10) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Finds a child of `parentPid` by scanning /proc (the kernel may not expose
+ * per-task child lists).
+ */
+const findChildPid = (parentPid) => {
+  try {
+    for (const entry of fs.readdirSync('/proc')) {
+      if (!/^\d+$/.test(entry)) continue;
+      try {
+        const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+        // Fields after the parenthesised command name: state, ppid, ...
+        const ppid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1], 10);
+        if (ppid === parentPid) return parseInt(entry, 10);
+      } catch (error) {
+        // The process exited while scanning
+      }
+    }
+  } catch (error) {
+    // /proc unavailable
+  }
+  return null;
+};
+
+/**
+ * Whether a sandbox's PID 1 has finished the setup and exec'd into the shell
+ * that runs the program (until then its children are mount helpers).
+ */
+const isSandboxInit = (pid) => {
+  try {
+    const argv = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0');
+    return argv[0] === 'sh' && argv[2].startsWith('cd /box');
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Samples the peak memory of the program behind a spawned command. Inside
+ * the sandbox that is the child of the init shell below the spawned
+ * `unshare`, found once the setup is done.
+ * @returns {Function} - Returns the latest peak in KB, or null before the
+ * program was seen
+ */
+const createMemorySampler = (child) => {
+  let programPid = LOCAL_RUNNER_SANDBOX ? null : child.pid;
+  let initPid = null;
+  let peakMemoryKb = null;
+  return () => {
+    if (programPid === null) {
+      initPid = initPid || findChildPid(child.pid);
+      if (initPid === null || !isSandboxInit(initPid)) return peakMemoryKb;
+      programPid = findChildPid(initPid);
+      if (programPid === null) return peakMemoryKb;
+    }
+    const sample = readPeakMemoryKb(programPid);
+    if (sample !== null) {
+      peakMemoryKb = Math.max(peakMemoryKb || 0, sample);
+    }
+    return peakMemoryKb;
+  };
+};
+
+/**
+ * Recovers the signal behind a sandboxed exit status (see SANDBOX_SCRIPT).
+ */
+const decodeExit = (exitCode, signal) => {
+  if (!LOCAL_RUNNER_SANDBOX || signal || exitCode === null || exitCode <= SIGNAL_EXIT_BASE) {
+    return { exitCode, signal };
+  }
+  const name = Object.keys(os.constants.signals)
+    .find(key => os.constants.signals[key] === exitCode - SIGNAL_EXIT_BASE);
+  return name ? { exitCode: null, signal: name } : { exitCode, signal };
+};
+
+/**
+ * Spawns a single sandboxed process (see sandboxCommand) with stdin piped in
+ * and captured, size-capped stdout/stderr. The process is killed once its
+ * peak memory passes `limits.memoryLimitKb`.
+ */
+const runProcess = (command, { cwd, input = '', limits, wallTimeLimitMs }) => new Promise((resolve) => {
+  const startedAt = process.hrtime.bigint();
+  let stdout = '';
+  let stderr = '';
+  let outputExceeded = false;
+  let memoryExceeded = false;
+  let timedOut = false;
+  let peakMemoryKb = null;
+
+  let child;
+  try {
+    child = spawnCommand(command, { cwd, limits });
+  } catch (error) {
+    resolve({ spawnError: error });
+    return;
+  }
+
+  const appendOutput = (current, chunk) => {
+    if (current.length + chunk.length > LOCAL_RUNNER_OUTPUT_LIMIT_BYTES) {
+      outputExceeded = true;
+      child.kill('SIGKILL');
+      return current + chunk.toString('utf8').slice(0, LOCAL_RUNNER_OUTPUT_LIMIT_BYTES - current.length);
+    }
+    return current + chunk.toString('utf8');
+  };
+
+  child.stdout.on('data', (chunk) => { stdout = appendOutput(stdout, chunk); });
+  child.stderr.on('data', (chunk) => { stderr = appendOutput(stderr, chunk); });
+  child.stdin.on('error', () => {});
+
+  const sampleMemory = createMemorySampler(child);
+  const memorySampler = setInterval(() => {
+    peakMemoryKb = sampleMemory();
+    if (limits.memoryLimitKb && peakMemoryKb > limits.memoryLimitKb && !memoryExceeded) {
+      memoryExceeded = true;
+      child.kill('SIGKILL');
+    }
+  }, 20);
+
+  const wallTimer = setTimeout(() => {
+    timedOut = true;
+    child.kill('SIGKILL');
+  }, wallTimeLimitMs);
+
+  child.on('error', (error) => {
+    clearInterval(memorySampler);
+    clearTimeout(wallTimer);
+    resolve({ spawnError: error });
+  });
+
+  child.on('close', (exitCode, signal) => {
+    clearInterval(memorySampler);
+    clearTimeout(wallTimer);
+    const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    resolve({
+      stdout,
+      stderr,
+      ...decodeExit(exitCode, signal),
+      timedOut,
+      outputExceeded,
+      memoryExceeded,
+      elapsedMs,
+      peakMemoryKb
+    });
+  });
+
+  child.stdin.end(input || '');
+});
+
+/**
+ * Runs a contestant program against an interactor with their standard streams
+ * cross-connected: each line the contestant prints is one query forwarded to
+ * the interactor, whose stdout is fed back to the contestant. Both processes
+ * are killed when the contestant exceeds `queryLimit`, its output cap, its
+ * memory limit or the wall clock limit. Resolves with an outcome per process (see runProcess)
+ * plus the contestant's output transcript and query count.
+ */
+const runInteraction = (contestant, interactor, { queryLimit = null, wallTimeLimitMs }) => new Promise((resolve) => {
+  const startedAt = process.hrtime.bigint();
+  const children = [];
+
+  try {
+    children.push(spawnCommand(contestant.command, contestant));
+    children.push(spawnCommand(interactor.command, interactor));
+  } catch (error) {
+    children.forEach(child => child.kill('SIGKILL'));
+    resolve({ spawnError: error });
+    return;
+  }
+
+  const [contestantChild, interactorChild] = children;
+  const outcomes = children.map(() => ({
+    stderr: '', exitCode: null, signal: null, peakMemoryKb: null, memoryExceeded: false, closed: false
+  }));
+  let transcript = '';
+  let queries = 0;
+  let queryLimitExceeded = false;
+  let outputExceeded = false;
+  let timedOut = false;
+  let settled = false;
+
+  const killAll = () => children.forEach(child => child.kill('SIGKILL'));
+
+  contestantChild.stdout.on('data', (chunk) => {
+    if (transcript.length + chunk.length > LOCAL_RUNNER_OUTPUT_LIMIT_BYTES) {
+      outputExceeded = true;
+      killAll();
+      return;
+    }
+    const text = chunk.toString('utf8');
+    transcript += text;
+    queries += (text.match(/\n/g) || []).length;
+    if (queryLimit && queries > queryLimit) {
+      queryLimitExceeded = true;
+      killAll();
+      return;
+    }
+    interactorChild.stdin.write(chunk);
+  });
+  interactorChild.stdout.on('data', (chunk) => contestantChild.stdin.write(chunk));
+
+  children.forEach((child, index) => {
+    child.stdin.on('error', () => {});
+    child.stderr.on('data', (chunk) => {
+      const outcome = outcomes[index];
+      if (outcome.stderr.length < LOCAL_RUNNER_OUTPUT_LIMIT_BYTES) {
+        outcome.stderr += chunk.toString('utf8').slice(0, LOCAL_RUNNER_OUTPUT_LIMIT_BYTES - outcome.stderr.length);
+      }
+    });
+  });
+
+  const samplers = children.map(createMemorySampler);
+  const memoryLimits = [contestant, interactor].map(program => program.limits.memoryLimitKb);
+  const memorySampler = setInterval(() => {
+    samplers.forEach((sampleMemory, index) => {
+      const outcome = outcomes[index];
+      outcome.peakMemoryKb = sampleMemory();
+      if (memoryLimits[index] && outcome.peakMemoryKb > memoryLimits[index] && !outcome.memoryExceeded) {
+        outcome.memoryExceeded = true;
+        killAll();
+      }
+    });
+  }, 20);
+
+  const wallTimer = setTimeout(() => {
+    timedOut = true;
+    killAll();
+  }, wallTimeLimitMs);
+
+  const finish = (result) => {
+    if (settled) return;
+    settled = true;
+    clearInterval(memorySampler);
+    clearTimeout(wallTimer);
+    resolve(result);
+  };
+
+  children.forEach((child, index) => {
+    child.on('error', (error) => {
+      killAll();
+      finish({ spawnError: error });
+    });
+
+    child.on('close', (exitCode, signal) => {
+      Object.assign(outcomes[index], { ...decodeExit(exitCode, signal), closed: true });
+      // Whichever side finishes first sends end-of-file to the other
+      children[1 - index].stdin.end();
+      if (!outcomes.every(outcome => outcome.closed)) return;
+
+      const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      finish({
+        contestant: { ...outcomes[0], stdout: transcript, timedOut, outputExceeded, elapsedMs },
+        interactor: { ...outcomes[1], stdout: '', timedOut, outputExceeded: false, elapsedMs },
+        queries,
+        queryLimitExceeded
+      });
+    });
+  });
+});
+
+/**
+ * Whether a crashed process ran out of memory without being killed by the
+ * sampler: an allocation failure under `ulimit -v` (Python's MemoryError,
+ * std::bad_alloc, ...) or a peak close to the limit.
+ */
+const ranOutOfMemory = (outcome, limits) => {
+  if (limits.virtualMemoryKb && OUT_OF_MEMORY_PATTERN.test(outcome.stderr || '')) return true;
+  return Boolean(limits.memoryLimitKb && outcome.peakMemoryKb
+    && outcome.peakMemoryKb >= limits.memoryLimitKb * MEMORY_LIMIT_THRESHOLD);
+};
+
+/**
+ * Maps a finished process, run under `limits`, onto the Judge0 status taxonomy.
+ */
+const resolveRunStatus = (outcome, limits = {}) => {
+  if (outcome.memoryExceeded) return STATUS.MEMORY_LIMIT_EXCEEDED;
+  if (outcome.timedOut) return STATUS.TIME_LIMIT_EXCEEDED;
+  if (outcome.outputExceeded) return STATUS.RUNTIME_ERROR_SIGXFSZ;
+  const crashed = outcome.signal ? outcome.signal !== 'SIGXCPU' : outcome.exitCode !== 0;
+  if (crashed && ranOutOfMemory(outcome, limits)) return STATUS.MEMORY_LIMIT_EXCEEDED;
+  if (outcome.signal) return SIGNAL_STATUS[outcome.signal] || STATUS.RUNTIME_ERROR_OTHER;
+  if (outcome.exitCode !== 0) return STATUS.RUNTIME_ERROR_NZEC;
+  return STATUS.ACCEPTED;
+};
+
+const buildResult = (status, fields = {}) => ({
+  status,
+  statusId: status.id,
+  time: fields.time ?? null,
+  memory: fields.memory ?? null,
+  stdout: fields.stdout || '',
+  stderr: fields.stderr || '',
+  compileOutput: fields.compileOutput || '',
+  message: fields.message || '',
+  exitCode: fields.exitCode ?? null,
+  memoryLimitExceeded: status === STATUS.MEMORY_LIMIT_EXCEEDED
+});
+
+/**
+ * Writes a program into `workDir` and compiles it when its language needs it.
+ * Resolves with the command and sandbox limits to run it with, or with a
+ * `failure` result (missing toolchain or compilation error).
+ */
+async function prepareProgram(workDir, source, language, options = {}) {
+  const config = LOCAL_LANGUAGES[language.toLowerCase()];
+
+  if (!config) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+
+  const runtime = LOCAL_RUNTIMES.find(entry => entry.id === options.runtime && entry.language === language.toLowerCase());
+  const compile = (runtime && runtime.compile) || config.compile;
+
+  const missingBinary = [compile, config.run]
+    .filter(Boolean)
+    .map(command => command[0])
+    .find(binary => !isBinaryAvailable(binary));
+
+  if (!canSandbox()) {
+    return {
+      failure: buildResult(STATUS.INTERNAL_ERROR, {
+        message: 'The execution sandbox is not available on this server'
+      })
+    };
+  }
+
+  if (missingBinary) {
+    return {
+      failure: buildResult(STATUS.INTERNAL_ERROR, {
+        message: `Toolchain for ${language} is not installed on this server (missing ${missingBinary})`
+      })
+    };
+  }
+
+  const { timeLimitMs = 2000, memoryLimitKb = 128000 } = options;
+  const memoryMb = Math.max(16, Math.floor(memoryLimitKb / 1024));
+  const expand = (command) => command.map(part => part.replace('{memoryMb}', String(memoryMb)));
+
+  await fs.promises.writeFile(path.join(workDir, config.fileName), source, 'utf8');
+
+  if (compile) {
+    // Compilers run in the same sandbox, with room for their worker processes
+    const compileOutcome = await runProcess(expand(compile), {
+      cwd: workDir,
+      wallTimeLimitMs: LOCAL_RUNNER_COMPILE_TIMEOUT_MS,
+      limits: {
+        timeLimitMs: LOCAL_RUNNER_COMPILE_TIMEOUT_MS,
+        processLimit: LOCAL_RUNNER_MAX_PROCESSES * 4,
+        fileSizeKb: COMPILE_FILE_SIZE_LIMIT_KB
+      }
+    });
+
+    if (compileOutcome.spawnError) {
+      return {
+        failure: buildResult(STATUS.INTERNAL_ERROR, {
+          message: `Compiler unavailable for ${language}: ${compileOutcome.spawnError.message}`
+        })
+      };
+    }
+
+    if (compileOutcome.timedOut || compileOutcome.exitCode !== 0) {
+      return {
+        failure: buildResult(STATUS.COMPILATION_ERROR, {
+          compileOutput: compileOutcome.timedOut
+            ? 'Compilation timed out'
+            : `${compileOutcome.stderr}${compileOutcome.stdout}`
+        })
+      };
+    }
+  }
+
+  return {
+    command: expand(config.run),
+    cwd: workDir,
+    limits: {
+      timeLimitMs,
+      memoryLimitKb,
+      virtualMemoryKb: config.limitsVirtualMemory ? memoryLimitKb : null
+    }
+  };
+}
+
+const wallTimeLimitFor = (timeLimitMs = 2000) => Math.max(timeLimitMs * 2, timeLimitMs + 1000);
+
+/**
+ * Converts a finished process, run under `limits`, into a result in Judge0 shape
+ */
+const toResult = (outcome, limits, status = resolveRunStatus(outcome, limits)) => buildResult(status, {
+  time: (outcome.elapsedMs / 1000).toFixed(3),
+  memory: outcome.peakMemoryKb,
+  stdout: outcome.stdout,
+  stderr: outcome.stderr,
+  message: status === STATUS.MEMORY_LIMIT_EXCEEDED
+    ? `Memory limit exceeded${outcome.peakMemoryKb ? ` (peak ${outcome.peakMemoryKb} KB)` : ''}`
+    : (outcome.signal ? `Process terminated by ${outcome.signal}` : ''),
+  exitCode: outcome.exitCode
+});
+
+/**
+ * Runs a prepared program (see prepareProgram) on one input from `cwd`
+ */
+async function runPrepared(program, cwd, input, language, timeLimitMs) {
+  const outcome = await runProcess(program.command, {
+    cwd,
+    input,
+    wallTimeLimitMs: wallTimeLimitFor(timeLimitMs),
+    limits: program.limits
+  });
+
+  if (outcome.spawnError) {
+    return buildResult(STATUS.INTERNAL_ERROR, {
+      message: `Runtime unavailable for ${language}: ${outcome.spawnError.message}`
+    });
+  }
+
+  return toResult(outcome, program.limits);
+}
+
+/**
+ * Compile (when needed) and run a program locally
+ * @param {string} source - Source code
+ * @param {string} language - Programming language
+ * @param {string} input - Standard input
+ * @param {Object} options - Execution limits ({ timeLimitMs, memoryLimitKb })
+ * and optional `runtime` id from LOCAL_RUNTIMES
+ * @returns {Promise<Object>} - Submission result in Judge0 shape
+ */
+async function submitCode(source, language, input = '', options = {}) {
+  const workDir = await createWorkDir('code-run-');
+
+  try {
+    const program = await prepareProgram(workDir, source, language, options);
+    if (program.failure) return program.failure;
+
+    return await runPrepared(program, workDir, input, language, options.timeLimitMs);
+  } catch (error) {
+    console.error('Local runner error:', error.message);
+    throw error;
+  } finally {
+    fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Run several programs, compiling each distinct program once: every input
+ * then runs in its own copy of the build directory, so test cases of one
+ * submission do not pay for (or time out on) repeated compilations.
+ * @param {Array<{source: string, language: string, input: string, runtime: string}>} items - Programs to run
+ * @param {Object} options - Execution limits ({ timeLimitMs, memoryLimitKb }),
+ * `parallelism` (programs running at once) and an optional
+ * `onResult(result, index)` fired as each program finishes
+ * @returns {Promise<Array>} - Results in Judge0 shape, in the order of `items`
+ */
+async function submitBatch(items, options = {}) {
+  const { onResult = () => {}, parallelism = 1, ...limits } = options;
+  const buildDirs = [];
+  const builds = new Map();
+
+  const buildFor = ({ source, language, runtime }) => {
+    const key = JSON.stringify([language, runtime || null, source]);
+    if (!builds.has(key)) {
+      builds.set(key, (async () => {
+        const buildDir = await createWorkDir('code-build-');
+        buildDirs.push(buildDir);
+        const program = await prepareProgram(buildDir, source, language, { ...limits, runtime });
+        return { buildDir, program };
+      })());
+    }
+    return builds.get(key);
+  };
+
+  try {
+    return await mapWithConcurrency(items, parallelism, async (item, index) => {
+      const { buildDir, program } = await buildFor(item);
+      let result = program.failure;
+      if (!result) {
+        const workDir = await createWorkDir('code-run-');
+        try {
+          // Dot directories are compiler caches under HOME (/box), not program files
+          await fs.promises.cp(buildDir, workDir, {
+            recursive: true,
+            filter: (entry) => path.dirname(entry) !== buildDir || !path.basename(entry).startsWith('.')
+          });
+          result = await runPrepared(program, workDir, item.input || '', item.language, limits.timeLimitMs);
+        } finally {
+          fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+        }
+      }
+      onResult(result, index);
+      return result;
+    });
+  } catch (error) {
+    console.error('Local runner error:', error.message);
+    throw error;
+  } finally {
+    await Promise.allSettled(builds.values());
+    buildDirs.forEach(buildDir => fs.promises.rm(buildDir, { recursive: true, force: true }).catch(() => {}));
+  }
+}
+
+/**
+ * Run a program of an interactive problem against the problem's interactor.
+ * The interactor finds the test input in `input.txt` and the expected output
+ * (if any) in `answer.txt` in its working directory, talks to the contestant
+ * over stdin/stdout and reports its verdict on stderr.
+ * @param {string} source - Contestant source code
+ * @param {string} language - Contestant programming language
+ * @param {Object} interactor - { source, language } of the interactor
+ * @param {string} input - Test case input handed to the interactor
+ * @param {Object} options - Execution limits, optional `runtime`, the test
+ * case's `expectedOutput` and `queryLimit` (max lines the contestant may print)
+ * @returns {Promise<Object>} - Contestant result in Judge0 shape with an
+ * `interaction` ({ interactor, queries, queryLimitExceeded, terminated }) where
+ * `interactor` is the interactor's own result and `terminated` is set when
+ * both programs were killed before finishing
+ */
+async function submitInteractive(source, language, interactor, input = '', options = {}) {
+  const workDir = await createWorkDir('code-run-');
+  const interactorDir = await createWorkDir('code-interactor-');
+
+  try {
+    const program = await prepareProgram(workDir, source, language, options);
+    if (program.failure) return program.failure;
+
+    const interactorProgram = await prepareProgram(interactorDir, interactor.source, interactor.language, {
+      timeLimitMs: options.timeLimitMs
+    });
+    if (interactorProgram.failure) {
+      return buildResult(STATUS.INTERNAL_ERROR, {
+        message: 'Interactor failed to build',
+        compileOutput: interactorProgram.failure.compileOutput || interactorProgram.failure.message
+      });
+    }
+
+    await fs.promises.writeFile(path.join(interactorDir, 'input.txt'), input || '', 'utf8');
+    await fs.promises.writeFile(path.join(interactorDir, 'answer.txt'), options.expectedOutput || '', 'utf8');
+
+    const outcome = await runInteraction(program, interactorProgram, {
+      queryLimit: options.queryLimit,
+      wallTimeLimitMs: wallTimeLimitFor(options.timeLimitMs)
+    });
+
+    if (outcome.spawnError) {
+      return buildResult(STATUS.INTERNAL_ERROR, {
+        message: `Runtime unavailable for interactive run: ${outcome.spawnError.message}`
+      });
+    }
+
+    // Hitting the query limit kills the contestant, which is a wrong answer
+    // rather than a crash
+    const status = outcome.queryLimitExceeded
+      ? STATUS.WRONG_ANSWER
+      : resolveRunStatus(outcome.contestant, program.limits);
+
+    const result = toResult(outcome.contestant, program.limits, status);
+    if (outcome.queryLimitExceeded) {
+      result.message = `Query limit exceeded (more than ${options.queryLimit} queries)`;
+    }
+
+    return {
+      ...result,
+      interaction: {
+        interactor: toResult(outcome.interactor, interactorProgram.limits),
+        queries: outcome.queries,
+        queryLimitExceeded: outcome.queryLimitExceeded,
+        terminated: outcome.queryLimitExceeded || outcome.contestant.timedOut || outcome.contestant.outputExceeded
+      }
+    };
+  } catch (error) {
+    console.error('Local runner error:', error.message);
+    throw error;
+  } finally {
+    fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    fs.promises.rm(interactorDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  name: 'local',
+  submitCode,
+  submitBatch,
+  submitInteractive,
+  listRuntimes,
+  LOCAL_LANGUAGES,
+  LOCAL_RUNTIMES,
+  FALLBACK_RUNTIMES
+};
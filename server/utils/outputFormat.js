@@ -0,0 +1,92 @@
+/**
+ * @file outputFormat.js
+ * @description Canonical output format shared by every language harness and
+ * by stored expected outputs, so one test case grades the same answer
+ * identically in all supported languages.
+ *
+ * Harnesses print the function result as a single line of compact JSON:
+ * arrays as `[1,2]` (no spaces), strings and chars quoted with JSON escapes,
+ * booleans as `true`/`false`, null/None/nullptr/undefined and non-finite
+ * numbers as `null`, integral floating point values without a fraction and
+ * maps as `{"key":value}`.
+ *
+ * Programs of stdio problems print free-form text instead, which is compared
+ * as written apart from line endings and trailing whitespace. Expected outputs
+ * of interactive problems are plain text handed to the interactor.
+ */
+
+const { tryParseJson } = require('./json');
+
+const TEXT_IO_MODES = ['stdio', 'interactive'];
+
+// Strings, numbers, literals, punctuation and whitespace of a JSON document
+const JSON_TOKEN_PATTERN = /"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null|[[\]{}:,]|\s+/g;
+
+/**
+ * Rewrites a number token in its shortest form, keeping integers beyond the
+ * safe range verbatim so long values are not rounded.
+ */
+const normalizeNumberToken = (token) => {
+  const value = Number(token);
+  if (/^-?\d+$/.test(token) && !Number.isSafeInteger(value)) {
+    return token.replace(/^(-?)0+(?=\d)/, '$1');
+  }
+  return String(value);
+};
+
+/**
+ * Re-serializes valid JSON text in canonical form without a parse/stringify
+ * round trip, which would lose precision on large integers.
+ */
+const minifyJson = (text) => (text.match(JSON_TOKEN_PATTERN) || [])
+  .map(token => {
+    if (/^\s+$/.test(token)) return '';
+    if (token.startsWith('"')) return JSON.stringify(JSON.parse(token));
+    if (/^-?\d/.test(token)) return normalizeNumberToken(token);
+    return token;
+  })
+  .join('');
+
+/**
+ * Normalizes stdio output: Unix line endings, no trailing whitespace on any
+ * line and no leading or trailing blank lines.
+ */
+const normalizeText = (text) => (text || '')
+  .replace(/\r\n/g, '\n')
+  .split('\n')
+  .map(line => line.trimEnd())
+  .join('\n')
+  .trim();
+
+/**
+ * Normalize an expected output for storage: JSON values are rewritten in
+ * canonical form and anything else is only trimmed
+ * @param {string} text - Expected output as authored
+ * @param {string} ioMode - The question's `io_mode`; stdio and interactive outputs are kept as text
+ * @returns {string} - Output to store
+ */
+function normalizeExpectedOutput(text, ioMode = 'function') {
+  if (TEXT_IO_MODES.includes(ioMode)) return normalizeText(text);
+  const trimmed = (text || '').replace(/\r\n/g, '\n').trim();
+  return tryParseJson(trimmed).ok ? minifyJson(trimmed) : trimmed;
+}
+
+/**
+ * Canonical form used when comparing outputs. A top-level JSON string compares
+ * by its content so answers stored without quotes still match.
+ * @param {string} text - Program output or expected output
+ * @param {string} ioMode - The question's `io_mode`; stdio and interactive outputs are kept as text
+ * @returns {string} - Canonical output
+ */
+function canonicalizeOutput(text, ioMode = 'function') {
+  if (TEXT_IO_MODES.includes(ioMode)) return normalizeText(text);
+  const trimmed = (text || '').replace(/\r\n/g, '\n').trim();
+  const parsed = tryParseJson(trimmed);
+  if (!parsed.ok) return trimmed;
+  return typeof parsed.value === 'string' ? parsed.value : minifyJson(trimmed);
+}
+
+module.exports = {
+  normalizeExpectedOutput,
+  canonicalizeOutput
+};
@@ -0,0 +1,517 @@
+/**
+ * @file parameterTypes.js
+ * @description Interprets the declared `parameter_schema` of a question
+ * (`params[].type` and `returnType`) so harnesses can parse test inputs into
+ * typed values, declare arguments with their real types, and reject inputs
+ * that do not match the schema when test cases are authored.
+ */
+
+class InputValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InputValidationError';
+  }
+}
+
+const SCALAR_TYPES = ['int', 'long', 'double', 'float', 'boolean', 'char', 'String'];
+const NODE_TYPES = ['ListNode', 'TreeNode', 'GraphNode'];
+
+// Boxed element types accepted inside List<...>
+const BOXED_TYPES = {
+  Integer: 'int',
+  Long: 'long',
+  Double: 'double',
+  Float: 'float',
+  Boolean: 'boolean',
+  Character: 'char',
+  String: 'String'
+};
+
+const INT_MIN = -2147483648;
+const INT_MAX = 2147483647;
+
+/**
+ * Parse a declared type such as `int[][]`, `List<List<Integer>>` or `TreeNode`
+ * @param {string} type - Declared type
+ * @returns {Object|null} - Type descriptor ({ kind, name } or { kind, element }),
+ * or null when the type is not recognized
+ */
+function parseType(type) {
+  const declared = typeof type === 'string' ? type.replace(/\s+/g, '') : '';
+  if (!declared) return null;
+
+  if (declared === 'void') return { kind: 'void', name: 'void' };
+  if (SCALAR_TYPES.includes(declared)) return { kind: 'scalar', name: declared };
+  if (NODE_TYPES.includes(declared)) return { kind: 'node', name: declared };
+
+  if (declared.endsWith('[]')) {
+    const element = parseType(declared.slice(0, -2));
+    return element && element.kind !== 'void' ? { kind: 'array', element } : null;
+  }
+
+  const listMatch = declared.match(/^List<(.+)>$/);
+  if (listMatch) {
+    const inner = BOXED_TYPES[listMatch[1]]
+      ? { kind: 'scalar', name: BOXED_TYPES[listMatch[1]] }
+      : parseType(listMatch[1]);
+    return inner && (inner.kind === 'scalar' || inner.kind === 'list') ? { kind: 'list', element: inner } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Renders a descriptor back to its declared spelling for error messages.
+ */
+const describeType = (descriptor) => {
+  switch (descriptor.kind) {
+    case 'array':
+      return `${describeType(descriptor.element)}[]`;
+    case 'list': {
+      const boxed = Object.keys(BOXED_TYPES).find(key => BOXED_TYPES[key] === descriptor.element.name);
+      return `List<${descriptor.element.kind === 'scalar' ? boxed : describeType(descriptor.element)}>`;
+    }
+    default:
+      return descriptor.name;
+  }
+};
+
+/**
+ * Read a question's parameter schema when every parameter has a known type
+ * @param {Object|string} schema - Stored parameter_schema
+ * @returns {Object|null} - { params: [{ name, type, descriptor }], returnType }
+ * or null when the schema is missing or incomplete (legacy questions)
+ */
+function resolveSchema(schema) {
+  let parsed = schema;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!parsed || !Array.isArray(parsed.params) || parsed.params.length === 0) {
+    return null;
+  }
+
+  const params = parsed.params.map((param, index) => ({
+    name: param?.name?.trim() || `param${index + 1}`,
+    type: param?.type,
+    descriptor: parseType(param?.type)
+  }));
+
+  if (params.some(param => !param.descriptor || param.descriptor.kind === 'void')) {
+    return null;
+  }
+
+  return {
+    params,
+    returnType: parseType(parsed.returnType)
+  };
+}
+
+/**
+ * Check a parsed JSON value against a descriptor, returning it with numeric
+ * types normalized
+ */
+const coerceValue = (value, descriptor, label) => {
+  const fail = () => {
+    throw new InputValidationError(`${label} should be ${describeType(descriptor)} but got ${JSON.stringify(value)}`);
+  };
+
+  switch (descriptor.kind) {
+    case 'scalar':
+      switch (descriptor.name) {
+        case 'int':
+          if (!Number.isInteger(value) || value < INT_MIN || value > INT_MAX) fail();
+          return value;
+        case 'long':
+          if (!Number.isInteger(value)) fail();
+          return value;
+        case 'double':
+        case 'float':
+          if (typeof value !== 'number' || !Number.isFinite(value)) fail();
+          return value;
+        case 'boolean':
+          if (typeof value !== 'boolean') fail();
+          return value;
+        case 'char':
+          if (typeof value !== 'string' || value.length !== 1) fail();
+          return value;
+        default:
+          if (typeof value !== 'string') fail();
+          return value;
+      }
+    case 'array':
+    case 'list':
+      if (!Array.isArray(value)) fail();
+      return value.map((item, index) => coerceValue(item, descriptor.element, `${label}[${index}]`));
+    case 'node':
+      if (!Array.isArray(value)) fail();
+      if (descriptor.name === 'TreeNode') {
+        value.forEach((item, index) => {
+          if (item !== null && !Number.isInteger(item)) {
+            throw new InputValidationError(`${label}[${index}] should be an integer or null but got ${JSON.stringify(item)}`);
+          }
+        });
+      } else if (descriptor.name === 'GraphNode') {
+        value.forEach((item, index) => coerceValue(item, { kind: 'list', element: { kind: 'scalar', name: 'int' } }, `${label}[${index}]`));
+      } else {
+        value.forEach((item, index) => coerceValue(item, { kind: 'scalar', name: 'int' }, `${label}[${index}]`));
+      }
+      return value;
+    default:
+      return fail();
+  }
+};
+
+/**
+ * Parses one input line for a parameter. Lines are JSON; String and char
+ * parameters may also be written without quotes.
+ */
+const parseLine = (line, param) => {
+  try {
+    return JSON.parse(line);
+  } catch (e) {
+    if (param.descriptor.kind === 'scalar' && ['String', 'char'].includes(param.descriptor.name)) {
+      return line;
+    }
+    throw new InputValidationError(`Parameter ${param.name} is not valid JSON: ${line}`);
+  }
+};
+
+/**
+ * Parse a test case input into typed arguments, one line per parameter
+ * @param {string} input - Test case input
+ * @param {Object} schema - Schema from resolveSchema
+ * @returns {Array} - Argument values in parameter order
+ * @throws {InputValidationError} - When the input does not match the schema
+ */
+function parseTypedInput(input, schema) {
+  const lines = (input || '')
+    .replace(/\r/g, '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  if (lines.length !== schema.params.length) {
+    throw new InputValidationError(`Expected ${schema.params.length} input line(s) (${schema.params.map(param => param.name).join(', ')}) but got ${lines.length}`);
+  }
+
+  return schema.params.map((param, index) => coerceValue(parseLine(lines[index], param), param.descriptor, `Parameter ${param.name}`));
+}
+
+const javaBoxed = (descriptor) => {
+  if (descriptor.kind !== 'scalar') return javaType(descriptor);
+  return Object.keys(BOXED_TYPES).find(key => BOXED_TYPES[key] === descriptor.name);
+};
+
+/**
+ * Java declaration type for a descriptor
+ */
+function javaType(descriptor) {
+  switch (descriptor.kind) {
+    case 'array':
+      return `${javaType(descriptor.element)}[]`;
+    case 'list':
+      return `java.util.List<${javaBoxed(descriptor.element)}>`;
+    default:
+      return descriptor.name;
+  }
+}
+
+const javaScalarLiteral = (value, name) => {
+  switch (name) {
+    case 'long':
+      return `${value}L`;
+    case 'double':
+      return Number.isInteger(value) ? `${value}.0` : String(value);
+    case 'float':
+      return `${value}f`;
+    case 'char':
+      return `'${JSON.stringify(value).slice(1, -1).replace(/'/g, '\\\'')}'`;
+    case 'String':
+      return JSON.stringify(value);
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Java expression building a value of the given type
+ */
+function javaLiteral(value, descriptor) {
+  switch (descriptor.kind) {
+    case 'array':
+      return `new ${javaType(descriptor)}{${value.map(item => javaLiteral(item, descriptor.element)).join(', ')}}`;
+    case 'list':
+      return value.length === 0
+        ? 'new java.util.ArrayList<>()'
+        : `new java.util.ArrayList<>(java.util.Arrays.asList(${value.map(item => javaLiteral(item, descriptor.element)).join(', ')}))`;
+    default:
+      return javaScalarLiteral(value, descriptor.name);
+  }
+}
+
+/**
+ * C++ declaration type for a descriptor; char[] maps to std::string to match
+ * the generated templates.
+ */
+function cppType(descriptor) {
+  switch (descriptor.kind) {
+    case 'array':
+      if (descriptor.element.kind === 'scalar' && descriptor.element.name === 'char') {
+        return 'std::string';
+      }
+      return `std::vector<${cppType(descriptor.element)}>`;
+    case 'list':
+      return `std::vector<${cppType(descriptor.element)}>`;
+    default:
+      switch (descriptor.name) {
+        case 'long':
+          return 'long long';
+        case 'float':
+        case 'double':
+          return 'double';
+        case 'boolean':
+          return 'bool';
+        case 'String':
+          return 'std::string';
+        default:
+          return descriptor.name;
+      }
+  }
+}
+
+const escapeCpp = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/'/g, '\\\'')
+  .replace(/\n/g, '\\n');
+
+/**
+ * C++ expression building a value of the given type
+ */
+function cppLiteral(value, descriptor) {
+  if (descriptor.kind === 'array' || descriptor.kind === 'list') {
+    if (descriptor.kind === 'array' && descriptor.element.kind === 'scalar' && descriptor.element.name === 'char') {
+      return `std::string("${escapeCpp(value.join(''))}")`;
+    }
+    return `${cppType(descriptor)}{${value.map(item => cppLiteral(item, descriptor.element)).join(', ')}}`;
+  }
+  switch (descriptor.name) {
+    case 'long':
+      return `${value}LL`;
+    case 'double':
+    case 'float':
+      return Number.isInteger(value) ? `${value}.0` : String(value);
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'char':
+      return `'${escapeCpp(value)}'`;
+    case 'String':
+      return `std::string("${escapeCpp(value)}")`;
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Best-effort descriptor for an untyped value, used by statically typed
+ * harnesses when a question has no complete schema
+ * @param {*} value - Parsed argument
+ * @returns {Object} - Type descriptor
+ */
+function inferDescriptor(value) {
+  if (Array.isArray(value)) {
+    const elements = value.filter(item => item !== null && item !== undefined).map(inferDescriptor);
+    if (elements.length === 0) {
+      return { kind: 'array', element: { kind: 'scalar', name: 'int' } };
+    }
+    const numeric = elements.filter(element => element.kind === 'scalar' && ['int', 'long', 'double'].includes(element.name));
+    if (numeric.length === elements.length) {
+      const widest = ['double', 'long', 'int'].find(name => numeric.some(element => element.name === name));
+      return { kind: 'array', element: { kind: 'scalar', name: widest } };
+    }
+    return { kind: 'array', element: elements[0] };
+  }
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) return { kind: 'scalar', name: 'double' };
+    return { kind: 'scalar', name: value < INT_MIN || value > INT_MAX ? 'long' : 'int' };
+  }
+  if (typeof value === 'boolean') return { kind: 'scalar', name: 'boolean' };
+  return { kind: 'scalar', name: 'String' };
+}
+
+const isCharArray = (descriptor) => descriptor.kind === 'array' &&
+  descriptor.element.kind === 'scalar' && descriptor.element.name === 'char';
+
+/**
+ * Go declaration type for a descriptor; char[] maps to []byte.
+ */
+function goType(descriptor) {
+  switch (descriptor.kind) {
+    case 'array':
+    case 'list':
+      return `[]${goType(descriptor.element)}`;
+    case 'node':
+      return `*${descriptor.name}`;
+    default:
+      switch (descriptor.name) {
+        case 'long':
+          return 'int64';
+        case 'float':
+        case 'double':
+          return 'float64';
+        case 'boolean':
+          return 'bool';
+        case 'char':
+          return 'byte';
+        case 'String':
+          return 'string';
+        default:
+          return descriptor.name;
+      }
+  }
+}
+
+const goCharLiteral = (value) => {
+  if (value === '\'') return '\'\\\'\'';
+  if (value === '\\') return '\'\\\\\'';
+  const code = value.charCodeAt(0);
+  return code < 0x20 || code === 0x7f ? `'\\x${code.toString(16).padStart(2, '0')}'` : `'${value}'`;
+};
+
+/**
+ * Go expression building a value of the given type. Nested composite
+ * literals leave out their element type.
+ */
+function goLiteral(value, descriptor, { elided = false } = {}) {
+  if (descriptor.kind === 'array' || descriptor.kind === 'list') {
+    const items = value.map(item => goLiteral(item, descriptor.element, { elided: true })).join(', ');
+    return elided ? `{${items}}` : `${goType(descriptor)}{${items}}`;
+  }
+  switch (descriptor.name) {
+    case 'double':
+    case 'float':
+      return Number.isInteger(value) ? `${value}.0` : String(value);
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'char':
+      return goCharLiteral(value);
+    case 'String':
+      return JSON.stringify(value);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * C# declaration type for a descriptor
+ */
+function csharpType(descriptor) {
+  switch (descriptor.kind) {
+    case 'array':
+      return `${csharpType(descriptor.element)}[]`;
+    case 'list':
+      return `System.Collections.Generic.IList<${csharpType(descriptor.element)}>`;
+    case 'node':
+      return descriptor.name;
+    default:
+      switch (descriptor.name) {
+        case 'float':
+          return 'double';
+        case 'boolean':
+          return 'bool';
+        case 'String':
+          return 'string';
+        default:
+          return descriptor.name;
+      }
+  }
+}
+
+/**
+ * C# expression building a value of the given type
+ */
+function csharpLiteral(value, descriptor) {
+  switch (descriptor.kind) {
+    case 'array':
+      return `new ${csharpType(descriptor.element)}[] {${value.map(item => csharpLiteral(item, descriptor.element)).join(', ')}}`;
+    case 'list':
+      return `new System.Collections.Generic.List<${csharpType(descriptor.element)}> {${value.map(item => csharpLiteral(item, descriptor.element)).join(', ')}}`;
+    default:
+      switch (descriptor.name) {
+        case 'long':
+          return `${value}L`;
+        case 'double':
+        case 'float':
+          return Number.isInteger(value) ? `${value}.0` : String(value);
+        case 'boolean':
+          return value ? 'true' : 'false';
+        case 'char':
+          return `'${JSON.stringify(value).slice(1, -1).replace(/'/g, '\\\'')}'`;
+        case 'String':
+          return JSON.stringify(value);
+        default:
+          return String(value);
+      }
+  }
+}
+
+/**
+ * Ruby expression for a value, keeping declared floating point types as floats
+ */
+function rubyLiteral(value, descriptor = null) {
+  if (Array.isArray(value)) {
+    const element = descriptor && (descriptor.kind === 'array' || descriptor.kind === 'list') ? descriptor.element : null;
+    return `[${value.map(item => rubyLiteral(item, element)).join(', ')}]`;
+  }
+  if (value === null || value === undefined) return 'nil';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') {
+    const isFloat = descriptor && ['double', 'float'].includes(descriptor.name);
+    return isFloat && Number.isInteger(value) ? `${value}.0` : String(value);
+  }
+  // Escape "#" so double-quoted strings never interpolate
+  return JSON.stringify(String(value)).replace(/#/g, '\\#');
+}
+
+/**
+ * PHP expression for a value, keeping declared floating point types as floats
+ */
+function phpLiteral(value, descriptor = null) {
+  if (Array.isArray(value)) {
+    const element = descriptor && (descriptor.kind === 'array' || descriptor.kind === 'list') ? descriptor.element : null;
+    return `[${value.map(item => phpLiteral(item, element)).join(', ')}]`;
+  }
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') {
+    const isFloat = descriptor && ['double', 'float'].includes(descriptor.name);
+    return isFloat && Number.isInteger(value) ? `${value}.0` : String(value);
+  }
+  // Single-quoted strings only interpret \\ and \'
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+module.exports = {
+  InputValidationError,
+  parseType,
+  describeType,
+  resolveSchema,
+  parseTypedInput,
+  inferDescriptor,
+  isCharArray,
+  javaType,
+  javaLiteral,
+  cppType,
+  cppLiteral,
+  goType,
+  goLiteral,
+  csharpType,
+  csharpLiteral,
+  rubyLiteral,
+  phpLiteral
+};
@@ -0,0 +1,271 @@
+/**
+ * @file plagiarism.js
+ * @description Code similarity of accepted submissions. Source code is reduced
+ * to a token stream that ignores comments, whitespace, literal values and
+ * identifier names (keywords and operators are kept), so renaming variables
+ * or reformatting does not hide a copy. Token k-grams are hashed and
+ * winnowed into fingerprints (Schleimer et al., the scheme behind MOSS); two
+ * solutions are as similar as the share of fingerprints they have in common.
+ * Pairs above a threshold are linked into clusters of suspicious solutions.
+ */
+
+const PLAGIARISM_LIMITS = {
+  threshold: { min: 1, max: 100, default: 70 },  // % similarity that flags a pair
+  submissions: 1000,                               // solutions compared per report
+  pairs: 1000                                      // flagged pairs kept per report
+};
+
+// Token k-gram length and winnowing window: matches of at least
+// KGRAM + WINDOW - 1 tokens are always detected
+const KGRAM = 5;
+const WINDOW = 4;
+
+// Keywords of the supported languages; other words are identifiers
+const KEYWORDS = new Set([
+  'abstract', 'and', 'as', 'async', 'await', 'begin', 'bool', 'boolean', 'break', 'byte',
+  'case', 'catch', 'char', 'class', 'const', 'continue', 'def', 'default', 'defer', 'del',
+  'delete', 'do', 'double', 'elif', 'else', 'elsif', 'end', 'enum', 'except', 'extends',
+  'final', 'finally', 'float', 'fn', 'for', 'foreach', 'func', 'function', 'global', 'go',
+  'goto', 'if', 'implements', 'import', 'in', 'int', 'interface', 'is', 'lambda', 'let',
+  'long', 'map', 'module', 'namespace', 'new', 'nil', 'nonlocal', 'not', 'null', 'or',
+  'package', 'pass', 'private', 'protected', 'public', 'raise', 'range', 'return', 'self',
+  'short', 'signed', 'sizeof', 'static', 'struct', 'super', 'switch', 'template', 'this',
+  'throw', 'throws', 'try', 'typedef', 'unless', 'unsigned', 'until', 'using', 'var',
+  'vector', 'void', 'while', 'with', 'yield', 'true', 'false', 'True', 'False', 'None'
+]);
+
+const HASH_COMMENT_LANGUAGES = ['python', 'ruby', 'php'];
+const PREPROCESSOR_LANGUAGES = ['c', 'cpp', 'csharp'];
+
+const TOKEN_PATTERNS = [
+  ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//y],
+  ['string', /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\[\s\S]|[^"\\\n])*"|'(?:\\[\s\S]|[^'\\\n])*'|`(?:\\[\s\S]|[^`\\])*`/y],
+  ['number', /\d[\w.]*/y],
+  ['word', /[A-Za-z_$][\w$]*/y],
+  ['space', /\s+/y]
+];
+
+/**
+ * Normalized tokens of a piece of source code
+ * @param {string} code - Source code
+ * @param {string} language - Language id (see languageRuntimes.js)
+ * @returns {Array<Object>} - [{ text, line }] with 1-based line numbers
+ */
+function tokenize(code, language) {
+  const source = String(code || '');
+  const tokens = [];
+  let line = 1;
+  let index = 0;
+
+  const advance = (text) => {
+    index += text.length;
+    line += (text.match(/\n/g) || []).length;
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+
+    // `#` starts a comment in scripting languages and a directive
+    // (includes, defines) in C-family ones; neither says anything about the solution
+    if (char === '#' && (HASH_COMMENT_LANGUAGES.includes(language) || PREPROCESSOR_LANGUAGES.includes(language))) {
+      const end = source.indexOf('\n', index);
+      advance(source.slice(index, end === -1 ? source.length : end));
+      continue;
+    }
+
+    let matched = false;
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+      if (!match) continue;
+      const text = match[0];
+      if (type === 'string') tokens.push({ text: 'S', line });
+      if (type === 'number') tokens.push({ text: 'N', line });
+      if (type === 'word') tokens.push({ text: KEYWORDS.has(text) ? text : 'I', line });
+      advance(text);
+      matched = true;
+      break;
+    }
+
+    if (!matched) {
+      tokens.push({ text: char, line });
+      advance(char);
+    }
+  }
+  return tokens;
+}
+
+// 32-bit FNV-1a
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Winnowed fingerprints of a token stream
+ * @returns {Array<Object>} - [{ hash, startLine, endLine }] in source order
+ */
+function fingerprint(tokens) {
+  if (tokens.length < KGRAM) return [];
+
+  const grams = [];
+  for (let i = 0; i + KGRAM <= tokens.length; i++) {
+    const text = tokens.slice(i, i + KGRAM).map(token => token.text).join(' ');
+    grams.push({ hash: hashText(text), startLine: tokens[i].line, endLine: tokens[i + KGRAM - 1].line });
+  }
+
+  // The minimum hash of every window (the rightmost one on ties), each position once
+  const selected = [];
+  let lastPosition = -1;
+  const windows = Math.max(1, grams.length - WINDOW + 1);
+  for (let start = 0; start < windows; start++) {
+    let position = start;
+    for (let i = start; i < Math.min(start + WINDOW, grams.length); i++) {
+      if (grams[i].hash <= grams[position].hash) position = i;
+    }
+    if (position !== lastPosition) {
+      selected.push(grams[position]);
+      lastPosition = position;
+    }
+  }
+  return selected;
+}
+
+/**
+ * Fingerprint hashes of a solution, minus those of code every student was given
+ * @returns {Set<number>}
+ */
+function fingerprintSet(code, language, ignored = new Set()) {
+  const hashes = new Set();
+  for (const { hash } of fingerprint(tokenize(code, language))) {
+    if (!ignored.has(hash)) hashes.add(hash);
+  }
+  return hashes;
+}
+
+/**
+ * Similarity of two fingerprint sets: shared fingerprints as a percentage of
+ * the average set size
+ */
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const hash of smaller) {
+    if (larger.has(hash)) shared++;
+  }
+  return Math.round((200 * shared / (a.size + b.size)) * 10) / 10;
+}
+
+/**
+ * Compare every pair of solutions written in the same language
+ * @param {Array<Object>} submissions - { id, user_id, name, language, code }
+ * @param {Object} options - `threshold` in percent and `starterCode` keyed by
+ * language, whose fingerprints are ignored
+ * @returns {Object} - { languages, pairs, clusters, truncated } where `pairs`
+ * holds the flagged pairs, most similar first, and `clusters` the groups of
+ * solutions connected by flagged pairs
+ */
+function analyzeSubmissions(submissions, options = {}) {
+  const threshold = options.threshold ?? PLAGIARISM_LIMITS.threshold.default;
+  const starterCode = options.starterCode || {};
+
+  const byLanguage = new Map();
+  for (const submission of submissions) {
+    if (!byLanguage.has(submission.language)) byLanguage.set(submission.language, []);
+    byLanguage.get(submission.language).push(submission);
+  }
+
+  const languages = {};
+  const pairs = [];
+  const clusters = [];
+
+  for (const [language, group] of byLanguage) {
+    languages[language] = group.length;
+    const ignored = fingerprintSet(starterCode[language], language);
+    const sets = group.map(submission => fingerprintSet(submission.code, language, ignored));
+
+    // Union-find over flagged pairs
+    const parent = group.map((_, index) => index);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const flagged = [];
+
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const score = similarity(sets[i], sets[j]);
+        if (score < threshold) continue;
+        flagged.push({ i, j, score });
+        parent[find(i)] = find(j);
+        pairs.push({
+          language,
+          similarity: score,
+          a: { submissionId: group[i].id, userId: group[i].user_id, name: group[i].name },
+          b: { submissionId: group[j].id, userId: group[j].user_id, name: group[j].name }
+        });
+      }
+    }
+
+    const members = new Map();
+    group.forEach((submission, index) => {
+      const root = find(index);
+      if (!members.has(root)) members.set(root, []);
+      members.get(root).push(index);
+    });
+    for (const [root, indexes] of members) {
+      if (indexes.length < 2) continue;
+      clusters.push({
+        language,
+        maxSimilarity: Math.max(...flagged.filter(pair => find(pair.i) === root).map(pair => pair.score)),
+        members: indexes.map(index => ({ submissionId: group[index].id, userId: group[index].user_id, name: group[index].name }))
+      });
+    }
+  }
+
+  pairs.sort((a, b) => b.similarity - a.similarity);
+  clusters.sort((a, b) => b.members.length - a.members.length || b.maxSimilarity - a.maxSimilarity);
+  return {
+    languages,
+    pairs: pairs.slice(0, PLAGIARISM_LIMITS.pairs),
+    clusters,
+    truncated: pairs.length > PLAGIARISM_LIMITS.pairs
+  };
+}
+
+/**
+ * Lines of two solutions covered by their shared fingerprints, for highlighting
+ * @returns {Object} - { similarity, a: [line], b: [line] } with 1-based line numbers
+ */
+function matchedLines(codeA, codeB, language, starter) {
+  const ignored = fingerprintSet(starter, language);
+  const printsA = fingerprint(tokenize(codeA, language)).filter(print => !ignored.has(print.hash));
+  const printsB = fingerprint(tokenize(codeB, language)).filter(print => !ignored.has(print.hash));
+  const hashesA = new Set(printsA.map(print => print.hash));
+  const hashesB = new Set(printsB.map(print => print.hash));
+
+  const linesOf = (prints, other) => {
+    const lines = new Set();
+    for (const print of prints) {
+      if (!other.has(print.hash)) continue;
+      for (let line = print.startLine; line <= print.endLine; line++) lines.add(line);
+    }
+    return [...lines].sort((x, y) => x - y);
+  };
+
+  return {
+    similarity: similarity(hashesA, hashesB),
+    a: linesOf(printsA, hashesB),
+    b: linesOf(printsB, hashesA)
+  };
+}
+
+module.exports = {
+  PLAGIARISM_LIMITS,
+  tokenize,
+  fingerprint,
+  analyzeSubmissions,
+  matchedLines
+};
@@ -0,0 +1,138 @@
+/**
+ * @file plagiarismJobs.js
+ * @description Runs plagiarism reports in the background, one at a time.
+ * A report (`plagiarism_reports`) compares the latest accepted solution of
+ * every student per language for one question (see plagiarism.js). Its state
+ * lives on `plagiarism_reports.status` (pending → running → finished/failed)
+ * so reports interrupted by a restart are run again.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { PLAGIARISM_LIMITS } = require('./plagiarism');
+const { parseJson } = require('./json');
+
+const WORKER_PATH = path.join(__dirname, 'plagiarismWorker.js');
+
+let pool = null;
+const queue = [];
+let running = false;
+
+/**
+ * Runs analyzeSubmissions in a worker thread so a large report does not block
+ * other requests while it compares solutions.
+ */
+const analyzeInWorker = (submissions, options) => new Promise((resolve, reject) => {
+  const worker = new Worker(WORKER_PATH, { workerData: { submissions, options } });
+  let result = null;
+  worker.once('message', (message) => { result = message; });
+  worker.once('error', reject);
+  worker.once('exit', (code) => {
+    if (result) resolve(result);
+    else reject(new Error(`Plagiarism worker exited with code ${code}`));
+  });
+});
+
+/**
+ * Compares the solutions of a report's question and stores the result.
+ */
+async function runReport(reportId) {
+  const [reports] = await pool.execute('SELECT * FROM plagiarism_reports WHERE id = ?', [reportId]);
+  if (reports.length === 0) {
+    return;
+  }
+  const report = reports[0];
+
+  await pool.execute("UPDATE plagiarism_reports SET status = 'running' WHERE id = ?", [reportId]);
+
+  const [questions] = await pool.execute('SELECT starter_code FROM questions WHERE id = ?', [report.question_id]);
+  const starterCode = questions.length > 0 ? parseJson(questions[0].starter_code, null) || {} : {};
+
+  const [rows] = await pool.execute(
+    `SELECT s.id, s.user_id, u.name, s.language, s.code
+     FROM submissions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.question_id = ? AND s.verdict = 'AC' AND u.role = 'student'
+       ${report.language ? 'AND s.language = ?' : ''}
+     ORDER BY s.submitted_at DESC, s.id DESC`,
+    report.language ? [report.question_id, report.language] : [report.question_id]
+  );
+
+  // Latest accepted solution per student and language
+  const seen = new Set();
+  const submissions = rows.filter(row => {
+    const key = `${row.user_id}:${row.language}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, PLAGIARISM_LIMITS.submissions);
+
+  const result = await analyzeInWorker(submissions, { threshold: report.threshold, starterCode });
+
+  await pool.execute(
+    "UPDATE plagiarism_reports SET status = 'finished', submission_count = ?, result = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [submissions.length, JSON.stringify(result), reportId]
+  );
+}
+
+/**
+ * Runs queued reports one after another.
+ */
+async function drain() {
+  if (running) return;
+  running = true;
+  while (queue.length > 0) {
+    const reportId = queue.shift();
+    try {
+      await runReport(reportId);
+    } catch (error) {
+      console.error(`[Plagiarism] Report #${reportId} failed:`, error.message);
+      try {
+        await pool.execute(
+          "UPDATE plagiarism_reports SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+          [error.message.slice(0, 255), reportId]
+        );
+      } catch (updateError) {
+        console.error(`[Plagiarism] Could not mark report #${reportId} as failed:`, updateError.message);
+      }
+    }
+  }
+  running = false;
+}
+
+/**
+ * Queue a stored report
+ * @param {number} reportId - Report ID with status 'pending'
+ */
+function enqueue(reportId) {
+  if (!pool) {
+    throw new Error('Plagiarism jobs have not been started');
+  }
+  if (!queue.includes(reportId)) {
+    queue.push(reportId);
+  }
+  drain();
+}
+
+/**
+ * Start the runner and requeue reports interrupted by a restart
+ * @param {Object} dbPool - mysql2 promise pool
+ */
+async function start(dbPool) {
+  pool = dbPool;
+
+  const [unfinished] = await pool.execute(
+    "SELECT id FROM plagiarism_reports WHERE status IN ('pending', 'running') ORDER BY id"
+  );
+
+  if (unfinished.length > 0) {
+    console.log(`[Plagiarism] Requeueing ${unfinished.length} unfinished report(s)`);
+  }
+
+  unfinished.forEach(row => enqueue(row.id));
+}
+
+module.exports = {
+  start,
+  enqueue
+};
@@ -0,0 +1,11 @@
+/**
+ * @file plagiarismWorker.js
+ * @description Worker thread entry for plagiarism reports. Comparing every
+ * pair of solutions is CPU-bound, so plagiarismJobs.js runs it here instead
+ * of on the API's event loop.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { analyzeSubmissions } = require('./plagiarism');
+
+parentPort.postMessage(analyzeSubmissions(workerData.submissions, workerData.options));
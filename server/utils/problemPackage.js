@@ -0,0 +1,675 @@
+/**
+ * @file problemPackage.js
+ * @description Import and export of whole questions as problem packages. The
+ * platform's own package is a JSON document (`format: "campus-problem"`)
+ * holding the question fields and its test cases, or a ZIP with the question
+ * fields in `problem.json` and the test cases under `tests/` in the layout of
+ * testCaseArchive.js (subtasks and points then travel in `problem.json` as
+ * `testScoring`). Polygon (Codeforces) packages and LeetCode-style
+ * question JSON are converted into the same shape so problem sets can be
+ * migrated in bulk.
+ */
+
+const AdmZip = require('adm-zip');
+const { LANGUAGE_NAMES } = require('./languageRuntimes');
+const { parseJson } = require('./json');
+const {
+  readArchiveFiles,
+  pairTestFiles,
+  addTestFiles,
+  normalizeTestText,
+  TEST_CASE_LIMITS
+} = require('./testCaseArchive');
+
+const PACKAGE_FORMAT = 'campus-problem';
+const PACKAGE_VERSION = 1;
+
+const PACKAGE_LIMITS = {
+  archiveBytes: 32 * 1024 * 1024, // uploaded ZIP with one or more packages
+  packages: 50,                   // questions per import
+  testCases: 500                  // test cases per question
+};
+
+// Languages offered when a package does not list any, as in the question form
+const DEFAULT_LANGUAGES = ['javascript', 'python', 'java', 'cpp'];
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+// Question columns carried by a package, in export order
+const QUESTION_FIELDS = [
+  'title', 'function_name', 'description', 'difficulty', 'question_type', 'io_mode',
+  'parameter_schema', 'language_supported', 'tags', 'examples',
+  'time_limit_ms', 'memory_limit_kb', 'limit_multipliers',
+  'checker_type', 'checker_config', 'special_judge_language', 'special_judge_code',
+  'interactor_language', 'interactor_code', 'interactor_query_limit',
+  'reference_language', 'reference_code', 'generator_language', 'generator_code',
+  'starter_code'
+];
+
+// Tags and languages are stored as { tags: [...] } and { languages: [...] }
+const readList = (value, key) => {
+  const parsed = parseJson(value, null);
+  if (Array.isArray(parsed)) return parsed;
+  return Array.isArray(parsed?.[key]) ? parsed[key] : [];
+};
+
+const decodeEntities = (text) => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+  .replace(/&amp;/g, '&');
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const stripTags = (html) => decodeEntities(html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ''));
+
+/**
+ * Build the package of a stored question
+ * @param {Object} question - Question row
+ * @param {Array<Object>} testCases - Test case rows (input, expected_output, hidden, subtask, points)
+ * @returns {Object} - Package document
+ */
+function buildPackage(question, testCases) {
+  const fields = {};
+  for (const field of QUESTION_FIELDS) {
+    fields[field] = question[field] ?? null;
+  }
+
+  return {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    question: {
+      ...fields,
+      parameter_schema: parseJson(question.parameter_schema, null),
+      language_supported: readList(question.language_supported, 'languages'),
+      tags: readList(question.tags, 'tags'),
+      examples: parseJson(question.examples, []) || [],
+      limit_multipliers: parseJson(question.limit_multipliers, null),
+      checker_config: parseJson(question.checker_config, null),
+      starter_code: parseJson(question.starter_code, null)
+    },
+    testCases: testCases.map(testCase => ({
+      input: testCase.input,
+      expected_output: testCase.expected_output,
+      hidden: Boolean(testCase.hidden),
+      // Only when set, so snapshots of questions without subtasks stay unchanged
+      ...(testCase.subtask != null && { subtask: testCase.subtask }),
+      ...(testCase.points != null && { points: testCase.points })
+    }))
+  };
+}
+
+/**
+ * Write a package as a ZIP: `problem.json` plus the test cases under `tests/`
+ * @param {Object} pkg - Package from buildPackage
+ * @returns {Buffer} - ZIP file contents
+ */
+function buildPackageArchive(pkg) {
+  const zip = new AdmZip();
+  const { testCases, ...metadata } = pkg;
+  if (testCases.some(testCase => testCase.subtask != null || testCase.points != null)) {
+    metadata.testScoring = testCases.map(({ subtask, points }) => ({ subtask, points }));
+  }
+  zip.addFile('problem.json', Buffer.from(`${JSON.stringify(metadata, null, 2)}\n`, 'utf8'));
+  addTestFiles(zip, testCases, 'tests/');
+  return zip.toBuffer();
+}
+
+/**
+ * Converts package question fields into the body accepted by
+ * POST /api/questions, filling in defaults the package may leave out.
+ */
+const toQuestionPayload = (question, testCases, warnings) => {
+  const payload = {};
+  for (const field of QUESTION_FIELDS) {
+    if (question[field] !== undefined && question[field] !== null) {
+      payload[field] = question[field];
+    }
+  }
+
+  const difficulty = DIFFICULTIES.find(level => level.toLowerCase() === String(question.difficulty || '').toLowerCase());
+  if (!difficulty) {
+    warnings.push('No difficulty given; imported as Medium');
+  }
+
+  const languages = readList(question.language_supported, 'languages').filter(language => LANGUAGE_NAMES[language]);
+  return {
+    ...payload,
+    title: typeof question.title === 'string' ? question.title.trim() : '',
+    description: question.description || '',
+    difficulty: difficulty || 'Medium',
+    language_supported: { languages: languages.length > 0 ? languages : DEFAULT_LANGUAGES },
+    tags: { tags: readList(question.tags, 'tags').map(String) },
+    examples: Array.isArray(question.examples) ? question.examples : [],
+    testCases
+  };
+};
+
+const checkTestCount = (testCases, name) => {
+  if (testCases.length > PACKAGE_LIMITS.testCases) {
+    throw new Error(`${name} has ${testCases.length} test cases; at most ${PACKAGE_LIMITS.testCases} can be imported per question`);
+  }
+};
+
+/**
+ * Reads a platform package. Test cases come from the document itself or,
+ * inside a ZIP, from the `tests/` folder next to `problem.json`.
+ */
+function fromNativePackage(document, testFiles, source) {
+  if (document.version > PACKAGE_VERSION) {
+    throw new Error(`${source} uses package version ${document.version}; this server reads version ${PACKAGE_VERSION}`);
+  }
+  const question = document.question || {};
+  const warnings = [];
+
+  const scoring = Array.isArray(document.testScoring) ? document.testScoring : [];
+  const testCases = testFiles
+    ? pairTestFiles(testFiles, { ioMode: question.io_mode, maxTestCases: PACKAGE_LIMITS.testCases })
+      .map((testCase, index) => ({
+        ...testCase,
+        subtask: scoring[index]?.subtask ?? null,
+        points: scoring[index]?.points ?? null
+      }))
+    : (Array.isArray(document.testCases) ? document.testCases : []).map(testCase => ({
+      input: String(testCase.input ?? ''),
+      expected_output: String(testCase.expected_output ?? ''),
+      hidden: Boolean(testCase.hidden),
+      subtask: testCase.subtask ?? null,
+      points: testCase.points ?? null
+    }));
+  checkTestCount(testCases, source);
+
+  return { source, question: toQuestionPayload(question, testCases, warnings), warnings };
+}
+
+// Minimal reader for the flat, machine-written XML of Polygon packages
+const xmlTags = (xml, tag) => {
+  const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+  return [...xml.matchAll(pattern)].map(match => ({ attributes: match[1], body: match[2] || '' }));
+};
+
+const xmlAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return match ? decodeEntities(match[1]) : null;
+};
+
+const xmlText = (xml, tag) => {
+  const [element] = xmlTags(xml, tag);
+  return element ? decodeEntities(element.body.trim()) : null;
+};
+
+// Polygon source types such as `cpp.g++17`, `python.3` or `java21`
+const POLYGON_LANGUAGES = [
+  [/^cpp\./, 'cpp'],
+  [/^c\./, 'c'],
+  [/^java/, 'java'],
+  [/^python\.3|^python\.pypy3/, 'python'],
+  [/^csharp/, 'csharp'],
+  [/^go/, 'go'],
+  [/^ruby/, 'ruby'],
+  [/^php/, 'php'],
+  [/^js|^nodejs/, 'javascript']
+];
+
+const polygonLanguage = (type) => (POLYGON_LANGUAGES.find(([pattern]) => pattern.test(type || '')) || [])[1] || null;
+
+// testlib's standard checkers and the platform checker closest to each
+const POLYGON_CHECKERS = {
+  fcmp: { checker_type: 'exact' },
+  lcmp: { checker_type: 'whitespace' },
+  wcmp: { checker_type: 'tokens' },
+  ncmp: { checker_type: 'tokens' },
+  icmp: { checker_type: 'tokens' },
+  hcmp: { checker_type: 'tokens' },
+  yesno: { checker_type: 'tokens' },
+  uncmp: { checker_type: 'unordered' },
+  rcmp: { checker_type: 'numeric', checker_config: { absEpsilon: 1.5e-5 } },
+  rcmp4: { checker_type: 'numeric', checker_config: { absEpsilon: 1e-4, relEpsilon: 1e-4 } },
+  rcmp6: { checker_type: 'numeric', checker_config: { absEpsilon: 1e-6, relEpsilon: 1e-6 } },
+  rcmp9: { checker_type: 'numeric', checker_config: { absEpsilon: 1e-9, relEpsilon: 1e-9 } },
+  dcmp: { checker_type: 'numeric', checker_config: { absEpsilon: 1e-6, relEpsilon: 1e-6 } }
+};
+
+// Polygon path patterns use printf placeholders, e.g. `tests/%02d.a`
+const formatPolygonPath = (pattern, index) => pattern.replace(/%0?(\d*)d/, (_, width) => String(index).padStart(Number(width) || 0, '0'));
+
+// Statement sections are LaTeX; keep paragraphs and basic formatting
+const latexToHtml = (tex) => escapeHtml(tex.trim())
+  .replace(/\\textbf\{([^}]*)\}/g, '<strong>$1</strong>')
+  .replace(/\\(?:textit|emph)\{([^}]*)\}/g, '<em>$1</em>')
+  .replace(/\\(?:texttt|t)\{([^}]*)\}/g, '<code>$1</code>')
+  .split(/\n\s*\n/)
+  .map(paragraph => `<p>${paragraph.trim()}</p>`)
+  .join('\n');
+
+const pickStatementLanguage = (paths) => {
+  const languages = [...new Set(paths.map(path => path.split('/')[0]))];
+  return languages.includes('english') ? 'english' : languages[0];
+};
+
+/**
+ * Reads the statement of a Polygon package from `statements/<language>/problem-properties.json`,
+ * falling back to the generated `statements/.html/<language>/problem.html`.
+ */
+const readPolygonStatement = (files) => {
+  const properties = Object.keys(files)
+    .filter(path => /^statements\/[^/]+\/problem-properties\.json$/.test(path))
+    .map(path => path.slice('statements/'.length));
+  if (properties.length > 0) {
+    const language = pickStatementLanguage(properties);
+    const statement = parseJson(files[`statements/${language}/problem-properties.json`].read(), {}) || {};
+    const sections = [
+      [null, statement.legend],
+      ['Input', statement.input],
+      ['Output', statement.output],
+      ['Interaction', statement.interaction],
+      ['Notes', statement.notes]
+    ].filter(([, text]) => text && text.trim());
+    return {
+      name: statement.name,
+      description: sections.map(([heading, text]) => `${heading ? `<h4>${heading}</h4>\n` : ''}${latexToHtml(text)}`).join('\n'),
+      examples: (statement.sampleTests || []).map(sample => ({
+        input: normalizeTestText(sample.input || ''),
+        output: normalizeTestText(sample.output || ''),
+        explanation: ''
+      }))
+    };
+  }
+
+  const pages = Object.keys(files)
+    .filter(path => /^statements\/\.html\/[^/]+\/problem\.html$/.test(path))
+    .map(path => path.slice('statements/.html/'.length));
+  if (pages.length > 0) {
+    const html = files[`statements/.html/${pickStatementLanguage(pages)}/problem.html`].read();
+    const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+    return { description: (body ? body[1] : html).trim(), examples: [] };
+  }
+
+  return { description: '', examples: [] };
+};
+
+/**
+ * Reads a Polygon package: `problem.xml` with its testset, statement, tags,
+ * checker and main solution. Interactors and custom checkers use testlib and
+ * cannot run here, so interactive problems are rejected and custom checkers
+ * are replaced by a token comparison with a warning.
+ * @param {Object} files - Package files keyed by path relative to `problem.xml`
+ */
+function fromPolygonPackage(files, source) {
+  const xml = files['problem.xml'].read();
+  const warnings = [];
+
+  const [assets] = xmlTags(xml, 'assets');
+  if (assets && xmlTags(assets.body, 'interactor').length > 0) {
+    throw new Error(`${source} is an interactive problem; Polygon interactors use testlib and cannot be imported`);
+  }
+
+  const [problem] = xmlTags(xml, 'problem');
+  const names = xmlTags(xml, 'name').map(name => ({
+    language: xmlAttribute(name.attributes, 'language'),
+    value: xmlAttribute(name.attributes, 'value')
+  }));
+  const statement = readPolygonStatement(files);
+  const title = (names.find(name => name.language === 'english') || names[0] || {}).value ||
+    statement.name || (problem && xmlAttribute(problem.attributes, 'short-name')) || source;
+
+  const [judging] = xmlTags(xml, 'judging');
+  if (judging && (xmlAttribute(judging.attributes, 'input-file') || xmlAttribute(judging.attributes, 'output-file'))) {
+    warnings.push('The problem reads or writes files; solutions here use stdin and stdout');
+  }
+
+  const testsets = judging ? xmlTags(judging.body, 'testset') : [];
+  const testset = testsets.find(set => xmlAttribute(set.attributes, 'name') === 'tests') || testsets[0];
+  if (!testset) {
+    throw new Error(`${source} has no testset in problem.xml`);
+  }
+
+  const timeLimit = Number(xmlText(testset.body, 'time-limit')) || null;
+  const memoryBytes = Number(xmlText(testset.body, 'memory-limit')) || null;
+  const inputPattern = xmlText(testset.body, 'input-path-pattern') || 'tests/%02d';
+  const answerPattern = xmlText(testset.body, 'answer-path-pattern') || 'tests/%02d.a';
+  const tests = xmlTags(testset.body, 'test');
+  const testCount = Number(xmlText(testset.body, 'test-count')) || tests.length;
+
+  // Test groups become subtasks numbered in order of appearance; test points carry over
+  const groupNumbers = new Map();
+  const subtaskOf = (test) => {
+    const group = test && xmlAttribute(test.attributes, 'group');
+    if (!group) return null;
+    if (!groupNumbers.has(group)) groupNumbers.set(group, groupNumbers.size + 1);
+    return groupNumbers.get(group);
+  };
+
+  const testCases = [];
+  let missing = 0;
+  for (let index = 1; index <= testCount; index++) {
+    const inputFile = files[formatPolygonPath(inputPattern, index)];
+    const answerFile = files[formatPolygonPath(answerPattern, index)];
+    // Generated tests are only included in full packages
+    if (!inputFile || !answerFile) {
+      missing++;
+      continue;
+    }
+    for (const file of [inputFile, answerFile]) {
+      if (file.size > TEST_CASE_LIMITS.fileBytes) {
+        throw new Error(`${source}: ${file.path} is larger than ${Math.round(TEST_CASE_LIMITS.fileBytes / 1024)} KB`);
+      }
+    }
+    const test = tests[index - 1];
+    const sample = test && xmlAttribute(test.attributes, 'sample') === 'true';
+    const points = test ? Number(xmlAttribute(test.attributes, 'points')) : NaN;
+    testCases.push({
+      input: normalizeTestText(inputFile.read()),
+      expected_output: normalizeTestText(answerFile.read()),
+      hidden: !sample,
+      subtask: subtaskOf(test),
+      points: Number.isFinite(points) ? Math.round(points) : null
+    });
+  }
+  if (missing > 0) {
+    warnings.push(`${missing} of ${testCount} tests have no input or answer file; build a full package in Polygon to include generated tests`);
+  }
+  checkTestCount(testCases, source);
+
+  let checker = { checker_type: 'tokens' };
+  const [checkerElement] = assets ? xmlTags(assets.body, 'checker') : [];
+  if (checkerElement) {
+    const standard = (xmlAttribute(checkerElement.attributes, 'name') || '').match(/^std::(\w+)\.cpp$/);
+    if (standard && POLYGON_CHECKERS[standard[1]]) {
+      checker = POLYGON_CHECKERS[standard[1]];
+    } else {
+      warnings.push('The custom testlib checker was replaced by a token comparison; add a special judge if answers are not unique');
+    }
+  }
+
+  const reference = {};
+  const solutions = assets ? xmlTags(assets.body, 'solution') : [];
+  const main = solutions.find(solution => xmlAttribute(solution.attributes, 'tag') === 'main');
+  if (main) {
+    const [sourceElement] = xmlTags(main.body, 'source');
+    const path = sourceElement && xmlAttribute(sourceElement.attributes, 'path');
+    const language = sourceElement && polygonLanguage(xmlAttribute(sourceElement.attributes, 'type'));
+    if (path && files[path] && language) {
+      reference.reference_language = language;
+      reference.reference_code = files[path].read();
+    }
+  }
+
+  let memoryLimitKb = memoryBytes ? Math.round(memoryBytes / 1024) : null;
+  if (memoryLimitKb && memoryLimitKb > 512000) {
+    warnings.push(`The memory limit was lowered from ${memoryLimitKb} KB to 512000 KB`);
+    memoryLimitKb = 512000;
+  }
+
+  const question = {
+    title,
+    description: statement.description || `<p>${escapeHtml(title)}</p>`,
+    io_mode: 'stdio',
+    tags: xmlTags(xml, 'tag').map(tag => xmlAttribute(tag.attributes, 'value')).filter(Boolean),
+    examples: statement.examples,
+    time_limit_ms: timeLimit ? Math.min(Math.max(timeLimit, 100), 15000) : null,
+    memory_limit_kb: memoryLimitKb,
+    ...checker,
+    ...reference
+  };
+  return { source, question: toQuestionPayload(question, testCases, warnings), warnings };
+}
+
+// LeetCode metaData types and their parameter_schema spelling
+const LEETCODE_TYPES = {
+  integer: 'int',
+  long: 'long',
+  double: 'double',
+  float: 'float',
+  boolean: 'boolean',
+  character: 'char',
+  string: 'String',
+  void: 'void',
+  ListNode: 'ListNode',
+  TreeNode: 'TreeNode'
+};
+
+const BOXED_TYPES = { int: 'Integer', long: 'Long', double: 'Double', float: 'Float', boolean: 'Boolean', char: 'Character', String: 'String' };
+
+const leetCodeType = (type) => {
+  const declared = String(type || '').replace(/\s+/g, '');
+  if (LEETCODE_TYPES[declared]) return LEETCODE_TYPES[declared];
+  if (declared.endsWith('[]')) {
+    const element = leetCodeType(declared.slice(0, -2));
+    return element && element !== 'void' ? `${element}[]` : null;
+  }
+  const list = declared.match(/^list<(.+)>$/i);
+  if (list) {
+    const element = leetCodeType(list[1]);
+    const boxed = BOXED_TYPES[element] || (element && element.startsWith('List<') ? element : null);
+    return boxed ? `List<${boxed}>` : null;
+  }
+  return null;
+};
+
+// LeetCode language slugs of code snippets
+const LEETCODE_LANGUAGES = {
+  javascript: 'javascript',
+  python3: 'python',
+  java: 'java',
+  cpp: 'cpp',
+  c: 'c',
+  csharp: 'csharp',
+  golang: 'go',
+  ruby: 'ruby',
+  php: 'php'
+};
+
+/**
+ * Splits LeetCode's HTML content into the description (without the examples)
+ * and the examples, read from their "Input:/Output:/Explanation:" text.
+ */
+const splitLeetCodeContent = (content) => {
+  const exampleStart = content.search(/<p>\s*<strong[^>]*>\s*Example\s*1\s*:/i);
+  if (exampleStart === -1) {
+    return { description: content.trim(), examples: [] };
+  }
+  const constraintsStart = content.search(/<p>\s*<strong[^>]*>\s*Constraints\s*:/i);
+  const exampleEnd = constraintsStart > exampleStart ? constraintsStart : content.length;
+
+  const examples = content.slice(exampleStart, exampleEnd)
+    .split(/<p>\s*<strong[^>]*>\s*Example\s*\d+\s*:\s*<\/strong>\s*<\/p>/i)
+    .map(block => stripTags(block).trim())
+    .filter(Boolean)
+    .map((text) => {
+      const input = text.match(/Input:?\s*([\s\S]*?)\s*Output:?/);
+      const output = text.match(/Output:?\s*([^\n]*)/);
+      const explanation = text.match(/Explanation:?\s*([\s\S]*)$/);
+      return {
+        input: input ? input[1].trim() : '',
+        output: output ? output[1].trim() : '',
+        explanation: explanation ? explanation[1].trim() : ''
+      };
+    })
+    .filter(example => example.input || example.output);
+
+  return {
+    description: `${content.slice(0, exampleStart)}${content.slice(exampleEnd)}`.trim(),
+    examples
+  };
+};
+
+/**
+ * Reads LeetCode-style question JSON, as returned by LeetCode's `question`
+ * GraphQL query: HTML `content`, `topicTags`, `codeSnippets` as starter code,
+ * `metaData` for the function signature and `exampleTestcaseList` paired with
+ * the outputs of the examples in the statement as visible test cases.
+ */
+function fromLeetCodeQuestion(document, source) {
+  const question = document.data?.question || document.question || document;
+  const warnings = [];
+
+  const metaData = parseJson(question.metaData, {}) || {};
+  if (metaData.classname || metaData.systemdesign) {
+    throw new Error(`${source} is a design problem; only single-function LeetCode problems can be imported`);
+  }
+  if (!metaData.name) {
+    throw new Error(`${source} has no metaData with the function signature`);
+  }
+
+  const params = (metaData.params || []).map(param => ({ name: param.name, type: leetCodeType(param.type) || '' }));
+  const returnType = leetCodeType(metaData.return?.type) || '';
+  if (params.some(param => !param.type) || !returnType) {
+    warnings.push('Some parameter types are not supported; test inputs are read without type checking');
+  }
+
+  const { description, examples } = splitLeetCodeContent(question.content || '');
+  const inputs = Array.isArray(question.exampleTestcaseList)
+    ? question.exampleTestcaseList
+    : String(question.exampleTestcases || question.sampleTestCase || '').split('\n').reduce((cases, line, index) => {
+      // Each case has one line per parameter
+      if (index % Math.max(params.length, 1) === 0) cases.push([]);
+      cases[cases.length - 1].push(line);
+      return cases;
+    }, []).map(lines => lines.join('\n'));
+  const testCases = inputs
+    .map((input, index) => ({ input: normalizeTestText(input), expected_output: examples[index]?.output, hidden: false }))
+    .filter(testCase => testCase.input && testCase.expected_output !== undefined);
+  if (testCases.length === 0) {
+    warnings.push('No example test cases with outputs were found; add test cases before publishing');
+  }
+
+  const starterCode = {};
+  for (const snippet of question.codeSnippets || []) {
+    const language = LEETCODE_LANGUAGES[snippet.langSlug];
+    if (language && snippet.code) {
+      starterCode[language] = snippet.code;
+    }
+  }
+
+  const converted = {
+    title: question.title || question.titleSlug || source,
+    function_name: metaData.name,
+    description,
+    difficulty: question.difficulty,
+    io_mode: 'function',
+    parameter_schema: { params, returnType },
+    language_supported: Object.keys(starterCode),
+    tags: (question.topicTags || []).map(tag => tag.name || tag.slug).filter(Boolean),
+    examples,
+    checker_type: 'exact',
+    starter_code: Object.keys(starterCode).length > 0 ? starterCode : null
+  };
+  return { source, question: toQuestionPayload(converted, testCases, warnings), warnings };
+}
+
+const isLeetCodeQuestion = (document) => {
+  const question = document?.data?.question || document?.question || document;
+  return Boolean(question && typeof question === 'object' && (question.metaData || question.titleSlug || question.codeSnippets));
+};
+
+const readDocument = (document, source) => {
+  if (document?.format === PACKAGE_FORMAT) {
+    return fromNativePackage(document, null, source);
+  }
+  if (isLeetCodeQuestion(document)) {
+    return fromLeetCodeQuestion(document, source);
+  }
+  throw new Error(`${source} is not a ${PACKAGE_FORMAT} package or LeetCode question`);
+};
+
+// Files below `root`, keyed by their path relative to it
+const filesUnder = (files, root) => Object.fromEntries(files
+  .filter(file => file.path.startsWith(root))
+  .map(file => [file.path.slice(root.length), file]));
+
+/**
+ * Finds every package in a ZIP. A folder holding `problem.json` or
+ * `problem.xml` is one package; other `.json` files are read as LeetCode
+ * questions. Packages may sit at the root or in one folder each.
+ */
+function readPackageArchive(buffer) {
+  const files = readArchiveFiles(buffer, { maxBytes: PACKAGE_LIMITS.archiveBytes });
+  const roots = files
+    .filter(file => /(^|\/)problem\.(json|xml)$/.test(file.path))
+    .map(file => file.path.slice(0, file.path.lastIndexOf('/') + 1))
+    .filter((root, index, all) => all.indexOf(root) === index);
+
+  const results = [];
+  for (const root of roots) {
+    const packageFiles = filesUnder(files, root);
+    const source = root.replace(/\/$/, '') || 'problem';
+    try {
+      if (packageFiles['problem.xml']) {
+        results.push(fromPolygonPackage(packageFiles, source));
+        continue;
+      }
+      const document = parseJson(packageFiles['problem.json'].read(), null);
+      if (!document) {
+        throw new Error(`${source}/problem.json is not valid JSON`);
+      }
+      const testFiles = Object.entries(packageFiles)
+        .filter(([path]) => path.startsWith('tests/'))
+        .map(([path, file]) => ({ ...file, path: path.slice('tests/'.length) }));
+      results.push(document.format === PACKAGE_FORMAT && !document.testCases
+        ? fromNativePackage(document, testFiles, source)
+        : readDocument(document, source));
+    } catch (error) {
+      results.push({ source, error: error.message });
+    }
+  }
+
+  // Loose JSON files outside package folders, e.g. a folder of LeetCode questions
+  const loose = files.filter(file => file.path.endsWith('.json') && !roots.some(root => file.path.startsWith(root)));
+  for (const file of loose) {
+    const document = parseJson(file.read(), null);
+    if (!isLeetCodeQuestion(document)) continue;
+    try {
+      results.push(fromLeetCodeQuestion(document, file.path));
+    } catch (error) {
+      results.push({ source: file.path, error: error.message });
+    }
+  }
+
+  if (results.length === 0) {
+    throw new Error('The archive has no problem.json, problem.xml or LeetCode question files');
+  }
+  return results;
+}
+
+/**
+ * Read the packages of an import request
+ * @param {Object} input - `archive` (base64 ZIP) or `package` (a package
+ * document, LeetCode question JSON, or an array of either)
+ * @returns {Array<Object>} - [{ source, question, warnings }] where `question`
+ * is a POST /api/questions body, or [{ source, error }] for unusable packages.
+ * Throws an Error when the input itself is unusable.
+ */
+function readPackages({ archive, package: document }) {
+  let results;
+  if (typeof archive === 'string' && archive) {
+    results = readPackageArchive(Buffer.from(archive, 'base64'));
+  } else if (document && typeof document === 'object') {
+    const documents = Array.isArray(document) ? document : [document];
+    results = documents.map((entry, index) => {
+      const source = entry?.question?.title || entry?.title || `package ${index + 1}`;
+      try {
+        return readDocument(entry, source);
+      } catch (error) {
+        return { source, error: error.message };
+      }
+    });
+  } else {
+    throw new Error('Please provide a package archive or package JSON');
+  }
+
+  if (results.length > PACKAGE_LIMITS.packages) {
+    throw new Error(`The import has ${results.length} problems; at most ${PACKAGE_LIMITS.packages} can be imported at once`);
+  }
+  return results;
+}
+
+module.exports = {
+  buildPackage,
+  buildPackageArchive,
+  readPackages,
+  PACKAGE_FORMAT,
+  PACKAGE_LIMITS
+};
@@ -0,0 +1,188 @@
+/**
+ * @file questionVersions.js
+ * @description Version history of questions. Every change to a question or
+ * its test cases stores a snapshot of both (in the problem package layout of
+ * problemPackage.js) as a new row of `question_versions` and bumps
+ * `questions.version`; submissions record the version they were judged
+ * against so results on outdated test cases can be found and rejudged.
+ */
+
+const { buildPackage } = require('./problemPackage');
+
+// Line diffs of longer texts are reported as a whole replacement
+const MAX_DIFF_CELLS = 1000000;
+
+const parseSnapshot = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// JSON columns come back with their keys reordered, so compare with sorted keys
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Line-by-line diff of two texts (longest common subsequence)
+ * @returns {Array<Object>} - [{ type: 'same' | 'added' | 'removed', text }]
+ */
+function diffLines(before, after) {
+  const a = String(before ?? '').split('\n');
+  const b = String(after ?? '').split('\n');
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+/**
+ * Compare two snapshots
+ * @returns {Object} - { fields: [{ field, before, after }], description, testCases }
+ * where `description` is a line diff (or null when unchanged) and `testCases`
+ * lists test cases added, removed or changed, by position
+ */
+function diffSnapshots(before, after) {
+  const fields = [];
+  const names = new Set([...Object.keys(before.question), ...Object.keys(after.question)]);
+  for (const field of names) {
+    if (stableStringify(before.question[field]) !== stableStringify(after.question[field])) {
+      fields.push({ field, before: before.question[field] ?? null, after: after.question[field] ?? null });
+    }
+  }
+
+  const testCases = [];
+  const count = Math.max(before.testCases.length, after.testCases.length);
+  for (let index = 0; index < count; index++) {
+    const previous = before.testCases[index];
+    const current = after.testCases[index];
+    if (!previous) {
+      testCases.push({ number: index + 1, change: 'added', before: null, after: current });
+    } else if (!current) {
+      testCases.push({ number: index + 1, change: 'removed', before: previous, after: null });
+    } else if (stableStringify(previous) !== stableStringify(current)) {
+      testCases.push({ number: index + 1, change: 'changed', before: previous, after: current });
+    }
+  }
+
+  const descriptionChanged = fields.some(entry => entry.field === 'description');
+  return {
+    fields,
+    description: descriptionChanged ? diffLines(before.question.description, after.question.description) : null,
+    testCases
+  };
+}
+
+/**
+ * One-line summary of a diff for the history list
+ */
+function summarizeDiff(diff) {
+  const parts = [];
+  const fields = diff.fields.map(entry => entry.field);
+  if (fields.length > 0) {
+    parts.push(`Changed ${fields.join(', ')}`);
+  }
+  for (const change of ['added', 'removed', 'changed']) {
+    const count = diff.testCases.filter(entry => entry.change === change).length;
+    if (count > 0) {
+      parts.push(`${count} test case${count === 1 ? '' : 's'} ${change}`);
+    }
+  }
+  return parts.join('; ').slice(0, 255);
+}
+
+/**
+ * Current state of a question and its test cases
+ * @returns {Promise<Object|null>} - { version, snapshot } or null when the question does not exist
+ */
+async function loadSnapshot(db, questionId) {
+  const [questions] = await db.execute('SELECT * FROM questions WHERE id = ?', [questionId]);
+  if (questions.length === 0) {
+    return null;
+  }
+  const [testCases] = await db.execute(
+    'SELECT input, expected_output, hidden, subtask, points FROM test_cases WHERE question_id = ? ORDER BY id',
+    [questionId]
+  );
+  const { question, testCases: cases } = buildPackage(questions[0], testCases);
+  return { version: questions[0].version || 1, snapshot: { question, testCases: cases } };
+}
+
+/**
+ * Store the current state of a question as a new version when it differs
+ * from the latest stored one. Call it after every change; calling it before a
+ * change as well records the original state of questions created before
+ * versioning existed.
+ * @param {Object} db - Pool or connection (inside the caller's transaction, if any)
+ * @param {number} questionId - Question ID
+ * @param {number|null} userId - Admin who made the change
+ * @returns {Promise<number|null>} - Current version, or null when the question does not exist
+ */
+async function recordVersion(db, questionId, userId) {
+  const current = await loadSnapshot(db, questionId);
+  if (!current) {
+    return null;
+  }
+
+  const [latest] = await db.execute(
+    'SELECT version, snapshot FROM question_versions WHERE question_id = ? ORDER BY version DESC LIMIT 1',
+    [questionId]
+  );
+
+  if (latest.length === 0) {
+    await db.execute(
+      'INSERT INTO question_versions (question_id, version, snapshot, summary, created_by) VALUES (?, ?, ?, ?, ?)',
+      [questionId, current.version, JSON.stringify(current.snapshot), 'Initial version', userId]
+    );
+    return current.version;
+  }
+
+  const diff = diffSnapshots(parseSnapshot(latest[0].snapshot), current.snapshot);
+  if (diff.fields.length === 0 && diff.testCases.length === 0) {
+    return latest[0].version;
+  }
+
+  const version = latest[0].version + 1;
+  await db.execute(
+    'INSERT INTO question_versions (question_id, version, snapshot, summary, created_by) VALUES (?, ?, ?, ?, ?)',
+    [questionId, version, JSON.stringify(current.snapshot), summarizeDiff(diff), userId]
+  );
+  await db.execute('UPDATE questions SET version = ? WHERE id = ?', [version, questionId]);
+  return version;
+}
+
+module.exports = {
+  recordVersion,
+  diffSnapshots,
+  parseSnapshot
+};
@@ -0,0 +1,415 @@
+/**
+ * @file quizAttempts.js
+ * @description Per-attempt quiz questions. When a student opens a quiz, its
+ * own questions and questions drawn from the question bank by the quiz's
+ * rules (`quiz_rules`: "5 Easy arrays") are copied into a `quiz_attempts`
+ * row, optionally in shuffled order and with shuffled options. The copy keeps
+ * the answer keys remapped to the shuffled options, so the attempt is graded
+ * exactly as it was served even if the quiz or the bank changes meanwhile.
+ *
+ * The attempt is also the server's clock: its deadline is fixed from the quiz
+ * duration (but never after the quiz closes) when it starts, answers are
+ * autosaved on it, and an attempt past its deadline is finalized with its last
+ * saved answers, either when the student comes back or by the expiry sweep
+ * started from index.js.
+ */
+
+const crypto = require('crypto');
+const { formatQuizQuestion, scoreAnswer } = require('./quizQuestions');
+const { countedScore } = require('./quizPolicies');
+const { parseJson } = require('./json');
+
+const RULE_LIMITS = {
+  count: { min: 1, max: 50 }  // questions drawn by one rule
+};
+
+// Answers arriving this long after the deadline are still accepted (network latency)
+const GRACE_SECONDS = 30;
+
+// How often attempts past their deadline are finalized in the background
+const EXPIRY_SWEEP_MS = 60 * 1000;
+
+let sweepTimer = null;
+
+// Fisher-Yates with a cryptographic source, so the order cannot be predicted
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * SQL expression for the number of questions an attempt of a quiz serves
+ * @param {string} quizColumn - Column holding the quiz id, e.g. `q.id`
+ */
+const questionCountSql = (quizColumn) => `((SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = ${quizColumn})
+  + (SELECT COALESCE(SUM(qr.question_count), 0) FROM quiz_rules qr WHERE qr.quiz_id = ${quizColumn}))`;
+
+/**
+ * Validate the rules sent by the quiz form
+ * @param {Array<Object>} rules - [{ topic, difficulty, question_count }], where
+ * an empty topic or difficulty matches any
+ * @returns {Object} - { error } or { rules } with normalized values
+ */
+function normalizeRules(rules) {
+  if (!Array.isArray(rules)) return { rules: [] };
+  const normalized = [];
+  for (const rule of rules) {
+    const topic = typeof rule?.topic === 'string' && rule.topic.trim() ? rule.topic.trim() : null;
+    const difficulty = typeof rule?.difficulty === 'string' && rule.difficulty.trim() ? rule.difficulty.trim() : null;
+    const count = Number(rule?.question_count);
+    if (!Number.isInteger(count) || count < RULE_LIMITS.count.min || count > RULE_LIMITS.count.max) {
+      return { error: `Each rule draws between ${RULE_LIMITS.count.min} and ${RULE_LIMITS.count.max} questions` };
+    }
+    normalized.push({ topic, difficulty, question_count: count });
+  }
+  return { rules: normalized };
+}
+
+const describeRule = (rule) => [rule.difficulty || 'any difficulty', rule.topic || 'any topic'].join(' ');
+
+/**
+ * Bank questions matching a rule
+ * @param {Object} db - Pool or connection
+ * @param {boolean} idsOnly - Select only the ids
+ */
+async function matchingBankQuestions(db, rule, idsOnly = false) {
+  const conditions = [];
+  const params = [];
+  if (rule.topic) {
+    conditions.push('topic = ?');
+    params.push(rule.topic);
+  }
+  if (rule.difficulty) {
+    conditions.push('difficulty = ?');
+    params.push(rule.difficulty);
+  }
+  const [rows] = await db.execute(
+    `SELECT ${idsOnly ? 'id' : '*'} FROM question_bank ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Check that the bank holds enough questions for every rule
+ * @returns {Promise<string|null>} - Error message or null
+ */
+async function checkRuleAvailability(db, rules) {
+  for (const rule of rules) {
+    const rows = await matchingBankQuestions(db, rule, true);
+    if (rows.length < rule.question_count) {
+      return `The question bank has only ${rows.length} question(s) for ${describeRule(rule)}, ${rule.question_count} requested`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Copy of a stored question for an attempt, with shuffled options when asked.
+ * Single-choice and multiple-select keys are remapped to the new option order.
+ */
+function serveQuestion(row, source, shuffleOptions) {
+  const data = parseJson(row.options, null) || {};
+  const options = Array.isArray(data.options) ? data.options : [];
+  const type = row.question_type || 'single';
+  let answer = parseJson(row.answer, null);
+  let correctOption = row.correct_option;
+  let servedOptions = options;
+
+  if (shuffleOptions && (type === 'single' || type === 'multiple') && options.length > 1) {
+    // order[newIndex] = original index
+    const order = shuffle(options.map((_, index) => index));
+    servedOptions = order.map(index => options[index]);
+    if (type === 'single') {
+      correctOption = order.indexOf(Number(row.correct_option));
+    } else if (answer && Array.isArray(answer.correct)) {
+      answer = { ...answer, correct: answer.correct.map(index => order.indexOf(index)).sort((a, b) => a - b) };
+    }
+  }
+
+  return {
+    source,
+    source_id: row.id,
+    question: row.question,
+    question_type: type,
+    options: { ...data, options: servedOptions },
+    correct_option: correctOption,
+    answer,
+    difficulty: row.difficulty,
+    ...(source === 'bank' ? { topic: row.topic } : {})
+  };
+}
+
+/**
+ * Draw the questions of a new attempt
+ * @param {Object} db - Pool or connection
+ * @param {Object} quiz - quizzes row
+ * @returns {Promise<Array<Object>>} - Served questions, numbered from 1 as `id`
+ */
+async function drawQuestions(db, quiz) {
+  const shuffleOptions = Boolean(quiz.shuffle_options);
+  const [fixed] = await db.execute('SELECT * FROM quiz_questions WHERE quiz_id = ? ORDER BY id', [quiz.id]);
+  const [rules] = await db.execute('SELECT * FROM quiz_rules WHERE quiz_id = ? ORDER BY id', [quiz.id]);
+
+  const served = fixed.map(row => serveQuestion(row, 'quiz', shuffleOptions));
+  const drawn = new Set();
+  for (const rule of rules) {
+    // A question is drawn once even when several rules match it
+    const candidates = (await matchingBankQuestions(db, rule)).filter(row => !drawn.has(row.id));
+    for (const row of shuffle(candidates).slice(0, rule.question_count)) {
+      drawn.add(row.id);
+      served.push(serveQuestion(row, 'bank', shuffleOptions));
+    }
+  }
+
+  const ordered = quiz.shuffle_questions ? shuffle(served) : served;
+  return ordered.map((question, index) => ({ id: index + 1, ...question }));
+}
+
+const ATTEMPT_COLUMNS = `*, TIMESTAMPDIFF(SECOND, CURRENT_TIMESTAMP, deadline_at) AS remaining_seconds`;
+
+const parseAttempt = (row) => ({
+  ...row,
+  questions: parseJson(row.questions, []),
+  answers: parseJson(row.answers, null) || {},
+  remaining_seconds: row.remaining_seconds === null ? null : Number(row.remaining_seconds)
+});
+
+/**
+ * Whether an attempt is past its deadline and grace period
+ */
+const isExpired = (attempt) => attempt.remaining_seconds !== null && attempt.remaining_seconds < -GRACE_SECONDS;
+
+/**
+ * The attempt a student is working on, if any, with `remaining_seconds` until
+ * its deadline (negative once it has passed)
+ */
+async function getOpenAttempt(db, quizId, userId) {
+  const [attempts] = await db.execute(
+    `SELECT ${ATTEMPT_COLUMNS} FROM quiz_attempts
+     WHERE quiz_id = ? AND user_id = ? AND status = 'in_progress' ORDER BY id DESC LIMIT 1`,
+    [quizId, userId]
+  );
+  return attempts.length > 0 ? parseAttempt(attempts[0]) : null;
+}
+
+/**
+ * The latest submitted attempt of a student, with its answers
+ */
+async function getLastSubmittedAttempt(db, quizId, userId) {
+  const [attempts] = await db.execute(
+    `SELECT ${ATTEMPT_COLUMNS} FROM quiz_attempts
+     WHERE quiz_id = ? AND user_id = ? AND status = 'submitted' ORDER BY id DESC LIMIT 1`,
+    [quizId, userId]
+  );
+  return attempts.length > 0 ? parseAttempt(attempts[0]) : null;
+}
+
+/**
+ * Number of attempts a student has submitted, which max_attempts limits
+ */
+async function countSubmittedAttempts(db, quizId, userId) {
+  const [rows] = await db.execute(
+    'SELECT COUNT(*) AS total FROM quiz_submissions WHERE quiz_id = ? AND user_id = ?',
+    [quizId, userId]
+  );
+  return Number(rows[0].total);
+}
+
+/**
+ * Start a newly drawn attempt with its deadline
+ * @param {Object} db - Pool or connection
+ * @param {Object} quiz - quizzes row
+ * @param {number} userId - User ID
+ */
+async function startAttempt(db, quiz, userId) {
+  const questions = await drawQuestions(db, quiz);
+  const deadline = 'DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)';
+  await db.execute(
+    `INSERT INTO quiz_attempts (quiz_id, user_id, questions, deadline_at)
+     VALUES (?, ?, ?, ${quiz.closes_at ? `LEAST(${deadline}, ?)` : deadline})`,
+    [quiz.id, userId, JSON.stringify(questions), Number(quiz.duration) || 60, ...(quiz.closes_at ? [quiz.closes_at] : [])]
+  );
+  return getOpenAttempt(db, quiz.id, userId);
+}
+
+/**
+ * Autosave the answers of an attempt that is still running
+ * @returns {Promise<boolean>} - False when the attempt is over
+ */
+async function saveAnswers(db, attempt, answers) {
+  if (isExpired(attempt)) return false;
+  const [result] = await db.execute(
+    "UPDATE quiz_attempts SET answers = ?, saved_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'in_progress'",
+    [JSON.stringify(answers), attempt.id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Grade answers against the questions served in an attempt
+ * @param {Array<Object>} questions - Served questions
+ * @param {Object} answers - Answers keyed by served question id
+ * @returns {Object} - { points, score, correctAnswers, totalQuestions, questionResults } where
+ * `points` sums the credit of every answer and `score` is the percentage
+ */
+function gradeAnswers(questions, answers) {
+  let points = 0;
+  let correctAnswers = 0;
+  const questionResults = [];
+
+  for (const question of questions) {
+    const { options, code, language } = formatQuizQuestion(question);
+    const type = question.question_type || 'single';
+
+    const answerKey = Object.prototype.hasOwnProperty.call(answers, question.id)
+      ? question.id
+      : Object.prototype.hasOwnProperty.call(answers, String(question.id))
+        ? String(question.id)
+        : null;
+    const response = answerKey !== null ? answers[answerKey] : undefined;
+
+    const result = scoreAnswer(question, response);
+    points += result.credit;
+    if (result.isCorrect) {
+      correctAnswers += 1;
+    }
+
+    questionResults.push({
+      question: question.question,
+      type,
+      options,
+      ...(type === 'code_output' ? { code, language } : {}),
+      userAnswerIndex: result.userAnswerIndex,
+      correctAnswerIndex: result.correctAnswerIndex,
+      userAnswerIndexes: result.userAnswerIndexes,
+      correctAnswerIndexes: result.correctAnswerIndexes,
+      userAnswer: result.userAnswer,
+      correctAnswer: result.correctAnswer,
+      answered: result.answered,
+      credit: result.credit,
+      isCorrect: result.isCorrect
+    });
+  }
+
+  points = Math.round(points * 100) / 100;
+  const totalQuestions = questions.length;
+  return {
+    points,
+    score: totalQuestions > 0 ? Math.round((points / totalQuestions) * 100) : 0,
+    correctAnswers,
+    totalQuestions,
+    questionResults
+  };
+}
+
+/**
+ * Close an attempt, grade it and record the submission and the student's progress
+ * @param {Object} db - Pool
+ * @param {Object} attempt - Open attempt (see getOpenAttempt)
+ * @param {Object} answers - Answers to grade
+ * @param {boolean} autoSubmitted - Finalized because time ran out
+ * @returns {Promise<Object|null>} - Graded result (see gradeAnswers), or null
+ * when the attempt was already finalized
+ */
+async function finalizeAttempt(db, attempt, answers, autoSubmitted = false) {
+  // Claim the attempt first so a late submit and the sweep cannot both grade it
+  const [claimed] = await db.execute(
+    `UPDATE quiz_attempts SET status = 'submitted', answers = ?, auto_submitted = ?, submitted_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'in_progress'`,
+    [JSON.stringify(answers), autoSubmitted, attempt.id]
+  );
+  if (claimed.affectedRows === 0) return null;
+
+  const result = gradeAnswers(attempt.questions, answers);
+
+  await db.execute(
+    'INSERT INTO quiz_submissions (user_id, quiz_id, attempt_id, score, total_questions, answers) VALUES (?, ?, ?, ?, ?, ?)',
+    [attempt.user_id, attempt.quiz_id, attempt.id, result.points, result.totalQuestions, JSON.stringify(answers)]
+  );
+
+  // The progress score is the one the quiz's grading policy counts
+  const [quizzes] = await db.execute('SELECT grading_policy FROM quizzes WHERE id = ?', [attempt.quiz_id]);
+  const [totals] = await db.execute(
+    `SELECT COUNT(*) AS attempts, MAX(score) AS best, AVG(score) AS average
+     FROM quiz_submissions WHERE user_id = ? AND quiz_id = ?`,
+    [attempt.user_id, attempt.quiz_id]
+  );
+  const { attempts, best } = totals[0];
+  const score = countedScore(quizzes[0]?.grading_policy, totals[0], result.points);
+
+  await db.execute(
+    `INSERT INTO user_quiz_progress 
+     (user_id, quiz_id, status, score, total_questions, attempts_count, best_score) 
+     VALUES (?, ?, 'completed', ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+     status = 'completed',
+     score = ?,
+     total_questions = ?,
+     attempts_count = ?,
+     best_score = ?`,
+    [attempt.user_id, attempt.quiz_id, score, result.totalQuestions, attempts, best,
+      score, result.totalQuestions, attempts, best]
+  );
+
+  return { ...result, autoSubmitted };
+}
+
+/**
+ * Finalize every attempt past its deadline with its saved answers
+ * @returns {Promise<number>} - Attempts finalized
+ */
+async function finalizeExpiredAttempts(db) {
+  const [rows] = await db.execute(
+    `SELECT ${ATTEMPT_COLUMNS} FROM quiz_attempts
+     WHERE status = 'in_progress' AND deadline_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ${GRACE_SECONDS} SECOND)`
+  );
+  let finalized = 0;
+  for (const row of rows) {
+    const attempt = parseAttempt(row);
+    if (await finalizeAttempt(db, attempt, attempt.answers, true)) finalized++;
+  }
+  return finalized;
+}
+
+/**
+ * Finalize expired attempts now and every EXPIRY_SWEEP_MS
+ * @param {Object} dbPool - mysql2 promise pool
+ */
+function startExpirySweep(dbPool) {
+  const sweep = async () => {
+    try {
+      const finalized = await finalizeExpiredAttempts(dbPool);
+      if (finalized > 0) {
+        console.log(`[Quiz] Finalized ${finalized} attempt(s) past their deadline`);
+      }
+    } catch (error) {
+      console.error('[Quiz] Expired attempt sweep failed:', error.message);
+    }
+  };
+  if (sweepTimer) clearInterval(sweepTimer);
+  sweepTimer = setInterval(sweep, EXPIRY_SWEEP_MS);
+  return sweep();
+}
+
+module.exports = {
+  RULE_LIMITS,
+  GRACE_SECONDS,
+  questionCountSql,
+  normalizeRules,
+  checkRuleAvailability,
+  drawQuestions,
+  isExpired,
+  getOpenAttempt,
+  getLastSubmittedAttempt,
+  countSubmittedAttempts,
+  startAttempt,
+  saveAnswers,
+  gradeAnswers,
+  finalizeAttempt,
+  startExpirySweep
+};
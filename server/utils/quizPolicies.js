@@ -0,0 +1,162 @@
+/**
+ * @file quizPolicies.js
+ * @description Availability, attempt and grading settings of a quiz. A quiz is
+ * open from `scheduled_time` until `closes_at` (either may be empty), allows
+ * at most `max_attempts` submitted attempts (empty for unlimited), counts the
+ * best, last or average attempt as the student's score (`grading_policy`) and
+ * reveals correct answers immediately, after it closes or never
+ * (`reveal_answers`).
+ */
+
+const { toSqlDateTime } = require('./dates');
+
+const GRADING_POLICIES = ['best', 'last', 'average'];
+
+const REVEAL_POLICIES = ['immediately', 'after_close', 'never'];
+
+const ATTEMPT_LIMITS = { min: 1, max: 100 };
+
+// Per-question fields that give the answer key away
+const ANSWER_FIELDS = ['correctAnswer', 'correctAnswerIndex', 'correctAnswerIndexes'];
+
+const isEmpty = (value) => value === null || value === '';
+
+/**
+ * Validate the settings sent by the quiz form. Fields left undefined keep
+ * their current value.
+ * @param {Object} body - { closes_at, max_attempts, grading_policy, reveal_answers }
+ * @param {Object} existing - Current quizzes row, if any
+ * @param {string|Date|null} opensAt - Opening time the quiz will have
+ * @returns {Object} - { error } or { values } ready for the quizzes columns
+ */
+function normalizeQuizSettings(body, existing = {}, opensAt = null) {
+  let closesAt = existing.closes_at ?? null;
+  if (body.closes_at !== undefined) {
+    closesAt = isEmpty(body.closes_at) ? null : toSqlDateTime(body.closes_at);
+    if (!isEmpty(body.closes_at) && !closesAt) {
+      return { error: 'Please provide a valid closing time' };
+    }
+  }
+  if (closesAt && opensAt && new Date(closesAt) <= new Date(opensAt)) {
+    return { error: 'The quiz must close after it opens' };
+  }
+
+  let maxAttempts = existing.max_attempts ?? null;
+  if (body.max_attempts !== undefined) {
+    maxAttempts = isEmpty(body.max_attempts) ? null : Number(body.max_attempts);
+    if (maxAttempts !== null
+      && (!Number.isInteger(maxAttempts) || maxAttempts < ATTEMPT_LIMITS.min || maxAttempts > ATTEMPT_LIMITS.max)) {
+      return { error: `Attempts must be between ${ATTEMPT_LIMITS.min} and ${ATTEMPT_LIMITS.max}, or empty for unlimited` };
+    }
+  }
+
+  const gradingPolicy = body.grading_policy ?? existing.grading_policy ?? 'best';
+  if (!GRADING_POLICIES.includes(gradingPolicy)) {
+    return { error: `Unsupported grading policy: ${gradingPolicy}` };
+  }
+
+  const revealAnswers = body.reveal_answers ?? existing.reveal_answers ?? 'immediately';
+  if (!REVEAL_POLICIES.includes(revealAnswers)) {
+    return { error: `Unsupported answer reveal policy: ${revealAnswers}` };
+  }
+  if (revealAnswers === 'after_close' && !closesAt) {
+    return { error: 'Set a closing time to reveal answers after the quiz closes' };
+  }
+
+  return {
+    values: {
+      closes_at: closesAt,
+      max_attempts: maxAttempts,
+      grading_policy: gradingPolicy,
+      reveal_answers: revealAnswers
+    }
+  };
+}
+
+/**
+ * Whether a student can start a new attempt
+ * @param {Object} quiz - quizzes row
+ * @param {number} attemptsUsed - Attempts the student has submitted
+ * @returns {Object} - { open, reason, message } where `reason` is
+ * 'upcoming', 'closed' or 'no_attempts_left' when it is not open
+ */
+function quizAvailability(quiz, attemptsUsed, now = new Date()) {
+  if (quiz.scheduled_time && new Date(quiz.scheduled_time) > now) {
+    return { open: false, reason: 'upcoming', message: 'This quiz has not opened yet.' };
+  }
+  if (quiz.closes_at && new Date(quiz.closes_at) <= now) {
+    return { open: false, reason: 'closed', message: 'This quiz is closed.' };
+  }
+  if (quiz.max_attempts && attemptsUsed >= quiz.max_attempts) {
+    return {
+      open: false,
+      reason: 'no_attempts_left',
+      message: `You have used all ${quiz.max_attempts} attempt(s) for this quiz.`
+    };
+  }
+  return { open: true, reason: null, message: null };
+}
+
+/**
+ * Whether the correct answers of a quiz can be shown to students
+ */
+function answersRevealed(quiz, now = new Date()) {
+  switch (quiz.reveal_answers) {
+    case 'never':
+      return false;
+    case 'after_close':
+      return Boolean(quiz.closes_at) && new Date(quiz.closes_at) <= now;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Remove the answer keys from graded results the quiz does not reveal yet
+ * @param {Object} quiz - quizzes row
+ * @param {Object} result - Graded attempt (see quizAttempts.gradeAnswers)
+ * @returns {Object} - The result with `answersHidden`, and `revealAt` when
+ * the answers are shown once the quiz closes
+ */
+function applyRevealPolicy(quiz, result) {
+  if (!result || answersRevealed(quiz)) {
+    return result && { ...result, answersHidden: false };
+  }
+  return {
+    ...result,
+    answersHidden: true,
+    revealAt: quiz.reveal_answers === 'after_close' ? quiz.closes_at : null,
+    questionResults: result.questionResults.map(questionResult => {
+      const hidden = { ...questionResult };
+      ANSWER_FIELDS.forEach(field => delete hidden[field]);
+      return hidden;
+    })
+  };
+}
+
+/**
+ * The score that counts for a student under a grading policy
+ * @param {string} policy - best, last or average
+ * @param {Object} totals - { best, average } over all submitted attempts
+ * @param {number} last - Points of the latest attempt
+ */
+function countedScore(policy, totals, last) {
+  switch (policy) {
+    case 'last':
+      return last;
+    case 'average':
+      return Math.round(Number(totals.average) * 100) / 100;
+    default:
+      return Number(totals.best);
+  }
+}
+
+module.exports = {
+  GRADING_POLICIES,
+  REVEAL_POLICIES,
+  normalizeQuizSettings,
+  quizAvailability,
+  answersRevealed,
+  applyRevealPolicy,
+  countedScore
+};
@@ -0,0 +1,328 @@
+/**
+ * @file quizQuestions.js
+ * @description Quiz question types and their scoring. Every question keeps its
+ * public data (`options`, plus the code snippet of code-output questions) in
+ * `quiz_questions.options` and its answer key in `correct_option` (single
+ * choice and true/false) or the `answer` JSON column (everything else), which
+ * is never sent to students before they submit. Bank questions
+ * (`question_bank`) and the questions served in an attempt (see
+ * quizAttempts.js) have the same layout.
+ *
+ * Answer keys:
+ * - multiple:    { correct: [optionIndex], partial_credit }
+ * - numeric:     { value, tolerance }
+ * - text:        { accepted: [string or "/regex/flags"], case_sensitive }
+ * - code_output: { output }
+ */
+
+const vm = require('vm');
+const { parseJson } = require('./json');
+
+const QUIZ_QUESTION_TYPES = ['single', 'multiple', 'true_false', 'numeric', 'text', 'code_output'];
+
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/s;
+
+// Answer patterns are written by admins but run on student input, so they are
+// kept short and each match gets a time budget: a pattern prone to
+// catastrophic backtracking fails the answer instead of stalling the server.
+const PATTERN_LIMITS = {
+  patternLength: 200,
+  answerLength: 500,
+  timeoutMs: 50
+};
+
+const patternContext = vm.createContext({});
+const patternTest = new vm.Script('regex.test(value)');
+
+const optionArrayOf = (options) => {
+  if (Array.isArray(options)) return options;
+  if (Array.isArray(options?.options)) return options.options;
+  return [];
+};
+
+/**
+ * Compiles an accepted answer written as /pattern/flags, or null for plain text
+ * @throws {SyntaxError} - When the pattern is not a valid regular expression
+ * or longer than PATTERN_LIMITS.patternLength
+ */
+const compilePattern = (accepted, caseSensitive) => {
+  const match = REGEX_PATTERN.exec(accepted);
+  if (!match) return null;
+  if (match[1].length > PATTERN_LIMITS.patternLength) {
+    throw new SyntaxError(`patterns can be at most ${PATTERN_LIMITS.patternLength} characters`);
+  }
+  const flags = match[2].replace(/[gy]/g, '');
+  return new RegExp(`^(?:${match[1]})$`, caseSensitive || flags.includes('i') ? flags : `${flags}i`);
+};
+
+/**
+ * Tests an answer against a compiled pattern within PATTERN_LIMITS; overlong
+ * answers and matches that run out of time do not match.
+ */
+const matchesPattern = (regex, value) => {
+  if (value.length > PATTERN_LIMITS.answerLength) return false;
+  patternContext.regex = regex;
+  patternContext.value = value;
+  try {
+    return patternTest.runInContext(patternContext, { timeout: PATTERN_LIMITS.timeoutMs }) === true;
+  } catch (error) {
+    console.error(`[Quiz] Answer pattern ${regex} stopped:`, error.message);
+    return false;
+  }
+};
+
+// Output comparison ignores trailing whitespace and line ending style
+const normalizeOutput = (text) => String(text ?? '')
+  .replace(/\r\n/g, '\n')
+  .split('\n')
+  .map(line => line.replace(/\s+$/, ''))
+  .join('\n')
+  .replace(/\n+$/, '');
+
+/**
+ * Validate a question sent by the quiz form and convert it to column values
+ * @param {Object} question - { question, question_type, options, correct_option, answer, difficulty, code, language }
+ * @returns {Object} - { error } or { values: { question, question_type, options, correct_option, answer, difficulty } }
+ * with `options` and `answer` serialized as JSON
+ */
+function normalizeQuizQuestion(question) {
+  const type = question?.question_type || 'single';
+  const text = typeof question?.question === 'string' ? question.question.trim() : '';
+  const answer = question?.answer && typeof question.answer === 'object' ? question.answer : {};
+  let options = optionArrayOf(question?.options).map(option => option ?? '');
+  const publicData = {};
+  let correctOption = null;
+  let answerKey = null;
+
+  if (!QUIZ_QUESTION_TYPES.includes(type)) {
+    return { error: `Unsupported question type: ${type}` };
+  }
+  if (!text) {
+    return { error: 'Every question needs a question text' };
+  }
+
+  switch (type) {
+    case 'single': {
+      correctOption = Number(question.correct_option);
+      if (!Number.isInteger(correctOption) || correctOption < 0 || correctOption >= options.length) {
+        return { error: `"${text}" needs a correct option` };
+      }
+      break;
+    }
+    case 'true_false': {
+      options = TRUE_FALSE_OPTIONS;
+      correctOption = Number(question.correct_option) === 1 ? 1 : 0;
+      break;
+    }
+    case 'multiple': {
+      const correct = [...new Set((Array.isArray(answer.correct) ? answer.correct : []).map(Number))]
+        .filter(index => Number.isInteger(index) && index >= 0 && index < options.length)
+        .sort((a, b) => a - b);
+      if (correct.length === 0) {
+        return { error: `"${text}" needs at least one correct option` };
+      }
+      answerKey = { correct, partial_credit: Boolean(answer.partial_credit) };
+      break;
+    }
+    case 'numeric': {
+      const value = Number(answer.value);
+      const tolerance = answer.tolerance === undefined || answer.tolerance === '' ? 0 : Number(answer.tolerance);
+      if (answer.value === '' || answer.value === null || answer.value === undefined || !Number.isFinite(value)) {
+        return { error: `"${text}" needs a numeric answer` };
+      }
+      if (!Number.isFinite(tolerance) || tolerance < 0) {
+        return { error: `The tolerance of "${text}" must be a non-negative number` };
+      }
+      options = [];
+      answerKey = { value, tolerance };
+      break;
+    }
+    case 'text': {
+      const accepted = (Array.isArray(answer.accepted) ? answer.accepted : [])
+        .map(value => String(value ?? '').trim())
+        .filter(Boolean);
+      if (accepted.length === 0) {
+        return { error: `"${text}" needs at least one accepted answer` };
+      }
+      for (const value of accepted) {
+        try {
+          compilePattern(value, answer.case_sensitive);
+        } catch (e) {
+          return { error: `Invalid answer pattern ${value}: ${e.message}` };
+        }
+      }
+      options = [];
+      answerKey = { accepted, case_sensitive: Boolean(answer.case_sensitive) };
+      break;
+    }
+    case 'code_output': {
+      if (typeof question.code !== 'string' || !question.code.trim()) {
+        return { error: `"${text}" needs a code snippet` };
+      }
+      if (answer.output === undefined || answer.output === null || normalizeOutput(answer.output) === '') {
+        return { error: `"${text}" needs the expected output` };
+      }
+      options = [];
+      publicData.code = question.code;
+      publicData.language = question.language || null;
+      answerKey = { output: String(answer.output) };
+      break;
+    }
+    default:
+      break;
+  }
+
+  return {
+    values: {
+      question: text,
+      question_type: type,
+      options: JSON.stringify({ options, ...publicData }),
+      correct_option: correctOption,
+      answer: answerKey ? JSON.stringify(answerKey) : null,
+      difficulty: question.difficulty || 'Medium'
+    }
+  };
+}
+
+/**
+ * A stored question as shown to someone taking the quiz, without its answer key
+ * @param {Object} row - quiz_questions, question_bank or served question
+ * @param {boolean} withAnswer - Include the answer key (for the admin editor)
+ */
+function formatQuizQuestion(row, withAnswer = false) {
+  const data = parseJson(row.options, null) || {};
+  const question = {
+    id: row.id,
+    question: row.question,
+    question_type: row.question_type || 'single',
+    options: optionArrayOf(data),
+    difficulty: row.difficulty
+  };
+  if (question.question_type === 'code_output') {
+    question.code = data.code || '';
+    question.language = data.language || null;
+  }
+  if (withAnswer) {
+    question.correct_option = row.correct_option;
+    question.answer = parseJson(row.answer, null);
+  }
+  return question;
+}
+
+const isBlank = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Reads a selected option index, given as an integer or a string of digits;
+ * anything else (false, blank strings, fractions) is null rather than option 0
+ */
+const toOptionIndex = (value) => {
+  if (Number.isInteger(value)) return value;
+  return typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : null;
+};
+
+/**
+ * Score one answer
+ * @param {Object} row - quiz_questions, question_bank or served question
+ * @param {*} response - The student's answer: an option index, an array of
+ * option indexes (multiple), a number (numeric) or a string (text, code_output)
+ * @returns {Object} - { credit, isCorrect, answered, userAnswer, correctAnswer } where
+ * `credit` is between 0 and 1 and the answers are display strings; choice
+ * questions add the selected and correct option indexes
+ */
+function scoreAnswer(row, response) {
+  const type = row.question_type || 'single';
+  const { options } = formatQuizQuestion(row);
+  const key = parseJson(row.answer, null) || {};
+  let answered = !isBlank(response);
+  let credit = 0;
+  let userAnswer = 'No answer';
+  let correctAnswer = 'Unknown';
+  const indexes = {};
+
+  switch (type) {
+    case 'multiple': {
+      const correct = Array.isArray(key.correct) ? key.correct : [];
+      const selected = [...new Set((Array.isArray(response) ? response : []).map(toOptionIndex))]
+        .filter(index => index !== null && index >= 0 && index < options.length);
+      const right = selected.filter(index => correct.includes(index)).length;
+      const wrong = selected.length - right;
+      if (right === correct.length && wrong === 0) {
+        credit = 1;
+      } else if (key.partial_credit && correct.length > 0) {
+        // Every wrong selection cancels a right one
+        credit = Math.max(0, (right - wrong) / correct.length);
+      }
+      if (selected.length > 0) userAnswer = selected.sort((a, b) => a - b).map(index => options[index]).join(', ');
+      correctAnswer = correct.map(index => options[index]).join(', ');
+      indexes.userAnswerIndexes = selected;
+      indexes.correctAnswerIndexes = correct;
+      break;
+    }
+    case 'numeric': {
+      const value = Number(response);
+      if (answered && Number.isFinite(value)) {
+        credit = Math.abs(value - Number(key.value)) <= Number(key.tolerance || 0) + 1e-9 ? 1 : 0;
+        userAnswer = String(response);
+      }
+      correctAnswer = Number(key.tolerance) > 0 ? `${key.value} ± ${key.tolerance}` : String(key.value);
+      break;
+    }
+    case 'text': {
+      const accepted = Array.isArray(key.accepted) ? key.accepted : [];
+      const value = String(response ?? '').trim();
+      if (value) {
+        userAnswer = value;
+        credit = accepted.some(pattern => {
+          let regex;
+          try {
+            regex = compilePattern(pattern, key.case_sensitive);
+          } catch (error) {
+            return false;
+          }
+          if (regex) return matchesPattern(regex, value);
+          return key.case_sensitive ? pattern === value : pattern.toLowerCase() === value.toLowerCase();
+        }) ? 1 : 0;
+      }
+      correctAnswer = accepted.join(' or ');
+      break;
+    }
+    case 'code_output': {
+      if (answered) {
+        userAnswer = String(response);
+        credit = normalizeOutput(response) === normalizeOutput(key.output) ? 1 : 0;
+      }
+      correctAnswer = String(key.output ?? '');
+      break;
+    }
+    default: {
+      // single and true_false
+      const index = toOptionIndex(response);
+      answered = index !== null;
+      credit = answered && index === Number(row.correct_option) ? 1 : 0;
+      if (answered && options[index] !== undefined) userAnswer = options[index];
+      correctAnswer = options[Number(row.correct_option)] ?? 'Unknown';
+      indexes.userAnswerIndex = index;
+      indexes.correctAnswerIndex = Number(row.correct_option);
+      break;
+    }
+  }
+
+  return {
+    credit: Math.round(credit * 100) / 100,
+    isCorrect: credit === 1,
+    answered,
+    userAnswer,
+    correctAnswer,
+    ...indexes
+  };
+}
+
+module.exports = {
+  QUIZ_QUESTION_TYPES,
+  normalizeQuizQuestion,
+  formatQuizQuestion,
+  scoreAnswer
+};
@@ -0,0 +1,214 @@
+/**
+ * @file stressTester.js
+ * @description Stress testing against a question's reference solution. The
+ * question's generator program turns a seed (read from stdin) into one random
+ * test input on stdout; every generated input is run through the reference
+ * solution and the candidate solution, wrapped exactly as graded submissions
+ * are, and the smallest input on which the candidate is not accepted is
+ * reported as a counterexample. The same programs can also generate test
+ * cases, with the reference solution's output stored as the expected output.
+ */
+
+const crypto = require('crypto');
+const executionService = require('./executionService');
+const { buildProgram, isInteractiveProblem } = require('./codeRunner');
+const { normalizeExpectedOutput } = require('./outputFormat');
+const { VERDICTS } = require('./verdicts');
+const { TEST_CASE_LIMITS } = require('./testCaseArchive');
+
+const DEFAULT_ITERATIONS = 20;
+const MAX_ITERATIONS = 200;
+
+// Each stress test runs the generator and both solutions once per iteration,
+// so students get one at a time and a few per hour
+const STRESS_TEST_LIMITS = {
+  windowMs: 60 * 60 * 1000,
+  perUser: 10,
+  perSubmission: 3
+};
+
+const runningStressTests = new Set();
+const stressTestHistory = [];
+
+/**
+ * Whether a question has everything a stress test needs. Interactive
+ * problems are judged by their interactor and cannot be stress tested.
+ */
+const hasStressTest = (problem) => Boolean(
+  problem?.reference_code && problem?.reference_language &&
+  problem?.generator_code && problem?.generator_language &&
+  !isInteractiveProblem(problem)
+);
+
+const describeFailure = (result) => (
+  result.compileOutput || result.stderr || result.message || result.status?.description || 'unknown error'
+).trim();
+
+/**
+ * Runs the question's generator once per seed.
+ * @returns {Promise<Object>} - { inputs } or { error }
+ */
+const generateInputs = async (problem, seeds) => {
+  const generated = await executionService.submitBatch(seeds.map(seed => ({
+    source: problem.generator_code,
+    language: problem.generator_language,
+    input: `${seed}\n`
+  })));
+  const failed = generated.findIndex(result => result.statusId !== 3);
+  if (failed !== -1) {
+    return { error: `Generator failed on seed ${seeds[failed]}: ${describeFailure(generated[failed])}` };
+  }
+  return { inputs: generated.map(result => (result.stdout || '').replace(/\r\n/g, '\n').trim()) };
+};
+
+/**
+ * Runs every generated input through one solution, wrapped for the question.
+ */
+const runSolution = (problem, code, language, runtime, inputs) => executionService.submitBatch(
+  inputs.map(input => ({
+    ...buildProgram({ problem, code, language, testCaseInput: input }),
+    language,
+    runtime
+  })),
+  executionService.resolveLimits(problem, language)
+);
+
+/**
+ * Claims a stress test run for a user, enforcing STRESS_TEST_LIMITS. The
+ * claim must be released once the run finishes.
+ * @param {number} userId - User starting the run
+ * @param {number} submissionId - Submission under test
+ * @returns {Object} - { release } or { error } when a limit is reached
+ */
+function claimStressTest(userId, submissionId, now = Date.now()) {
+  while (stressTestHistory.length > 0 && stressTestHistory[0].at <= now - STRESS_TEST_LIMITS.windowMs) {
+    stressTestHistory.shift();
+  }
+
+  if (runningStressTests.has(userId)) {
+    return { error: 'Please wait for your current stress test to finish' };
+  }
+  if (stressTestHistory.filter(entry => entry.submissionId === submissionId).length >= STRESS_TEST_LIMITS.perSubmission) {
+    return { error: `A submission can be stress tested ${STRESS_TEST_LIMITS.perSubmission} times per hour` };
+  }
+  if (stressTestHistory.filter(entry => entry.userId === userId).length >= STRESS_TEST_LIMITS.perUser) {
+    return { error: `You can run ${STRESS_TEST_LIMITS.perUser} stress tests per hour. Please try again later.` };
+  }
+
+  runningStressTests.add(userId);
+  stressTestHistory.push({ userId, submissionId, at: now });
+  return { release: () => runningStressTests.delete(userId) };
+}
+
+/**
+ * Stress test a solution against the question's reference solution
+ * @param {Object} problem - Question row, including the reference and generator columns
+ * @param {Object} candidate - { code, language, runtime } of the solution under test
+ * @param {number} iterations - Number of random inputs to generate (capped at MAX_ITERATIONS)
+ * @returns {Promise<Object>} - { iterations, failures, smallestFailure } where
+ * `smallestFailure` is null when the solutions agreed on every input, or
+ * { error } when the generator or reference solution itself failed
+ */
+async function runStressTest(problem, candidate, iterations = DEFAULT_ITERATIONS) {
+  const count = Math.min(MAX_ITERATIONS, Math.max(1, parseInt(iterations, 10) || DEFAULT_ITERATIONS));
+  const baseSeed = crypto.randomInt(1, 1000000000);
+  const seeds = Array.from({ length: count }, (_, index) => baseSeed + index);
+
+  const { inputs, error } = await generateInputs(problem, seeds);
+  if (error) {
+    return { error };
+  }
+
+  const [referenceResults, candidateResults] = await Promise.all([
+    runSolution(problem, problem.reference_code, problem.reference_language, null, inputs),
+    runSolution(problem, candidate.code, candidate.language, candidate.runtime, inputs)
+  ]);
+  const referenceFailure = referenceResults.findIndex(result => result.statusId !== 3);
+  if (referenceFailure !== -1) {
+    return { error: `Reference solution failed on seed ${seeds[referenceFailure]}: ${describeFailure(referenceResults[referenceFailure])}` };
+  }
+
+  const ioMode = problem.io_mode || 'function';
+  const checker = executionService.checkerFor(problem);
+  const limits = executionService.resolveLimits(problem, candidate.language);
+  const graded = await Promise.all(inputs.map((input, index) => executionService.gradeExecution(
+    { id: null, input, expected_output: normalizeExpectedOutput(referenceResults[index].stdout, ioMode), hidden: false },
+    candidateResults[index],
+    { limits, checker, ioMode }
+  )));
+
+  const failures = graded
+    .map((result, index) => ({ ...result, seed: seeds[index] }))
+    .filter(result => result.verdict !== VERDICTS.ACCEPTED);
+  const smallest = failures.reduce((best, failure) => (
+    !best || failure.input.length < best.input.length ? failure : best
+  ), null);
+
+  return {
+    iterations: count,
+    failures: failures.length,
+    smallestFailure: smallest && {
+      seed: smallest.seed,
+      input: smallest.input,
+      expectedOutput: smallest.expectedOutput,
+      actualOutput: smallest.actualOutput,
+      verdict: smallest.verdict,
+      verdictLabel: smallest.verdictLabel,
+      checkerMessage: smallest.checkerMessage,
+      error: smallest.error
+    }
+  };
+}
+
+/**
+ * Generate test cases with the question's generator, taking the expected
+ * outputs from its reference solution
+ * @param {Object} problem - Question fields: io_mode, function_name,
+ * parameter_schema and the reference and generator columns
+ * @param {number} count - Number of test cases (capped at TEST_CASE_LIMITS.testCases)
+ * @param {number} firstSeed - Seed of the first test case; later ones count up
+ * @returns {Promise<Object>} - { testCases: [{ name, input, expected_output, hidden }] } or { error }
+ */
+async function generateTestCases(problem, count, firstSeed = 1) {
+  const total = Math.min(TEST_CASE_LIMITS.testCases, Math.max(1, parseInt(count, 10) || 1));
+  const start = parseInt(firstSeed, 10) || 1;
+  const seeds = Array.from({ length: total }, (_, index) => start + index);
+
+  const { inputs, error } = await generateInputs(problem, seeds);
+  if (error) {
+    return { error };
+  }
+
+  const outputs = await runSolution(problem, problem.reference_code, problem.reference_language, null, inputs);
+  const failed = outputs.findIndex(result => result.statusId !== 3);
+  if (failed !== -1) {
+    return { error: `Reference solution failed on seed ${seeds[failed]}: ${describeFailure(outputs[failed])}` };
+  }
+
+  const oversized = inputs.findIndex((input, index) => (
+    Math.max(input.length, (outputs[index].stdout || '').length) > TEST_CASE_LIMITS.fileBytes
+  ));
+  if (oversized !== -1) {
+    return { error: `The test case for seed ${seeds[oversized]} is larger than ${Math.round(TEST_CASE_LIMITS.fileBytes / 1024)} KB` };
+  }
+
+  const ioMode = problem.io_mode || 'function';
+  return {
+    testCases: inputs.map((input, index) => ({
+      name: `seed-${seeds[index]}`,
+      input,
+      expected_output: normalizeExpectedOutput(outputs[index].stdout, ioMode),
+      hidden: true
+    }))
+  };
+}
+
+module.exports = {
+  runStressTest,
+  claimStressTest,
+  generateTestCases,
+  hasStressTest,
+  DEFAULT_ITERATIONS,
+  MAX_ITERATIONS,
+  STRESS_TEST_LIMITS
+};
@@ -0,0 +1,215 @@
+/**
+ * @file submissionQueue.js
+ * @description In-process worker pool that grades queued submissions. The
+ * queue state lives on `submissions.judge_status` (pending → running →
+ * finished/failed) so submissions left unfinished by a restart are picked up
+ * again, and per-test-case results are written to `test_case_results` as they
+ * complete so clients can poll live progress. Each graded submission records
+ * the question version it was judged against and refreshes the user's
+ * `user_question_progress` row, so rejudged submissions update it too.
+ * Finished submissions also store their partial `score` (see subtasks.js),
+ * and those made in an assessment regrade its attempt once it was submitted.
+ * A submission queued again while it is being graded (a rejudge) is graded
+ * once more after the current run, whose results are discarded.
+ */
+
+const executionService = require('./executionService');
+const { summarizeVerdict } = require('./verdicts');
+const { scoreResults } = require('./subtasks');
+const { refreshAttemptResult } = require('./assessments');
+require('dotenv').config();
+
+const SUBMISSION_WORKERS = parseInt(process.env.SUBMISSION_WORKERS, 10) || 2;
+
+let pool = null;
+const queue = [];
+const queued = new Set();
+const running = new Set();
+// Submissions requeued while running; graded again once the current run ends
+const stale = new Set();
+let activeWorkers = 0;
+
+/**
+ * Recomputes a user's solved/attempted state for a question from their submissions.
+ */
+async function refreshProgress(userId, questionId) {
+  await pool.execute(
+    `INSERT INTO user_question_progress (user_id, question_id, status, attempts_count)
+     SELECT user_id, question_id, IF(MAX(passed) = 1, 'solved', 'attempted'), COUNT(*)
+     FROM submissions
+     WHERE user_id = ? AND question_id = ?
+     GROUP BY user_id, question_id
+     ON DUPLICATE KEY UPDATE status = VALUES(status), attempts_count = VALUES(attempts_count)`,
+    [userId, questionId]
+  );
+}
+
+/**
+ * Regrades the assessment attempt a submission was made in. Failures are only
+ * logged so they never turn a graded submission into a failed one.
+ */
+async function refreshAssessment(attemptId) {
+  try {
+    await refreshAttemptResult(pool, attemptId);
+  } catch (error) {
+    console.error(`[SubmissionQueue] Could not refresh assessment attempt #${attemptId}:`, error.message);
+  }
+}
+
+/**
+ * Grades a single submission and persists progress and the final verdict.
+ */
+async function processSubmission(submissionId) {
+  const [submissions] = await pool.execute(
+    'SELECT id, user_id, question_id, code, language, runtime, assessment_attempt_id FROM submissions WHERE id = ?',
+    [submissionId]
+  );
+
+  if (submissions.length === 0) {
+    return;
+  }
+
+  const submission = submissions[0];
+
+  const [questions] = await pool.execute(
+    'SELECT * FROM questions WHERE id = ?',
+    [submission.question_id]
+  );
+
+  const [testCases] = await pool.execute(
+    'SELECT * FROM test_cases WHERE question_id = ? ORDER BY id',
+    [submission.question_id]
+  );
+
+  if (questions.length === 0 || testCases.length === 0) {
+    throw new Error('Question or test cases no longer exist');
+  }
+
+  await pool.execute(
+    "UPDATE submissions SET judge_status = 'running', score = NULL, total_test_cases = ?, test_case_results = ?, question_version = ? WHERE id = ?",
+    [testCases.length, JSON.stringify([]), questions[0].version || 1, submissionId]
+  );
+
+  // Progress writes are chained so a slower UPDATE never overwrites a newer
+  // snapshot. Unfinished test cases stay null so results keep their positions.
+  const completed = new Array(testCases.length).fill(null);
+  let progressWrite = Promise.resolve();
+
+  const results = await executionService.validateCode(submission.code, submission.language, testCases, {
+    problem: questions[0],
+    runtime: submission.runtime,
+    onProgress: (result, index) => {
+      completed[index] = result;
+      const snapshot = JSON.stringify(completed);
+      progressWrite = progressWrite
+        .then(() => pool.execute(
+          'UPDATE submissions SET test_case_results = ? WHERE id = ?',
+          [snapshot, submissionId]
+        ))
+        .catch(error => console.error(`[SubmissionQueue] Progress update failed for #${submissionId}:`, error.message));
+    }
+  });
+
+  await progressWrite;
+
+  if (stale.has(submissionId)) {
+    return;
+  }
+
+  const allPassed = results.every(result => result.passed);
+
+  await pool.execute(
+    "UPDATE submissions SET judge_status = 'finished', passed = ?, verdict = ?, score = ?, test_case_results = ? WHERE id = ?",
+    [allPassed, summarizeVerdict(results), scoreResults(results).score, JSON.stringify(results), submissionId]
+  );
+
+  await refreshProgress(submission.user_id, submission.question_id);
+
+  if (submission.assessment_attempt_id) {
+    await refreshAssessment(submission.assessment_attempt_id);
+  }
+}
+
+/**
+ * Starts queued submissions until every worker slot is busy.
+ */
+function drain() {
+  while (activeWorkers < SUBMISSION_WORKERS && queue.length > 0) {
+    const submissionId = queue.shift();
+    queued.delete(submissionId);
+    running.add(submissionId);
+    activeWorkers++;
+
+    processSubmission(submissionId)
+      .catch(async (error) => {
+        console.error(`[SubmissionQueue] Judging submission #${submissionId} failed:`, error.message);
+        if (stale.has(submissionId)) {
+          return;
+        }
+        try {
+          await pool.execute(
+            "UPDATE submissions SET judge_status = 'failed', passed = false, verdict = 'IE', score = 0 WHERE id = ?",
+            [submissionId]
+          );
+          const [failed] = await pool.execute('SELECT assessment_attempt_id FROM submissions WHERE id = ?', [submissionId]);
+          if (failed[0]?.assessment_attempt_id) {
+            await refreshAssessment(failed[0].assessment_attempt_id);
+          }
+        } catch (updateError) {
+          console.error(`[SubmissionQueue] Could not mark submission #${submissionId} as failed:`, updateError.message);
+        }
+      })
+      .finally(() => {
+        running.delete(submissionId);
+        activeWorkers--;
+        if (stale.delete(submissionId)) {
+          queued.add(submissionId);
+          queue.push(submissionId);
+        }
+        drain();
+      });
+  }
+}
+
+/**
+ * Queue a stored submission for grading
+ * @param {number} submissionId - Submission ID with judge_status 'pending'
+ */
+function enqueue(submissionId) {
+  if (!pool) {
+    throw new Error('Submission queue has not been started');
+  }
+  if (queued.has(submissionId)) {
+    return;
+  }
+  if (running.has(submissionId)) {
+    stale.add(submissionId);
+    return;
+  }
+  queued.add(submissionId);
+  queue.push(submissionId);
+  drain();
+}
+
+/**
+ * Start the worker pool and requeue submissions interrupted by a restart
+ * @param {Object} dbPool - mysql2 promise pool
+ */
+async function start(dbPool) {
+  pool = dbPool;
+
+  const [unfinished] = await pool.execute(
+    "SELECT id FROM submissions WHERE judge_status IN ('pending', 'running') ORDER BY id"
+  );
+
+  if (unfinished.length > 0) {
+    console.log(`[SubmissionQueue] Requeueing ${unfinished.length} unfinished submission(s)`);
+  }
+
+  unfinished.forEach(row => enqueue(row.id));
+}
+
+module.exports = {
+  start,
+  enqueue
+};
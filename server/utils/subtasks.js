@@ -0,0 +1,115 @@
+/**
+ * @file subtasks.js
+ * @description Partial scoring of submissions. Test cases can be grouped into
+ * subtasks (`test_cases.subtask`) and carry point weights
+ * (`test_cases.points`); a subtask is worth the points of its test cases and
+ * is awarded only when every one of them passes. Test cases outside a
+ * subtask are scored on their own once the author has weighted the question's
+ * test cases; otherwise they are one group, all-or-nothing like a subtask.
+ * Scores are out of 100: when no test case of a question has points, every
+ * subtask (and that group) weighs the same, so questions without subtasks or
+ * points keep all-or-nothing scoring.
+ */
+
+const MAX_SCORE = 100;
+
+const SUBTASK_LIMITS = {
+  subtask: { min: 1, max: 100 },
+  points: { min: 0, max: 1000 }
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Checks the optional `subtask` and `points` fields of test case payloads
+ * @returns {string|null} - Error message for the first invalid test case
+ */
+function validateTestCaseScoring(testCases) {
+  if (!Array.isArray(testCases)) return null;
+
+  for (const [index, testCase] of testCases.entries()) {
+    const subtask = testCase?.subtask;
+    if (!isBlank(subtask) && (!Number.isInteger(Number(subtask)) || Number(subtask) < SUBTASK_LIMITS.subtask.min || Number(subtask) > SUBTASK_LIMITS.subtask.max)) {
+      return `Test case ${index + 1}: subtask must be a whole number between ${SUBTASK_LIMITS.subtask.min} and ${SUBTASK_LIMITS.subtask.max}`;
+    }
+    const points = testCase?.points;
+    if (!isBlank(points) && (!Number.isInteger(Number(points)) || Number(points) < SUBTASK_LIMITS.points.min || Number(points) > SUBTASK_LIMITS.points.max)) {
+      return `Test case ${index + 1}: points must be a whole number between ${SUBTASK_LIMITS.points.min} and ${SUBTASK_LIMITS.points.max}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Column values of a test case payload's scoring fields
+ * @returns {Object} - { subtask, points }, null when blank
+ */
+function readTestCaseScoring(testCase) {
+  return {
+    subtask: isBlank(testCase?.subtask) ? null : Number(testCase.subtask),
+    points: isBlank(testCase?.points) ? null : Number(testCase.points)
+  };
+}
+
+/**
+ * Score per-test results (which carry their test case's `subtask` and `points`)
+ * @param {Array<Object>} results - Graded test case results in test case order
+ * @returns {Object} - { score, maxScore, subtasks } where `subtasks` lists each
+ * numbered subtask ({ subtask, weight, earned, passed, total, passedCount })
+ * with `weight` and `earned` out of 100
+ */
+function scoreResults(results) {
+  const weighted = results.some(result => !isBlank(result?.points));
+  const groups = new Map();
+  results.forEach((result, index) => {
+    const subtask = isBlank(result?.subtask) ? null : Number(result.subtask);
+    let key = `subtask-${subtask}`;
+    if (subtask === null) {
+      key = weighted ? `case-${index}` : 'ungrouped';
+    }
+    if (!groups.has(key)) {
+      groups.set(key, { subtask, points: 0, total: 0, passedCount: 0 });
+    }
+    const group = groups.get(key);
+    group.points += Number(result?.points) || 0;
+    group.total++;
+    if (result?.passed) group.passedCount++;
+  });
+
+  const entries = [...groups.values()];
+  const totalPoints = entries.reduce((sum, group) => sum + group.points, 0);
+  const weightOf = (group) => (totalPoints > 0
+    ? (group.points / totalPoints) * MAX_SCORE
+    : (entries.length > 0 ? MAX_SCORE / entries.length : 0));
+
+  let score = 0;
+  const subtasks = [];
+  for (const group of entries) {
+    const passed = group.total > 0 && group.passedCount === group.total;
+    const weight = weightOf(group);
+    if (passed) score += weight;
+    if (group.subtask !== null) {
+      subtasks.push({
+        subtask: group.subtask,
+        weight: roundScore(weight),
+        earned: passed ? roundScore(weight) : 0,
+        passed,
+        total: group.total,
+        passedCount: group.passedCount
+      });
+    }
+  }
+
+  subtasks.sort((a, b) => a.subtask - b.subtask);
+  return { score: roundScore(score), maxScore: MAX_SCORE, subtasks };
+}
+
+module.exports = {
+  MAX_SCORE,
+  SUBTASK_LIMITS,
+  validateTestCaseScoring,
+  readTestCaseScoring,
+  scoreResults
+};
@@ -0,0 +1,163 @@
+/**
+ * @file testCaseArchive.js
+ * @description Reads and writes ZIP archives of test cases. Each test case is
+ * a pair of files with the same name, `<name>.in` holding the input and
+ * `<name>.out` the expected output; pairs inside a `hidden/` directory are
+ * hidden test cases. Exports use the same layout so an exported archive can
+ * be imported again.
+ */
+
+const AdmZip = require('adm-zip');
+
+const TEST_CASE_LIMITS = {
+  archiveBytes: 10 * 1024 * 1024, // uploaded ZIP
+  fileBytes: 1024 * 1024,         // one input or expected output
+  testCases: 100                  // cases per import or generation run
+};
+
+const HIDDEN_DIRECTORY = 'hidden';
+
+const formatBytes = (bytes) => `${Math.round(bytes / 1024)} KB`;
+
+// Orders by file name, ignoring directories, with `2` before `10`
+const naturalCompare = (a, b) => {
+  const fileName = (name) => name.slice(name.lastIndexOf('/') + 1);
+  return fileName(a).localeCompare(fileName(b), undefined, { numeric: true }) ||
+    a.localeCompare(b, undefined, { numeric: true });
+};
+
+/**
+ * Unpack a ZIP upload, skipping folders and metadata such as __MACOSX/ and
+ * .DS_Store. Throws an Error with a message meant for the admin when the
+ * archive is too large or unreadable.
+ * @param {Buffer} buffer - ZIP file contents
+ * @param {Object} options - `maxBytes` of the archive (defaults to TEST_CASE_LIMITS.archiveBytes)
+ * @returns {Array<Object>} - [{ path, size, read }] where `read()` returns the entry as UTF-8 text
+ */
+function readArchiveFiles(buffer, options = {}) {
+  const maxBytes = options.maxBytes || TEST_CASE_LIMITS.archiveBytes;
+  if (buffer.length > maxBytes) {
+    throw new Error(`The archive is larger than ${formatBytes(maxBytes)}`);
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw new Error('The file is not a valid ZIP archive');
+  }
+
+  return entries
+    .map(entry => ({ entry, path: entry.entryName.replace(/\\/g, '/') }))
+    .filter(({ entry, path }) => !entry.isDirectory && !path.split('/').some(part => part.startsWith('.') || part === '__MACOSX'))
+    .map(({ entry, path }) => ({
+      path,
+      size: entry.header.size,
+      read: () => entry.getData().toString('utf8')
+    }));
+}
+
+// Test files are compared line by line, so line endings and trailing newlines are not significant
+const normalizeTestText = (text) => text.replace(/\r\n/g, '\n').replace(/\n+$/, '');
+
+/**
+ * Pair `.in`/`.out` files into test cases. Pairs inside a `hidden/` directory
+ * are hidden test cases.
+ * @param {Array<Object>} files - Files from readArchiveFiles, with paths relative to the test directory
+ * @param {Object} options - `ioMode` of the question, where `.out` files are
+ * optional for interactive problems, and `maxTestCases` (defaults to TEST_CASE_LIMITS.testCases)
+ * @returns {Array<Object>} - [{ name, input, expected_output, hidden }] in natural name order
+ */
+function pairTestFiles(files, options = {}) {
+  const pairs = new Map();
+  for (const file of files) {
+    const match = file.path.match(/^(.+)\.(in|out)$/i);
+    if (!match) continue;
+
+    if (file.size > TEST_CASE_LIMITS.fileBytes) {
+      throw new Error(`${file.path} is larger than ${formatBytes(TEST_CASE_LIMITS.fileBytes)}`);
+    }
+
+    const name = match[1];
+    const pair = pairs.get(name) || { name };
+    const text = normalizeTestText(file.read());
+    if (match[2].toLowerCase() === 'in') {
+      pair.input = text;
+    } else {
+      pair.expected_output = text;
+    }
+    pairs.set(name, pair);
+  }
+
+  const maxTestCases = options.maxTestCases || TEST_CASE_LIMITS.testCases;
+  if (pairs.size > maxTestCases) {
+    throw new Error(`The archive has ${pairs.size} test cases; at most ${maxTestCases} can be imported at once`);
+  }
+
+  const outputOptional = options.ioMode === 'interactive';
+  return [...pairs.keys()].sort(naturalCompare).map((name) => {
+    const pair = pairs.get(name);
+    if (pair.input === undefined || (pair.expected_output === undefined && !outputOptional)) {
+      throw new Error(`Test case ${name} needs both a .in and a .out file`);
+    }
+    return {
+      name,
+      input: pair.input,
+      expected_output: pair.expected_output || '',
+      hidden: name.split('/').includes(HIDDEN_DIRECTORY)
+    };
+  });
+}
+
+/**
+ * Read test cases from a ZIP of `.in`/`.out` files. Throws an Error with a
+ * message meant for the admin when the archive is unusable.
+ * @param {Buffer} buffer - ZIP file contents
+ * @param {Object} options - `ioMode` of the question
+ * @returns {Array<Object>} - [{ name, input, expected_output, hidden }] in natural name order
+ */
+function readTestArchive(buffer, options = {}) {
+  const testCases = pairTestFiles(readArchiveFiles(buffer), options);
+  if (testCases.length === 0) {
+    throw new Error('The archive has no .in/.out test files');
+  }
+  return testCases;
+}
+
+/**
+ * Add test cases to a ZIP in the layout pairTestFiles accepts
+ * @param {AdmZip} zip - Archive being built
+ * @param {Array<Object>} testCases - Test case rows (input, expected_output, hidden)
+ * @param {string} directory - Folder to place the files in, e.g. `tests/`
+ */
+function addTestFiles(zip, testCases, directory = '') {
+  const width = Math.max(2, String(testCases.length).length);
+
+  testCases.forEach((testCase, index) => {
+    const number = String(index + 1).padStart(width, '0');
+    const name = `${directory}${testCase.hidden ? `${HIDDEN_DIRECTORY}/` : ''}${number}`;
+    zip.addFile(`${name}.in`, Buffer.from(`${testCase.input || ''}\n`, 'utf8'));
+    zip.addFile(`${name}.out`, Buffer.from(`${testCase.expected_output || ''}\n`, 'utf8'));
+  });
+}
+
+/**
+ * Write test cases to a ZIP in the layout readTestArchive accepts
+ * @param {Array<Object>} testCases - Test case rows (input, expected_output, hidden)
+ * @returns {Buffer} - ZIP file contents
+ */
+function buildTestArchive(testCases) {
+  const zip = new AdmZip();
+  addTestFiles(zip, testCases);
+  return zip.toBuffer();
+}
+
+module.exports = {
+  readTestArchive,
+  buildTestArchive,
+  readArchiveFiles,
+  pairTestFiles,
+  addTestFiles,
+  normalizeTestText,
+  TEST_CASE_LIMITS
+};
@@ -0,0 +1,104 @@
+/**
+ * @file verdicts.js
+ * @description Normalizes raw execution results (Judge0 status ids, exit codes
+ * and resource usage) into the verdicts shown to students, and derives the
+ * overall verdict of a graded submission.
+ */
+
+const VERDICTS = {
+  ACCEPTED: 'AC',
+  WRONG_ANSWER: 'WA',
+  TIME_LIMIT_EXCEEDED: 'TLE',
+  MEMORY_LIMIT_EXCEEDED: 'MLE',
+  RUNTIME_ERROR: 'RE',
+  COMPILATION_ERROR: 'CE',
+  INTERNAL_ERROR: 'IE'
+};
+
+const VERDICT_LABELS = {
+  AC: 'Accepted',
+  WA: 'Wrong Answer',
+  TLE: 'Time Limit Exceeded',
+  MLE: 'Memory Limit Exceeded',
+  RE: 'Runtime Error',
+  CE: 'Compilation Error',
+  IE: 'Internal Error'
+};
+
+// Judge0 status ids (shared by the local runner)
+const STATUS_ID = {
+  ACCEPTED: 3,
+  WRONG_ANSWER: 4,
+  TIME_LIMIT_EXCEEDED: 5,
+  COMPILATION_ERROR: 6,
+  INTERNAL_ERROR: 13,
+  EXEC_FORMAT_ERROR: 14
+};
+
+// Runtimes report allocation failures on stderr rather than through a
+// distinct status, so these messages are treated as memory limit hits.
+const OUT_OF_MEMORY_PATTERN = /MemoryError|bad_alloc|heap out of memory|OutOfMemoryError|out of memory|NoMemoryError|Allowed memory size|Cannot allocate memory/i;
+
+// Peak usage this close to the limit means the process was stopped for memory.
+const MEMORY_LIMIT_THRESHOLD = 0.95;
+
+/**
+ * Decide whether a failed run was caused by the memory limit. The local
+ * runner says so itself; Judge0 results are inferred from stderr and usage.
+ */
+const exceededMemory = (result, memoryLimitKb) => {
+  if (result.memoryLimitExceeded || OUT_OF_MEMORY_PATTERN.test(result.stderr || '')) {
+    return true;
+  }
+  return Boolean(memoryLimitKb && result.memory && result.memory >= memoryLimitKb * MEMORY_LIMIT_THRESHOLD);
+};
+
+/**
+ * Resolve the verdict of a single test case execution
+ * @param {Object} result - Execution result from executionService
+ * @param {Object} options - `outputMatches` (whether the output was judged
+ * correct), `checkerError` (the output checker itself failed) and
+ * `memoryLimitKb` (the limit the program ran under)
+ * @returns {string} - Verdict code
+ */
+function resolveVerdict(result, options = {}) {
+  const { outputMatches = false, checkerError = false, memoryLimitKb } = options;
+  const statusId = result?.statusId;
+
+  if (!statusId || checkerError) return VERDICTS.INTERNAL_ERROR;
+  if (statusId === STATUS_ID.COMPILATION_ERROR) return VERDICTS.COMPILATION_ERROR;
+  if (statusId === STATUS_ID.TIME_LIMIT_EXCEEDED) return VERDICTS.TIME_LIMIT_EXCEEDED;
+  if (statusId === STATUS_ID.INTERNAL_ERROR || statusId === STATUS_ID.EXEC_FORMAT_ERROR) {
+    return VERDICTS.INTERNAL_ERROR;
+  }
+
+  if (statusId === STATUS_ID.ACCEPTED || statusId === STATUS_ID.WRONG_ANSWER) {
+    return outputMatches ? VERDICTS.ACCEPTED : VERDICTS.WRONG_ANSWER;
+  }
+
+  // Remaining ids (7-12) are signals and non-zero exits
+  return exceededMemory(result, memoryLimitKb)
+    ? VERDICTS.MEMORY_LIMIT_EXCEEDED
+    : VERDICTS.RUNTIME_ERROR;
+}
+
+/**
+ * Overall submission verdict: the verdict of the first test case that was not
+ * accepted, or Accepted when every test case passed.
+ * @param {Array} testCaseResults - Per-test results carrying a `verdict`
+ * @returns {string|null} - Verdict code, or null when there are no results
+ */
+function summarizeVerdict(testCaseResults) {
+  if (!testCaseResults || testCaseResults.length === 0) return null;
+  const failed = testCaseResults.find(result => result.verdict !== VERDICTS.ACCEPTED);
+  return failed ? failed.verdict : VERDICTS.ACCEPTED;
+}
+
+module.exports = {
+  VERDICTS,
+  VERDICT_LABELS,
+  OUT_OF_MEMORY_PATTERN,
+  MEMORY_LIMIT_THRESHOLD,
+  resolveVerdict,
+  summarizeVerdict
+};